@@ -18,6 +18,7 @@ const { registerDemo } = require('./commands/demo');
 const { registerExplain } = require('./commands/explain');
 const { registerSimilarity } = require('./commands/similarity');
 const { registerIngest } = require('./commands/ingest');
+const { registerBatch } = require('./commands/batch');
 const { registerCompletions } = require('./commands/completions');
 const { registerPlayground } = require('./commands/playground');
 const { registerBenchmark } = require('./commands/benchmark');
@@ -48,6 +49,7 @@ const { registerExport } = require('./commands/export');
 const { registerImport } = require('./commands/import');
 const { registerCodeSearch } = require('./commands/code-search');
 const { registerKb } = require('./commands/kb');
+const { registerMemory } = require('./commands/memory');
 const { showBanner, showQuickStart, getVersion } = require('./lib/banner');
 const { moments } = require('./lib/robot-moments');
 
@@ -70,6 +72,7 @@ registerDemo(program);
 registerExplain(program);
 registerSimilarity(program);
 registerIngest(program);
+registerBatch(program);
 registerCompletions(program);
 registerPlayground(program);
 registerBenchmark(program);
@@ -100,6 +103,7 @@ registerExport(program);
 registerImport(program);
 registerCodeSearch(program);
 registerKb(program);
+registerMemory(program);
 
 // Show robot header before help output in TTY mode (skip when banner already shown)
 let bannerShown = false;
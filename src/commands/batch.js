@@ -0,0 +1,400 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { getDefaultModel } = require('../lib/catalog');
+const { loadProject } = require('../lib/project');
+const { chunkIds, fileSourceKey } = require('../lib/checkpoint');
+const { createVectorStore } = require('../lib/vector-store');
+const {
+  DEFAULT_COMPLETION_WINDOW,
+  TERMINAL_STATUSES,
+  buildBatchRequests,
+  toJsonl,
+  parseJsonl,
+  uploadBatchFile,
+  createBatch,
+  getBatch,
+  downloadFile,
+  waitForBatch,
+  parseBatchResults,
+  saveJob,
+  loadJob,
+  readJobFile,
+  listJobs,
+} = require('../lib/batch');
+const ui = require('../lib/ui');
+
+/**
+ * Copy the remote batch state onto the local job record.
+ */
+function syncJob(job, batch) {
+  const { dir, ...rest } = job;
+  const updated = {
+    ...rest,
+    status: batch.status,
+    outputFileId: batch.output_file_id || job.outputFileId || null,
+    errorFileId: batch.error_file_id || job.errorFileId || null,
+    requestCounts: batch.request_counts || job.requestCounts || null,
+  };
+  saveJob(updated);
+  return { ...updated, dir };
+}
+
+/**
+ * Format request counts as "completed/total (n failed)".
+ */
+function formatCounts(counts) {
+  if (!counts) return '—';
+  const failed = counts.failed ? ` (${counts.failed} failed)` : '';
+  return `${counts.completed || 0}/${counts.total || 0}${failed}`;
+}
+
+/**
+ * Download the output (and error) files of a completed batch into the job directory.
+ * @returns {Promise<{job: object, results: ReturnType<typeof parseBatchResults>}>}
+ */
+async function downloadResults(job) {
+  const batch = await getBatch(job.batchId);
+  job = syncJob(job, batch);
+
+  if (batch.status !== 'completed') {
+    throw new Error(`Batch ${job.batchId} is "${batch.status}" — results are available once it is completed. Check with "vai batch status ${job.batchId} --wait".`);
+  }
+  if (!job.outputFileId) {
+    throw new Error(`Batch ${job.batchId} has no output file.`);
+  }
+
+  const output = await downloadFile(job.outputFileId);
+  const files = { 'results.jsonl': output };
+  if (job.errorFileId) files['errors.jsonl'] = await downloadFile(job.errorFileId);
+
+  const { dir, ...rest } = job;
+  saveJob({ ...rest, downloadedAt: new Date().toISOString() }, files);
+  return { job: { ...rest, dir }, results: parseBatchResults(output) };
+}
+
+/**
+ * Attach batch vectors to the submitted documents.
+ * @param {object[]} documents - From documents.jsonl
+ * @param {ReturnType<typeof parseBatchResults>} results
+ * @param {object} job
+ * @returns {{ docs: object[], missing: string[] }}
+ */
+function attachVectors(documents, results, job) {
+  const docs = [];
+  const missing = [];
+  const appliedAt = new Date();
+
+  for (const doc of documents) {
+    const vector = results.vectors.get(String(doc._id));
+    if (!vector) {
+      missing.push(String(doc._id));
+      continue;
+    }
+    docs.push({
+      ...doc,
+      [job.field]: vector,
+      model: job.model,
+      dimensions: vector.length,
+      ingestedAt: appliedAt,
+    });
+  }
+  return { docs, missing };
+}
+
+/**
+ * Register the batch command (submit, status, download, apply, list) on a Commander program.
+ * @param {import('commander').Command} program
+ */
+function registerBatch(program) {
+  const batchCmd = program
+    .command('batch')
+    .description('Large offline embedding jobs via the asynchronous Voyage Batch API');
+
+  // ── batch submit ──
+  batchCmd
+    .command('submit')
+    .description('Write embedding requests to JSONL and submit them as a batch')
+    .requiredOption('--file <path>', 'Input file (JSON, JSONL, CSV, or plain text)')
+    .option('--db <database>', 'Database name')
+    .option('--collection <name>', 'Collection name')
+    .option('--field <name>', 'Embedding field name')
+    .option('-m, --model <model>', 'Embedding model')
+    .option('--input-type <type>', 'Input type: query or document', 'document')
+    .option('-d, --dimensions <n>', 'Output dimensions', (v) => parseInt(v, 10))
+    .option('--text-column <name>', 'CSV column to embed (required for CSV)')
+    .option('--text-field <name>', 'JSON/JSONL field containing text to embed', 'text')
+    .option('--store <type>', 'Vector store backend used by "apply": mongodb, local')
+    .option('--completion-window <window>', 'Batch completion window', DEFAULT_COMPLETION_WINDOW)
+    .option('-o, --output <path>', 'With --dry-run, where to write the request JSONL', 'batch-requests.jsonl')
+    .option('--dry-run', 'Write the request file without submitting')
+    .option('--json', 'Machine-readable JSON output')
+    .option('-q, --quiet', 'Suppress non-essential output')
+    .action(async (opts) => {
+      const telemetry = require('../lib/telemetry');
+      try {
+        const { detectFormat, parseFile } = require('./ingest');
+        const { config: proj } = loadProject();
+        const db = opts.db || proj.db;
+        const collection = opts.collection || proj.collection;
+        const field = opts.field || proj.field || 'embedding';
+        const model = opts.model || proj.model || getDefaultModel();
+        const dimensions = opts.dimensions || proj.dimensions;
+
+        if (!db || !collection) {
+          console.error(ui.error('Database and collection required. Use --db/--collection or "vai init".'));
+          process.exit(1);
+        }
+        if (!fs.existsSync(opts.file)) {
+          console.error(ui.error(`File not found: ${opts.file}`));
+          process.exit(1);
+        }
+
+        const done = telemetry.timer('cli_batch', { action: 'submit', model });
+
+        const format = detectFormat(opts.file);
+        const { documents, textKey } = parseFile(opts.file, format, {
+          textField: opts.textField,
+          textColumn: opts.textColumn,
+        });
+        if (documents.length === 0) {
+          console.error(ui.error('No documents found in file.'));
+          process.exit(1);
+        }
+
+        // Same IDs and source labels as `vai ingest`, so apply upserts idempotently
+        const sourceFile = path.basename(opts.file);
+        const ids = chunkIds(fileSourceKey(opts.file), documents.map(d => d[textKey]));
+        documents.forEach((doc, i) => {
+          if (doc._id == null) doc._id = ids[i];
+          if (!doc.source) doc.source = sourceFile;
+          doc.metadata = { source: sourceFile, filename: sourceFile, ...doc.metadata };
+        });
+
+        const requests = toJsonl(buildBatchRequests(documents, textKey));
+
+        if (opts.dryRun) {
+          fs.writeFileSync(opts.output, requests, 'utf-8');
+          if (opts.json) {
+            console.log(JSON.stringify({ dryRun: true, requests: documents.length, output: opts.output, model }, null, 2));
+          } else {
+            console.log(ui.success(`Wrote ${documents.length} requests to ${opts.output} (not submitted).`));
+          }
+          return;
+        }
+
+        const verbose = !opts.json && !opts.quiet;
+        let spin;
+        if (verbose) {
+          spin = ui.spinner(`Uploading ${documents.length} requests...`);
+          spin.start();
+        }
+
+        const file = await uploadBatchFile(requests, `${path.parse(sourceFile).name}-requests.jsonl`);
+        const batch = await createBatch({
+          inputFileId: file.id,
+          model,
+          inputType: opts.inputType,
+          dimensions,
+          completionWindow: opts.completionWindow,
+          metadata: { source: sourceFile, target: `${db}.${collection}` },
+        });
+        if (spin) spin.stop();
+
+        const job = {
+          batchId: batch.id,
+          inputFileId: file.id,
+          status: batch.status,
+          file: path.resolve(opts.file),
+          db, collection, field, model,
+          dimensions: dimensions || null,
+          inputType: opts.inputType,
+          store: opts.store || null,
+          requests: documents.length,
+          createdAt: new Date().toISOString(),
+        };
+        saveJob(job, {
+          'requests.jsonl': requests,
+          'documents.jsonl': toJsonl(documents),
+        });
+
+        if (opts.json) {
+          console.log(JSON.stringify(job, null, 2));
+        } else {
+          console.log(ui.success(`Submitted batch ${ui.cyan(batch.id)} (${documents.length} requests)`));
+          if (verbose) {
+            console.log(ui.label('Status', batch.status));
+            console.log(ui.label('Model', model));
+            console.log(ui.label('Target', `${db}.${collection} (field: ${field})`));
+            console.log('');
+            console.log(ui.dim(`  Next: vai batch status ${batch.id} --wait`));
+          }
+        }
+        done({ docCount: documents.length });
+      } catch (err) {
+        telemetry.send('cli_error', { command: 'batch submit', errorType: err.constructor.name });
+        console.error(ui.error(err.message));
+        process.exit(1);
+      }
+    });
+
+  // ── batch status ──
+  batchCmd
+    .command('status <batchId>')
+    .description('Show (or wait for) the status of a submitted batch')
+    .option('--wait', 'Poll until the batch finishes')
+    .option('--interval <seconds>', 'Polling interval with --wait', (v) => parseInt(v, 10), 30)
+    .option('--timeout <seconds>', 'Give up waiting after this long', (v) => parseInt(v, 10))
+    .option('--json', 'Machine-readable JSON output')
+    .option('-q, --quiet', 'Suppress non-essential output')
+    .action(async (batchId, opts) => {
+      try {
+        let job = loadJob(batchId);
+        const verbose = !opts.json && !opts.quiet;
+
+        let batch;
+        if (opts.wait) {
+          batch = await waitForBatch(batchId, {
+            intervalMs: opts.interval * 1000,
+            timeoutMs: opts.timeout ? opts.timeout * 1000 : undefined,
+            onPoll: (b) => {
+              if (verbose) process.stderr.write(`\r  ${b.status} — ${formatCounts(b.request_counts)}   `);
+            },
+          });
+          if (verbose) process.stderr.write('\n');
+        } else {
+          batch = await getBatch(batchId);
+        }
+        job = syncJob(job, batch);
+
+        if (opts.json) {
+          const { dir, ...rest } = job;
+          console.log(JSON.stringify(rest, null, 2));
+        } else {
+          console.log(ui.label('Batch', job.batchId));
+          console.log(ui.label('Status', job.status));
+          console.log(ui.label('Requests', formatCounts(job.requestCounts)));
+          console.log(ui.label('Target', `${job.db}.${job.collection}`));
+          if (verbose && job.status === 'completed') {
+            console.log('');
+            console.log(ui.dim(`  Next: vai batch apply ${job.batchId}`));
+          }
+        }
+
+        if (opts.wait && job.status !== 'completed') process.exit(1);
+      } catch (err) {
+        console.error(ui.error(err.message));
+        process.exit(1);
+      }
+    });
+
+  // ── batch download ──
+  batchCmd
+    .command('download <batchId>')
+    .description('Download the results of a completed batch')
+    .option('--json', 'Machine-readable JSON output')
+    .option('-q, --quiet', 'Suppress non-essential output')
+    .action(async (batchId, opts) => {
+      try {
+        const { job, results } = await downloadResults(loadJob(batchId));
+        const summary = {
+          batchId: job.batchId,
+          vectors: results.vectors.size,
+          errors: results.errors.length,
+          tokens: results.tokens,
+          path: path.join(job.dir, 'results.jsonl'),
+        };
+
+        if (opts.json) {
+          console.log(JSON.stringify(summary, null, 2));
+        } else {
+          console.log(ui.success(`Downloaded ${summary.vectors} vectors for batch ${job.batchId}`));
+          console.log(ui.label('Tokens', summary.tokens.toLocaleString()));
+          if (summary.errors) console.log(ui.label('Failed', String(summary.errors)));
+          console.log(ui.label('Saved to', summary.path));
+        }
+      } catch (err) {
+        console.error(ui.error(err.message));
+        process.exit(1);
+      }
+    });
+
+  // ── batch apply ──
+  batchCmd
+    .command('apply <batchId>')
+    .description('Write batch vectors into the target collection (downloads results if needed)')
+    .option('--store <type>', 'Vector store backend: mongodb, local')
+    .option('--store-batch-size <n>', 'Documents per write', (v) => parseInt(v, 10), 100)
+    .option('--json', 'Machine-readable JSON output')
+    .option('-q, --quiet', 'Suppress non-essential output')
+    .action(async (batchId, opts) => {
+      const telemetry = require('../lib/telemetry');
+      let store;
+      try {
+        let job = loadJob(batchId);
+        const done = telemetry.timer('cli_batch', { action: 'apply', model: job.model });
+
+        let results;
+        const saved = readJobFile(job, 'results.jsonl');
+        if (saved != null) {
+          results = parseBatchResults(saved);
+        } else {
+          ({ job, results } = await downloadResults(job));
+        }
+
+        const documents = parseJsonl(readJobFile(job, 'documents.jsonl'));
+        const { docs, missing } = attachVectors(documents, results, job);
+
+        store = createVectorStore({ db: job.db, collection: job.collection, store: opts.store || job.store || undefined });
+        let written = 0;
+        for (let i = 0; i < docs.length; i += opts.storeBatchSize) {
+          const result = await store.upsertMany(docs.slice(i, i + opts.storeBatchSize));
+          written += result.insertedCount + result.updatedCount;
+        }
+
+        const { dir, ...rest } = job;
+        saveJob({ ...rest, appliedAt: new Date().toISOString() });
+
+        if (opts.json) {
+          console.log(JSON.stringify({ batchId: job.batchId, written, missing: missing.length, store: store.type }, null, 2));
+        } else {
+          console.log(ui.success(`Wrote ${written} documents into ${store.label}`));
+          if (missing.length) {
+            console.log(ui.warn(`${missing.length} documents had no vector in the batch output (see errors.jsonl in ${job.dir}).`));
+          }
+        }
+        done({ docCount: written });
+      } catch (err) {
+        telemetry.send('cli_error', { command: 'batch apply', errorType: err.constructor.name });
+        console.error(ui.error(err.message));
+        process.exit(1);
+      } finally {
+        if (store) await store.close();
+      }
+    });
+
+  // ── batch list ──
+  batchCmd
+    .command('list')
+    .description('List batches submitted from this machine')
+    .option('--json', 'Machine-readable JSON output')
+    .action((opts) => {
+      const jobs = listJobs();
+      if (opts.json) {
+        console.log(JSON.stringify(jobs, null, 2));
+        return;
+      }
+      if (jobs.length === 0) {
+        console.log(ui.info('No batches yet. Submit one with "vai batch submit --file <path>".'));
+        return;
+      }
+      for (const job of jobs) {
+        const applied = job.appliedAt ? ui.dim(' (applied)') : '';
+        const finished = TERMINAL_STATUSES.includes(job.status) ? job.status : ui.yellow(job.status);
+        console.log(`  ${ui.cyan(job.batchId)}  ${finished}${applied}  ${job.requests} requests → ${job.db}.${job.collection}  ${ui.dim(job.createdAt)}`);
+      }
+    });
+}
+
+module.exports = { registerBatch, attachVectors };
@@ -4,18 +4,24 @@ const readline = require('readline');
 const { createLLMProvider, resolveLLMConfig } = require('../lib/llm');
 const { ChatHistory } = require('../lib/history');
 const { chatTurn, agentChatTurn } = require('../lib/chat');
+const { CITATION_MODES } = require('../lib/citations');
+const { VERIFY_METHODS } = require('../lib/groundedness');
+const { parseExpandMethods } = require('../lib/query-rewrite');
+const { resolveHybridConfig } = require('../lib/fusion');
 const { TurnOrchestrator } = require('../lib/turn-orchestrator');
 const { loadProject } = require('../lib/project');
 const { getMongoCollection } = require('../lib/mongo');
+const { resolveStoreConfig } = require('../lib/vector-store');
 const { setConfigValue, loadConfig } = require('../lib/config');
 const { KB_COLLECTION } = require('../kb/seeder');
 const { runWizard } = require('../lib/wizard');
 const { createCLIRenderer } = require('../lib/wizard-cli');
-const { chatSetupSteps } = require('../lib/wizard-steps-chat');
+const { chatSetupSteps, CUSTOM_MODEL } = require('../lib/wizard-steps-chat');
 const ui = require('../lib/ui');
 const chatUI = require('../lib/chat-ui');
 const pc = require('picocolors');
 const fs = require('fs');
+const path = require('path');
 
 const { moments } = require('../lib/robot-moments');
 const { ChatSessionStats } = require('../lib/chat-session-stats');
@@ -51,11 +57,18 @@ function registerChat(program) {
     .option('--db <name>', 'MongoDB database name')
     .option('--collection <name>', 'Collection with embedded documents')
     .option('--session <id>', 'Resume a previous chat session')
-    .option('--llm-provider <name>', 'LLM provider: anthropic, openai, ollama')
+    .option('--llm-provider <name>', 'LLM provider: anthropic, openai, gemini, ollama, bedrock, openai-compatible')
     .option('--llm-model <name>', 'Specific LLM model to use')
     .option('--llm-api-key <key>', 'LLM API key')
-    .option('--llm-base-url <url>', 'LLM API base URL (Ollama)')
+    .option('--llm-base-url <url>', 'LLM API base URL (Ollama, openai-compatible servers)')
+    .option('--llm-api-key-header <name>', 'Header that carries the LLM API key (e.g. api-key for Azure)')
+    .option('--llm-headers <json>', 'Extra LLM request headers as a JSON object')
+    .option('--llm-fallback <providers>', 'Fallback providers in order, e.g. bedrock,ollama:llama3.3')
+    .option('--no-llm-fallback', 'Ignore the configured fallback chain')
+    .option('--llm-retries <n>', 'Retries per LLM provider for rate limits and transient errors')
+    .option('--llm-timeout <ms>', 'Per-attempt LLM timeout (time to first token when streaming)')
     .option('--mode <mode>', 'Chat mode: pipeline (fixed RAG) or agent (tool-calling)', 'pipeline')
+    .option('--tool-permissions <rules>', 'Agent tool permissions, e.g. vai_ingest=allow,github_*=ask (allow, deny, ask)')
     .option('--max-context-docs <n>', 'Max retrieved documents for context', (v) => parseInt(v, 10), 5)
     .option('--max-turns <n>', 'Max conversation turns before truncation', (v) => parseInt(v, 10), 20)
     .option('--no-history', 'Disable MongoDB persistence (in-memory only)')
@@ -66,7 +79,24 @@ function registerChat(program) {
     .option('--system-prompt <text>', 'Override the system prompt')
     .option('--text-field <name>', 'Document text field name', 'text')
     .option('--filter <json>', 'MongoDB pre-filter for vector search')
+    .option('--store <type>', 'Vector store backend: mongodb, local')
+    .option('--hybrid', 'Hybrid retrieval: fuse vector and lexical (BM25) search')
+    .option('--search-index <name>', 'Atlas Search index for --hybrid (default: search_index)')
+    .option('--fusion <method>', 'Fusion method for --hybrid: rrf, weighted')
+    .option('--rrf-k <n>', 'Rank constant for RRF fusion (default: 60)', (v) => parseInt(v, 10))
+    .option('--vector-weight <n>', 'Weight of vector results in fusion, 0–1 (default: 0.5)', parseFloat)
+    .option('--parents', 'Give the LLM the parent sections of matched chunks (see vai pipeline --parents)')
+    .option('--no-parents', 'Use matched chunks even when the project stores parents')
+    .option('--parent-budget <tokens>', 'Max tokens of parent text per turn (default: 4000)', (v) => parseInt(v, 10))
+    .option('--rewrite', 'Rewrite follow-up messages into standalone search queries (default)')
+    .option('--no-rewrite', 'Search with each message exactly as typed')
+    .option('--expand <methods>', 'Query expansion, fused before reranking: multi, hyde, or multi,hyde')
+    .option('--expand-count <n>', 'Alternative queries for --expand multi (default: 3)', (v) => parseInt(v, 10))
+    .option('--verify [method]', 'Check each claim of the answer against the retrieved context: rerank (default) or llm')
+    .option('--verify-threshold <score>', 'Min rerank score for a supported claim, 0–1 (default: 0.5)', parseFloat)
+    .option('--invalid-citations <mode>', 'Citations to sources that were not retrieved: flag (warn) or drop (remove from the answer)')
     .option('--memory-strategy <name>', 'Memory strategy: sliding_window, summarization, hierarchical', 'sliding_window')
+    .option('--no-long-term-memory', 'Do not recall or save long-term memories about you')
     .option('--estimate', 'Show estimated per-turn cost breakdown and exit')
     .option('--replay <id>', 'Replay a stored session for debugging')
     .option('--list', 'List recent chat sessions and exit')
@@ -89,7 +119,7 @@ async function runChat(opts) {
     ? moments.startWaving('Starting vai chat')
     : null;
 
-  const { config: proj } = loadProject();
+  const { config: proj, filePath: projectFile } = loadProject();
   const chatConf = proj.chat || {};
 
   const globalConf = loadConfig();
@@ -167,6 +197,14 @@ async function runChat(opts) {
     process.exit(1);
   }
 
+  const invalidCitations = opts.invalidCitations || chatConf.invalidCitations || 'flag';
+  if (!CITATION_MODES.includes(invalidCitations)) {
+    if (startupAnim) startupAnim.stop();
+    console.error(ui.error(`Unknown --invalid-citations mode: ${invalidCitations}`));
+    console.error(`  Valid modes: ${CITATION_MODES.join(', ')}`);
+    process.exit(1);
+  }
+
   const doStream = opts.stream !== false;
   let systemPrompt = opts.systemPrompt || chatConf.systemPrompt;
 
@@ -174,6 +212,22 @@ async function runChat(opts) {
   const mode = opts.mode || chatConf.mode || 'pipeline';
   const isAgent = mode === 'agent';
 
+  // Tool permissions: .vai.json first, --tool-permissions overrides per tool
+  let toolPermissions = {};
+  if (isAgent) {
+    const { parseToolPermissions } = require('../lib/tool-permissions');
+    try {
+      toolPermissions = {
+        ...parseToolPermissions(chatConf.toolPermissions),
+        ...parseToolPermissions(opts.toolPermissions),
+      };
+    } catch (err) {
+      if (startupAnim) startupAnim.stop();
+      console.error(ui.error(err.message));
+      process.exit(1);
+    }
+  }
+
   // Validate DB + collection (required for pipeline, recommended for agent)
   let isKbMode = false;
   if (!isAgent && (!db || !collection)) {
@@ -220,6 +274,38 @@ async function runChat(opts) {
     }
   }
 
+  // Resolve query rewriting and expansion
+  const rewrite = opts.rewrite ?? chatConf.rewrite ?? true;
+  const expandCount = opts.expandCount ?? chatConf.expandCount;
+  let expand;
+  try {
+    expand = parseExpandMethods(opts.expand ?? chatConf.expand);
+  } catch (err) {
+    if (startupAnim) startupAnim.stop();
+    console.error(ui.error(err.message));
+    process.exit(1);
+  }
+
+  // Check the fusion settings now rather than on the first turn
+  try {
+    resolveHybridConfig(opts, proj.hybrid);
+  } catch (err) {
+    if (startupAnim) startupAnim.stop();
+    console.error(ui.error(err.message));
+    process.exit(1);
+  }
+
+  // Resolve --verify: bare flag means the reranker, or the LLM when running offline
+  const verifySetting = opts.verify ?? chatConf.verify;
+  const verify = verifySetting === true ? (isLocal ? 'llm' : 'rerank') : (verifySetting || null);
+  const verifyThreshold = opts.verifyThreshold ?? chatConf.verifyThreshold;
+  if (verify && !VERIFY_METHODS.includes(verify)) {
+    if (startupAnim) startupAnim.stop();
+    console.error(ui.error(`Unknown --verify method: ${verify}`));
+    console.error(`  Valid methods: ${VERIFY_METHODS.join(', ')}`);
+    process.exit(1);
+  }
+
   // Resolve LLM config — run interactive setup if missing
   let llmConfig = resolveLLMConfig(opts);
   if (!llmConfig.provider) {
@@ -246,7 +332,10 @@ async function runChat(opts) {
     // Persist to ~/.vai/config.json
     if (answers.provider) setConfigValue('llmProvider', answers.provider);
     if (answers.apiKey) setConfigValue('llmApiKey', answers.apiKey);
-    if (answers.model) setConfigValue('llmModel', answers.model);
+    if (answers.apiKeyHeader) setConfigValue('llmApiKeyHeader', answers.apiKeyHeader);
+    if (answers.baseUrl) setConfigValue('llmBaseUrl', answers.baseUrl);
+    const model = answers.model === CUSTOM_MODEL ? answers.customModel : answers.model;
+    if (model) setConfigValue('llmModel', model);
     if (answers.ollamaBaseUrl && answers.ollamaBaseUrl !== 'http://localhost:11434') {
       setConfigValue('llmBaseUrl', answers.ollamaBaseUrl);
     }
@@ -302,6 +391,7 @@ async function runChat(opts) {
       llmConfig,
       textField,
       local: isLocal,
+      store: resolveStoreConfig(opts).type,
     });
     if (startupAnim) startupAnim.stop();
 
@@ -452,12 +542,31 @@ async function runChat(opts) {
     memoryManager.setOpts({ recall: crossSessionRecall, currentSessionId: sessionId });
   }
 
+  // Long-term memories: recalled into each prompt, extracted at session end
+  let memoryStore = null;
+  if (opts.longTermMemory !== false && chatConf.longTermMemory !== false && sessionStore && !sessionStore.isFallbackMode) {
+    const { MemoryStore } = require('../lib/memory-store');
+    memoryStore = new MemoryStore({ db: db || 'vai' });
+    memoryManager.setMemoryStore(memoryStore);
+  }
+
   // Track whether a turn is currently in progress (for SIGINT handling)
   let turnInProgress = false;
 
   // Track tool calls from last agent response (for /tools and /export-workflow)
   let lastToolCalls = [];
 
+  // User-defined agent tools from .vai.json
+  let customTools = null;
+  if (isAgent && chatConf.tools) {
+    const { loadCustomTools } = require('../lib/custom-tools');
+    const { registerCustomTools } = require('../lib/tool-registry');
+    customTools = await loadCustomTools(chatConf.tools, {
+      baseDir: projectFile ? path.dirname(projectFile) : process.cwd(),
+    });
+    registerCustomTools(customTools.tools);
+  }
+
   // Stop startup spinner (covers agent mode and any remaining init)
   if (startupAnim) startupAnim.stop();
 
@@ -476,6 +585,15 @@ async function runChat(opts) {
       isLocalEmbed,
     }));
 
+    if (customTools) {
+      for (const { name, error } of customTools.errors) {
+        console.log(ui.warn(`Tool "${name}" not loaded: ${error}`));
+      }
+      if (customTools.tools.length > 0) {
+        console.log(pc.dim(`  ${customTools.tools.length} custom tool${customTools.tools.length === 1 ? '' : 's'} loaded (/tools to list)`));
+      }
+    }
+
     if (isKbMode) {
       console.log('');
       console.log(pc.bold('  Built-in Knowledge Base Mode'));
@@ -502,7 +620,7 @@ async function runChat(opts) {
   rl.prompt();
 
   rl.on('line', async (line) => {
-    const input = line.trim();
+    let input = line.trim();
     if (!input) {
       rl.prompt();
       return;
@@ -512,14 +630,19 @@ async function runChat(opts) {
     if (input.startsWith('/')) {
       const handled = await handleSlashCommand(input, {
         history, opts, db, collection, llm, rl, historyMongo,
-        isAgent, lastToolCalls, sessionStore, sessionId, memoryManager,
+        isAgent, lastToolCalls, sessionStore, sessionId, memoryManager, toolPermissions, memoryStore,
       });
       if (handled === 'quit') {
-        await cleanup(historyMongo, sessionStore, summaryStoreInstance);
+        await endSession();
+        await cleanup(historyMongo, sessionStore, summaryStoreInstance, customTools, memoryStore);
         process.exit(0);
       }
-      rl.prompt();
-      return;
+      if (!handled?.send) {
+        rl.prompt();
+        return;
+      }
+      // /branch <n>: send the edited (or repeated) message on the new branch
+      input = handled.send;
     }
 
     // Execute chat turn
@@ -529,13 +652,13 @@ async function runChat(opts) {
       if (isAgent) {
         lastToolCalls = await handleAgentTurn(input, {
           llm, history, opts, db, collection, systemPrompt, chatConf, sessionStats, orchestrator,
-          memoryManager,
+          memoryManager, toolPermissions, rl,
         });
       } else {
         await handlePipelineTurn(input, {
           db, collection, llm, history, opts,
-          maxDocs, doRerank, doStream, systemPrompt, textField, chatConf,
-          isLocal, embeddingModel, isLocalEmbed, sessionStats, orchestrator,
+          maxDocs, doRerank, doStream, systemPrompt, textField, chatConf, invalidCitations,
+          rewrite, expand, expandCount, verify, verifyThreshold, isLocal, embeddingModel, isLocalEmbed, sessionStats, orchestrator,
           memoryManager,
         });
       }
@@ -566,9 +689,29 @@ async function runChat(opts) {
     });
   }
 
+  // Save what is worth remembering from this session. Runs once, however
+  // the session ends (/quit, Ctrl+D, Ctrl+C).
+  let sessionEnded = false;
+  async function endSession() {
+    if (sessionEnded || !memoryStore || turnCount === 0) return;
+    sessionEnded = true;
+    const { rememberSession } = require('../lib/long-term-memory');
+    try {
+      const saved = await rememberSession({
+        turns: history.getMessages(), llm, store: memoryStore, sessionId: history.sessionId,
+      });
+      if (saved.length > 0 && !opts.quiet && !opts.json) {
+        console.log(pc.dim(`  Remembered ${saved.length} new fact${saved.length === 1 ? '' : 's'} about you (vai memory list to review)`));
+      }
+    } catch {
+      // Memory extraction is non-fatal
+    }
+  }
+
   rl.on('close', async () => {
     sendChatTelemetry();
-    await cleanup(historyMongo, sessionStore, summaryStoreInstance);
+    await endSession();
+    await cleanup(historyMongo, sessionStore, summaryStoreInstance, customTools, memoryStore);
     process.exit(0);
   });
 
@@ -580,7 +723,8 @@ async function runChat(opts) {
     } else {
       sendChatTelemetry();
       console.log('');
-      await cleanup(historyMongo, sessionStore, summaryStoreInstance);
+      await endSession();
+      await cleanup(historyMongo, sessionStore, summaryStoreInstance, customTools, memoryStore);
       process.exit(0);
     }
   });
@@ -590,7 +734,7 @@ async function runChat(opts) {
  * Handle a single pipeline mode turn.
  */
 async function handlePipelineTurn(input, ctx) {
-  const { db, collection, llm, history, opts, maxDocs, doRerank, doStream, systemPrompt, textField, chatConf, isLocal, embeddingModel, isLocalEmbed, sessionStats, orchestrator, memoryManager } = ctx;
+  const { db, collection, llm, history, opts, maxDocs, doRerank, doStream, systemPrompt, textField, chatConf, invalidCitations, rewrite, expand, expandCount, verify, verifyThreshold, isLocal, embeddingModel, isLocalEmbed, sessionStats, orchestrator, memoryManager } = ctx;
 
   // Build embedding options based on model selection
   let localOpts = {};
@@ -612,6 +756,9 @@ async function handlePipelineTurn(input, ctx) {
     // JSON mode — collect everything then output
     let fullResponse = '';
     let sources = [];
+    let citations = [];
+    let invalid = [];
+    let queries = null;
     let metadata = {};
 
     // Track state transitions for --json diagnostics
@@ -621,11 +768,15 @@ async function handlePipelineTurn(input, ctx) {
     });
 
     for await (const event of orchestrator.executePipelineTurn({
-      generatorFn: (args) => chatTurn({ query: input, db, collection, llm, history, opts: { maxDocs, rerank: doRerank, stream: false, systemPrompt, textField, filter: opts.filter, ...localOpts, memoryManager, memoryStrategy } }),
+      generatorFn: (args) => chatTurn({ query: input, db, collection, llm, history, opts: { maxDocs, rerank: doRerank, stream: false, systemPrompt, textField, filter: opts.filter, store: opts.store, hybrid: opts.hybrid, searchIndex: opts.searchIndex, fusion: opts.fusion, rrfK: opts.rrfK, vectorWeight: opts.vectorWeight, parents: opts.parents, parentBudget: opts.parentBudget, invalidCitations, rewrite, expand, expandCount, verify, verifyThreshold, ...localOpts, memoryManager, memoryStrategy } }),
     })) {
       if (event.type === 'chunk') fullResponse += event.data;
       if (event.type === 'done') {
+        fullResponse = event.data.fullResponse;
         sources = event.data.sources;
+        citations = event.data.citations;
+        invalid = event.data.invalidCitations;
+        queries = event.data.queries;
         metadata = event.data.metadata;
       }
       if (event.type === 'error') {
@@ -647,7 +798,10 @@ async function handlePipelineTurn(input, ctx) {
       turn: turnNum,
       query: input,
       response: fullResponse,
+      queries,
       sources,
+      citations,
+      invalidCitations: invalid,
       metadata,
       diagnostics,
       latency: {
@@ -663,6 +817,7 @@ async function handlePipelineTurn(input, ctx) {
     let retrievalShown = false;
     let activeSpinner = null;
     let streamRenderer = null;
+    let answerFlushed = false;
 
     // State-driven spinners: subscribe to state changes from the orchestrator
     if (showAnimations) {
@@ -680,7 +835,7 @@ async function handlePipelineTurn(input, ctx) {
 
     try {
       for await (const event of orchestrator.executePipelineTurn({
-        generatorFn: (args) => chatTurn({ query: input, db, collection, llm, history, opts: { maxDocs, rerank: doRerank, stream: doStream, systemPrompt, textField, filter: opts.filter, ...localOpts, memoryManager, memoryStrategy } }),
+        generatorFn: (args) => chatTurn({ query: input, db, collection, llm, history, opts: { maxDocs, rerank: doRerank, stream: doStream, systemPrompt, textField, filter: opts.filter, store: opts.store, hybrid: opts.hybrid, searchIndex: opts.searchIndex, fusion: opts.fusion, rrfK: opts.rrfK, vectorWeight: opts.vectorWeight, parents: opts.parents, parentBudget: opts.parentBudget, invalidCitations, rewrite, expand, expandCount, verify, verifyThreshold, ...localOpts, memoryManager, memoryStrategy } }),
       })) {
         if (event.type === 'interrupted') {
           if (activeSpinner) { activeSpinner.stop(); activeSpinner = null; }
@@ -714,9 +869,13 @@ async function handlePipelineTurn(input, ctx) {
         if (event.type === 'retrieval') {
           if (!opts.quiet && !retrievalShown) {
             if (activeSpinner) { activeSpinner.stop(); activeSpinner = null; }
-            const { docs, timeMs } = event.data;
+            const { docs, timeMs, queries } = event.data;
+            if (queries && queries.standalone !== queries.original) {
+              console.log(pc.dim(`  [searched for: ${queries.standalone}]`));
+            }
+            const fusedNote = queries?.expansions.length ? `, ${queries.expansions.length + 1} queries fused` : '';
             const rerankNote = isLocal ? ', reranking skipped' : '';
-            console.log(pc.dim(`  [${docs.length} docs retrieved in ${timeMs}ms${rerankNote}]`));
+            console.log(pc.dim(`  [${docs.length} docs retrieved in ${timeMs}ms${fusedNote}${rerankNote}]`));
             console.log('');
             retrievalShown = true;
           }
@@ -734,19 +893,41 @@ async function handlePipelineTurn(input, ctx) {
           streamRenderer.write(event.data);
         }
 
+        if (event.type === 'verifying') {
+          // Finish the answer before the check runs
+          if (streamRenderer) {
+            streamRenderer.flush();
+            streamRenderer = null;
+            answerFlushed = true;
+          }
+          if (activeSpinner) activeSpinner.stop();
+          if (showAnimations) {
+            activeSpinner = moments.startThinking(`Verifying claims (${event.data.method})...`);
+          }
+        }
+
         if (event.type === 'done') {
+          if (activeSpinner) { activeSpinner.stop(); activeSpinner = null; }
           // Flush any remaining buffered markdown
           if (streamRenderer) {
             streamRenderer.flush();
             streamRenderer = null;
-          } else {
+          } else if (!answerFlushed) {
             console.log('');
           }
 
-          // Show sources as box-drawn cards
-          const { sources } = event.data;
-          if (sources.length > 0 && chatConf.showSources !== false) {
-            console.log(chatUI.renderSources(sources));
+          // Show citations (or, if the answer cites nothing, sources) as box-drawn cards
+          const { sources, citations, invalidCitations: invalid } = event.data;
+          if (chatConf.showSources !== false) {
+            if (citations.length > 0 || invalid.length > 0) {
+              console.log(chatUI.renderCitations(citations, invalid, { dropped: invalidCitations === 'drop' }));
+            } else if (sources.length > 0) {
+              console.log(chatUI.renderSources(sources));
+            }
+          }
+
+          if (event.data.metadata?.verification) {
+            console.log(chatUI.renderVerification(event.data.metadata.verification));
           }
 
           // Brief success pose after successful response with sources
@@ -754,6 +935,9 @@ async function handlePipelineTurn(input, ctx) {
             moments.success();
           }
 
+          const fallbackNote = chatUI.renderFallbackNote(event.data.metadata);
+          if (fallbackNote) console.log(fallbackNote);
+
           // Show per-message latency
           if (!opts.quiet) {
             const { metadata } = event.data;
@@ -788,7 +972,7 @@ async function handlePipelineTurn(input, ctx) {
  * @returns {Array} Tool calls from this turn (for /tools and /export-workflow)
  */
 async function handleAgentTurn(input, ctx) {
-  const { llm, history, opts, db, collection, systemPrompt, chatConf, sessionStats, orchestrator, memoryManager } = ctx;
+  const { llm, history, opts, db, collection, systemPrompt, chatConf, sessionStats, orchestrator, memoryManager, toolPermissions, rl } = ctx;
   const showToolCalls = chatConf.showToolCalls !== undefined ? chatConf.showToolCalls : true;
   const toolCalls = [];
   const memoryStrategy = opts.memoryStrategy || chatConf.memoryStrategy || undefined;
@@ -810,7 +994,8 @@ async function handleAgentTurn(input, ctx) {
     });
 
     for await (const event of orchestrator.executeAgentTurn({
-      generatorFn: (args) => agentChatTurn({ query: input, llm, history, opts: { systemPrompt, db, collection, memoryManager, memoryStrategy } }),
+      // No one to ask in --json mode: calls that need approval are rejected
+      generatorFn: (args) => agentChatTurn({ query: input, llm, history, opts: { systemPrompt, db, collection, memoryManager, memoryStrategy, toolPermissions } }),
     })) {
       if (event.type === 'tool_call') {
         toolCalls.push(event.data);
@@ -868,9 +1053,18 @@ async function handleAgentTurn(input, ctx) {
       });
     }
 
+    // Pause the spinner and ask before running tools whose permission is "ask"
+    const approveToolCall = async (request) => {
+      if (activeSpinner) { activeSpinner.stop(); activeSpinner = null; }
+      return promptToolApproval(rl, request);
+    };
+
     try {
       for await (const event of orchestrator.executeAgentTurn({
-        generatorFn: (args) => agentChatTurn({ query: input, llm, history, opts: { systemPrompt, db, collection, memoryManager, memoryStrategy } }),
+        generatorFn: (args) => agentChatTurn({
+          query: input, llm, history,
+          opts: { systemPrompt, db, collection, memoryManager, memoryStrategy, toolPermissions, approveToolCall },
+        }),
       })) {
         if (event.type === 'interrupted') {
           if (activeSpinner) { activeSpinner.stop(); activeSpinner = null; }
@@ -935,6 +1129,9 @@ async function handleAgentTurn(input, ctx) {
             console.log('');
           }
 
+          const fallbackNote = chatUI.renderFallbackNote(event.data.metadata);
+          if (fallbackNote) console.log(fallbackNote);
+
           // Show per-message latency
           if (!opts.quiet) {
             const { metadata } = event.data;
@@ -971,7 +1168,7 @@ async function handleAgentTurn(input, ctx) {
  * @returns {'quit'|true|false} - 'quit' to exit, true if handled, false if unknown
  */
 async function handleSlashCommand(input, ctx) {
-  const { history, opts, db, collection, llm, rl, isAgent, lastToolCalls, sessionStore, sessionId, memoryManager } = ctx;
+  const { history, opts, db, collection, llm, rl, isAgent, lastToolCalls, sessionStore, sessionId, memoryManager, toolPermissions, memoryStore } = ctx;
   const parts = input.split(/\s+/);
   const cmd = parts[0].toLowerCase();
 
@@ -987,15 +1184,20 @@ async function handleSlashCommand(input, ctx) {
       console.log('  /sources    Show sources from last response');
       console.log('  /session    Display current session ID');
       console.log('  /history    List recent chat sessions');
-      console.log('  /context    Show retrieved context from last query');
+      console.log('  /context    Show search queries and retrieved context from last query');
       console.log('  /clear      Clear conversation history');
       console.log('  /model      Show or switch LLM model (/model <name>)');
       console.log('  /sessions   List recent sessions');
       console.log('  /memory     Show memory strategy and utilization');
+      console.log('  /remember [text]  Remember a fact about you in future sessions, or list what is remembered');
+      console.log('  /forget <text|id>  Forget remembered facts containing <text>, or by ID');
       console.log('  /archive    Archive current session');
       console.log('  /export [format] [file]  Export conversation (markdown, json, pdf)');
+      console.log('  /branch <n> [text]  Branch before message n and resend it, or send [text] instead');
+      console.log('  /branches   List branches of this conversation');
+      console.log('  /switch <name>  Continue on another branch');
       if (isAgent) {
-        console.log('  /tools      Show tool calls from last response');
+        console.log('  /tools      List available tools and the last response\'s tool calls');
         console.log('  /export-workflow  Export last tool sequence as workflow');
       }
       console.log('  /help       Show this help');
@@ -1015,6 +1217,7 @@ async function handleSlashCommand(input, ctx) {
 
     case '/session':
       console.log(`  Session: ${history.sessionId}`);
+      console.log(`  Branch: ${history.branch}`);
       console.log(`  Turns: ${Math.floor(history.turns.length / 2)}`);
       if (isAgent) {
         console.log(`  Mode: agent (tool-calling)`);
@@ -1029,6 +1232,11 @@ async function handleSlashCommand(input, ctx) {
         console.log(pc.dim('  No context available yet.'));
       } else {
         console.log('');
+        const queries = history.getLastQueries();
+        if (queries) {
+          console.log(chatUI.renderQueries(queries));
+          console.log('');
+        }
         for (const doc of lastCtx) {
           console.log(pc.bold(`  [${doc.source}]`));
           const preview = (doc.text || '').substring(0, 300);
@@ -1072,6 +1280,128 @@ async function handleSlashCommand(input, ctx) {
       console.log(pc.dim('  Conversation cleared.'));
       return true;
 
+    case '/branch': {
+      const userTurns = history.turns.filter(t => t.role === 'user');
+      const n = parseInt(parts[1], 10);
+      if (!parts[1]) {
+        if (userTurns.length === 0) {
+          console.log(pc.dim('  No messages on this branch yet.'));
+          return true;
+        }
+        console.log('');
+        console.log(pc.bold(`  Messages on ${history.branch}:`));
+        userTurns.forEach((t, i) => {
+          console.log(`    ${String(i + 1).padStart(2)}. ${chatUI.truncate(t.content.replace(/\s+/g, ' '), 70)}`);
+        });
+        console.log('');
+        console.log(pc.dim('  /branch <n> resends message n on a new branch; /branch <n> <text> sends <text> instead.'));
+        return true;
+      }
+      if (!Number.isInteger(n) || n < 1 || n > userTurns.length) {
+        console.log(pc.red(`  No message ${parts[1]} on this branch. Run /branch to list them.`));
+        return true;
+      }
+      const target = userTurns[n - 1];
+      const edited = input.replace(/^\/branch\s+\S+\s*/i, '').trim();
+      try {
+        const branch = await history.fork({ at: target.turnIndex });
+        console.log(pc.dim(`  Branched from ${branch.parent} at message ${n}: now on ${pc.bold(branch.name)} (/switch ${branch.parent} to go back)`));
+      } catch (err) {
+        console.log(pc.red(`  ${err.message}`));
+        return true;
+      }
+      return { send: edited || target.content };
+    }
+
+    case '/remember': {
+      if (!memoryStore) {
+        console.log(pc.dim('  Long-term memory not available (no MongoDB connection, or disabled).'));
+        return true;
+      }
+      const text = input.replace(/^\/remember\s*/i, '').trim();
+      try {
+        if (!text) {
+          const memories = await memoryStore.list({ limit: 20 });
+          if (memories.length === 0) {
+            console.log(pc.dim('  Nothing remembered yet. Use /remember <text> to add a fact.'));
+            return true;
+          }
+          console.log('');
+          for (const m of memories) {
+            console.log(`  ${pc.dim(m._id.slice(0, 8))}  ${m.text}`);
+          }
+          console.log('');
+          return true;
+        }
+        const result = await memoryStore.remember({ text, source: 'manual', sessionId: history.sessionId });
+        if (!result) {
+          console.log(pc.red('  Could not save the memory.'));
+        } else {
+          console.log(pc.dim(result.created ? `  Remembered (${result.memory._id.slice(0, 8)}).` : '  Already remembered.'));
+        }
+      } catch (err) {
+        console.log(pc.red(`  ${err.message}`));
+      }
+      return true;
+    }
+
+    case '/forget': {
+      if (!memoryStore) {
+        console.log(pc.dim('  Long-term memory not available (no MongoDB connection, or disabled).'));
+        return true;
+      }
+      const target = input.replace(/^\/forget\s*/i, '').trim();
+      if (!target) {
+        console.log(pc.dim('  Usage: /forget <text|id>. Run /remember to list memories.'));
+        return true;
+      }
+      try {
+        const byId = /^[0-9a-f-]{4,}$/i.test(target) ? await memoryStore.delete(target) : null;
+        const forgotten = byId ? [byId] : await memoryStore.forget(target);
+        if (forgotten.length === 0) {
+          console.log(pc.dim(`  No memory matches "${target}".`));
+        } else {
+          for (const m of forgotten) console.log(pc.dim(`  Forgot: ${m.text}`));
+        }
+      } catch (err) {
+        console.log(pc.red(`  ${err.message}`));
+      }
+      return true;
+    }
+
+    case '/branches': {
+      const branches = await history.listBranches();
+      console.log('');
+      for (const b of branches) {
+        const marker = b.current ? pc.green('*') : ' ';
+        const origin = b.parent ? pc.dim(` from ${b.parent} at turn ${b.forkIndex}`) : '';
+        console.log(`  ${marker} ${pc.bold(b.name)}  ${b.turnCount} turn${b.turnCount === 1 ? '' : 's'}${origin}`);
+      }
+      console.log('');
+      return true;
+    }
+
+    case '/switch': {
+      if (!parts[1]) {
+        console.log(pc.dim('  Usage: /switch <branch>. Run /branches to list them.'));
+        return true;
+      }
+      try {
+        await history.switchBranch(parts[1]);
+      } catch (err) {
+        console.log(pc.red(`  ${err.message}`));
+        return true;
+      }
+      console.log(pc.dim(`  Switched to ${pc.bold(history.branch)}.`));
+      const lastUser = [...history.turns].reverse().find(t => t.role === 'user');
+      const lastAnswer = history.turns[history.turns.length - 1];
+      if (lastUser) console.log(`  ${pc.bold(pc.cyan('You:'))} ${chatUI.truncate(lastUser.content.replace(/\s+/g, ' '), 100)}`);
+      if (lastAnswer?.role === 'assistant') {
+        console.log(`  ${pc.bold(pc.green('Assistant:'))} ${chatUI.truncate(lastAnswer.content.replace(/\s+/g, ' '), 100)}`);
+      }
+      return true;
+    }
+
     case '/model':
     case '/models': {
       if (parts.length > 1) {
@@ -1144,16 +1474,29 @@ async function handleSlashCommand(input, ctx) {
         console.log(pc.dim('  /tools is only available in agent mode (--mode agent).'));
         return true;
       }
+      const { listTools } = require('../lib/tool-registry');
+      const { resolveToolPermission } = require('../lib/tool-permissions');
+      const available = listTools();
+      const nameWidth = Math.max(...available.map(t => t.name.length));
+      console.log('');
+      console.log(pc.bold(`  Available tools (${available.length}):`));
+      for (const tool of available) {
+        const permission = resolveToolPermission(tool.name, toolPermissions, { sideEffects: tool.sideEffects });
+        const badge = permission === 'ask' ? pc.yellow('  [ask]') : permission === 'deny' ? pc.red('  [deny]') : '';
+        console.log(`    ${tool.name.padEnd(nameWidth)}  ${pc.dim(tool.source)}${badge}`);
+      }
+      console.log('');
       if (!lastToolCalls || lastToolCalls.length === 0) {
         console.log(pc.dim('  No tool calls from the last response.'));
         return true;
       }
-      console.log('');
       console.log(pc.bold(`  Tool calls (${lastToolCalls.length}):`));
       console.log('');
       for (let i = 0; i < lastToolCalls.length; i++) {
         const tc = lastToolCalls[i];
-        const status = tc.error ? pc.red('FAILED') : ui.green('OK');
+        const status = tc.approval === 'denied' || tc.approval === 'rejected'
+          ? pc.yellow(tc.approval.toUpperCase())
+          : tc.error ? pc.red('FAILED') : ui.green('OK');
         console.log(`  ${i + 1}. ${pc.bold(tc.name)} [${status}] (${tc.timeMs}ms)`);
 
         // Show args
@@ -1302,6 +1645,7 @@ async function handleSlashCommand(input, ctx) {
       console.log('');
       console.log(`  Strategy:     ${pc.cyan(strategyName)}`);
       console.log(`  Available:    ${availableStrategies.join(', ')}`);
+      console.log(`  Long-term:    ${memoryStore ? 'on (/remember to list)' : pc.dim('off')}`);
 
       // Token budget breakdown
       const { MemoryBudget } = require('../lib/memory-budget');
@@ -1351,7 +1695,43 @@ async function handleSlashCommand(input, ctx) {
   }
 }
 
-async function cleanup(mongo, store, summaryStore) {
+/**
+ * Ask the user to approve, edit or reject an agent tool call.
+ * @param {readline.Interface} rl
+ * @param {{name: string, args: object}} request
+ * @returns {Promise<{decision: string, args?: object, reason?: string}>}
+ */
+async function promptToolApproval(rl, request) {
+  const ask = (question, prefill) => new Promise((resolve) => {
+    rl.question(question, resolve);
+    if (prefill) rl.write(prefill);
+  });
+
+  console.log(chatUI.renderToolApproval(request));
+  for (;;) {
+    const answer = (await ask(`  ${pc.bold('[y]')}es / ${pc.bold('[e]')}dit arguments / ${pc.bold('[n]')}o: `)).trim().toLowerCase();
+    if (answer === 'y' || answer === 'yes') {
+      return { decision: 'approve' };
+    }
+    if (answer === 'e' || answer === 'edit') {
+      const edited = await ask('  Arguments (JSON): ', JSON.stringify(request.args));
+      try {
+        const args = JSON.parse(edited);
+        if (!args || typeof args !== 'object' || Array.isArray(args)) throw new Error('expected a JSON object');
+        return { decision: 'edit', args };
+      } catch (err) {
+        console.log(pc.red(`  Invalid arguments: ${err.message}`));
+        continue;
+      }
+    }
+    if (answer === 'n' || answer === 'no') {
+      const reason = (await ask('  Reason for the agent (optional): ')).trim();
+      return { decision: 'reject', ...(reason && { reason }) };
+    }
+  }
+}
+
+async function cleanup(mongo, store, summaryStore, customTools, memoryStore) {
   if (mongo?.client) {
     try { await mongo.client.close(); } catch { /* ignore */ }
   }
@@ -1361,6 +1741,12 @@ async function cleanup(mongo, store, summaryStore) {
   if (summaryStore) {
     try { await summaryStore.close(); } catch { /* ignore */ }
   }
+  if (memoryStore) {
+    try { await memoryStore.close(); } catch { /* ignore */ }
+  }
+  if (customTools) {
+    await customTools.close();
+  }
 }
 
 function getVersion() {
@@ -1416,6 +1802,7 @@ async function replaySession(opts, db) {
         mode: session.mode || 'pipeline',
         lifecycleState: session.lifecycleState || 'unknown',
         createdAt: session.createdAt,
+        branch: session.activeBranch || 'main',
         turnCount: turns.length,
         turns: turns.map(t => ({
           turnIndex: t.turnIndex,
@@ -1438,7 +1825,7 @@ async function replaySession(opts, db) {
         console.log(pc.bold(`  Session Replay: ${opts.replay.slice(0, 8)}...`));
         console.log(pc.dim(`  Model: ${session.model || 'unknown'} | Provider: ${session.provider || 'unknown'} | Mode: ${session.mode || 'pipeline'}`));
         console.log(pc.dim(`  State: ${session.lifecycleState || 'unknown'} | Created: ${session.createdAt ? new Date(session.createdAt).toLocaleString() : 'unknown'}`));
-        console.log(pc.dim(`  ${turns.length} turn${turns.length !== 1 ? 's' : ''}`));
+        console.log(pc.dim(`  ${turns.length} turn${turns.length !== 1 ? 's' : ''} on branch ${session.activeBranch || 'main'}`));
         console.log(pc.dim('  ' + '\u2501'.repeat(50)));
         console.log('');
       }
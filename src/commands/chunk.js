@@ -2,11 +2,13 @@
 
 const fs = require('fs');
 const path = require('path');
-const { chunk, estimateTokens, STRATEGIES, DEFAULTS } = require('../lib/chunker');
+const { chunkWithMetadata, chunkSemantic, estimateTokens, STRATEGIES, EMBEDDING_STRATEGIES, DEFAULTS, SEMANTIC_DEFAULTS } = require('../lib/chunker');
 const { readFile, scanDirectory, isSupported, getReaderType } = require('../lib/readers');
 const { loadProject, mergeOptions } = require('../lib/project');
 const ui = require('../lib/ui');
 
+const CHUNK_STRATEGIES = [...STRATEGIES, ...EMBEDDING_STRATEGIES];
+
 /**
  * Format a number with commas.
  */
@@ -30,6 +32,46 @@ function buildMetadata(filePath, basePath, index, total) {
   };
 }
 
+/**
+ * Render the similarity curve of a semantic chunking run: one row per gap
+ * between adjacent sentences, with its similarity, a bar scaled to the
+ * curve's range, and a marker where a chunk boundary was placed.
+ * @param {string} file - Label for the header line
+ * @param {object} analysis - Result of chunkSemantic()
+ * @param {object} [opts]
+ * @param {number} [opts.width=24] - Bar width
+ * @param {boolean} [opts.fixedThreshold] - Threshold was given explicitly
+ * @returns {string[]} Lines
+ */
+function formatSemanticExplain(file, analysis, opts = {}) {
+  const width = opts.width || 24;
+  const { units, similarities, threshold, breakpoints } = analysis;
+  const source = opts.fixedThreshold ? 'fixed' : `${SEMANTIC_DEFAULTS.percentile}th percentile`;
+  const lines = [
+    ui.bold(file) + ui.dim(` — ${units.length} sentences → ${analysis.chunks.length} chunks`
+      + (threshold != null ? `, threshold ${threshold.toFixed(3)} (${source})` : '')),
+  ];
+  if (similarities.length === 0) {
+    lines.push(ui.dim('  Nothing to compare (single sentence).'));
+    return lines;
+  }
+
+  const min = Math.min(...similarities);
+  const range = Math.max(...similarities) - min || 1;
+  const cuts = new Map(breakpoints.map(b => [b.after, b.reason]));
+  const digits = String(similarities.length).length;
+
+  similarities.forEach((sim, i) => {
+    const filled = Math.max(1, Math.round(((sim - min) / range) * width));
+    const bar = '█'.repeat(filled) + ' '.repeat(width - filled);
+    const preview = units[i + 1].length > 48 ? units[i + 1].slice(0, 47) + '…' : units[i + 1];
+    const reason = cuts.get(i);
+    const marker = reason ? ui.red(`✂ ${reason.padEnd(10)}`) : ' '.repeat(12);
+    lines.push(`  ${String(i + 1).padStart(digits)} ${sim.toFixed(3)} ${sim <= threshold ? ui.red(bar) : ui.cyan(bar)} ${marker} ${ui.dim(preview)}`);
+  });
+  return lines;
+}
+
 /**
  * Register the chunk command on a Commander program.
  * @param {import('commander').Command} program
@@ -38,10 +80,14 @@ function registerChunk(program) {
   program
     .command('chunk [input]')
     .description('Chunk documents for embedding — files, directories, or stdin')
-    .option('-s, --strategy <strategy>', `Chunking strategy: ${STRATEGIES.join(', ')}`)
+    .option('-s, --strategy <strategy>', `Chunking strategy: ${CHUNK_STRATEGIES.join(', ')}`)
     .option('-c, --chunk-size <n>', 'Target chunk size in characters', (v) => parseInt(v, 10))
     .option('--overlap <n>', 'Overlap between chunks in characters', (v) => parseInt(v, 10))
     .option('--min-size <n>', 'Minimum chunk size (drop smaller)', (v) => parseInt(v, 10))
+    .option('--semantic-threshold <n>', 'Semantic strategy: similarity below which to split (default: auto)', parseFloat)
+    .option('--explain', 'Semantic strategy: show the similarity curve and chosen breakpoints')
+    .option('-m, --model <model>', 'Embedding model for the semantic strategy')
+    .option('--local', 'Use local voyage-4-nano for the semantic strategy (no API key required)')
     .option('-o, --output <path>', 'Output file (JSONL). Omit for stdout')
     .option('--text-field <name>', 'Text field name for JSON/JSONL input', 'text')
     .option('--extensions <exts>', 'Comma-separated file extensions to include when scanning directories')
@@ -69,10 +115,15 @@ function registerChunk(program) {
           overlap,
         });
 
-        if (!STRATEGIES.includes(strategy)) {
-          console.error(ui.error(`Unknown strategy: "${strategy}". Available: ${STRATEGIES.join(', ')}`));
+        if (!CHUNK_STRATEGIES.includes(strategy)) {
+          console.error(ui.error(`Unknown strategy: "${strategy}". Available: ${CHUNK_STRATEGIES.join(', ')}`));
           process.exit(1);
         }
+        if (opts.explain && strategy !== 'semantic') {
+          console.error(ui.error('--explain requires --strategy semantic.'));
+          process.exit(1);
+        }
+        const semanticThreshold = opts.semanticThreshold != null ? opts.semanticThreshold : chunkConfig.semanticThreshold;
 
         // Resolve input files
         const files = resolveInput(input, opts);
@@ -105,6 +156,18 @@ function registerChunk(program) {
 
         const allChunks = [];
         const fileStats = [];
+        const explanations = [];
+        let embedTokens = 0;
+        let embed = null;
+        if (strategy === 'semantic') {
+          const { createEmbedder } = require('../lib/api');
+          const { getDefaultModel } = require('../lib/catalog');
+          embed = createEmbedder({
+            model: opts.model || projectConfig.model || getDefaultModel(),
+            local: opts.local,
+            onUsage: (tokens) => { embedTokens += tokens; },
+          });
+        }
 
         const showProgress = !opts.json && !opts.quiet && files.length > 1;
         if (showProgress) {
@@ -136,18 +199,26 @@ function registerChunk(program) {
               // Auto-detect markdown for .md files when using default strategy
               const useStrategy = (strategy === 'recursive' && filePath.endsWith('.md')) ? 'markdown' : strategy;
 
-              const chunks = chunk(item.text, {
-                strategy: useStrategy,
-                size: chunkSize,
-                overlap,
-                minSize,
-              });
+              let chunks;
+              if (useStrategy === 'semantic') {
+                const analysis = await chunkSemantic(item.text, { embed, size: chunkSize, minSize, threshold: semanticThreshold });
+                chunks = analysis.chunks;
+                if (opts.explain) explanations.push({ file: relPath, analysis });
+              } else {
+                chunks = chunkWithMetadata(item.text, {
+                  strategy: useStrategy,
+                  size: chunkSize,
+                  overlap,
+                  minSize,
+                });
+              }
 
               for (let ci = 0; ci < chunks.length; ci++) {
                 allChunks.push({
-                  text: chunks[ci],
+                  text: chunks[ci].text,
                   metadata: {
                     ...item.metadata,
+                    ...chunks[ci].metadata,
                     ...buildMetadata(filePath, basePath, ci, chunks.length),
                   },
                 });
@@ -173,7 +244,13 @@ function registerChunk(program) {
         }
 
         // Output
-        if (opts.json) {
+        if (opts.explain && !opts.json) {
+          for (const { file, analysis } of explanations) {
+            console.log(formatSemanticExplain(file, analysis, { fixedThreshold: semanticThreshold != null }).join('\n'));
+            console.log('');
+          }
+          if (embedTokens > 0) console.log(ui.dim(`Embedded ${fmtNum(embedTokens)} tokens to compare sentences.`));
+        } else if (opts.json) {
           const output = {
             totalChunks: allChunks.length,
             totalTokens: allChunks.reduce((sum, c) => sum + estimateTokens(c.text), 0),
@@ -183,6 +260,16 @@ function registerChunk(program) {
             files: fileStats,
             chunks: allChunks,
           };
+          if (strategy === 'semantic') output.embedTokens = embedTokens;
+          if (opts.explain) {
+            output.explain = explanations.map(({ file, analysis }) => ({
+              file,
+              threshold: analysis.threshold,
+              sentences: analysis.units,
+              similarities: analysis.similarities,
+              breakpoints: analysis.breakpoints,
+            }));
+          }
           const jsonStr = JSON.stringify(output, null, 2);
           if (opts.output) {
             fs.writeFileSync(opts.output, jsonStr + '\n');
@@ -226,6 +313,7 @@ function registerChunk(program) {
           console.log(ui.label('Chunks', fmtNum(allChunks.length)));
           console.log(ui.label('Avg chunk', `${fmtNum(avgChunkSize)} chars (~${fmtNum(Math.round(avgChunkSize / 4))} tokens)`));
           console.log(ui.label('Est. tokens', `~${fmtNum(totalTokens)}`));
+          if (embedTokens > 0) console.log(ui.label('Chunking cost', `${fmtNum(embedTokens)} tokens embedded to find boundaries`));
 
           // Cost hint
           const pricePerMToken = 0.12; // voyage-4-large default
@@ -284,4 +372,4 @@ function resolveInput(input, opts) {
   return [];
 }
 
-module.exports = { registerChunk };
+module.exports = { registerChunk, formatSemanticExplain };
@@ -149,6 +149,7 @@ async function checkApiConnection() {
 const LLM_KEY_HINTS = {
   anthropic: 'Get a key at: https://console.anthropic.com/settings/keys\n         Set via: vai config set llm-api-key YOUR_KEY',
   openai: 'Get a key at: https://platform.openai.com/api-keys\n         Set via: vai config set llm-api-key YOUR_KEY',
+  gemini: 'Get a key at: https://aistudio.google.com/apikey\n         Set via: vai config set llm-api-key YOUR_KEY',
   ollama: null,
   bedrock: 'Set via: export AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY\n         or: ~/.aws/credentials file\n         or: vai config set aws-access-key-id YOUR_KEY',
 };
@@ -173,6 +174,22 @@ async function checkLLMKey() {
     };
   }
 
+  // OpenAI-compatible servers need a URL; the key is optional (local servers)
+  if (config.provider === 'openai-compatible') {
+    if (!config.baseUrl) {
+      return {
+        ok: false,
+        message: 'openai-compatible — no server URL set',
+        hint: 'Set via: vai config set llm-base-url http://localhost:8000/v1',
+      };
+    }
+    return {
+      ok: true,
+      message: `openai-compatible (${config.baseUrl}${config.apiKey ? ', key set' : ', no key'})`,
+      hint: null,
+    };
+  }
+
   // Bedrock uses AWS credentials, not an API key
   if (config.provider === 'bedrock') {
     const { resolveAWSCredentials } = require('../lib/aws');
@@ -238,7 +255,8 @@ async function checkLLMConnection() {
     };
   }
 
-  if (config.provider !== 'ollama' && config.provider !== 'bedrock' && !config.apiKey) {
+  const keyless = ['ollama', 'bedrock', 'openai-compatible'];
+  if (!keyless.includes(config.provider) && !config.apiKey) {
     return {
       ok: false,
       message: 'Skipped (no API key)',
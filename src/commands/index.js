@@ -11,48 +11,58 @@ const ui = require('../lib/ui');
 function registerIndex(program) {
   const indexCmd = program
     .command('index')
-    .description('Manage Atlas Vector Search indexes');
+    .description('Manage Atlas Vector Search and Atlas Search indexes');
 
   // ── index create ──
   indexCmd
     .command('create')
-    .description('Create a vector search index')
+    .description('Create a vector search index (or an Atlas Search index with --type search)')
     .requiredOption('--db <database>', 'Database name')
     .requiredOption('--collection <name>', 'Collection name')
-    .requiredOption('--field <name>', 'Embedding field name')
+    .requiredOption('--field <name>', 'Embedding field name (text field for --type search)')
+    .option('-t, --type <type>', 'Index type: vector, search (lexical BM25 for hybrid query)', 'vector')
     .option('-d, --dimensions <n>', 'Vector dimensions', (v) => parseInt(v, 10), getDefaultDimensions())
     .option('-s, --similarity <type>', 'Similarity function: cosine, dotProduct, euclidean', 'cosine')
-    .option('-n, --index-name <name>', 'Index name', 'vector_index')
+    .option('-n, --index-name <name>', 'Index name (default: vector_index, or search_index for --type search)')
     .option('--json', 'Machine-readable JSON output')
     .option('-q, --quiet', 'Suppress non-essential output')
     .action(async (opts) => {
       let client;
+      const isSearch = opts.type === 'search';
+      const indexName = opts.indexName || (isSearch ? 'search_index' : 'vector_index');
       try {
+        if (opts.type !== 'vector' && !isSearch) {
+          console.error(ui.error(`Unknown index type: "${opts.type}". Available: vector, search`));
+          process.exit(1);
+        }
+
         const useColor = !opts.json;
         const useSpinner = useColor && !opts.quiet;
         let spin;
         if (useSpinner) {
-          spin = ui.spinner('Creating vector search index...');
+          spin = ui.spinner(isSearch ? 'Creating Atlas Search index...' : 'Creating vector search index...');
           spin.start();
         }
 
         const { client: c, collection } = await getMongoCollection(opts.db, opts.collection);
         client = c;
 
-        const indexDef = {
-          name: opts.indexName,
-          type: 'vectorSearch',
-          definition: {
-            fields: [
-              {
-                type: 'vector',
-                path: opts.field,
-                numDimensions: parseInt(opts.dimensions, 10) || getDefaultDimensions(),
-                similarity: opts.similarity,
-              },
-            ],
-          },
-        };
+        const indexDef = isSearch
+          ? buildSearchIndexDefinition(indexName, opts.field)
+          : {
+            name: indexName,
+            type: 'vectorSearch',
+            definition: {
+              fields: [
+                {
+                  type: 'vector',
+                  path: opts.field,
+                  numDimensions: parseInt(opts.dimensions, 10) || getDefaultDimensions(),
+                  similarity: opts.similarity,
+                },
+              ],
+            },
+          };
 
         const result = await collection.createSearchIndex(indexDef);
 
@@ -61,18 +71,25 @@ function registerIndex(program) {
         if (opts.json) {
           console.log(JSON.stringify({ indexName: result, definition: indexDef }, null, 2));
         } else if (!opts.quiet) {
-          console.log(ui.success(`Vector search index created: "${result}"`));
+          console.log(ui.success(`${isSearch ? 'Atlas Search' : 'Vector search'} index created: "${result}"`));
           console.log(ui.label('Database', opts.db));
           console.log(ui.label('Collection', opts.collection));
           console.log(ui.label('Field', opts.field));
-          console.log(ui.label('Dimensions', String(opts.dimensions)));
-          console.log(ui.label('Similarity', opts.similarity));
+          if (isSearch) {
+            console.log(ui.label('Analyzer', 'lucene.standard'));
+          } else {
+            console.log(ui.label('Dimensions', String(opts.dimensions)));
+            console.log(ui.label('Similarity', opts.similarity));
+          }
           console.log('');
           console.log(ui.dim('Note: Index may take a few minutes to become ready.'));
+          if (isSearch) {
+            console.log(ui.dim(`Use it with: vai query "..." --hybrid --search-index ${result}`));
+          }
         }
       } catch (err) {
         if (err.message && err.message.includes('already exists')) {
-          console.error(ui.error(`Index "${opts.indexName}" already exists on ${opts.db}.${opts.collection}`));
+          console.error(ui.error(`Index "${indexName}" already exists on ${opts.db}.${opts.collection}`));
           console.error(ui.dim('Use a different --index-name or delete the existing index first.'));
         } else {
           console.error(ui.error(err.message));
@@ -184,4 +201,27 @@ function registerIndex(program) {
     });
 }
 
-module.exports = { registerIndex };
+/**
+ * Build an Atlas Search (lexical) index definition over a text field.
+ * Static mapping keeps the index small; the standard analyzer tokenizes
+ * identifiers like error codes and SKUs as whole terms.
+ * @param {string} name - Index name
+ * @param {string} field - Text field to index
+ * @returns {object}
+ */
+function buildSearchIndexDefinition(name, field) {
+  return {
+    name,
+    type: 'search',
+    definition: {
+      mappings: {
+        dynamic: false,
+        fields: {
+          [field]: { type: 'string', analyzer: 'lucene.standard' },
+        },
+      },
+    },
+  };
+}
+
+module.exports = { registerIndex, buildSearchIndexDefinition };
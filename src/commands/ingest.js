@@ -2,9 +2,13 @@
 
 const fs = require('fs');
 const path = require('path');
-const { getDefaultModel } = require('../lib/catalog');
-const { generateEmbeddings, getModelBatchTokenLimit, createTokenAwareBatches } = require('../lib/api');
+const { getDefaultModel, DEFAULT_CONTEXTUAL_MODEL, isContextualizedModel } = require('../lib/catalog');
+const {
+  generateEmbeddings, generateContextualizedEmbeddings,
+  getModelBatchTokenLimit, createTokenAwareBatches, createContextualBatches,
+} = require('../lib/api');
 const { getMongoCollection } = require('../lib/mongo');
+const { chunkIds, fileSourceKey, CheckpointJournal } = require('../lib/checkpoint');
 const ui = require('../lib/ui');
 const { formatNanoError } = require('../nano/nano-errors.js');
 
@@ -159,6 +163,24 @@ function parseFile(filePath, format, options = {}) {
   return { documents, textKey: 'text' };
 }
 
+/**
+ * Group records by the source document they were chunked from
+ * (`metadata.source`, then `source`); records naming none belong to the
+ * input file itself.
+ * @param {object[]} documents
+ * @param {string} sourceFile - Fallback source
+ * @returns {number[][]} Record indexes per source, in file order
+ */
+function groupBySourceDocument(documents, sourceFile) {
+  const groups = new Map();
+  documents.forEach((doc, i) => {
+    const source = doc.metadata?.source ?? doc.source ?? sourceFile;
+    if (!groups.has(source)) groups.set(source, []);
+    groups.get(source).push(i);
+  });
+  return [...groups.values()];
+}
+
 /**
  * Rough token estimate (~4 chars per token).
  * @param {string[]} texts
@@ -205,19 +227,32 @@ function registerIngest(program) {
     .option('--text-column <name>', 'CSV column to embed (required for CSV)')
     .option('--text-field <name>', 'JSON/JSONL field containing text to embed', 'text')
     .option('--local', 'Use local voyage-4-nano model (no API key required)')
+    .option('--contextual', `Embed records from the same source document together with a contextualized model (default: ${DEFAULT_CONTEXTUAL_MODEL})`)
     .option('--dry-run', 'Parse file and show stats without embedding or inserting')
     .option('--strict', 'Abort on first batch error')
+    .option('--resume', 'Resume an interrupted run from its checkpoint journal')
     .option('--json', 'Machine-readable JSON output')
     .option('-q, --quiet', 'Suppress progress, show only final summary')
-    .action(async (opts) => {
+    .action(async (opts, command) => {
       const telemetry = require('../lib/telemetry');
+      if (opts.contextual && !opts.local && !isContextualizedModel(opts.model) &&
+          command.getOptionValueSource('model') === 'default') {
+        opts.model = DEFAULT_CONTEXTUAL_MODEL;
+      }
       const ingestModel = opts.local ? 'voyage-4-nano' : opts.model;
+      const contextual = isContextualizedModel(ingestModel);
       const done = telemetry.timer('cli_ingest', {
         model: ingestModel,
         local: !!opts.local,
         inputType: opts.inputType,
         batchSize: opts.batchSize,
+        contextual,
       });
+
+      if (opts.contextual && !contextual) {
+        console.error(ui.error(`--contextual needs a contextualized model such as ${DEFAULT_CONTEXTUAL_MODEL}; "${ingestModel}" is not one.`));
+        process.exit(1);
+      }
       const startTime = Date.now();
 
       // Validate file exists
@@ -262,13 +297,30 @@ function registerIngest(program) {
       }
 
       const texts = documents.map(d => d[textKey]);
-      const ingestTokenLimit = opts.local
-        ? Infinity
-        : getModelBatchTokenLimit(ingestModel);
-      const ingestBatches = createTokenAwareBatches(texts, {
-        maxItems: opts.batchSize,
-        maxTokens: ingestTokenLimit,
+      const sourceFile = path.basename(opts.file);
+
+      // Deterministic IDs make re-runs and resumed batches upsert, not duplicate
+      const ids = chunkIds(fileSourceKey(opts.file), texts);
+      documents.forEach((doc, i) => {
+        if (doc._id == null) doc._id = ids[i];
       });
+      // Contextualized models take whole source documents per request
+      // instead of --batch-size records
+      let ingestBatches, contextGroups, contextRequests;
+      if (contextual) {
+        contextGroups = groupBySourceDocument(documents, sourceFile);
+        contextRequests = createContextualBatches(contextGroups.map(g => g.map(i => texts[i])));
+        ingestBatches = contextRequests.map(ranges =>
+          ranges.flatMap(r => contextGroups[r.doc].slice(r.start, r.end)));
+      } else {
+        const ingestTokenLimit = opts.local
+          ? Infinity
+          : getModelBatchTokenLimit(ingestModel);
+        ingestBatches = createTokenAwareBatches(texts, {
+          maxItems: opts.batchSize,
+          maxTokens: ingestTokenLimit,
+        });
+      }
       const totalBatches = ingestBatches.length;
 
       // Dry run mode
@@ -281,6 +333,7 @@ function registerIngest(program) {
             documents: documents.length,
             batches: totalBatches,
             batchSize: opts.batchSize,
+            contextual,
             estimatedTokens: estimated,
             model: ingestModel,
             textField: textKey,
@@ -290,7 +343,9 @@ function registerIngest(program) {
           console.log(ui.label('File', opts.file));
           console.log(ui.label('Format', format));
           console.log(ui.label('Documents', String(documents.length)));
-          console.log(ui.label('Batches', `${totalBatches} (batch size: up to ${opts.batchSize})`));
+          console.log(ui.label('Batches', contextual
+            ? `${totalBatches} (${contextGroups.length} source documents, sent whole)`
+            : `${totalBatches} (batch size: up to ${opts.batchSize})`));
           console.log(ui.label('Est. tokens', `~${estimated.toLocaleString()}`));
           console.log(ui.label('Model', ingestModel));
           console.log(ui.label('Text field', textKey));
@@ -311,39 +366,90 @@ function registerIngest(program) {
         let failed = 0;
         const errors = [];
         let embedded = 0;
+        let resumed = 0;
+
+        const journal = new CheckpointJournal({
+          command: 'ingest',
+          job: {
+            file: path.resolve(opts.file),
+            db: opts.db,
+            collection: opts.collection,
+            field: opts.field,
+            model: ingestModel,
+            dimensions: opts.dimensions || null,
+            inputType: opts.inputType,
+          },
+        });
+        const checkpoint = opts.resume ? await journal.load() : null;
 
         if (!opts.quiet && !opts.json) {
+          if (checkpoint) {
+            process.stderr.write(ui.dim(`Resuming interrupted run from ${checkpoint.startedAt}\n`));
+          } else if (opts.resume) {
+            process.stderr.write(ui.dim('No checkpoint found — starting from the beginning\n'));
+          } else if (journal.exists()) {
+            process.stderr.write(ui.dim('Discarding checkpoint of an interrupted run (use --resume to continue it)\n'));
+          }
           process.stderr.write('Ingesting documents...\n');
         }
+        journal.start({ resume: !!checkpoint });
 
         for (let b = 0; b < ingestBatches.length; b++) {
           const batchNum = b + 1;
-          const indices = ingestBatches[b];
+          // Skip documents an interrupted run already stored
+          const indices = ingestBatches[b].filter(i => !(checkpoint && checkpoint.inserted.has(String(documents[i]._id))));
+          resumed += ingestBatches[b].length - indices.length;
           const batch = indices.map(i => documents[i]);
-          const batchTexts = indices.map(i => texts[i]);
 
           try {
-            let embedResult;
-            if (opts.local) {
-              const { generateLocalEmbeddings } = require('../nano/nano-local.js');
-              embedResult = await generateLocalEmbeddings(batchTexts, {
-                inputType: opts.inputType,
-                dimensions: opts.dimensions,
-              });
-            } else {
-              embedResult = await generateEmbeddings(batchTexts, {
-                model: opts.model,
-                inputType: opts.inputType,
-                dimensions: opts.dimensions,
-              });
+            // Reuse vectors the interrupted run paid for but never stored
+            const vectors = batch.map(doc => (checkpoint && checkpoint.embedded.get(String(doc._id))) || null);
+            const missing = batch.map((_, j) => j).filter(j => !vectors[j]);
+
+            if (missing.length > 0) {
+              const batchTexts = missing.map(j => texts[indices[j]]);
+              let embedResult;
+              if (opts.local) {
+                const { generateLocalEmbeddings } = require('../nano/nano-local.js');
+                embedResult = await generateLocalEmbeddings(batchTexts, {
+                  inputType: opts.inputType,
+                  dimensions: opts.dimensions,
+                });
+              } else if (contextual) {
+                // Send every record of the batch's documents, stored or not, for context
+                const ranges = contextRequests[b];
+                const result = await generateContextualizedEmbeddings(
+                  ranges.map(r => contextGroups[r.doc].slice(r.start, r.end).map(i => texts[i])),
+                  { model: ingestModel, inputType: opts.inputType, dimensions: opts.dimensions },
+                );
+                const byRecord = new Map();
+                for (const docResult of result.data) {
+                  const range = ranges[docResult.index];
+                  for (const item of docResult.data) {
+                    byRecord.set(contextGroups[range.doc][range.start + item.index], item.embedding);
+                  }
+                }
+                embedResult = {
+                  data: missing.map(j => ({ embedding: byRecord.get(indices[j]) })),
+                  usage: result.usage,
+                };
+              } else {
+                embedResult = await generateEmbeddings(batchTexts, {
+                  model: opts.model,
+                  inputType: opts.inputType,
+                  dimensions: opts.dimensions,
+                });
+              }
+              missing.forEach((j, k) => { vectors[j] = embedResult.data[k].embedding; });
+              journal.recordEmbedded(missing.map(j => String(batch[j]._id)), missing.map(j => vectors[j]));
+              totalTokens += embedResult.usage?.total_tokens || 0;
             }
 
             // Attach embeddings + source metadata to documents
-            const sourceFile = path.basename(opts.file);
             for (let j = 0; j < batch.length; j++) {
-              batch[j][opts.field] = embedResult.data[j].embedding;
+              batch[j][opts.field] = vectors[j];
               batch[j].model = opts.local ? 'voyage-4-nano' : opts.model;
-              batch[j].dimensions = embedResult.data[j].embedding.length;
+              batch[j].dimensions = vectors[j].length;
               batch[j].ingestedAt = new Date();
               // Ensure every document has a source label for chat display
               if (!batch[j].source) {
@@ -361,10 +467,15 @@ function registerIngest(program) {
               }
             }
 
-            // Insert batch into MongoDB
-            await collection.insertMany(batch);
+            // Upsert batch into MongoDB
+            if (batch.length > 0) {
+              await collection.bulkWrite(
+                batch.map(doc => ({ replaceOne: { filter: { _id: doc._id }, replacement: doc, upsert: true } })),
+                { ordered: false },
+              );
+              journal.recordInserted(batch.map(doc => String(doc._id)));
+            }
 
-            totalTokens += embedResult.usage?.total_tokens || 0;
             succeeded += batch.length;
           } catch (err) {
             failed += batch.length;
@@ -376,6 +487,7 @@ function registerIngest(program) {
               }
               console.error(ui.error(`Batch ${batchNum} failed: ${err.message}`));
               console.error(ui.error('Aborting (--strict mode).'));
+              console.error(ui.dim('  Re-run with --resume to continue from the last stored batch.'));
               process.exit(1);
             }
 
@@ -384,7 +496,7 @@ function registerIngest(program) {
             }
           }
 
-          embedded += indices.length;
+          embedded += ingestBatches[b].length;
 
           // Update progress
           if (!opts.quiet && !opts.json) {
@@ -403,6 +515,9 @@ function registerIngest(program) {
           process.stderr.write('\n');
         }
 
+        // Keep the journal while any batch failed so --resume can retry just those
+        if (failed === 0) journal.complete();
+
         const duration = ((Date.now() - startTime) / 1000).toFixed(1);
         const rate = (succeeded / (duration > 0 ? duration : 1)).toFixed(1);
 
@@ -419,6 +534,9 @@ function registerIngest(program) {
             durationSeconds: parseFloat(duration),
             docsPerSecond: parseFloat(rate),
           };
+          if (checkpoint) {
+            summary.resumed = resumed;
+          }
           if (errors.length > 0) {
             summary.errors = errors;
           }
@@ -427,7 +545,10 @@ function registerIngest(program) {
           if (failed === 0) {
             console.log(ui.success(`Ingested ${succeeded} documents into ${opts.db}.${opts.collection}`));
           } else {
-            console.log(ui.warn(`Ingested ${succeeded} of ${documents.length} documents into ${opts.db}.${opts.collection} (${failed} failed)`));
+            console.log(ui.warn(`Ingested ${succeeded + resumed} of ${documents.length} documents into ${opts.db}.${opts.collection} (${failed} failed)`));
+          }
+          if (resumed > 0) {
+            console.log(ui.label('Resumed', `${resumed} documents already stored by the interrupted run`));
           }
           console.log(ui.label('Batches', String(totalBatches)));
           console.log(ui.label('Tokens', totalTokens.toLocaleString()));
@@ -440,6 +561,7 @@ function registerIngest(program) {
             for (const e of errors) {
               console.log(`  Batch ${e.batch}: ${e.error}`);
             }
+            console.log(ui.dim('  Re-run with --resume to retry only the failed batches.'));
           }
         }
         done({ format, docCount: succeeded });
@@ -464,5 +586,6 @@ module.exports = {
   parseFile,
   parseCSVLine,
   estimateTokens,
+  groupBySourceDocument,
   updateProgress,
 };
@@ -0,0 +1,103 @@
+'use strict';
+
+const pc = require('picocolors');
+const ui = require('../lib/ui');
+
+/**
+ * Resolve the database vai chat keeps sessions (and memories) in.
+ */
+function resolveMemoryDb(options) {
+  const { loadProject } = require('../lib/project');
+  const { loadConfig } = require('../lib/config');
+  const { config: proj } = loadProject();
+  const kbConf = loadConfig().kb || {};
+  return options.db || kbConf.db || (kbConf.collection ? 'vai' : null) || proj.db || 'vai';
+}
+
+/**
+ * Format a memory for `vai memory list`.
+ * @param {object} m - Stored memory
+ * @returns {string}
+ */
+function formatMemory(m) {
+  const origin = m.source === 'extracted' && m.sessionId
+    ? `from session ${String(m.sessionId).slice(0, 8)}`
+    : m.source;
+  const details = [m.kind, origin, m.createdAt ? new Date(m.createdAt).toLocaleDateString() : null];
+  if (m.expiresAt) details.push(`expires ${new Date(m.expiresAt).toLocaleDateString()}`);
+  return `  ${pc.bold(m._id.slice(0, 8))}  ${m.text}\n            ${pc.dim(details.filter(Boolean).join(' · '))}`;
+}
+
+function registerMemory(program) {
+  const memory = program
+    .command('memory')
+    .description('Review the long-term memories vai chat keeps about you');
+
+  // ── vai memory list ───────────────────────────────────────────────
+  memory
+    .command('list')
+    .description('List remembered facts, newest first')
+    .option('--db <database>', 'Database name')
+    .option('-l, --limit <n>', 'Maximum memories', (v) => parseInt(v, 10), 100)
+    .option('--json', 'Machine-readable output')
+    .action(async (options) => {
+      const { MemoryStore } = require('../lib/memory-store');
+      const store = new MemoryStore({ db: resolveMemoryDb(options) });
+      try {
+        const memories = await store.list({ limit: options.limit });
+        if (options.json) {
+          console.log(JSON.stringify(memories, null, 2));
+          return;
+        }
+        if (memories.length === 0) {
+          console.log(pc.dim('  No memories yet. vai chat saves them at the end of a session, or add one with /remember.'));
+          return;
+        }
+        console.log('');
+        for (const m of memories) console.log(formatMemory(m));
+        console.log('');
+        console.log(pc.dim('  Delete with: vai memory delete <id>'));
+      } catch (err) {
+        console.error(ui.error(`Failed to list memories: ${err.message}`));
+        process.exitCode = 1;
+      } finally {
+        await store.close();
+      }
+    });
+
+  // ── vai memory delete ─────────────────────────────────────────────
+  memory
+    .command('delete <ids...>')
+    .description('Delete memories by ID (or a unique ID prefix)')
+    .option('--db <database>', 'Database name')
+    .option('--json', 'Machine-readable output')
+    .action(async (ids, options) => {
+      const { MemoryStore } = require('../lib/memory-store');
+      const store = new MemoryStore({ db: resolveMemoryDb(options) });
+      const deleted = [];
+      const missing = [];
+      try {
+        for (const id of ids) {
+          const m = await store.delete(id);
+          if (m) deleted.push(m);
+          else missing.push(id);
+        }
+      } catch (err) {
+        console.error(ui.error(`Failed to delete memories: ${err.message}`));
+        process.exitCode = 1;
+        return;
+      } finally {
+        await store.close();
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify({ deleted: deleted.map(m => m._id), missing }));
+      } else {
+        for (const m of deleted) console.log(ui.success(`Deleted ${m._id.slice(0, 8)}: ${m.text}`));
+        for (const id of missing) console.log(ui.warn(`No memory with ID ${id}`));
+      }
+      if (missing.length > 0) process.exitCode = 1;
+    });
+}
+
+module.exports = { registerMemory, formatMemory, resolveMemoryDb };
@@ -2,15 +2,28 @@
 
 const fs = require('fs');
 const path = require('path');
-const { chunk, estimateTokens, STRATEGIES } = require('../lib/chunker');
+const { chunkWithMetadata, chunkSemantic, estimateTokens, STRATEGIES, EMBEDDING_STRATEGIES } = require('../lib/chunker');
 const { readFile, scanDirectory, isSupported, getReaderType } = require('../lib/readers');
 const { loadProject } = require('../lib/project');
-const { getDefaultModel } = require('../lib/catalog');
-const { generateEmbeddings, getModelBatchTokenLimit, createTokenAwareBatches } = require('../lib/api');
-const { getMongoCollection } = require('../lib/mongo');
+const { getDefaultModel, DEFAULT_CONTEXTUAL_MODEL, isContextualizedModel } = require('../lib/catalog');
+const {
+  generateEmbeddings, generateContextualizedEmbeddings, createEmbedder,
+  getModelBatchTokenLimit, createTokenAwareBatches, createContextualBatches,
+} = require('../lib/api');
+const { createVectorStore } = require('../lib/vector-store');
+const {
+  SYNC_PROJECTION, hashChunk, chunkConfigFingerprint, groupBySource, isSourceUnchanged, diffSource,
+} = require('../lib/incremental');
+const { chunkIds, fileSourceKey, CheckpointJournal } = require('../lib/checkpoint');
+const { PARENT_MODES, DEFAULT_PARENT_SIZE, defaultParentCollection } = require('../lib/parents');
 const ui = require('../lib/ui');
 const { formatNanoError } = require('../nano/nano-errors.js');
 
+/** Max ids per `$in` lookup/delete when syncing incrementally. */
+const ID_BATCH_SIZE = 1000;
+
+const PIPELINE_STRATEGIES = [...STRATEGIES, ...EMBEDDING_STRATEGIES];
+
 /**
  * Format number with commas.
  */
@@ -18,6 +31,13 @@ function fmtNum(n) {
   return n.toLocaleString('en-US');
 }
 
+/**
+ * One-line summary of incremental sync counts.
+ */
+function formatSyncCounts({ added, updated, removed, unchanged }) {
+  return `${fmtNum(added)} added, ${fmtNum(updated)} updated, ${fmtNum(removed)} removed, ${fmtNum(unchanged)} unchanged`;
+}
+
 /**
  * Resolve input path(s) to file list.
  */
@@ -40,6 +60,228 @@ function resolveFiles(input, opts) {
   return [];
 }
 
+/**
+ * Split a file's reader items into parents. `document` mode keeps one
+ * parent per file (per record for JSON/JSONL); `section` mode splits items
+ * on headings and at `size` characters.
+ * @param {Array<{text: string, metadata: object}>} items
+ * @param {object} opts
+ * @param {'section'|'document'} opts.mode
+ * @param {number} opts.size
+ * @param {boolean} opts.records - Items are independent records
+ * @returns {Array<{text: string, metadata: object, record: number}>}
+ */
+function parentUnits(items, { mode, size, records }) {
+  if (mode === 'document') {
+    if (records) return items.map((item, record) => ({ ...item, record }));
+    return [{
+      text: items.map(item => item.text).join('\n\n'),
+      metadata: items.length === 1 ? items[0].metadata : {},
+      record: 0,
+    }];
+  }
+  return items.flatMap((item, record) =>
+    chunkWithMetadata(item.text, { strategy: 'structured', size, overlap: 0, minSize: 1 })
+      .map(piece => ({ text: piece.text, metadata: { ...item.metadata, ...piece.metadata }, record })));
+}
+
+/**
+ * Read and chunk files into documents ready to embed.
+ *
+ * Every chunk is stamped with `content_hash`, `source_mtime` and
+ * `chunk_config`. When `stored` (existing chunks grouped by source) is
+ * given, the plan is incremental: unchanged files are skipped without
+ * being read, changed files reuse the vectors of chunks whose hash is
+ * unchanged, and the stored chunks they replace are listed in `staleIds`.
+ * With `sweepVanished`, stored sources that no longer exist on disk are
+ * removed too.
+ *
+ * Chunks and parents record the `basePath` they were ingested from as
+ * `source_root`, since one collection may hold several directories. Stored
+ * docs of another root are left alone, and only docs recorded under this
+ * root are swept (docs from before `source_root` existed never are).
+ * IDs derive from the file's own path (see fileSourceKey), not the path
+ * relative to the root, so two roots holding `README.md` do not overwrite
+ * each other's docs.
+ *
+ * The semantic strategy needs `embed` (see createEmbedder) and honors
+ * `semanticThreshold`.
+ *
+ * Chunks are tagged with the `group` (source document) they are embedded
+ * with by contextualized models: the file, or the record for JSON/JSONL.
+ * With such a model a changed file reuses no vectors, since every chunk's
+ * vector depends on its neighbours.
+ *
+ * With `parents` ('section' or 'document'), each file is first split into
+ * parents (see parentUnits), which are returned in `parents`; chunks are
+ * cut from them and carry the `parentId` of the one they came from.
+ * `replacedSources` lists the sources whose stored parents are superseded.
+ *
+ * @param {string[]} files - Absolute file paths
+ * @param {object} opts
+ * @returns {Promise<{chunks: object[], parents: object[], replacedSources: string[], staleIds: any[], counts: object, fileErrors: object[], skippedFiles: number}>}
+ *   Each chunk is `{ id, text, metadata, group, parentId?, reuse }` where `id` is its deterministic `_id` and
+ *   `reuse` is the stored doc whose vector it can keep, or null. Parents are `{ id, text, metadata }`.
+ */
+async function buildIngestPlan(files, {
+  basePath, strategy, chunkSize, overlap, textField, model, dimensions, stored = null, sweepVanished = false, verbose = false,
+  embed = null, semanticThreshold, parents = null, parentSize = DEFAULT_PARENT_SIZE,
+}) {
+  const chunkConfig = chunkConfigFingerprint({
+    model, dimensions, strategy, chunkSize, overlap, textField, semanticThreshold, parents, parentSize,
+  });
+  const contextual = isContextualizedModel(model);
+  const chunks = [];
+  const parentDocs = [];
+  const replacedSources = [];
+  const staleIds = [];
+  const counts = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+  const fileErrors = [];
+  const seenSources = new Set();
+  let skippedFiles = 0;
+
+  // Docs stored from another root are not ours to replace or remove
+  const ownDoc = (doc) => !doc.metadata?.source_root || doc.metadata.source_root === basePath;
+
+  for (const filePath of files) {
+    const relPath = path.relative(basePath, filePath);
+    seenSources.add(relPath);
+    const storedDocs = stored ? (stored.get(relPath) || []).filter(ownDoc) : [];
+
+    try {
+      const sourceMtime = fs.statSync(filePath).mtime.toISOString();
+
+      if (storedDocs.length > 0 && isSourceUnchanged(storedDocs, { mtime: sourceMtime, chunkConfig })) {
+        counts.unchanged += storedDocs.length;
+        skippedFiles++;
+        continue;
+      }
+
+      const content = await readFile(filePath, { textField });
+      const texts = typeof content === 'string'
+        ? [{ text: content, metadata: {} }]
+        : content;
+
+      const recordGroups = ['json', 'jsonl'].includes(getReaderType(filePath));
+      const units = parents
+        ? parentUnits(texts, { mode: parents, size: parentSize, records: recordGroups })
+        : texts.map((item, record) => ({ ...item, record }));
+      const sourceKey = fileSourceKey(filePath);
+      const parentIds = parents ? chunkIds(`parent:${sourceKey}`, units.map(u => u.text)) : [];
+      if (parents) {
+        units.forEach((unit, pi) => parentDocs.push({
+          id: parentIds[pi],
+          text: unit.text,
+          metadata: {
+            ...unit.metadata,
+            source: relPath,
+            source_root: basePath,
+            parent_index: pi,
+            total_parents: units.length,
+            source_mtime: sourceMtime,
+          },
+        }));
+      }
+
+      const fileChunks = [];
+      for (let ii = 0; ii < units.length; ii++) {
+        const item = units[ii];
+        const useStrategy = (strategy === 'recursive' && filePath.endsWith('.md'))
+          ? 'markdown' : strategy;
+
+        const pieces = useStrategy === 'semantic'
+          ? (await chunkSemantic(item.text, { embed, size: chunkSize, threshold: semanticThreshold })).chunks
+          : chunkWithMetadata(item.text, {
+            strategy: useStrategy,
+            size: chunkSize,
+            overlap,
+          });
+
+        for (let ci = 0; ci < pieces.length; ci++) {
+          fileChunks.push({
+            text: pieces[ci].text,
+            group: recordGroups ? `${relPath}#${item.record}` : relPath,
+            ...(parents ? { parentId: parentIds[ii] } : {}),
+            metadata: {
+              ...item.metadata,
+              ...pieces[ci].metadata,
+              source: relPath,
+              source_root: basePath,
+              chunk_index: ci,
+              total_chunks: pieces.length,
+              content_hash: hashChunk(pieces[ci].text, { model, dimensions }),
+              source_mtime: sourceMtime,
+              chunk_config: chunkConfig,
+            },
+          });
+        }
+      }
+
+      const ids = chunkIds(sourceKey, fileChunks.map(c => c.text));
+      const { reused, counts: diff } = diffSource(fileChunks, storedDocs);
+      if (contextual && (diff.added || diff.updated || diff.removed)) reused.fill(null);
+      fileChunks.forEach((c, i) => chunks.push({ id: ids[i], ...c, reuse: reused[i] }));
+      for (const key of Object.keys(counts)) counts[key] += diff[key];
+      for (const doc of storedDocs) staleIds.push(doc._id);
+      replacedSources.push(relPath);
+
+      if (verbose) console.log(`  ${ui.green('✓')} ${relPath} → ${chunks.length} chunks total`);
+    } catch (err) {
+      fileErrors.push({ file: relPath, error: err.message });
+      if (verbose) console.error(`  ${ui.red('✗')} ${relPath}: ${err.message}`);
+    }
+  }
+
+  if (stored && sweepVanished) {
+    for (const [source, allDocs] of stored) {
+      if (seenSources.has(source) || fs.existsSync(path.resolve(basePath, source))) continue;
+      const docs = allDocs.filter(d => d.metadata?.source_root === basePath);
+      if (docs.length === 0) continue;
+      counts.removed += docs.length;
+      for (const doc of docs) staleIds.push(doc._id);
+      replacedSources.push(source);
+      if (verbose) console.log(`  ${ui.red('−')} ${source} (removed)`);
+    }
+  }
+
+  return { chunks, parents: parentDocs, replacedSources, staleIds, counts, fileErrors, skippedFiles };
+}
+
+/**
+ * Collect the chunks to send together to a contextualized model: every
+ * group with a pending chunk, whole, so each vector sees its full document.
+ * @param {object[]} chunks - Plan chunks
+ * @param {number[]} pending - Indexes of chunks that need a vector
+ * @returns {number[][]} Chunk indexes per group, in document order
+ */
+function contextGroups(chunks, pending) {
+  const wanted = new Set(pending.map(i => chunks[i].group));
+  const groups = new Map();
+  chunks.forEach((c, i) => {
+    if (!wanted.has(c.group)) return;
+    if (!groups.has(c.group)) groups.set(c.group, []);
+    groups.get(c.group).push(i);
+  });
+  return [...groups.values()];
+}
+
+/**
+ * Load the vectors of stored docs that a plan reuses.
+ * @returns {Promise<Map<string, object>>} Stored docs keyed by String(_id)
+ */
+async function loadReusedVectors(store, plan, field) {
+  const ids = plan.chunks.filter(c => c.reuse).map(c => c.reuse._id);
+  const byId = new Map();
+  for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+    const docs = await store.find(
+      { _id: { $in: ids.slice(i, i + ID_BATCH_SIZE) } },
+      { project: { [field]: 1, _model: 1, _embeddedAt: 1 } },
+    );
+    for (const doc of docs) byId.set(String(doc._id), doc);
+  }
+  return byId;
+}
+
 /**
  * Register the pipeline command on a Commander program.
  * @param {import('commander').Command} program
@@ -57,19 +299,27 @@ function registerPipeline(program) {
     .option('-s, --strategy <strategy>', 'Chunking strategy')
     .option('-c, --chunk-size <n>', 'Target chunk size in characters', (v) => parseInt(v, 10))
     .option('--overlap <n>', 'Overlap between chunks', (v) => parseInt(v, 10))
+    .option('--semantic-threshold <n>', 'Semantic strategy: similarity below which to split (default: auto)', parseFloat)
+    .option('--parents <mode>', 'Also store parent chunks for small-to-big retrieval: section, document')
+    .option('--parent-size <n>', `Max parent size in characters for --parents section (default: ${DEFAULT_PARENT_SIZE})`, (v) => parseInt(v, 10))
+    .option('--parent-collection <name>', 'Collection for parents (default: <collection>_parents)')
     .option('--batch-size <n>', 'Texts per embedding API call', (v) => parseInt(v, 10), 25)
     .option('--store-batch-size <n>', 'Documents per MongoDB insert (avoid EPIPE on large runs)', (v) => parseInt(v, 10), 100)
     .option('--text-field <name>', 'Text field for JSON/JSONL input', 'text')
     .option('--extensions <exts>', 'File extensions to include')
     .option('--ignore <dirs>', 'Directory names to skip', 'node_modules,.git,__pycache__')
     .option('--local', 'Use local voyage-4-nano model (no API key required)')
+    .option('--contextual', `Embed each document's chunks together with a contextualized model (default: ${DEFAULT_CONTEXTUAL_MODEL})`)
+    .option('--store <type>', 'Vector store backend: mongodb, local')
+    .option('--incremental', 'Only embed new or changed chunks; remove chunks whose source changed or was deleted')
+    .option('--resume', 'Resume an interrupted run from its checkpoint journal')
     .option('--create-index', 'Auto-create vector search index if it doesn\'t exist')
     .option('--dry-run', 'Show what would happen without executing')
     .option('--estimate', 'Show estimated tokens and cost without executing')
     .option('--json', 'Machine-readable JSON output')
     .option('-q, --quiet', 'Suppress non-essential output')
     .action(async (input, opts) => {
-      let client;
+      let store;
       const telemetry = require('../lib/telemetry');
       try {
         // Merge project config
@@ -84,6 +334,13 @@ function registerPipeline(program) {
         if (opts.local) {
           model = 'voyage-4-nano';
         }
+        if (opts.contextual && !isContextualizedModel(model)) {
+          if (opts.local || opts.model) {
+            console.error(ui.error(`--contextual needs a contextualized model such as ${DEFAULT_CONTEXTUAL_MODEL}; "${model}" is not one.`));
+            process.exit(1);
+          }
+          model = DEFAULT_CONTEXTUAL_MODEL;
+        }
         const dimensions = opts.dimensions || proj.dimensions;
         const strategy = opts.strategy || projChunk.strategy || 'recursive';
         const chunkSize = opts.chunkSize || projChunk.size || 512;
@@ -91,11 +348,21 @@ function registerPipeline(program) {
         const batchSize = opts.batchSize || 25;
         const storeBatchSize = opts.storeBatchSize ?? 100;
         const textField = opts.textField || 'text';
+        const projParents = proj.parents || {};
+        const parents = opts.parents || projParents.mode || null;
+        const parentSize = opts.parentSize || projParents.size || DEFAULT_PARENT_SIZE;
 
         if (!db || !collection) {
           console.error(ui.error('Database and collection required. Use --db/--collection or "vai init".'));
           process.exit(1);
         }
+        if (parents && !PARENT_MODES.includes(parents)) {
+          console.error(ui.error(`Unknown parent mode: "${parents}". Available: ${PARENT_MODES.join(', ')}`));
+          process.exit(1);
+        }
+        const parentCollection = parents
+          ? (opts.parentCollection || projParents.collection || defaultParentCollection(collection))
+          : null;
 
         const done = telemetry.timer('cli_pipeline', {
           model,
@@ -103,10 +370,13 @@ function registerPipeline(program) {
           chunkStrategy: strategy,
           chunkSize,
           createIndex: !!opts.createIndex,
+          incremental: !!opts.incremental,
+          contextual: isContextualizedModel(model),
+          parents,
         });
 
-        if (!STRATEGIES.includes(strategy)) {
-          console.error(ui.error(`Unknown strategy: "${strategy}". Available: ${STRATEGIES.join(', ')}`));
+        if (!PIPELINE_STRATEGIES.includes(strategy)) {
+          console.error(ui.error(`Unknown strategy: "${strategy}". Available: ${PIPELINE_STRATEGIES.join(', ')}`));
           process.exit(1);
         }
 
@@ -128,65 +398,47 @@ function registerPipeline(program) {
           console.log(ui.bold('🚀 Pipeline: chunk → embed → store'));
           console.log(ui.dim(`  Files: ${files.length} | Strategy: ${strategy} | Model: ${model}`));
           console.log(ui.dim(`  Target: ${db}.${collection} (field: ${field})`));
+          if (parents) console.log(ui.dim(`  Parents: ${parents} → ${db}.${parentCollection}`));
           console.log('');
         }
 
+        store = createVectorStore({ db, collection, store: opts.store });
+        const stored = opts.incremental
+          ? groupBySource(await store.find({ 'metadata.content_hash': { $exists: true } }, { project: SYNC_PROJECTION }))
+          : null;
+        let chunkingTokens = 0;
+        const planOpts = {
+          basePath, strategy, chunkSize, overlap, textField, dimensions, stored, parents, parentSize,
+          sweepVanished: fs.statSync(path.resolve(input)).isDirectory(),
+          semanticThreshold: opts.semanticThreshold != null ? opts.semanticThreshold : projChunk.semanticThreshold,
+          embed: strategy === 'semantic'
+            ? createEmbedder({ model, dimensions, local: opts.local, onUsage: (t) => { chunkingTokens += t; } })
+            : null,
+        };
+
         // Step 2: Chunk all files
         if (verbose) console.log(ui.bold('Step 1/3 — Chunking'));
 
-        const allChunks = [];
-        let totalInputChars = 0;
-        const fileErrors = [];
+        let plan = await buildIngestPlan(files, { ...planOpts, model, verbose });
+        const { fileErrors } = plan;
 
-        for (const filePath of files) {
-          const relPath = path.relative(basePath, filePath);
-          try {
-            const content = await readFile(filePath, { textField });
-            const texts = typeof content === 'string'
-              ? [{ text: content, metadata: {} }]
-              : content;
-
-            for (const item of texts) {
-              const useStrategy = (strategy === 'recursive' && filePath.endsWith('.md'))
-                ? 'markdown' : strategy;
-
-              const chunks = chunk(item.text, {
-                strategy: useStrategy,
-                size: chunkSize,
-                overlap,
-              });
-
-              totalInputChars += item.text.length;
-
-              for (let ci = 0; ci < chunks.length; ci++) {
-                allChunks.push({
-                  text: chunks[ci],
-                  metadata: {
-                    ...item.metadata,
-                    source: relPath,
-                    chunk_index: ci,
-                    total_chunks: chunks.length,
-                  },
-                });
-              }
-            }
-
-            if (verbose) console.log(`  ${ui.green('✓')} ${relPath} → ${allChunks.length} chunks total`);
-          } catch (err) {
-            fileErrors.push({ file: relPath, error: err.message });
-            if (verbose) console.error(`  ${ui.red('✗')} ${relPath}: ${err.message}`);
-          }
-        }
-
-        if (allChunks.length === 0) {
+        if (plan.chunks.length === 0 && !opts.incremental) {
           console.error(ui.error('No chunks produced. Check your files and chunk settings.'));
           process.exit(1);
         }
 
-        const totalTokens = allChunks.reduce((sum, c) => sum + estimateTokens(c.text), 0);
+        const countTokens = () => plan.chunks
+          .filter(c => !c.reuse)
+          .reduce((sum, c) => sum + estimateTokens(c.text), 0);
+        let totalTokens = countTokens();
 
         if (verbose) {
-          console.log(ui.dim(`  ${fmtNum(allChunks.length)} chunks, ~${fmtNum(totalTokens)} tokens`));
+          console.log(ui.dim(`  ${fmtNum(plan.chunks.length)} chunks, ~${fmtNum(totalTokens)} tokens`));
+          if (parents) console.log(ui.dim(`  ${fmtNum(plan.parents.length)} ${parents} parents`));
+          if (chunkingTokens > 0) console.log(ui.dim(`  ${fmtNum(chunkingTokens)} tokens embedded to find semantic boundaries`));
+          if (opts.incremental) {
+            console.log(ui.dim(`  ${formatSyncCounts(plan.counts)}${plan.skippedFiles ? ` (${fmtNum(plan.skippedFiles)} files unmodified)` : ''}`));
+          }
           console.log('');
         }
 
@@ -198,14 +450,16 @@ function registerPipeline(program) {
             console.log(JSON.stringify({
               dryRun: true,
               files: files.length,
-              chunks: allChunks.length,
+              chunks: plan.chunks.length,
+              ...(parents ? { parents: plan.parents.length } : {}),
+              ...(opts.incremental ? { incremental: plan.counts } : {}),
               estimatedTokens: totalTokens,
               estimatedCost: est.cost,
               pricePerMToken: est.pricePerMToken,
               strategy, chunkSize, overlap, model, db, collection, field,
             }, null, 2));
           } else {
-            console.log(ui.success(`Dry run complete: ${fmtNum(allChunks.length)} chunks from ${files.length} files.`));
+            console.log(ui.success(`Dry run complete: ${fmtNum(plan.chunks.length)} chunks from ${files.length} files.`));
             console.log('');
             console.log(formatCostEstimate(est));
             console.log('');
@@ -218,74 +472,179 @@ function registerPipeline(program) {
           const { confirmOrSwitchModel } = require('../lib/cost');
           const chosenModel = await confirmOrSwitchModel(totalTokens, model, { json: opts.json });
           if (!chosenModel) return; // cancelled
+          if (chosenModel !== model && opts.incremental) {
+            // Content hashes include the model, so stored vectors no longer match
+            plan = await buildIngestPlan(files, { ...planOpts, model: chosenModel });
+            totalTokens = countTokens();
+          }
           model = chosenModel;
         }
 
+        // Checkpoint journal — lets an interrupted run pick up where it stopped
+        const journal = new CheckpointJournal({
+          command: 'pipeline',
+          job: { input: path.resolve(input), db, collection, field, model, dimensions: dimensions || null, store: store.type },
+        });
+        const checkpoint = opts.resume ? await journal.load() : null;
+        if (verbose) {
+          if (checkpoint) {
+            console.log(ui.dim(`  Resuming interrupted run from ${checkpoint.startedAt}`));
+          } else if (opts.resume) {
+            console.log(ui.dim('  No checkpoint found — starting from the beginning'));
+          } else if (journal.exists()) {
+            console.log(ui.dim('  Discarding checkpoint of an interrupted run (use --resume to continue it)'));
+          }
+        }
+        journal.start({ resume: !!checkpoint });
+
         // Step 3: Embed in batches
         if (verbose) console.log(ui.bold('Step 2/3 — Embedding'));
 
-        const allChunkTexts = allChunks.map(c => c.text);
-        const tokenLimit = opts.local ? Infinity : getModelBatchTokenLimit(model);
-        const batchIndices = createTokenAwareBatches(allChunkTexts, { maxItems: batchSize, maxTokens: tokenLimit });
+        const reusedDocs = opts.incremental ? await loadReusedVectors(store, plan, field) : new Map();
+        const alreadyStored = (c) => !!checkpoint && checkpoint.inserted.has(c.id);
+        const embeddings = new Array(plan.chunks.length);
+        const pending = [];
+        let resumedVectors = 0;
+        plan.chunks.forEach((c, i) => {
+          if (alreadyStored(c)) return;
+          if (c.reuse && reusedDocs.get(String(c.reuse._id))?.[field]) return;
+          const saved = checkpoint && checkpoint.embedded.get(c.id);
+          if (saved) {
+            embeddings[i] = saved;
+            resumedVectors++;
+          } else {
+            pending.push(i);
+          }
+        });
 
         let embeddedCount = 0;
         let totalApiTokens = 0;
-        const embeddings = new Array(allChunks.length);
-
-        for (let bi = 0; bi < batchIndices.length; bi++) {
-          const indices = batchIndices[bi];
-          const texts = indices.map(i => allChunkTexts[i]);
-
-          if (verbose) {
-            const pct = Math.round(((bi + 1) / batchIndices.length) * 100);
-            process.stderr.write(`\r  Batch ${bi + 1}/${batchIndices.length} (${pct}%)...`);
-          }
-
-          let result;
-          if (opts.local) {
-            const { generateLocalEmbeddings } = require('../nano/nano-local.js');
-            result = await generateLocalEmbeddings(texts, {
-              inputType: 'document',
-              dimensions,
-            });
-          } else {
+        const keep = (indices, vectors) => {
+          indices.forEach((i, j) => { embeddings[i] = vectors[j]; });
+          journal.recordEmbedded(indices.map(i => plan.chunks[i].id), vectors);
+          embeddedCount += indices.length;
+        };
+        const showProgress = (bi, total) => {
+          if (!verbose) return;
+          const pct = Math.round(((bi + 1) / total) * 100);
+          process.stderr.write(`\r  Batch ${bi + 1}/${total} (${pct}%)...`);
+        };
+
+        if (isContextualizedModel(model)) {
+          // Each document's chunks go out together; only pending vectors are kept
+          const pendingSet = new Set(pending);
+          const groups = contextGroups(plan.chunks, pending);
+          const docs = groups.map(g => g.map(i => plan.chunks[i].text));
+          const requests = createContextualBatches(docs);
+
+          for (let bi = 0; bi < requests.length; bi++) {
+            showProgress(bi, requests.length);
+            const ranges = requests[bi];
             const embedOpts = { model, inputType: 'document' };
             if (dimensions) embedOpts.dimensions = dimensions;
-            result = await generateEmbeddings(texts, embedOpts);
+            const result = await generateContextualizedEmbeddings(
+              ranges.map(r => docs[r.doc].slice(r.start, r.end)),
+              embedOpts,
+            );
+            totalApiTokens += result.usage?.total_tokens || 0;
+
+            const indices = [];
+            const vectors = [];
+            for (const docResult of result.data) {
+              const range = ranges[docResult.index];
+              for (const item of docResult.data) {
+                const i = groups[range.doc][range.start + item.index];
+                if (!pendingSet.has(i)) continue;
+                indices.push(i);
+                vectors.push(item.embedding);
+              }
+            }
+            keep(indices, vectors);
           }
-          totalApiTokens += result.usage?.total_tokens || 0;
-
-          for (let j = 0; j < indices.length; j++) {
-            embeddings[indices[j]] = result.data[j].embedding;
+        } else {
+          const pendingTexts = pending.map(i => plan.chunks[i].text);
+          const tokenLimit = opts.local ? Infinity : getModelBatchTokenLimit(model);
+          const batchIndices = createTokenAwareBatches(pendingTexts, { maxItems: batchSize, maxTokens: tokenLimit });
+
+          for (let bi = 0; bi < batchIndices.length; bi++) {
+            const indices = batchIndices[bi];
+            const texts = indices.map(i => pendingTexts[i]);
+            showProgress(bi, batchIndices.length);
+
+            let result;
+            if (opts.local) {
+              const { generateLocalEmbeddings } = require('../nano/nano-local.js');
+              result = await generateLocalEmbeddings(texts, {
+                inputType: 'document',
+                dimensions,
+              });
+            } else {
+              const embedOpts = { model, inputType: 'document' };
+              if (dimensions) embedOpts.dimensions = dimensions;
+              result = await generateEmbeddings(texts, embedOpts);
+            }
+            totalApiTokens += result.usage?.total_tokens || 0;
+            keep(indices.map(j => pending[j]), result.data.map(d => d.embedding));
           }
-          embeddedCount += indices.length;
         }
 
         if (verbose) {
           process.stderr.write('\r');
-          console.log(`  ${ui.green('✓')} Embedded ${fmtNum(embeddedCount)} chunks (${fmtNum(totalApiTokens)} tokens)`);
+          const reusedCount = plan.chunks.length - embeddedCount;
+          console.log(`  ${ui.green('✓')} Embedded ${fmtNum(embeddedCount)} chunks (${fmtNum(totalApiTokens)} tokens)${reusedCount ? `, reused ${fmtNum(reusedCount)} vectors` : ''}`);
           console.log('');
         }
 
-        // Step 4: Store in MongoDB (batched to avoid EPIPE / 16MB limits)
-        if (verbose) console.log(ui.bold('Step 3/3 — Storing in MongoDB'));
-
-        const { client: c, collection: coll } = await getMongoCollection(db, collection);
-        client = c;
+        // Step 4: Store (batched to avoid EPIPE / 16MB limits)
+        if (verbose) console.log(ui.bold(`Step 3/3 — Storing in ${store.type === 'local' ? 'local store' : 'MongoDB'}`));
+
+        const documents = [];
+        plan.chunks.forEach((chunk, i) => {
+          if (alreadyStored(chunk)) return;
+          const prior = embeddings[i] ? null : reusedDocs.get(String(chunk.reuse._id));
+          documents.push({
+            _id: chunk.id,
+            text: chunk.text,
+            [field]: prior ? prior[field] : embeddings[i],
+            ...(chunk.parentId ? { parentId: chunk.parentId } : {}),
+            metadata: chunk.metadata,
+            _model: prior ? prior._model : model,
+            _embeddedAt: prior ? prior._embeddedAt : new Date(),
+          });
+        });
+        const resumedDocs = plan.chunks.length - documents.length;
 
-        const documents = allChunks.map((chunk, i) => ({
-          text: chunk.text,
-          [field]: embeddings[i],
-          metadata: chunk.metadata,
-          _model: model,
-          _embeddedAt: new Date(),
-        }));
+        // Parents go in first so a stored chunk never points at a missing
+        // parent; superseded parents of re-read or vanished sources go too.
+        let parentsStored = 0;
+        if (parents) {
+          const parentStore = createVectorStore({ db, collection: parentCollection, store: opts.store });
+          try {
+            const parentDocs = plan.parents.map(p => ({ _id: p.id, text: p.text, metadata: p.metadata }));
+            for (let i = 0; i < parentDocs.length; i += storeBatchSize) {
+              const result = await parentStore.upsertMany(parentDocs.slice(i, i + storeBatchSize));
+              parentsStored += result.insertedCount + result.updatedCount;
+            }
+            if (plan.replacedSources.length > 0) {
+              await parentStore.deleteMany({
+                'metadata.source': { $in: plan.replacedSources },
+                $or: [{ 'metadata.source_root': basePath }, { 'metadata.source_root': { $exists: false } }],
+                _id: { $nin: parentDocs.map(d => d._id) },
+              });
+            }
+          } finally {
+            await parentStore.close();
+          }
+          if (verbose) console.log(`  ${ui.green('✓')} Stored ${fmtNum(parentsStored)} parents in ${parentCollection}`);
+        }
 
+        // Upserts keyed by deterministic chunk IDs make replayed batches idempotent
         let totalInserted = 0;
         for (let i = 0; i < documents.length; i += storeBatchSize) {
           const batch = documents.slice(i, i + storeBatchSize);
-          const result = await coll.insertMany(batch);
-          totalInserted += result.insertedCount;
+          const result = await store.upsertMany(batch);
+          journal.recordInserted(batch.map(d => d._id));
+          totalInserted += result.insertedCount + result.updatedCount;
           if (verbose && documents.length > storeBatchSize) {
             const pct = Math.min(100, Math.round(((i + batch.length) / documents.length) * 100));
             process.stderr.write(`\r  Inserted ${fmtNum(totalInserted)} / ${fmtNum(documents.length)} (${pct}%)...`);
@@ -297,27 +656,40 @@ function registerPipeline(program) {
 
         if (verbose) {
           console.log(`  ${ui.green('✓')} Inserted ${fmtNum(insertResult.insertedCount)} documents`);
+          if (resumedDocs > 0) console.log(`  ${ui.dim(`ℹ ${fmtNum(resumedDocs)} documents already stored by the interrupted run`)}`);
         }
 
+        // Replaced and vanished chunks are deleted only after their
+        // replacements are written, so an interrupted run never loses data.
+        // A chunk whose ID survived was replaced in place by the upsert.
+        const keptIds = new Set(plan.chunks.map(c => c.id));
+        const staleIds = plan.staleIds.filter(id => !keptIds.has(String(id)));
+        let totalDeleted = 0;
+        for (let i = 0; i < staleIds.length; i += ID_BATCH_SIZE) {
+          const result = await store.deleteMany({ _id: { $in: staleIds.slice(i, i + ID_BATCH_SIZE) } });
+          totalDeleted += result.deletedCount;
+        }
+        if (verbose && totalDeleted > 0) {
+          console.log(`  ${ui.green('✓')} Deleted ${fmtNum(totalDeleted)} replaced or stale documents`);
+        }
+
+        journal.complete();
+
         // Optional: create index
         if (opts.createIndex) {
           if (verbose) console.log('');
           try {
-            const dim = embeddings[0]?.length || dimensions || 1024;
-            const indexDef = {
-              name: index,
-              type: 'vectorSearch',
-              definition: {
-                fields: [{
-                  type: 'vector',
-                  path: field,
-                  numDimensions: dim,
-                  similarity: 'cosine',
-                }],
-              },
-            };
-            await coll.createSearchIndex(indexDef);
-            if (verbose) console.log(`  ${ui.green('✓')} Created vector index "${index}" (${dim} dims, cosine)`);
+            const dim = documents.find(d => d[field])?.[field].length || dimensions || 1024;
+            if (store.type === 'local') {
+              if (verbose) console.log(`  ${ui.dim('ℹ Local store uses an exact flat index — nothing to create')}`);
+            } else {
+              const { created } = await store.ensureVectorIndex({ name: index, field, dimensions: dim, similarity: 'cosine' });
+              if (created) {
+                if (verbose) console.log(`  ${ui.green('✓')} Created vector index "${index}" (${dim} dims, cosine)`);
+              } else if (verbose) {
+                console.log(`  ${ui.dim('ℹ Index "' + index + '" already exists — skipping')}`);
+              }
+            }
           } catch (err) {
             if (err.message?.includes('already exists')) {
               if (verbose) console.log(`  ${ui.dim('ℹ Index "' + index + '" already exists — skipping')}`);
@@ -332,9 +704,15 @@ function registerPipeline(program) {
           console.log(JSON.stringify({
             files: files.length,
             fileErrors: fileErrors.length,
-            chunks: allChunks.length,
+            chunks: plan.chunks.length,
             tokens: totalApiTokens,
             inserted: insertResult.insertedCount,
+            deleted: totalDeleted,
+            ...(parents ? { parents: { mode: parents, stored: parentsStored, collection: parentCollection } } : {}),
+            ...(opts.incremental ? { incremental: plan.counts } : {}),
+            ...(checkpoint ? { resumed: { stored: resumedDocs, vectors: resumedVectors } } : {}),
+            ...(strategy === 'semantic' ? { chunkingTokens } : {}),
+            store: store.type,
             model, db, collection, field, strategy, chunkSize,
             index: opts.createIndex ? index : null,
           }, null, 2));
@@ -342,16 +720,20 @@ function registerPipeline(program) {
           console.log('');
           console.log(ui.success('Pipeline complete'));
           console.log(ui.label('Files', `${fmtNum(files.length)}${fileErrors.length ? ` (${fileErrors.length} failed)` : ''}`));
-          console.log(ui.label('Chunks', fmtNum(allChunks.length)));
+          console.log(ui.label('Chunks', fmtNum(plan.chunks.length)));
           console.log(ui.label('Tokens', fmtNum(totalApiTokens)));
-          console.log(ui.label('Stored', `${fmtNum(insertResult.insertedCount)} docs → ${db}.${collection}`));
+          console.log(ui.label('Stored', `${fmtNum(insertResult.insertedCount)} docs → ${store.label}`));
+          if (parents) console.log(ui.label('Parents', `${fmtNum(parentsStored)} → ${parentCollection}`));
+          if (opts.incremental) console.log(ui.label('Changes', formatSyncCounts(plan.counts)));
           console.log('');
-          console.log(ui.dim('  Next: vai query "your search" --db ' + db + ' --collection ' + collection));
+          const storeFlag = store.type === 'local' ? ' --store local' : '';
+          const modelFlag = isContextualizedModel(model) ? ` --model ${model}` : '';
+          console.log(ui.dim('  Next: vai query "your search" --db ' + db + ' --collection ' + collection + storeFlag + modelFlag));
         }
 
         done({
           fileCount: files.length,
-          chunkCount: allChunks.length,
+          chunkCount: plan.chunks.length,
           docCount: insertResult.insertedCount,
         });
       } catch (err) {
@@ -367,9 +749,9 @@ function registerPipeline(program) {
         }
         process.exit(1);
       } finally {
-        if (client) await client.close();
+        if (store) await store.close();
       }
     });
 }
 
-module.exports = { registerPipeline };
+module.exports = { registerPipeline, buildIngestPlan, contextGroups, parentUnits };
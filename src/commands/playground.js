@@ -221,6 +221,22 @@ function createPlaygroundServer() {
   // MemoryManager — tracks the active strategy for /api/chat/memory reporting
   let _playgroundMemoryManager = null;
 
+  // Branches of the playground chat plus the current branch's turns,
+  // so the client can redraw the conversation after a fork or switch
+  async function chatBranchState() {
+    const { ChatHistory } = require('../lib/history');
+    if (!_chatHistory) _chatHistory = new ChatHistory({ maxTurns: 20 });
+    return {
+      current: _chatHistory.branch,
+      branches: await _chatHistory.listBranches(),
+      turns: _chatHistory.turns.map(t => ({ turnIndex: t.turnIndex, role: t.role, content: t.content })),
+    };
+  }
+
+  // Agent tool calls waiting for the user: approvalId → resolve(answer)
+  const _pendingApprovals = new Map();
+  let _approvalSeq = 0;
+
   // Workflow store catalog cache (15 min TTL)
   let _catalogCache = null;
   let _catalogCacheTime = 0;
@@ -705,7 +721,8 @@ function createPlaygroundServer() {
         res.end(JSON.stringify({
           provider: llmConfig.provider || null,
           model: llmConfig.model || null,
-          hasLLMKey: !!llmConfig.apiKey || llmConfig.provider === 'ollama',
+          hasLLMKey: !!llmConfig.apiKey || llmConfig.provider === 'ollama'
+            || (llmConfig.provider === 'openai-compatible' && !!llmConfig.baseUrl),
           db: proj.db || null,
           collection: proj.collection || null,
           chat: proj.chat || {},
@@ -755,6 +772,13 @@ function createPlaygroundServer() {
         return;
       }
 
+      // API: Chat branches
+      if (req.method === 'GET' && req.url === '/api/chat/branches') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(await chatBranchState()));
+        return;
+      }
+
       // API: Chat models — list available models for a provider
       if (req.method === 'GET' && req.url?.startsWith('/api/chat/models')) {
         const url = new URL(req.url, 'http://localhost');
@@ -1627,7 +1651,7 @@ function createPlaygroundServer() {
 
         // API: Chat message (streaming SSE)
         if (req.url === '/api/chat/message') {
-          const { query, db, collection, provider, model, maxDocs, rerank, systemPrompt, mode, textField, embeddingModel, memoryStrategy, index } = parsed;
+          const { query, db, collection, provider, model, maxDocs, rerank, systemPrompt, mode, textField, embeddingModel, memoryStrategy, index, verify, toolPermissions } = parsed;
           const isAgent = mode === 'agent';
           const isLocalEmbed = embeddingModel === 'voyage-4-nano';
 
@@ -1649,6 +1673,24 @@ function createPlaygroundServer() {
           const { TurnOrchestrator } = require('../lib/turn-orchestrator');
           const { LABELS } = require('../lib/turn-state');
 
+          // Tool permissions: project .vai.json, which the request may only tighten
+          let permissions = {};
+          if (isAgent) {
+            const { parseToolPermissions, tightenToolPermissions } = require('../lib/tool-permissions');
+            const { loadProject } = require('../lib/project');
+            try {
+              const { config: proj } = loadProject();
+              permissions = tightenToolPermissions(
+                parseToolPermissions(proj.chat?.toolPermissions),
+                parseToolPermissions(toolPermissions),
+              );
+            } catch (err) {
+              res.writeHead(400, { 'Content-Type': 'application/json' });
+              res.end(JSON.stringify({ error: err.message }));
+              return;
+            }
+          }
+
           let llm;
           try {
             llm = createLLMProvider({
@@ -1729,6 +1771,12 @@ function createPlaygroundServer() {
             }
           });
 
+          // Where the message just answered sits, for the client's edit/regenerate buttons
+          const userTurnRef = () => {
+            const userTurn = [...history.turns].reverse().find(t => t.role === 'user');
+            return userTurn ? { turnIndex: userTurn.turnIndex, branch: history.branch } : {};
+          };
+
           // Helper: run pipeline mode
           const runPipeline = async () => {
             for await (const event of orchestrator.executePipelineTurn({
@@ -1741,6 +1789,7 @@ function createPlaygroundServer() {
                   systemPrompt,
                   textField: textField || 'content',
                   index: index || undefined,
+                  verify: verify || undefined,
                   ...embedOpts,
                   memoryManager: _playgroundMemoryManager,
                   memoryStrategy: memoryStrategy || undefined,
@@ -1752,11 +1801,30 @@ function createPlaygroundServer() {
               } else if (event.type === 'chunk') {
                 res.write(`event: chunk\ndata: ${JSON.stringify({ text: event.data })}\n\n`);
               } else if (event.type === 'done') {
-                res.write(`event: done\ndata: ${JSON.stringify(event.data)}\n\n`);
+                res.write(`event: done\ndata: ${JSON.stringify({ ...event.data, ...userTurnRef() })}\n\n`);
               }
             }
           };
 
+          // Tool calls that need approval: send a tool_approval event and wait
+          // for POST /api/chat/approve. Closing the stream rejects them.
+          const turnApprovals = new Set();
+          const approveToolCall = ({ name, args, sideEffects }) => new Promise((resolve) => {
+            const approvalId = `approval-${++_approvalSeq}`;
+            _pendingApprovals.set(approvalId, resolve);
+            turnApprovals.add(approvalId);
+            res.write(`event: tool_approval\ndata: ${JSON.stringify({ approvalId, name, args, sideEffects })}\n\n`);
+          });
+          res.on('close', () => {
+            for (const approvalId of turnApprovals) {
+              const resolve = _pendingApprovals.get(approvalId);
+              if (resolve) {
+                _pendingApprovals.delete(approvalId);
+                resolve({ decision: 'reject', reason: 'the playground closed the connection' });
+              }
+            }
+          });
+
           try {
             if (isAgent) {
               // Agent mode: LLM decides which tools to call
@@ -1764,11 +1832,15 @@ function createPlaygroundServer() {
                 for await (const event of orchestrator.executeAgentTurn({
                   generatorFn: () => agentChatTurn({
                     query, llm, history,
-                    opts: { systemPrompt, db: db || undefined, collection: collection || undefined, memoryManager: _playgroundMemoryManager, memoryStrategy: memoryStrategy || undefined },
+                    opts: {
+                      systemPrompt, db: db || undefined, collection: collection || undefined,
+                      memoryManager: _playgroundMemoryManager, memoryStrategy: memoryStrategy || undefined,
+                      toolPermissions: permissions, approveToolCall,
+                    },
                   }),
                 })) {
                   if (event.type === 'tool_call') {
-                    const { name, args, timeMs, error, result } = event.data;
+                    const { name, args, timeMs, error, result, approval } = event.data;
                     // Build a short human-readable summary of the tool result
                     let resultSummary = '';
                     if (!error && result) {
@@ -1798,14 +1870,14 @@ function createPlaygroundServer() {
                         resultSummary = result.title || result.topic || '';
                       }
                     }
-                    res.write(`event: tool_call\ndata: ${JSON.stringify({ name, args, timeMs, error, resultSummary })}\n\n`);
+                    res.write(`event: tool_call\ndata: ${JSON.stringify({ name, args, timeMs, error, resultSummary, approval })}\n\n`);
                   } else if (event.type === 'error') {
                     // Re-throw so the catch block can handle fallback logic
                     throw new Error(event.data.message || 'Agent error');
                   } else if (event.type === 'chunk') {
                     res.write(`event: chunk\ndata: ${JSON.stringify({ text: event.data })}\n\n`);
                   } else if (event.type === 'done') {
-                    res.write(`event: done\ndata: ${JSON.stringify(event.data)}\n\n`);
+                    res.write(`event: done\ndata: ${JSON.stringify({ ...event.data, ...userTurnRef() })}\n\n`);
                   }
                 }
               } catch (agentErr) {
@@ -1843,9 +1915,55 @@ function createPlaygroundServer() {
           return;
         }
 
+        // API: Answer a tool_approval event from /api/chat/message
+        if (req.url === '/api/chat/approve') {
+          const { approvalId, decision, args, reason } = parsed;
+          const resolve = _pendingApprovals.get(approvalId);
+          if (!resolve) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: `No pending approval "${approvalId}"` }));
+            return;
+          }
+          if (!['approve', 'edit', 'reject'].includes(decision)) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'decision must be approve, edit or reject' }));
+            return;
+          }
+          if (decision === 'edit' && (!args || typeof args !== 'object' || Array.isArray(args))) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'args must be a JSON object when editing' }));
+            return;
+          }
+          _pendingApprovals.delete(approvalId);
+          resolve({ decision, args, reason });
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ ok: true }));
+          return;
+        }
+
+        // API: Fork the chat before an earlier turn (edit / regenerate)
+        if (req.url === '/api/chat/branch' || req.url === '/api/chat/switch') {
+          await chatBranchState();
+          try {
+            if (req.url === '/api/chat/branch') {
+              await _chatHistory.fork({ at: parsed.at, name: parsed.name || undefined });
+            } else {
+              await _chatHistory.switchBranch(parsed.branch);
+            }
+          } catch (err) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: err.message }));
+            return;
+          }
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(await chatBranchState()));
+          return;
+        }
+
         // API: Chat clear
         if (req.url === '/api/chat/clear') {
-          if (_chatHistory) _chatHistory.clear();
+          // Start over, dropping branches too
+          _chatHistory = null;
           res.writeHead(200, { 'Content-Type': 'application/json' });
           res.end(JSON.stringify({ ok: true }));
           return;
@@ -2126,7 +2244,7 @@ function createPlaygroundServer() {
                   tool: stepDef.tool,
                 })}\n\n`);
               },
-              onStepComplete: (stepId, output, timeMs) => {
+              onStepComplete: (stepId, output, timeMs, { attempts, retries, cached } = {}) => {
                 // Summarize output to avoid huge payloads
                 let summary = '';
                 if (output && typeof output === 'object') {
@@ -2140,17 +2258,23 @@ function createPlaygroundServer() {
                 const cleanOutput = _usage ? { ...output } : output;
                 if (cleanOutput && cleanOutput._usage) delete cleanOutput._usage;
                 res.write(`event: step_complete\ndata: ${JSON.stringify({
-                  stepId, timeMs, summary, _usage,
+                  stepId, timeMs, summary, _usage, attempts, retries, cached,
                   output: JSON.stringify(cleanOutput).length < 5000 ? cleanOutput : { _truncated: true, summary },
                 })}\n\n`);
               },
               onStepSkip: (stepId, reason) => {
                 res.write(`event: step_skip\ndata: ${JSON.stringify({ stepId, reason })}\n\n`);
               },
-              onStepError: (stepId, error) => {
-                res.write(`event: step_error\ndata: ${JSON.stringify({
+              onStepError: (stepId, error, attempt = {}) => {
+                // Failed attempts that will be retried are reported separately
+                const event = attempt.willRetry ? 'step_retry' : 'step_error';
+                res.write(`event: ${event}\ndata: ${JSON.stringify({
                   stepId,
                   error: error.message || String(error),
+                  attempt: attempt.attempt,
+                  attempts: attempt.attempts,
+                  delayMs: attempt.delayMs,
+                  iteration: attempt.iteration,
                 })}\n\n`);
               },
             });
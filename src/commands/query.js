@@ -2,7 +2,9 @@
 
 const { getDefaultModel, DEFAULT_RERANK_MODEL } = require('../lib/catalog');
 const { generateEmbeddings, apiRequest } = require('../lib/api');
-const { getMongoCollection } = require('../lib/mongo');
+const { createVectorStore } = require('../lib/vector-store');
+const { resolveHybridConfig, hybridSearch } = require('../lib/fusion');
+const { resolveParentConfig, expandToParents, DEFAULT_PARENT_BUDGET, PARENT_OVERSAMPLE } = require('../lib/parents');
 const { loadProject } = require('../lib/project');
 const ui = require('../lib/ui');
 const { showCombinedCostSummary } = require('../lib/cost-display');
@@ -29,11 +31,22 @@ function registerQuery(program) {
     .option('--text-field <name>', 'Document text field for reranking and display', 'text')
     .option('--filter <json>', 'Pre-filter JSON for $vectorSearch')
     .option('--num-candidates <n>', 'ANN candidates (default: limit × 15)', (v) => parseInt(v, 10))
+    .option('--hybrid', 'Fuse vector search with lexical (BM25) $search results')
+    .option('--search-index <name>', 'Atlas Search index for --hybrid (default: search_index)')
+    .option('--fusion <method>', 'Fusion method for --hybrid: rrf, weighted')
+    .option('--rrf-k <n>', 'Rank constant for RRF fusion (default: 60)', (v) => parseInt(v, 10))
+    .option('--vector-weight <n>', 'Weight of vector results in fusion, 0–1 (default: 0.5)', parseFloat)
+    .option('--parents', 'Search chunks but return their deduplicated parents (see vai pipeline --parents)')
+    .option('--no-parents', 'Return matched chunks even when the project stores parents')
+    .option('--parent-collection <name>', 'Collection holding parents (default: <collection>_parents)')
+    .option('--parent-budget <tokens>', `Max tokens of parent text across results (default: ${DEFAULT_PARENT_BUDGET})`, (v) => parseInt(v, 10))
+    .option('--store <type>', 'Vector store backend: mongodb, local')
+    .option('--local', 'Use local voyage-4-nano model for the query (no API key, skips rerank)')
     .option('--show-vectors', 'Include embedding vectors in output')
     .option('--json', 'Machine-readable JSON output')
     .option('-q, --quiet', 'Suppress non-essential output')
     .action(async (text, opts) => {
-      let client;
+      let store;
       const telemetry = require('../lib/telemetry');
       try {
         // Merge project config
@@ -42,11 +55,13 @@ function registerQuery(program) {
         const collection = opts.collection || proj.collection;
         const index = opts.index || proj.index || 'vector_index';
         const field = opts.field || proj.field || 'embedding';
-        const model = opts.model || proj.model || getDefaultModel();
+        const model = opts.local ? 'voyage-4-nano' : (opts.model || proj.model || getDefaultModel());
         const rerankModel = opts.rerankModel || DEFAULT_RERANK_MODEL;
         const textField = opts.textField || 'text';
         const dimensions = opts.dimensions || proj.dimensions;
-        const doRerank = opts.rerank !== false;
+        const doRerank = !opts.local && opts.rerank !== false;
+        const hybrid = resolveHybridConfig(opts, proj.hybrid);
+        const parents = resolveParentConfig(opts, proj.parents, collection);
 
         if (!db || !collection) {
           console.error(ui.error('Database and collection required. Use --db and --collection, or create .vai.json with "vai init".'));
@@ -57,6 +72,8 @@ function registerQuery(program) {
           model,
           rerankModel: doRerank ? rerankModel : undefined,
           rerank: doRerank,
+          hybrid: hybrid.enabled,
+          parents: parents.enabled,
           limit: opts.limit,
           topK: opts.topK,
         });
@@ -71,35 +88,35 @@ function registerQuery(program) {
           spin.start();
         }
 
-        const embedOpts = { model, inputType: 'query' };
-        if (dimensions) embedOpts.dimensions = dimensions;
-        const embedResult = await generateEmbeddings([text], embedOpts);
+        let embedResult;
+        if (opts.local) {
+          const { generateLocalEmbeddings } = require('../nano/nano-local.js');
+          embedResult = await generateLocalEmbeddings([text], { inputType: 'query', dimensions });
+        } else {
+          const embedOpts = { model, inputType: 'query' };
+          if (dimensions) embedOpts.dimensions = dimensions;
+          embedResult = await generateEmbeddings([text], embedOpts);
+        }
         const queryVector = embedResult.data[0].embedding;
         const embedTokens = embedResult.usage?.total_tokens || 0;
 
         if (spin) spin.stop();
 
         // Step 2: Vector search
+        store = createVectorStore({ db, collection, store: opts.store });
+
         if (useSpinner) {
-          spin = ui.spinner(`Searching ${db}.${collection}...`);
+          spin = ui.spinner(`Searching ${store.label}...`);
           spin.start();
         }
 
-        const { client: c, coll } = await connectCollection(db, collection);
-        client = c;
-
-        const numCandidates = opts.numCandidates || Math.min(opts.limit * 15, 10000);
-        const vectorSearchStage = {
-          index,
-          path: field,
-          queryVector,
-          numCandidates,
-          limit: opts.limit,
-        };
-
+        // Several chunks may collapse into one parent, so fetch enough for top-k parents
+        const limit = parents.enabled ? Math.max(opts.limit, opts.topK * PARENT_OVERSAMPLE) : opts.limit;
+        const numCandidates = opts.numCandidates || Math.min(limit * 15, 10000);
+        let filter;
         if (opts.filter) {
           try {
-            vectorSearchStage.filter = JSON.parse(opts.filter);
+            filter = JSON.parse(opts.filter);
           } catch {
             if (spin) spin.stop();
             console.error(ui.error('Invalid --filter JSON.'));
@@ -107,12 +124,32 @@ function registerQuery(program) {
           }
         }
 
-        const pipeline = [
-          { $vectorSearch: vectorSearchStage },
-          { $addFields: { _vsScore: { $meta: 'vectorSearchScore' } } },
-        ];
-
-        const searchResults = await coll.aggregate(pipeline).toArray();
+        let searchResults;
+        let hybridCounts = null;
+        if (hybrid.enabled) {
+          const { docs, vectorCount, textCount } = await hybridSearch(store, {
+            vector: queryVector,
+            query: text,
+            index,
+            field,
+            textField,
+            limit,
+            numCandidates,
+            filter,
+            hybrid,
+          });
+          searchResults = docs;
+          hybridCounts = { vector: vectorCount, text: textCount };
+        } else {
+          searchResults = await store.search({
+            vector: queryVector,
+            index,
+            field,
+            limit,
+            numCandidates,
+            filter,
+          });
+        }
         if (spin) spin.stop();
 
         if (searchResults.length === 0) {
@@ -141,11 +178,12 @@ function registerQuery(program) {
             return typeof txt === 'string' ? txt : JSON.stringify(txt);
           });
 
+          // With parents, rank every candidate: several may share a parent
           const rerankBody = {
             query: text,
             documents,
             model: rerankModel,
-            top_k: opts.topK,
+            top_k: parents.enabled ? searchResults.length : opts.topK,
           };
 
           const rerankResult = await apiRequest('/rerank', rerankBody);
@@ -164,13 +202,35 @@ function registerQuery(program) {
             };
           });
         } else {
-          // No rerank — just take top-k from vector search
-          finalResults = searchResults.slice(0, opts.topK).map(doc => ({
+          // No rerank — just take top-k from vector (or fused) search
+          finalResults = searchResults.slice(0, parents.enabled ? undefined : opts.topK).map(doc => ({
             ...doc,
-            _finalScore: doc._vsScore,
+            _finalScore: hybrid.enabled ? doc._fusedScore : doc._vsScore,
           }));
         }
 
+        // Step 4: Swap matched chunks for their parents (optional)
+        let parentTokens = 0;
+        if (parents.enabled) {
+          const parentStore = createVectorStore({ db, collection: parents.collection, store: opts.store });
+          try {
+            const expanded = await expandToParents(parentStore, finalResults, {
+              limit: opts.topK,
+              budget: parents.budget,
+              textField,
+            });
+            parentTokens = expanded.tokens;
+            finalResults = expanded.parents.map(({ doc, children, truncated }) => ({
+              ...doc,
+              _finalScore: children[0]._finalScore,
+              matchedChunks: children.map(c => c._id),
+              ...(truncated ? { truncated: true } : {}),
+            }));
+          } finally {
+            await parentStore.close();
+          }
+        }
+
         // Build output
         const output = finalResults.map((doc, i) => {
           const clean = {};
@@ -182,6 +242,7 @@ function registerQuery(program) {
           // Include metadata fields (skip embedding and internal scores)
           for (const key of Object.keys(doc)) {
             if (key === field || key === '_vsScore' || key === '_rerankScore' || key === '_finalScore') continue;
+            if (key === '_textScore' || key === '_fusedScore') continue;
             if (key === '_id' || key === textField) continue;
             if (!opts.showVectors) clean[key] = doc[key];
             else clean[key] = doc[key];
@@ -189,6 +250,8 @@ function registerQuery(program) {
           // Scores
           clean.score = doc._finalScore;
           if (doc._vsScore !== undefined) clean.vectorScore = doc._vsScore;
+          if (doc._textScore !== undefined) clean.textScore = doc._textScore;
+          if (doc._fusedScore !== undefined) clean.fusedScore = doc._fusedScore;
           if (doc._rerankScore !== undefined) clean.rerankScore = doc._rerankScore;
           clean.rank = i + 1;
           return clean;
@@ -201,10 +264,21 @@ function registerQuery(program) {
             rerankModel: doRerank ? rerankModel : null,
             db,
             collection,
+            store: store.type,
             stages: {
               searchCandidates: searchResults.length,
               finalResults: output.length,
               reranked: doRerank && searchResults.length > 1,
+              ...(parents.enabled && {
+                parents: { collection: parents.collection, budget: parents.budget, tokens: parentTokens },
+              }),
+              ...(hybridCounts && {
+                hybrid: {
+                  fusion: hybrid.fusion,
+                  vectorCandidates: hybridCounts.vector,
+                  textCandidates: hybridCounts.text,
+                },
+              }),
             },
             tokens: { embed: embedTokens, rerank: rerankTokens },
             results: output,
@@ -216,9 +290,15 @@ function registerQuery(program) {
         if (!opts.quiet) {
           console.log('');
           console.log(ui.label('Query', ui.cyan(`"${text}"`)));
-          console.log(ui.label('Search', `${searchResults.length} candidates from ${ui.dim(`${db}.${collection}`)}`));
+          console.log(ui.label('Search', `${searchResults.length} candidates from ${ui.dim(store.label)}`));
+          if (hybridCounts) {
+            console.log(ui.label('Hybrid', `${hybridCounts.vector} vector + ${hybridCounts.text} lexical via ${ui.dim(hybrid.fusion)}`));
+          }
           if (doRerank && searchResults.length > 1) {
-            console.log(ui.label('Rerank', `Top ${output.length} via ${ui.dim(rerankModel)}`));
+            console.log(ui.label('Rerank', `${parents.enabled ? 'All candidates' : `Top ${output.length}`} via ${ui.dim(rerankModel)}`));
+          }
+          if (parents.enabled) {
+            console.log(ui.label('Parents', `${output.length} from ${ui.dim(parents.collection)} (~${parentTokens} of ${parents.budget} tokens)`));
           }
           console.log(ui.label('Model', ui.dim(model)));
           console.log('');
@@ -228,8 +308,9 @@ function registerQuery(program) {
           const r = output[i];
           const scoreStr = r.score != null ? ui.score(r.score) : 'N/A';
           const vsStr = r.vectorScore != null ? ui.dim(`vs:${r.vectorScore.toFixed(3)}`) : '';
+          const txStr = r.textScore != null ? ui.dim(`bm25:${r.textScore.toFixed(3)}`) : '';
           const rrStr = r.rerankScore != null ? ui.dim(`rr:${r.rerankScore.toFixed(3)}`) : '';
-          const scores = [vsStr, rrStr].filter(Boolean).join(' ');
+          const scores = [vsStr, txStr, rrStr].filter(Boolean).join(' ');
 
           console.log(`${ui.bold(`#${i + 1}`)} ${scoreStr} ${scores}`);
 
@@ -242,6 +323,7 @@ function registerQuery(program) {
           }
 
           // Show source metadata if present
+          if (r.matchedChunks) console.log(`  ${ui.dim(`parent of ${r.matchedChunks.length} matched chunk${r.matchedChunks.length === 1 ? '' : 's'}${r.truncated ? ' (truncated to budget)' : ''}`)}`);
           if (r.source) console.log(`  ${ui.dim('source: ' + r.source)}`);
           if (r.metadata?.source) console.log(`  ${ui.dim('source: ' + r.metadata.source)}`);
 
@@ -263,20 +345,9 @@ function registerQuery(program) {
         console.error(ui.error(err.message));
         process.exit(1);
       } finally {
-        if (client) await client.close();
+        if (store) await store.close();
       }
     });
 }
 
-/**
- * Connect to a MongoDB collection.
- * @param {string} db
- * @param {string} collName
- * @returns {Promise<{client: MongoClient, coll: Collection}>}
- */
-async function connectCollection(db, collName) {
-  const { client, collection } = await getMongoCollection(db, collName);
-  return { client, coll: collection };
-}
-
 module.exports = { registerQuery };
@@ -2,7 +2,7 @@
 
 const { getDefaultModel } = require('../lib/catalog');
 const { generateEmbeddings } = require('../lib/api');
-const { getMongoCollection } = require('../lib/mongo');
+const { createVectorStore } = require('../lib/vector-store');
 const ui = require('../lib/ui');
 const { showCostSummary } = require('../lib/cost-display');
 const { moments } = require('../lib/robot-moments');
@@ -27,10 +27,11 @@ function registerSearch(program) {
     .option('--min-score <n>', 'Minimum similarity score', parseFloat)
     .option('--num-candidates <n>', 'Number of candidates for ANN search', (v) => parseInt(v, 10))
     .option('--filter <json>', 'Pre-filter JSON for $vectorSearch (e.g. \'{"category": "docs"}\')')
+    .option('--store <type>', 'Vector store backend: mongodb, local')
     .option('--json', 'Machine-readable JSON output')
     .option('-q, --quiet', 'Suppress non-essential output')
     .action(async (opts) => {
-      let client;
+      let store;
       let anim;
       const telemetry = require('../lib/telemetry');
       const useColor = !opts.json;
@@ -58,21 +59,13 @@ function registerSearch(program) {
         const queryVector = embedResult.data[0].embedding;
         const numCandidates = opts.numCandidates || Math.min(opts.limit * 15, 10000);
 
-        const { client: c, collection } = await getMongoCollection(opts.db, opts.collection);
-        client = c;
-
-        const vectorSearchStage = {
-          index: opts.index,
-          path: opts.field,
-          queryVector,
-          numCandidates,
-          limit: opts.limit,
-        };
+        store = createVectorStore({ db: opts.db, collection: opts.collection, store: opts.store });
 
         // Add pre-filter if provided
+        let filter;
         if (opts.filter) {
           try {
-            vectorSearchStage.filter = JSON.parse(opts.filter);
+            filter = JSON.parse(opts.filter);
           } catch (e) {
             if (anim) anim.stop();
             if (spin) spin.stop();
@@ -81,14 +74,19 @@ function registerSearch(program) {
           }
         }
 
-        const pipeline = [
-          { $vectorSearch: vectorSearchStage },
-          { $addFields: { score: { $meta: 'vectorSearchScore' } } },
-          ...(opts.minScore ? [{ $match: { score: { $gte: opts.minScore } } }] : []),
-        ];
-
         const searchStart = Date.now();
-        const results = await collection.aggregate(pipeline).toArray();
+        const candidates = await store.search({
+          vector: queryVector,
+          index: opts.index,
+          field: opts.field,
+          limit: opts.limit,
+          numCandidates,
+          filter,
+          scoreField: 'score',
+        });
+        const results = opts.minScore
+          ? candidates.filter(doc => doc.score >= opts.minScore)
+          : candidates;
         const searchMs = Date.now() - searchStart;
 
         if (anim) anim.stop(results.length > 0 ? 'success' : undefined);
@@ -144,7 +142,7 @@ function registerSearch(program) {
         }
         process.exit(1);
       } finally {
-        if (client) await client.close();
+        if (store) await store.close();
       }
     });
 }
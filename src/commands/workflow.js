@@ -103,14 +103,18 @@ function registerWorkflow(program) {
     .option('--dry-run', 'Show execution plan without running', false)
     .option('--verbose', 'Show step details', false)
     .option('--no-interactive', 'Disable interactive input prompting')
+    .option('--no-record', 'Do not save a run record (disables vai workflow resume)')
+    .option('--no-cache', 'Ignore cached step outputs and do not cache new ones')
     .action(async (file, opts) => {
-      const { executeWorkflow, buildExecutionPlan, validateWorkflow } = require('../lib/workflow');
+      const { buildExecutionPlan, validateWorkflow } = require('../lib/workflow');
       const { resolveWorkflow } = require('../lib/workflow-registry');
 
       let definition;
+      let source = file;
       try {
         const resolved = resolveWorkflow(file);
         definition = resolved.definition;
+        if (resolved.source === 'file') source = path.resolve(file);
 
         // Show workflow source notice
         if ((resolved.source === 'community' || resolved.source === 'official') && !opts.quiet) {
@@ -193,77 +197,191 @@ function registerWorkflow(program) {
         return;
       }
 
-      // Execute workflow
-      const telemetry = require('../lib/telemetry');
-      const wfDone = telemetry.timer('cli_workflow_run', {
-        workflowName,
-        stepCount: definition.steps?.length || 0,
-        isBuiltin: !!(definition._source === 'builtin'),
-      });
+      // Execute workflow, keeping a run record for `vai workflow resume`
+      let store = null;
+      let run = null;
+      if (opts.record !== false) {
+        try {
+          const { WorkflowRunStore } = require('../lib/workflow-runs');
+          store = new WorkflowRunStore();
+          run = store.create({
+            definition,
+            source,
+            inputs: opts.input,
+            db: opts.db,
+            collection: opts.collection,
+          });
+        } catch { /* non-critical, run without a record */ }
+      }
+      await executeAndReport(definition, workflowName, opts, { store, run, source });
+    });
+
+  // ── workflow resume <runId> ──
+  wfCmd
+    .command('resume <runId>')
+    .description('Resume a failed run, re-executing only failed and downstream steps')
+    .option('--json', 'Output results as JSON', false)
+    .option('-o, --output <format>', 'Output format: json, table, markdown, text, csv, value:<path>')
+    .option('--quiet', 'Suppress progress output', false)
+    .option('--verbose', 'Show step details', false)
+    .option('--no-cache', 'Ignore cached step outputs and do not cache new ones')
+    .action(async (runId, opts) => {
+      const { validateWorkflow } = require('../lib/workflow');
+      const { resolveWorkflow } = require('../lib/workflow-registry');
+      const { WorkflowRunStore, planResume } = require('../lib/workflow-runs');
+
+      const store = new WorkflowRunStore();
+      let run;
       try {
-        const result = await executeWorkflow(definition, {
-          inputs: opts.input,
-          db: opts.db,
-          collection: opts.collection,
-          dryRun: false,
-          verbose: opts.verbose,
-          json: opts.json,
-          onStepStart: !opts.quiet ? (stepId, step) => {
-            process.stderr.write(`  ${pc.dim('...')} ${step.name || stepId}\r`);
-          } : undefined,
-          onStepComplete: !opts.quiet ? (stepId, output, durationMs) => {
-            const stepDef = definition.steps.find(s => s.id === stepId);
-            const summary = summarizeOutput(stepDef?.tool, output);
-            console.error(`  ${pc.green('✔')} ${stepDef?.name || stepId}  ${pc.dim(summary)}  ${pc.dim(`[${durationMs}ms]`)}`);
-          } : undefined,
-          onStepSkip: !opts.quiet ? (stepId, reason) => {
-            const stepDef = definition.steps.find(s => s.id === stepId);
-            console.error(`  ${pc.yellow('⊘')} ${stepDef?.name || stepId}  ${pc.dim(`skipped: ${reason}`)}`);
-          } : undefined,
-          onStepError: !opts.quiet ? (stepId, err) => {
-            const stepDef = definition.steps.find(s => s.id === stepId);
-            console.error(`  ${pc.red('✗')} ${stepDef?.name || stepId}  ${pc.red(err.message)}`);
-          } : undefined,
-        });
+        run = store.load(runId);
+      } catch (err) {
+        console.error(ui.error(err.message));
+        process.exit(1);
+      }
+      if (!run) {
+        console.error(ui.error(`No workflow run with ID "${runId}". List runs with: vai workflow runs list`));
+        process.exit(1);
+      }
+      if (run.status === 'completed') {
+        console.error(pc.dim(`Run ${run.id.slice(0, 8)} already completed. Start a new one with: vai workflow run ${run.source}`));
+        return;
+      }
 
-        if (!opts.quiet) {
-          console.error();
-          console.error(`${pc.bold('vai workflow:')} ${workflowName}`);
-          console.error(pc.dim('═'.repeat(50)));
-          // Step summaries already printed via callbacks
-          console.error();
-          console.error(`${pc.dim('Complete.')} ${result.steps.length} steps, ${result.totalTimeMs}ms total.`);
-          console.error();
-        }
+      // Prefer the current definition so fixes to the workflow apply; steps
+      // whose definition changed are re-executed. Fall back to the recorded one.
+      let definition = run.definition;
+      try {
+        definition = resolveWorkflow(run.source).definition;
+      } catch { /* workflow moved or uninstalled */ }
+
+      const errors = validateWorkflow(definition);
+      if (errors.length > 0) {
+        console.error(ui.error('Workflow validation failed:'));
+        for (const e of errors) console.error(`  ${pc.red('-')} ${e}`);
+        process.exit(1);
+      }
+
+      const { reuse, rerun } = planResume(run, definition);
+      // Forget outputs that are now stale, so a later resume cannot reuse them
+      for (const stepId of rerun) delete run.steps[stepId];
+      run.definition = definition;
+      run.status = 'running';
+      run.resumes = (run.resumes || 0) + 1;
+      try {
+        store.save(run);
+      } catch (err) {
+        console.error(ui.error(`Failed to update run ${run.id.slice(0, 8)}: ${err.message}`));
+        process.exit(1);
+      }
 
-        wfDone();
+      if (!opts.quiet) {
+        const reusedCount = Object.keys(reuse).length;
+        console.error(`${pc.dim('Resuming run')} ${pc.bold(run.id.slice(0, 8))} ${pc.dim(`of ${run.workflow}: reusing ${reusedCount} step${reusedCount === 1 ? '' : 's'}, re-executing ${rerun.length}`)}`);
+      }
 
-        // Cache inputs for next run
-        try {
-          const { saveInputCache } = require('../lib/workflow-input-cache');
-          saveInputCache(workflowName, opts.input);
-        } catch { /* non-critical, don't fail the run */ }
-
-        // Output
-        const { formatWorkflowOutput, autoDetectFormat } = require('../lib/workflow-formatters');
-        const fmtHints = definition.formatters || {};
-
-        if (opts.json || opts.output === 'json') {
-          console.log(JSON.stringify(result.output, null, 2));
-        } else if (opts.output) {
-          console.log(formatWorkflowOutput(result.output, opts.output, fmtHints));
-        } else if (result.output) {
-          // Auto-detect best format from output shape and workflow hints
-          const bestFormat = autoDetectFormat(result.output, fmtHints);
-          console.log(formatWorkflowOutput(result.output, bestFormat, fmtHints));
-        }
+      await executeAndReport(definition, run.workflow, {
+        ...opts,
+        input: run.inputs || {},
+        db: run.db,
+        collection: run.collection,
+      }, { store, run, reuse, source: run.source });
+    });
+
+  // ── workflow runs ──
+  const runsCmd = wfCmd
+    .command('runs')
+    .description('Inspect recorded workflow runs');
+
+  runsCmd
+    .command('list')
+    .description('List recent workflow runs, newest first')
+    .option('-l, --limit <n>', 'Maximum runs', (v) => parseInt(v, 10), 20)
+    .option('--json', 'Output JSON', false)
+    .action((opts) => {
+      const { WorkflowRunStore } = require('../lib/workflow-runs');
+      const runs = new WorkflowRunStore().list({ limit: opts.limit });
+
+      if (opts.json) {
+        console.log(JSON.stringify(runs, null, 2));
+        return;
+      }
+      if (runs.length === 0) {
+        console.log(pc.dim('No workflow runs recorded yet.'));
+        return;
+      }
+
+      console.log();
+      for (const r of runs) {
+        const failed = r.failed > 0 ? pc.red(` · ${r.failed} failed`) : '';
+        const resumed = r.resumes > 0 ? pc.dim(` · resumed ${r.resumes}x`) : '';
+        console.log(`  ${pc.bold(r.id.slice(0, 8))}  ${formatRunStatus(r.status, 10)} ${pc.cyan(r.workflow)}`);
+        console.log(`            ${pc.dim(`${new Date(r.startedAt).toLocaleString()} · ${r.steps} steps`)}${failed}${resumed}`);
+      }
+      console.log();
+      console.log(pc.dim('Details: vai workflow runs show <id>  ·  Resume a failed run: vai workflow resume <id>'));
+      console.log();
+    });
+
+  runsCmd
+    .command('show <runId>')
+    .description('Show the inputs and per-step results of a run')
+    .option('--json', 'Output the full run record as JSON', false)
+    .action((runId, opts) => {
+      const { WorkflowRunStore } = require('../lib/workflow-runs');
+      let run;
+      try {
+        run = new WorkflowRunStore().load(runId);
       } catch (err) {
         console.error(ui.error(err.message));
-        if (opts.verbose) {
-          console.error(pc.dim(err.stack));
-        }
         process.exit(1);
       }
+      if (!run) {
+        console.error(ui.error(`No workflow run with ID "${runId}".`));
+        process.exit(1);
+      }
+
+      if (opts.json) {
+        console.log(JSON.stringify(run, null, 2));
+        return;
+      }
+
+      console.log();
+      console.log(`${pc.bold('Run')} ${run.id}  ${formatRunStatus(run.status)}`);
+      console.log(`  ${pc.dim('Workflow:')} ${run.workflow} ${pc.dim(`(${run.source})`)}`);
+      console.log(`  ${pc.dim('Started:')}  ${new Date(run.startedAt).toLocaleString()}`);
+      if (run.finishedAt) console.log(`  ${pc.dim('Finished:')} ${new Date(run.finishedAt).toLocaleString()}`);
+      if (run.resumes > 0) console.log(`  ${pc.dim('Resumed:')}  ${run.resumes}x`);
+      const inputs = Object.entries(run.inputs || {});
+      if (inputs.length > 0) {
+        console.log(`  ${pc.dim('Inputs:')}`);
+        for (const [k, v] of inputs) console.log(`    ${pc.cyan(k)}: ${JSON.stringify(v)}`);
+      }
+
+      console.log();
+      console.log(pc.bold('Steps:'));
+      for (const step of run.definition?.steps || []) {
+        const rec = run.steps?.[step.id];
+        const label = step.name || step.id;
+        if (!rec) {
+          console.log(`  ${pc.dim('·')} ${label}  ${pc.dim('not run')}`);
+        } else if (rec.status === 'failed') {
+          console.log(`  ${pc.red('✗')} ${label}  ${pc.red(rec.error)}`);
+        } else if (rec.status === 'skipped') {
+          console.log(`  ${pc.yellow('⊘')} ${label}  ${pc.dim(`skipped${rec.reason ? `: ${rec.reason}` : ''}`)}`);
+        } else {
+          const summary = summarizeOutput(step.tool, rec.output);
+          console.log(`  ${pc.green('✔')} ${label}  ${pc.dim(summary)}  ${pc.dim(`[${rec.durationMs}ms]`)}`);
+        }
+      }
+      if (run.error) {
+        console.log();
+        console.log(`${pc.dim('Error:')} ${run.error}`);
+      }
+      if (run.status !== 'completed') {
+        console.log();
+        console.log(pc.dim(`Resume with: vai workflow resume ${run.id.slice(0, 8)}`));
+      }
+      console.log();
     });
 
   // ── workflow check <path> ──
@@ -1089,8 +1207,20 @@ function registerWorkflow(program) {
   // ── workflow clear-cache [name] ──
   wfCmd
     .command('clear-cache [name]')
-    .description('Clear cached workflow inputs (from previous runs)')
-    .action((name) => {
+    .description('Clear cached workflow inputs (from previous runs), or step outputs with --outputs')
+    .option('--outputs', 'Clear cached step outputs instead', false)
+    .action((name, opts) => {
+      if (opts.outputs) {
+        const { clearOutputCache } = require('../lib/workflow-output-cache');
+        const removed = clearOutputCache();
+        if (removed === 0) {
+          console.log(pc.dim('No cached step outputs.'));
+          return;
+        }
+        console.log(ui.success(`Cleared ${removed} cached step output${removed === 1 ? '' : 's'}.`));
+        return;
+      }
+
       const { clearInputCache, loadInputCache, slugify, CACHE_PATH } = require('../lib/workflow-input-cache');
       const fs = require('fs');
 
@@ -1120,6 +1250,134 @@ function registerWorkflow(program) {
     });
 }
 
+/**
+ * Execute a workflow with progress output, print its result, and keep its
+ * run record (if any) up to date. Exits with status 1 when the run fails.
+ *
+ * @param {object} definition - Validated workflow definition
+ * @param {string} workflowName
+ * @param {object} opts - `vai workflow run` options
+ * @param {object} [record]
+ * @param {import('../lib/workflow-runs').WorkflowRunStore} [record.store]
+ * @param {object} [record.run] - Run record to update as layers complete
+ * @param {object} [record.reuse] - Outputs of steps a resumed run reuses
+ * @param {string} [record.source] - Workflow file, for resolving sub-workflow paths
+ */
+async function executeAndReport(definition, workflowName, opts, { store = null, run = null, reuse, source } = {}) {
+  const { executeWorkflow } = require('../lib/workflow');
+  // Saving the record is best-effort: never fail the run over it
+  const record = (fn) => {
+    if (!run) return;
+    try { fn(); } catch { /* ignore */ }
+  };
+
+  const telemetry = require('../lib/telemetry');
+  const wfDone = telemetry.timer('cli_workflow_run', {
+    workflowName,
+    stepCount: definition.steps?.length || 0,
+    isBuiltin: !!(definition._source === 'builtin'),
+  });
+  try {
+    const result = await executeWorkflow(definition, {
+      inputs: opts.input,
+      db: opts.db,
+      collection: opts.collection,
+      source,
+      dryRun: false,
+      verbose: opts.verbose,
+      json: opts.json,
+      cache: opts.cache,
+      reuse,
+      onLayerComplete: (layerIndex, results) => record(() => store.recordLayer(run, results)),
+      onStepReuse: !opts.quiet ? (stepId) => {
+        const stepDef = definition.steps.find(s => s.id === stepId);
+        console.error(`  ${pc.dim('↺')} ${stepDef?.name || stepId}  ${pc.dim('reused from previous attempt')}`);
+      } : undefined,
+      onStepStart: !opts.quiet ? (stepId, step) => {
+        process.stderr.write(`  ${pc.dim('...')} ${step.name || stepId}\r`);
+      } : undefined,
+      onStepComplete: !opts.quiet ? (stepId, output, durationMs, { retries = 0, cacheHits = 0, cached = false } = {}) => {
+        const stepDef = definition.steps.find(s => s.id === stepId);
+        const summary = summarizeOutput(stepDef?.tool, output);
+        const retried = retries > 0 ? `  ${pc.yellow(`${retries} ${retries === 1 ? 'retry' : 'retries'}`)}` : '';
+        const fromCache = cached ? `  ${pc.cyan('cached')}` : cacheHits > 0 ? `  ${pc.cyan(`${cacheHits} cached`)}` : '';
+        console.error(`  ${pc.green('✔')} ${stepDef?.name || stepId}  ${pc.dim(summary)}  ${pc.dim(`[${durationMs}ms]`)}${retried}${fromCache}`);
+      } : undefined,
+      onStepSkip: !opts.quiet ? (stepId, reason) => {
+        const stepDef = definition.steps.find(s => s.id === stepId);
+        console.error(`  ${pc.yellow('⊘')} ${stepDef?.name || stepId}  ${pc.dim(`skipped: ${reason}`)}`);
+      } : undefined,
+      onStepError: !opts.quiet ? (stepId, err, attempt = {}) => {
+        const stepDef = definition.steps.find(s => s.id === stepId);
+        const label = stepDef?.name || stepId;
+        const iteration = attempt.iteration !== undefined ? ` [item ${attempt.iteration}]` : '';
+        if (attempt.willRetry) {
+          console.error(`  ${pc.yellow('↻')} ${label}${iteration}  ${pc.dim(`attempt ${attempt.attempt}/${attempt.attempts} failed: ${err.message}; retrying in ${attempt.delayMs}ms`)}`);
+          return;
+        }
+        const tries = attempt.attempt > 1 ? pc.dim(` (after ${attempt.attempt} attempts)`) : '';
+        console.error(`  ${pc.red('✗')} ${label}${iteration}  ${pc.red(err.message)}${tries}`);
+      } : undefined,
+    });
+    record(() => store.finish(run, { result }));
+
+    if (!opts.quiet) {
+      const reusedCount = result.steps.filter(s => s.reused).length;
+      const reusedNote = reusedCount > 0 ? ` (${reusedCount} reused)` : '';
+      console.error();
+      console.error(`${pc.bold('vai workflow:')} ${workflowName}`);
+      console.error(pc.dim('═'.repeat(50)));
+      // Step summaries already printed via callbacks
+      console.error();
+      console.error(`${pc.dim('Complete.')} ${result.steps.length} steps${reusedNote}, ${result.totalTimeMs}ms total.${run ? pc.dim(` Run ${run.id.slice(0, 8)}`) : ''}`);
+      console.error();
+    }
+
+    wfDone();
+
+    // Cache inputs for next run
+    try {
+      const { saveInputCache } = require('../lib/workflow-input-cache');
+      saveInputCache(workflowName, opts.input);
+    } catch { /* non-critical, don't fail the run */ }
+
+    // Output
+    const { formatWorkflowOutput, autoDetectFormat } = require('../lib/workflow-formatters');
+    const fmtHints = definition.formatters || {};
+
+    if (opts.json || opts.output === 'json') {
+      console.log(JSON.stringify(result.output, null, 2));
+    } else if (opts.output) {
+      console.log(formatWorkflowOutput(result.output, opts.output, fmtHints));
+    } else if (result.output) {
+      // Auto-detect best format from output shape and workflow hints
+      const bestFormat = autoDetectFormat(result.output, fmtHints);
+      console.log(formatWorkflowOutput(result.output, bestFormat, fmtHints));
+    }
+  } catch (err) {
+    record(() => store.finish(run, { error: err }));
+    console.error(ui.error(err.message));
+    if (opts.verbose) {
+      console.error(pc.dim(err.stack));
+    }
+    if (run) {
+      console.error(pc.dim(`  Completed steps were saved. Resume with: vai workflow resume ${run.id.slice(0, 8)}`));
+    }
+    process.exit(1);
+  }
+}
+
+/**
+ * Color a run status for `vai workflow runs`. A run still marked running
+ * after its process exited was interrupted.
+ */
+function formatRunStatus(status, width = 0) {
+  const padded = status.padEnd(width);
+  if (status === 'completed') return pc.green(padded);
+  if (status === 'failed') return pc.red(padded);
+  return pc.yellow(padded);
+}
+
 /**
  * Summarize step inputs for dry-run display.
  */
@@ -1143,6 +1401,9 @@ function summarizeInputs(inputs) {
  */
 function summarizeOutput(tool, output) {
   if (!output) return '';
+  if (Array.isArray(output.errors) && output.errors.length > 0) {
+    return `${output.errors.length} iteration${output.errors.length === 1 ? '' : 's'} failed`;
+  }
   if (output.results && output.resultCount != null) {
     return `${output.resultCount} results`;
   }
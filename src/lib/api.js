@@ -11,9 +11,18 @@ const MAX_RETRIES = 3;
 const MODEL_BATCH_TOKEN_LIMITS = {
   'voyage-code-3': 120000,
   'voyage-code-2': 120000,
+  'voyage-context-3': 120000,
 };
 const DEFAULT_BATCH_TOKEN_LIMIT = 320000;
 
+/**
+ * Per-request limits of the /contextualizedembeddings endpoint. Tokens are
+ * counted across all documents; each document is also capped on its own.
+ */
+const CONTEXTUAL_MAX_DOCUMENTS = 1000;
+const CONTEXTUAL_MAX_CHUNKS = 16000;
+const CONTEXTUAL_MAX_DOCUMENT_TOKENS = 32000;
+
 /**
  * Safety margins applied to token limits.
  * Our estimator uses chars/4, which is accurate for English prose but
@@ -84,6 +93,65 @@ function createTokenAwareBatches(texts, { maxItems = 128, maxTokens = DEFAULT_BA
   return batches;
 }
 
+/**
+ * Pack documents (each an array of chunk texts) into requests for the
+ * contextualized embeddings endpoint. A document always travels whole,
+ * unless it alone exceeds the per-document token cap; it is then cut into
+ * consecutive windows, each sent as its own document.
+ *
+ * @param {string[][]} docs - Chunk texts per document
+ * @param {object} [opts]
+ * @param {number} [opts.maxTokens] - Estimated tokens per request
+ * @param {number} [opts.maxDocumentTokens] - Estimated tokens per document
+ * @param {number} [opts.maxChunks] - Chunks per request
+ * @param {number} [opts.maxDocuments] - Documents per request
+ * @returns {Array<Array<{doc: number, start: number, end: number}>>} Requests,
+ *   each a list of chunk ranges (`end` exclusive) into `docs`
+ */
+function createContextualBatches(docs, {
+  maxTokens = getModelBatchTokenLimit('voyage-context-3'),
+  maxDocumentTokens = Math.floor(CONTEXTUAL_MAX_DOCUMENT_TOKENS * TEXT_MODEL_SAFETY),
+  maxChunks = CONTEXTUAL_MAX_CHUNKS,
+  maxDocuments = CONTEXTUAL_MAX_DOCUMENTS,
+} = {}) {
+  // Cut oversized documents into windows first
+  const windows = [];
+  docs.forEach((chunks, doc) => {
+    let start = 0;
+    let tokens = 0;
+    for (let i = 0; i < chunks.length; i++) {
+      const t = estimateTokens(chunks[i]);
+      if (i > start && (tokens + t > maxDocumentTokens || i - start >= maxChunks)) {
+        windows.push({ doc, start, end: i, tokens });
+        start = i;
+        tokens = 0;
+      }
+      tokens += t;
+    }
+    if (chunks.length > start) windows.push({ doc, start, end: chunks.length, tokens });
+  });
+
+  const batches = [];
+  let current = [];
+  let tokens = 0;
+  let chunkCount = 0;
+  for (const w of windows) {
+    const size = w.end - w.start;
+    if (current.length > 0 &&
+        (current.length >= maxDocuments || tokens + w.tokens > maxTokens || chunkCount + size > maxChunks)) {
+      batches.push(current);
+      current = [];
+      tokens = 0;
+      chunkCount = 0;
+    }
+    current.push({ doc: w.doc, start: w.start, end: w.end });
+    tokens += w.tokens;
+    chunkCount += size;
+  }
+  if (current.length > 0) batches.push(current);
+  return batches;
+}
+
 /**
  * Identify the key type from its prefix.
  * @param {string} key
@@ -221,10 +289,13 @@ function sleep(ms) {
 /**
  * Make an authenticated request to the Voyage AI API with retry on 429.
  * @param {string} endpoint - API endpoint path (e.g., '/embeddings')
- * @param {object} body - Request body
- * @returns {Promise<object>}
+ * @param {object|FormData} [body] - Request body (JSON-encoded unless FormData)
+ * @param {object} [options]
+ * @param {string} [options.method='POST'] - HTTP method
+ * @param {boolean} [options.raw=false] - Return the response body as text instead of JSON
+ * @returns {Promise<object|string>}
  */
-async function apiRequest(endpoint, body) {
+async function apiRequest(endpoint, body, { method = 'POST', raw = false } = {}) {
   const diagnostics = getApiDiagnostics();
   const { apiKey, base } = diagnostics;
   const url = `${base}${endpoint}`;
@@ -236,14 +307,15 @@ async function apiRequest(endpoint, body) {
     throw mismatchErr;
   }
 
+  const isForm = typeof FormData !== 'undefined' && body instanceof FormData;
+  const headers = { 'Authorization': `Bearer ${apiKey}` };
+  if (body !== undefined && !isForm) headers['Content-Type'] = 'application/json';
+
   for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
     const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify(body),
+      method,
+      headers,
+      body: body === undefined ? undefined : (isForm ? body : JSON.stringify(body)),
     });
 
     // 429: The API said "slow down monkey" — respect the rate limit
@@ -300,7 +372,7 @@ async function apiRequest(endpoint, body) {
       throw err;
     }
 
-    return response.json();
+    return raw ? response.text() : response.json();
   }
 }
 
@@ -316,11 +388,24 @@ async function apiRequest(endpoint, body) {
  * @returns {Promise<object>} API response with embeddings
  */
 async function generateEmbeddings(texts, options = {}) {
-  const { getDefaultModel } = require('./catalog');
+  const { getDefaultModel, isContextualizedModel } = require('./catalog');
+  const model = options.model || getDefaultModel();
+
+  // Contextualized models have their own endpoint; on their own, texts
+  // (e.g. queries) are sent as single-chunk documents.
+  if (isContextualizedModel(model)) {
+    const result = await generateContextualizedEmbeddings(texts.map(t => [t]), { ...options, model });
+    return {
+      object: 'list',
+      data: result.data.map(doc => ({ ...doc.data[0], index: doc.index })),
+      model: result.model,
+      usage: result.usage,
+    };
+  }
 
   const body = {
     input: texts,
-    model: options.model || getDefaultModel(),
+    model,
   };
 
   if (options.inputType) {
@@ -339,6 +424,61 @@ async function generateEmbeddings(texts, options = {}) {
   return apiRequest('/embeddings', body);
 }
 
+/**
+ * Generate contextualized chunk embeddings: each document's chunks are
+ * sent together, and every chunk vector also encodes its document context.
+ * @param {string[][]} inputs - Chunk texts, one array per document
+ * @param {object} [options]
+ * @param {string} [options.model='voyage-context-3']
+ * @param {string} [options.inputType] - Input type (query|document)
+ * @param {number} [options.dimensions] - Output dimensions
+ * @param {string} [options.outputDtype] - Output data type
+ * @returns {Promise<{data: Array<{data: Array<{embedding: number[], index: number}>, index: number}>, model: string, usage: object}>}
+ *   One entry per document, holding one embedding per chunk
+ */
+async function generateContextualizedEmbeddings(inputs, options = {}) {
+  const { DEFAULT_CONTEXTUAL_MODEL } = require('./catalog');
+
+  const body = {
+    inputs,
+    model: options.model || DEFAULT_CONTEXTUAL_MODEL,
+  };
+
+  if (options.inputType) {
+    body.input_type = options.inputType;
+  }
+  if (options.dimensions) {
+    body.output_dimension = options.dimensions;
+  }
+  if (options.outputDtype && options.outputDtype !== 'float') {
+    body.output_dtype = options.outputDtype;
+  }
+
+  return apiRequest('/contextualizedembeddings', body);
+}
+
+/**
+ * Build a function that embeds a batch of texts and returns just the
+ * vectors, via the API or the local nano model. Used where embeddings are
+ * a means rather than the output (e.g. semantic chunking).
+ * @param {object} [options]
+ * @param {string} [options.model] - API model (ignored with `local`)
+ * @param {number} [options.dimensions]
+ * @param {string} [options.inputType='document']
+ * @param {boolean} [options.local=false] - Use voyage-4-nano locally
+ * @param {function(number): void} [options.onUsage] - Called with tokens used per batch
+ * @returns {function(string[]): Promise<number[][]>}
+ */
+function createEmbedder({ model, dimensions, inputType = 'document', local = false, onUsage } = {}) {
+  return async (texts) => {
+    const result = local
+      ? await require('../nano/nano-local.js').generateLocalEmbeddings(texts, { inputType, dimensions })
+      : await generateEmbeddings(texts, { model, inputType, dimensions });
+    if (onUsage) onUsage(result.usage?.total_tokens || 0);
+    return result.data.map(d => d.embedding);
+  };
+}
+
 /**
  * Generate multimodal embeddings for inputs containing text, images, and/or video.
  * Uses the /multimodalembeddings endpoint with a different input format.
@@ -379,8 +519,11 @@ module.exports = {
   getApiDiagnostics,
   apiRequest,
   generateEmbeddings,
+  generateContextualizedEmbeddings,
+  createEmbedder,
   generateMultimodalEmbeddings,
   getModelBatchTokenLimit,
   estimateTokens,
   createTokenAwareBatches,
+  createContextualBatches,
 };
@@ -0,0 +1,256 @@
+'use strict';
+
+/**
+ * Voyage Batch API
+ *
+ * Asynchronous embedding jobs for large offline runs. Requests are written
+ * to a JSONL file, uploaded, and processed within the completion window at
+ * batch pricing and outside the synchronous rate limits.
+ *
+ * Local job state lives in ~/.vai/batches/<batch id>/ so `vai batch
+ * status`, `download` and `apply` can run later, from another shell:
+ *   job.json        — batch id, target, model, remote status
+ *   requests.jsonl  — the uploaded request file
+ *   documents.jsonl — documents to write back, keyed by custom_id
+ *   results.jsonl   — the downloaded output file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { apiRequest } = require('./api');
+
+const BATCH_ENDPOINT = '/v1/embeddings';
+const DEFAULT_COMPLETION_WINDOW = '12h';
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled', 'expired'];
+
+/**
+ * Build one batch request line per document. The document `_id` is used
+ * as `custom_id` so results map straight back to documents.
+ * @param {object[]} docs - Documents with `_id` set
+ * @param {string} textKey - Field holding the text to embed
+ * @returns {Array<{custom_id: string, body: {input: string[]}}>}
+ */
+function buildBatchRequests(docs, textKey) {
+  return docs.map(doc => ({
+    custom_id: String(doc._id),
+    body: { input: [doc[textKey]] },
+  }));
+}
+
+/**
+ * Serialize objects as JSONL.
+ * @param {object[]} items
+ * @returns {string}
+ */
+function toJsonl(items) {
+  return items.map(item => JSON.stringify(item)).join('\n') + (items.length ? '\n' : '');
+}
+
+/**
+ * Parse JSONL text, skipping blank lines.
+ * @param {string} text
+ * @returns {object[]}
+ */
+function parseJsonl(text) {
+  return String(text || '').split('\n').filter(l => l.trim()).map(l => JSON.parse(l));
+}
+
+/**
+ * Upload a batch input file.
+ * @param {string} content - JSONL request file contents
+ * @param {string} [filename]
+ * @returns {Promise<{id: string}>}
+ */
+async function uploadBatchFile(content, filename = 'requests.jsonl') {
+  const form = new FormData();
+  form.append('purpose', 'batch');
+  form.append('file', new Blob([content], { type: 'application/jsonl' }), filename);
+  return apiRequest('/files', form);
+}
+
+/**
+ * Create an embedding batch from an uploaded input file.
+ * @param {object} params
+ * @param {string} params.inputFileId
+ * @param {string} params.model
+ * @param {string} [params.inputType]
+ * @param {number} [params.dimensions]
+ * @param {string} [params.completionWindow='12h']
+ * @param {object} [params.metadata]
+ * @returns {Promise<object>} Batch object
+ */
+async function createBatch({ inputFileId, model, inputType, dimensions, completionWindow = DEFAULT_COMPLETION_WINDOW, metadata }) {
+  const requestParams = { model };
+  if (inputType) requestParams.input_type = inputType;
+  if (dimensions) requestParams.output_dimension = dimensions;
+
+  const body = {
+    endpoint: BATCH_ENDPOINT,
+    completion_window: completionWindow,
+    input_file_id: inputFileId,
+    request_params: requestParams,
+  };
+  if (metadata) body.metadata = metadata;
+  return apiRequest('/batches', body);
+}
+
+/**
+ * Fetch the current state of a batch.
+ * @param {string} batchId
+ * @returns {Promise<object>} Batch object
+ */
+async function getBatch(batchId) {
+  return apiRequest(`/batches/${encodeURIComponent(batchId)}`, undefined, { method: 'GET' });
+}
+
+/**
+ * Download a file's contents (batch output or error file).
+ * @param {string} fileId
+ * @returns {Promise<string>}
+ */
+async function downloadFile(fileId) {
+  return apiRequest(`/files/${encodeURIComponent(fileId)}/content`, undefined, { method: 'GET', raw: true });
+}
+
+/**
+ * Poll a batch until it reaches a terminal status.
+ * @param {string} batchId
+ * @param {object} [opts]
+ * @param {number} [opts.intervalMs=30000]
+ * @param {number} [opts.timeoutMs] - Give up after this long (default: no limit)
+ * @param {function(object): void} [opts.onPoll] - Called with each batch snapshot
+ * @returns {Promise<object>} Final batch object
+ */
+async function waitForBatch(batchId, { intervalMs = 30000, timeoutMs, onPoll } = {}) {
+  const started = Date.now();
+  for (;;) {
+    const batch = await getBatch(batchId);
+    if (onPoll) onPoll(batch);
+    if (TERMINAL_STATUSES.includes(batch.status)) return batch;
+    if (timeoutMs && Date.now() - started + intervalMs > timeoutMs) {
+      throw new Error(`Timed out waiting for batch ${batchId} (last status: ${batch.status}).`);
+    }
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+/**
+ * Parse a batch output file into vectors keyed by custom_id.
+ * @param {string} text - Output file JSONL
+ * @returns {{ vectors: Map<string, number[]>, errors: Array<{customId: string, error: string}>, tokens: number }}
+ */
+function parseBatchResults(text) {
+  const vectors = new Map();
+  const errors = [];
+  let tokens = 0;
+
+  for (const line of parseJsonl(text)) {
+    const response = line.response || {};
+    const embedding = response.body?.data?.[0]?.embedding;
+    if (line.error || (response.status_code && response.status_code !== 200) || !embedding) {
+      const detail = line.error?.message || line.error || response.body?.detail || `status ${response.status_code}`;
+      errors.push({ customId: line.custom_id, error: typeof detail === 'string' ? detail : JSON.stringify(detail) });
+      continue;
+    }
+    vectors.set(line.custom_id, embedding);
+    tokens += response.body.usage?.total_tokens || 0;
+  }
+
+  return { vectors, errors, tokens };
+}
+
+// ============================================
+// Local Job State
+// ============================================
+
+/**
+ * Root directory for local batch job state.
+ * @returns {string}
+ */
+function getBatchDir() {
+  const { CONFIG_DIR } = require('./config');
+  return process.env.VAI_BATCH_DIR || path.join(CONFIG_DIR, 'batches');
+}
+
+function getJobDir(batchId) {
+  return path.join(getBatchDir(), String(batchId).replace(/[^a-zA-Z0-9._-]/g, '_'));
+}
+
+/**
+ * Persist a job and, optionally, its request/document files.
+ * @param {object} job - Must include `batchId`
+ * @param {object} [files] - Map of filename → contents
+ */
+function saveJob(job, files = {}) {
+  const dir = getJobDir(job.batchId);
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), content, 'utf-8');
+  }
+  fs.writeFileSync(path.join(dir, 'job.json'), JSON.stringify(job, null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * Load a job saved by `vai batch submit`.
+ * @param {string} batchId
+ * @returns {object} Job with a `dir` property
+ */
+function loadJob(batchId) {
+  const dir = getJobDir(batchId);
+  const file = path.join(dir, 'job.json');
+  if (!fs.existsSync(file)) {
+    throw new Error(`No local record of batch "${batchId}". Run "vai batch list" to see submitted batches.`);
+  }
+  return { ...JSON.parse(fs.readFileSync(file, 'utf-8')), dir };
+}
+
+/**
+ * Read a file from a job's directory.
+ * @param {object} job - Loaded job
+ * @param {string} name
+ * @returns {string|null} Contents, or null if missing
+ */
+function readJobFile(job, name) {
+  const file = path.join(job.dir, name);
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : null;
+}
+
+/**
+ * List locally known jobs, newest first.
+ * @returns {object[]}
+ */
+function listJobs() {
+  const root = getBatchDir();
+  if (!fs.existsSync(root)) return [];
+  const jobs = [];
+  for (const name of fs.readdirSync(root)) {
+    const file = path.join(root, name, 'job.json');
+    if (!fs.existsSync(file)) continue;
+    try {
+      jobs.push(JSON.parse(fs.readFileSync(file, 'utf-8')));
+    } catch {
+      // Skip unreadable job records
+    }
+  }
+  return jobs.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+module.exports = {
+  BATCH_ENDPOINT,
+  DEFAULT_COMPLETION_WINDOW,
+  TERMINAL_STATUSES,
+  buildBatchRequests,
+  toJsonl,
+  parseJsonl,
+  uploadBatchFile,
+  createBatch,
+  getBatch,
+  downloadFile,
+  waitForBatch,
+  parseBatchResults,
+  getBatchDir,
+  saveJob,
+  loadJob,
+  readJobFile,
+  listJobs,
+};
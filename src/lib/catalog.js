@@ -5,6 +5,7 @@ const { getConfigValue } = require('./config');
 const DEFAULT_EMBED_MODEL = 'voyage-4-large';
 const DEFAULT_RERANK_MODEL = 'rerank-2.5';
 const DEFAULT_DIMENSIONS = 1024;
+const DEFAULT_CONTEXTUAL_MODEL = 'voyage-context-3';
 
 /**
  * Get the default embedding model (config override or built-in default).
@@ -24,7 +25,7 @@ function getDefaultDimensions() {
 
 // The model catalog: like a wine list (I don't drink :-P), except every choice
 // leads to vectors instead of regret.
-/** @type {Array<{name: string, type: string, context: string, dimensions: string, price: string, bestFor: string, family?: string, architecture?: string, sharedSpace?: string, huggingface?: string, pricePerMToken?: number, rtebScore?: number}>} */
+/** @type {Array<{name: string, type: string, context: string, dimensions: string, price: string, bestFor: string, family?: string, contextualized?: boolean, architecture?: string, sharedSpace?: string, huggingface?: string, pricePerMToken?: number, rtebScore?: number}>} */
 const MODEL_CATALOG = [
   { name: 'voyage-4-large', type: 'embedding', context: '32K', dimensions: '1024 (default), 256, 512, 2048', price: '$0.12/1M tokens', pricePerMToken: 0.12, bestFor: 'Best quality, multilingual, MoE', shortFor: 'Best quality', family: 'voyage-4', architecture: 'moe', sharedSpace: 'voyage-4', rtebScore: 71.41 },
   { name: 'voyage-4', type: 'embedding', context: '32K', dimensions: '1024 (default), 256, 512, 2048', price: '$0.06/1M tokens', pricePerMToken: 0.06, bestFor: 'Balanced quality/perf', shortFor: 'Balanced', family: 'voyage-4', architecture: 'dense', sharedSpace: 'voyage-4', rtebScore: 70.07 },
@@ -32,7 +33,7 @@ const MODEL_CATALOG = [
   { name: 'voyage-code-3', type: 'embedding', context: '32K', dimensions: '1024 (default), 256, 512, 2048', price: '$0.18/1M tokens', pricePerMToken: 0.18, bestFor: 'Code retrieval', shortFor: 'Code' },
   { name: 'voyage-finance-2', type: 'embedding', context: '32K', dimensions: '1024', price: '$0.12/1M tokens', pricePerMToken: 0.12, bestFor: 'Finance', shortFor: 'Finance' },
   { name: 'voyage-law-2', type: 'embedding', context: '16K', dimensions: '1024', price: '$0.12/1M tokens', pricePerMToken: 0.12, bestFor: 'Legal', shortFor: 'Legal' },
-  { name: 'voyage-context-3', type: 'embedding', context: '32K', dimensions: '1024 (default), 256, 512, 2048', price: '$0.18/1M tokens', pricePerMToken: 0.18, bestFor: 'Contextualized chunks', shortFor: 'Context chunks', unreleased: true },
+  { name: 'voyage-context-3', type: 'embedding', context: '32K', dimensions: '1024 (default), 256, 512, 2048', price: '$0.18/1M tokens', pricePerMToken: 0.18, bestFor: 'Contextualized chunks', shortFor: 'Context chunks', contextualized: true },
   { name: 'voyage-multimodal-3.5', type: 'embedding-multimodal', context: '32K', dimensions: '1024 (default), 256, 512, 2048', price: '$0.12/M + $0.60/B px', bestFor: 'Text + images + video', shortFor: 'Multimodal', multimodal: true },
   { name: 'rerank-2.5', type: 'reranking', context: '32K', dimensions: '—', price: '$0.05/1M tokens', pricePerMToken: 0.05, bestFor: 'Best quality reranking', shortFor: 'Best reranker' },
   { name: 'rerank-2.5-lite', type: 'reranking', context: '32K', dimensions: '—', price: '$0.02/1M tokens', pricePerMToken: 0.02, bestFor: 'Fast reranking', shortFor: 'Fast reranker' },
@@ -62,6 +63,16 @@ const BENCHMARK_SCORES = [
   { model: 'OpenAI v3 Large', provider: 'OpenAI', score: 62.57 },
 ];
 
+/**
+ * Whether a model embeds chunks in the context of their whole document
+ * (served by the /contextualizedembeddings endpoint).
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isContextualizedModel(name) {
+  return MODEL_CATALOG.some(m => m.name === name && m.contextualized);
+}
+
 /**
  * Get models that share an embedding space.
  * @param {string} space - e.g. 'voyage-4'
@@ -75,9 +86,11 @@ module.exports = {
   DEFAULT_EMBED_MODEL,
   DEFAULT_RERANK_MODEL,
   DEFAULT_DIMENSIONS,
+  DEFAULT_CONTEXTUAL_MODEL,
   getDefaultModel,
   getDefaultDimensions,
   MODEL_CATALOG,
   BENCHMARK_SCORES,
   getSharedSpaceModels,
+  isContextualizedModel,
 };
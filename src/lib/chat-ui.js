@@ -349,7 +349,8 @@ function renderMarkdown(md, width) {
 }
 
 /**
- * Render inline markdown elements: bold, italic, inline code, links, strikethrough.
+ * Render inline markdown elements: bold, italic, inline code, links,
+ * strikethrough, and citation markers ([1], [2, 3]).
  * @param {string} text
  * @returns {string}
  */
@@ -376,6 +377,9 @@ function renderInline(text) {
     return `${pc.underline(pc.cyan(label))} ${pc.dim('(' + url + ')')}`;
   });
 
+  // Citation markers
+  text = text.replace(/(?<!\w)\[\d+(?:\s*,\s*\d+)*\](?!\()/g, (marker) => pc.cyan(marker));
+
   return text;
 }
 
@@ -673,6 +677,111 @@ function renderSources(sources, options = {}) {
   return out.join('\n');
 }
 
+/**
+ * Render validated inline citations as a box: each cited document with
+ * its chunk ID and the claims it supports. Citations to documents that
+ * were not retrieved are listed as warnings.
+ *
+ * @param {Array<{n: number, id?: string, source: string, score?: number, claims: Array<{text: string}>}>} citations
+ * @param {Array<{n: number, claim: string}>} [invalid]
+ * @param {object} [options]
+ * @param {number} [options.width] - Terminal width
+ * @param {boolean} [options.dropped] - Invalid markers were removed from the answer
+ * @returns {string}
+ */
+function renderCitations(citations, invalid = [], options = {}) {
+  if ((!citations || citations.length === 0) && invalid.length === 0) return '';
+
+  const width = options.width || termWidth();
+  const boxWidth = Math.min(width - 2, 76);
+  const innerWidth = boxWidth - 4;
+  const row = (content) => pc.dim('  │') + ' ' + content
+    + ' '.repeat(Math.max(0, innerWidth - stripAnsi(content).length)) + ' ' + pc.dim('│');
+
+  const out = [];
+  out.push('');
+  out.push(pc.dim(`  ┌${'─'.repeat(boxWidth - 2)}┐`));
+  out.push(row(pc.bold('Citations')));
+  out.push(pc.dim(`  ├${'─'.repeat(boxWidth - 2)}┤`));
+
+  (citations || []).forEach((c, i) => {
+    const id = c.id ? pc.dim(` ${c.id}`) : '';
+    const label = truncateAnsi(`${pc.cyan(`[${c.n}]`)} ${c.source}${id}`, innerWidth - 14);
+    const bar = scoreBar(c.score);
+    const gap = Math.max(1, innerWidth - stripAnsi(label).length - stripAnsi(bar).length);
+    out.push(pc.dim('  │') + ' ' + label + ' '.repeat(gap) + bar + ' ' + pc.dim('│'));
+    for (const claim of c.claims) {
+      out.push(row(pc.dim(truncate(`  “${claim.text}”`, innerWidth))));
+    }
+    if (i < citations.length - 1 || invalid.length > 0) {
+      out.push(pc.dim(`  │${'·'.repeat(boxWidth - 2)}│`));
+    }
+  });
+
+  const action = options.dropped ? 'removed' : 'not a retrieved source';
+  for (const bad of invalid) {
+    out.push(row(truncateAnsi(`${pc.yellow(`⚠ [${bad.n}]`)} ${action}${bad.claim ? `: ${bad.claim}` : ''}`, innerWidth)));
+  }
+
+  out.push(pc.dim(`  └${'─'.repeat(boxWidth - 2)}┘`));
+  return out.join('\n');
+}
+
+/**
+ * Render the result of a groundedness check (see groundedness.js):
+ * how many claims the context supports, then each unsupported claim.
+ * @param {object} verification - `metadata.verification` from a chat turn
+ * @param {object} [options]
+ * @param {number} [options.width] - Terminal width
+ * @returns {string}
+ */
+function renderVerification(verification, options = {}) {
+  if (!verification) return '';
+  if (verification.error) {
+    return pc.yellow(`  ⚠ Verification failed: ${verification.error}`);
+  }
+  if (verification.total === 0) {
+    return dim('  Verified: no factual claims to check');
+  }
+
+  const width = options.width || termWidth();
+  const { supported, total, score, method } = verification;
+  const color = supported === total ? green : score >= 0.5 ? pc.yellow : pc.red;
+  const lines = [`  ${dim('Verified:')} ${color(`${supported}/${total} claims supported`)} ${dim(`(${method})`)}`];
+  for (const claim of verification.claims.filter(c => !c.supported)) {
+    lines.push(`  ${pc.yellow('⚠ Unsupported:')} ${truncate(claim.text, Math.max(20, width - 19))}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render the search queries behind a turn (see query-rewrite.js): the
+ * message as typed, its standalone rewrite and any expansions.
+ * @param {{original: string, standalone: string, expansions?: Array<{method: string, text: string}>, error?: string}} queries
+ * @param {object} [options]
+ * @param {number} [options.width] - Terminal width
+ * @returns {string}
+ */
+function renderQueries(queries, options = {}) {
+  if (!queries) return '';
+  const width = options.width || termWidth();
+  const max = Math.max(20, width - 16);
+  const lines = [`  ${dim('Searched for:')}`];
+  if (queries.standalone !== queries.original) {
+    lines.push(`  ${dim('message')}     ${truncate(queries.original, max)}`);
+    lines.push(`  ${dim('rewritten')}   ${cyan(truncate(queries.standalone, max))}`);
+  } else {
+    lines.push(`  ${dim('query')}       ${cyan(truncate(queries.standalone, max))}`);
+  }
+  for (const e of queries.expansions || []) {
+    lines.push(`  ${dim(e.method.padEnd(12))}${truncate(e.text.replace(/\s+/g, ' '), max)}`);
+  }
+  if (queries.error) {
+    lines.push(pc.yellow(`  ⚠ Query rewriting failed: ${queries.error}`));
+  }
+  return lines.join('\n');
+}
+
 /**
  * Truncate a string that may contain ANSI codes to a visible maxLen.
  * Falls back to plain truncate for strings without ANSI.
@@ -872,11 +981,18 @@ function renderHeader(info) {
  * @param {number} call.timeMs
  * @param {string} [call.error]
  * @param {*} [call.result]
+ * @param {string} [call.approval] - approved, edited, rejected or denied
  * @param {boolean|string} [verbose] - true for name+time, 'verbose' for result preview
  * @returns {string}
  */
 function renderToolCall(call, verbose) {
-  const { name, timeMs, error, result } = call;
+  const { name, timeMs, error, result, approval } = call;
+  if (approval === 'denied') {
+    return pc.dim(`  [tool] ${name} ${pc.yellow('denied by tool policy')}`);
+  }
+  if (approval === 'rejected') {
+    return pc.dim(`  [tool] ${name} ${pc.yellow('rejected')}`);
+  }
   if (error) {
     return pc.dim(`  [tool] ${name} ${pc.red('failed')} (${timeMs}ms): ${error}`);
   }
@@ -888,6 +1004,48 @@ function renderToolCall(call, verbose) {
   return line;
 }
 
+/**
+ * Render the approval request for a tool call whose permission is "ask".
+ * @param {object} request
+ * @param {string} request.name
+ * @param {object} request.args
+ * @returns {string}
+ */
+function renderToolApproval({ name, args }) {
+  const json = JSON.stringify(args, null, 2).split('\n').map(l => `    ${l}`).join('\n');
+  return [
+    '',
+    pc.yellow(`  ? The agent wants to call ${pc.bold(name)} with:`),
+    pc.dim(json),
+  ].join('\n');
+}
+
+// ── LLM fallback note ─────────────────────────────────────────────────
+
+/**
+ * Render a note when a fallback provider answered instead of the first
+ * choice, naming the providers that failed.
+ * @param {object} metadata - Turn metadata with llmProvider, llmModel, llmFailures
+ * @returns {string} Empty when no fallback happened
+ */
+function renderFallbackNote(metadata) {
+  const failures = metadata?.llmFailures;
+  if (!failures || failures.length === 0) return '';
+  const label = (f) => `${f.provider} (${f.model})`;
+  const answeredBy = `${metadata.llmProvider} (${metadata.llmModel})`;
+  const others = failures.filter(f => label(f) !== answeredBy);
+
+  if (others.length === 0) {
+    return dim(`  ↻ ${answeredBy} answered after ${failures.length} retr${failures.length === 1 ? 'y' : 'ies'}`);
+  }
+  const failed = [...new Set(others.map(label))];
+  const lastError = others[others.length - 1].error.replace(/\s+/g, ' ');
+  return [
+    pc.yellow(`  ⚠ ${failed.join(', ')} failed — answered by ${answeredBy}`),
+    dim(`    ${truncate(lastError, Math.max(20, termWidth() - 6))}`),
+  ].join('\n');
+}
+
 // ── Per-message latency line ──────────────────────────────────────────
 
 /**
@@ -921,8 +1079,13 @@ module.exports = {
   renderInline,
   renderCodeBlock,
   renderSources,
+  renderCitations,
+  renderVerification,
+  renderQueries,
   renderHeader,
   renderToolCall,
+  renderToolApproval,
+  renderFallbackNote,
   renderLatencyLine,
 
   // Streaming
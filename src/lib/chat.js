@@ -38,6 +38,21 @@ function resolveSourceLabel(doc) {
   return doc._id?.toString() || 'unknown';
 }
 
+/**
+ * Provider and model that answered the last LLM call. With a fallback
+ * chain, also lists the providers that failed before it.
+ * @param {object} llm - LLM provider
+ * @returns {{llmProvider: string, llmModel: string, llmFailures?: Array<{provider: string, model: string, error: string}>}}
+ */
+function answeringProvider(llm) {
+  const failures = llm.lastCall?.failures || [];
+  return {
+    llmProvider: llm.name,
+    llmModel: llm.model,
+    ...(failures.length > 0 ? { llmFailures: failures } : {}),
+  };
+}
+
 /**
  * Deduplicate sources by parent document.
  *
@@ -84,8 +99,13 @@ function deduplicateSources(sources) {
       return g;
     });
 }
-const { getMongoCollection } = require('./mongo');
+const { createVectorStore } = require('./vector-store');
+const { resolveHybridConfig, hybridSearch, fuseRankedLists } = require('./fusion');
+const { resolveParentConfig, expandToParents } = require('./parents');
 const { buildMessages, buildAgentMessages } = require('./prompt');
+const { validateCitations } = require('./citations');
+const { verifyAnswer } = require('./groundedness');
+const { rewriteQuery, parseExpandMethods } = require('./query-rewrite');
 const { getDefaultModel, DEFAULT_RERANK_MODEL } = require('./catalog');
 const { loadProject } = require('./project');
 
@@ -105,7 +125,19 @@ const { loadProject } = require('./project');
  * @param {boolean} [params.opts.rerank] - Whether to rerank (default true)
  * @param {string} [params.opts.textField] - Document text field name
  * @param {string} [params.opts.filter] - JSON pre-filter for vector search
- * @returns {Promise<{docs: Array, client: MongoClient, retrievalTimeMs: number, tokens: {embed: number, rerank: number}}>}
+ * @param {string} [params.opts.store] - Vector store backend: mongodb or local
+ * @param {boolean} [params.opts.hybrid] - Fuse vector and lexical search (see fusion.js)
+ * @param {string} [params.opts.searchIndex] - Atlas Search index for hybrid mode
+ * @param {string} [params.opts.fusion] - Fusion method: rrf or weighted
+ * @param {number} [params.opts.rrfK] - Rank constant for RRF fusion
+ * @param {number} [params.opts.vectorWeight] - Weight of vector results in weighted fusion, 0-1
+ * @param {boolean} [params.opts.parents] - Return the parents of matched chunks (see parents.js)
+ * @param {string} [params.opts.parentCollection] - Collection holding the parents
+ * @param {number} [params.opts.parentBudget] - Max estimated tokens of parent text
+ * @param {Array<{text: string, inputType: string}>} [params.opts.expansions] - Extra search
+ *   queries (see query-rewrite.js); their results are fused with the query's before reranking
+ * @returns {Promise<{docs: Array, client: {close: Function}, retrievalTimeMs: number, tokens: {embed: number, rerank: number}}>}
+ *   `client` is the vector store handle; callers must close it.
  */
 async function retrieve({ query, db, collection, opts = {} }) {
   const { config: proj } = loadProject();
@@ -117,31 +149,31 @@ async function retrieve({ query, db, collection, opts = {} }) {
   const doRerank = opts.rerank !== false;
   const textField = opts.textField || 'text';
   const limit = Math.min(maxDocs * 4, 20); // Get more candidates for reranking
+  const hybrid = resolveHybridConfig(opts, proj.hybrid);
+  const parents = resolveParentConfig(opts, proj.parents, collection);
 
   const start = Date.now();
 
-  // Step 1: Embed query
+  // Step 1: Embed the query and any expansions, one call per input type
+  const searches = [{ text: query, inputType: 'query' }, ...(opts.expansions || [])];
   const embedFn = opts.embedFn || generateEmbeddings;
-  const embedOpts = { model, inputType: 'query' };
-  if (dimensions) embedOpts.dimensions = dimensions;
-  const embedResult = await embedFn([query], embedOpts);
-  const queryVector = embedResult.data[0].embedding;
-  const embedTokens = embedResult.usage?.total_tokens || 0;
+  const vectors = [];
+  let embedTokens = 0;
+  for (const inputType of ['query', 'document']) {
+    const batch = searches.map((s, i) => (s.inputType === inputType ? i : -1)).filter(i => i >= 0);
+    if (batch.length === 0) continue;
+    const embedOpts = { model, inputType };
+    if (dimensions) embedOpts.dimensions = dimensions;
+    const embedResult = await embedFn(batch.map(i => searches[i].text), embedOpts);
+    batch.forEach((i, j) => { vectors[i] = embedResult.data[j].embedding; });
+    embedTokens += embedResult.usage?.total_tokens || 0;
+  }
 
   // Step 2: Vector search
-  const { client, collection: coll } = await getMongoCollection(db, collection);
-
-  const vectorSearchStage = {
-    index,
-    path: field,
-    queryVector,
-    numCandidates: Math.min(limit * 15, 10000),
-    limit,
-  };
-
+  let filter;
   if (opts.filter) {
     try {
-      vectorSearchStage.filter = typeof opts.filter === 'string'
+      filter = typeof opts.filter === 'string'
         ? JSON.parse(opts.filter)
         : opts.filter;
     } catch {
@@ -149,19 +181,40 @@ async function retrieve({ query, db, collection, opts = {} }) {
     }
   }
 
-  const pipeline = [
-    { $vectorSearch: vectorSearchStage },
-    { $addFields: { _vsScore: { $meta: 'vectorSearchScore' } } },
-  ];
-
-  const searchResults = await coll.aggregate(pipeline).toArray();
+  const client = createVectorStore({ db, collection, store: opts.store });
+  const fused = searches.length > 1;
+  let searchResults;
+  try {
+    const lists = [];
+    for (let i = 0; i < searches.length; i++) {
+      const searchParams = {
+        vector: vectors[i],
+        index,
+        field,
+        limit,
+        numCandidates: Math.min(limit * 15, 10000),
+        filter,
+      };
+      lists.push(hybrid.enabled
+        ? (await hybridSearch(client, { ...searchParams, query: searches[i].text, textField, hybrid })).docs
+        : await client.search(searchParams));
+    }
+    // Docs found by several queries rise to the top of the candidate pool
+    searchResults = fused
+      ? fuseRankedLists(lists.map(docs => ({ docs })), { method: 'rrf', k: hybrid.k }).slice(0, limit)
+      : lists[0];
+  } catch (err) {
+    await client.close().catch(() => {});
+    throw err;
+  }
 
   if (searchResults.length === 0) {
     return { docs: [], client, retrievalTimeMs: Date.now() - start, tokens: { embed: embedTokens, rerank: 0 } };
   }
 
-  // Step 3: Rerank (optional)
-  let finalDocs;
+  // Step 3: Rerank (optional). With parents, every candidate is kept
+  // ranked, since several may collapse into one parent.
+  let ranked;
   let rerankTokens = 0;
 
   if (doRerank && searchResults.length > 1) {
@@ -176,26 +229,48 @@ async function retrieve({ query, db, collection, opts = {} }) {
       query,
       documents,
       model: rerankModel,
-      top_k: maxDocs,
+      top_k: parents.enabled ? searchResults.length : maxDocs,
     });
     rerankTokens = rerankResult.usage?.total_tokens || 0;
 
-    finalDocs = (rerankResult.data || []).map(item => {
-      const doc = searchResults[item.index];
-      return {
-        text: doc[textField] || '',
-        source: resolveSourceLabel(doc),
-        score: item.relevance_score,
-        vectorScore: doc._vsScore,
-        metadata: doc.metadata || {},
-      };
-    });
+    ranked = (rerankResult.data || []).map(item => ({
+      doc: searchResults[item.index],
+      score: item.relevance_score,
+      vectorScore: searchResults[item.index]._vsScore,
+    }));
   } else {
-    finalDocs = searchResults.slice(0, maxDocs).map(doc => ({
+    ranked = searchResults.map(doc => ({
+      doc,
+      score: hybrid.enabled || fused ? doc._fusedScore : doc._vsScore,
+    }));
+  }
+
+  let finalDocs;
+  if (parents.enabled) {
+    const parentStore = createVectorStore({ db, collection: parents.collection, store: opts.store });
+    let expanded;
+    try {
+      const scored = ranked.map(r => ({ ...r.doc, _score: r.score }));
+      expanded = await expandToParents(parentStore, scored, { limit: maxDocs, budget: parents.budget, textField });
+    } finally {
+      await parentStore.close().catch(() => {});
+    }
+    finalDocs = expanded.parents.map(({ doc, children }) => ({
+      _id: doc._id,
       text: doc[textField] || '',
       source: resolveSourceLabel(doc),
-      score: doc._vsScore,
+      score: children[0]._score,
       metadata: doc.metadata || {},
+      chunks: children.length,
+    }));
+  } else {
+    finalDocs = ranked.slice(0, maxDocs).map(r => ({
+      _id: r.doc._id,
+      text: r.doc[textField] || '',
+      source: resolveSourceLabel(r.doc),
+      score: r.score,
+      ...('vectorScore' in r ? { vectorScore: r.vectorScore } : {}),
+      metadata: r.doc.metadata || {},
     }));
   }
 
@@ -223,17 +298,60 @@ async function retrieve({ query, db, collection, opts = {} }) {
  * @param {boolean} [params.opts.stream] - Whether to stream (default true)
  * @param {string} [params.opts.textField] - Document text field
  * @param {string} [params.opts.filter] - Vector search pre-filter
+ * @param {string} [params.opts.store] - Vector store backend
+ * @param {boolean} [params.opts.hybrid] - Hybrid lexical + vector retrieval
+ * @param {string} [params.opts.searchIndex] - Atlas Search index for hybrid mode
+ * @param {string} [params.opts.fusion] - Fusion method: rrf or weighted
+ * @param {number} [params.opts.rrfK] - Rank constant for RRF fusion
+ * @param {number} [params.opts.vectorWeight] - Weight of vector results in weighted fusion, 0-1
+ * @param {boolean} [params.opts.parents] - Retrieve parents of matched chunks
+ * @param {number} [params.opts.parentBudget] - Token cap on parent text
+ * @param {string} [params.opts.invalidCitations] - Citations to unretrieved sources: flag (default) or drop
+ * @param {string} [params.opts.verify] - Check the answer's claims against the context: rerank or llm (see groundedness.js)
+ * @param {number} [params.opts.verifyThreshold] - Min rerank score for a supported claim
+ * @param {boolean} [params.opts.rewrite] - Rewrite follow-ups into standalone search queries (default true)
+ * @param {string|string[]} [params.opts.expand] - Query expansion: multi, hyde (see query-rewrite.js)
+ * @param {number} [params.opts.expandCount] - Alternative queries for multi expansion
  * @returns {AsyncGenerator<{type: string, data: any}>}
- *   Yields: { type: 'retrieval', data: { docs, timeMs, tokens } }
+ *   Yields: { type: 'retrieval', data: { docs, timeMs, tokens, queries } }
  *           { type: 'chunk', data: string }
- *           { type: 'done', data: { fullResponse, sources, metadata } }
+ *           { type: 'verifying', data: { method } }  (with opts.verify)
+ *           { type: 'done', data: { fullResponse, sources, citations, invalidCitations, queries, metadata } }
+ *   `queries` is `{ original, standalone, expansions }`: what was actually searched.
+ *   `fullResponse` is the validated answer (see citations.js); with
+ *   `invalidCitations: 'drop'` it may differ from the streamed chunks.
+ *   With `opts.verify`, `metadata.verification` reports unsupported claims,
+ *   or `{ method, error }` if the check itself failed.
  */
 async function* chatTurn({ query, db, collection, llm, history, opts = {} }) {
   const genStart = Date.now();
 
-  // 1. Retrieve context
+  // 1. Turn the message into search queries. Retrieval falls back to the
+  // raw message if rewriting fails.
+  const expand = parseExpandMethods(opts.expand);
+  let queries = { original: query, standalone: query, expansions: [] };
+  let rewriteTokens = { llmInput: 0, llmOutput: 0 };
+  const priorMessages = history.getMessages();
+  if ((opts.rewrite !== false && priorMessages.length > 0) || expand.length > 0) {
+    try {
+      const { tokens: used, ...rewritten } = await rewriteQuery({
+        query,
+        history: priorMessages,
+        llm,
+        condense: opts.rewrite !== false,
+        expand,
+        count: opts.expandCount,
+      });
+      queries = rewritten;
+      rewriteTokens = used;
+    } catch (err) {
+      queries.error = err.message;
+    }
+  }
+
+  // 2. Retrieve context
   const { docs, client, retrievalTimeMs, tokens } = await retrieve({
-    query, db, collection,
+    query: queries.standalone, db, collection,
     opts: {
       maxDocs: opts.maxDocs,
       rerank: opts.rerank,
@@ -242,12 +360,21 @@ async function* chatTurn({ query, db, collection, llm, history, opts = {} }) {
       embedFn: opts.embedFn,
       model: opts.model,
       dimensions: opts.dimensions,
+      store: opts.store,
+      hybrid: opts.hybrid,
+      searchIndex: opts.searchIndex,
+      fusion: opts.fusion,
+      rrfK: opts.rrfK,
+      vectorWeight: opts.vectorWeight,
+      parents: opts.parents,
+      parentBudget: opts.parentBudget,
+      expansions: queries.expansions,
     },
   });
 
-  yield { type: 'retrieval', data: { docs, timeMs: retrievalTimeMs, tokens } };
+  yield { type: 'retrieval', data: { docs, timeMs: retrievalTimeMs, tokens, queries } };
 
-  // 2. Build messages
+  // 3. Build messages
   // Budget history dynamically via MemoryBudget + MemoryManager, or legacy fallback
   let historyMessages;
   if (opts.memoryManager) {
@@ -263,6 +390,8 @@ async function* chatTurn({ query, db, collection, llm, history, opts = {} }) {
       budget: historyBudget,
       strategy: opts.memoryStrategy,
     });
+    const memoryMessage = await opts.memoryManager.recallMemories(query);
+    if (memoryMessage) historyMessages = [memoryMessage, ...historyMessages];
   } else {
     // Legacy fallback
     const historyBudget = opts.historyBudget || 4000;
@@ -278,7 +407,7 @@ async function* chatTurn({ query, db, collection, llm, history, opts = {} }) {
   // Yield history info so callers can display it
   yield { type: 'history', data: { turnCount: Math.floor(historyMessages.length / 2), messageCount: messages.length } };
 
-  // 3. Generate response (streaming)
+  // 4. Generate response (streaming)
   let fullResponse = '';
   const stream = opts.stream !== false;
   let llmUsage = { inputTokens: 0, outputTokens: 0 };
@@ -301,19 +430,45 @@ async function* chatTurn({ query, db, collection, llm, history, opts = {} }) {
   }
 
   const generationTimeMs = Date.now() - genStart - retrievalTimeMs;
+  const answeredBy = answeringProvider(llm);
+
+  // 5. Check inline citations against the retrieved docs
+  const cited = validateCitations(fullResponse, docs, { mode: opts.invalidCitations || 'flag' });
+  fullResponse = cited.text;
+
+  // 6. Optional groundedness check. A failed check is reported, not thrown:
+  // the answer has already been streamed.
+  let verification;
+  if (opts.verify) {
+    yield { type: 'verifying', data: { method: opts.verify } };
+    try {
+      verification = await verifyAnswer({
+        answer: fullResponse,
+        docs,
+        method: opts.verify,
+        llm,
+        model: opts.rerankModel,
+        threshold: opts.verifyThreshold,
+      });
+    } catch (err) {
+      verification = { method: opts.verify, error: err.message };
+    }
+  }
 
-  // 4. Store turns in history
+  // 7. Store turns in history
   await history.addTurn({ role: 'user', content: query });
   await history.addTurn({
     role: 'assistant',
     content: fullResponse,
     context: docs,
+    citations: cited.citations,
     metadata: {
-      llmProvider: llm.name,
-      llmModel: llm.model,
+      ...answeredBy,
       retrievalTimeMs,
       generationTimeMs,
       contextDocsUsed: docs.length,
+      queries,
+      ...(verification ? { verification } : {}),
     },
   });
 
@@ -322,17 +477,20 @@ async function* chatTurn({ query, db, collection, llm, history, opts = {} }) {
     data: {
       fullResponse,
       sources: deduplicateSources(docs),
+      citations: cited.citations,
+      invalidCitations: cited.invalid,
+      queries,
       metadata: {
         retrievalTimeMs,
         generationTimeMs,
         tokens: {
           ...tokens,
-          llmInput: llmUsage.inputTokens,
-          llmOutput: llmUsage.outputTokens,
+          llmInput: llmUsage.inputTokens + rewriteTokens.llmInput,
+          llmOutput: llmUsage.outputTokens + rewriteTokens.llmOutput,
         },
-        llmModel: llm.model,
-        llmProvider: llm.name,
+        ...answeredBy,
         contextDocsUsed: docs.length,
+        ...(verification ? { verification } : {}),
       },
     },
   };
@@ -350,13 +508,18 @@ async function* chatTurn({ query, db, collection, llm, history, opts = {} }) {
  * @param {number} [params.opts.maxIterations] - Max tool-calling iterations (default 10)
  * @param {string} [params.opts.db] - Default database for tool calls
  * @param {string} [params.opts.collection] - Default collection for tool calls
+ * @param {object} [params.opts.toolPermissions] - Tool permission policy (see tool-permissions.js)
+ * @param {function(object): Promise<object>} [params.opts.approveToolCall] - Called with
+ *   { id, name, args, sideEffects } for tools whose permission is "ask"; resolves to
+ *   { decision: 'approve'|'edit'|'reject', args?, reason? }. Without it such calls are rejected.
  * @returns {AsyncGenerator<{type: string, data: any}>}
- *   Yields: { type: 'tool_call', data: { name, args, result, error, timeMs } }
+ *   Yields: { type: 'tool_call', data: { name, args, result, error, timeMs, approval? } }
  *           { type: 'chunk', data: string }
  *           { type: 'done', data: { fullResponse, toolCalls, metadata } }
  */
 async function* agentChatTurn({ query, llm, history, opts = {} }) {
-  const { getToolDefinitions, executeTool } = require('./tool-registry');
+  const { getToolDefinitions, executeTool, isBuiltinTool, hasSideEffects } = require('./tool-registry');
+  const { resolveToolPermission, normalizeApproval } = require('./tool-permissions');
 
   const maxIterations = opts.maxIterations || 10;
   const start = Date.now();
@@ -376,6 +539,8 @@ async function* agentChatTurn({ query, llm, history, opts = {} }) {
       budget: historyBudget,
       strategy: opts.memoryStrategy,
     });
+    const memoryMessage = await opts.memoryManager.recallMemories(query);
+    if (memoryMessage) historyMessages = [memoryMessage, ...historyMessages];
   } else {
     historyMessages = history.getMessagesWithBudget(8000);
   }
@@ -412,6 +577,7 @@ async function* agentChatTurn({ query, llm, history, opts = {} }) {
     // Text response: done
     if (response.type === 'text') {
       const fullResponse = response.content;
+      const answeredBy = answeringProvider(llm);
       yield { type: 'chunk', data: fullResponse };
 
       const totalTimeMs = Date.now() - start;
@@ -423,8 +589,7 @@ async function* agentChatTurn({ query, llm, history, opts = {} }) {
         content: fullResponse,
         metadata: {
           mode: 'agent',
-          llmProvider: llm.name,
-          llmModel: llm.model,
+          ...answeredBy,
           toolCallCount: toolCallLog.length,
           iterationCount: iteration + 1,
           totalTimeMs,
@@ -445,8 +610,7 @@ async function* agentChatTurn({ query, llm, history, opts = {} }) {
               llmInput: totalLlmUsage.inputTokens,
               llmOutput: totalLlmUsage.outputTokens,
             },
-            llmModel: llm.model,
-            llmProvider: llm.name,
+            ...answeredBy,
           },
         },
       };
@@ -463,16 +627,50 @@ async function* agentChatTurn({ query, llm, history, opts = {} }) {
         let result;
         let error = null;
 
-        // Inject default db/collection if not provided
-        const args = { ...call.arguments };
-        if (opts.db && !args.db) args.db = opts.db;
-        if (opts.collection && !args.collection) args.collection = opts.collection;
+        // Inject default db/collection into built-in tools if not provided
+        let args = { ...call.arguments };
+        if (isBuiltinTool(call.name)) {
+          if (opts.db && !args.db) args.db = opts.db;
+          if (opts.collection && !args.collection) args.collection = opts.collection;
+        }
+
+        // Check the permission policy; rejected calls go back to the model as errors
+        const sideEffects = hasSideEffects(call.name);
+        const permission = resolveToolPermission(call.name, opts.toolPermissions, { sideEffects });
+        let approval;
+        let refusal = null;
+        if (permission === 'deny') {
+          approval = 'denied';
+          refusal = `Tool "${call.name}" is not permitted by the tool policy. Do not call it again; continue without it.`;
+        } else if (permission === 'ask') {
+          let answer;
+          try {
+            answer = opts.approveToolCall
+              ? normalizeApproval(await opts.approveToolCall({ id: call.id, name: call.name, args, sideEffects }), args)
+              : { decision: 'reject', args, reason: 'approval is required but no one is available to approve it' };
+          } catch (err) {
+            answer = { decision: 'reject', args, reason: err.message };
+          }
+          approval = answer.decision === 'approve' ? 'approved' : answer.decision === 'edit' ? 'edited' : 'rejected';
+          if (answer.decision === 'reject') {
+            refusal = `The user rejected the call to "${call.name}"` +
+              (answer.reason ? `: ${answer.reason}` : '.') +
+              ' Do not retry it with the same arguments.';
+          } else {
+            args = answer.args;
+          }
+        }
 
-        try {
-          result = await executeTool(call.name, args);
-        } catch (err) {
-          error = err.message;
-          result = { content: [{ type: 'text', text: `Error: ${err.message}` }] };
+        if (refusal) {
+          error = refusal;
+          result = { content: [{ type: 'text', text: `Error: ${refusal}` }] };
+        } else {
+          try {
+            result = await executeTool(call.name, args);
+          } catch (err) {
+            error = err.message;
+            result = { content: [{ type: 'text', text: `Error: ${err.message}` }] };
+          }
         }
 
         const callTimeMs = Date.now() - callStart;
@@ -491,6 +689,7 @@ async function* agentChatTurn({ query, llm, history, opts = {} }) {
           result: result.structuredContent || null,
           error,
           timeMs: callTimeMs,
+          ...(approval && { approval }),
         };
         toolCallLog.push(logEntry);
 
@@ -506,14 +705,14 @@ async function* agentChatTurn({ query, llm, history, opts = {} }) {
   const fallback = 'I reached the maximum number of tool-calling iterations. Here is what I found so far based on the tool results above.';
   yield { type: 'chunk', data: fallback };
 
+  const answeredBy = answeringProvider(llm);
   await history.addTurn({ role: 'user', content: query });
   await history.addTurn({
     role: 'assistant',
     content: fallback,
     metadata: {
       mode: 'agent',
-      llmProvider: llm.name,
-      llmModel: llm.model,
+      ...answeredBy,
       toolCallCount: toolCallLog.length,
       iterationCount: maxIterations,
       totalTimeMs: Date.now() - start,
@@ -536,8 +735,7 @@ async function* agentChatTurn({ query, llm, history, opts = {} }) {
           llmInput: totalLlmUsage.inputTokens,
           llmOutput: totalLlmUsage.outputTokens,
         },
-        llmModel: llm.model,
-        llmProvider: llm.name,
+        ...answeredBy,
       },
     },
   };
@@ -0,0 +1,248 @@
+'use strict';
+
+/**
+ * Ingestion Checkpoints
+ *
+ * A local, append-only journal that lets long `vai ingest` / `vai pipeline`
+ * runs resume after a crash. Each embedding batch is journaled with its
+ * vectors once the API returns, and each write is journaled once the store
+ * acknowledges it. A `--resume` run skips documents that were already
+ * stored and reuses vectors that were paid for but never written.
+ *
+ * Entries are keyed by deterministic chunk IDs, which are also used as
+ * `_id` so replayed writes upsert instead of duplicating.
+ *
+ * Vectors go to a side file that only holds vectors not stored yet: it is
+ * emptied once every journaled vector is stored and compacted when most of
+ * it is, so a long run's journal stays about one batch of vectors in size.
+ *
+ * Journal: ~/.vai/checkpoints/<command>-<job hash>.jsonl
+ * Vectors: ~/.vai/checkpoints/<command>-<job hash>.vectors.jsonl
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+
+/** Vectors per line when compacting the vectors file. */
+const COMPACT_BATCH_SIZE = 100;
+
+/**
+ * Deterministic ID for a chunk: the same source, text and occurrence
+ * (for repeated text within one source) always map to the same ID.
+ * @param {string} source - Source label (relative path or filename)
+ * @param {string} text - Chunk text
+ * @param {number} [occurrence=0] - How many identical chunks precede this one in the source
+ * @returns {string} 24 hex chars
+ */
+function chunkId(source, text, occurrence = 0) {
+  return crypto.createHash('sha256')
+    .update(`${source}\u0000${occurrence}\u0000${text}`)
+    .digest('hex')
+    .slice(0, 24);
+}
+
+/**
+ * Assign deterministic IDs to a list of items sharing one source.
+ * @param {string} source
+ * @param {string[]} texts
+ * @returns {string[]}
+ */
+function chunkIds(source, texts) {
+  const seen = new Map();
+  return texts.map(text => {
+    const occurrence = seen.get(text) || 0;
+    seen.set(text, occurrence + 1);
+    return chunkId(source, text, occurrence);
+  });
+}
+
+/**
+ * Source to derive a single input file's chunk IDs from: its path within
+ * the project, or its absolute path outside one. Unlike the file name, it
+ * differs between files that share a name.
+ * @param {string} file - Input file path
+ * @returns {string}
+ */
+function fileSourceKey(file) {
+  const { loadProject } = require('./project');
+  const { filePath: projectFile } = loadProject();
+  const resolved = path.resolve(file);
+  return projectFile ? path.relative(path.dirname(projectFile), resolved) : resolved;
+}
+
+/**
+ * Parse a journal file line by line, skipping a torn trailing line from the
+ * crash being resumed from.
+ * @param {string} file
+ * @returns {AsyncGenerator<object>}
+ */
+async function* readEntries(file) {
+  if (!fs.existsSync(file)) return;
+  const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf-8'), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      yield JSON.parse(line);
+    } catch {
+      // torn line
+    }
+  }
+}
+
+/**
+ * Default directory for checkpoint journals.
+ * @returns {string}
+ */
+function getCheckpointDir() {
+  const { CONFIG_DIR } = require('./config');
+  return path.join(CONFIG_DIR, 'checkpoints');
+}
+
+class CheckpointJournal {
+  /**
+   * @param {object} opts
+   * @param {string} opts.command - Command name, e.g. "ingest"
+   * @param {object} opts.job - Everything that identifies the run (input path,
+   *   target, model, ...). Runs with the same job share a journal.
+   * @param {string} [opts.dir] - Journal directory (default ~/.vai/checkpoints)
+   */
+  constructor({ command, job, dir }) {
+    this.command = command;
+    this.job = job;
+    const key = crypto.createHash('sha256').update(JSON.stringify(job)).digest('hex').slice(0, 16);
+    this.filePath = path.join(dir || getCheckpointDir(), `${command}-${key}.jsonl`);
+    this.vectorsPath = path.join(dir || getCheckpointDir(), `${command}-${key}.vectors.jsonl`);
+    // Journaled vectors not stored yet, and stored ones still in the vectors file
+    this._pending = new Map();
+    this._stale = 0;
+  }
+
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  /**
+   * Read the journal, streaming it so large journals never have to fit in
+   * one string.
+   * @returns {Promise<{ startedAt: string|null, embedded: Map<string, number[]>, inserted: Set<string> }|null>}
+   *   null when there is no journal; `embedded` holds only vectors not stored yet
+   */
+  async load() {
+    if (!this.exists()) return null;
+
+    const state = { startedAt: null, embedded: new Map(), inserted: new Set() };
+    let stale = 0;
+    for (const file of [this.filePath, this.vectorsPath]) {
+      for await (const entry of readEntries(file)) {
+        if (entry.type === 'start') {
+          state.startedAt = entry.startedAt;
+        } else if (entry.type === 'embedded') {
+          entry.ids.forEach((id, i) => {
+            if (state.inserted.has(id)) stale++;
+            else state.embedded.set(id, entry.vectors[i]);
+          });
+        } else if (entry.type === 'inserted') {
+          for (const id of entry.ids) {
+            state.inserted.add(id);
+            if (state.embedded.delete(id)) stale++;
+          }
+        }
+      }
+    }
+    this._pending = new Map(state.embedded);
+    this._stale = stale;
+    return state;
+  }
+
+  /**
+   * Begin journaling. A fresh start discards any previous journal for the job.
+   * @param {object} [opts]
+   * @param {boolean} [opts.resume=false] - Keep and append to the existing journal
+   */
+  start({ resume = false } = {}) {
+    if (resume && this.exists()) return;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.rmSync(this.vectorsPath, { force: true });
+    this._pending = new Map();
+    this._stale = 0;
+    fs.writeFileSync(this.filePath, JSON.stringify({
+      type: 'start',
+      command: this.command,
+      job: this.job,
+      startedAt: new Date().toISOString(),
+    }) + '\n', 'utf-8');
+  }
+
+  /**
+   * Record vectors returned by the embedding API.
+   * @param {string[]} ids
+   * @param {number[][]} vectors
+   */
+  recordEmbedded(ids, vectors) {
+    this._append(this.vectorsPath, { type: 'embedded', ids, vectors });
+    ids.forEach((id, i) => this._pending.set(id, vectors[i]));
+  }
+
+  /**
+   * Record documents acknowledged by the store. Their vectors are no longer
+   * needed, so the vectors file is emptied or compacted once most of it is
+   * stored.
+   * @param {string[]} ids
+   */
+  recordInserted(ids) {
+    this._append(this.filePath, { type: 'inserted', ids });
+    for (const id of ids) {
+      if (this._pending.delete(id)) this._stale++;
+    }
+    if (this._pending.size === 0) {
+      fs.rmSync(this.vectorsPath, { force: true });
+      this._stale = 0;
+    } else if (this._stale > this._pending.size) {
+      this._compact();
+    }
+  }
+
+  /**
+   * The run finished: remove the journal.
+   */
+  complete() {
+    fs.rmSync(this.filePath, { force: true });
+    fs.rmSync(this.vectorsPath, { force: true });
+  }
+
+  _append(file, entry) {
+    fs.appendFileSync(file, JSON.stringify({ ...entry, at: new Date().toISOString() }) + '\n', 'utf-8');
+  }
+
+  // Rewrite the vectors file with only the pending vectors; the rename keeps
+  // the old file intact if we crash mid-write
+  _compact() {
+    const tmpPath = `${this.vectorsPath}.tmp`;
+    const pending = [...this._pending];
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+      for (let i = 0; i < pending.length; i += COMPACT_BATCH_SIZE) {
+        const slice = pending.slice(i, i + COMPACT_BATCH_SIZE);
+        fs.writeSync(fd, JSON.stringify({
+          type: 'embedded',
+          ids: slice.map(([id]) => id),
+          vectors: slice.map(([, vector]) => vector),
+        }) + '\n');
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, this.vectorsPath);
+    this._stale = 0;
+  }
+}
+
+module.exports = {
+  chunkId,
+  chunkIds,
+  fileSourceKey,
+  getCheckpointDir,
+  CheckpointJournal,
+};
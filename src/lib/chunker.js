@@ -1,9 +1,16 @@
 'use strict';
 
 /**
- * Available chunking strategies.
+ * Chunking strategies chunk() supports.
  */
-const STRATEGIES = ['fixed', 'sentence', 'paragraph', 'recursive', 'markdown'];
+const STRATEGIES = ['fixed', 'sentence', 'paragraph', 'recursive', 'markdown', 'structured'];
+
+/**
+ * Strategies that embed the text to find boundaries. Only chunkSemantic()
+ * runs them, so only commands with an embedder (vai chunk, vai pipeline)
+ * accept them.
+ */
+const EMBEDDING_STRATEGIES = ['semantic'];
 
 /**
  * Default chunk options.
@@ -231,6 +238,408 @@ function chunkMarkdown(text, opts) {
   return chunks;
 }
 
+// ── Structure-preserving chunking ──
+
+const HEADING_RE = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE_RE = /^\s*(`{3,}|~{3,})/;
+const TABLE_SEPARATOR_RE = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+const LIST_ITEM_RE = /^(\s*)([-*+]|\d+[.)])\s+/;
+
+/**
+ * Split Markdown into blocks: headings, fenced code, tables, lists,
+ * admonitions/blockquotes and paragraphs. Everything except headings and
+ * paragraphs is an atomic unit for chunking purposes.
+ * @param {string} text
+ * @returns {Array<{type: string, text: string, level?: number, heading?: string}>}
+ */
+function parseBlocks(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  const take = (type, start, end) => {
+    blocks.push({ type, text: lines.slice(start, end).join('\n').replace(/\s+$/, '') });
+    i = end;
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const heading = line.match(HEADING_RE);
+    if (heading) {
+      blocks.push({ type: 'heading', text: line.trim(), level: heading[1].length, heading: heading[2] });
+      i++;
+      continue;
+    }
+
+    // Fenced code: runs to a closing fence of the same character, at least as long
+    const fence = line.match(FENCE_RE);
+    if (fence) {
+      const marker = fence[1];
+      let end = i + 1;
+      while (end < lines.length && !new RegExp(`^\\s*${marker[0] === '`' ? '`' : '~'}{${marker.length},}\\s*$`).test(lines[end])) end++;
+      take('code', i, Math.min(end + 1, lines.length));
+      continue;
+    }
+
+    // Admonitions: Docusaurus-style ::: fences, MkDocs-style !!! with an indented body
+    if (/^\s*:::/.test(line)) {
+      let end = i + 1;
+      while (end < lines.length && !/^\s*:::\s*$/.test(lines[end])) end++;
+      take('admonition', i, Math.min(end + 1, lines.length));
+      continue;
+    }
+    if (/^(!!!|\?\?\?\+?)\s/.test(line)) {
+      let end = i + 1;
+      while (end < lines.length && (/^\s+\S/.test(lines[end]) || (!lines[end].trim() && /^\s+\S/.test(lines[end + 1] || '')))) end++;
+      take('admonition', i, end);
+      continue;
+    }
+
+    // Blockquotes (including GitHub-style > [!NOTE] admonitions)
+    if (/^\s*>/.test(line)) {
+      let end = i + 1;
+      while (end < lines.length && /^\s*>/.test(lines[end])) end++;
+      take(/^\s*>\s*\[!\w+\]/.test(line) ? 'admonition' : 'blockquote', i, end);
+      continue;
+    }
+
+    // Tables: a pipe row followed by a separator row
+    if (line.includes('|') && TABLE_SEPARATOR_RE.test(lines[i + 1] || '')) {
+      let end = i + 2;
+      while (end < lines.length && lines[end].trim() && lines[end].includes('|')) end++;
+      take('table', i, end);
+      continue;
+    }
+
+    // Lists: items plus their indented continuation lines, across blank lines
+    if (LIST_ITEM_RE.test(line)) {
+      let end = i + 1;
+      while (end < lines.length) {
+        if (lines[end].trim()) {
+          if (LIST_ITEM_RE.test(lines[end]) || /^\s+\S/.test(lines[end])) {
+            end++;
+            continue;
+          }
+          // Lazy continuation of the previous item's paragraph
+          if (lines[end - 1].trim() && !HEADING_RE.test(lines[end]) && !FENCE_RE.test(lines[end])) {
+            end++;
+            continue;
+          }
+          break;
+        }
+        const next = lines[end + 1] || '';
+        if (LIST_ITEM_RE.test(next) || /^\s+\S/.test(next)) {
+          end++;
+          continue;
+        }
+        break;
+      }
+      take('list', i, end);
+      continue;
+    }
+
+    // Paragraph: until a blank line or the start of another block
+    let end = i + 1;
+    while (end < lines.length && lines[end].trim()
+      && !HEADING_RE.test(lines[end]) && !FENCE_RE.test(lines[end])
+      && !/^\s*(:::|>)/.test(lines[end])
+      && !(lines[end].includes('|') && TABLE_SEPARATOR_RE.test(lines[end + 1] || ''))) end++;
+    take('paragraph', i, end);
+  }
+
+  return blocks;
+}
+
+/**
+ * Split a block that does not fit in one chunk. Tables split by rows with
+ * the header repeated, code by lines inside re-opened fences, lists at
+ * top-level items; anything else falls back to recursive splitting.
+ * @param {{type: string, text: string}} block
+ * @param {number} size
+ * @param {number} minSize
+ * @returns {string[]}
+ */
+function splitBlock(block, size, minSize) {
+  const lines = block.text.split('\n');
+
+  if (block.type === 'table') {
+    const header = lines.slice(0, 2);
+    return packLines(lines.slice(2), size, header, []);
+  }
+
+  if (block.type === 'code') {
+    const closing = lines.length > 1 && FENCE_RE.test(lines[lines.length - 1]) ? [lines[lines.length - 1]] : [];
+    return packLines(lines.slice(1, lines.length - closing.length), size, [lines[0]], closing);
+  }
+
+  if (block.type === 'list') {
+    const indent = lines[0].match(LIST_ITEM_RE)[1].length;
+    const items = [];
+    for (const line of lines) {
+      const m = line.match(LIST_ITEM_RE);
+      if (m && m[1].length <= indent) items.push(line);
+      else if (items.length) items[items.length - 1] += '\n' + line;
+      else items.push(line);
+    }
+    return groupBlocks(items.map(t => t.replace(/\s+$/, '')), size, '\n');
+  }
+
+  return recursiveSplit(block.text, ['\n\n', '\n', '. ', '! ', '? ', '; ', ', ', ' '], size, minSize);
+}
+
+/**
+ * Pack lines into pieces under `size`, wrapping each piece in the given
+ * prefix/suffix lines (table header, code fences). Every piece holds at
+ * least one line, even if that line alone is oversized.
+ */
+function packLines(lines, size, prefix, suffix) {
+  const frame = [...prefix, ...suffix].reduce((n, l) => n + l.length + 1, 0);
+  const pieces = [];
+  let current = [];
+  let length = frame;
+  for (const line of lines) {
+    if (current.length && length + line.length + 1 > size) {
+      pieces.push([...prefix, ...current, ...suffix].join('\n'));
+      current = [];
+      length = frame;
+    }
+    current.push(line);
+    length += line.length + 1;
+  }
+  if (current.length) pieces.push([...prefix, ...current, ...suffix].join('\n'));
+  return pieces;
+}
+
+/**
+ * Greedily join texts under `size`; texts that are too large on their own
+ * are passed through unchanged.
+ */
+function groupBlocks(texts, size, sep = '\n\n') {
+  const chunks = [];
+  let current = '';
+  for (const text of texts) {
+    const candidate = current ? current + sep + text : text;
+    if (candidate.length <= size || !current) {
+      current = candidate;
+    } else {
+      chunks.push(current);
+      current = text;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Structure-preserving chunking. Tables, fenced code, lists and
+ * admonitions are never split unless they alone exceed the chunk size; each
+ * heading starts a new chunk, and every chunk records its heading
+ * breadcrumb. Overlap is not applied, since it would cut into atomic units.
+ * @param {string} text
+ * @param {object} opts
+ * @returns {Array<{text: string, metadata: object}>}
+ */
+function chunkStructured(text, opts) {
+  const { size } = opts;
+  const minSize = opts.minSize || DEFAULTS.minSize;
+  const trail = [];
+  const chunks = [];
+  let section = [];
+
+  const flush = () => {
+    if (!section.some(b => b.type !== 'heading')) {
+      section = [];
+      return;
+    }
+    const metadata = {};
+    if (trail.length) {
+      metadata.heading = trail[trail.length - 1].text;
+      metadata.heading_path = trail.map(h => h.text).join(' > ');
+    }
+    // The heading line leads the section's first chunk
+    let prefix = section[0].type === 'heading' ? section[0].text : null;
+    const emit = t => {
+      chunks.push({ text: prefix ? prefix + '\n\n' + t : t, metadata: { ...metadata } });
+      prefix = null;
+    };
+
+    // Whole blocks are packed together; the pieces of a split block stand alone
+    let run = [];
+    for (const block of section) {
+      if (block.type === 'heading') continue;
+      if (block.text.length <= size) {
+        run.push(block.text);
+        continue;
+      }
+      groupBlocks(run, size).forEach(emit);
+      splitBlock(block, size, minSize).forEach(emit);
+      run = [];
+    }
+    groupBlocks(run, size).forEach(emit);
+    section = [];
+  };
+
+  for (const block of parseBlocks(text)) {
+    if (block.type === 'heading') {
+      flush();
+      while (trail.length && trail[trail.length - 1].level >= block.level) trail.pop();
+      trail.push({ text: block.heading, level: block.level });
+    }
+    section.push(block);
+  }
+  flush();
+
+  return chunks.filter(c => c.text.trim().length >= minSize);
+}
+
+// ── Semantic chunking ──
+
+/**
+ * Defaults for the semantic strategy. Without an explicit threshold, the
+ * lowest `percentile` percent of adjacent-sentence similarities become
+ * breakpoints. Each sentence is embedded together with `window` neighbors
+ * on either side to smooth out noise from very short sentences.
+ */
+const SEMANTIC_DEFAULTS = {
+  percentile: 10,
+  window: 1,
+  batchSize: 128,
+};
+
+/**
+ * Split text into sentence units for semantic chunking. Paragraph breaks
+ * are remembered so chunks can be re-joined faithfully, and sentences
+ * longer than `size` are pre-split recursively.
+ * @param {string} text
+ * @param {number} size
+ * @returns {Array<{text: string, paragraphStart: boolean}>}
+ */
+function semanticUnits(text, size) {
+  const units = [];
+  for (const paragraph of text.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean)) {
+    let first = true;
+    for (const sentence of splitSentences(paragraph)) {
+      const parts = sentence.length > size
+        ? recursiveSplit(sentence, [', ', ' '], size, 1)
+        : [sentence];
+      for (const part of parts) {
+        units.push({ text: part, paragraphStart: first });
+        first = false;
+      }
+    }
+  }
+  return units;
+}
+
+/**
+ * Value at the given percentile of a list of numbers.
+ * @param {number[]} values
+ * @param {number} p - 0..100
+ * @returns {number}
+ */
+function percentileOf(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.min(sorted.length - 1, Math.max(0, Math.floor((p / 100) * (sorted.length - 1))));
+  return sorted[rank];
+}
+
+/**
+ * Semantic chunking: embed each sentence (with a small window of
+ * neighbors), then start a new chunk where the cosine similarity between
+ * adjacent sentences drops below the threshold. Chunks never exceed `size`
+ * (a break is forced before overflowing) and a similarity break is only
+ * taken once the current chunk has reached `minSize`. Note the extra cost:
+ * every sentence is embedded once to find the boundaries.
+ *
+ * Returns the similarity curve alongside the chunks so callers can show
+ * why each breakpoint was chosen.
+ *
+ * @param {string} text
+ * @param {object} options
+ * @param {function(string[]): Promise<number[][]>} options.embed - Embeds a batch of texts
+ * @param {number} [options.size=512] - Maximum chunk size in characters
+ * @param {number} [options.minSize=20] - Minimum chunk size before a similarity break
+ * @param {number} [options.threshold] - Similarity below which to break (default: percentile-based)
+ * @param {number} [options.percentile=10] - Percentile of similarities used when no threshold is given
+ * @param {number} [options.window=1] - Neighboring sentences embedded with each sentence
+ * @returns {Promise<{
+ *   chunks: Array<{text: string, metadata: object}>,
+ *   units: string[],
+ *   similarities: number[],
+ *   threshold: number|null,
+ *   breakpoints: Array<{after: number, similarity: number, reason: 'similarity'|'size'}>
+ * }>}
+ *   `similarities[i]` compares unit i with unit i + 1; `after` is the index
+ *   of the last unit before the break.
+ */
+async function chunkSemantic(text, options = {}) {
+  const { embed } = options;
+  if (typeof embed !== 'function') {
+    throw new Error('The semantic strategy needs an embed function to compare sentences.');
+  }
+  const size = options.size || DEFAULTS.size;
+  const minSize = options.minSize || DEFAULTS.minSize;
+  const window = options.window != null ? options.window : SEMANTIC_DEFAULTS.window;
+  const percentile = options.percentile != null ? options.percentile : SEMANTIC_DEFAULTS.percentile;
+
+  const units = text && text.trim() ? semanticUnits(text, size) : [];
+  const result = { chunks: [], units: units.map(u => u.text), similarities: [], threshold: null, breakpoints: [] };
+  if (units.length === 0) return result;
+
+  if (units.length > 1) {
+    const windows = units.map((_, i) =>
+      units.slice(Math.max(0, i - window), i + window + 1).map(u => u.text).join(' '));
+    const vectors = [];
+    for (let i = 0; i < windows.length; i += SEMANTIC_DEFAULTS.batchSize) {
+      vectors.push(...await embed(windows.slice(i, i + SEMANTIC_DEFAULTS.batchSize)));
+    }
+    const { cosineSimilarity } = require('./math');
+    for (let i = 0; i < units.length - 1; i++) {
+      result.similarities.push(cosineSimilarity(vectors[i], vectors[i + 1]));
+    }
+    result.threshold = options.threshold != null
+      ? options.threshold
+      : percentileOf(result.similarities, percentile);
+  }
+
+  // A percentile threshold is itself one of the similarities, so it splits
+  // at values equal to it, unless the curve is flat and nothing stands out
+  const flat = Math.min(...result.similarities) === Math.max(...result.similarities);
+  const isDrop = sim => (options.threshold != null
+    ? sim < result.threshold
+    : sim <= result.threshold && !flat);
+
+  const join = list => list.map((u, i) => (i === 0 ? '' : (u.paragraphStart ? '\n\n' : ' ')) + u.text).join('');
+  let current = [units[0]];
+  for (let i = 0; i < units.length - 1; i++) {
+    const length = join(current).length;
+    const next = units[i + 1];
+    const similarity = result.similarities[i];
+    let reason = null;
+    if (length + 2 + next.text.length > size) reason = 'size';
+    else if (isDrop(similarity) && length >= minSize) reason = 'similarity';
+
+    if (reason) {
+      result.chunks.push(join(current));
+      result.breakpoints.push({ after: i, similarity, reason });
+      current = [];
+    }
+    current.push(next);
+  }
+  result.chunks.push(join(current));
+
+  result.chunks = result.chunks
+    .filter(c => c.length >= minSize)
+    .map(c => ({ text: c, metadata: {} }));
+  return result;
+}
+
 // ── Shared helpers ──
 
 /**
@@ -307,12 +716,7 @@ function estimateTokens(text) {
  * @returns {string[]} Array of text chunks
  */
 function chunk(text, options = {}) {
-  const opts = {
-    strategy: options.strategy || 'recursive',
-    size: options.size || DEFAULTS.size,
-    overlap: options.overlap != null ? options.overlap : DEFAULTS.overlap,
-    minSize: options.minSize || DEFAULTS.minSize,
-  };
+  const opts = resolveOptions(options);
 
   if (!text || text.trim().length === 0) return [];
 
@@ -327,15 +731,49 @@ function chunk(text, options = {}) {
       return chunkRecursive(text, opts);
     case 'markdown':
       return chunkMarkdown(text, opts);
+    case 'structured':
+      return chunkStructured(text, opts).map(c => c.text);
+    case 'semantic':
+      throw new Error('The semantic strategy embeds sentences; use chunkSemantic() instead.');
     default:
       throw new Error(`Unknown chunking strategy: ${opts.strategy}. Available: ${STRATEGIES.join(', ')}`);
   }
 }
 
+/**
+ * Chunk text and return per-chunk metadata alongside each chunk. The
+ * structured strategy records `heading` and `heading_path` (the heading
+ * breadcrumb); other strategies return empty metadata.
+ * @param {string} text - Input text
+ * @param {object} [options] - Same as chunk()
+ * @returns {Array<{text: string, metadata: object}>}
+ */
+function chunkWithMetadata(text, options = {}) {
+  const opts = resolveOptions(options);
+  if (opts.strategy === 'structured') {
+    if (!text || text.trim().length === 0) return [];
+    return chunkStructured(text, opts);
+  }
+  return chunk(text, opts).map(t => ({ text: t, metadata: {} }));
+}
+
+function resolveOptions(options) {
+  return {
+    strategy: options.strategy || 'recursive',
+    size: options.size || DEFAULTS.size,
+    overlap: options.overlap != null ? options.overlap : DEFAULTS.overlap,
+    minSize: options.minSize || DEFAULTS.minSize,
+  };
+}
+
 module.exports = {
   chunk,
+  chunkWithMetadata,
+  chunkSemantic,
   splitSentences,
   estimateTokens,
   STRATEGIES,
+  EMBEDDING_STRATEGIES,
   DEFAULTS,
+  SEMANTIC_DEFAULTS,
 };
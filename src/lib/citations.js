@@ -0,0 +1,170 @@
+'use strict';
+
+/**
+ * Inline Citations
+ *
+ * Pipeline-mode answers cite context documents by their number in the
+ * context block ("Refunds take 5 days [1].", "[1][3]", "[1, 3]"). After
+ * generation the markers are checked against the documents that were
+ * actually retrieved, and each valid marker is tied to the sentence of
+ * the answer it supports, so every claim can be traced to a chunk.
+ */
+
+const CITATION_MODES = ['flag', 'drop'];
+
+// [1] or [1, 3], but not markdown links ("[1](url)") or indexing ("arr[0]")
+const MARKER = String.raw`(?<!\w)\[(\d+(?:\s*,\s*\d+)*)\](?!\()`;
+
+/**
+ * Split an answer into sentence spans. A sentence ends at `.`, `!` or `?`
+ * followed by whitespace, with any citation markers right after the
+ * punctuation kept in that sentence, or at a line break.
+ * @param {string} text
+ * @returns {Array<{start: number, end: number}>}
+ */
+function sentenceSpans(text) {
+  const spans = [];
+  const push = (start, end) => {
+    while (start < end && /\s/.test(text[start])) start++;
+    while (end > start && /\s/.test(text[end - 1])) end--;
+    if (end > start) spans.push({ start, end });
+  };
+
+  const boundary = new RegExp(String.raw`[.!?](?:[ \t]*${MARKER})*(?=\s|$)|\n+`, 'g');
+  let start = 0;
+  let m;
+  while ((m = boundary.exec(text)) !== null) {
+    const end = m.index + m[0].length;
+    push(start, end);
+    start = end;
+  }
+  push(start, text.length);
+  return spans;
+}
+
+/**
+ * Text of a span with its citation markers removed.
+ * @param {string} text
+ * @param {{start: number, end: number}} span
+ * @returns {string}
+ */
+function claimText(text, span) {
+  return text.slice(span.start, span.end)
+    .replace(new RegExp(`[ \\t]*${MARKER}`, 'g'), '')
+    .trim();
+}
+
+/**
+ * Parse "1, 3" into [1, 3].
+ * @param {string} list
+ * @returns {number[]}
+ */
+function parseMarker(list) {
+  return list.split(',').map(n => parseInt(n, 10));
+}
+
+/**
+ * Check the citation markers in an answer against the documents it was
+ * generated from. `[n]` refers to `docs[n - 1]`.
+ *
+ * In `flag` mode the answer is returned unchanged and markers that point
+ * past the retrieved documents are reported in `invalid`. In `drop` mode
+ * those markers are also removed from the text.
+ *
+ * @param {string} text - Generated answer
+ * @param {Array<{_id?: any, source?: string, score?: number}>} docs - Context documents, in prompt order
+ * @param {object} [opts]
+ * @param {string} [opts.mode='flag'] - What to do with invalid markers: flag, drop
+ * @returns {{
+ *   text: string,
+ *   citations: Array<{n: number, id: string|null, source: string, score: number|null, claims: Array<{start: number, end: number, text: string}>}>,
+ *   invalid: Array<{n: number, claim: string}>
+ * }}
+ *   `citations` are ordered by number; claim offsets refer to the returned text.
+ */
+function validateCitations(text, docs = [], { mode = 'flag' } = {}) {
+  if (!CITATION_MODES.includes(mode)) {
+    throw new Error(`Unknown citation mode "${mode}". Use: ${CITATION_MODES.join(', ')}`);
+  }
+  const answer = text || '';
+  const count = docs.length;
+  const isValid = n => n >= 1 && n <= count;
+
+  // Invalid markers are reported against the original wording
+  const invalid = [];
+  const originalSpans = sentenceSpans(answer);
+  const marker = new RegExp(MARKER, 'g');
+  let m;
+  while ((m = marker.exec(answer)) !== null) {
+    const span = originalSpans.find(s => m.index >= s.start && m.index < s.end);
+    for (const n of parseMarker(m[1])) {
+      if (!isValid(n)) invalid.push({ n, claim: span ? claimText(answer, span) : '' });
+    }
+  }
+
+  let output = answer;
+  if (mode === 'drop' && invalid.length > 0) {
+    output = answer.replace(new RegExp(`([ \\t]*)${MARKER}`, 'g'), (match, space, list) => {
+      const kept = parseMarker(list).filter(isValid);
+      return kept.length > 0 ? `${space}[${kept.join(', ')}]` : '';
+    });
+  }
+
+  const byNumber = new Map();
+  const spans = sentenceSpans(output);
+  marker.lastIndex = 0;
+  while ((m = marker.exec(output)) !== null) {
+    const span = spans.find(s => m.index >= s.start && m.index < s.end);
+    for (const n of parseMarker(m[1])) {
+      if (!isValid(n)) continue;
+      if (!byNumber.has(n)) {
+        const doc = docs[n - 1];
+        byNumber.set(n, {
+          n,
+          id: doc._id != null ? String(doc._id) : null,
+          source: doc.source || doc.metadata?.source || 'unknown',
+          score: doc.score ?? null,
+          claims: [],
+        });
+      }
+      const claims = byNumber.get(n).claims;
+      if (span && !claims.some(c => c.start === span.start)) {
+        claims.push({ start: span.start, end: span.end, text: claimText(output, span) });
+      }
+    }
+  }
+
+  return {
+    text: output,
+    citations: [...byNumber.values()].sort((a, b) => a.n - b.n),
+    invalid,
+  };
+}
+
+/**
+ * Markdown list items tracing each claim of an answer to its source, for
+ * exports. Markers that match no retrieved document are listed with a
+ * warning. Callers add their own heading.
+ * @param {string} text - Stored answer
+ * @param {object[]} [docs] - Context documents the answer was generated from
+ * @returns {string[]} Empty when the answer cites nothing
+ */
+function citationMarkdown(text, docs = []) {
+  const { citations, invalid } = validateCitations(text, docs);
+  const lines = [];
+  for (const c of citations) {
+    lines.push(`- [${c.n}] ${c.source}${c.id ? ` (\`${c.id}\`)` : ''}`);
+    for (const claim of c.claims) lines.push(`  - ${claim.text}`);
+  }
+  for (const bad of invalid) {
+    lines.push(`- [${bad.n}] ⚠ not a retrieved source${bad.claim ? `: ${bad.claim}` : ''}`);
+  }
+  return lines;
+}
+
+module.exports = {
+  CITATION_MODES,
+  sentenceSpans,
+  validateCitations,
+  citationMarkdown,
+};
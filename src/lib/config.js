@@ -33,6 +33,11 @@ const KEY_MAP = {
   'llm-api-key': 'llmApiKey',
   'llm-model': 'llmModel',
   'llm-base-url': 'llmBaseUrl',
+  'llm-api-key-header': 'llmApiKeyHeader',
+  'llm-headers': 'llmHeaders',
+  'llm-fallback': 'llmFallback',
+  'llm-retries': 'llmRetries',
+  'llm-timeout': 'llmTimeout',
   'default-db': 'defaultDb',
   'default-collection': 'defaultCollection',
   'show-cost': 'showCost',
@@ -43,7 +48,7 @@ const KEY_MAP = {
 };
 
 // Keys whose values should be masked in output
-const SECRET_KEYS = new Set(['apiKey', 'mongodbUri', 'llmApiKey', 'awsAccessKeyId', 'awsSecretAccessKey']);
+const SECRET_KEYS = new Set(['apiKey', 'mongodbUri', 'llmApiKey', 'llmHeaders', 'awsAccessKeyId', 'awsSecretAccessKey']);
 
 /**
  * Load config from disk. Returns {} if file doesn't exist.
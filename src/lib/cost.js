@@ -58,7 +58,7 @@ function estimateCost(tokens, modelName) {
  * @param {number} params.avgDocTokens - average tokens per context doc (default 200)
  * @param {string} params.embeddingModel - Voyage embedding model
  * @param {string} params.rerankModel - Voyage rerank model (optional)
- * @param {string} params.llmProvider - 'anthropic' | 'openai' | 'ollama'
+ * @param {string} params.llmProvider - 'anthropic' | 'openai' | 'gemini' | 'ollama' | 'bedrock' | 'openai-compatible'
  * @param {string} params.llmModel - specific LLM model name
  * @param {number} params.historyTurns - number of conversation turns in context (default 0)
  * @returns {object} breakdown with per-stage estimates
@@ -127,7 +127,14 @@ function estimateLLMCost(provider, model, inputTokens, outputTokens) {
       'o1-mini': { input: 3.0, output: 12.0 },
       'o3-mini': { input: 1.1, output: 4.4 },
     },
+    gemini: {
+      'gemini-2.5-pro': { input: 1.25, output: 10.0 },
+      'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+      'gemini-2.5-flash-lite': { input: 0.1, output: 0.4 },
+      'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+    },
     ollama: {}, // all free
+    'openai-compatible': {}, // self-hosted or custom pricing — unknown
     bedrock: {
       'us.anthropic.claude-opus-4-6-v1': { input: 15.0, output: 75.0 },
       'us.anthropic.claude-sonnet-4-6': { input: 3.0, output: 15.0 },
@@ -0,0 +1,400 @@
+'use strict';
+
+/**
+ * Custom Agent Tools
+ *
+ * Builds extra tools for `vai chat --mode agent` from the `chat.tools`
+ * array in .vai.json. Three kinds are supported:
+ *
+ *   - workflow: a workflow file (or built-in template) run with the tool
+ *     arguments as its inputs; the input schema comes from the workflow's
+ *     `inputs` block.
+ *   - http:     an HTTP endpoint with a JSON Schema for its arguments.
+ *     `{arg}` placeholders in the URL are filled from the arguments; the
+ *     rest are sent as a JSON body (query string for GET and DELETE).
+ *   - mcp:      every tool of an external MCP server (stdio `command` or
+ *     streamable HTTP `url`), which the agent connects to as a client.
+ *     A server that does not connect and list its tools within
+ *     `timeoutMs` (default 15s) is reported and skipped.
+ *
+ * `${VAR}` in URLs, headers and MCP env values is replaced from the
+ * environment so secrets can stay out of .vai.json.
+ *
+ * Each tool is flagged with `sideEffects` for the tool permission policy
+ * (see tool-permissions.js): workflows that ingest, index code or make
+ * non-GET HTTP calls, non-GET HTTP tools, and MCP tools not annotated as
+ * read-only. A spec's own `sideEffects` boolean overrides the guess.
+ *
+ * Tools are registered with tool-registry.js, which merges them into the
+ * built-in tool definitions.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TOOL_TYPES = ['workflow', 'http', 'mcp'];
+
+// Tool names accepted by every provider
+const TOOL_NAME_RE = /^[a-zA-Z][a-zA-Z0-9_-]{0,63}$/;
+
+// Workflow step tools that write data
+const WRITING_STEP_TOOLS = new Set(['ingest', 'code_index']);
+
+// HTTP methods that do not change anything
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// How long an MCP server gets to connect, and then to list its tools
+const MCP_TIMEOUT_MS = 15000;
+
+// Workflow input types → JSON Schema
+const WORKFLOW_INPUT_TYPES = {
+  string: { type: 'string' },
+  number: { type: 'number' },
+  boolean: { type: 'boolean' },
+  array: { type: 'array' },
+};
+
+/**
+ * Replace `${VAR}` references with environment values (empty if unset).
+ * @param {string} value
+ * @returns {string}
+ */
+function expandEnv(value) {
+  if (typeof value !== 'string') return value;
+  return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, name) => process.env[name] || '');
+}
+
+function expandEnvValues(obj = {}) {
+  return Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, expandEnv(String(v))]));
+}
+
+/**
+ * Wrap a value as a tool result in the MCP handler shape.
+ * @param {*} value
+ * @returns {{structuredContent: object, content: Array}}
+ */
+function toolResult(value) {
+  const structuredContent = value !== null && typeof value === 'object' && !Array.isArray(value)
+    ? value
+    : { result: value ?? null };
+  const text = typeof value === 'string' ? value : JSON.stringify(value ?? null, null, 2);
+  return { structuredContent, content: [{ type: 'text', text }] };
+}
+
+/**
+ * Build the JSON Schema for a workflow's inputs.
+ * @param {object} definition - Workflow definition
+ * @returns {object}
+ */
+function workflowInputSchema(definition) {
+  const properties = {};
+  const required = [];
+  for (const [key, input] of Object.entries(definition.inputs || {})) {
+    properties[key] = {
+      ...(WORKFLOW_INPUT_TYPES[input.type] || {}),
+      ...(input.description && { description: input.description }),
+    };
+    if (input.required && !('default' in input)) required.push(key);
+  }
+  return { type: 'object', properties, ...(required.length > 0 && { required }) };
+}
+
+/**
+ * Whether a workflow writes data or calls a non-GET HTTP endpoint,
+ * including steps nested in loops.
+ * @param {object} definition - Workflow definition
+ * @returns {boolean}
+ */
+function workflowHasSideEffects(definition) {
+  const writes = step => {
+    if (!step) return false;
+    if (WRITING_STEP_TOOLS.has(step.tool)) return true;
+    if (step.tool === 'http') {
+      const method = String(step.inputs?.method || 'GET').toUpperCase();
+      return !SAFE_METHODS.has(method);
+    }
+    if (step.tool === 'loop') return writes(step.inputs?.step);
+    // A sub-workflow may write; assume it does rather than resolving it here
+    if (step.tool === 'workflow') return true;
+    return false;
+  };
+  return (definition.steps || []).some(writes);
+}
+
+/**
+ * Tool that runs a workflow.
+ * @param {object} spec - { name, description?, workflow }
+ * @param {string} baseDir - Directory relative workflow paths resolve against
+ */
+function workflowTool(spec, baseDir) {
+  const { loadWorkflow, validateWorkflow } = require('./workflow');
+  if (!spec.workflow || typeof spec.workflow !== 'string') {
+    throw new Error('workflow tools need a "workflow" file path or template name');
+  }
+
+  const local = path.resolve(baseDir, spec.workflow);
+  const definition = loadWorkflow(fs.existsSync(local) ? local : spec.workflow);
+  const errors = validateWorkflow(definition);
+  if (errors.length > 0) {
+    throw new Error(`workflow "${spec.workflow}" is invalid: ${errors[0]}`);
+  }
+
+  return {
+    name: spec.name,
+    description: spec.description || definition.description || `Run the "${definition.name}" workflow.`,
+    inputSchema: workflowInputSchema(definition),
+    source: { type: 'workflow', label: spec.workflow },
+    sideEffects: spec.sideEffects ?? workflowHasSideEffects(definition),
+    async execute(args) {
+      const { executeWorkflow } = require('./workflow');
+      const result = await executeWorkflow(definition, { inputs: args });
+      return toolResult(result.output);
+    },
+  };
+}
+
+/**
+ * Fill `{arg}` placeholders in a URL, returning the arguments left over.
+ * @param {string} url
+ * @param {object} args
+ * @returns {{url: string, rest: object}}
+ */
+function fillUrl(url, args) {
+  const rest = { ...args };
+  const filled = url.replace(/\{([a-zA-Z_][a-zA-Z0-9_]*)\}/g, (match, key) => {
+    if (!(key in rest)) return match;
+    const value = rest[key];
+    delete rest[key];
+    return encodeURIComponent(String(value));
+  });
+  return { url: filled, rest };
+}
+
+/**
+ * Tool that calls an HTTP endpoint.
+ * @param {object} spec - { name, description, url, method?, headers?, inputSchema?, timeoutMs? }
+ */
+function httpTool(spec) {
+  const { compileSchema } = require('./structured-output');
+  if (!spec.url || typeof spec.url !== 'string') {
+    throw new Error('http tools need a "url"');
+  }
+  if (!spec.description) {
+    throw new Error('http tools need a "description" so the agent knows when to call them');
+  }
+  const inputSchema = spec.inputSchema || { type: 'object', properties: {} };
+  if (inputSchema.type !== 'object') {
+    throw new Error('"inputSchema" must be a JSON Schema with type "object"');
+  }
+  const validator = compileSchema(inputSchema);
+  const method = (spec.method || 'POST').toUpperCase();
+
+  return {
+    name: spec.name,
+    description: spec.description,
+    inputSchema,
+    source: { type: 'http', label: `${method} ${spec.url}` },
+    sideEffects: spec.sideEffects ?? !SAFE_METHODS.has(method),
+    async execute(args) {
+      const { validateAgainstSchema } = require('./structured-output');
+      const { executeHttp } = require('./workflow');
+
+      const { errors } = validateAgainstSchema(args, validator);
+      if (errors.length > 0) {
+        throw new Error(`Invalid arguments for "${spec.name}": ${errors.join('; ')}`);
+      }
+
+      const { url, rest } = fillUrl(expandEnv(spec.url), args);
+      let target = url;
+      if ((method === 'GET' || method === 'DELETE') && Object.keys(rest).length > 0) {
+        const query = new URLSearchParams(
+          Object.entries(rest).map(([k, v]) => [k, typeof v === 'object' ? JSON.stringify(v) : String(v)])
+        );
+        target += (target.includes('?') ? '&' : '?') + query.toString();
+      }
+
+      const response = await executeHttp({
+        url: target,
+        method,
+        headers: expandEnvValues(spec.headers),
+        body: rest,
+        ...(spec.timeoutMs && { timeout: spec.timeoutMs }),
+      });
+      if (response.status >= 400) {
+        const body = typeof response.body === 'string' ? response.body : JSON.stringify(response.body);
+        throw new Error(`HTTP ${response.status}: ${body.slice(0, 200)}`);
+      }
+      return toolResult(response.body);
+    },
+  };
+}
+
+/**
+ * Reject with `message` if `promise` has not settled within `ms`.
+ * @param {Promise<any>} promise
+ * @param {number} ms
+ * @param {string} message
+ * @returns {Promise<any>}
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Connect to an MCP server as a client. The transport is closed (stopping
+ * a stdio server) if the connection fails or takes longer than `timeoutMs`.
+ * @param {object} spec - { command, args?, env? } or { url, headers? }
+ * @param {string} baseDir - Working directory for stdio servers
+ * @param {number} timeoutMs
+ * @returns {Promise<object>} Connected MCP Client
+ */
+async function connectMcpServer(spec, baseDir, timeoutMs) {
+  const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+  const { getVersion } = require('./banner');
+
+  let transport;
+  if (spec.url) {
+    const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+    transport = new StreamableHTTPClientTransport(new URL(expandEnv(spec.url)), {
+      requestInit: { headers: expandEnvValues(spec.headers) },
+    });
+  } else if (spec.command) {
+    const { StdioClientTransport, getDefaultEnvironment } = require('@modelcontextprotocol/sdk/client/stdio.js');
+    transport = new StdioClientTransport({
+      command: spec.command,
+      args: spec.args || [],
+      env: { ...getDefaultEnvironment(), ...expandEnvValues(spec.env) },
+      cwd: baseDir,
+      stderr: 'ignore',
+    });
+  } else {
+    throw new Error('mcp tools need a "command" (stdio server) or "url" (HTTP server)');
+  }
+
+  const client = new Client({ name: 'vai-chat', version: getVersion() });
+  try {
+    await withTimeout(client.connect(transport), timeoutMs, `MCP server did not connect within ${timeoutMs}ms`);
+  } catch (err) {
+    await transport.close().catch(() => {});
+    throw err;
+  }
+  return client;
+}
+
+/**
+ * Tools exposed by a connected MCP server, named `<prefix><tool>`.
+ * @param {object} client - Connected MCP Client
+ * @param {object} spec - { name, prefix?, tools? }
+ * @returns {Promise<Array>}
+ */
+async function mcpTools(client, spec) {
+  const prefix = spec.prefix ?? `${spec.name}_`;
+  const { tools } = await client.listTools();
+
+  return tools
+    .filter(t => !spec.tools || spec.tools.includes(t.name))
+    .map(t => {
+      const { $schema, ...inputSchema } = t.inputSchema || { type: 'object', properties: {} };
+      return {
+        name: `${prefix}${t.name}`.replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64),
+        description: t.description || t.title || t.name,
+        inputSchema,
+        source: { type: 'mcp', label: spec.name },
+        sideEffects: spec.sideEffects ?? !t.annotations?.readOnlyHint,
+        async execute(args) {
+          const result = await client.callTool({ name: t.name, arguments: args });
+          const content = result.content || [];
+          if (result.isError) {
+            const message = content.map(c => c.text || '').join('\n').trim();
+            throw new Error(message || `MCP tool "${t.name}" failed`);
+          }
+          if (content.length === 0) return toolResult(result.structuredContent ?? null);
+          return { structuredContent: result.structuredContent || null, content };
+        },
+      };
+    });
+}
+
+/**
+ * Build the custom tools declared in .vai.json. A definition that fails
+ * (bad config, workflow not found, MCP server unreachable) is reported in
+ * `errors` and skipped, so one broken tool does not stop the chat.
+ *
+ * @param {Array<object>} specs - `chat.tools` entries
+ * @param {object} [options]
+ * @param {string} [options.baseDir=process.cwd()] - Directory of .vai.json
+ * @returns {Promise<{tools: Array, errors: Array<{name: string, error: string}>, close: function(): Promise<void>}>}
+ */
+async function loadCustomTools(specs = [], { baseDir = process.cwd() } = {}) {
+  if (!Array.isArray(specs)) {
+    throw new Error('"chat.tools" in .vai.json must be an array');
+  }
+  const { isBuiltinTool } = require('./tool-registry');
+
+  const tools = [];
+  const errors = [];
+  const clients = [];
+
+  for (const [i, spec] of specs.entries()) {
+    const name = spec?.name || `tools[${i}]`;
+    try {
+      if (!spec || !TOOL_TYPES.includes(spec.type)) {
+        throw new Error(`"type" must be one of: ${TOOL_TYPES.join(', ')}`);
+      }
+      if (!spec.name || !TOOL_NAME_RE.test(spec.name)) {
+        throw new Error('"name" must start with a letter and use only letters, digits, _ and - (max 64)');
+      }
+
+      let built;
+      if (spec.type === 'workflow') {
+        built = [workflowTool(spec, baseDir)];
+      } else if (spec.type === 'http') {
+        built = [httpTool(spec)];
+      } else {
+        const timeoutMs = spec.timeoutMs ?? MCP_TIMEOUT_MS;
+        if (!(typeof timeoutMs === 'number' && timeoutMs > 0)) {
+          throw new Error('"timeoutMs" must be a positive number');
+        }
+        const client = await connectMcpServer(spec, baseDir, timeoutMs);
+        try {
+          built = await withTimeout(mcpTools(client, spec), timeoutMs, `MCP server did not list its tools within ${timeoutMs}ms`);
+        } catch (err) {
+          await client.close().catch(() => {});
+          throw err;
+        }
+        clients.push(client);
+      }
+
+      for (const tool of built) {
+        if (isBuiltinTool(tool.name) || tools.some(t => t.name === tool.name)) {
+          errors.push({ name: tool.name, error: 'name is already in use' });
+        } else {
+          tools.push(tool);
+        }
+      }
+    } catch (err) {
+      errors.push({ name, error: err.message });
+    }
+  }
+
+  return {
+    tools,
+    errors,
+    async close() {
+      await Promise.allSettled(clients.map(c => c.close()));
+    },
+  };
+}
+
+module.exports = {
+  TOOL_TYPES,
+  loadCustomTools,
+  workflowInputSchema,
+  workflowHasSideEffects,
+  fillUrl,
+  mcpTools,
+};
@@ -0,0 +1,520 @@
+'use strict';
+
+/**
+ * Document Readers
+ *
+ * Structure-aware text extraction for Office Open XML (DOCX, PPTX, XLSX)
+ * and EPUB. All four are ZIP containers of XML, so they are parsed with the
+ * built-in ZIP reader and a few targeted regexes — no external dependencies.
+ *
+ * Each parser returns `Array<{text, metadata}>` like the JSON readers, so
+ * headings, slide titles, sheet names and table rows travel with every
+ * chunk cut from them.
+ */
+
+const path = require('path');
+const { readZip } = require('./zip');
+
+/**
+ * Target size (characters) for groups of table/sheet rows. Matches the
+ * chunker's default size so a group usually becomes a single chunk.
+ */
+const ROW_GROUP_SIZE = 512;
+
+// ── XML helpers ──
+
+/**
+ * Decode XML character references and the predefined entities.
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeXml(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * All non-overlapping matches of an element, e.g. `elements(xml, 'w:p')`.
+ * Self-closing elements are matched as empty.
+ * @param {string} xml
+ * @param {string} tag
+ * @returns {string[]}
+ */
+function elements(xml, tag) {
+  const re = new RegExp(`<${tag}(?:\\s[^>]*)?(?:/>|>[\\s\\S]*?</${tag}>)`, 'g');
+  return xml.match(re) || [];
+}
+
+/**
+ * Value of an attribute on the first matching element.
+ * @param {string} xml
+ * @param {string} tag
+ * @param {string} attr
+ * @returns {string|null}
+ */
+function attribute(xml, tag, attr) {
+  const m = xml.match(new RegExp(`<${tag}\\s[^>]*?\\b${attr}="([^"]*)"`));
+  return m ? decodeXml(m[1]) : null;
+}
+
+/**
+ * Concatenated contents of every text-run element (`w:t`, `a:t`, `t`).
+ * @param {string} xml
+ * @param {string} tag
+ * @returns {string}
+ */
+function runText(xml, tag) {
+  const re = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g');
+  let text = '';
+  let m;
+  while ((m = re.exec(xml)) !== null) text += decodeXml(m[1]);
+  return text;
+}
+
+/**
+ * Parse an OPC relationships part into id → target path, resolved
+ * against the directory of the part that owns it.
+ * @param {Map<string, Buffer>} zip
+ * @param {string} relsPath - e.g. "ppt/_rels/presentation.xml.rels"
+ * @param {string} baseDir - e.g. "ppt"
+ * @returns {Map<string, string>}
+ */
+function readRelationships(zip, relsPath, baseDir) {
+  const rels = new Map();
+  const xml = entryText(zip, relsPath);
+  if (!xml) return rels;
+  for (const rel of elements(xml, 'Relationship')) {
+    const id = attribute(rel, 'Relationship', 'Id');
+    const target = attribute(rel, 'Relationship', 'Target');
+    if (id && target) rels.set(id, resolvePart(baseDir, target));
+  }
+  return rels;
+}
+
+function resolvePart(baseDir, target) {
+  if (target.startsWith('/')) return target.slice(1);
+  return path.posix.normalize(path.posix.join(baseDir, target));
+}
+
+function entryText(zip, name) {
+  const buf = zip.get(name);
+  return buf ? buf.toString('utf8') : null;
+}
+
+function requireEntry(zip, name, format) {
+  const xml = entryText(zip, name);
+  if (xml === null) throw new Error(`Not a valid ${format} file (missing ${name})`);
+  return xml;
+}
+
+// ── Shared structure builders ──
+
+/**
+ * Fold a flat list of headings and paragraphs into one item per section.
+ * Each item's text starts with its heading; metadata carries the heading
+ * and the full heading path. Headings with no body of their own are only
+ * kept as part of their children's path. A block's ready-made `items`
+ * (e.g. table row groups) are emitted where the block stands.
+ * @param {Array<{heading?: string, level?: number, text?: string, items?: object[]}>} blocks
+ * @param {object} [baseMetadata]
+ * @returns {Array<{text: string, metadata: object}>}
+ */
+function buildSections(blocks, baseMetadata = {}) {
+  const items = [];
+  const trail = [];
+  let body = [];
+
+  const flush = () => {
+    if (body.length === 0) return;
+    const current = trail[trail.length - 1];
+    const metadata = { ...baseMetadata };
+    if (current) {
+      metadata.heading = current.text;
+      metadata.heading_path = trail.map(h => h.text).join(' > ');
+    }
+    items.push({ text: (current ? [current.text, ...body] : body).join('\n\n'), metadata });
+    body = [];
+  };
+
+  for (const block of blocks) {
+    if (block.heading) {
+      flush();
+      while (trail.length && trail[trail.length - 1].level >= block.level) trail.pop();
+      trail.push({ text: block.heading, level: block.level });
+    } else if (block.text) {
+      body.push(block.text);
+    } else if (block.items) {
+      flush();
+      items.push(...block.items);
+    }
+  }
+  flush();
+  return items;
+}
+
+/**
+ * Turn table rows into row-group items. The first row is treated as the
+ * header, and every following row is rendered as "Header: value" pairs so
+ * each chunk stands on its own.
+ * @param {string[][]} rows - Cell values
+ * @param {object} metadata - Metadata shared by every group
+ * @param {object} [opts]
+ * @param {number[]} [opts.rowNumbers] - Source row numbers (default 1..n)
+ * @param {number} [opts.groupSize=512] - Target characters per group
+ * @returns {Array<{text: string, metadata: object}>}
+ */
+function buildRowGroups(rows, metadata, opts = {}) {
+  const groupSize = opts.groupSize || ROW_GROUP_SIZE;
+  const rowNumbers = opts.rowNumbers || rows.map((_, i) => i + 1);
+  if (rows.length === 0) return [];
+
+  let header = null;
+  let first = 0;
+  if (rows.length > 1) {
+    header = rows[0].map((h, i) => h || columnName(i));
+    first = 1;
+  }
+
+  const items = [];
+  let lines = [];
+  let start = null;
+  let end = null;
+  let size = 0;
+
+  const flush = () => {
+    if (lines.length === 0) return;
+    items.push({
+      text: lines.join('\n'),
+      metadata: { ...metadata, row_start: start, row_end: end },
+    });
+    lines = [];
+    size = 0;
+  };
+
+  for (let r = first; r < rows.length; r++) {
+    const line = header
+      ? rows[r].map((v, i) => (v ? `${header[i] || columnName(i)}: ${v}` : '')).filter(Boolean).join(' | ')
+      : rows[r].filter(Boolean).join(' | ');
+    if (!line) continue;
+    if (size > 0 && size + line.length > groupSize) flush();
+    if (lines.length === 0) start = rowNumbers[r];
+    lines.push(line);
+    end = rowNumbers[r];
+    size += line.length + 1;
+  }
+  flush();
+  return items;
+}
+
+/**
+ * Spreadsheet column name for a zero-based index (0 → A, 26 → AA).
+ * @param {number} index
+ * @returns {string}
+ */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Zero-based column index of a cell reference ("C7" → 2).
+ * @param {string} ref
+ * @returns {number}
+ */
+function columnIndex(ref) {
+  const letters = (ref.match(/^[A-Z]+/i) || ['A'])[0].toUpperCase();
+  let index = 0;
+  for (const ch of letters) index = index * 26 + (ch.charCodeAt(0) - 64);
+  return index - 1;
+}
+
+// ── DOCX ──
+
+function docxParagraphText(xml) {
+  return decodeXml(
+    xml
+      .replace(/<w:tab\/>/g, '\t')
+      .replace(/<w:(?:br|cr)(?:\s[^>]*)?\/>/g, '\n')
+      .replace(/<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<[^>]+>/g, (_, t) => t || '')
+  ).trim();
+}
+
+/**
+ * Heading level of a paragraph from its style ("Heading2", "Title") or
+ * its outline level, or null for body text.
+ */
+function docxHeadingLevel(xml) {
+  const style = attribute(xml, 'w:pStyle', 'w:val');
+  if (style) {
+    if (/^title$/i.test(style)) return 1;
+    const m = style.match(/^heading\s*(\d)$/i);
+    if (m) return parseInt(m[1], 10);
+  }
+  const outline = attribute(xml, 'w:outlineLvl', 'w:val');
+  if (outline !== null && /^\d$/.test(outline) && outline !== '9') return parseInt(outline, 10) + 1;
+  return null;
+}
+
+/**
+ * Parse a DOCX document into sections split on headings, plus one item per
+ * group of table rows, in document order.
+ * @param {Buffer} buffer
+ * @returns {Array<{text: string, metadata: object}>}
+ */
+function parseDocx(buffer) {
+  const zip = readZip(buffer);
+  const xml = requireEntry(zip, 'word/document.xml', 'DOCX');
+  const body = (xml.match(/<w:body>([\s\S]*)<\/w:body>/) || [null, xml])[1];
+
+  const blocks = [];
+  const trail = [];
+  let tables = 0;
+  const blockRe = /<w:tbl>[\s\S]*?<\/w:tbl>|<w:p(?:\s[^>]*)?(?:\/>|>[\s\S]*?<\/w:p>)/g;
+  let m;
+  while ((m = blockRe.exec(body)) !== null) {
+    const block = m[0];
+    if (block.startsWith('<w:tbl>')) {
+      const rows = elements(block, 'w:tr').map(tr =>
+        elements(tr, 'w:tc').map(tc => elements(tc, 'w:p').map(docxParagraphText).filter(Boolean).join(' ')));
+      const metadata = { table: ++tables };
+      if (trail.length) {
+        metadata.heading = trail[trail.length - 1].text;
+        metadata.heading_path = trail.map(h => h.text).join(' > ');
+      }
+      blocks.push({ items: buildRowGroups(rows, metadata) });
+      continue;
+    }
+
+    const text = docxParagraphText(block);
+    if (!text) continue;
+    const level = docxHeadingLevel(block);
+    if (level) {
+      while (trail.length && trail[trail.length - 1].level >= level) trail.pop();
+      trail.push({ text, level });
+      blocks.push({ heading: text, level });
+    } else {
+      blocks.push({ text });
+    }
+  }
+
+  return buildSections(blocks);
+}
+
+// ── PPTX ──
+
+function pptxParagraphs(xml) {
+  return elements(xml, 'a:p').map(p => runText(p.replace(/<a:br\/>/g, '<a:t>\n</a:t>'), 'a:t').trim()).filter(Boolean);
+}
+
+function placeholderType(shape) {
+  const ph = shape.match(/<p:ph(?:\s[^>]*)?\/?>/);
+  if (!ph) return null;
+  return (ph[0].match(/\btype="([^"]+)"/) || [null, 'body'])[1];
+}
+
+/**
+ * Slide part names in presentation order, falling back to file-name order
+ * when the presentation part is unreadable.
+ */
+function pptxSlideOrder(zip) {
+  const xml = entryText(zip, 'ppt/presentation.xml');
+  if (xml) {
+    const rels = readRelationships(zip, 'ppt/_rels/presentation.xml.rels', 'ppt');
+    const ordered = elements(xml, 'p:sldId')
+      .map(s => rels.get(attribute(s, 'p:sldId', 'r:id')))
+      .filter(name => name && zip.has(name));
+    if (ordered.length) return ordered;
+  }
+  return [...zip.keys()]
+    .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => parseInt(a.match(/(\d+)\.xml$/)[1], 10) - parseInt(b.match(/(\d+)\.xml$/)[1], 10));
+}
+
+/**
+ * Parse a PPTX deck into one item per slide: title, body text and speaker
+ * notes, with the slide number and title as metadata.
+ * @param {Buffer} buffer
+ * @returns {Array<{text: string, metadata: object}>}
+ */
+function parsePptx(buffer) {
+  const zip = readZip(buffer);
+  requireEntry(zip, '[Content_Types].xml', 'PPTX');
+
+  const items = [];
+  pptxSlideOrder(zip).forEach((slidePath, i) => {
+    const xml = entryText(zip, slidePath);
+    let title = null;
+    const body = [];
+    for (const shape of elements(xml, 'p:sp')) {
+      const type = placeholderType(shape);
+      const paragraphs = pptxParagraphs(shape);
+      if (!title && (type === 'title' || type === 'ctrTitle')) {
+        title = paragraphs.join(' ') || null;
+      } else {
+        body.push(...paragraphs);
+      }
+    }
+    // Tables and other graphic frames
+    for (const frame of elements(xml, 'p:graphicFrame')) body.push(...pptxParagraphs(frame));
+
+    const rels = readRelationships(zip,
+      path.posix.join(path.posix.dirname(slidePath), '_rels', path.posix.basename(slidePath) + '.rels'),
+      path.posix.dirname(slidePath));
+    const notesPath = [...rels.values()].find(target => /notesSlide\d*\.xml$/.test(target));
+    const notes = notesPath && entryText(zip, notesPath)
+      ? elements(entryText(zip, notesPath), 'p:sp')
+        .filter(shape => placeholderType(shape) === 'body')
+        .flatMap(pptxParagraphs)
+      : [];
+
+    const parts = [title, ...body].filter(Boolean);
+    if (notes.length) parts.push(`Notes: ${notes.join('\n')}`);
+    if (parts.length === 0) return;
+
+    const metadata = { slide: i + 1 };
+    if (title) metadata.slide_title = title;
+    items.push({ text: parts.join('\n\n'), metadata });
+  });
+  return items;
+}
+
+// ── XLSX ──
+
+function xlsxSharedStrings(zip) {
+  const xml = entryText(zip, 'xl/sharedStrings.xml');
+  if (!xml) return [];
+  // Skip phonetic runs so only the displayed string remains
+  return elements(xml, 'si').map(si => runText(si.replace(/<rPh[\s\S]*?<\/rPh>/g, ''), 't'));
+}
+
+function xlsxCellValue(cell, shared) {
+  const type = attribute(cell, 'c', 't');
+  if (type === 'inlineStr') return runText(cell, 't').trim();
+  const v = cell.match(/<v>([\s\S]*?)<\/v>/);
+  if (!v) return '';
+  const raw = decodeXml(v[1]);
+  if (type === 's') return (shared[parseInt(raw, 10)] || '').trim();
+  if (type === 'b') return raw === '1' ? 'TRUE' : 'FALSE';
+  return raw.trim();
+}
+
+/**
+ * Parse an XLSX workbook into groups of rows per sheet. The first non-empty
+ * row of each sheet is used as the header; metadata carries the sheet name
+ * and the spreadsheet row range.
+ * @param {Buffer} buffer
+ * @param {object} [opts]
+ * @param {number} [opts.groupSize=512] - Target characters per row group
+ * @returns {Array<{text: string, metadata: object}>}
+ */
+function parseXlsx(buffer, opts = {}) {
+  const zip = readZip(buffer);
+  const workbook = requireEntry(zip, 'xl/workbook.xml', 'XLSX');
+  const rels = readRelationships(zip, 'xl/_rels/workbook.xml.rels', 'xl');
+  const shared = xlsxSharedStrings(zip);
+
+  const items = [];
+  for (const sheet of elements(workbook, 'sheet')) {
+    const name = attribute(sheet, 'sheet', 'name');
+    const xml = entryText(zip, rels.get(attribute(sheet, 'sheet', 'r:id')));
+    if (!xml) continue;
+
+    const rows = [];
+    const rowNumbers = [];
+    for (const row of elements(xml, 'row')) {
+      const values = [];
+      for (const cell of elements(row, 'c')) {
+        const ref = attribute(cell, 'c', 'r');
+        const index = ref ? columnIndex(ref) : values.length;
+        values[index] = xlsxCellValue(cell, shared);
+      }
+      if (!values.some(Boolean)) continue;
+      rows.push(Array.from(values, v => v || ''));
+      rowNumbers.push(parseInt(attribute(row, 'row', 'r'), 10) || rows.length);
+    }
+
+    items.push(...buildRowGroups(rows, { sheet: name }, { rowNumbers, groupSize: opts.groupSize }));
+  }
+  return items;
+}
+
+// ── EPUB ──
+
+/**
+ * Split an XHTML chapter into heading/paragraph blocks for buildSections.
+ */
+function htmlBlocks(html) {
+  const { stripHtml } = require('./readers');
+  const body = (html.match(/<body[^>]*>([\s\S]*)<\/body>/i) || [null, html])[1];
+  const blocks = [];
+  const headingRe = /<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi;
+  let last = 0;
+  let m;
+  while ((m = headingRe.exec(body)) !== null) {
+    const before = stripHtml(body.slice(last, m.index));
+    if (before) blocks.push({ text: before });
+    const heading = stripHtml(m[2]).replace(/\s+/g, ' ');
+    if (heading) blocks.push({ heading, level: parseInt(m[1], 10) });
+    last = m.index + m[0].length;
+  }
+  const rest = stripHtml(body.slice(last));
+  if (rest) blocks.push({ text: rest });
+  return blocks;
+}
+
+/**
+ * Parse an EPUB book into sections per chapter (spine item), split on the
+ * chapter's headings.
+ * @param {Buffer} buffer
+ * @returns {Array<{text: string, metadata: object}>}
+ */
+function parseEpub(buffer) {
+  const zip = readZip(buffer);
+  const container = requireEntry(zip, 'META-INF/container.xml', 'EPUB');
+  const opfPath = attribute(container, 'rootfile', 'full-path');
+  const opf = opfPath && entryText(zip, opfPath);
+  if (!opf) throw new Error('Not a valid EPUB file (missing package document)');
+  const opfDir = path.posix.dirname(opfPath);
+
+  const manifest = new Map();
+  for (const item of elements(opf, 'item')) {
+    manifest.set(attribute(item, 'item', 'id'), attribute(item, 'item', 'href'));
+  }
+
+  const items = [];
+  let chapter = 0;
+  for (const ref of elements(opf, 'itemref')) {
+    const href = manifest.get(attribute(ref, 'itemref', 'idref'));
+    if (!href) continue;
+    const html = entryText(zip, resolvePart(opfDir === '.' ? '' : opfDir, decodeURIComponent(href.split('#')[0])));
+    if (!html) continue;
+
+    const blocks = htmlBlocks(html);
+    if (!blocks.some(b => b.text)) continue;
+    chapter++;
+    items.push(...buildSections(blocks, { chapter }));
+  }
+  return items;
+}
+
+module.exports = {
+  ROW_GROUP_SIZE,
+  decodeXml,
+  buildSections,
+  buildRowGroups,
+  columnName,
+  columnIndex,
+  parseDocx,
+  parsePptx,
+  parseXlsx,
+  parseEpub,
+};
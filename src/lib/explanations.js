@@ -1475,7 +1475,10 @@ const concepts = {
       ``,
       `  ${pc.cyan('anthropic')}   Claude (API key required)`,
       `  ${pc.cyan('openai')}      GPT-4o and others (API key required)`,
+      `  ${pc.cyan('gemini')}      Google Gemini (API key required)`,
       `  ${pc.cyan('ollama')}      Fully local, free (requires Ollama installed)`,
+      `  ${pc.cyan('bedrock')}     Claude via AWS (AWS credentials required)`,
+      `  ${pc.cyan('openai-compatible')}  vLLM, LM Studio, llama.cpp, Azure (set llm-base-url)`,
       ``,
       `${pc.bold('Conversation History:')}`,
       `Previous turns are included so follow-up questions work naturally.`,
@@ -15,6 +15,7 @@ function normalizeChat(data, options = {}) {
     };
     if (options.includeSources !== false && t.context) {
       turn.context = t.context;
+      if (t.citations) turn.citations = t.citations;
     }
     if (options.includeMetadata && t.metadata) {
       turn.metadata = t.metadata;
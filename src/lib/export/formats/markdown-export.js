@@ -1,5 +1,7 @@
 'use strict';
 
+const { citationMarkdown } = require('../../citations');
+
 /**
  * Render normalized data as Markdown.
  * The shape of `normalized` varies by context — the context module sets a `_context` key.
@@ -153,6 +155,13 @@ function renderChatMd(n, opts) {
         const rel = src.score !== undefined ? ` (relevance: ${src.score})` : '';
         lines.push(`> ${i + 1}. ${src.source || 'unknown'}${rel}`);
       });
+
+      const cited = citationMarkdown(turn.content || '', turn.context);
+      if (cited.length > 0) {
+        lines.push('>');
+        lines.push('> **Citations:**');
+        cited.forEach((line) => lines.push(`> ${line}`));
+      }
     }
     lines.push('');
     lines.push('---');
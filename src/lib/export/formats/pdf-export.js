@@ -1,5 +1,7 @@
 'use strict';
 
+const { validateCitations } = require('../../citations');
+
 /**
  * Render a chat session (or any markdown content) as PDF using Playwright.
  *
@@ -42,7 +44,21 @@ function buildChatHtml(chat, options = {}) {
         const rel = s.score !== undefined ? ` (relevance: ${s.score})` : '';
         return `<li style="font-size:12px;color:#888;">${escapeHtml(s.source || 'unknown')}${rel}</li>`;
       }).join('');
-      sources = `<ul style="margin:4px 0 0 16px;padding:0;">${srcItems}</ul>`;
+      sources = `<ol style="margin:4px 0 0 16px;padding:0;">${srcItems}</ol>`;
+
+      const cited = validateCitations(t.content || '', t.context);
+      const citeItems = [
+        ...cited.citations.map((c) => {
+          const id = c.id ? ` <code>${escapeHtml(c.id)}</code>` : '';
+          const claims = c.claims.map((claim) => escapeHtml(claim.text)).join(' ');
+          return `<li style="font-size:12px;color:#888;">[${c.n}] ${escapeHtml(c.source)}${id}: ${claims}</li>`;
+        }),
+        ...cited.invalid.map((bad) =>
+          `<li style="font-size:12px;color:#c77;">[${bad.n}] not a retrieved source: ${escapeHtml(bad.claim)}</li>`),
+      ].join('');
+      if (citeItems) {
+        sources += `<div style="font-size:12px;color:#888;margin-top:6px;">Citations</div><ul style="margin:4px 0 0 16px;padding:0;">${citeItems}</ul>`;
+      }
     }
 
     let meta = '';
@@ -0,0 +1,153 @@
+'use strict';
+
+/**
+ * Result Fusion
+ *
+ * Combines ranked candidate lists from different retrievers (vector
+ * search, lexical BM25 search) into a single ranking before reranking.
+ * Supports reciprocal rank fusion (rank-based, score-scale agnostic)
+ * and weighted score fusion (min-max normalized scores).
+ */
+
+const FUSION_METHODS = ['rrf', 'weighted'];
+const DEFAULT_RRF_K = 60;
+
+/**
+ * Stable identity for a retrieved document, used to merge duplicates
+ * that appear in more than one candidate list.
+ * @param {object} doc
+ * @returns {string}
+ */
+function docKey(doc) {
+  if (doc._id != null) return String(doc._id);
+  return `text:${doc.text || doc.content || JSON.stringify(doc)}`;
+}
+
+/**
+ * Fuse ranked candidate lists into one ranking.
+ *
+ * Each output doc is a shallow merge of every copy seen across lists (so
+ * `_vsScore` from the vector list and `_textScore` from the lexical list
+ * both survive), with the fused score written to `_fusedScore`.
+ *
+ * @param {Array<{docs: object[], scoreField?: string, weight?: number}>} lists
+ * @param {object} [opts]
+ * @param {'rrf'|'weighted'} [opts.method='rrf']
+ * @param {number} [opts.k=60] - RRF rank constant
+ * @returns {object[]} Fused docs sorted by `_fusedScore` descending
+ */
+function fuseRankedLists(lists, { method = 'rrf', k = DEFAULT_RRF_K } = {}) {
+  if (!FUSION_METHODS.includes(method)) {
+    throw new Error(`Unknown fusion method: "${method}". Available: ${FUSION_METHODS.join(', ')}`);
+  }
+
+  const merged = new Map();
+
+  for (const list of lists) {
+    const docs = list.docs || [];
+    const weight = list.weight != null ? list.weight : 1;
+    const normalize = method === 'weighted' ? minMaxNormalizer(docs, list.scoreField) : null;
+
+    docs.forEach((doc, rank) => {
+      const key = docKey(doc);
+      const contribution = method === 'rrf'
+        ? weight / (k + rank + 1)
+        : weight * normalize(doc[list.scoreField]);
+
+      const entry = merged.get(key);
+      if (entry) {
+        entry.doc = { ...doc, ...entry.doc };
+        entry.score += contribution;
+      } else {
+        merged.set(key, { doc: { ...doc }, score: contribution });
+      }
+    });
+  }
+
+  return Array.from(merged.values())
+    .sort((a, b) => b.score - a.score)
+    .map(({ doc, score }) => ({ ...doc, _fusedScore: score }));
+}
+
+/**
+ * Build a min-max normalizer over a list's scores. A list whose scores are
+ * all equal maps every doc to 1 so it still contributes its full weight.
+ */
+function minMaxNormalizer(docs, scoreField) {
+  const scores = docs.map(d => d[scoreField]).filter(s => typeof s === 'number');
+  if (scores.length === 0) return () => 0;
+  const min = Math.min(...scores);
+  const max = Math.max(...scores);
+  if (max === min) return (s) => (typeof s === 'number' ? 1 : 0);
+  return (s) => (typeof s === 'number' ? (s - min) / (max - min) : 0);
+}
+
+/**
+ * Resolve hybrid search settings from explicit options and the
+ * `.vai.json` `hybrid` block.
+ *
+ * @param {object} [opts]
+ * @param {boolean} [opts.hybrid]
+ * @param {string} [opts.searchIndex]
+ * @param {string} [opts.fusion]
+ * @param {number} [opts.rrfK]
+ * @param {number} [opts.vectorWeight]
+ * @param {object} [projHybrid] - `.vai.json` hybrid block
+ * @returns {{ enabled: boolean, searchIndex: string, fusion: string, k: number, vectorWeight: number }}
+ */
+function resolveHybridConfig(opts = {}, projHybrid = {}) {
+  const conf = {
+    enabled: opts.hybrid != null ? !!opts.hybrid : !!projHybrid.enabled,
+    searchIndex: opts.searchIndex || projHybrid.searchIndex || 'search_index',
+    fusion: opts.fusion || projHybrid.fusion || 'rrf',
+    k: opts.rrfK || projHybrid.k || DEFAULT_RRF_K,
+    vectorWeight: opts.vectorWeight != null ? opts.vectorWeight : (projHybrid.vectorWeight != null ? projHybrid.vectorWeight : 0.5),
+  };
+
+  if (!FUSION_METHODS.includes(conf.fusion)) {
+    throw new Error(`Unknown fusion method: "${conf.fusion}". Available: ${FUSION_METHODS.join(', ')}`);
+  }
+  if (!(conf.vectorWeight >= 0 && conf.vectorWeight <= 1)) {
+    throw new Error('Vector weight must be between 0 and 1.');
+  }
+  return conf;
+}
+
+/**
+ * Run vector and lexical search in parallel against a store and fuse them.
+ *
+ * @param {object} store - Vector store (see vector-store.js)
+ * @param {object} params
+ * @param {number[]} params.vector - Query vector
+ * @param {string} params.query - Raw query text for lexical search
+ * @param {string} [params.index] - Vector index name
+ * @param {string} [params.field] - Embedding field
+ * @param {string} [params.textField] - Text field searched lexically
+ * @param {number} params.limit - Candidates per retriever and after fusion
+ * @param {number} [params.numCandidates]
+ * @param {object} [params.filter]
+ * @param {object} params.hybrid - Resolved hybrid config
+ * @returns {Promise<{docs: object[], vectorCount: number, textCount: number}>}
+ */
+async function hybridSearch(store, { vector, query, index, field, textField = 'text', limit, numCandidates, filter, hybrid }) {
+  const [vectorDocs, textDocs] = await Promise.all([
+    store.search({ vector, index, field, limit, numCandidates, filter }),
+    store.textSearch({ query, index: hybrid.searchIndex, path: textField, limit, filter }),
+  ]);
+
+  const docs = fuseRankedLists([
+    { docs: vectorDocs, scoreField: '_vsScore', weight: hybrid.vectorWeight },
+    { docs: textDocs, scoreField: '_textScore', weight: 1 - hybrid.vectorWeight },
+  ], { method: hybrid.fusion, k: hybrid.k }).slice(0, limit);
+
+  return { docs, vectorCount: vectorDocs.length, textCount: textDocs.length };
+}
+
+module.exports = {
+  FUSION_METHODS,
+  DEFAULT_RRF_K,
+  docKey,
+  fuseRankedLists,
+  resolveHybridConfig,
+  hybridSearch,
+};
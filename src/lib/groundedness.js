@@ -0,0 +1,215 @@
+'use strict';
+
+/**
+ * Answer Groundedness
+ *
+ * Optional post-generation check for RAG answers. The answer is split into
+ * claims (sentences that state something), and each claim is scored against
+ * the documents the answer was generated from:
+ *
+ *   - rerank: the Voyage reranker scores the claim against every document;
+ *     the best score must reach a threshold.
+ *   - llm:    the configured LLM judges all claims in one call.
+ *
+ * Claims no document supports are reported as unsupported.
+ */
+
+const { sentenceSpans } = require('./citations');
+
+const VERIFY_METHODS = ['rerank', 'llm'];
+const DEFAULT_VERIFY_THRESHOLD = 0.5;
+const MAX_CLAIMS = 20;
+
+const JUDGE_PROMPT = `You check whether an answer is supported by source documents.
+
+For each numbered claim, decide whether the documents state it or directly imply it. A claim that adds facts, numbers or names the documents do not contain is not supported.
+
+Reply with JSON only: an array with one object per claim, e.g.
+[{"claim": 1, "supported": true, "source": 2}, {"claim": 2, "supported": false, "source": null}]
+"source" is the number of the document that best supports the claim, or null.`;
+
+/**
+ * Split an answer into checkable claims. Code blocks, headings, questions,
+ * lead-ins ending in ":" and fragments under four words are skipped;
+ * list markers, emphasis and citation markers are removed.
+ * @param {string} text
+ * @param {object} [opts]
+ * @param {number} [opts.maxClaims=20]
+ * @returns {string[]}
+ */
+function splitClaims(text, { maxClaims = MAX_CLAIMS } = {}) {
+  const prose = (text || '').replace(/```[\s\S]*?(```|$)/g, '\n');
+  const claims = [];
+
+  for (const span of sentenceSpans(prose)) {
+    const raw = prose.slice(span.start, span.end);
+    if (/^\s*#/.test(raw)) continue;
+
+    const claim = raw
+      .replace(/(?<!\w)\[\d+(?:\s*,\s*\d+)*\](?!\()/g, '')
+      .replace(/^\s*(?:[-*+>]|\d+[.)])\s+/, '')
+      .replace(/\*\*|__|`/g, '')
+      .replace(/\s+([.!?,;:])/g, '$1')
+      .trim();
+
+    if (/[?:]$/.test(claim)) continue;
+    if (claim.split(/\s+/).length < 4) continue;
+    claims.push(claim);
+    if (claims.length >= maxClaims) break;
+  }
+  return claims;
+}
+
+/**
+ * Text of a context document.
+ * @param {object|string} doc
+ * @returns {string}
+ */
+function docText(doc) {
+  if (typeof doc === 'string') return doc;
+  return doc.text || doc.content || JSON.stringify(doc);
+}
+
+/**
+ * Score claims with the reranker: a claim's score is its best relevance
+ * score against any document.
+ */
+async function scoreWithReranker(claims, texts, { model, threshold }) {
+  const { apiRequest } = require('./api');
+  const { DEFAULT_RERANK_MODEL } = require('./catalog');
+  const rerankModel = model || DEFAULT_RERANK_MODEL;
+
+  const results = [];
+  let tokens = 0;
+  for (const claim of claims) {
+    const res = await apiRequest('/rerank', { query: claim, documents: texts, model: rerankModel, top_k: 1 });
+    tokens += res.usage?.total_tokens || 0;
+    const best = (res.data || [])[0];
+    const score = best ? best.relevance_score : 0;
+    results.push({
+      text: claim,
+      supported: score >= threshold,
+      score,
+      source: best ? best.index + 1 : null,
+    });
+  }
+  return { results, model: rerankModel, tokens: { rerank: tokens } };
+}
+
+/**
+ * Parse the judge's JSON verdicts, tolerating prose or code fences
+ * around the array.
+ * @param {string} reply
+ * @returns {Array<{claim: number, supported: boolean, source: number|null}>}
+ */
+function parseVerdicts(reply) {
+  const start = reply.indexOf('[');
+  const end = reply.lastIndexOf(']');
+  if (start !== -1 && end > start) {
+    try {
+      const verdicts = JSON.parse(reply.slice(start, end + 1));
+      if (Array.isArray(verdicts)) return verdicts;
+    } catch { /* fall through */ }
+  }
+  throw new Error('The LLM judge did not return a JSON array of verdicts.');
+}
+
+/**
+ * Score claims with the LLM as judge, in one call.
+ */
+async function scoreWithLLM(claims, texts, { llm }) {
+  if (!llm) throw new Error('LLM verification needs a configured LLM provider.');
+
+  const documents = texts.map((t, i) => `[${i + 1}] ${t}`).join('\n\n');
+  const numbered = claims.map((c, i) => `${i + 1}. ${c}`).join('\n');
+  const messages = [
+    { role: 'system', content: JUDGE_PROMPT },
+    { role: 'user', content: `Documents:\n\n${documents}\n\nClaims:\n\n${numbered}` },
+  ];
+
+  const { collectChat } = require('./llm');
+  const { text: reply, usage } = await collectChat(llm.chat(messages, { stream: false }));
+
+  const byClaim = new Map(parseVerdicts(reply).map(v => [Number(v.claim), v]));
+  const results = claims.map((claim, i) => {
+    const verdict = byClaim.get(i + 1);
+    const supported = verdict?.supported === true;
+    const source = Number(verdict?.source);
+    return {
+      text: claim,
+      supported,
+      score: supported ? 1 : 0,
+      source: supported && source >= 1 && source <= texts.length ? source : null,
+    };
+  });
+  return { results, model: llm.model, tokens: { llmInput: usage.inputTokens, llmOutput: usage.outputTokens } };
+}
+
+/**
+ * Check how well an answer is supported by its context documents.
+ *
+ * @param {object} params
+ * @param {string} params.answer - Generated answer
+ * @param {Array<object|string>} params.docs - Context documents, in prompt order
+ * @param {string} [params.method='rerank'] - rerank or llm
+ * @param {object} [params.llm] - LLM provider (required for llm)
+ * @param {string} [params.model] - Rerank model (rerank only)
+ * @param {number} [params.threshold=0.5] - Min relevance score for a supported claim (rerank only)
+ * @param {number} [params.maxClaims=20]
+ * @returns {Promise<{
+ *   method: string, model: string|null, threshold?: number,
+ *   claims: Array<{text: string, supported: boolean, score: number, source: number|null}>,
+ *   supported: number, total: number, score: number|null,
+ *   unsupported: string[], tokens: object
+ * }>}
+ *   `source` is the 1-based number of the best supporting document;
+ *   `score` is the supported fraction, or null when there was nothing to check.
+ */
+async function verifyAnswer({ answer, docs = [], method = 'rerank', llm, model, threshold = DEFAULT_VERIFY_THRESHOLD, maxClaims } = {}) {
+  if (!VERIFY_METHODS.includes(method)) {
+    throw new Error(`Unknown verification method "${method}". Use: ${VERIFY_METHODS.join(', ')}`);
+  }
+  if (method === 'rerank' && !(threshold >= 0 && threshold <= 1)) {
+    throw new Error('Verification threshold must be between 0 and 1.');
+  }
+
+  const claims = splitClaims(answer, { maxClaims });
+  const texts = docs.map(docText).filter(Boolean);
+
+  let scored;
+  if (claims.length === 0) {
+    scored = { results: [], model: null, tokens: {} };
+  } else if (texts.length === 0) {
+    // Nothing retrieved: no claim can be grounded
+    scored = {
+      results: claims.map(text => ({ text, supported: false, score: 0, source: null })),
+      model: null,
+      tokens: {},
+    };
+  } else if (method === 'llm') {
+    scored = await scoreWithLLM(claims, texts, { llm });
+  } else {
+    scored = await scoreWithReranker(claims, texts, { model, threshold });
+  }
+
+  const supported = scored.results.filter(c => c.supported).length;
+  return {
+    method,
+    model: scored.model,
+    ...(method === 'rerank' ? { threshold } : {}),
+    claims: scored.results,
+    supported,
+    total: scored.results.length,
+    score: scored.results.length > 0 ? supported / scored.results.length : null,
+    unsupported: scored.results.filter(c => !c.supported).map(c => c.text),
+    tokens: scored.tokens,
+  };
+}
+
+module.exports = {
+  VERIFY_METHODS,
+  DEFAULT_VERIFY_THRESHOLD,
+  splitClaims,
+  parseVerdicts,
+  verifyAnswer,
+};
@@ -1,12 +1,19 @@
 'use strict';
 
 const crypto = require('crypto');
+const { citationMarkdown } = require('./citations');
+const { DEFAULT_BRANCH, BRANCH_NAME_RE, withMainBranch, branchPath } = require('./session-store');
 
 /**
  * Chat History Manager
  *
  * Manages conversation sessions with in-memory storage
  * and optional MongoDB persistence.
+ *
+ * A session can branch: forking at an earlier turn starts a new branch
+ * that shares the turns before that point and keeps the original branch
+ * intact (see the branch notes in session-store.js). `turns` always holds
+ * the current branch's path.
  */
 
 /**
@@ -17,6 +24,31 @@ function generateSessionId() {
   return crypto.randomUUID();
 }
 
+/**
+ * Convert a SessionStore turn document to a history turn.
+ */
+function fromStoredTurn(d) {
+  return {
+    role: d.role,
+    content: d.content,
+    context: d.context || undefined,
+    citations: d.citations || undefined,
+    metadata: d.metadata || undefined,
+    turnIndex: d.turnIndex,
+    branch: d.branch || DEFAULT_BRANCH,
+    timestamp: d.createdAt || d.timestamp,
+  };
+}
+
+/**
+ * turnIndex for the turn after the given path.
+ */
+function nextIndexAfter(turns) {
+  const last = turns[turns.length - 1];
+  if (!last) return 0;
+  return Number.isInteger(last.turnIndex) ? last.turnIndex + 1 : turns.length;
+}
+
 /**
  * In-memory history store for a single session.
  */
@@ -31,9 +63,24 @@ class ChatHistory {
   constructor(opts = {}) {
     this.sessionId = opts.sessionId || generateSessionId();
     this.maxTurns = opts.maxTurns || 20;
-    this.turns = []; // Array of { role, content, context?, metadata?, timestamp }
+    this.turns = []; // Array of { role, content, context?, citations?, metadata?, turnIndex, branch, timestamp }
+    this.branch = DEFAULT_BRANCH;
     this._mongo = opts.mongo || null;
     this._store = opts.store || null;
+
+    // Branch metadata and every turn of every branch, for sessions the
+    // store does not persist (no store, or store in fallback mode)
+    this._branches = withMainBranch();
+    this._allTurns = [];
+    // turnIndex of the next turn on the current branch
+    this._nextIndex = 0;
+  }
+
+  /**
+   * Whether turns and branches are persisted in the SessionStore.
+   */
+  _persisted() {
+    return !!this._store && !this._store.isFallbackMode;
   }
 
   /**
@@ -44,17 +91,15 @@ class ChatHistory {
     // Prefer SessionStore (new path)
     if (this._store) {
       try {
-        const turns = await this._store.getLatestTurns(this.sessionId, this.maxTurns * 2);
-        if (!turns || turns.length === 0) return false;
+        const session = await this._store.getSession(this.sessionId);
+        this._branches = withMainBranch(session?.branches);
+        this.branch = session?.activeBranch || DEFAULT_BRANCH;
 
-        this.turns = turns.map(d => ({
-          role: d.role,
-          content: d.content,
-          context: d.context || undefined,
-          metadata: d.metadata || undefined,
-          timestamp: d.createdAt || d.timestamp,
-        }));
+        const turns = await this._store.getLatestTurns(this.sessionId, this.maxTurns * 2, { branch: this.branch });
+        if (!turns || turns.length === 0) return false;
 
+        this.turns = turns.map(fromStoredTurn);
+        this._nextIndex = nextIndexAfter(this.turns);
         return true;
       } catch {
         return false;
@@ -77,6 +122,7 @@ class ChatHistory {
         role: d.role,
         content: d.content,
         context: d.context || undefined,
+        citations: d.citations || undefined,
         metadata: d.metadata || undefined,
         timestamp: d.timestamp,
       }));
@@ -90,15 +136,18 @@ class ChatHistory {
 
   /**
    * Add a turn to history and optionally persist.
-   * @param {object} turn - { role, content, context?, metadata? }
+   * @param {object} turn - { role, content, context?, citations?, metadata? }
    */
   async addTurn(turn) {
     const entry = {
       ...turn,
+      turnIndex: this._nextIndex++,
+      branch: this.branch,
       timestamp: new Date(),
     };
 
     this.turns.push(entry);
+    this._allTurns.push(entry);
 
     // Trim to maxTurns (keep pairs)
     const maxEntries = this.maxTurns * 2;
@@ -111,10 +160,12 @@ class ChatHistory {
       try {
         await this._store.storeTurn({
           sessionId: this.sessionId,
-          turnIndex: Math.floor(this.turns.length / 2),
+          turnIndex: entry.turnIndex,
+          branch: entry.branch,
           role: entry.role,
           content: entry.content,
           context: entry.context,
+          citations: entry.citations,
           tokens: {},
           timing: {},
         });
@@ -136,6 +187,99 @@ class ChatHistory {
     }
   }
 
+  // ── Branches ────────────────────────────────────────────────────────
+
+  /**
+   * Start a new branch from the current one. The new branch keeps the
+   * turns before `at` and becomes the current branch; the original branch
+   * is left as it was.
+   *
+   * @param {object} [opts]
+   * @param {number} [opts.at] - turnIndex where the branches diverge (default: after the last turn)
+   * @param {string} [opts.name] - Branch name (default: branch-<n>)
+   * @returns {Promise<object>} The branch metadata
+   */
+  async fork({ at = this._nextIndex, name } = {}) {
+    if (!Number.isInteger(at) || at < 0 || at > this._nextIndex) {
+      throw new Error(`Cannot branch at turn ${at}: the current branch has ${this._nextIndex} turns`);
+    }
+    const branchName = name || this._nextBranchName();
+
+    let branch;
+    if (this._persisted()) {
+      branch = await this._store.createBranch(this.sessionId, { name: branchName, parent: this.branch, forkIndex: at });
+      this._branches = await this._store.getBranches(this.sessionId);
+    } else {
+      if (!BRANCH_NAME_RE.test(branchName)) {
+        throw new Error(`Invalid branch name "${branchName}": use letters, digits, ".", "_" and "-"`);
+      }
+      if (this._branches.some(b => b.name === branchName)) {
+        throw new Error(`Branch already exists: ${branchName}`);
+      }
+      branch = { name: branchName, parent: this.branch, forkIndex: at, createdAt: new Date() };
+      this._branches.push(branch);
+    }
+
+    await this.switchBranch(branchName);
+    return branch;
+  }
+
+  /**
+   * Make another branch the current one and load its turns.
+   * @param {string} name
+   * @returns {Promise<void>}
+   */
+  async switchBranch(name) {
+    if (this._persisted()) {
+      this._branches = await this._store.getBranches(this.sessionId);
+    }
+    if (!this._branches.some(b => b.name === name)) {
+      throw new Error(`Branch not found: ${name}`);
+    }
+
+    let path;
+    if (this._persisted()) {
+      path = (await this._store.getTurns(this.sessionId, { branch: name })).map(fromStoredTurn);
+      await this._store.updateSession(this.sessionId, { activeBranch: name });
+    } else {
+      path = branchPath(this._allTurns, this._branches, name);
+    }
+
+    this.branch = name;
+    this._nextIndex = Math.max(nextIndexAfter(path), this._branches.find(b => b.name === name).forkIndex);
+    this.turns = path.slice(-this.maxTurns * 2);
+  }
+
+  /**
+   * List the session's branches.
+   * @returns {Promise<Array<{name: string, parent: string|null, forkIndex: number, turnCount: number, current: boolean}>>}
+   */
+  async listBranches() {
+    if (this._persisted()) {
+      this._branches = await this._store.getBranches(this.sessionId);
+    }
+    const list = [];
+    for (const branch of this._branches) {
+      const path = this._persisted()
+        ? await this._store.getTurns(this.sessionId, { branch: branch.name })
+        : branchPath(this._allTurns, this._branches, branch.name);
+      list.push({
+        name: branch.name,
+        parent: branch.parent,
+        forkIndex: branch.forkIndex,
+        turnCount: path.length,
+        current: branch.name === this.branch,
+      });
+    }
+    return list;
+  }
+
+  _nextBranchName() {
+    let n = this._branches.length + 1;
+    while (this._branches.some(b => b.name === `branch-${n}`)) n++;
+    return `branch-${n}`;
+  }
+
   /**
    * Get conversation history as message array for the LLM.
    * Returns only role + content (no metadata).
@@ -158,6 +302,19 @@ class ChatHistory {
     return null;
   }
 
+  /**
+   * Get the search queries behind the last assistant turn (see query-rewrite.js).
+   * @returns {{original: string, standalone: string, expansions: Array<{method: string, text: string}>}|null}
+   */
+  getLastQueries() {
+    for (let i = this.turns.length - 1; i >= 0; i--) {
+      if (this.turns[i].role === 'assistant' && this.turns[i].metadata?.queries) {
+        return this.turns[i].metadata.queries;
+      }
+    }
+    return null;
+  }
+
   /**
    * Get the last assistant turn's sources formatted for display.
    * @returns {Array<{source: string, score: number}>|null}
@@ -222,9 +379,16 @@ class ChatHistory {
         if (turn.context && turn.context.length > 0) {
           lines.push('');
           lines.push('Sources:');
-          for (const doc of turn.context) {
+          turn.context.forEach((doc, i) => {
             const src = doc.source || doc.metadata?.source || 'unknown';
-            lines.push(`- ${src} (${doc.score?.toFixed(2) || 'N/A'})`);
+            lines.push(`${i + 1}. ${src} (${doc.score?.toFixed(2) || 'N/A'})`);
+          });
+
+          const cited = citationMarkdown(turn.content, turn.context);
+          if (cited.length > 0) {
+            lines.push('');
+            lines.push('Citations:');
+            lines.push(...cited);
           }
         }
       }
@@ -0,0 +1,131 @@
+'use strict';
+
+/**
+ * Incremental Ingestion
+ *
+ * Change detection for `vai pipeline --incremental`. Every stored chunk
+ * carries a content hash, its source file's mtime, and a fingerprint of the
+ * chunk/embedding settings that produced it. On re-run, files whose mtime
+ * and settings match are skipped without being read; changed files are
+ * re-chunked and only chunks with a new content hash are embedded.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Fields read from the store when planning a sync. Embeddings are
+ * fetched separately, and only for chunks that are actually reused.
+ */
+const SYNC_PROJECTION = {
+  'metadata.source': 1,
+  'metadata.source_root': 1,
+  'metadata.content_hash': 1,
+  'metadata.source_mtime': 1,
+  'metadata.chunk_config': 1,
+};
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Hash everything that determines a chunk's embedding: the text plus the
+ * model and output dimensions. Equal hashes mean the stored vector can be
+ * reused as-is.
+ * @param {string} text
+ * @param {object} [opts]
+ * @param {string} [opts.model]
+ * @param {number} [opts.dimensions]
+ * @returns {string}
+ */
+function hashChunk(text, { model, dimensions } = {}) {
+  return sha256(`${model || ''}\u0000${dimensions || ''}\u0000${text}`);
+}
+
+/**
+ * Short fingerprint of the settings that turn a file into chunks and
+ * vectors. A change here forces every file to be re-chunked.
+ * @param {object} settings
+ * @returns {string}
+ */
+function chunkConfigFingerprint({ model, dimensions, strategy, chunkSize, overlap, textField, semanticThreshold, parents, parentSize }) {
+  const settings = [model, dimensions || null, strategy, chunkSize, overlap, textField];
+  if (strategy === 'semantic') settings.push(semanticThreshold ?? null);
+  if (parents) settings.push({ parents, parentSize: parents === 'section' ? parentSize : null });
+  return sha256(JSON.stringify(settings)).slice(0, 16);
+}
+
+/**
+ * Group stored chunk docs by `metadata.source`.
+ * @param {object[]} docs
+ * @returns {Map<string, object[]>}
+ */
+function groupBySource(docs) {
+  const groups = new Map();
+  for (const doc of docs) {
+    const source = doc.metadata?.source;
+    if (!source) continue;
+    if (!groups.has(source)) groups.set(source, []);
+    groups.get(source).push(doc);
+  }
+  return groups;
+}
+
+/**
+ * True when every stored chunk for a source was produced from the same
+ * file mtime and settings, so the file does not need to be read again.
+ * @param {object[]} storedDocs
+ * @param {{ mtime: string, chunkConfig: string }} current
+ * @returns {boolean}
+ */
+function isSourceUnchanged(storedDocs, { mtime, chunkConfig }) {
+  return storedDocs.length > 0 && storedDocs.every(d =>
+    d.metadata?.source_mtime === mtime && d.metadata?.chunk_config === chunkConfig);
+}
+
+/**
+ * Diff freshly produced chunks for one source against its stored docs.
+ *
+ * Chunks are matched by content hash (duplicates are matched one-to-one).
+ * Unmatched new chunks pair up with unmatched stored chunks as "updated";
+ * any surplus is "added" or "removed".
+ *
+ * @param {Array<{metadata: {content_hash: string}}>} chunks
+ * @param {object[]} storedDocs
+ * @returns {{ reused: Array<object|null>, counts: { added: number, updated: number, removed: number, unchanged: number } }}
+ *   `reused[i]` is the stored doc whose vector chunk i can reuse, or null.
+ */
+function diffSource(chunks, storedDocs) {
+  const pool = new Map();
+  for (const doc of storedDocs) {
+    const hash = doc.metadata?.content_hash;
+    if (!pool.has(hash)) pool.set(hash, []);
+    pool.get(hash).push(doc);
+  }
+
+  let unchanged = 0;
+  const reused = chunks.map(c => {
+    const candidates = pool.get(c.metadata.content_hash);
+    if (!candidates || candidates.length === 0) return null;
+    unchanged++;
+    return candidates.shift();
+  });
+
+  const fresh = chunks.length - unchanged;
+  const orphaned = storedDocs.length - unchanged;
+  const updated = Math.min(fresh, orphaned);
+
+  return {
+    reused,
+    counts: { added: fresh - updated, updated, removed: orphaned - updated, unchanged },
+  };
+}
+
+module.exports = {
+  SYNC_PROJECTION,
+  hashChunk,
+  chunkConfigFingerprint,
+  groupBySource,
+  isSourceUnchanged,
+  diffSource,
+};
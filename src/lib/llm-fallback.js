@@ -0,0 +1,297 @@
+'use strict';
+
+/**
+ * LLM Fallback Chain
+ *
+ * Wraps an ordered list of LLM providers (e.g. anthropic → bedrock → ollama)
+ * behind the provider interface. Each call goes to the first available
+ * provider; transient errors (rate limits, 5xx, timeouts, network errors)
+ * are retried with exponential backoff, anything else moves straight on to
+ * the next provider.
+ *
+ * A per-provider circuit breaker skips providers that keep failing: after
+ * `failureThreshold` failed calls in a row the provider is left out for
+ * `cooldownMs`, then gets one trial call. Circuit state is shared across
+ * the process, so workflow steps that create their own provider see it too.
+ *
+ * `name` and `model` report the provider that answered the last call, and
+ * `lastCall.failures` lists the attempts that failed before it.
+ */
+
+const DEFAULT_RETRIES = 1;
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+const DEFAULT_FAILURE_THRESHOLD = 3;
+const DEFAULT_COOLDOWN_MS = 60000;
+
+// provider key → { failures, openUntil }
+const circuits = new Map();
+
+/**
+ * Clear all circuit breaker state (for testing).
+ */
+function resetCircuits() {
+  circuits.clear();
+}
+
+function circuitKey(provider) {
+  return `${provider.name}:${provider.model}:${provider.baseUrl || ''}`;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Reject if `promise` does not settle within `ms`. The original promise is
+ * left running; a late rejection is swallowed.
+ */
+function withTimeout(promise, ms, label) {
+  if (!ms) return promise;
+  promise.catch(() => {});
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`${label} timed out after ${ms}ms`);
+      err.code = 'LLM_TIMEOUT';
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Whether an LLM error is worth retrying on the same provider.
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isRetryableError(err) {
+  if (err.code === 'LLM_TIMEOUT') return true;
+  const msg = err.message || '';
+  if (/API error \((408|409|429|5\d\d)\)/.test(msg)) return true;
+  return /rate.?limit|overloaded|fetch failed|ECONNRESET|ECONNREFUSED|ETIMEDOUT|socket hang up/i.test(msg);
+}
+
+/**
+ * Tool-calling message format a provider speaks.
+ * @param {object} provider
+ * @returns {'anthropic'|'gemini'|'openai'}
+ */
+function toolFormat(provider) {
+  if (provider.name === 'anthropic' || provider.name === 'bedrock') return 'anthropic';
+  if (provider.name === 'gemini') return 'gemini';
+  return 'openai';
+}
+
+/**
+ * Tool-calling format already used in a conversation, or null when it has
+ * no tool turns yet.
+ * @param {Array} messages
+ * @returns {string|null}
+ */
+function conversationToolFormat(messages) {
+  if (messages.some(m => Array.isArray(m.parts))) return 'gemini';
+  if (messages.some(m => Array.isArray(m.content)
+    && m.content.some(b => b.type === 'tool_use' || b.type === 'tool_result'))) return 'anthropic';
+  if (messages.some(m => m.tool_calls || m.role === 'tool')) return 'openai';
+  return null;
+}
+
+/**
+ * Convert tool definitions between Anthropic ({name, input_schema}) and
+ * OpenAI ({type: 'function', function}) formats. Gemini accepts both.
+ * @param {Array} tools
+ * @param {string} format
+ * @returns {Array}
+ */
+function convertTools(tools, format) {
+  return tools.map(t => {
+    const fn = t.function || t;
+    const parameters = fn.parameters || fn.input_schema;
+    if (format === 'anthropic' && t.function) {
+      return { name: fn.name, description: fn.description, input_schema: parameters };
+    }
+    if (format === 'openai' && !t.function) {
+      return { type: 'function', function: { name: fn.name, description: fn.description, parameters } };
+    }
+    return t;
+  });
+}
+
+class FallbackProvider {
+  /**
+   * @param {Array<{provider: object, retries?: number, timeoutMs?: number}>} entries - In priority order
+   * @param {object} [options]
+   * @param {number} [options.retries=1] - Retries per provider for transient errors
+   * @param {number} [options.timeoutMs=60000] - Per-attempt timeout (time to first chunk when streaming)
+   * @param {number} [options.retryDelayMs=1000] - Initial backoff, doubled per retry
+   * @param {number} [options.failureThreshold=3] - Failed calls before a provider's circuit opens
+   * @param {number} [options.cooldownMs=60000] - How long an open circuit skips the provider
+   */
+  constructor(entries, options = {}) {
+    if (!entries.length) throw new Error('LLM fallback chain needs at least one provider');
+    this.entries = entries.map(e => ({
+      provider: e.provider,
+      retries: e.retries ?? options.retries ?? DEFAULT_RETRIES,
+      timeoutMs: e.timeoutMs ?? options.timeoutMs ?? DEFAULT_TIMEOUT_MS,
+    }));
+    this.retryDelayMs = options.retryDelayMs ?? DEFAULT_RETRY_DELAY_MS;
+    this.failureThreshold = options.failureThreshold ?? DEFAULT_FAILURE_THRESHOLD;
+    this.cooldownMs = options.cooldownMs ?? DEFAULT_COOLDOWN_MS;
+    this.active = this.entries[0].provider;
+    this.lastCall = null;
+  }
+
+  get name() { return this.active.name; }
+  get model() { return this.active.model; }
+  get supportsTools() { return this.entries.some(e => e.provider.supportsTools); }
+  get supportsNativeJSON() { return this.entries.some(e => e.provider.supportsNativeJSON); }
+
+  /**
+   * Providers to try, in order: closed circuits first; if every circuit is
+   * open, all of them (better a slow failure than none).
+   */
+  _candidates(filter) {
+    const usable = this.entries.filter(e => filter(e.provider));
+    const now = Date.now();
+    const closed = usable.filter(e => !(circuits.get(circuitKey(e.provider))?.openUntil > now));
+    return closed.length > 0 ? closed : usable;
+  }
+
+  _recordFailure(provider) {
+    const key = circuitKey(provider);
+    const state = circuits.get(key) || { failures: 0, openUntil: 0 };
+    state.failures++;
+    if (state.failures >= this.failureThreshold) state.openUntil = Date.now() + this.cooldownMs;
+    circuits.set(key, state);
+  }
+
+  _recordSuccess(provider, failures) {
+    circuits.delete(circuitKey(provider));
+    this.active = provider;
+    this.lastCall = { provider: provider.name, model: provider.model, failures };
+  }
+
+  /**
+   * Run `call` against each candidate provider until one succeeds.
+   * @param {function(object, object): Promise<*>} call - (provider, entry) → result
+   * @param {function(object): boolean} [filter]
+   * @returns {Promise<{result: *, provider: object, failures: Array}>}
+   */
+  async _run(call, filter = () => true) {
+    const failures = [];
+    const candidates = this._candidates(filter);
+    if (candidates.length === 0) {
+      throw new Error('No provider in the LLM fallback chain can continue this conversation');
+    }
+
+    for (const entry of candidates) {
+      const { provider } = entry;
+      for (let attempt = 0; attempt <= entry.retries; attempt++) {
+        try {
+          const result = await call(provider, entry);
+          return { result, provider, failures };
+        } catch (err) {
+          failures.push({ provider: provider.name, model: provider.model, error: err.message.slice(0, 200) });
+          if (!isRetryableError(err) || attempt === entry.retries) break;
+          await sleep(this.retryDelayMs * 2 ** attempt);
+        }
+      }
+      this._recordFailure(provider);
+    }
+
+    const summary = failures.map(f => `${f.provider} (${f.model}): ${f.error}`).join('\n  ');
+    const err = new Error(`All LLM providers failed:\n  ${summary}`);
+    err.failures = failures;
+    throw err;
+  }
+
+  /**
+   * Stream a response. Falls back only before the first chunk: once text
+   * has been yielded, a failure is thrown rather than restarted elsewhere.
+   */
+  async *chat(messages, options = {}) {
+    const { result, provider, failures } = await this._run(async (p, entry) => {
+      const iterator = p.chat(messages, options)[Symbol.asyncIterator]();
+      const first = await withTimeout(iterator.next(), entry.timeoutMs, `${p.name} (${p.model})`);
+      return { iterator, first };
+    });
+    this._recordSuccess(provider, failures);
+
+    const { iterator, first } = result;
+    try {
+      if (first.done) return;
+      yield first.value;
+      for (;;) {
+        const next = await iterator.next();
+        if (next.done) return;
+        yield next.value;
+      }
+    } catch (err) {
+      this._recordFailure(provider);
+      throw err;
+    }
+  }
+
+  /**
+   * Tool-calling request. Tool definitions are converted to each provider's
+   * format; once the conversation holds tool turns, only providers that
+   * speak the same format are tried.
+   */
+  async chatWithTools(messages, tools, options = {}) {
+    const format = conversationToolFormat(messages);
+    const { result, provider, failures } = await this._run(
+      (p, entry) => withTimeout(
+        p.chatWithTools(messages, convertTools(tools, toolFormat(p)), options),
+        entry.timeoutMs,
+        `${p.name} (${p.model})`,
+      ),
+      p => p.supportsTools && (!format || toolFormat(p) === format),
+    );
+    this._recordSuccess(provider, failures);
+    return result;
+  }
+
+  /**
+   * JSON reply conforming to a schema, from the first provider with a
+   * native structured-output mode.
+   */
+  async generateJSON(messages, schema, options = {}) {
+    const { result, provider, failures } = await this._run(
+      (p, entry) => withTimeout(p.generateJSON(messages, schema, options), entry.timeoutMs, `${p.name} (${p.model})`),
+      p => p.supportsNativeJSON,
+    );
+    this._recordSuccess(provider, failures);
+    return result;
+  }
+
+  // Tool turns are formatted by the provider that produced the response
+  formatAssistantToolCall(response) {
+    return this.active.formatAssistantToolCall(response);
+  }
+
+  formatToolResult(callId, content, isError = false) {
+    return this.active.formatToolResult(callId, content, isError);
+  }
+
+  /**
+   * Ping providers in order; report the first one that answers.
+   */
+  async ping() {
+    let last;
+    for (const { provider } of this.entries) {
+      last = await provider.ping();
+      if (last.ok) return { ...last, provider: provider.name };
+    }
+    return last;
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRIES,
+  DEFAULT_TIMEOUT_MS,
+  FallbackProvider,
+  isRetryableError,
+  convertTools,
+  resetCircuits,
+};
@@ -16,12 +16,16 @@ const PROVIDER_DEFAULTS = {
   openai: 'gpt-4o',
   ollama: 'llama3.1',
   bedrock: 'us.anthropic.claude-sonnet-4-5-20250929-v1:0',
+  gemini: 'gemini-2.5-flash',
 };
 
+const SUPPORTED_PROVIDERS = ['anthropic', 'openai', 'ollama', 'bedrock', 'gemini', 'openai-compatible'];
+
 const PROVIDER_BASE_URLS = {
   anthropic: 'https://api.anthropic.com',
   openai: 'https://api.openai.com',
   ollama: 'http://localhost:11434',
+  gemini: 'https://generativelanguage.googleapis.com',
 };
 
 /**
@@ -77,11 +81,106 @@ function resolveLLMConfig(opts = {}) {
     getConfigValue('awsRegion') ||
     null;
 
-  return { provider, apiKey, model, baseUrl, awsAccessKeyId, awsSecretAccessKey, awsRegion };
+  // Custom auth for openai-compatible servers (e.g. Azure's "api-key" header)
+  const apiKeyHeader =
+    opts.llmApiKeyHeader ||
+    process.env.VAI_LLM_API_KEY_HEADER ||
+    getConfigValue('llmApiKeyHeader') ||
+    null;
+
+  const headers = parseHeaders(
+    opts.llmHeaders ||
+    process.env.VAI_LLM_HEADERS ||
+    getConfigValue('llmHeaders') ||
+    null
+  );
+
+  return { provider, apiKey, model, baseUrl, awsAccessKeyId, awsSecretAccessKey, awsRegion, apiKeyHeader, headers };
+}
+
+/**
+ * Parse extra request headers given as an object or a JSON object string.
+ * @param {object|string|null} value
+ * @returns {object|null}
+ */
+function parseHeaders(value) {
+  if (!value) return null;
+  if (typeof value === 'object') return value;
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch {
+    parsed = null;
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('LLM headers must be a JSON object, e.g. \'{"X-Team": "search"}\'');
+  }
+  return parsed;
+}
+
+/**
+ * Resolve the fallback chain and retry policy from CLI opts, env and config.
+ *
+ * The chain is a comma-separated list of `provider[:model]` entries
+ * ("bedrock,ollama:llama3.3"), or a JSON array whose items are such strings
+ * or objects: { provider, model, apiKey, baseUrl, apiKeyHeader, headers,
+ * retries, timeoutMs }. `opts.llmFallback === false` disables the chain.
+ *
+ * @param {object} [opts] - CLI options
+ * @returns {{ chain: Array<object>, retries: number|null, timeoutMs: number|null }}
+ */
+function resolveFallbackConfig(opts = {}) {
+  const raw = opts.llmFallback === false
+    ? null
+    : (opts.llmFallback || process.env.VAI_LLM_FALLBACK || getConfigValue('llmFallback') || null);
+
+  const number = (...values) => {
+    const value = values.find(v => v !== undefined && v !== null && v !== '');
+    if (value === undefined) return null;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0) throw new Error(`LLM retries and timeout must be non-negative integers, got "${value}"`);
+    return n;
+  };
+
+  return {
+    chain: parseFallbackChain(raw),
+    retries: number(opts.llmRetries, process.env.VAI_LLM_RETRIES, getConfigValue('llmRetries')),
+    timeoutMs: number(opts.llmTimeout, process.env.VAI_LLM_TIMEOUT, getConfigValue('llmTimeout')),
+  };
+}
+
+/**
+ * Parse a fallback chain setting into entry objects.
+ * @param {string|Array|null} value
+ * @returns {Array<{provider: string, model?: string}>}
+ */
+function parseFallbackChain(value) {
+  if (!value) return [];
+  let items = value;
+  if (typeof value === 'string') {
+    items = value.trim().startsWith('[')
+      ? JSON.parse(value)
+      : value.split(',').map(v => v.trim()).filter(Boolean);
+  }
+  if (!Array.isArray(items)) throw new Error('LLM fallback must be a list of providers, e.g. "bedrock,ollama:llama3.3"');
+
+  return items.map(item => {
+    let entry = item;
+    if (typeof item === 'string') {
+      // Split on the first colon only: model names may contain colons (llama3.3:70b)
+      const i = item.indexOf(':');
+      entry = i === -1 ? { provider: item } : { provider: item.slice(0, i), model: item.slice(i + 1) };
+    }
+    if (!entry || !SUPPORTED_PROVIDERS.includes(entry.provider)) {
+      throw new Error(`Unknown LLM fallback provider: "${entry?.provider}". Supported: ${SUPPORTED_PROVIDERS.join(', ')}`);
+    }
+    return entry;
+  });
 }
 
 /**
- * Create an LLM provider instance.
+ * Create an LLM provider instance. With a fallback chain or retry policy
+ * configured, returns a FallbackProvider wrapping every provider in order.
  * @param {object} [opts] - CLI options for overrides
  * @returns {LLMProvider}
  */
@@ -92,6 +191,49 @@ function createLLMProvider(opts = {}) {
     return null;
   }
 
+  const primary = instantiateProvider(config);
+  const fallback = resolveFallbackConfig(opts);
+  if (fallback.chain.length === 0 && fallback.retries === null && fallback.timeoutMs === null) {
+    return primary;
+  }
+
+  const entries = [{ provider: primary }];
+  for (const item of fallback.chain) {
+    // Entries for the primary's provider reuse its credentials and endpoint
+    const inherited = item.provider === config.provider
+      ? { apiKey: config.apiKey, baseUrl: config.baseUrl, apiKeyHeader: config.apiKeyHeader, headers: config.headers }
+      : {};
+    let provider;
+    try {
+      provider = instantiateProvider({
+        awsAccessKeyId: config.awsAccessKeyId,
+        awsSecretAccessKey: config.awsSecretAccessKey,
+        awsRegion: config.awsRegion,
+        ...inherited,
+        ...item,
+        model: item.model || PROVIDER_DEFAULTS[item.provider] || null,
+        baseUrl: item.baseUrl || inherited.baseUrl || PROVIDER_BASE_URLS[item.provider] || null,
+        headers: parseHeaders(item.headers || inherited.headers || null),
+      });
+    } catch (err) {
+      throw new Error(`LLM fallback "${item.provider}": ${err.message}`);
+    }
+    entries.push({ provider, retries: item.retries, timeoutMs: item.timeoutMs });
+  }
+
+  const { FallbackProvider } = require('./llm-fallback');
+  return new FallbackProvider(entries, {
+    retries: fallback.retries ?? undefined,
+    timeoutMs: fallback.timeoutMs ?? undefined,
+  });
+}
+
+/**
+ * Instantiate the provider class for a resolved config.
+ * @param {object} config - Output of resolveLLMConfig (or a fallback entry)
+ * @returns {LLMProvider}
+ */
+function instantiateProvider(config) {
   switch (config.provider) {
     case 'anthropic':
       return new AnthropicProvider(config);
@@ -101,11 +243,58 @@ function createLLMProvider(opts = {}) {
       return new OllamaProvider(config);
     case 'bedrock':
       return new BedrockProvider(config);
+    case 'gemini':
+      return new GeminiProvider(config);
+    case 'openai-compatible':
+      return new OpenAICompatibleProvider(config);
     default:
-      throw new Error(`Unknown LLM provider: "${config.provider}". Supported: anthropic, openai, ollama, bedrock`);
+      throw new Error(`Unknown LLM provider: "${config.provider}". Supported: ${SUPPORTED_PROVIDERS.join(', ')}`);
   }
 }
 
+// ============================================
+// Structured Output Helpers
+// ============================================
+
+// Tool that Anthropic-format providers are forced to call for JSON replies
+const JSON_TOOL_NAME = 'respond';
+
+/**
+ * Build the forced tool for a JSON reply. Tool inputs must be objects, so
+ * other schemas are wrapped in a `value` property.
+ * @param {object} schema - JSON Schema of the reply
+ * @returns {{tool: object, unwrap: function(object): *}}
+ */
+function jsonTool(schema) {
+  const isObject = schema.type === 'object';
+  return {
+    tool: {
+      name: JSON_TOOL_NAME,
+      description: 'Return the answer as structured data.',
+      input_schema: isObject ? schema : { type: 'object', properties: { value: schema }, required: ['value'] },
+    },
+    unwrap: input => (isObject ? input : input?.value),
+  };
+}
+
+/**
+ * Collect a non-streaming chat reply and its usage.
+ * @param {AsyncIterable<string|{__usage: object}>} chunks - What a provider's chat() yields
+ * @returns {Promise<{text: string, usage: {inputTokens: number, outputTokens: number}}>}
+ */
+async function collectChat(chunks) {
+  let text = '';
+  let usage = { inputTokens: 0, outputTokens: 0 };
+  for await (const chunk of chunks) {
+    if (chunk && typeof chunk === 'object' && chunk.__usage) {
+      usage = chunk.__usage;
+    } else {
+      text += chunk;
+    }
+  }
+  return { text, usage };
+}
+
 // ============================================
 // Anthropic Provider
 // ============================================
@@ -128,6 +317,9 @@ class AnthropicProvider {
 
   get supportsTools() { return true; }
 
+  /** Whether `generateJSON` uses a native structured-output mode. */
+  get supportsNativeJSON() { return true; }
+
   async *chat(messages, options = {}) {
     const model = options.model || this.model;
     const maxTokens = options.maxTokens || 4096;
@@ -210,6 +402,9 @@ class AnthropicProvider {
     if (systemMsg) {
       body.system = systemMsg.content;
     }
+    if (options.toolChoice) {
+      body.tool_choice = options.toolChoice;
+    }
 
     const res = await fetch(`${this.baseUrl}/v1/messages`, {
       method: 'POST',
@@ -257,6 +452,27 @@ class AnthropicProvider {
     };
   }
 
+  /**
+   * Request a JSON reply conforming to `schema`, by forcing a call to a
+   * tool whose input is the reply.
+   * @param {Array} messages - Conversation messages
+   * @param {object} schema - JSON Schema of the reply
+   * @param {object} [options]
+   * @returns {Promise<{text: string, usage: object}>}
+   */
+  async generateJSON(messages, schema, options = {}) {
+    const { tool, unwrap } = jsonTool(schema);
+    const response = await this.chatWithTools(messages, [tool], {
+      ...options,
+      toolChoice: { type: 'tool', name: JSON_TOOL_NAME },
+    });
+    const call = response.calls?.find(c => c.name === JSON_TOOL_NAME);
+    return {
+      text: call ? JSON.stringify(unwrap(call.arguments)) : (response.content || ''),
+      usage: response.usage,
+    };
+  }
+
   /**
    * Format a tool-calling response as an assistant message.
    * @param {object} response - Response from chatWithTools
@@ -569,6 +785,28 @@ class OpenAIProvider {
 
   get supportsTools() { return true; }
 
+  /** Whether `generateJSON` uses a native structured-output mode. */
+  get supportsNativeJSON() { return true; }
+
+  /** Label used in error messages. */
+  get _label() { return 'OpenAI'; }
+
+  /**
+   * Full URL of an API endpoint.
+   * @param {string} endpoint - e.g. 'chat/completions'
+   */
+  _url(endpoint) {
+    return `${this.baseUrl}/v1/${endpoint}`;
+  }
+
+  /** Request headers, including auth. */
+  _headers() {
+    return {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${this.apiKey}`,
+    };
+  }
+
   async *chat(messages, options = {}) {
     const model = options.model || this.model;
     const maxTokens = options.maxTokens || 4096;
@@ -580,24 +818,24 @@ class OpenAIProvider {
       stream,
       messages,
     };
+    if (options.responseFormat) {
+      body.response_format = options.responseFormat;
+    }
 
     // Request usage data in streaming mode
     if (stream) {
       body.stream_options = { include_usage: true };
     }
 
-    const res = await fetch(`${this.baseUrl}/v1/chat/completions`, {
+    const res = await fetch(this._url('chat/completions'), {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.apiKey}`,
-      },
+      headers: this._headers(),
       body: JSON.stringify(body),
     });
 
     if (!res.ok) {
       const errBody = await res.text();
-      throw new Error(`OpenAI API error (${res.status}): ${errBody}`);
+      throw new Error(`${this._label} API error (${res.status}): ${errBody}`);
     }
 
     if (!stream) {
@@ -625,6 +863,21 @@ class OpenAIProvider {
     yield { __usage: usage };
   }
 
+  /**
+   * Request a JSON reply conforming to `schema` (structured outputs).
+   * @param {Array} messages - Conversation messages
+   * @param {object} schema - JSON Schema of the reply
+   * @param {object} [options]
+   * @returns {Promise<{text: string, usage: object}>}
+   */
+  async generateJSON(messages, schema, options = {}) {
+    return collectChat(this.chat(messages, {
+      ...options,
+      stream: false,
+      responseFormat: { type: 'json_schema', json_schema: { name: 'response', schema, strict: false } },
+    }));
+  }
+
   /**
    * Non-streaming tool-calling request (OpenAI format).
    * @param {Array} messages - Conversation messages
@@ -644,18 +897,15 @@ class OpenAIProvider {
       tools,
     };
 
-    const res = await fetch(`${this.baseUrl}/v1/chat/completions`, {
+    const res = await fetch(this._url('chat/completions'), {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.apiKey}`,
-      },
+      headers: this._headers(),
       body: JSON.stringify(body),
     });
 
     if (!res.ok) {
       const errBody = await res.text();
-      throw new Error(`OpenAI API error (${res.status}): ${errBody}`);
+      throw new Error(`${this._label} API error (${res.status}): ${errBody}`);
     }
 
     const json = await res.json();
@@ -728,8 +978,8 @@ class OpenAIProvider {
 
   async ping() {
     try {
-      const res = await fetch(`${this.baseUrl}/v1/models`, {
-        headers: { 'Authorization': `Bearer ${this.apiKey}` },
+      const res = await fetch(this._url('models'), {
+        headers: this._headers(),
       });
       if (res.ok) {
         return { ok: true, model: this.model };
@@ -741,6 +991,372 @@ class OpenAIProvider {
   }
 }
 
+// ============================================
+// OpenAI-Compatible Provider (vLLM, LM Studio, llama.cpp, Azure OpenAI)
+// ============================================
+
+class OpenAICompatibleProvider extends OpenAIProvider {
+  /**
+   * `baseUrl` is the API root including any version segment
+   * (http://localhost:8000/v1), or a deployment URL with a `{model}`
+   * placeholder and query string, e.g.
+   * https://NAME.openai.azure.com/openai/deployments/{model}?api-version=2024-10-21
+   */
+  constructor(config) {
+    if (!config.baseUrl) {
+      throw new Error(
+        'Base URL required for openai-compatible.\n' +
+        '  vai config set llm-base-url http://localhost:8000/v1\n' +
+        '  or: export VAI_LLM_BASE_URL=http://localhost:8000/v1'
+      );
+    }
+    if (!config.model) {
+      throw new Error(
+        'Model required for openai-compatible (the served model or deployment name).\n' +
+        '  vai config set llm-model MODEL_NAME\n' +
+        '  or: export VAI_LLM_MODEL=MODEL_NAME'
+      );
+    }
+    // Local servers usually need no key; skip OpenAIProvider's check
+    super({ ...config, apiKey: config.apiKey || 'none' });
+    this.name = 'openai-compatible';
+    this.apiKey = config.apiKey || null;
+    this.apiKeyHeader = config.apiKeyHeader || 'Authorization';
+    this.extraHeaders = config.headers || {};
+  }
+
+  get _label() { return 'OpenAI-compatible'; }
+
+  // Servers behind llm-base-url may reject `response_format`; structured
+  // replies go through the prompt instead
+  get supportsNativeJSON() { return false; }
+
+  _url(endpoint) {
+    const url = new URL(this.baseUrl.replace('{model}', encodeURIComponent(this.model)));
+    const pathname = url.pathname.replace(/\/+$/, '');
+    if (!pathname.endsWith(`/${endpoint}`)) {
+      url.pathname = `${pathname.replace(/\/chat\/completions$/, '')}/${endpoint}`;
+    }
+    return url.toString();
+  }
+
+  _headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers[this.apiKeyHeader] = this.apiKeyHeader.toLowerCase() === 'authorization'
+        ? `Bearer ${this.apiKey}`
+        : this.apiKey;
+    }
+    return { ...headers, ...this.extraHeaders };
+  }
+
+  async ping() {
+    // Deployment URLs have no /models listing: send a one-token completion
+    try {
+      const res = await fetch(this._url('chat/completions'), {
+        method: 'POST',
+        headers: this._headers(),
+        body: JSON.stringify({ model: this.model, max_tokens: 1, messages: [{ role: 'user', content: 'hi' }] }),
+      });
+      if (res.ok) {
+        return { ok: true, model: this.model };
+      }
+      const errBody = await res.text();
+      return { ok: false, model: this.model, error: `HTTP ${res.status}: ${errBody.substring(0, 200)}` };
+    } catch (err) {
+      return { ok: false, model: this.model, error: err.message };
+    }
+  }
+}
+
+// ============================================
+// Google Gemini Provider
+// ============================================
+
+// JSON Schema keys the Gemini API accepts in function declarations
+const GEMINI_SCHEMA_KEYS = new Set([
+  'type', 'format', 'description', 'nullable', 'enum', 'items', 'properties', 'required',
+  'minItems', 'maxItems', 'minimum', 'maximum', 'minLength', 'maxLength', 'pattern',
+]);
+
+/**
+ * Reduce a JSON Schema to the subset Gemini accepts. Optional free-form
+ * objects (no declared properties) are dropped: Gemini rejects them.
+ * @param {object} schema
+ * @returns {object}
+ */
+function toGeminiSchema(schema) {
+  const out = {};
+  for (const [key, value] of Object.entries(schema || {})) {
+    if (!GEMINI_SCHEMA_KEYS.has(key)) continue;
+    if (key === 'items') {
+      out.items = toGeminiSchema(value);
+    } else if (key === 'properties') {
+      out.properties = {};
+      for (const [name, prop] of Object.entries(value)) {
+        const freeForm = prop.type === 'object' && !prop.properties;
+        if (freeForm && !(schema.required || []).includes(name)) continue;
+        out.properties[name] = toGeminiSchema(prop);
+      }
+    } else {
+      out[key] = value;
+    }
+  }
+  if (out.required && out.properties) {
+    out.required = out.required.filter(name => name in out.properties);
+  }
+  return out;
+}
+
+/**
+ * Convert chat messages to a Gemini request: system prompt, contents and
+ * tool-calling turns. Consecutive messages with the same role are merged,
+ * since Gemini expects user and model turns to alternate.
+ * @param {Array} messages
+ * @returns {{ systemInstruction?: object, contents: Array }}
+ */
+function toGeminiContents(messages) {
+  const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+  const callNames = new Map();
+  const contents = [];
+
+  for (const m of messages) {
+    if (m.role === 'system') continue;
+    let role;
+    let parts;
+    if (m.role === 'tool') {
+      // Gemini matches results to calls by function name
+      role = 'user';
+      const name = callNames.get(m.tool_call_id) || m.tool_call_id;
+      const response = m.isError ? { error: m.content } : { content: m.content };
+      parts = [{ functionResponse: { id: m.tool_call_id, name, response } }];
+    } else {
+      role = m.role === 'assistant' ? 'model' : 'user';
+      parts = m.parts || (m.content ? [{ text: m.content }] : []);
+      if (parts.length === 0) continue;
+      for (const p of parts) {
+        if (p.functionCall?.id) callNames.set(p.functionCall.id, p.functionCall.name);
+      }
+    }
+
+    const last = contents[contents.length - 1];
+    if (last && last.role === role) {
+      last.parts.push(...parts);
+    } else {
+      contents.push({ role, parts: [...parts] });
+    }
+  }
+
+  return {
+    ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+    contents,
+  };
+}
+
+/**
+ * Read token usage from a Gemini response.
+ * @param {object} json
+ * @returns {{ inputTokens: number, outputTokens: number }}
+ */
+function geminiUsage(json) {
+  const meta = json.usageMetadata || {};
+  return { inputTokens: meta.promptTokenCount || 0, outputTokens: meta.candidatesTokenCount || 0 };
+}
+
+class GeminiProvider {
+  constructor(config) {
+    this.name = 'gemini';
+    this.model = config.model || PROVIDER_DEFAULTS.gemini;
+    this.apiKey = config.apiKey;
+    this.baseUrl = config.baseUrl || PROVIDER_BASE_URLS.gemini;
+
+    if (!this.apiKey) {
+      throw new Error(
+        'Gemini API key required.\n' +
+        '  vai config set llm-api-key YOUR_KEY\n' +
+        '  or: export VAI_LLM_API_KEY=YOUR_KEY'
+      );
+    }
+  }
+
+  get supportsTools() { return true; }
+
+  _url(model, method) {
+    return `${this.baseUrl}/v1beta/models/${encodeURIComponent(model)}:${method}`;
+  }
+
+  _headers() {
+    return {
+      'Content-Type': 'application/json',
+      'x-goog-api-key': this.apiKey,
+    };
+  }
+
+  async *chat(messages, options = {}) {
+    const model = options.model || this.model;
+    const maxTokens = options.maxTokens || 4096;
+    const stream = options.stream !== false;
+
+    const body = {
+      ...toGeminiContents(messages),
+      generationConfig: { maxOutputTokens: maxTokens },
+    };
+
+    const url = stream
+      ? `${this._url(model, 'streamGenerateContent')}?alt=sse`
+      : this._url(model, 'generateContent');
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: this._headers(),
+      body: JSON.stringify(body),
+    });
+
+    if (!res.ok) {
+      const errBody = await res.text();
+      throw new Error(`Gemini API error (${res.status}): ${errBody}`);
+    }
+
+    if (!stream) {
+      const json = await res.json();
+      const parts = json.candidates?.[0]?.content?.parts || [];
+      yield parts.map(p => p.text || '').join('');
+      yield { __usage: geminiUsage(json) };
+      return;
+    }
+
+    // Each SSE event is a partial response; usage is cumulative
+    let usage = { inputTokens: 0, outputTokens: 0 };
+    for await (const chunk of parseSSEWithMeta(res.body)) {
+      const data = chunk.__data;
+      if (!data || typeof data !== 'object') continue;
+      if (data.usageMetadata) usage = geminiUsage(data);
+      for (const part of data.candidates?.[0]?.content?.parts || []) {
+        if (part.text) yield part.text;
+      }
+    }
+    yield { __usage: usage };
+  }
+
+  /**
+   * Non-streaming tool-calling request.
+   * @param {Array} messages - Conversation messages
+   * @param {Array} tools - Tool definitions in OpenAI format (converted here)
+   * @param {object} [options]
+   * @returns {Promise<{type: 'text'|'tool_calls', content?: string, calls?: Array, stopReason: string, usage: object}>}
+   */
+  async chatWithTools(messages, tools, options = {}) {
+    const model = options.model || this.model;
+    const maxTokens = options.maxTokens || 4096;
+
+    const functionDeclarations = tools.map(t => {
+      const fn = t.function || t;
+      return {
+        name: fn.name,
+        description: fn.description,
+        parameters: toGeminiSchema(fn.parameters || fn.input_schema),
+      };
+    });
+
+    const body = {
+      ...toGeminiContents(messages),
+      tools: [{ functionDeclarations }],
+      generationConfig: { maxOutputTokens: maxTokens },
+    };
+
+    const res = await fetch(this._url(model, 'generateContent'), {
+      method: 'POST',
+      headers: this._headers(),
+      body: JSON.stringify(body),
+    });
+
+    if (!res.ok) {
+      const errBody = await res.text();
+      throw new Error(`Gemini API error (${res.status}): ${errBody}`);
+    }
+
+    const json = await res.json();
+    const candidate = json.candidates?.[0] || {};
+    const parts = candidate.content?.parts || [];
+    const stopReason = candidate.finishReason || 'STOP';
+    const usage = geminiUsage(json);
+
+    const calls = parts.filter(p => p.functionCall);
+    if (calls.length > 0) {
+      // Older models omit call IDs; generate them so results can be matched
+      const raw = parts.map((p, i) => (p.functionCall && !p.functionCall.id
+        ? { ...p, functionCall: { ...p.functionCall, id: `call_${Date.now()}_${i}` } }
+        : p));
+      return {
+        type: 'tool_calls',
+        calls: raw.filter(p => p.functionCall).map(p => ({
+          id: p.functionCall.id,
+          name: p.functionCall.name,
+          arguments: p.functionCall.args || {},
+        })),
+        stopReason,
+        usage,
+        _raw: raw,
+      };
+    }
+
+    return {
+      type: 'text',
+      content: parts.map(p => p.text || '').join(''),
+      stopReason,
+      usage,
+    };
+  }
+
+  /**
+   * Format a tool-calling response as an assistant message.
+   * @param {object} response - Response from chatWithTools
+   * @returns {{role: string, parts: Array}}
+   */
+  formatAssistantToolCall(response) {
+    if (response._raw) {
+      return { role: 'assistant', parts: response._raw };
+    }
+    return {
+      role: 'assistant',
+      parts: response.calls.map(c => ({
+        functionCall: { id: c.id, name: c.name, args: c.arguments },
+      })),
+    };
+  }
+
+  /**
+   * Format a tool result as a tool message (converted to a
+   * functionResponse part when the request is built).
+   * @param {string} callId - Tool call ID
+   * @param {string} content - Stringified result
+   * @param {boolean} [isError=false]
+   * @returns {{role: string, tool_call_id: string, content: string, isError?: boolean}}
+   */
+  formatToolResult(callId, content, isError = false) {
+    return {
+      role: 'tool',
+      tool_call_id: callId,
+      content,
+      ...(isError && { isError: true }),
+    };
+  }
+
+  async ping() {
+    try {
+      const res = await fetch(`${this.baseUrl}/v1beta/models/${encodeURIComponent(this.model)}`, {
+        headers: this._headers(),
+      });
+      if (res.ok) {
+        return { ok: true, model: this.model };
+      }
+      const errBody = await res.text();
+      return { ok: false, model: this.model, error: `HTTP ${res.status}: ${errBody.substring(0, 200)}` };
+    } catch (err) {
+      return { ok: false, model: this.model, error: err.message };
+    }
+  }
+}
+
 // ============================================
 // Ollama Provider
 // ============================================
@@ -754,6 +1370,9 @@ class OllamaProvider {
 
   get supportsTools() { return true; }
 
+  /** Whether `generateJSON` uses a native structured-output mode. */
+  get supportsNativeJSON() { return true; }
+
   async *chat(messages, options = {}) {
     const model = options.model || this.model;
     const stream = options.stream !== false;
@@ -763,6 +1382,9 @@ class OllamaProvider {
       stream,
       messages,
     };
+    if (options.responseFormat) {
+      body.response_format = options.responseFormat;
+    }
 
     const res = await fetch(`${this.baseUrl}/v1/chat/completions`, {
       method: 'POST',
@@ -800,6 +1422,21 @@ class OllamaProvider {
     yield { __usage: usage };
   }
 
+  /**
+   * Request a JSON reply conforming to `schema` (structured outputs).
+   * @param {Array} messages - Conversation messages
+   * @param {object} schema - JSON Schema of the reply
+   * @param {object} [options]
+   * @returns {Promise<{text: string, usage: object}>}
+   */
+  async generateJSON(messages, schema, options = {}) {
+    return collectChat(this.chat(messages, {
+      ...options,
+      stream: false,
+      responseFormat: { type: 'json_schema', json_schema: { name: 'response', schema } },
+    }));
+  }
+
   /**
    * Non-streaming tool-calling request (OpenAI-compatible format).
    * @param {Array} messages - Conversation messages
@@ -1062,26 +1699,71 @@ const PROVIDER_MODELS = {
     { id: 'us.anthropic.claude-sonnet-4-5-20250929-v1:0', name: 'Claude Sonnet 4.5', context: '200K' },
     { id: 'us.anthropic.claude-haiku-4-5-20251001-v1:0', name: 'Claude Haiku 4.5', context: '200K' },
   ],
+  gemini: [
+    { id: 'gemini-2.5-flash', name: 'Gemini 2.5 Flash', context: '1M' },
+    { id: 'gemini-2.5-pro', name: 'Gemini 2.5 Pro', context: '1M' },
+    { id: 'gemini-2.5-flash-lite', name: 'Gemini 2.5 Flash-Lite', context: '1M' },
+    { id: 'gemini-2.0-flash', name: 'Gemini 2.0 Flash', context: '1M' },
+  ],
 };
 
 /**
  * List available models for a provider.
  * - For Ollama: queries the local API for installed models
+ * - For openai-compatible: queries the server's /models endpoint
  * - For cloud providers: returns the curated list
  *
- * @param {string} provider - 'anthropic' | 'openai' | 'ollama'
+ * @param {string} provider - One of SUPPORTED_PROVIDERS
  * @param {object} [opts]
- * @param {string} [opts.baseUrl] - Ollama base URL override
- * @param {number} [opts.timeoutMs] - Timeout for Ollama discovery (default 3000)
+ * @param {string} [opts.baseUrl] - Ollama or openai-compatible base URL override
+ * @param {string} [opts.apiKey] - openai-compatible API key override
+ * @param {string} [opts.apiKeyHeader] - openai-compatible API key header override
+ * @param {number} [opts.timeoutMs] - Timeout for discovery (default 3000)
  * @returns {Promise<Array<{id: string, name: string, size?: string, context?: string}>>}
  */
 async function listModels(provider, opts = {}) {
   if (provider === 'ollama') {
     return listOllamaModels(opts);
   }
+  if (provider === 'openai-compatible') {
+    return listCompatibleModels(opts);
+  }
   return PROVIDER_MODELS[provider] || [];
 }
 
+/**
+ * Query an openai-compatible server for the models it serves. Servers
+ * without a /models endpoint (e.g. Azure deployment URLs) yield [].
+ * @param {object} [opts]
+ * @returns {Promise<Array<{id: string, name: string}>>}
+ */
+async function listCompatibleModels(opts = {}) {
+  const timeoutMs = opts.timeoutMs || 3000;
+  try {
+    const config = resolveLLMConfig({
+      llmProvider: 'openai-compatible',
+      llmBaseUrl: opts.baseUrl,
+      llmApiKey: opts.apiKey,
+      llmApiKeyHeader: opts.apiKeyHeader,
+    });
+    const provider = new OpenAICompatibleProvider({ ...config, model: config.model || 'default' });
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const res = await fetch(provider._url('models'), {
+      headers: provider._headers(),
+      signal: controller.signal,
+    });
+    clearTimeout(timer);
+
+    if (!res.ok) return [];
+    const data = await res.json();
+    return (data.data || []).map(m => ({ id: m.id, name: m.id }));
+  } catch {
+    return []; // No base URL, server unreachable or no /models endpoint
+  }
+}
+
 /**
  * Query Ollama for locally installed models.
  * @param {object} [opts]
@@ -1135,9 +1817,15 @@ function formatBytes(bytes) {
 
 module.exports = {
   createLLMProvider,
+  collectChat,
   resolveLLMConfig,
+  resolveFallbackConfig,
+  parseFallbackChain,
   listModels,
   listOllamaModels,
+  toGeminiSchema,
+  toGeminiContents,
+  SUPPORTED_PROVIDERS,
   PROVIDER_DEFAULTS,
   PROVIDER_BASE_URLS,
   PROVIDER_MODELS,
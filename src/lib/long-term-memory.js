@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * Long-Term Memory
+ *
+ * Curated facts about the user that outlive a session: preferences,
+ * project names, decisions. At the end of a chat session the LLM picks
+ * out the facts worth keeping; they are stored in MemoryStore and the
+ * ones relevant to each new message are added to the prompt (see
+ * MemoryManager.recallMemories). Users review them with /remember,
+ * /forget and `vai memory list|delete`.
+ *
+ * This differs from cross-session recall, which brings back summaries of
+ * whole past conversations.
+ */
+
+const { MEMORY_KINDS } = require('./memory-store');
+
+const MAX_EXTRACTED = 5;
+
+const EXTRACTION_PROMPT = `You maintain a long-term memory of stable facts about the user for future conversations.
+
+From the conversation below, pick out at most ${MAX_EXTRACTED} facts worth remembering:
+- preference: how the user likes things done (languages, tools, answer style)
+- project: names and details of what they are working on
+- decision: choices they made that later answers should respect
+- fact: other durable facts about the user or their environment
+
+Write each as one self-contained sentence ("The user ..."). Skip small talk, questions they asked, anything only relevant to this conversation, secrets such as API keys or passwords, and facts already in the known list. Set expiresInDays only for facts that will go stale (a deadline, a temporary setup). Return an empty list when nothing qualifies.`;
+
+const EXTRACTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    memories: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          text: { type: 'string' },
+          kind: { type: 'string', enum: MEMORY_KINDS },
+          expiresInDays: { type: 'integer', minimum: 1 },
+        },
+        required: ['text', 'kind'],
+      },
+    },
+  },
+  required: ['memories'],
+};
+
+/**
+ * Ask the LLM for facts worth remembering from a conversation.
+ *
+ * @param {object} params
+ * @param {Array<{role: string, content: string}>} params.turns - Conversation turns
+ * @param {object} params.llm - LLM provider
+ * @param {string[]} [params.known] - Memories already stored, so they are not repeated
+ * @returns {Promise<Array<{text: string, kind: string, expiresInDays?: number}>>}
+ * @throws {Error} when the LLM call fails or returns no valid reply
+ */
+async function extractMemories({ turns, llm, known = [] }) {
+  const { generateStructured } = require('./structured-output');
+
+  const transcript = turns
+    .filter(t => t.role === 'user' || t.role === 'assistant')
+    .map(t => `${t.role === 'user' ? 'User' : 'Assistant'}: ${t.content}`)
+    .join('\n');
+  const knownList = known.length > 0 ? known.map(k => `- ${k}`).join('\n') : '(none)';
+
+  const { data } = await generateStructured({
+    llm,
+    schema: EXTRACTION_SCHEMA,
+    messages: [
+      { role: 'system', content: EXTRACTION_PROMPT },
+      { role: 'user', content: `Known facts:\n${knownList}\n\nConversation:\n${transcript}` },
+    ],
+  });
+
+  return data.memories
+    .filter(m => m.text && m.text.trim())
+    .slice(0, MAX_EXTRACTED);
+}
+
+/**
+ * Extract memories from a finished session and store them.
+ *
+ * @param {object} params
+ * @param {Array<{role: string, content: string}>} params.turns - The session's turns
+ * @param {object} params.llm - LLM provider
+ * @param {import('./memory-store').MemoryStore} params.store
+ * @param {string} [params.sessionId] - Recorded as the memories' provenance
+ * @returns {Promise<Array<object>>} The newly stored memories
+ */
+async function rememberSession({ turns, llm, store, sessionId }) {
+  if (!turns.some(t => t.role === 'user')) return [];
+
+  let known = [];
+  try {
+    known = (await store.list({ limit: 50 })).map(m => m.text);
+  } catch {
+    // Extraction still works without the known list; duplicates are merged on write
+  }
+
+  const extracted = await extractMemories({ turns, llm, known });
+  const saved = [];
+  for (const m of extracted) {
+    const expiresAt = m.expiresInDays ? new Date(Date.now() + m.expiresInDays * 86400000) : null;
+    const result = await store.remember({ text: m.text, kind: m.kind, source: 'extracted', sessionId, expiresAt });
+    if (result?.created) saved.push(result.memory);
+  }
+  return saved;
+}
+
+/**
+ * Format recalled memories as a system message for the prompt.
+ * @param {Array<{text: string, kind: string}>} memories
+ * @returns {{role: 'system', content: string}|null}
+ */
+function formatMemories(memories) {
+  if (!memories || memories.length === 0) return null;
+  const lines = memories.map(m => `- ${m.text}`);
+  return {
+    role: 'system',
+    content: `--- Remembered About the User ---\n${lines.join('\n')}\n--- End Remembered ---`,
+  };
+}
+
+module.exports = { extractMemories, rememberSession, formatMemories, EXTRACTION_SCHEMA };
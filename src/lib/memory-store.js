@@ -0,0 +1,314 @@
+'use strict';
+
+const crypto = require('crypto');
+const { getMongoCollection } = require('./mongo');
+
+const MEMORY_KINDS = ['preference', 'project', 'decision', 'fact'];
+
+/**
+ * Normalize memory text for duplicate detection.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeMemoryText(text) {
+  return String(text).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * The later of two expiries, where null (never expires) is latest.
+ * @param {Date|null} a
+ * @param {Date|null} b
+ * @returns {Date|null}
+ */
+function laterExpiry(a, b) {
+  if (a === null || b === null) return null;
+  return new Date(a) > new Date(b) ? a : b;
+}
+
+// ── MemoryStore class ───────────────────────────────────────────────────
+
+/**
+ * MemoryStore keeps curated long-term facts about the user (preferences,
+ * project names, decisions) in the vai_memories collection.
+ *
+ * Each memory is embedded so the ones relevant to the current message can
+ * be recalled with Atlas Vector Search. Like cross-session recall, stored
+ * memories are embedded with voyage-4-large and queries with voyage-4-lite
+ * (same embedding space). Memories with an `expiresAt` date are removed by
+ * a TTL index once it passes.
+ */
+class MemoryStore {
+  /**
+   * @param {object} opts
+   * @param {string} opts.db - Database name
+   * @param {Function} [opts.embedFn] - Embedding function (texts, opts) => { data: [{ embedding }] }
+   * @param {number} [opts.topK=5] - Max memories returned by recall()
+   * @param {number} [opts.minScore=0.7] - Min vector search score for a recalled memory
+   */
+  constructor({ db, embedFn, topK = 5, minScore = 0.7 } = {}) {
+    this._db = db;
+    this._embedFn = embedFn || ((...args) => require('./api').generateEmbeddings(...args));
+    this._topK = topK;
+    this._minScore = minScore;
+    this._col = null;
+    this._client = null;
+    this._connected = false;
+    this._connectError = null;
+    this._indexesEnsured = false;
+    this._vectorIndexEnsured = false;
+  }
+
+  // ── Connection ──────────────────────────────────────────────────────
+
+  /**
+   * Lazily connect to MongoDB. On failure, returns false.
+   * @returns {Promise<boolean>}
+   */
+  async _connect() {
+    if (this._connected) return true;
+    try {
+      const { client, collection } = await getMongoCollection(this._db, 'vai_memories');
+      this._client = client;
+      this._col = collection;
+      this._connected = true;
+      this._connectError = null;
+      await this.ensureIndexes();
+      return true;
+    } catch (err) {
+      this._connectError = err;
+      return false;
+    }
+  }
+
+  /**
+   * Connect or throw, for operations the user asked for explicitly.
+   */
+  async _requireConnection() {
+    if (await this._connect()) return;
+    throw new Error(`MongoDB unavailable: ${this._connectError?.message || 'connection failed'}`);
+  }
+
+  /**
+   * Ensure the duplicate-detection and expiry indexes exist.
+   * Idempotent -- only runs once. Failures are non-fatal.
+   */
+  async ensureIndexes() {
+    if (this._indexesEnsured) return;
+    try {
+      await this._col.createIndex({ normalized: 1 }, { unique: true });
+      await this._col.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    } catch {
+      // Index creation failure is non-fatal
+    }
+    this._indexesEnsured = true;
+  }
+
+  /**
+   * Create the vector search index on first write. Non-fatal: the index
+   * may already exist, or the deployment may not support search indexes.
+   * @param {number} dimensions
+   */
+  async _ensureVectorIndex(dimensions) {
+    if (this._vectorIndexEnsured) return;
+    this._vectorIndexEnsured = true;
+    try {
+      const indexes = await this._col.listSearchIndexes().toArray();
+      if (indexes.some(idx => idx.name === 'vector_index')) return;
+      await this._col.createSearchIndex({
+        name: 'vector_index',
+        type: 'vectorSearch',
+        definition: {
+          fields: [{ type: 'vector', path: 'embedding', numDimensions: dimensions, similarity: 'cosine' }],
+        },
+      });
+    } catch {
+      // Search indexes unavailable (e.g. non-Atlas deployment)
+    }
+  }
+
+  // ── CRUD ────────────────────────────────────────────────────────────
+
+  /**
+   * Store a memory. Remembering a fact that is already stored (ignoring
+   * case and whitespace) refreshes it instead of adding a copy: it keeps the
+   * longer of the two lifetimes (no expiry beats any date), and a manual
+   * memory stays manual.
+   *
+   * @param {object} opts
+   * @param {string} opts.text - The fact, as one self-contained sentence
+   * @param {string} [opts.kind='fact'] - One of MEMORY_KINDS
+   * @param {'manual'|'extracted'} [opts.source='manual'] - How the memory was created
+   * @param {string} [opts.sessionId] - Session the memory came from
+   * @param {Date|null} [opts.expiresAt=null] - When to forget it; null keeps it
+   * @returns {Promise<{memory: object, created: boolean}|null>} null when the
+   *   store is unavailable or embedding fails
+   */
+  async remember({ text, kind = 'fact', source = 'manual', sessionId = null, expiresAt = null }) {
+    if (!(await this._connect())) return null;
+
+    const normalized = normalizeMemoryText(text);
+    if (!normalized) return null;
+    if (!MEMORY_KINDS.includes(kind)) kind = 'fact';
+
+    try {
+      const now = new Date();
+      const existing = await this._col.findOne({ normalized }, { projection: { embedding: 0 } });
+      if (existing) {
+        const update = {
+          expiresAt: laterExpiry(existing.expiresAt ?? null, expiresAt),
+          source: existing.source === 'manual' ? 'manual' : source,
+          updatedAt: now,
+        };
+        await this._col.updateOne({ _id: existing._id }, { $set: update });
+        return { memory: { ...existing, ...update }, created: false };
+      }
+
+      const embedResult = await this._embedFn([text.trim()], {
+        model: 'voyage-4-large',
+        inputType: 'document',
+      });
+      const embedding = embedResult.data[0].embedding;
+
+      const doc = {
+        _id: crypto.randomUUID(),
+        text: text.trim(),
+        normalized,
+        kind,
+        source,
+        sessionId,
+        embedding,
+        expiresAt,
+        createdAt: now,
+        updatedAt: now,
+      };
+      await this._col.insertOne(doc);
+      await this._ensureVectorIndex(embedding.length);
+
+      const { embedding: _, ...memory } = doc;
+      return { memory, created: true };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * List stored memories, newest first. Expired memories the TTL monitor
+   * has not removed yet are left out.
+   * @param {object} [opts]
+   * @param {number} [opts.limit=100]
+   * @returns {Promise<Array<object>>} Memories without their embeddings
+   * @throws {Error} when MongoDB is unavailable
+   */
+  async list({ limit = 100 } = {}) {
+    await this._requireConnection();
+    return this._col
+      .find(notExpired(), { projection: { embedding: 0, normalized: 0 } })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .toArray();
+  }
+
+  /**
+   * Delete a memory by ID or unique ID prefix (as shown by `vai memory list`).
+   * @param {string} id
+   * @returns {Promise<object|null>} The deleted memory, or null if none matched
+   * @throws {Error} when the prefix matches several memories, or MongoDB is unavailable
+   */
+  async delete(id) {
+    await this._requireConnection();
+    const prefix = String(id).trim();
+    if (!prefix) return null;
+
+    const escaped = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const matches = await this._col
+      .find({ _id: { $regex: `^${escaped}` } }, { projection: { embedding: 0, normalized: 0 } })
+      .limit(2)
+      .toArray();
+    if (matches.length === 0) return null;
+    if (matches.length > 1) throw new Error(`Memory ID "${prefix}" is ambiguous; use more characters`);
+
+    await this._col.deleteOne({ _id: matches[0]._id });
+    return matches[0];
+  }
+
+  /**
+   * Delete every memory whose text contains a phrase (case-insensitive).
+   * @param {string} phrase
+   * @returns {Promise<Array<object>>} The deleted memories
+   * @throws {Error} when MongoDB is unavailable
+   */
+  async forget(phrase) {
+    await this._requireConnection();
+    const needle = normalizeMemoryText(phrase);
+    if (!needle) return [];
+
+    const escaped = needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const matches = await this._col
+      .find({ normalized: { $regex: escaped } }, { projection: { embedding: 0, normalized: 0 } })
+      .toArray();
+    if (matches.length > 0) {
+      await this._col.deleteMany({ _id: { $in: matches.map(m => m._id) } });
+    }
+    return matches;
+  }
+
+  /**
+   * Recall the memories most relevant to a message.
+   * @param {string} query - The current user message
+   * @param {object} [opts]
+   * @param {number} [opts.topK] - Defaults to the constructor's topK
+   * @returns {Promise<Array<{id: string, text: string, kind: string, score: number}>>}
+   *   Most relevant first, or an empty array on failure
+   */
+  async recall(query, { topK = this._topK } = {}) {
+    try {
+      if (!query || !(await this._connect())) return [];
+
+      const embeddingResult = await this._embedFn([query], {
+        model: 'voyage-4-lite',
+        inputType: 'query',
+      });
+      const queryVector = embeddingResult.data[0].embedding;
+
+      const results = await this._col.aggregate([
+        {
+          $vectorSearch: {
+            index: 'vector_index',
+            path: 'embedding',
+            queryVector,
+            numCandidates: topK * 10,
+            limit: topK,
+          },
+        },
+        { $addFields: { score: { $meta: 'vectorSearchScore' } } },
+        { $match: notExpired() },
+      ]).toArray();
+
+      return results
+        .filter(r => r.score >= this._minScore)
+        .map(r => ({ id: r._id, text: r.text, kind: r.kind, score: r.score }));
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Close the MongoDB client if connected.
+   */
+  async close() {
+    if (this._client) {
+      await this._client.close();
+      this._client = null;
+      this._col = null;
+      this._connected = false;
+    }
+  }
+}
+
+function notExpired() {
+  return { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] };
+}
+
+// ── Exports ─────────────────────────────────────────────────────────────
+
+module.exports = { MemoryStore, MEMORY_KINDS, normalizeMemoryText };
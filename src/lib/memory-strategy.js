@@ -54,8 +54,9 @@ class MemoryManager {
    * @param {object} [options]
    * @param {Record<string, {select: Function}>} [options.strategies] - Strategy map
    * @param {string} [options.defaultStrategy='sliding_window'] - Default strategy name
+   * @param {{recall: Function}} [options.memories] - MemoryStore for long-term memories
    */
-  constructor({ strategies = {}, defaultStrategy = 'sliding_window', llm, recall, currentSessionId, query } = {}) {
+  constructor({ strategies = {}, defaultStrategy = 'sliding_window', llm, recall, currentSessionId, query, memories } = {}) {
     this._strategies = new Map();
     this._defaultStrategy = defaultStrategy;
     this._extraOpts = {};
@@ -64,6 +65,7 @@ class MemoryManager {
     if (recall) this._extraOpts.recall = recall;
     if (currentSessionId) this._extraOpts.currentSessionId = currentSessionId;
     if (query) this._extraOpts.query = query;
+    this._memories = memories || null;
 
     // Register built-in strategy
     this._strategies.set('sliding_window', SlidingWindowStrategy);
@@ -110,6 +112,31 @@ class MemoryManager {
     return result;
   }
 
+  /**
+   * Use a MemoryStore for long-term memories, or null to stop recalling them.
+   * @param {{recall: Function}|null} memories
+   */
+  setMemoryStore(memories) {
+    this._memories = memories || null;
+  }
+
+  /**
+   * Recall long-term memories relevant to a message, independent of the
+   * history strategy.
+   * @param {string} query - The current user message
+   * @returns {Promise<{role: 'system', content: string}|null>} A system
+   *   message listing the memories, or null when there are none
+   */
+  async recallMemories(query) {
+    if (!this._memories || !query) return null;
+    try {
+      const { formatMemories } = require('./long-term-memory.js');
+      return formatMemories(await this._memories.recall(query));
+    } catch {
+      return null;
+    }
+  }
+
   /**
    * Get names of all registered strategies.
    * @returns {string[]}
@@ -0,0 +1,122 @@
+'use strict';
+
+/**
+ * Parent-Document Retrieval
+ *
+ * Small-to-big retrieval: `vai pipeline --parents` stores each parent
+ * (a section, or a whole document) in a companion collection and links
+ * every child chunk to it via `parentId`. Search still runs over the
+ * small, precise child chunks; the parents they point to are what gets
+ * returned, deduplicated and capped by a token budget.
+ */
+
+const { estimateTokens } = require('./api');
+const { docKey } = require('./fusion');
+
+const PARENT_MODES = ['section', 'document'];
+const DEFAULT_PARENT_SIZE = 2048;
+const DEFAULT_PARENT_BUDGET = 4000;
+
+/**
+ * Chunks retrieved per wanted parent. Several matched chunks often share
+ * one parent, so searching only `limit` chunks would return fewer parents.
+ */
+const PARENT_OVERSAMPLE = 4;
+
+/**
+ * Default name of the collection holding a collection's parents.
+ * @param {string} collection - Child chunk collection
+ * @returns {string}
+ */
+function defaultParentCollection(collection) {
+  return `${collection}_parents`;
+}
+
+/**
+ * Resolve parent settings from explicit options and the `.vai.json`
+ * `parents` block. Retrieval returns parents when asked to, or by default
+ * when the project stores them (`parents.mode` is set).
+ *
+ * @param {object} [opts]
+ * @param {boolean} [opts.parents] - Return parents instead of chunks
+ * @param {string} [opts.parentCollection]
+ * @param {number} [opts.parentBudget] - Max estimated tokens of parent text
+ * @param {object} [projParents] - `.vai.json` parents block
+ * @param {string} collection - Child chunk collection
+ * @returns {{ enabled: boolean, collection: string, budget: number }}
+ */
+function resolveParentConfig(opts = {}, projParents = {}, collection) {
+  const conf = {
+    enabled: opts.parents != null ? !!opts.parents : !!projParents.mode,
+    collection: opts.parentCollection || projParents.collection || defaultParentCollection(collection),
+    budget: opts.parentBudget || projParents.budget || DEFAULT_PARENT_BUDGET,
+  };
+
+  if (!(conf.budget > 0)) {
+    throw new Error('Parent token budget must be a positive number.');
+  }
+  return conf;
+}
+
+/**
+ * Replace ranked child chunks with the parents they belong to.
+ *
+ * Parents keep the rank of their best child and are listed once. They are
+ * added in rank order while they fit in `budget` (estimated tokens); a
+ * parent that does not fit is skipped in favour of smaller ones further
+ * down, except the first, which is truncated to the budget instead.
+ * Children without a `parentId`, or whose parent is missing, stand in for
+ * themselves.
+ *
+ * @param {object} parentStore - Vector store holding the parents
+ * @param {object[]} children - Retrieved chunk docs, best first
+ * @param {object} [opts]
+ * @param {number} [opts.limit] - Max parents to return
+ * @param {number} [opts.budget] - Max estimated tokens across returned parents
+ * @param {string} [opts.textField='text']
+ * @returns {Promise<{ parents: Array<{doc: object, children: object[], truncated: boolean}>, tokens: number }>}
+ */
+async function expandToParents(parentStore, children, { limit = Infinity, budget = DEFAULT_PARENT_BUDGET, textField = 'text' } = {}) {
+  const groups = new Map();
+  for (const child of children) {
+    const key = child.parentId != null ? `parent:${child.parentId}` : `chunk:${docKey(child)}`;
+    if (!groups.has(key)) groups.set(key, { parentId: child.parentId ?? null, children: [] });
+    groups.get(key).children.push(child);
+  }
+
+  const ids = [...groups.values()].filter(g => g.parentId != null).map(g => g.parentId);
+  const found = ids.length > 0 ? await parentStore.find({ _id: { $in: ids } }) : [];
+  const byId = new Map(found.map(doc => [String(doc._id), doc]));
+
+  const parents = [];
+  let tokens = 0;
+  for (const group of groups.values()) {
+    if (parents.length >= limit) break;
+    const doc = (group.parentId != null && byId.get(String(group.parentId))) || group.children[0];
+    let text = typeof doc[textField] === 'string' ? doc[textField] : '';
+    let size = estimateTokens(text);
+    let truncated = false;
+
+    if (tokens + size > budget) {
+      if (parents.length > 0) continue;
+      text = text.slice(0, budget * 4);
+      size = estimateTokens(text);
+      truncated = true;
+    }
+
+    tokens += size;
+    parents.push({ doc: { ...doc, [textField]: text }, children: group.children, truncated });
+  }
+
+  return { parents, tokens };
+}
+
+module.exports = {
+  PARENT_MODES,
+  DEFAULT_PARENT_SIZE,
+  DEFAULT_PARENT_BUDGET,
+  PARENT_OVERSAMPLE,
+  defaultParentCollection,
+  resolveParentConfig,
+  expandToParents,
+};
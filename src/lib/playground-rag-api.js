@@ -10,6 +10,10 @@ const crypto = require('crypto');
 const pdfParse = require('pdf-parse');
 const { getMongoCollection } = require('./mongo');
 const { getConfigValue, loadConfig } = require('./config');
+const { readFile } = require('./readers');
+
+// Uploads read through the structure-aware document readers
+const DOCUMENT_EXTENSIONS = ['.docx', '.pptx', '.xlsx', '.epub'];
 
 /**
  * Extract text content from a PDF buffer
@@ -539,7 +543,9 @@ async function handleRAGRequest(req, res, context) {
 
           for (let i = 0; i < files.length; i++) {
             const file = files[i];
-            const isPDF = path.extname(file.name).toLowerCase() === '.pdf';
+            const ext = path.extname(file.name).toLowerCase();
+            const isPDF = ext === '.pdf';
+            const isDocument = DOCUMENT_EXTENSIONS.includes(ext);
 
             // Stage: reading
             res.write(JSON.stringify({
@@ -550,18 +556,40 @@ async function handleRAGRequest(req, res, context) {
               fileCount: files.length
             }) + '\n');
 
-            // Read file — PDF uses binary buffer extraction, others use utf8
+            // Read file — PDF uses binary buffer extraction, Office/EPUB go
+            // through the structure-aware readers, others use utf8
             let content;
+            let sections = null;
             if (isPDF) {
               const buffer = fs.readFileSync(file.path);
               content = await extractTextFromPDF(buffer);
+            } else if (isDocument) {
+              try {
+                sections = await readFile(file.path);
+              } catch (readErr) {
+                res.write(JSON.stringify({
+                  type: 'warning',
+                  file: file.name,
+                  warning: readErr.message
+                }) + '\n');
+                continue;
+              }
+              content = sections.map(s => s.text).join('\n\n');
             } else {
               content = fs.readFileSync(file.path, 'utf8');
             }
             const contentSize = Buffer.byteLength(content, 'utf8');
 
-            // Stage: chunking
-            const chunks = normalizeChunks(content);
+            // Stage: chunking — structured documents are chunked per section
+            // so each chunk keeps its heading/slide/sheet metadata
+            const chunks = [];
+            const chunkMetadata = [];
+            for (const section of sections || [{ text: content, metadata: null }]) {
+              for (const text of normalizeChunks(section.text)) {
+                chunks.push(text);
+                chunkMetadata.push(section.metadata);
+              }
+            }
             res.write(JSON.stringify({
               type: 'progress',
               stage: 'chunking',
@@ -604,6 +632,7 @@ async function handleRAGRequest(req, res, context) {
                   embedding: embedding.data[0].embedding,
                   createdAt: new Date()
                 };
+                if (chunkMetadata[c]) doc.metadata = chunkMetadata[c];
                 await docsCollection.insertOne(doc);
                 persistedChunks++;
                 totalChunks++;
@@ -27,9 +27,10 @@
  * @param {string} params.field         - embedding field name (default: 'embedding')
  * @param {object} params.llmConfig     - resolved LLM config ({ provider, model, ... })
  * @param {string} [params.textField]   - document text field (default: 'text')
+ * @param {string} [params.store]       - resolved vector store type ('mongodb' | 'local')
  * @returns {Promise<{ checks: PreflightCheck[], ready: boolean }>}
  */
-async function runPreflight({ db, collection, field = 'embedding', llmConfig, textField = 'text', local }) {
+async function runPreflight({ db, collection, field = 'embedding', llmConfig, textField = 'text', local, store }) {
   const checks = [];
 
   // Local mode status indicators
@@ -63,6 +64,25 @@ async function runPreflight({ db, collection, field = 'embedding', llmConfig, te
     ] : undefined,
   });
 
+  // Local vector store: no connection or search index to verify
+  if (store === 'local') {
+    const { createVectorStore } = require('./vector-store');
+    const vs = createVectorStore({ db, collection, store });
+    const docCount = await vs.count({ [field]: { $exists: true } });
+    await vs.close();
+    checks.push({
+      id: 'collection',
+      label: 'Local Store',
+      ok: docCount > 0,
+      detail: docCount > 0 ? `${db}.${collection} (${docCount.toLocaleString()} documents)` : undefined,
+      error: docCount === 0 ? `${db}.${collection} has no embedded documents in the local store` : undefined,
+      fix: docCount === 0 ? [
+        `vai pipeline ./your-docs --db ${db} --collection ${collection} --store local`,
+      ] : undefined,
+    });
+    return { checks, ready: checks.every(c => c.ok) };
+  }
+
   // 2–4: MongoDB checks (need connection)
   let client;
   try {
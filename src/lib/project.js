@@ -69,7 +69,7 @@ function mergeOptions(projectConfig, cliOpts) {
   // Map of project config keys → CLI option keys
   const keys = [
     'model', 'db', 'collection', 'field', 'inputType',
-    'dimensions', 'index',
+    'dimensions', 'index', 'store',
   ];
 
   for (const key of keys) {
@@ -21,14 +21,14 @@ When the user asks about something from a prior turn, answer from the conversati
 
 ## How to use the retrieved context
 
-- Each context document includes a source label and a relevance score (0 to 1). Higher scores indicate stronger semantic matches to the user's query.
+- Context documents are numbered. Each one includes a source label and a relevance score (0 to 1). Higher scores indicate stronger semantic matches to the user's query.
 - Treat documents with scores below 0.3 as weak matches. If only weak matches were retrieved, say so rather than forcing an answer from them.
 - When documents conflict, surface the discrepancy and let the user decide which to trust.
 
 ## Answering rules
 
 1. Ground factual claims in the provided context. Do not supplement with outside knowledge unless you explicitly flag it as such (e.g. "Outside the retrieved documents, ...").
-2. Cite sources inline using the format [Source: <label>]. Use the source labels from the context block.
+2. Cite the supporting document after every factual claim using its number in brackets, e.g. "Tokens expire after one hour [2]." Cite several documents as [1][3]. Only cite numbers that appear in the context block, and do not cite a document that does not support the claim.
 3. If the context is insufficient, say so directly. Suggest how the user might refine their query or expand their knowledge base.
 4. Be concise. Prefer short, direct answers. Use lists or structure when it aids clarity.
 5. For follow-up questions about new topics, use the newly retrieved context. For follow-ups about prior discussion, use the conversation history.
@@ -62,7 +62,8 @@ const AGENT_SYSTEM_PROMPT = `You are an AI assistant with access to a suite of V
 8. Answer directly. Do not preface with meta-commentary such as "Using the context of our conversation," "According to the documents retrieved," "Based on the retrieved context," or similar. Jump straight to the answer.`;
 
 /**
- * Format retrieved documents into a context block.
+ * Format retrieved documents into a context block. Documents are
+ * numbered from 1 in order; answers cite them as `[n]` (see citations.js).
  * @param {Array<{source: string, text: string, score: number}>} docs
  * @returns {string}
  */
@@ -71,13 +72,13 @@ function formatContextBlock(docs) {
 
   const lines = ['--- Context Documents ---', ''];
 
-  for (const doc of docs) {
+  docs.forEach((doc, i) => {
     const source = doc.source || doc.metadata?.source || 'unknown';
     const score = doc.score != null ? doc.score.toFixed(2) : 'N/A';
-    lines.push(`[Source: ${source} | Relevance: ${score}]`);
+    lines.push(`[${i + 1}] Source: ${source} | Relevance: ${score}`);
     lines.push(doc.text || doc.chunk || '');
     lines.push('');
-  }
+  });
 
   lines.push('--- End Context ---');
   return lines.join('\n');
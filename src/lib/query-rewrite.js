@@ -0,0 +1,196 @@
+'use strict';
+
+/**
+ * Query Rewriting
+ *
+ * Prepares the search queries for a pipeline-mode chat turn:
+ *
+ *   - condense: rewrite a follow-up ("what about the second one?") into a
+ *     standalone query using the conversation so far.
+ *   - multi:    ask the LLM for alternative phrasings of the query.
+ *   - hyde:     ask the LLM for a hypothetical answer passage, which is
+ *     embedded as a document (Hypothetical Document Embeddings).
+ *
+ * Each expansion is searched separately and the result lists are fused
+ * before reranking against the standalone query (see chat.js retrieve).
+ */
+
+const EXPAND_METHODS = ['multi', 'hyde'];
+const DEFAULT_EXPAND_COUNT = 3;
+
+// History sent to the condenser: last few messages, each clipped
+const CONDENSE_MAX_MESSAGES = 6;
+const CONDENSE_MAX_CHARS = 1000;
+
+const CONDENSE_PROMPT = `You rewrite the user's latest message in a conversation into a standalone search query.
+
+Resolve pronouns and references ("it", "the second one", "that approach") using the conversation, and keep every detail needed to search for the answer. If the message already stands on its own, return it unchanged.
+
+Reply with the query only: no quotes, no explanation.`;
+
+const MULTI_PROMPT = `You write alternative search queries for a document retrieval system.
+
+Given a question, write {count} different search queries that could find documents answering it. Vary the wording and use synonyms or related terms; do not change the meaning.
+
+Reply with one query per line, nothing else.`;
+
+const HYDE_PROMPT = `Write a short passage (3-5 sentences) that answers the question, in the style of documentation. If you do not know the answer, write a plausible one: the passage is only used to search for similar documents.
+
+Reply with the passage only.`;
+
+/**
+ * Parse an expansion setting ("multi,hyde", ["hyde"], true) into a list of
+ * methods. `true` means multi.
+ * @param {string|string[]|boolean} [value]
+ * @returns {string[]}
+ */
+function parseExpandMethods(value) {
+  if (!value) return [];
+  if (value === true) return ['multi'];
+  const methods = (Array.isArray(value) ? value : String(value).split(','))
+    .map(m => String(m).trim().toLowerCase())
+    .filter(Boolean);
+  for (const m of methods) {
+    if (!EXPAND_METHODS.includes(m)) {
+      throw new Error(`Unknown query expansion "${m}". Use: ${EXPAND_METHODS.join(', ')}`);
+    }
+  }
+  return [...new Set(methods)];
+}
+
+/**
+ * Run a non-streaming LLM call and collect the reply and usage.
+ * @returns {Promise<{text: string, usage: {inputTokens: number, outputTokens: number}}>}
+ */
+async function complete(llm, messages) {
+  const { collectChat } = require('./llm');
+  const { text, usage } = await collectChat(llm.chat(messages, { stream: false }));
+  return { text: text.trim(), usage };
+}
+
+/**
+ * Strip the wrapping an LLM tends to add around a one-line answer.
+ * @param {string} line
+ * @returns {string}
+ */
+function cleanQuery(line) {
+  return line
+    .replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '')
+    .replace(/^(?:standalone )?query:\s*/i, '')
+    .replace(/^["'“](.*)["'”]$/, '$1')
+    .trim();
+}
+
+/**
+ * Rewrite the latest user message into a standalone query.
+ * @param {object} params
+ * @param {string} params.query - Latest user message
+ * @param {Array<{role: string, content: string}>} params.history - Earlier messages
+ * @param {object} params.llm - LLM provider
+ * @returns {Promise<{text: string, usage: object}>}
+ */
+async function condenseQuery({ query, history, llm }) {
+  const transcript = history
+    .slice(-CONDENSE_MAX_MESSAGES)
+    .map(m => {
+      const content = m.content.length > CONDENSE_MAX_CHARS
+        ? m.content.slice(0, CONDENSE_MAX_CHARS) + '...'
+        : m.content;
+      return `${m.role === 'user' ? 'User' : 'Assistant'}: ${content}`;
+    })
+    .join('\n\n');
+
+  const { text, usage } = await complete(llm, [
+    { role: 'system', content: CONDENSE_PROMPT },
+    { role: 'user', content: `Conversation:\n\n${transcript}\n\nLatest message: ${query}` },
+  ]);
+  const firstLine = text.split('\n').map(cleanQuery).find(Boolean);
+  return { text: firstLine || query, usage };
+}
+
+/**
+ * Ask the LLM for alternative phrasings of a query.
+ * @returns {Promise<{texts: string[], usage: object}>}
+ */
+async function multiQueries({ query, llm, count }) {
+  const { text, usage } = await complete(llm, [
+    { role: 'system', content: MULTI_PROMPT.replace('{count}', String(count)) },
+    { role: 'user', content: query },
+  ]);
+  const seen = new Set([query.toLowerCase()]);
+  const texts = [];
+  for (const line of text.split('\n')) {
+    const q = cleanQuery(line);
+    if (!q || seen.has(q.toLowerCase())) continue;
+    seen.add(q.toLowerCase());
+    texts.push(q);
+    if (texts.length >= count) break;
+  }
+  return { texts, usage };
+}
+
+/**
+ * Ask the LLM for a hypothetical answer passage.
+ * @returns {Promise<{text: string, usage: object}>}
+ */
+async function hydePassage({ query, llm }) {
+  return complete(llm, [
+    { role: 'system', content: HYDE_PROMPT },
+    { role: 'user', content: query },
+  ]);
+}
+
+/**
+ * Build the search queries for a chat turn.
+ *
+ * @param {object} params
+ * @param {string} params.query - Latest user message
+ * @param {Array<{role: string, content: string}>} [params.history] - Earlier messages
+ * @param {object} params.llm - LLM provider
+ * @param {boolean} [params.condense=true] - Rewrite follow-ups into standalone queries
+ * @param {string[]} [params.expand] - Expansion methods: multi, hyde
+ * @param {number} [params.count=3] - Alternative queries for multi
+ * @returns {Promise<{
+ *   original: string, standalone: string,
+ *   expansions: Array<{method: string, text: string, inputType: string}>,
+ *   tokens: {llmInput: number, llmOutput: number}
+ * }>}
+ *   `standalone` equals `original` when there was nothing to resolve.
+ *   HyDE passages are embedded with `inputType: 'document'`.
+ */
+async function rewriteQuery({ query, history = [], llm, condense = true, expand = [], count = DEFAULT_EXPAND_COUNT }) {
+  const tokens = { llmInput: 0, llmOutput: 0 };
+  const addUsage = (usage) => {
+    tokens.llmInput += usage.inputTokens || 0;
+    tokens.llmOutput += usage.outputTokens || 0;
+  };
+
+  let standalone = query;
+  if (condense && history.length > 0) {
+    const condensed = await condenseQuery({ query, history, llm });
+    addUsage(condensed.usage);
+    standalone = condensed.text;
+  }
+
+  const expansions = [];
+  if (expand.includes('multi')) {
+    const multi = await multiQueries({ query: standalone, llm, count });
+    addUsage(multi.usage);
+    for (const text of multi.texts) expansions.push({ method: 'multi', text, inputType: 'query' });
+  }
+  if (expand.includes('hyde')) {
+    const hyde = await hydePassage({ query: standalone, llm });
+    addUsage(hyde.usage);
+    if (hyde.text) expansions.push({ method: 'hyde', text: hyde.text, inputType: 'document' });
+  }
+
+  return { original: query, standalone, expansions, tokens };
+}
+
+module.exports = {
+  EXPAND_METHODS,
+  DEFAULT_EXPAND_COUNT,
+  parseExpandMethods,
+  condenseQuery,
+  rewriteQuery,
+};
@@ -22,6 +22,10 @@ const SUPPORTED_EXTENSIONS = {
   '.ndjson': 'jsonl',
   // Binary
   '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.pptx': 'pptx',
+  '.xlsx': 'xlsx',
+  '.epub': 'epub',
   // Source code
   '.js': 'text',
   '.mjs': 'text',
@@ -104,7 +108,9 @@ function stripHtml(html) {
     .replace(/<\/?(p|div|br|h[1-6]|li|tr|blockquote|section|article|header|footer|nav|pre)[^>]*>/gi, '\n')
     // Remove remaining tags
     .replace(/<[^>]+>/g, '')
-    // Decode common entities
+    // Decode numeric and common entities
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
     .replace(/&amp;/g, '&')
     .replace(/&lt;/g, '<')
     .replace(/&gt;/g, '>')
@@ -187,9 +193,28 @@ async function readPdfFile(filePath) {
   return data.text;
 }
 
+/**
+ * Read a DOCX, PPTX, XLSX or EPUB file. These keep their structure:
+ * each item carries headings, slide numbers/titles, sheet names or row
+ * ranges as metadata (see document-readers.js).
+ * @param {string} filePath
+ * @param {string} type - Reader type
+ * @returns {Promise<Array<{text: string, metadata: object}>>}
+ */
+async function readDocumentFile(filePath, type) {
+  const { parseDocx, parsePptx, parseXlsx, parseEpub } = require('./document-readers');
+  const parsers = { docx: parseDocx, pptx: parsePptx, xlsx: parseXlsx, epub: parseEpub };
+  const buffer = fs.readFileSync(filePath);
+  try {
+    return parsers[type](buffer);
+  } catch (err) {
+    throw new Error(`Failed to read ${path.basename(filePath)}: ${err.message}`);
+  }
+}
+
 /**
  * Read a single file and return its text content.
- * For structured files (JSON/JSONL), returns array of {text, metadata}.
+ * For structured files (JSON/JSONL, DOCX, PPTX, XLSX, EPUB), returns array of {text, metadata}.
  * For text files, returns the raw text string.
  * @param {string} filePath
  * @param {object} [opts]
@@ -213,6 +238,11 @@ async function readFile(filePath, opts = {}) {
       return readJsonlFile(filePath, opts.textField || 'text');
     case 'pdf':
       return readPdfFile(filePath);
+    case 'docx':
+    case 'pptx':
+    case 'xlsx':
+    case 'epub':
+      return readDocumentFile(filePath, type);
     default:
       throw new Error(`No reader for type: ${type}`);
   }
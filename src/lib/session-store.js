@@ -21,6 +21,63 @@ const LIFECYCLE_TRANSITIONS = new Map([
   [SESSION_STATES.PAUSED, new Set([SESSION_STATES.ACTIVE, SESSION_STATES.ARCHIVED])],
 ]);
 
+// ── Branches ────────────────────────────────────────────────────────────
+//
+// A session is a tree of turns. Every turn belongs to a branch and has a
+// turnIndex: its position on the path from the first turn. A branch other
+// than "main" starts at `forkIndex` of its parent branch and shares the
+// parent's turns before that point, so a branch's path is its own turns
+// plus, recursively, its parent's turns below the fork. Turns stored
+// before branching existed have no branch and count as "main".
+
+const DEFAULT_BRANCH = 'main';
+
+const BRANCH_NAME_RE = /^[a-zA-Z0-9][a-zA-Z0-9._-]{0,63}$/;
+
+/**
+ * Branch metadata with the implicit main branch first.
+ * @param {Array<object>} [branches] - Session `branches` field
+ * @returns {Array<{name: string, parent: string|null, forkIndex: number, createdAt?: Date}>}
+ */
+function withMainBranch(branches = []) {
+  return [{ name: DEFAULT_BRANCH, parent: null, forkIndex: 0 }, ...branches];
+}
+
+/**
+ * The segments that make up a branch's path, newest branch first.
+ * @param {Array<object>} branches - Branch metadata (see withMainBranch)
+ * @param {string} name - Branch name
+ * @returns {Array<{branch: string, below: number}>} Turns of `branch` with turnIndex < `below`
+ * @throws {Error} if the branch does not exist
+ */
+function branchChain(branches, name) {
+  const byName = new Map(branches.map(b => [b.name, b]));
+  if (!byName.has(name)) throw new Error(`Branch not found: ${name}`);
+
+  const chain = [];
+  let below = Infinity;
+  for (let branch = byName.get(name); branch; branch = byName.get(branch.parent)) {
+    chain.push({ branch: branch.name, below });
+    below = Math.min(below, branch.forkIndex);
+    if (chain.length > branches.length) break; // malformed parent cycle
+  }
+  return chain;
+}
+
+/**
+ * Pick a branch's path out of a session's turns.
+ * @param {Array<object>} turns - Turns of every branch
+ * @param {Array<object>} branches - Branch metadata (see withMainBranch)
+ * @param {string} name - Branch name
+ * @returns {Array<object>} Turns sorted by turnIndex
+ */
+function branchPath(turns, branches, name) {
+  const chain = branchChain(branches, name);
+  return turns
+    .filter(t => chain.some(c => (t.branch || DEFAULT_BRANCH) === c.branch && t.turnIndex < c.below))
+    .sort((a, b) => a.turnIndex - b.turnIndex);
+}
+
 // ── SessionStore class ──────────────────────────────────────────────────
 
 class SessionStore {
@@ -88,9 +145,15 @@ class SessionStore {
    */
   async ensureIndexes() {
     if (this._indexesEnsured || this._fallbackMode) return;
+    try {
+      // Replaced by the branch-aware index below: sibling branches reuse turnIndex
+      await this._turnsCol.dropIndex('sessionId_1_turnIndex_1');
+    } catch {
+      // Not there (new deployment) -- nothing to drop
+    }
     try {
       await this._turnsCol.createIndex(
-        { sessionId: 1, turnIndex: 1 },
+        { sessionId: 1, branch: 1, turnIndex: 1 },
         { unique: true }
       );
       await this._turnsCol.createIndex(
@@ -202,6 +265,45 @@ class SessionStore {
     }
   }
 
+  // ── Branches ────────────────────────────────────────────────────────
+
+  /**
+   * List a session's branches, main first.
+   * @param {string} sessionId
+   * @returns {Promise<Array<{name: string, parent: string|null, forkIndex: number, createdAt?: Date}>>}
+   */
+  async getBranches(sessionId) {
+    const session = await this.getSession(sessionId);
+    return withMainBranch(session?.branches);
+  }
+
+  /**
+   * Record a new branch forked from `parent` at `forkIndex`.
+   * @param {string} sessionId
+   * @param {object} branch
+   * @param {string} branch.name
+   * @param {string} branch.parent - Branch it forks from
+   * @param {number} branch.forkIndex - First turnIndex that belongs to the new branch
+   * @returns {Promise<object>} The branch metadata
+   * @throws {Error} if the session is missing, the name is invalid or taken
+   */
+  async createBranch(sessionId, { name, parent, forkIndex }) {
+    const session = await this.getSession(sessionId);
+    if (!session) throw new Error(`Session not found: ${sessionId}`);
+    if (!BRANCH_NAME_RE.test(name || '')) {
+      throw new Error(`Invalid branch name "${name}": use letters, digits, ".", "_" and "-"`);
+    }
+    const branches = withMainBranch(session.branches);
+    if (branches.some(b => b.name === name)) {
+      throw new Error(`Branch already exists: ${name}`);
+    }
+    branchChain(branches, parent);
+
+    const branch = { name, parent, forkIndex, createdAt: new Date() };
+    await this.updateSession(sessionId, { branches: [...(session.branches || []), branch] });
+    return branch;
+  }
+
   /**
    * Transition session lifecycle state.
    * @param {string} sessionId
@@ -236,14 +338,17 @@ class SessionStore {
    * @param {string} turnData.role
    * @param {string} turnData.content
    * @param {object} [turnData.context]
+   * @param {object[]} [turnData.citations] - Validated inline citations (assistant turns)
+   * @param {string} [turnData.branch='main'] - Branch the turn belongs to
    * @param {object} [turnData.tokens={}]
    * @param {object} [turnData.timing={}]
    */
-  async storeTurn({ sessionId, turnIndex, role, content, context, tokens = {}, timing = {} }) {
+  async storeTurn({ sessionId, turnIndex, role, content, context, citations, branch = DEFAULT_BRANCH, tokens = {}, timing = {} }) {
     await this._connect();
 
     const doc = {
       sessionId,
+      branch,
       turnIndex,
       role,
       content,
@@ -252,6 +357,7 @@ class SessionStore {
       timing,
       createdAt: new Date(),
     };
+    if (citations) doc.citations = citations;
 
     if (this._fallbackMode) {
       if (!this._memTurns.has(sessionId)) {
@@ -278,76 +384,97 @@ class SessionStore {
   }
 
   /**
-   * Get turns for a session, sorted by turnIndex ascending.
+   * Get the turns on a branch's path, sorted by turnIndex ascending.
    * @param {string} sessionId
    * @param {object} [opts]
+   * @param {string} [opts.branch] - Branch to follow (default: the session's active branch)
    * @param {number} [opts.limit]
    * @param {number} [opts.offset]
    * @returns {Promise<Array>}
    */
-  async getTurns(sessionId, { limit, offset } = {}) {
-    await this._connect();
-
-    if (this._fallbackMode) {
-      let turns = (this._memTurns.get(sessionId) || [])
-        .slice()
-        .sort((a, b) => a.turnIndex - b.turnIndex);
-      if (offset) turns = turns.slice(offset);
-      if (limit) turns = turns.slice(0, limit);
-      return turns;
+  async getTurns(sessionId, { branch, limit, offset } = {}) {
+    const path = await this._resolvePath(sessionId, branch);
+
+    if (!this._fallbackMode) {
+      try {
+        let cursor = this._turnsCol
+          .find(path.filter)
+          .sort({ turnIndex: 1 });
+        if (offset) cursor = cursor.skip(offset);
+        if (limit) cursor = cursor.limit(limit);
+        return await cursor.toArray();
+      } catch {
+        this._fallbackMode = true;
+      }
     }
 
-    try {
-      let cursor = this._turnsCol
-        .find({ sessionId })
-        .sort({ turnIndex: 1 });
-      if (offset) cursor = cursor.skip(offset);
-      if (limit) cursor = cursor.limit(limit);
-      return await cursor.toArray();
-    } catch {
-      this._fallbackMode = true;
-      let turns = (this._memTurns.get(sessionId) || [])
-        .slice()
-        .sort((a, b) => a.turnIndex - b.turnIndex);
-      if (offset) turns = turns.slice(offset);
-      if (limit) turns = turns.slice(0, limit);
-      return turns;
-    }
+    let turns = this._memPath(sessionId, path);
+    if (offset) turns = turns.slice(offset);
+    if (limit) turns = turns.slice(0, limit);
+    return turns;
   }
 
   /**
-   * Get the latest N turns for a session.
+   * Get the latest N turns on a branch's path.
    * @param {string} sessionId
    * @param {number} count
+   * @param {object} [opts]
+   * @param {string} [opts.branch] - Branch to follow (default: the session's active branch)
    * @returns {Promise<Array>}
    */
-  async getLatestTurns(sessionId, count) {
-    await this._connect();
-
-    if (this._fallbackMode) {
-      const turns = (this._memTurns.get(sessionId) || [])
-        .slice()
-        .sort((a, b) => a.turnIndex - b.turnIndex);
-      return turns.slice(-count);
+  async getLatestTurns(sessionId, count, { branch } = {}) {
+    const path = await this._resolvePath(sessionId, branch);
+
+    if (!this._fallbackMode) {
+      try {
+        const turns = await this._turnsCol
+          .find(path.filter)
+          .sort({ turnIndex: -1 })
+          .limit(count)
+          .toArray();
+        return turns.reverse();
+      } catch {
+        this._fallbackMode = true;
+      }
     }
 
-    try {
-      const turns = await this._turnsCol
-        .find({ sessionId })
-        .sort({ turnIndex: -1 })
-        .limit(count)
-        .toArray();
-      return turns.reverse();
-    } catch {
-      this._fallbackMode = true;
-      const turns = (this._memTurns.get(sessionId) || [])
-        .slice()
-        .sort((a, b) => a.turnIndex - b.turnIndex);
-      return turns.slice(-count);
+    return this._memPath(sessionId, path).slice(-count);
+  }
+
+  /**
+   * Work out which turns make up a branch's path: the branch metadata and
+   * a MongoDB filter selecting them.
+   */
+  async _resolvePath(sessionId, branch) {
+    const session = await this.getSession(sessionId);
+    const branches = withMainBranch(session?.branches);
+    const name = branch || session?.activeBranch || DEFAULT_BRANCH;
+    const chain = branchChain(branches, name);
+
+    const filter = { sessionId };
+    // Sessions that never branched keep the plain query
+    if (branches.length > 1) {
+      filter.$or = chain.map(({ branch: b, below }) => ({
+        branch: b === DEFAULT_BRANCH ? { $in: [DEFAULT_BRANCH, null] } : b,
+        ...(below !== Infinity && { turnIndex: { $lt: below } }),
+      }));
     }
+    return { name, branches, filter };
+  }
+
+  _memPath(sessionId, { name, branches }) {
+    return branchPath(this._memTurns.get(sessionId) || [], branches, name);
   }
 }
 
 // ── Exports ─────────────────────────────────────────────────────────────
 
-module.exports = { SessionStore, SESSION_STATES };
+module.exports = {
+  SessionStore,
+  SESSION_STATES,
+  DEFAULT_BRANCH,
+  BRANCH_NAME_RE,
+  withMainBranch,
+  branchChain,
+  branchPath,
+};
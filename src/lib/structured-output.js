@@ -0,0 +1,218 @@
+'use strict';
+
+/**
+ * Structured Output
+ *
+ * Asks an LLM for JSON that conforms to a JSON Schema (the generate
+ * workflow tool's `outputSchema`). Providers with a native structured-output
+ * mode (`supportsNativeJSON`: forced tool call for Anthropic,
+ * `response_format` for OpenAI and Ollama) are asked through
+ * `llm.generateJSON`; anything else gets the schema in the prompt. A native
+ * call that fails (the server rejects the mode, a timeout) is retried once
+ * with the schema in the prompt.
+ *
+ * Every reply is parsed and validated against the schema. Invalid replies
+ * are sent back with the validation errors for a corrected answer, up to
+ * `repairAttempts` times.
+ */
+
+const DEFAULT_REPAIR_ATTEMPTS = 2;
+
+const SCHEMA_PROMPT = `Reply with JSON only: no code fences, no explanation. The JSON must conform to this JSON Schema:
+
+{schema}`;
+
+/**
+ * Compile a JSON Schema into a zod validator.
+ * @param {object} schema
+ * @returns {import('zod').ZodType}
+ * @throws {Error} when the schema is not a usable JSON Schema
+ */
+function compileSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error('Invalid outputSchema: must be a JSON Schema object');
+  }
+  const { z } = require('zod');
+  try {
+    return z.fromJSONSchema(schema);
+  } catch (err) {
+    throw new Error(`Invalid outputSchema: ${err.message}`);
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema.
+ * @param {*} value
+ * @param {object|import('zod').ZodType} schema - JSON Schema or compiled validator
+ * @returns {{valid: boolean, errors: string[]}} Errors as "path: message"
+ */
+function validateAgainstSchema(value, schema) {
+  const validator = typeof schema?.safeParse === 'function' ? schema : compileSchema(schema);
+  const result = validator.safeParse(value);
+  if (result.success) return { valid: true, errors: [] };
+  const errors = result.error.issues.map(issue => {
+    const path = issue.path.length > 0 ? issue.path.join('.') : '(root)';
+    return `${path}: ${issue.message}`;
+  });
+  return { valid: false, errors };
+}
+
+/**
+ * Parse a JSON reply, tolerating code fences or prose around it.
+ * @param {string} text
+ * @returns {*}
+ * @throws {Error} when no JSON value can be found
+ */
+function parseJSONReply(text) {
+  const trimmed = String(text || '').trim();
+  try {
+    return JSON.parse(trimmed);
+  } catch { /* try harder below */ }
+
+  const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) {
+    try {
+      return JSON.parse(fenced[1].trim());
+    } catch { /* fall through */ }
+  }
+
+  // Outermost object or array
+  for (const [open, close] of [['{', '}'], ['[', ']']]) {
+    const start = trimmed.indexOf(open);
+    const end = trimmed.lastIndexOf(close);
+    if (start !== -1 && end > start) {
+      try {
+        return JSON.parse(trimmed.slice(start, end + 1));
+      } catch { /* fall through */ }
+    }
+  }
+  throw new Error('Reply is not valid JSON');
+}
+
+/**
+ * Whether a path exists in a schema. Paths into free-form parts (objects
+ * without `properties`, `additionalProperties`, combinators) are accepted,
+ * since the schema does not pin them down.
+ * @param {object} schema
+ * @param {Array<string|number>} path - Property names and array indices
+ * @returns {boolean}
+ */
+function schemaHasPath(schema, path) {
+  let node = schema;
+  for (const step of path) {
+    if (!node || typeof node !== 'object' || Array.isArray(node.type)) return true;
+    if (node.anyOf || node.oneOf || node.allOf || node.$ref) return true;
+
+    if (typeof step === 'number') {
+      if (node.type !== 'array') return node.type === undefined;
+      node = node.items;
+      continue;
+    }
+
+    const type = node.type;
+    if (type === 'array' && step === 'length') return true;
+    if (type !== undefined && type !== 'object') return false;
+    if (node.properties && Object.prototype.hasOwnProperty.call(node.properties, step)) {
+      node = node.properties[step];
+      continue;
+    }
+    if (!node.properties || node.additionalProperties) return true;
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Generate a reply that conforms to a JSON Schema.
+ *
+ * @param {object} params
+ * @param {object} params.llm - LLM provider
+ * @param {Array<{role: string, content: string}>} params.messages
+ * @param {object} params.schema - JSON Schema of the reply
+ * @param {number} [params.maxTokens]
+ * @param {number} [params.repairAttempts=2] - Extra calls to fix invalid replies
+ * @returns {Promise<{
+ *   data: *, text: string, attempts: number, mode: 'native'|'prompt',
+ *   usage: {inputTokens: number, outputTokens: number}
+ * }>}
+ * @throws {Error} when no valid reply is produced; `err.errors` lists the
+ *   last validation errors and `err.usage` the tokens spent. Provider errors
+ *   in prompt mode are thrown as is.
+ */
+async function generateStructured({ llm, messages, schema, maxTokens, repairAttempts = DEFAULT_REPAIR_ATTEMPTS }) {
+  const { collectChat } = require('./llm');
+  const validator = compileSchema(schema);
+  let native = !!llm.supportsNativeJSON;
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  const options = maxTokens ? { maxTokens } : {};
+
+  let conversation = native ? [...messages] : withSchemaPrompt(messages, schema);
+  let errors = [];
+  let text = '';
+
+  for (let attempt = 1; attempt <= repairAttempts + 1; attempt++) {
+    let reply;
+    if (native) {
+      try {
+        reply = await llm.generateJSON(conversation, schema, options);
+      } catch {
+        native = false;
+        conversation = withSchemaPrompt(messages, schema);
+      }
+    }
+    if (!native) {
+      reply = await collectChat(llm.chat(conversation, { ...options, stream: false }));
+    }
+    text = reply.text;
+    usage.inputTokens += reply.usage?.inputTokens || 0;
+    usage.outputTokens += reply.usage?.outputTokens || 0;
+
+    let data;
+    try {
+      data = parseJSONReply(text);
+      ({ errors } = validateAgainstSchema(data, validator));
+    } catch (err) {
+      errors = [err.message];
+    }
+    if (errors.length === 0) {
+      return { data, text, attempts: attempt, mode: native ? 'native' : 'prompt', usage };
+    }
+
+    conversation = [
+      ...conversation,
+      { role: 'assistant', content: text || '(empty reply)' },
+      {
+        role: 'user',
+        content: 'Your reply does not match the JSON Schema:\n' +
+          errors.map(e => `- ${e}`).join('\n') +
+          '\n\nReply again with corrected JSON only.',
+      },
+    ];
+  }
+
+  const err = new Error(
+    `LLM reply did not match outputSchema after ${repairAttempts + 1} attempts:\n  ${errors.join('\n  ')}`
+  );
+  err.errors = errors;
+  err.usage = usage;
+  throw err;
+}
+
+/**
+ * Add the schema instructions to the system prompt (or as one).
+ */
+function withSchemaPrompt(messages, schema) {
+  const instructions = SCHEMA_PROMPT.replace('{schema}', JSON.stringify(schema, null, 2));
+  const system = messages.find(m => m.role === 'system');
+  if (!system) return [{ role: 'system', content: instructions }, ...messages];
+  return messages.map(m => (m === system ? { ...m, content: `${m.content}\n\n${instructions}` } : m));
+}
+
+module.exports = {
+  DEFAULT_REPAIR_ATTEMPTS,
+  compileSchema,
+  validateAgainstSchema,
+  parseJSONReply,
+  schemaHasPath,
+  generateStructured,
+};
@@ -29,6 +29,12 @@ const BASE_FIELDS = [
 ];
 
 const TELEMETRY_EVENTS = [
+  {
+    name: 'cli_batch',
+    fields: ['action', 'model', 'modelRole', 'models', 'docCount', 'durationMs'],
+    source: 'src/commands/batch.js',
+    description: 'Batch API submit/apply timing.',
+  },
   {
     name: 'cli_benchmark',
     fields: ['subcommand', 'durationMs'],
@@ -139,7 +145,7 @@ const TELEMETRY_EVENTS = [
   },
   {
     name: 'cli_ingest',
-    fields: ['model', 'modelRole', 'models', 'local', 'inputType', 'batchSize', 'format', 'docCount', 'durationMs'],
+    fields: ['model', 'modelRole', 'models', 'local', 'inputType', 'batchSize', 'contextual', 'format', 'docCount', 'durationMs'],
     source: 'src/commands/ingest.js',
     description: 'Ingest command timing.',
   },
@@ -169,7 +175,7 @@ const TELEMETRY_EVENTS = [
   },
   {
     name: 'cli_pipeline',
-    fields: ['model', 'modelRole', 'models', 'local', 'chunkStrategy', 'chunkSize', 'createIndex', 'durationMs'],
+    fields: ['model', 'modelRole', 'models', 'local', 'chunkStrategy', 'chunkSize', 'createIndex', 'incremental', 'contextual', 'parents', 'durationMs'],
     source: 'src/commands/pipeline.js',
     description: 'End-to-end pipeline execution summary.',
   },
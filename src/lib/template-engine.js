@@ -362,6 +362,47 @@ function extractDependencies(obj) {
   return deps;
 }
 
+/**
+ * Extract every dot-path referenced in template expressions of a value
+ * (recursively through arrays and objects). Quoted literals are skipped.
+ *
+ * @param {*} obj
+ * @returns {Array<{expression: string, segments: Array<{key: string, index?: number}>}>}
+ */
+function extractReferences(obj) {
+  const refs = [];
+
+  function scan(value) {
+    if (typeof value === 'string') {
+      const re = /\{\{\s*(.+?)\s*\}\}/g;
+      let match;
+      while ((match = re.exec(value)) !== null) {
+        const expr = match[1].replace(/'[^']*'|"[^"]*"/g, ' ');
+        const pathRe = /[a-zA-Z_]\w*(?:\[\d+\])?(?:\.[a-zA-Z_]\w*(?:\[\d+\])?)*/g;
+        let pathMatch;
+        while ((pathMatch = pathRe.exec(expr)) !== null) {
+          try {
+            refs.push({ expression: pathMatch[0], segments: parseExpression(pathMatch[0]) });
+          } catch { /* not a path */ }
+        }
+      }
+      return;
+    }
+
+    if (Array.isArray(value)) {
+      value.forEach(scan);
+      return;
+    }
+
+    if (value !== null && typeof value === 'object') {
+      Object.values(value).forEach(scan);
+    }
+  }
+
+  scan(obj);
+  return refs;
+}
+
 module.exports = {
   isTemplateString,
   parseExpression,
@@ -370,5 +411,6 @@ module.exports = {
   resolveTemplate,
   resolveAllTemplates,
   extractDependencies,
+  extractReferences,
   TEMPLATE_RE,
 };
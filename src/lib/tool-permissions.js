@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * Tool Permissions
+ *
+ * Per-tool policy for agent tool calls:
+ *
+ *   - allow: run the call
+ *   - deny:  never run it; the model gets a tool error instead
+ *   - ask:   pause and let the user approve, edit the arguments, or reject
+ *
+ * A policy maps tool names to a permission. Keys may use `*` as a
+ * wildcard (`github_*`); the most specific match wins, with exact names
+ * before patterns and `*` on its own last. Tools no key matches get the
+ * default: `ask` for tools with side effects (writes, non-GET HTTP calls,
+ * MCP tools not marked read-only), `allow` for the rest.
+ */
+
+const TOOL_PERMISSIONS = ['allow', 'deny', 'ask'];
+const STRICTNESS = ['allow', 'ask', 'deny'];
+
+/**
+ * Parse a permission policy from .vai.json or the command line.
+ * @param {object|string} value - `{ "vai_ingest": "ask" }` or "vai_ingest=ask,*=allow"
+ * @returns {Object<string, 'allow'|'deny'|'ask'>}
+ * @throws {Error} on an unknown permission or malformed entry
+ */
+function parseToolPermissions(value) {
+  if (value === undefined || value === null || value === '') return {};
+
+  let entries;
+  if (typeof value === 'string') {
+    entries = value.split(',').map(s => s.trim()).filter(Boolean).map(pair => {
+      const eq = pair.indexOf('=');
+      if (eq <= 0) throw new Error(`Invalid tool permission "${pair}": expected <tool>=<${TOOL_PERMISSIONS.join('|')}>`);
+      return [pair.slice(0, eq).trim(), pair.slice(eq + 1).trim()];
+    });
+  } else if (typeof value === 'object' && !Array.isArray(value)) {
+    entries = Object.entries(value);
+  } else {
+    throw new Error('Tool permissions must be an object of tool name → permission');
+  }
+
+  const policy = {};
+  for (const [name, permission] of entries) {
+    if (!TOOL_PERMISSIONS.includes(permission)) {
+      throw new Error(`Invalid permission "${permission}" for tool "${name}": must be one of ${TOOL_PERMISSIONS.join(', ')}`);
+    }
+    policy[name] = permission;
+  }
+  return policy;
+}
+
+/**
+ * Resolve the permission for a tool.
+ * @param {string} name - Tool name
+ * @param {Object<string, string>} [policy]
+ * @param {object} [options]
+ * @param {boolean} [options.sideEffects=false] - Whether the tool changes anything
+ * @returns {'allow'|'deny'|'ask'}
+ */
+function resolveToolPermission(name, policy = {}, { sideEffects = false } = {}) {
+  if (Object.prototype.hasOwnProperty.call(policy, name)) return policy[name];
+
+  // Longest matching pattern first, so "github_delete_*" beats "github_*"
+  const patterns = Object.keys(policy)
+    .filter(key => key !== '*' && key.includes('*'))
+    .sort((a, b) => b.length - a.length);
+  for (const pattern of patterns) {
+    if (patternToRegExp(pattern).test(name)) return policy[pattern];
+  }
+
+  if (policy['*']) return policy['*'];
+  return sideEffects ? 'ask' : 'allow';
+}
+
+function patternToRegExp(pattern) {
+  const escaped = pattern.split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`);
+}
+
+/**
+ * Apply overrides that may only tighten a policy (allow → ask → deny),
+ * for permissions from a less trusted place than the base, like a
+ * playground request on top of .vai.json. Each override gets the stricter
+ * of its own permission and the one the base gives that key.
+ * @param {Object<string, string>} base - e.g. the project's policy
+ * @param {Object<string, string>} overrides
+ * @returns {Object<string, 'allow'|'deny'|'ask'>}
+ */
+function tightenToolPermissions(base = {}, overrides = {}) {
+  const policy = { ...base };
+  for (const [key, permission] of Object.entries(overrides)) {
+    const current = resolveToolPermission(key, base);
+    policy[key] = STRICTNESS.indexOf(permission) > STRICTNESS.indexOf(current) ? permission : current;
+  }
+  return policy;
+}
+
+/**
+ * Normalize an approver's answer.
+ * @param {object|boolean|undefined} answer - `{ decision, args?, reason? }` or a boolean
+ * @param {object} args - The arguments the model asked for
+ * @returns {{decision: 'approve'|'edit'|'reject', args: object, reason: string|null}}
+ */
+function normalizeApproval(answer, args) {
+  if (answer === true) return { decision: 'approve', args, reason: null };
+  if (!answer || typeof answer !== 'object') return { decision: 'reject', args, reason: null };
+
+  if (answer.decision === 'approve') return { decision: 'approve', args, reason: null };
+  if (answer.decision === 'edit') {
+    if (!answer.args || typeof answer.args !== 'object' || Array.isArray(answer.args)) {
+      throw new Error('Edited tool arguments must be a JSON object');
+    }
+    return { decision: 'edit', args: answer.args, reason: null };
+  }
+  return { decision: 'reject', args, reason: answer.reason || null };
+}
+
+module.exports = {
+  TOOL_PERMISSIONS,
+  parseToolPermissions,
+  resolveToolPermission,
+  tightenToolPermissions,
+  normalizeApproval,
+};
@@ -6,6 +6,9 @@
  * Single source of truth mapping MCP Zod schemas to LLM tool definitions
  * and dispatching tool execution. Bridges the MCP tool handlers with the
  * agent chat loop.
+ *
+ * User-defined tools from .vai.json (see custom-tools.js) are registered
+ * at runtime and merged with the built-in ones.
  */
 
 const { z } = require('zod');
@@ -40,6 +43,8 @@ function getHandlers() {
 
 /**
  * Tool definitions: name, description, and schema key for each tool.
+ * `sideEffects` marks tools that write data; agent chat asks before
+ * running them unless the tool permission policy says otherwise.
  */
 const TOOL_DEFINITIONS = [
   {
@@ -96,9 +101,80 @@ const TOOL_DEFINITIONS = [
     name: 'vai_ingest',
     description: 'Add a document to a collection: chunks the text, embeds each chunk with Voyage AI, and stores in MongoDB Atlas.',
     schemaKey: 'ingestSchema',
+    sideEffects: true,
   },
 ];
 
+// User-defined tools by name: { name, description, inputSchema, source, sideEffects, execute }
+const customTools = new Map();
+
+/**
+ * Register user-defined tools alongside the built-in ones.
+ * @param {Array<{name: string, description: string, inputSchema: object, source: object, execute: Function}>} tools
+ * @throws {Error} if a name is already taken
+ */
+function registerCustomTools(tools) {
+  const names = new Set();
+  for (const tool of tools) {
+    if (isBuiltinTool(tool.name) || customTools.has(tool.name) || names.has(tool.name)) {
+      throw new Error(`Tool name "${tool.name}" is already in use`);
+    }
+    names.add(tool.name);
+  }
+  for (const tool of tools) customTools.set(tool.name, tool);
+}
+
+/**
+ * Remove all user-defined tools.
+ */
+function clearCustomTools() {
+  customTools.clear();
+}
+
+/**
+ * Whether a tool is one of vai's built-in tools.
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isBuiltinTool(name) {
+  return TOOL_DEFINITIONS.some(d => d.name === name);
+}
+
+/**
+ * Whether a tool changes anything (writes data, calls a non-GET endpoint).
+ * Unknown tools count as side-effecting.
+ * @param {string} name
+ * @returns {boolean}
+ */
+function hasSideEffects(name) {
+  const def = TOOL_DEFINITIONS.find(d => d.name === name);
+  if (def) return !!def.sideEffects;
+  const custom = customTools.get(name);
+  return custom ? custom.sideEffects !== false : true;
+}
+
+/**
+ * List every available tool with where it comes from.
+ * @returns {Array<{name: string, description: string, source: string, sideEffects: boolean}>}
+ *   `source` is "built-in", or "<type>: <label>" for user-defined tools.
+ */
+function listTools() {
+  return [
+    ...TOOL_DEFINITIONS.map(d => ({
+      name: d.name,
+      description: d.description,
+      source: 'built-in',
+      sideEffects: !!d.sideEffects,
+    })),
+    ...[...customTools.values()].map(t => ({
+      name: t.name,
+      description: t.description,
+      source: `${t.source.type}: ${t.source.label}`,
+      sideEffects: t.sideEffects !== false,
+    })),
+  ];
+}
+
 /**
  * Convert a Zod schema fields object (as used in MCP schemas) to JSON Schema.
  * Strips fields with defaults from the required array so the LLM doesn't
@@ -128,49 +204,63 @@ function zodSchemaToJsonSchema(zodFields) {
 }
 
 /**
- * Get tool definitions formatted for a specific LLM provider.
+ * Format a tool for a specific LLM provider.
+ */
+function formatTool(name, description, inputSchema, format) {
+  if (format === 'anthropic') {
+    return {
+      name,
+      description,
+      input_schema: inputSchema,
+    };
+  }
+
+  // OpenAI / Ollama format
+  return {
+    type: 'function',
+    function: {
+      name,
+      description,
+      parameters: inputSchema,
+    },
+  };
+}
+
+/**
+ * Get tool definitions formatted for a specific LLM provider, built-in
+ * tools first, then user-defined ones.
  *
  * @param {'anthropic'|'openai'|'ollama'} format - Provider format
  * @returns {Array} Tool definitions in provider-specific format
  */
 function getToolDefinitions(format) {
-  return TOOL_DEFINITIONS.map(def => {
+  const builtins = TOOL_DEFINITIONS.map(def => {
     const zodFields = schemas[def.schemaKey];
     const inputSchema = zodSchemaToJsonSchema(zodFields);
-
-    if (format === 'anthropic') {
-      return {
-        name: def.name,
-        description: def.description,
-        input_schema: inputSchema,
-      };
-    }
-
-    // OpenAI / Ollama format
-    return {
-      type: 'function',
-      function: {
-        name: def.name,
-        description: def.description,
-        parameters: inputSchema,
-      },
-    };
+    return formatTool(def.name, def.description, inputSchema, format);
   });
+  const custom = [...customTools.values()].map(t => formatTool(t.name, t.description, t.inputSchema, format));
+  return [...builtins, ...custom];
 }
 
 /**
  * Execute a tool by name with the given arguments.
  * Validates args against the Zod schema, then calls the handler.
+ * User-defined tools run their own execute function.
  *
  * @param {string} name - Tool name (e.g. 'vai_query')
  * @param {object} args - Tool arguments
  * @returns {Promise<{structuredContent: object, content: Array}>}
  */
 async function executeTool(name, args) {
+  const custom = customTools.get(name);
+  if (custom) return custom.execute(args);
+
   const handlers = getHandlers();
   const handler = handlers[name];
   if (!handler) {
-    throw new Error(`Unknown tool: "${name}". Available: ${Object.keys(handlers).join(', ')}`);
+    const available = [...Object.keys(handlers), ...customTools.keys()];
+    throw new Error(`Unknown tool: "${name}". Available: ${available.join(', ')}`);
   }
 
   // Find the schema for validation
@@ -191,4 +281,9 @@ module.exports = {
   zodSchemaToJsonSchema,
   getToolDefinitions,
   executeTool,
+  registerCustomTools,
+  clearCustomTools,
+  isBuiltinTool,
+  hasSideEffects,
+  listTools,
 };
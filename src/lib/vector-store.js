@@ -0,0 +1,636 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Vector Store Adapter
+ *
+ * Backend-agnostic storage for embedded chunks. Every retrieval and
+ * ingestion path goes through a store so the same pipeline can run
+ * against MongoDB Atlas ($vectorSearch / $search) or a local file-backed
+ * flat index under ~/.vai/stores (fully offline with --local embeddings).
+ */
+
+const STORE_TYPES = ['mongodb', 'local'];
+
+// Accepted aliases → canonical store type
+const STORE_ALIASES = {
+  mongodb: 'mongodb',
+  mongo: 'mongodb',
+  atlas: 'mongodb',
+  local: 'local',
+  file: 'local',
+};
+
+/**
+ * Default directory for local stores.
+ * @returns {string}
+ */
+function getDefaultStoreDir() {
+  const { CONFIG_DIR } = require('./config');
+  return path.join(CONFIG_DIR, 'stores');
+}
+
+/**
+ * Resolve vector store configuration from CLI opts, env, and project.
+ * `.vai.json` accepts either `"store": "local"` or
+ * `"store": { "type": "local", "path": "./.vai-store" }`.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.store] - Store type from --store
+ * @param {string} [opts.storePath] - Directory for local stores
+ * @returns {{ type: string, path: string }}
+ */
+function resolveStoreConfig(opts = {}) {
+  const { loadProject } = require('./project');
+  const { config: proj } = loadProject();
+  const projStore = typeof proj.store === 'string' ? { type: proj.store } : (proj.store || {});
+
+  const rawType =
+    opts.store ||
+    process.env.VAI_STORE ||
+    projStore.type ||
+    'mongodb';
+
+  const type = STORE_ALIASES[String(rawType).toLowerCase()];
+  if (!type) {
+    throw new Error(`Unknown vector store: "${rawType}". Supported: ${STORE_TYPES.join(', ')}`);
+  }
+
+  const storePath =
+    opts.storePath ||
+    process.env.VAI_STORE_PATH ||
+    projStore.path ||
+    getDefaultStoreDir();
+
+  return { type, path: path.resolve(storePath) };
+}
+
+/**
+ * Create a vector store for a database/collection pair.
+ * @param {object} params
+ * @param {string} params.db - Database name (namespace for local stores)
+ * @param {string} params.collection - Collection name
+ * @param {string} [params.store] - Store type override
+ * @param {string} [params.storePath] - Local store directory override
+ * @returns {MongoVectorStore|LocalVectorStore}
+ */
+function createVectorStore({ db, collection, store, storePath } = {}) {
+  const config = resolveStoreConfig({ store, storePath });
+
+  switch (config.type) {
+    case 'mongodb':
+      return new MongoVectorStore({ db, collection });
+    case 'local':
+      return new LocalVectorStore({ db, collection, dir: config.path });
+    default:
+      throw new Error(`Unknown vector store: "${config.type}". Supported: ${STORE_TYPES.join(', ')}`);
+  }
+}
+
+// ============================================
+// MongoDB Atlas Store
+// ============================================
+
+class MongoVectorStore {
+  /**
+   * @param {object} opts
+   * @param {string} opts.db
+   * @param {string} opts.collection
+   */
+  constructor({ db, collection }) {
+    this.type = 'mongodb';
+    this.db = db;
+    this.collectionName = collection;
+    this._client = null;
+    this._collection = null;
+  }
+
+  get label() {
+    return `${this.db}.${this.collectionName}`;
+  }
+
+  /**
+   * Lazily connect and return the underlying MongoDB collection.
+   * @returns {Promise<import('mongodb').Collection>}
+   */
+  async getCollection() {
+    if (!this._collection) {
+      const { getMongoCollection } = require('./mongo');
+      const { client, collection } = await getMongoCollection(this.db, this.collectionName);
+      this._client = client;
+      this._collection = collection;
+    }
+    return this._collection;
+  }
+
+  /**
+   * Approximate nearest-neighbour search via $vectorSearch.
+   * @param {object} params
+   * @param {number[]} params.vector - Query vector
+   * @param {string} [params.index] - Vector search index name
+   * @param {string} [params.field] - Embedding field
+   * @param {number} [params.limit] - Max results
+   * @param {number} [params.numCandidates] - ANN candidates
+   * @param {object} [params.filter] - Pre-filter
+   * @param {string} [params.scoreField] - Field to write the similarity score to
+   * @param {object} [params.project] - Optional $project stage (score is always added)
+   * @returns {Promise<object[]>}
+   */
+  async search({ vector, index = 'vector_index', field = 'embedding', limit = 10, numCandidates, filter, scoreField = '_vsScore', project }) {
+    const coll = await this.getCollection();
+    const stage = {
+      index,
+      path: field,
+      queryVector: vector,
+      numCandidates: numCandidates || Math.min(limit * 15, 10000),
+      limit,
+    };
+    if (filter) stage.filter = filter;
+
+    const pipeline = [{ $vectorSearch: stage }];
+    if (project) {
+      pipeline.push({ $project: { ...project, [scoreField]: { $meta: 'vectorSearchScore' } } });
+    } else {
+      pipeline.push({ $addFields: { [scoreField]: { $meta: 'vectorSearchScore' } } });
+    }
+    return coll.aggregate(pipeline).toArray();
+  }
+
+  /**
+   * Lexical (BM25) search via Atlas Search $search.
+   * @param {object} params
+   * @param {string} params.query - Query text
+   * @param {string} [params.index] - Atlas Search index name
+   * @param {string} [params.path] - Text field to search
+   * @param {number} [params.limit] - Max results
+   * @param {object} [params.filter] - Post-filter ($match)
+   * @param {string} [params.scoreField] - Field to write the search score to
+   * @param {object} [params.project] - Optional $project stage
+   * @returns {Promise<object[]>}
+   */
+  async textSearch({ query, index = 'search_index', path: textPath = 'text', limit = 10, filter, scoreField = '_textScore', project }) {
+    const coll = await this.getCollection();
+    const pipeline = [{ $search: { index, text: { query, path: textPath } } }];
+    if (filter) pipeline.push({ $match: filter });
+    pipeline.push({ $limit: limit });
+    if (project) {
+      pipeline.push({ $project: { ...project, [scoreField]: { $meta: 'searchScore' } } });
+    } else {
+      pipeline.push({ $addFields: { [scoreField]: { $meta: 'searchScore' } } });
+    }
+    return coll.aggregate(pipeline).toArray();
+  }
+
+  /**
+   * Insert documents.
+   * @param {object[]} docs
+   * @returns {Promise<{insertedCount: number}>}
+   */
+  async insertMany(docs) {
+    const coll = await this.getCollection();
+    const result = await coll.insertMany(docs);
+    return { insertedCount: result.insertedCount };
+  }
+
+  /**
+   * Insert or replace documents by `_id`, so replaying a write is harmless.
+   * @param {object[]} docs - Documents with `_id` set
+   * @returns {Promise<{insertedCount: number, updatedCount: number}>}
+   */
+  async upsertMany(docs) {
+    if (docs.length === 0) return { insertedCount: 0, updatedCount: 0 };
+    const coll = await this.getCollection();
+    const result = await coll.bulkWrite(
+      docs.map(doc => ({ replaceOne: { filter: { _id: doc._id }, replacement: doc, upsert: true } })),
+      { ordered: false },
+    );
+    return { insertedCount: result.upsertedCount, updatedCount: result.matchedCount };
+  }
+
+  /**
+   * Find documents matching a filter.
+   * @param {object} [filter]
+   * @param {object} [opts]
+   * @param {object} [opts.project] - Inclusion projection
+   * @returns {Promise<object[]>}
+   */
+  async find(filter = {}, { project } = {}) {
+    const coll = await this.getCollection();
+    return coll.find(filter, project ? { projection: project } : {}).toArray();
+  }
+
+  /**
+   * Delete documents matching a filter.
+   * @param {object} filter
+   * @returns {Promise<{deletedCount: number}>}
+   */
+  async deleteMany(filter) {
+    const coll = await this.getCollection();
+    const result = await coll.deleteMany(filter);
+    return { deletedCount: result.deletedCount };
+  }
+
+  /**
+   * Create the Atlas vector search index if it does not already exist.
+   * @param {object} params
+   * @param {string} [params.name]
+   * @param {string} [params.field]
+   * @param {number} params.dimensions
+   * @param {string} [params.similarity]
+   * @returns {Promise<{created: boolean}>}
+   */
+  async ensureVectorIndex({ name = 'vector_index', field = 'embedding', dimensions, similarity = 'cosine' }) {
+    const coll = await this.getCollection();
+    const indexes = await coll.listSearchIndexes().toArray();
+    if (indexes.some(idx => idx.name === name)) return { created: false };
+
+    await coll.createSearchIndex({
+      name,
+      type: 'vectorSearch',
+      definition: {
+        fields: [{ type: 'vector', path: field, numDimensions: dimensions, similarity }],
+      },
+    });
+    return { created: true };
+  }
+
+  /**
+   * Count documents, optionally matching a filter.
+   * @param {object} [filter]
+   * @returns {Promise<number>}
+   */
+  async count(filter) {
+    const coll = await this.getCollection();
+    return filter ? coll.countDocuments(filter) : coll.estimatedDocumentCount();
+  }
+
+  async close() {
+    if (this._client) {
+      await this._client.close();
+      this._client = null;
+      this._collection = null;
+    }
+  }
+}
+
+// ============================================
+// Local File-Backed Store
+// ============================================
+
+class LocalVectorStore {
+  /**
+   * Flat (exact) index persisted as JSONL: <dir>/<db>/<collection>.jsonl
+   * @param {object} opts
+   * @param {string} opts.db
+   * @param {string} opts.collection
+   * @param {string} [opts.dir] - Root directory (default ~/.vai/stores)
+   */
+  constructor({ db, collection, dir }) {
+    this.type = 'local';
+    this.db = db;
+    this.collectionName = collection;
+    this.dir = dir || getDefaultStoreDir();
+    this.filePath = path.join(this.dir, sanitizeName(db), `${sanitizeName(collection)}.jsonl`);
+    this._docs = null;
+  }
+
+  get label() {
+    return `${this.db}.${this.collectionName} (local)`;
+  }
+
+  _load() {
+    if (this._docs) return this._docs;
+    this._docs = [];
+    if (!fs.existsSync(this.filePath)) return this._docs;
+
+    const lines = fs.readFileSync(this.filePath, 'utf-8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        this._docs.push(JSON.parse(line));
+      } catch {
+        // Skip a torn trailing line from an interrupted write
+      }
+    }
+    return this._docs;
+  }
+
+  /**
+   * Exact cosine-similarity search over every stored vector.
+   * Accepts the same parameters as MongoVectorStore#search; `index` and
+   * `numCandidates` are ignored because the scan is exhaustive.
+   * @returns {Promise<object[]>}
+   */
+  async search({ vector, field = 'embedding', limit = 10, filter, scoreField = '_vsScore', project }) {
+    const { cosineSimilarity } = require('./math');
+    const scored = [];
+
+    for (const doc of this._load()) {
+      const vec = getPath(doc, field);
+      if (!Array.isArray(vec) || vec.length !== vector.length) continue;
+      if (filter && !matchesFilter(doc, filter)) continue;
+      scored.push({ doc, score: cosineSimilarity(vector, vec) });
+    }
+
+    scored.sort((a, b) => b.score - a.score);
+
+    return scored.slice(0, limit).map(({ doc, score }) => {
+      const out = project ? projectDoc(doc, project) : { ...doc };
+      // Match Atlas vectorSearchScore range: (1 + cosine) / 2
+      out[scoreField] = (1 + score) / 2;
+      return out;
+    });
+  }
+
+  /**
+   * Lexical search scored with BM25 over the text field.
+   * Accepts the same parameters as MongoVectorStore#textSearch.
+   * @returns {Promise<object[]>}
+   */
+  async textSearch({ query, path: textPath = 'text', limit = 10, filter, scoreField = '_textScore', project }) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return [];
+
+    const candidates = [];
+    for (const doc of this._load()) {
+      if (filter && !matchesFilter(doc, filter)) continue;
+      const text = getPath(doc, textPath);
+      if (typeof text !== 'string') continue;
+      candidates.push({ doc, terms: tokenize(text) });
+    }
+    if (candidates.length === 0) return [];
+
+    const avgLen = candidates.reduce((sum, c) => sum + c.terms.length, 0) / candidates.length;
+    const docFreq = new Map();
+    for (const c of candidates) {
+      for (const term of new Set(c.terms)) docFreq.set(term, (docFreq.get(term) || 0) + 1);
+    }
+
+    const k1 = 1.2;
+    const b = 0.75;
+    const scored = [];
+    for (const { doc, terms } of candidates) {
+      const tf = new Map();
+      for (const t of terms) tf.set(t, (tf.get(t) || 0) + 1);
+
+      let score = 0;
+      for (const term of queryTerms) {
+        const f = tf.get(term);
+        if (!f) continue;
+        const n = docFreq.get(term);
+        const idf = Math.log(1 + (candidates.length - n + 0.5) / (n + 0.5));
+        score += idf * (f * (k1 + 1)) / (f + k1 * (1 - b + b * (terms.length / (avgLen || 1))));
+      }
+      if (score > 0) scored.push({ doc, score });
+    }
+
+    scored.sort((x, y) => y.score - x.score);
+
+    return scored.slice(0, limit).map(({ doc, score }) => {
+      const out = project ? projectDoc(doc, project) : { ...doc };
+      out[scoreField] = score;
+      return out;
+    });
+  }
+
+  /**
+   * Append documents to the store file.
+   * @param {object[]} docs
+   * @returns {Promise<{insertedCount: number}>}
+   */
+  async insertMany(docs) {
+    const docsArr = this._load();
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const lines = [];
+    for (const doc of docs) {
+      const stored = { ...doc, _id: doc._id != null ? doc._id : crypto.randomUUID() };
+      const serialized = JSON.stringify(stored);
+      docsArr.push(JSON.parse(serialized));
+      lines.push(serialized);
+    }
+    if (lines.length > 0) {
+      fs.appendFileSync(this.filePath, lines.join('\n') + '\n', 'utf-8');
+    }
+    return { insertedCount: lines.length };
+  }
+
+  /**
+   * Insert or replace documents by `_id`, so replaying a write is harmless.
+   * @param {object[]} docs - Documents with `_id` set
+   * @returns {Promise<{insertedCount: number, updatedCount: number}>}
+   */
+  async upsertMany(docs) {
+    const docsArr = this._load();
+    const positions = new Map(docsArr.map((d, i) => [String(d._id), i]));
+    const fresh = [];
+    let updatedCount = 0;
+
+    for (const doc of docs) {
+      const at = positions.get(String(doc._id));
+      if (at == null) {
+        fresh.push(doc);
+      } else {
+        docsArr[at] = JSON.parse(JSON.stringify(doc));
+        updatedCount++;
+      }
+    }
+
+    if (updatedCount > 0) this._writeAll(docsArr);
+    const { insertedCount } = await this.insertMany(fresh);
+    return { insertedCount, updatedCount };
+  }
+
+  /**
+   * Find documents matching a filter.
+   * @param {object} [filter]
+   * @param {object} [opts]
+   * @param {object} [opts.project] - Inclusion projection
+   * @returns {Promise<object[]>}
+   */
+  async find(filter = {}, { project } = {}) {
+    return this._load()
+      .filter(d => matchesFilter(d, filter))
+      .map(d => (project ? projectDoc(d, project) : { ...d }));
+  }
+
+  /**
+   * Delete documents matching a filter. The store file is rewritten to a
+   * temp file and renamed into place so an interrupted run leaves either
+   * the old or the new contents, never a partial file.
+   * @param {object} filter
+   * @returns {Promise<{deletedCount: number}>}
+   */
+  async deleteMany(filter) {
+    const docs = this._load();
+    const kept = docs.filter(d => !matchesFilter(d, filter));
+    const deletedCount = docs.length - kept.length;
+    if (deletedCount === 0) return { deletedCount };
+
+    this._writeAll(kept);
+    return { deletedCount };
+  }
+
+  /**
+   * Replace the store file with `docs` via a temp file and rename.
+   */
+  _writeAll(docs) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    const body = docs.map(d => JSON.stringify(d)).join('\n');
+    fs.writeFileSync(tmpPath, body ? body + '\n' : '', 'utf-8');
+    fs.renameSync(tmpPath, this.filePath);
+    this._docs = docs;
+  }
+
+  /**
+   * Local stores are scanned exhaustively, so there is no index to build.
+   * @returns {Promise<{created: boolean}>}
+   */
+  async ensureVectorIndex() {
+    return { created: false };
+  }
+
+  /**
+   * Count documents, optionally matching a filter.
+   * @param {object} [filter]
+   * @returns {Promise<number>}
+   */
+  async count(filter) {
+    const docs = this._load();
+    return filter ? docs.filter(d => matchesFilter(d, filter)).length : docs.length;
+  }
+
+  async close() {
+    this._docs = null;
+  }
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+function sanitizeName(name) {
+  return String(name || 'default').replace(/[^a-zA-Z0-9._-]/g, '_');
+}
+
+/**
+ * Split text into lowercase terms for BM25. Underscores are kept so
+ * identifiers like ERR_TIMEOUT or get_user stay a single term.
+ */
+function tokenize(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+/**
+ * Read a dotted path from a document.
+ */
+function getPath(doc, dotted) {
+  let cur = doc;
+  for (const part of String(dotted).split('.')) {
+    if (cur == null) return undefined;
+    cur = cur[part];
+  }
+  return cur;
+}
+
+/**
+ * Apply an inclusion projection ({ field: 1 }) to a document. Dotted keys
+ * produce nested output, as they do in MongoDB.
+ */
+function projectDoc(doc, project) {
+  const out = { _id: doc._id };
+  for (const [key, val] of Object.entries(project)) {
+    if (!val) continue;
+    const v = getPath(doc, key);
+    if (v === undefined) continue;
+    const parts = key.split('.');
+    let cur = out;
+    for (const part of parts.slice(0, -1)) {
+      if (cur[part] == null || typeof cur[part] !== 'object') cur[part] = {};
+      cur = cur[part];
+    }
+    cur[parts[parts.length - 1]] = v;
+  }
+  return out;
+}
+
+/**
+ * Evaluate the subset of MongoDB query syntax supported by $vectorSearch
+ * pre-filters: equality, $eq/$ne/$gt/$gte/$lt/$lte/$in/$nin/$exists,
+ * and $and/$or/$nor.
+ *
+ * @param {object} doc
+ * @param {object} filter
+ * @returns {boolean}
+ */
+function matchesFilter(doc, filter) {
+  for (const [key, cond] of Object.entries(filter || {})) {
+    if (key === '$and') {
+      if (!cond.every(f => matchesFilter(doc, f))) return false;
+      continue;
+    }
+    if (key === '$or') {
+      if (!cond.some(f => matchesFilter(doc, f))) return false;
+      continue;
+    }
+    if (key === '$nor') {
+      if (cond.some(f => matchesFilter(doc, f))) return false;
+      continue;
+    }
+
+    const value = getPath(doc, key);
+    const isOperatorObject = cond && typeof cond === 'object' && !Array.isArray(cond) &&
+      Object.keys(cond).length > 0 && Object.keys(cond).every(k => k.startsWith('$'));
+
+    if (!isOperatorObject) {
+      if (!valueEquals(value, cond)) return false;
+      continue;
+    }
+
+    for (const [op, arg] of Object.entries(cond)) {
+      if (!matchOperator(value, op, arg)) return false;
+    }
+  }
+  return true;
+}
+
+function valueEquals(value, target) {
+  if (Array.isArray(value) && !Array.isArray(target)) {
+    return value.some(v => valueEquals(v, target));
+  }
+  if (value instanceof Object || target instanceof Object) {
+    return JSON.stringify(value) === JSON.stringify(target);
+  }
+  return value === target;
+}
+
+function matchOperator(value, op, arg) {
+  switch (op) {
+    case '$eq': return valueEquals(value, arg);
+    case '$ne': return !valueEquals(value, arg);
+    case '$gt': return value != null && value > arg;
+    case '$gte': return value != null && value >= arg;
+    case '$lt': return value != null && value < arg;
+    case '$lte': return value != null && value <= arg;
+    case '$in': return Array.isArray(arg) && arg.some(a => valueEquals(value, a));
+    case '$nin': return Array.isArray(arg) && !arg.some(a => valueEquals(value, a));
+    case '$exists': return (value !== undefined) === !!arg;
+    default:
+      throw new Error(`Unsupported filter operator for local store: ${op}`);
+  }
+}
+
+module.exports = {
+  STORE_TYPES,
+  resolveStoreConfig,
+  createVectorStore,
+  getDefaultStoreDir,
+  matchesFilter,
+  tokenize,
+  MongoVectorStore,
+  LocalVectorStore,
+};
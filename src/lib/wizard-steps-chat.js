@@ -11,7 +11,10 @@
  * (answers, config) so renderers can evaluate them.
  */
 
-const { PROVIDER_DEFAULTS, PROVIDER_MODELS, listOllamaModels } = require('./llm');
+const { PROVIDER_DEFAULTS, PROVIDER_MODELS, listOllamaModels, listModels } = require('./llm');
+
+// Model option that switches to a free-text model name
+const CUSTOM_MODEL = '__custom__';
 
 // Cache Ollama detection across steps
 let _ollamaModels = null;
@@ -55,6 +58,11 @@ async function getProviderOptions() {
       label: 'OpenAI (GPT-4o)',
       hint: 'Broad model selection',
     },
+    {
+      value: 'gemini',
+      label: 'Google Gemini',
+      hint: 'Long context, low cost',
+    },
     {
       value: 'ollama',
       label: ollamaAvailable
@@ -67,6 +75,11 @@ async function getProviderOptions() {
       label: 'AWS Bedrock (Claude)',
       hint: 'Uses your AWS credentials',
     },
+    {
+      value: 'openai-compatible',
+      label: 'OpenAI-compatible server',
+      hint: 'vLLM, LM Studio, llama.cpp, Azure OpenAI',
+    },
   ];
 
   return options;
@@ -91,6 +104,23 @@ async function getModelOptions(answers) {
     }));
   }
 
+  if (provider === 'openai-compatible') {
+    const models = await listModels(provider, {
+      baseUrl: answers.baseUrl,
+      apiKey: answers.apiKey,
+      apiKeyHeader: answers.apiKeyHeader,
+      timeoutMs: 3000,
+    });
+    return [
+      ...models.map(m => ({ value: m.id, label: m.name })),
+      {
+        value: CUSTOM_MODEL,
+        label: 'Other…',
+        hint: models.length === 0 ? 'server did not list its models' : 'type a model or deployment name',
+      },
+    ];
+  }
+
   const cloudModels = PROVIDER_MODELS[provider] || [];
   return cloudModels.map(m => ({
     value: m.id,
@@ -118,11 +148,30 @@ const chatSetupSteps = [
     group: 'LLM Configuration',
   },
 
+  {
+    id: 'baseUrl',
+    label: 'Server URL',
+    type: 'text',
+    required: true,
+    placeholder: 'http://localhost:8000/v1',
+    skip: (answers, config) => {
+      const provider = answers.provider || config.llmProvider;
+      if (provider !== 'openai-compatible') return true;
+      if (config.llmBaseUrl) return true;
+      return false;
+    },
+    validate: (value) => {
+      if (!/^https?:\/\/\S+$/.test(value || '')) return 'Enter an http(s) URL';
+      return true;
+    },
+    group: 'LLM Configuration',
+  },
+
   {
     id: 'apiKey',
     label: 'API Key',
     type: 'password',
-    required: true,
+    required: false, // enforced in validate — optional for openai-compatible servers
     placeholder: 'sk-...',
     skip: (answers, config) => {
       // Skip for Ollama (no key needed)
@@ -132,13 +181,30 @@ const chatSetupSteps = [
       if (config.llmApiKey) return true;
       return false;
     },
-    validate: (value) => {
+    validate: (value, answers = {}) => {
+      // Local servers usually run without auth
+      if (!value && answers.provider === 'openai-compatible') return true;
       if (!value || value.length < 8) return 'API key looks too short';
       return true;
     },
     group: 'LLM Configuration',
   },
 
+  {
+    id: 'apiKeyHeader',
+    label: 'API key header (blank for Authorization: Bearer)',
+    type: 'text',
+    required: false,
+    placeholder: 'api-key',
+    skip: (answers, config) => {
+      const provider = answers.provider || config.llmProvider;
+      if (provider !== 'openai-compatible') return true;
+      if (!answers.apiKey) return true;
+      return false;
+    },
+    group: 'LLM Configuration',
+  },
+
   {
     id: 'model',
     label: 'Model',
@@ -152,6 +218,16 @@ const chatSetupSteps = [
     group: 'LLM Configuration',
   },
 
+  {
+    id: 'customModel',
+    label: 'Model or deployment name',
+    type: 'text',
+    required: true,
+    placeholder: 'meta-llama/Llama-3.1-8B-Instruct',
+    skip: (answers) => answers.model !== CUSTOM_MODEL,
+    group: 'LLM Configuration',
+  },
+
   {
     id: 'ollamaBaseUrl',
     label: 'Ollama URL',
@@ -215,6 +291,7 @@ const chatSetupSteps = [
 ];
 
 module.exports = {
+  CUSTOM_MODEL,
   chatSetupSteps,
   getProviderOptions,
   getModelOptions,
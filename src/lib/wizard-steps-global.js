@@ -23,6 +23,7 @@ async function getProviderOptions() {
   return [
     { value: 'anthropic', label: 'Anthropic (Claude)', hint: 'Best instruction following' },
     { value: 'openai', label: 'OpenAI (GPT-4o)', hint: 'Broad model selection' },
+    { value: 'gemini', label: 'Google Gemini', hint: 'Long context, low cost' },
     {
       value: 'ollama',
       label: ollamaAvailable
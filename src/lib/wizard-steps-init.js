@@ -11,11 +11,12 @@ const { MODEL_CATALOG } = require('./catalog');
 const { STRATEGIES } = require('./chunker');
 
 /**
- * Get available embedding models (non-legacy, non-unreleased).
+ * Get available embedding models (non-legacy, non-unreleased). Contextualized
+ * models are left out: they are opted into per run with --contextual.
  */
 function getEmbeddingModelOptions() {
   return MODEL_CATALOG
-    .filter(m => m.type === 'embedding' && !m.legacy && !m.unreleased)
+    .filter(m => m.type === 'embedding' && !m.legacy && !m.unreleased && !m.contextualized)
     .map(m => ({
       value: m.name,
       label: m.name,
@@ -35,6 +36,7 @@ function getStrategyOptions() {
     paragraph: 'Split on paragraph boundaries',
     recursive: 'Recursive splitting (recommended)',
     markdown: 'Markdown-aware splitting',
+    structured: 'Keeps tables, code blocks and lists intact',
   };
   return STRATEGIES.map(s => ({
     value: s,
@@ -49,9 +49,11 @@ function buildToolOptions() {
     filter: 'Filter results by condition',
     transform: 'Transform data with expressions',
     generate: 'Generate text with an LLM',
+    verify: 'Check an answer against its context',
     conditional: 'Branch based on a condition',
     loop: 'Loop over items',
     template: 'Render a template string',
+    workflow: 'Run another workflow',
     chunk: 'Split text into chunks',
     aggregate: 'Aggregate values',
     http: 'Make an HTTP request',
@@ -711,7 +713,8 @@ function getSuggestedInputKeys(tool) {
     similarity: ['text1', 'text2', 'model'],
     ingest: ['collection', 'documents', 'model'],
     estimate: ['text', 'model'],
-    generate: ['prompt', 'context', 'format', 'model'],
+    generate: ['prompt', 'context', 'outputSchema', 'format', 'model'],
+    verify: ['answer', 'context', 'method', 'threshold'],
     merge: ['arrays', 'dedup'],
     filter: ['items', 'condition'],
     transform: ['items', 'expression'],
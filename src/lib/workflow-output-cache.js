@@ -0,0 +1,131 @@
+'use strict';
+
+/**
+ * Step output cache for workflows.
+ *
+ * Steps that opt in with `"cache": true` (or a TTL) store their output under
+ * a key derived from the tool, resolved inputs and workflow defaults, so a
+ * re-run with the same inputs reuses it instead of calling the API again.
+ * One file per entry: ~/.vai/workflow-cache/<key>.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+const CACHE_DIR = path.join(os.homedir(), '.vai', 'workflow-cache');
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const TTL_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a step's `cache` setting into a TTL.
+ * `true` caches for 24 hours; a number is seconds; a string is a number
+ * with a unit: "30s", "10m", "2h", "7d".
+ *
+ * @param {boolean|number|string} [value]
+ * @returns {number|null} TTL in milliseconds, or null when caching is off
+ * @throws {Error} for values that are not a valid cache setting
+ */
+function parseCacheTtl(value) {
+  if (value === undefined || value === false) return null;
+  if (value === true) return DEFAULT_TTL_MS;
+  if (typeof value === 'number' && Number.isFinite(value) && value > 0) return value * 1000;
+  const match = typeof value === 'string' && /^(\d+)\s*([smhd])$/.exec(value.trim());
+  if (match && parseInt(match[1], 10) > 0) return parseInt(match[1], 10) * TTL_UNITS[match[2]];
+  throw new Error('"cache" must be true, false, a number of seconds, or a duration like "30m", "2h", "7d"');
+}
+
+/**
+ * JSON with object keys sorted, so equal inputs always give the same key.
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Content-addressed key for a step execution.
+ *
+ * @param {string} tool - Step tool
+ * @param {object} inputs - Resolved step inputs
+ * @param {object} [defaults] - Workflow defaults (db, collection, model, ...)
+ * @returns {string} 32 hex chars
+ */
+function outputCacheKey(tool, inputs, defaults = {}) {
+  return crypto.createHash('sha256')
+    .update(stableStringify({ tool, inputs, defaults }))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+/**
+ * Read a cached output.
+ *
+ * @param {string} key - From outputCacheKey
+ * @param {number} ttlMs - Entries older than this are ignored
+ * @param {string} [cacheDir] - Override for testing
+ * @returns {{output: any, cachedAt: string}|null} null on a miss
+ */
+function readCachedOutput(key, ttlMs, cacheDir) {
+  const file = path.join(cacheDir || CACHE_DIR, `${key}.json`);
+  try {
+    const entry = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    if (!entry || !entry.cachedAt) return null;
+    if (Date.now() - new Date(entry.cachedAt).getTime() > ttlMs) return null;
+    return { output: entry.output, cachedAt: entry.cachedAt };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Store an output.
+ *
+ * @param {string} key - From outputCacheKey
+ * @param {string} tool - Step tool, stored with the entry for inspection
+ * @param {any} output - Step output (without `_usage`)
+ * @param {string} [cacheDir] - Override for testing
+ */
+function writeCachedOutput(key, tool, output, cacheDir) {
+  const dir = cacheDir || CACHE_DIR;
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${key}.json`);
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ tool, cachedAt: new Date().toISOString(), output }) + '\n', 'utf-8');
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Delete every cached output.
+ *
+ * @param {string} [cacheDir] - Override for testing
+ * @returns {number} Entries removed
+ */
+function clearOutputCache(cacheDir) {
+  const dir = cacheDir || CACHE_DIR;
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter(f => f.endsWith('.json'));
+  } catch {
+    return 0;
+  }
+  for (const f of files) fs.rmSync(path.join(dir, f), { force: true });
+  return files.length;
+}
+
+module.exports = {
+  CACHE_DIR,
+  DEFAULT_TTL_MS,
+  parseCacheTtl,
+  outputCacheKey,
+  readCachedOutput,
+  writeCachedOutput,
+  clearOutputCache,
+};
@@ -0,0 +1,293 @@
+'use strict';
+
+/**
+ * Workflow Run Store
+ *
+ * Durable records of `vai workflow run` executions, so a failed run can be
+ * resumed instead of started over. A record holds the run's inputs and the
+ * output, status and timing of every step; it is rewritten as each layer of
+ * the execution plan completes. `vai workflow resume <runId>` reuses the
+ * outputs of steps that completed and re-executes only failed steps, steps
+ * whose definition changed since, and everything downstream of them.
+ *
+ * Records: ~/.vai/workflow-runs/<runId>.json (the newest MAX_RUNS are kept)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAX_RUNS = 100;
+
+/**
+ * Default directory for run records.
+ * @returns {string}
+ */
+function getRunsDir() {
+  const { CONFIG_DIR } = require('./config');
+  return path.join(CONFIG_DIR, 'workflow-runs');
+}
+
+/**
+ * Fingerprint of a step definition, to tell whether it changed between a
+ * run and its resume.
+ * @param {object} step
+ * @returns {string} 16 hex chars
+ */
+function stepFingerprint(step) {
+  return crypto.createHash('sha256').update(JSON.stringify(step)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Status of a step from its executeWorkflow step result.
+ * @param {object} result
+ * @returns {'completed'|'failed'|'skipped'}
+ */
+function stepStatus(result) {
+  if (result.skipped) return 'skipped';
+  if (result.error !== undefined) return 'failed';
+  return 'completed';
+}
+
+class WorkflowRunStore {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.dir] - Record directory (default ~/.vai/workflow-runs)
+   */
+  constructor({ dir } = {}) {
+    this.dir = dir || getRunsDir();
+  }
+
+  _path(runId) {
+    return path.join(this.dir, `${runId}.json`);
+  }
+
+  /**
+   * Start recording a run.
+   * @param {object} opts
+   * @param {object} opts.definition - Workflow definition being run
+   * @param {string} opts.source - What to resolve the workflow from on resume
+   *   (absolute file path, built-in or package name)
+   * @param {object} [opts.inputs] - Inputs as given on the command line
+   * @param {string} [opts.db] - --db override
+   * @param {string} [opts.collection] - --collection override
+   * @returns {object} The saved run record
+   */
+  create({ definition, source, inputs = {}, db, collection }) {
+    const run = {
+      id: crypto.randomUUID(),
+      workflow: definition.name || source,
+      source,
+      definition,
+      inputs,
+      ...(db && { db }),
+      ...(collection && { collection }),
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      resumes: 0,
+      steps: {},
+    };
+    this.save(run);
+    this.prune();
+    return run;
+  }
+
+  /**
+   * Record the steps of a completed layer (see executeWorkflow's onLayerComplete).
+   * @param {object} run
+   * @param {Array<object>} results - Step results of the layer
+   */
+  recordLayer(run, results) {
+    const stepMap = new Map((run.definition.steps || []).map(s => [s.id, s]));
+    for (const r of results) {
+      if (r.reused) continue;
+      const step = stepMap.get(r.id);
+      run.steps[r.id] = {
+        tool: r.tool,
+        status: stepStatus(r),
+        ...(r.output !== undefined && { output: r.output }),
+        ...(r.error !== undefined && { error: r.error }),
+        ...(r.reason && { reason: r.reason }),
+        durationMs: r.durationMs,
+        ...(r.retries > 0 && { attempts: r.attempts, retries: r.retries }),
+        fingerprint: step ? stepFingerprint(step) : null,
+        finishedAt: new Date().toISOString(),
+      };
+    }
+    this.save(run);
+  }
+
+  /**
+   * Mark a run finished.
+   * @param {object} run
+   * @param {object} opts
+   * @param {object} [opts.result] - executeWorkflow result, when the run succeeded
+   * @param {Error} [opts.error] - Why the run failed
+   */
+  finish(run, { result, error }) {
+    run.status = error ? 'failed' : 'completed';
+    run.finishedAt = new Date().toISOString();
+    if (error) {
+      run.error = error.message;
+    } else {
+      delete run.error;
+      run.output = result.output;
+      run.totalTimeMs = result.totalTimeMs;
+    }
+    this.save(run);
+  }
+
+  /**
+   * Write a run record. Written to a temp file first so a crash mid-write
+   * never leaves a torn record.
+   * @param {object} run
+   */
+  save(run) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const file = this._path(run.id);
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(run, null, 2) + '\n', 'utf-8');
+    fs.renameSync(tmp, file);
+  }
+
+  /**
+   * Load a run by ID or unique ID prefix (as shown by `vai workflow runs list`).
+   * @param {string} id
+   * @returns {object|null} null if no run matched
+   * @throws {Error} when the prefix matches several runs
+   */
+  load(id) {
+    const prefix = String(id).trim();
+    if (!prefix) return null;
+    const matches = this._ids().filter(runId => runId.startsWith(prefix));
+    if (matches.length === 0) return null;
+    if (matches.length > 1 && !matches.includes(prefix)) {
+      throw new Error(`Run ID "${prefix}" is ambiguous; use more characters`);
+    }
+    const runId = matches.includes(prefix) ? prefix : matches[0];
+    try {
+      return JSON.parse(fs.readFileSync(this._path(runId), 'utf-8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * List runs, newest first.
+   * @param {object} [opts]
+   * @param {number} [opts.limit=20]
+   * @returns {Array<{id: string, workflow: string, status: string, startedAt: string,
+   *   finishedAt: string|null, resumes: number, steps: number, failed: number}>}
+   */
+  list({ limit = 20 } = {}) {
+    const runs = [];
+    for (const runId of this._ids()) {
+      try {
+        const run = JSON.parse(fs.readFileSync(this._path(runId), 'utf-8'));
+        const steps = Object.values(run.steps || {});
+        runs.push({
+          id: run.id,
+          workflow: run.workflow,
+          status: run.status,
+          startedAt: run.startedAt,
+          finishedAt: run.finishedAt,
+          resumes: run.resumes || 0,
+          steps: steps.length,
+          failed: steps.filter(s => s.status === 'failed').length,
+        });
+      } catch {
+        // Unreadable record; skip it
+      }
+    }
+    runs.sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+    return runs.slice(0, limit);
+  }
+
+  /**
+   * Delete all but the newest `keep` records.
+   * @param {number} [keep=MAX_RUNS]
+   */
+  prune(keep = MAX_RUNS) {
+    const files = this._ids()
+      .map(runId => {
+        const file = this._path(runId);
+        try {
+          return { file, mtime: fs.statSync(file).mtimeMs };
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.mtime - a.mtime);
+    for (const { file } of files.slice(keep)) {
+      fs.rmSync(file, { force: true });
+    }
+  }
+
+  _ids() {
+    try {
+      return fs.readdirSync(this.dir)
+        .filter(f => f.endsWith('.json'))
+        .map(f => f.slice(0, -'.json'.length));
+    } catch {
+      return [];
+    }
+  }
+}
+
+/**
+ * Work out which steps a resumed run can reuse. A step is re-executed when
+ * it failed or never ran, when its definition changed since the run, or
+ * when any step it depends on is re-executed.
+ *
+ * @param {object} run - Run record
+ * @param {object} definition - Workflow definition to resume with
+ * @returns {{reuse: Object<string, {output: any, skipped?: boolean, reason?: string}>, rerun: string[]}}
+ *   `reuse` is passed to executeWorkflow; `rerun` lists the re-executed step IDs
+ */
+function planResume(run, definition) {
+  const { buildDependencyGraph } = require('./workflow');
+  const steps = definition.steps || [];
+  const graph = buildDependencyGraph(steps);
+
+  const rerun = new Set();
+  for (const step of steps) {
+    const record = run.steps?.[step.id];
+    if (!record || record.status === 'failed' || record.fingerprint !== stepFingerprint(step)) {
+      rerun.add(step.id);
+    }
+  }
+
+  // Everything downstream of a re-executed step runs again too
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const [stepId, deps] of graph) {
+      if (rerun.has(stepId)) continue;
+      if ([...deps].some(d => rerun.has(d))) {
+        rerun.add(stepId);
+        changed = true;
+      }
+    }
+  }
+
+  const reuse = {};
+  for (const step of steps) {
+    if (rerun.has(step.id)) continue;
+    const record = run.steps[step.id];
+    reuse[step.id] = record.status === 'skipped'
+      ? { output: null, skipped: true, ...(record.reason && { reason: record.reason }) }
+      : { output: record.output };
+  }
+
+  return { reuse, rerun: steps.map(s => s.id).filter(id => rerun.has(id)) };
+}
+
+module.exports = {
+  MAX_RUNS,
+  getRunsDir,
+  stepFingerprint,
+  planResume,
+  WorkflowRunStore,
+};
@@ -6,6 +6,7 @@ const {
   resolveTemplate,
   resolveString,
   extractDependencies,
+  extractReferences,
   isTemplateString,
 } = require('./template-engine');
 
@@ -17,9 +18,10 @@ const VAI_TOOLS = new Set([
   'query', 'search', 'rerank', 'embed', 'similarity',
   'ingest', 'collections', 'models', 'explain', 'estimate',
   'code_index', 'code_search', 'code_query', 'code_find_similar', 'code_status',
+  'verify',
 ]);
 
-const CONTROL_FLOW_TOOLS = new Set(['merge', 'filter', 'transform', 'generate', 'conditional', 'loop', 'template']);
+const CONTROL_FLOW_TOOLS = new Set(['merge', 'filter', 'transform', 'generate', 'conditional', 'loop', 'template', 'workflow']);
 
 const PROCESSING_TOOLS = new Set(['chunk', 'aggregate']);
 
@@ -27,6 +29,17 @@ const INTEGRATION_TOOLS = new Set(['http']);
 
 const ALL_TOOLS = new Set([...VAI_TOOLS, ...CONTROL_FLOW_TOOLS, ...PROCESSING_TOOLS, ...INTEGRATION_TOOLS]);
 
+// Tools that call an API (Voyage, MongoDB, the LLM or an HTTP endpoint); each
+// of their executions counts toward the workflow's "limits"
+const REQUEST_TOOLS = new Set([...VAI_TOOLS, 'generate', 'http']);
+
+// Tools whose output depends only on their inputs, so a step can opt in to
+// output caching with "cache" (see workflow-output-cache.js)
+const CACHEABLE_TOOLS = new Set([
+  'query', 'search', 'rerank', 'embed', 'similarity', 'estimate', 'chunk',
+  'code_search', 'code_query', 'code_find_similar',
+]);
+
 // ════════════════════════════════════════════════════════════════════
 // Schema Limits (Phase 1 Enhanced Validation)
 // ════════════════════════════════════════════════════════════════════
@@ -118,6 +131,13 @@ function validateWorkflow(definition, { mode = 'strict' } = {}) {
     }
   }
 
+  // Validate workflow-wide request limits (optional)
+  if (definition.limits !== undefined) {
+    for (const message of validateLimits(definition.limits)) {
+      addIssue('error', null, 'INVALID_LIMITS', message);
+    }
+  }
+
   // Step-level validation
   const stepIds = new Set();
   const duplicateIds = new Set();
@@ -197,6 +217,32 @@ function validateWorkflow(definition, { mode = 'strict' } = {}) {
     if (step.forEach !== undefined && typeof step.forEach !== 'string') {
       addIssue('error', step.id, 'INVALID_FOREACH', `${stepPrefix}: "forEach" must be a string`);
     }
+
+    // Parallel forEach iterations
+    if (step.concurrency !== undefined) {
+      const problem = step.forEach === undefined
+        ? '"concurrency" only applies to forEach steps (a loop takes it as an input)'
+        : concurrencyProblem(step.concurrency, '"concurrency"');
+      if (problem) addIssue('error', step.id, 'INVALID_CONCURRENCY', `${stepPrefix}: ${problem}`);
+    }
+
+    // Retry and timeout policies
+    for (const { code, message } of validateStepPolicy(step)) {
+      addIssue('error', step.id, code, `${stepPrefix}: ${message}`);
+    }
+
+    // Output caching
+    if (step.cache !== undefined && step.cache !== false) {
+      const { parseCacheTtl } = require('./workflow-output-cache');
+      try {
+        parseCacheTtl(step.cache);
+        if (step.tool && !CACHEABLE_TOOLS.has(step.tool)) {
+          addIssue('error', step.id, 'INVALID_CACHE', `${stepPrefix}: "cache" is only supported for ${[...CACHEABLE_TOOLS].join(', ')}`);
+        }
+      } catch (err) {
+        addIssue('error', step.id, 'INVALID_CACHE', `${stepPrefix}: ${err.message}`);
+      }
+    }
   }
 
   // Report duplicates
@@ -242,12 +288,38 @@ function validateWorkflow(definition, { mode = 'strict' } = {}) {
       if (!step.inputs.step || typeof step.inputs.step !== 'object') {
         const severity = mode === 'draft' ? 'info' : 'error';
         addIssue(severity, step.id, 'MISSING_REQUIRED_INPUT', `Step "${step.id}": loop must have a "step" object`, 'inputs.step');
-      } else if (step.inputs.step.tool && !ALL_TOOLS.has(step.inputs.step.tool)) {
-        addIssue('error', step.id, 'INVALID_TOOL', `Step "${step.id}": loop sub-step has unknown tool "${step.inputs.step.tool}"`);
+      } else {
+        if (step.inputs.step.tool && !ALL_TOOLS.has(step.inputs.step.tool)) {
+          addIssue('error', step.id, 'INVALID_TOOL', `Step "${step.id}": loop sub-step has unknown tool "${step.inputs.step.tool}"`);
+        }
+        for (const { code, message } of validateStepPolicy(step.inputs.step)) {
+          addIssue('error', step.id, code, `Step "${step.id}": loop sub-step ${message}`);
+        }
+      }
+      if (step.inputs.concurrency !== undefined) {
+        const problem = concurrencyProblem(step.inputs.concurrency, 'loop "concurrency"');
+        if (problem) addIssue('error', step.id, 'INVALID_CONCURRENCY', `Step "${step.id}": ${problem}`, 'inputs.concurrency');
       }
     }
   }
 
+  // Validate sub-workflow steps
+  for (const step of definition.steps) {
+    if (step.tool !== 'workflow') continue;
+    const ref = step.inputs?.workflow;
+    if (!ref || typeof ref !== 'string') {
+      const severity = mode === 'draft' ? 'info' : 'error';
+      addIssue(severity, step.id, 'MISSING_REQUIRED_INPUT', `Step "${step.id}": workflow must have a "workflow" input (built-in name, file path or package name)`, 'inputs.workflow');
+    }
+    const mapped = step.inputs?.inputs;
+    if (mapped !== undefined && (!mapped || typeof mapped !== 'object' || Array.isArray(mapped))) {
+      addIssue('error', step.id, 'INVALID_INPUT', `Step "${step.id}": workflow "inputs" must be an object mapping the sub-workflow's inputs`, 'inputs.inputs');
+    }
+  }
+
+  // Validate generate outputSchemas and references into their data
+  validateOutputSchemas(definition, mode, addIssue);
+
   // Check for circular dependencies
   const cycleResult = detectCyclesAsIssues(definition.steps);
   for (const issue of cycleResult) {
@@ -271,6 +343,57 @@ function validateWorkflow(definition, { mode = 'strict' } = {}) {
   return formatResponse(mode, issues, (definition.steps || []).length);
 }
 
+/**
+ * Check that generate steps' outputSchemas compile, and that templates
+ * referencing `<step>.output.data.<path>` name a path the schema declares.
+ * Steps with forEach produce arrays of outputs and are not checked.
+ * @param {object} definition
+ * @param {string} mode
+ * @param {function} addIssue
+ */
+function validateOutputSchemas(definition, mode, addIssue) {
+  const { compileSchema, schemaHasPath } = require('./structured-output');
+
+  const schemas = new Map();
+  for (const step of definition.steps) {
+    const schema = step.tool === 'generate' && step.inputs?.outputSchema;
+    if (!schema || isTemplateString(schema)) continue;
+    try {
+      const parsed = typeof schema === 'string' ? JSON.parse(schema) : schema;
+      compileSchema(parsed);
+      if (!step.forEach) schemas.set(step.id, parsed);
+    } catch (err) {
+      const message = err instanceof SyntaxError ? 'Invalid outputSchema: not valid JSON' : err.message;
+      addIssue('error', step.id, 'INVALID_OUTPUT_SCHEMA', `Step "${step.id}": ${message}`, 'inputs.outputSchema');
+    }
+  }
+  if (schemas.size === 0) return;
+
+  const severity = mode === 'draft' ? 'warning' : 'error';
+  const check = (stepId, value) => {
+    for (const { expression, segments } of extractReferences(value)) {
+      const schema = schemas.get(segments[0].key);
+      if (!schema || segments[1]?.key !== 'output' || segments[2]?.key !== 'data') continue;
+      if (segments[0].index !== undefined || segments[1].index !== undefined) continue;
+      // Path below data: keys and array indices, e.g. items[0].name → [0, 'name']
+      const path = segments.slice(2).flatMap((seg, i) => [
+        ...(i > 0 ? [seg.key] : []),
+        ...(seg.index !== undefined ? [seg.index] : []),
+      ]);
+      if (schemaHasPath(schema, path)) continue;
+      const where = stepId ? `Step "${stepId}"` : 'Workflow output';
+      addIssue(severity, stepId, 'UNKNOWN_SCHEMA_FIELD',
+        `${where}: "${expression}" is not declared in the outputSchema of step "${segments[0].key}"`,
+        null, segments[0].key);
+    }
+  };
+
+  for (const step of definition.steps) {
+    check(step.id, { inputs: step.inputs, condition: step.condition, forEach: step.forEach });
+  }
+  if (definition.output) check(null, definition.output);
+}
+
 /**
  * Extract step references from a step for orphan detection.
  * @param {object} step
@@ -971,13 +1094,22 @@ function executeTemplate(inputs) {
 /**
  * Execute a loop step: iterate over an array, executing a sub-step per item.
  *
- * @param {object} inputs - { items, as, step, maxIterations? }
+ * Iterations run one at a time unless `concurrency` allows more; results
+ * are in item order either way.
+ *
+ * @param {object} inputs - { items, as, step, maxIterations?, concurrency? }
  * @param {object} defaults - workflow defaults
  * @param {object} context - workflow context
+ * @param {object} [hooks]
+ * @param {string} [hooks.stepId] - ID of the loop step, for error messages
+ * @param {Function} [hooks.onAttemptError] - Reports retried sub-step attempts (see runStepWithPolicy)
+ * @param {object} [hooks.parent] - Run settings for sub-workflow sub-steps (see executeSubWorkflow)
+ * @param {object} [hooks.limiter] - Workflow request limiter (see createRequestLimiter)
+ * @param {AbortSignal} [hooks.signal] - Fires when the loop step times out; aborts running iterations
  * @returns {Promise<{ iterations: number, results: any[], errors: any[] }>}
  */
-async function executeLoop(inputs, defaults, context) {
-  const { items, as, step: subStepDef, maxIterations = 100 } = inputs;
+async function executeLoop(inputs, defaults, context, hooks = {}) {
+  const { items, as, step: subStepDef, maxIterations = 100, concurrency = 1 } = inputs;
 
   if (!Array.isArray(items)) {
     throw new Error('loop: "items" must resolve to an array');
@@ -988,30 +1120,44 @@ async function executeLoop(inputs, defaults, context) {
   if (!subStepDef || typeof subStepDef !== 'object') {
     throw new Error('loop: "step" must be a step definition object');
   }
-
-  const results = [];
-  const errors = [];
+  const concurrencyError = concurrencyProblem(concurrency, 'loop: "concurrency"');
+  if (concurrencyError) throw new Error(concurrencyError);
 
   const limit = Math.min(items.length, maxIterations);
+  const limiter = REQUEST_TOOLS.has(subStepDef.tool) ? hooks.limiter : undefined;
 
-  for (let i = 0; i < limit; i++) {
-    const item = items[i];
+  // A loop always continues past failed iterations and collects their errors
+  const settled = await mapWithConcurrency(items.slice(0, limit), concurrency, async (item, i) => {
     // Build scoped context with loop variable
     const scopedContext = { ...context, [as]: item, _loopIndex: i };
+    // Resolve the sub-step inputs in the scoped context
+    const resolvedInputs = resolveTemplate(subStepDef.inputs || {}, scopedContext);
+    // Create a temporary step object for the dispatcher; the sub-step's
+    // own retry and timeoutMs apply to each iteration
+    const tempStep = {
+      id: hooks.stepId ? `${hooks.stepId}[${i}]` : `_loop_${i}`,
+      tool: subStepDef.tool,
+      inputs: subStepDef.inputs,
+      retry: subStepDef.retry,
+      timeoutMs: subStepDef.timeoutMs,
+    };
+    const { output } = await runStepWithPolicy(
+      tempStep,
+      (signal) => executeStep(tempStep, resolvedInputs, defaults, scopedContext, { parent: hooks.parent, signal }),
+      { iteration: i, onAttemptError: hooks.onAttemptError, limiter, signal: hooks.signal },
+    );
+    return output;
+  });
 
-    try {
-      // Resolve the sub-step inputs in the scoped context
-      const resolvedInputs = resolveTemplate(subStepDef.inputs || {}, scopedContext);
-      // Create a temporary step object for the dispatcher
-      const tempStep = { id: `_loop_${i}`, tool: subStepDef.tool, inputs: subStepDef.inputs };
-      const output = await executeStep(tempStep, resolvedInputs, defaults, scopedContext);
-      results.push(output);
-    } catch (err) {
-      errors.push({ index: i, error: err.message });
-      // If the parent loop has continueOnError, we keep going (handled by caller)
-      // For now, loop always continues and collects errors
+  const results = [];
+  const errors = [];
+  settled.forEach((r, i) => {
+    if ('error' in r) {
+      errors.push({ index: i, error: r.error.message, ...(r.error.attempts > 1 && { attempts: r.error.attempts }) });
+    } else {
+      results.push(r.value);
     }
-  }
+  });
 
   if (items.length > maxIterations) {
     errors.push({ index: maxIterations, error: `Loop truncated at maxIterations (${maxIterations})` });
@@ -1071,9 +1217,10 @@ function executeChunk(inputs) {
  * Execute an HTTP request step.
  *
  * @param {object} inputs - { url, method?, headers?, body?, timeout?, responseType?, followRedirects? }
+ * @param {AbortSignal} [signal] - Cancels the request, e.g. when the step times out
  * @returns {Promise<{ status: number, statusText: string, headers: object, body: any, durationMs: number }>}
  */
-async function executeHttp(inputs) {
+async function executeHttp(inputs, signal) {
   const effectiveResponseType = inputs.responseType || (inputs.extract === 'text' ? 'text' : 'json');
   const { url, method = 'GET', headers = {}, body, timeout = 30000, followRedirects = false } = inputs;
   const responseType = effectiveResponseType;
@@ -1103,7 +1250,7 @@ async function executeHttp(inputs) {
   const fetchOpts = {
     method: method.toUpperCase(),
     headers: { ...headers },
-    signal: AbortSignal.timeout(timeout),
+    signal: signal ? AbortSignal.any([AbortSignal.timeout(timeout), signal]) : AbortSignal.timeout(timeout),
     redirect: followRedirects ? 'follow' : 'manual',
   };
 
@@ -1223,10 +1370,16 @@ async function executeAggregate(inputs, defaults) {
 
 /**
  * Execute a vai query step (embed + vector search + optional rerank).
+ * With `parents: true`, or by default when the project stores parents,
+ * matched chunks are swapped for their deduplicated parents, capped at
+ * `parentBudget` tokens (see parents.js). `limit` then counts parents, and
+ * PARENT_OVERSAMPLE times as many chunks are searched to fill it.
  */
 async function executeQuery(inputs, defaults) {
   const { generateEmbeddings, apiRequest } = require('./api');
-  const { getMongoCollection } = require('./mongo');
+  const { createVectorStore } = require('./vector-store');
+  const { resolveParentConfig, PARENT_OVERSAMPLE } = require('./parents');
+  const { loadProject } = require('./project');
 
   const { db, collection } = resolveDbAndCollection(inputs, defaults);
   const model = inputs.model || defaults.model;
@@ -1237,6 +1390,14 @@ async function executeQuery(inputs, defaults) {
   if (!query) throw new Error('query: "query" input is required');
   if (!db) throw new Error('query: database not specified (set in inputs, defaults, or vai config)');
   if (!collection) throw new Error('query: collection not specified');
+  const { config: proj } = loadProject();
+  const parents = resolveParentConfig({
+    parents: typeof inputs.parents === 'boolean' ? inputs.parents : undefined,
+    parentCollection: inputs.parentCollection,
+    parentBudget: inputs.parentBudget,
+  }, proj.parents, collection);
+  const parentOpts = { db, parents, store: inputs.store || defaults.store, limit };
+  const candidates = parents.enabled ? limit * PARENT_OVERSAMPLE : limit;
 
   // Embed
   const embOpts = { inputType: 'query' };
@@ -1245,25 +1406,17 @@ async function executeQuery(inputs, defaults) {
   const embedding = embRes.data[0].embedding;
 
   // Vector search
-  const { client, collection: col } = await getMongoCollection(db, collection);
+  const store = createVectorStore({ db, collection, store: inputs.store || defaults.store });
   try {
-    const results = await col.aggregate([
-      {
-        $vectorSearch: {
-          index: 'vector_index',
-          path: 'embedding',
-          queryVector: embedding,
-          numCandidates: Math.min(limit * 10, 200),
-          limit,
-        },
-      },
-      {
-        $project: {
-          text: 1, content: 1, source: 1, metadata: 1,
-          score: { $meta: 'vectorSearchScore' },
-        },
-      },
-    ]).toArray();
+    const results = await store.search({
+      vector: embedding,
+      index: 'vector_index',
+      field: 'embedding',
+      numCandidates: Math.max(candidates, Math.min(candidates * 10, 200)),
+      limit: candidates,
+      scoreField: 'score',
+      project: { text: 1, content: 1, source: 1, metadata: 1, parentId: 1 },
+    });
 
     // Track embed usage
     const _usage = [{ op: 'embed', model: embRes.model, tokens: embRes.usage?.total_tokens || 0 }];
@@ -1285,12 +1438,37 @@ async function executeQuery(inputs, defaults) {
         score: r.relevance_score,
       }));
 
-      return { results: reranked, resultCount: reranked.length, _usage };
+      const final = parents.enabled ? await queryResultsToParents(reranked, parentOpts) : reranked;
+      return { results: final, resultCount: final.length, _usage };
     }
 
-    return { results, resultCount: results.length, _usage };
+    const final = parents.enabled ? await queryResultsToParents(results, parentOpts) : results;
+    return { results: final, resultCount: final.length, _usage };
   } finally {
-    await client.close();
+    await store.close();
+  }
+}
+
+/**
+ * Swap query step results for the parents they belong to.
+ */
+async function queryResultsToParents(results, { db, parents, store, limit }) {
+  const { createVectorStore } = require('./vector-store');
+  const { expandToParents } = require('./parents');
+
+  const parentStore = createVectorStore({ db, collection: parents.collection, store });
+  try {
+    const expanded = await expandToParents(parentStore, results, { limit, budget: parents.budget });
+    return expanded.parents.map(({ doc, children }) => ({
+      _id: doc._id,
+      text: doc.text || doc.content || '',
+      source: doc.source,
+      metadata: doc.metadata,
+      score: children[0].score,
+      matchedChunks: children.length,
+    }));
+  } finally {
+    await parentStore.close();
   }
 }
 
@@ -1386,7 +1564,7 @@ async function executeSimilarity(inputs, defaults) {
  */
 async function executeIngest(inputs, defaults) {
   const { generateEmbeddings } = require('./api');
-  const { getMongoCollection } = require('./mongo');
+  const { createVectorStore } = require('./vector-store');
   const { chunk } = require('./chunker');
 
   const { db, collection } = resolveDbAndCollection(inputs, defaults);
@@ -1419,32 +1597,22 @@ async function executeIngest(inputs, defaults) {
   }));
 
   // Insert
-  const { client, collection: col } = await getMongoCollection(db, collection);
+  const store = createVectorStore({ db, collection, store: inputs.store || defaults.store });
   try {
-    const result = await col.insertMany(docs);
+    const result = await store.insertMany(docs);
 
     // Auto-create vector search index if it doesn't exist
     // Note: Atlas vector search indexes take a few seconds to become ready after creation.
     // The search step may need a brief delay on first run.
     let indexCreated = false;
     try {
-      const indexes = await col.listSearchIndexes().toArray();
-      const hasVectorIndex = indexes.some(idx => idx.name === 'vector_index');
-      if (!hasVectorIndex) {
-        await col.createSearchIndex({
-          name: 'vector_index',
-          type: 'vectorSearch',
-          definition: {
-            fields: [{
-              type: 'vector',
-              path: 'embedding',
-              numDimensions: embRes.data[0].embedding.length,
-              similarity: 'cosine'
-            }]
-          }
-        });
-        indexCreated = true;
-      }
+      const { created } = await store.ensureVectorIndex({
+        name: 'vector_index',
+        field: 'embedding',
+        dimensions: embRes.data[0].embedding.length,
+        similarity: 'cosine',
+      });
+      indexCreated = created;
     } catch (indexErr) {
       // Ignore errors: index may already exist, or createSearchIndex may not be
       // available on non-Atlas deployments
@@ -1459,7 +1627,7 @@ async function executeIngest(inputs, defaults) {
       _usage: [{ op: 'ingest', model: embRes.model, tokens: embRes.usage?.total_tokens || 0 }],
     };
   } finally {
-    await client.close();
+    await store.close();
   }
 }
 
@@ -1597,6 +1765,10 @@ async function executeGenerate(inputs) {
   }
   messages.push({ role: 'user', content: userContent });
 
+  if (inputs.outputSchema) {
+    return generateStructuredOutput(provider, messages, inputs.outputSchema);
+  }
+
   // Collect streaming response
   let text = '';
   let llmUsage = { inputTokens: 0, outputTokens: 0 };
@@ -1616,6 +1788,74 @@ async function executeGenerate(inputs) {
   };
 }
 
+/**
+ * Generate JSON conforming to a generate step's outputSchema. The parsed
+ * reply is returned as `data` for later steps to reference.
+ */
+async function generateStructuredOutput(provider, messages, outputSchema) {
+  const { generateStructured } = require('./structured-output');
+
+  let schema = outputSchema;
+  if (typeof schema === 'string') {
+    try {
+      schema = JSON.parse(schema);
+    } catch {
+      throw new Error('generate: "outputSchema" must be a JSON Schema object');
+    }
+  }
+
+  const result = await generateStructured({ llm: provider, messages, schema });
+  return {
+    text: result.text,
+    data: result.data,
+    attempts: result.attempts,
+    model: provider.model,
+    provider: provider.name,
+    _usage: [{ op: 'llm', model: provider.model, provider: provider.name, inputTokens: result.usage.inputTokens, outputTokens: result.usage.outputTokens }],
+  };
+}
+
+/**
+ * Execute a verify step: check which claims of an answer its context supports.
+ */
+async function executeVerify(inputs) {
+  const { verifyAnswer } = require('./groundedness');
+
+  const answer = typeof inputs.answer === 'object' && inputs.answer !== null ? inputs.answer.text : inputs.answer;
+  if (!answer) throw new Error('verify: "answer" input is required');
+
+  // Accept a results array or a query/rerank step output
+  let docs = inputs.context || [];
+  if (!Array.isArray(docs) && Array.isArray(docs.results)) docs = docs.results;
+  if (!Array.isArray(docs)) throw new Error('verify: "context" must be an array');
+
+  const method = inputs.method || 'rerank';
+  let llm;
+  if (method === 'llm') {
+    const { createLLMProvider } = require('./llm');
+    llm = createLLMProvider();
+    if (!llm) {
+      throw new Error(
+        'verify: No LLM provider configured.\n' +
+        'Set up with: vai config set llm-provider anthropic\n' +
+        '             vai config set llm-api-key YOUR_KEY'
+      );
+    }
+  }
+
+  const threshold = inputs.threshold != null ? Number(inputs.threshold) : undefined;
+  const { tokens, ...verification } = await verifyAnswer({ answer, docs, method, llm, model: inputs.model, threshold });
+
+  const _usage = [];
+  if (tokens.rerank) {
+    _usage.push({ op: 'rerank', model: verification.model, tokens: tokens.rerank });
+  }
+  if (tokens.llmInput || tokens.llmOutput) {
+    _usage.push({ op: 'llm', model: llm.model, provider: llm.name, inputTokens: tokens.llmInput, outputTokens: tokens.llmOutput });
+  }
+  return { ...verification, _usage };
+}
+
 // ════════════════════════════════════════════════════════════════════
 // Code Search Tool Executors
 // ════════════════════════════════════════════════════════════════════
@@ -1676,9 +1916,11 @@ async function executeCodeStatus(inputs) {
  * @param {object} resolvedInputs - Inputs with templates already resolved
  * @param {object} defaults - Workflow defaults
  * @param {object} context - Full workflow context
+ * @param {object} [hooks] - Passed to executeLoop; `hooks.parent` to executeSubWorkflow;
+ *   `hooks.signal` (fires when the attempt times out) to executeHttp
  * @returns {Promise<object>} Step output
  */
-async function executeStep(step, resolvedInputs, defaults, context) {
+async function executeStep(step, resolvedInputs, defaults, context, hooks) {
   switch (step.tool) {
     // Control flow
     case 'merge':
@@ -1694,11 +1936,13 @@ async function executeStep(step, resolvedInputs, defaults, context) {
     case 'template':
       return executeTemplate(resolvedInputs);
     case 'loop':
-      return executeLoop(resolvedInputs, defaults, context);
+      return executeLoop(resolvedInputs, defaults, context, hooks);
+    case 'workflow':
+      return executeSubWorkflow(resolvedInputs, defaults, hooks && hooks.parent);
     case 'chunk':
       return executeChunk(resolvedInputs);
     case 'http':
-      return executeHttp(resolvedInputs);
+      return executeHttp(resolvedInputs, hooks && hooks.signal);
     case 'aggregate':
       return executeAggregate(resolvedInputs, defaults);
 
@@ -1723,6 +1967,8 @@ async function executeStep(step, resolvedInputs, defaults, context) {
       return executeExplain(resolvedInputs);
     case 'estimate':
       return executeEstimate(resolvedInputs);
+    case 'verify':
+      return executeVerify(resolvedInputs);
 
     // Code search tools
     case 'code_index':
@@ -1741,6 +1987,531 @@ async function executeStep(step, resolvedInputs, defaults, context) {
   }
 }
 
+// ════════════════════════════════════════════════════════════════════
+// Sub-workflows
+// ════════════════════════════════════════════════════════════════════
+
+const MAX_WORKFLOW_DEPTH = 5;
+
+/**
+ * Identity of a workflow for cycle detection: its absolute path when it was
+ * loaded from a file, otherwise its name.
+ * @param {object} definition
+ * @param {string} [file] - File the definition was loaded from
+ * @returns {string}
+ */
+function workflowIdentity(definition, file) {
+  if (file && fs.existsSync(file) && fs.statSync(file).isFile()) return path.resolve(file);
+  return `name:${definition.name || 'unnamed'}`;
+}
+
+function identityLabel(identity) {
+  return identity.startsWith('name:') ? identity.slice('name:'.length) : path.relative(process.cwd(), identity) || identity;
+}
+
+/**
+ * Throw if a workflow cannot run inside the given chain of parents.
+ * @param {string[]} stack - Identities of the workflows above it, outermost first
+ * @param {string} identity
+ */
+function assertCanNest(stack, identity) {
+  if (stack.includes(identity)) {
+    throw new Error(`workflow: cycle detected: ${[...stack, identity].map(identityLabel).join(' → ')}`);
+  }
+  if (stack.length >= MAX_WORKFLOW_DEPTH) {
+    throw new Error(`workflow: sub-workflows nest more than ${MAX_WORKFLOW_DEPTH} deep: ${[...stack, identity].map(identityLabel).join(' → ')}`);
+  }
+}
+
+/**
+ * Resolve a sub-workflow reference. File paths are relative to the
+ * directory of the calling workflow; anything else is resolved like
+ * `vai workflow run` does (built-in, then official and community packages).
+ *
+ * @param {string} ref - File path, built-in name or package name
+ * @param {string} [baseDir] - Directory of the calling workflow
+ * @returns {{ definition: object, file: string|undefined, baseDir: string, identity: string }}
+ */
+function resolveSubWorkflow(ref, baseDir = process.cwd()) {
+  const local = path.resolve(baseDir, ref);
+  if (fs.existsSync(local) && fs.statSync(local).isFile()) {
+    const definition = JSON.parse(fs.readFileSync(local, 'utf8'));
+    return { definition, file: local, baseDir: path.dirname(local), identity: local };
+  }
+
+  const { resolveWorkflow } = require('./workflow-registry');
+  const resolved = resolveWorkflow(ref);
+  const file = resolved.source === 'file' ? path.resolve(ref) : undefined;
+  return {
+    definition: resolved.definition,
+    file,
+    baseDir: file ? path.dirname(file) : baseDir,
+    identity: workflowIdentity(resolved.definition, file),
+  };
+}
+
+/**
+ * Check the sub-workflows a workflow calls, and theirs, before anything
+ * runs: every literal reference must resolve, without cycles and within
+ * MAX_WORKFLOW_DEPTH. References built from templates are checked when
+ * they run.
+ *
+ * @param {object} definition
+ * @param {object} opts
+ * @param {string} opts.baseDir - Directory of the workflow
+ * @param {string[]} opts.stack - Identities of the workflow and its parents
+ */
+function checkSubWorkflows(definition, { baseDir, stack }) {
+  for (const step of definition.steps || []) {
+    const sub = step.tool === 'loop' ? step.inputs?.step : step;
+    const ref = sub?.tool === 'workflow' ? sub.inputs?.workflow : null;
+    if (typeof ref !== 'string' || isTemplateString(ref)) continue;
+
+    let child;
+    try {
+      child = resolveSubWorkflow(ref, baseDir);
+      assertCanNest(stack, child.identity);
+    } catch (err) {
+      throw new Error(`Step "${step.id}": ${err.message}`);
+    }
+    checkSubWorkflows(child.definition, { baseDir: child.baseDir, stack: [...stack, child.identity] });
+  }
+}
+
+/**
+ * Execute a workflow step: run another workflow with mapped inputs and the
+ * parent's defaults. Its output becomes this step's output. LLM and
+ * embedding usage of its steps is passed up as `_usage` for cost tracking.
+ *
+ * @param {object} inputs - { workflow, inputs? }
+ * @param {object} defaults - The parent workflow's defaults
+ * @param {object} [parent] - Settings of the parent run
+ * @param {string[]} [parent.workflowStack] - Identities of the parent and its parents
+ * @param {string} [parent.baseDir] - Directory of the parent workflow
+ * @param {boolean} [parent.cache] - Output cache setting (see executeWorkflow)
+ * @param {string} [parent.cacheDir]
+ * @param {object} [parent._mockExecutors]
+ * @param {object} [parent.limiter] - The parent's request limiter, shared with the sub-workflow
+ * @returns {Promise<any>} The sub-workflow's output
+ */
+async function executeSubWorkflow(inputs, defaults, parent = {}) {
+  const { workflow: ref, inputs: childInputs = {} } = inputs;
+  if (!ref || typeof ref !== 'string') {
+    throw new Error('workflow: "workflow" input is required (built-in name, file path or package name)');
+  }
+  if (!childInputs || typeof childInputs !== 'object' || Array.isArray(childInputs)) {
+    throw new Error('workflow: "inputs" must be an object');
+  }
+
+  const child = resolveSubWorkflow(ref, parent.baseDir);
+  const usage = [];
+  let result;
+  try {
+    result = await executeWorkflow(child.definition, {
+      inputs: childInputs,
+      defaults,
+      source: child.file,
+      cache: parent.cache,
+      cacheDir: parent.cacheDir,
+      _mockExecutors: parent._mockExecutors,
+      _limiter: parent.limiter,
+      _workflowStack: parent.workflowStack || [],
+      _baseDir: child.baseDir,
+      onStepComplete: (stepId, output) => {
+        if (output && Array.isArray(output._usage)) usage.push(...output._usage);
+      },
+    });
+  } catch (err) {
+    throw new Error(`workflow "${child.definition.name || ref}": ${err.message}`);
+  }
+
+  const output = result.output;
+  if (usage.length > 0 && output && typeof output === 'object' && !Array.isArray(output)) {
+    return { ...output, _usage: usage };
+  }
+  return output;
+}
+
+// ════════════════════════════════════════════════════════════════════
+// Step Policies (retry + timeout)
+// ════════════════════════════════════════════════════════════════════
+
+const RETRY_CONDITIONS = ['timeout', 'network', 'rateLimit', '5xx', 'any'];
+const DEFAULT_RETRY_ON = ['timeout', 'network', 'rateLimit', '5xx'];
+const BACKOFF_TYPES = ['fixed', 'exponential'];
+const MAX_STEP_ATTEMPTS = 10;
+const DEFAULT_BACKOFF = { type: 'exponential', delayMs: 1000, maxDelayMs: 30000 };
+
+/**
+ * Check a step's `retry` and `timeoutMs` fields.
+ * @param {object} step - Step (or loop sub-step) definition
+ * @returns {Array<{code: string, message: string}>} Problems, without the step prefix
+ */
+function validateStepPolicy(step) {
+  const problems = [];
+
+  if (step.timeoutMs !== undefined && !(Number.isFinite(step.timeoutMs) && step.timeoutMs > 0)) {
+    problems.push({ code: 'INVALID_TIMEOUT', message: '"timeoutMs" must be a positive number of milliseconds' });
+  }
+
+  const { retry } = step;
+  if (retry === undefined) return problems;
+  if (!retry || typeof retry !== 'object' || Array.isArray(retry)) {
+    problems.push({ code: 'INVALID_RETRY', message: '"retry" must be an object: { attempts, backoff?, retryOn? }' });
+    return problems;
+  }
+
+  if (!Number.isInteger(retry.attempts) || retry.attempts < 1 || retry.attempts > MAX_STEP_ATTEMPTS) {
+    problems.push({ code: 'INVALID_RETRY', message: `"retry.attempts" must be an integer from 1 to ${MAX_STEP_ATTEMPTS}` });
+  }
+
+  const { backoff } = retry;
+  if (backoff !== undefined) {
+    const type = typeof backoff === 'string' ? backoff : backoff?.type;
+    if (typeof backoff !== 'string' && (!backoff || typeof backoff !== 'object' || Array.isArray(backoff))) {
+      problems.push({ code: 'INVALID_RETRY', message: `"retry.backoff" must be ${BACKOFF_TYPES.map(t => `"${t}"`).join(' or ')}, or { type, delayMs, maxDelayMs }` });
+    } else {
+      if (type !== undefined && !BACKOFF_TYPES.includes(type)) {
+        problems.push({ code: 'INVALID_RETRY', message: `"retry.backoff" type must be one of: ${BACKOFF_TYPES.join(', ')}` });
+      }
+      for (const key of ['delayMs', 'maxDelayMs']) {
+        if (typeof backoff === 'object' && backoff[key] !== undefined && !(Number.isFinite(backoff[key]) && backoff[key] >= 0)) {
+          problems.push({ code: 'INVALID_RETRY', message: `"retry.backoff.${key}" must be a non-negative number` });
+        }
+      }
+    }
+  }
+
+  if (retry.retryOn !== undefined) {
+    if (!Array.isArray(retry.retryOn) || retry.retryOn.length === 0) {
+      problems.push({ code: 'INVALID_RETRY', message: '"retry.retryOn" must be a non-empty array' });
+    } else {
+      for (const cond of retry.retryOn) {
+        const isStatus = Number.isInteger(cond) && cond >= 400 && cond <= 599;
+        if (!isStatus && !RETRY_CONDITIONS.includes(cond)) {
+          problems.push({ code: 'INVALID_RETRY', message: `"retry.retryOn" has unknown condition ${JSON.stringify(cond)} (use ${RETRY_CONDITIONS.join(', ')}, or an HTTP status code)` });
+        }
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Fill in the defaults of a step's retry policy.
+ * @param {object} [retry]
+ * @returns {{attempts: number, backoff: {type: string, delayMs: number, maxDelayMs: number}, retryOn: Array<string|number>}}
+ */
+function normalizeRetryPolicy(retry) {
+  if (!retry) return { attempts: 1, backoff: DEFAULT_BACKOFF, retryOn: DEFAULT_RETRY_ON };
+  const backoff = typeof retry.backoff === 'string'
+    ? { ...DEFAULT_BACKOFF, type: retry.backoff }
+    : { ...DEFAULT_BACKOFF, ...(retry.backoff || {}) };
+  return {
+    attempts: retry.attempts || 1,
+    backoff,
+    retryOn: retry.retryOn || DEFAULT_RETRY_ON,
+  };
+}
+
+/**
+ * Delay before the next attempt.
+ * @param {{type: string, delayMs: number, maxDelayMs: number}} backoff
+ * @param {number} failedAttempt - 1-based number of the attempt that failed
+ * @returns {number} Milliseconds
+ */
+function retryDelay(backoff, failedAttempt) {
+  const delay = backoff.type === 'fixed'
+    ? backoff.delayMs
+    : backoff.delayMs * Math.pow(2, failedAttempt - 1);
+  return Math.min(delay, backoff.maxDelayMs);
+}
+
+/**
+ * HTTP status an error carries: `err.statusCode`, or "(503)"-style codes
+ * in the message as Voyage and LLM API errors report them.
+ */
+function errorStatus(err) {
+  if (Number.isInteger(err.statusCode)) return err.statusCode;
+  if (Number.isInteger(err.status)) return err.status;
+  const match = /\((\d{3})\)/.exec(err.message || '');
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Whether a failed attempt matches one of the step's retryOn conditions.
+ * @param {Error} err
+ * @param {Array<string|number>} retryOn
+ * @returns {boolean}
+ */
+function isRetryableStepError(err, retryOn) {
+  const msg = err.message || '';
+  const status = errorStatus(err);
+  return retryOn.some(cond => {
+    switch (cond) {
+      case 'any':
+        return true;
+      case 'timeout':
+        return err.code === 'STEP_TIMEOUT' || err.code === 'LLM_TIMEOUT' || err.name === 'TimeoutError' || /timed? ?out/i.test(msg);
+      case 'network':
+        return /fetch failed|ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up/i.test(`${msg} ${err.cause?.code || ''}`);
+      case 'rateLimit':
+        return status === 429 || /rate.?limit/i.test(msg);
+      case '5xx':
+        return status !== null && status >= 500 && status <= 599;
+      default:
+        return status === cond;
+    }
+  });
+}
+
+/**
+ * Tools that write and do not stop when their attempt times out. Retrying
+ * them after a timeout could repeat the write while the first attempt is
+ * still running, so a timeout is never retried for them.
+ */
+const UNCANCELLABLE_WRITE_TOOLS = new Set(['ingest', 'code_index', 'workflow']);
+
+/**
+ * Whether a timed-out attempt of this step may still be writing.
+ * @param {object} step - Step definition; a loop is judged by its sub-step
+ * @returns {boolean}
+ */
+function writesAfterTimeout(step) {
+  if (!step) return false;
+  if (step.tool === 'loop') return writesAfterTimeout(step.inputs && step.inputs.step);
+  return UNCANCELLABLE_WRITE_TOOLS.has(step.tool);
+}
+
+/**
+ * Start a step attempt and reject if it runs longer than `ms`. On timeout
+ * the attempt's AbortSignal fires: executors that take it (http, and loop
+ * sub-steps) stop, others keep running and their late result is ignored.
+ *
+ * @param {function(AbortSignal): Promise<any>} run - Executes the attempt
+ * @param {number} [ms] - Timeout; none if unset
+ * @param {string} stepId
+ * @param {AbortSignal} [outer] - Aborts the attempt too, e.g. a loop's own timeout
+ * @returns {{ result: Promise<any>, settled: Promise<void> }} `result` is the
+ *   attempt's outcome or the timeout; `settled` resolves once the attempt itself has finished
+ */
+function withStepTimeout(run, ms, stepId, outer) {
+  const controller = new AbortController();
+  const onOuterAbort = () => controller.abort(outer.reason);
+  if (outer) {
+    if (outer.aborted) onOuterAbort();
+    else outer.addEventListener('abort', onOuterAbort, { once: true });
+  }
+  const attempt = Promise.resolve().then(() => run(controller.signal));
+  const settled = attempt.then(() => {}, () => {}).finally(() => {
+    if (outer) outer.removeEventListener('abort', onOuterAbort);
+  });
+  if (!ms) return { result: attempt, settled };
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`Step "${stepId}" timed out after ${ms}ms`);
+      err.code = 'STEP_TIMEOUT';
+      controller.abort(err);
+      reject(err);
+    }, ms);
+  });
+  return { result: Promise.race([attempt, timeout]).finally(() => clearTimeout(timer)), settled };
+}
+
+/**
+ * Run one execution of a step (or one forEach/loop iteration) under the
+ * step's timeout and retry policy. An http step whose response status
+ * matches `retryOn` is retried too; after the last attempt that response
+ * is returned as usual. A timed-out attempt is not retried when the step
+ * may still be writing (see UNCANCELLABLE_WRITE_TOOLS).
+ *
+ * @param {object} step - Step definition (id, tool, retry, timeoutMs)
+ * @param {function(AbortSignal): Promise<object>} run - Executes one attempt; the signal
+ *   fires when the attempt times out
+ * @param {object} [opts]
+ * @param {number} [opts.iteration] - forEach/loop index, for reporting
+ * @param {Function} [opts.onAttemptError] - Callback(err, { attempt, attempts, delayMs, iteration })
+ *   for each failed attempt that will be retried
+ * @param {object} [opts.limiter] - Request limiter each attempt waits for (see createRequestLimiter).
+ *   Time spent waiting does not count toward the timeout. A timed-out attempt keeps its slot
+ *   until it has actually finished
+ * @param {AbortSignal} [opts.signal] - Aborts the running attempt, e.g. when an enclosing loop times out
+ * @param {Function} [opts.sleep] - Delay function (for testing)
+ * @returns {Promise<{output: object, attempts: number}>}
+ * @throws {Error} the last attempt's error; `err.attempts` is the number of attempts
+ *   made and `err.iteration` the failing iteration
+ */
+async function runStepWithPolicy(step, run, { iteration, onAttemptError, limiter, signal, sleep = ms => new Promise(r => setTimeout(r, ms)) } = {}) {
+  const policy = normalizeRetryPolicy(step.retry);
+  const runAttempt = () => {
+    if (!limiter) return withStepTimeout(run, step.timeoutMs, step.id, signal).result;
+    return new Promise((resolve, reject) => {
+      limiter.run(() => {
+        const { result, settled } = withStepTimeout(run, step.timeoutMs, step.id, signal);
+        result.then(resolve, reject);
+        return settled;
+      }).catch(reject);
+    });
+  };
+
+  for (let attempt = 1; ; attempt++) {
+    let err;
+    try {
+      const output = await runAttempt();
+      const status = step.tool === 'http' && output && Number.isInteger(output.status) ? output.status : null;
+      if (status === null || status < 400 || attempt >= policy.attempts) return { output, attempts: attempt };
+      err = new Error(`http: ${status} ${output.statusText || ''}`.trim());
+      err.statusCode = status;
+      if (!isRetryableStepError(err, policy.retryOn)) return { output, attempts: attempt };
+    } catch (e) {
+      err = e;
+      const unsafeRetry = err.code === 'STEP_TIMEOUT' && writesAfterTimeout(step);
+      if (unsafeRetry && attempt < policy.attempts) {
+        err.message += ` (not retried: "${step.tool}" steps keep writing after a timeout)`;
+      }
+      if (attempt >= policy.attempts || unsafeRetry || !isRetryableStepError(err, policy.retryOn)) {
+        err.attempts = attempt;
+        if (iteration !== undefined) err.iteration = iteration;
+        throw err;
+      }
+    }
+
+    const delayMs = retryDelay(policy.backoff, attempt);
+    if (onAttemptError) onAttemptError(err, { attempt, attempts: policy.attempts, delayMs, iteration });
+    await sleep(delayMs);
+  }
+}
+
+// ════════════════════════════════════════════════════════════════════
+// Concurrency
+// ════════════════════════════════════════════════════════════════════
+
+const MAX_CONCURRENCY = 50;
+const DEFAULT_WORKFLOW_CONCURRENCY = 8;
+
+/**
+ * Check a concurrency setting.
+ * @param {any} value
+ * @param {string} label - How to name the setting in the message
+ * @returns {string|null} The problem, or null if the value is valid
+ */
+function concurrencyProblem(value, label) {
+  if (Number.isInteger(value) && value >= 1 && value <= MAX_CONCURRENCY) return null;
+  return `${label} must be an integer from 1 to ${MAX_CONCURRENCY}`;
+}
+
+/**
+ * Check a workflow's `limits` section.
+ * @param {any} limits - { concurrency?, requestsPerSecond? }
+ * @returns {string[]} Problems
+ */
+function validateLimits(limits) {
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+    return ['"limits" must be an object with "concurrency" and/or "requestsPerSecond"'];
+  }
+  const problems = [];
+  if (limits.concurrency !== undefined) {
+    const problem = concurrencyProblem(limits.concurrency, 'limits.concurrency');
+    if (problem) problems.push(problem);
+  }
+  if (limits.requestsPerSecond !== undefined
+    && !(typeof limits.requestsPerSecond === 'number' && Number.isFinite(limits.requestsPerSecond) && limits.requestsPerSecond > 0)) {
+    problems.push('limits.requestsPerSecond must be a positive number');
+  }
+  return problems;
+}
+
+/**
+ * Create the limiter a workflow run shares between all of its steps,
+ * forEach and loop iterations, and sub-workflows. It bounds how many
+ * REQUEST_TOOLS executions are in flight at once and, optionally, how many
+ * start per second, so parallel layers and iterations cannot flood the API.
+ *
+ * @param {object} [limits]
+ * @param {number} [limits.concurrency=DEFAULT_WORKFLOW_CONCURRENCY] - Executions in flight at once
+ * @param {number} [limits.requestsPerSecond] - Executions started per second (unlimited if unset)
+ * @param {Function} [sleep] - Delay function (for testing)
+ * @returns {{ run: function(function(): Promise<any>): Promise<any> }}
+ */
+function createRequestLimiter({ concurrency = DEFAULT_WORKFLOW_CONCURRENCY, requestsPerSecond } = {}, sleep = ms => new Promise(r => setTimeout(r, ms))) {
+  const interval = requestsPerSecond ? 1000 / requestsPerSecond : 0;
+  const waiting = [];
+  let active = 0;
+  let nextStart = 0;
+
+  const acquire = () => {
+    if (active < concurrency) {
+      active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => waiting.push(resolve));
+  };
+  // Hand the slot straight to the next waiter, if any
+  const release = () => {
+    const next = waiting.shift();
+    if (next) next();
+    else active--;
+  };
+
+  return {
+    async run(fn) {
+      await acquire();
+      try {
+        if (interval) {
+          const now = Date.now();
+          const start = Math.max(now, nextStart);
+          nextStart = start + interval;
+          if (start > now) await sleep(start - now);
+        }
+        return await fn();
+      } finally {
+        release();
+      }
+    },
+  };
+}
+
+/**
+ * Run `fn(item, index)` over items with at most `concurrency` calls in
+ * flight. Settled results are in item order.
+ *
+ * @param {Array} items
+ * @param {number} concurrency
+ * @param {function(any, number): Promise<any>} fn
+ * @param {object} [opts]
+ * @param {boolean} [opts.stopOnError=false] - Start no new items after a failure, and throw
+ *   that error once the calls in flight have finished
+ * @returns {Promise<Array<{value: any}|{error: Error}>>}
+ */
+async function mapWithConcurrency(items, concurrency, fn, { stopOnError = false } = {}) {
+  const settled = new Array(items.length);
+  let next = 0;
+  let failure = null;
+
+  async function worker() {
+    while (next < items.length && !(stopOnError && failure)) {
+      const idx = next++;
+      try {
+        settled[idx] = { value: await fn(items[idx], idx) };
+      } catch (error) {
+        settled[idx] = { error };
+        if (!failure) failure = error;
+      }
+    }
+  }
+
+  const workers = [];
+  for (let w = 0; w < Math.min(concurrency, items.length); w++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  if (stopOnError && failure) throw failure;
+  return settled;
+}
+
 // ════════════════════════════════════════════════════════════════════
 // Main Execution Loop
 // ════════════════════════════════════════════════════════════════════
@@ -1753,13 +2524,30 @@ async function executeStep(step, resolvedInputs, defaults, context) {
  * @param {object} [opts.inputs] - Workflow input values
  * @param {string} [opts.db] - Database override
  * @param {string} [opts.collection] - Collection override
+ * @param {object} [opts.defaults] - Defaults that take precedence over the definition's
+ *   (a parent workflow's, for sub-workflows)
+ * @param {string} [opts.source] - File the definition was loaded from. Sub-workflow file
+ *   paths are resolved relative to it
  * @param {boolean} [opts.dryRun] - Show plan without executing
  * @param {boolean} [opts.verbose] - Show step details
  * @param {boolean} [opts.json] - Return JSON output
  * @param {Function} [opts.onStepStart] - Callback(stepId, stepDef)
- * @param {Function} [opts.onStepComplete] - Callback(stepId, output, durationMs)
+ * @param {Function} [opts.onStepComplete] - Callback(stepId, output, durationMs, { attempts, retries, cacheHits, cached })
+ *   `attempts` counts every attempt, across forEach iterations; `retries` the failed ones that were retried;
+ *   `cacheHits` the executions served from the output cache, and `cached` whether all of them were
  * @param {Function} [opts.onStepSkip] - Callback(stepId, reason)
- * @param {Function} [opts.onStepError] - Callback(stepId, error)
+ * @param {Function} [opts.onStepError] - Callback(stepId, error, { attempt, attempts, willRetry, delayMs?, iteration? })
+ *   Called for every failed attempt: with `willRetry` true before each retry
+ *   (after `delayMs`), and once with `willRetry` false when the step fails
+ * @param {Function} [opts.onStepReuse] - Callback(stepId, reused) for steps taken from `opts.reuse`
+ * @param {Function} [opts.onLayerComplete] - Callback(layerIndex, stepResults) once every step of a
+ *   layer has finished, including a failed one, before the failure is thrown
+ * @param {boolean} [opts.cache=true] - Use the output cache for steps with "cache"; false skips reads and writes
+ * @param {string} [opts.cacheDir] - Output cache directory (for testing)
+ * @param {object} [opts.reuse] - Outputs of steps that already ran, by step ID: `{ output }` or
+ *   `{ output: null, skipped: true, reason? }`. These steps are not executed again (see planResume
+ *   in workflow-runs.js)
+ * @param {object} [opts.limits] - Overrides the definition's `limits` ({ concurrency, requestsPerSecond })
  * @returns {Promise<{ output: object, steps: Array, totalTimeMs: number, layers: string[][] }>}
  */
 async function executeWorkflow(definition, opts = {}) {
@@ -1799,9 +2587,18 @@ async function executeWorkflow(definition, opts = {}) {
     }
   }
 
+  // Sub-workflows: refuse cycles and deep nesting before anything runs
+  const parentStack = opts._workflowStack || [];
+  const identity = workflowIdentity(definition, opts.source);
+  assertCanNest(parentStack, identity);
+  const workflowStack = [...parentStack, identity];
+  const baseDir = opts._baseDir || (opts.source ? path.dirname(path.resolve(opts.source)) : process.cwd());
+  if (!opts._workflowStack) checkSubWorkflows(definition, { baseDir, stack: workflowStack });
+
   // Build defaults with CLI overrides
   const defaults = {
     ...(definition.defaults || {}),
+    ...(opts.defaults || {}),
     ...(opts.db && { db: opts.db }),
     ...(opts.collection && { collection: opts.collection }),
   };
@@ -1829,15 +2626,36 @@ async function executeWorkflow(definition, opts = {}) {
     defaults,
   };
 
+  // Sub-workflows share their parent's limits
+  const limiter = opts._limiter || createRequestLimiter({ ...definition.limits, ...opts.limits });
+
   // Execute layer by layer
   const stepResults = [];
   const skippedByConditional = new Set(); // Steps skipped by conditional branches
 
-  for (const layer of layers) {
+  for (let layerIndex = 0; layerIndex < layers.length; layerIndex++) {
+    const layer = layers[layerIndex];
     const layerPromises = layer.map(async (stepId) => {
       const step = stepMap.get(stepId);
       const stepStart = Date.now();
 
+      // Reuse the output of a step that completed in a previous run
+      const reused = opts.reuse && opts.reuse[stepId];
+      if (reused) {
+        if (reused.skipped) {
+          context[stepId] = { output: null, skipped: true };
+          stepResults.push({ id: stepId, tool: step.tool, skipped: true, ...(reused.reason && { reason: reused.reason }), durationMs: 0, reused: true });
+        } else {
+          context[stepId] = { output: reused.output };
+          if (step.tool === 'conditional' && reused.output?.skippedSteps) {
+            for (const skippedId of reused.output.skippedSteps) skippedByConditional.add(skippedId);
+          }
+          stepResults.push({ id: stepId, tool: step.tool, output: reused.output, durationMs: 0, reused: true });
+        }
+        if (opts.onStepReuse) opts.onStepReuse(stepId, reused);
+        return;
+      }
+
       // Check if this step was skipped by a conditional branch
       if (skippedByConditional.has(stepId)) {
         if (opts.onStepSkip) opts.onStepSkip(stepId, 'conditional branch not taken');
@@ -1870,6 +2688,64 @@ async function executeWorkflow(definition, opts = {}) {
 
       if (opts.onStepStart) opts.onStepStart(stepId, step);
 
+      // Run settings a workflow step passes on to its sub-workflow
+      const parent = {
+        workflowStack,
+        baseDir,
+        cache: opts.cache,
+        cacheDir: opts.cacheDir,
+        _mockExecutors: opts._mockExecutors,
+        limiter,
+      };
+
+      // Attempts across forEach iterations, and the failed ones that were retried
+      let attempts = 0;
+      let retries = 0;
+      const onAttemptError = (err, info) => {
+        retries++;
+        if (opts.onStepError) opts.onStepError(stepId, err, { ...info, willRetry: true });
+      };
+      const stepLimiter = REQUEST_TOOLS.has(step.tool) ? limiter : undefined;
+      const runAttempts = async (policyStep, run, iteration) => {
+        try {
+          const result = await runStepWithPolicy(policyStep, run, { iteration, onAttemptError, limiter: stepLimiter });
+          attempts += result.attempts;
+          return result.output;
+        } catch (err) {
+          attempts += err.attempts || 1;
+          throw err;
+        }
+      };
+
+      // Output cache, for steps that opt in with "cache"
+      const outputCache = require('./workflow-output-cache');
+      const cacheTtlMs = opts.cache !== false && CACHEABLE_TOOLS.has(step.tool)
+        ? outputCache.parseCacheTtl(step.cache)
+        : null;
+      let executions = 0;
+      let cacheHits = 0;
+      const withCache = async (resolvedInputs, run) => {
+        executions++;
+        if (!cacheTtlMs) return run();
+        const key = outputCache.outputCacheKey(step.tool, resolvedInputs, defaults);
+        const hit = outputCache.readCachedOutput(key, cacheTtlMs, opts.cacheDir);
+        if (hit) {
+          cacheHits++;
+          return hit.output;
+        }
+        const fresh = await run();
+        try {
+          // Cost is only incurred on a miss: store the output without _usage
+          let toStore = fresh;
+          if (fresh && fresh._usage) {
+            toStore = { ...fresh };
+            delete toStore._usage;
+          }
+          outputCache.writeCachedOutput(key, step.tool, toStore, opts.cacheDir);
+        } catch { /* non-critical, the output is just not cached */ }
+        return fresh;
+      };
+
       try {
         let output;
 
@@ -1877,7 +2753,7 @@ async function executeWorkflow(definition, opts = {}) {
         const mockExecutor = opts._mockExecutors && opts._mockExecutors[step.tool];
         if (mockExecutor && step.tool !== 'conditional') {
           const resolvedInputs = resolveTemplate(step.inputs || {}, context);
-          output = await mockExecutor(resolvedInputs, step, context);
+          output = await withCache(resolvedInputs, () => runAttempts(step, () => mockExecutor(resolvedInputs, step, context)));
         } else if (step.tool === 'conditional') {
           // Special handling: resolve then/else but pass raw condition to evaluator
           const rawCondition = step.inputs.condition;
@@ -1886,7 +2762,7 @@ async function executeWorkflow(definition, opts = {}) {
             then: step.inputs.then || [],
             else: step.inputs.else || [],
           };
-          output = await executeStep(step, resolvedInputs, defaults, context);
+          output = await runAttempts(step, () => executeStep(step, resolvedInputs, defaults, context));
         } else if (step.tool === 'loop') {
           // Special handling: resolve items but pass raw step def for per-iteration resolution
           const resolvedItems = resolveTemplate(step.inputs.items, context);
@@ -1895,8 +2771,9 @@ async function executeWorkflow(definition, opts = {}) {
             as: step.inputs.as,
             step: step.inputs.step, // Raw — resolved per iteration inside executeLoop
             maxIterations: step.inputs.maxIterations,
+            concurrency: step.inputs.concurrency,
           };
-          output = await executeStep(step, resolvedInputs, defaults, context);
+          output = await runAttempts(step, (signal) => executeStep(step, resolvedInputs, defaults, context, { stepId, onAttemptError, parent, limiter, signal }));
         } else if (step.forEach) {
           // Iterate over an array
           const iterArray = resolveTemplate(step.forEach, context);
@@ -1904,18 +2781,28 @@ async function executeWorkflow(definition, opts = {}) {
             throw new Error(`forEach in step "${stepId}" did not resolve to an array`);
           }
 
-          const iterResults = [];
-          for (let i = 0; i < iterArray.length; i++) {
-            const iterContext = { ...context, item: iterArray[i], index: i };
+          // Iterations run in a pool of step.concurrency; without continueOnError
+          // the first failure stops the step, with it failures are collected
+          const settled = await mapWithConcurrency(iterArray, step.concurrency || 1, (item, i) => {
+            const iterContext = { ...context, item, index: i };
             const resolvedInputs = resolveTemplate(step.inputs || {}, iterContext);
-            const iterOutput = await executeStep(step, resolvedInputs, defaults, iterContext);
-            iterResults.push(iterOutput);
-          }
-          output = { results: iterResults, count: iterResults.length };
+            return withCache(resolvedInputs, () => runAttempts(
+              { ...step, id: `${stepId}[${i}]` },
+              (signal) => executeStep(step, resolvedInputs, defaults, iterContext, { parent, signal }),
+              i,
+            ));
+          }, { stopOnError: !step.continueOnError });
+
+          const iterResults = settled.map(r => ('error' in r ? null : r.value));
+          const iterErrors = [];
+          settled.forEach((r, i) => {
+            if ('error' in r) iterErrors.push({ index: i, error: r.error.message, ...(r.error.attempts > 1 && { attempts: r.error.attempts }) });
+          });
+          output = { results: iterResults, count: iterResults.length, ...(iterErrors.length > 0 && { errors: iterErrors }) };
         } else {
           // Normal execution
           const resolvedInputs = resolveTemplate(step.inputs || {}, context);
-          output = await executeStep(step, resolvedInputs, defaults, context);
+          output = await withCache(resolvedInputs, () => runAttempts(step, (signal) => executeStep(step, resolvedInputs, defaults, context, { parent, signal })));
         }
 
         // If this was a conditional node, mark skipped branch steps
@@ -1928,7 +2815,8 @@ async function executeWorkflow(definition, opts = {}) {
         const durationMs = Date.now() - stepStart;
 
         // Pass full output (with _usage) to onStepComplete for cost tracking
-        if (opts.onStepComplete) opts.onStepComplete(stepId, output, durationMs);
+        const cached = cacheHits > 0 && cacheHits === executions;
+        if (opts.onStepComplete) opts.onStepComplete(stepId, output, durationMs, { attempts, retries, cacheHits, cached });
 
         // Strip _usage from context so downstream steps don't receive it
         let cleanOutput = output;
@@ -1943,27 +2831,49 @@ async function executeWorkflow(definition, opts = {}) {
           tool: step.tool,
           output: cleanOutput,
           durationMs,
+          ...(retries > 0 && { attempts, retries }),
+          ...(cacheHits > 0 && { cached, cacheHits }),
         });
       } catch (err) {
         const durationMs = Date.now() - stepStart;
+        const failure = {
+          attempt: err.attempts || 1,
+          attempts: normalizeRetryPolicy(step.retry).attempts,
+          willRetry: false,
+          ...(err.iteration !== undefined && { iteration: err.iteration }),
+        };
+        if (opts.onStepError) opts.onStepError(stepId, err, failure);
 
         if (step.continueOnError) {
           context[stepId] = { output: null, error: err.message };
-          if (opts.onStepError) opts.onStepError(stepId, err);
           stepResults.push({
             id: stepId,
             tool: step.tool,
             error: err.message,
             durationMs,
+            ...(retries > 0 && { attempts, retries }),
           });
         } else {
-          if (opts.onStepError) opts.onStepError(stepId, err);
-          throw new Error(`Step "${stepId}" failed: ${err.message}`);
+          stepResults.push({
+            id: stepId,
+            tool: step.tool,
+            error: err.message,
+            durationMs,
+            ...(retries > 0 && { attempts, retries }),
+          });
+          const after = failure.attempt > 1 ? ` after ${failure.attempt} attempts` : '';
+          throw new Error(`Step "${stepId}" failed${after}: ${err.message}`);
         }
       }
     });
 
-    await Promise.all(layerPromises);
+    // Let the rest of the layer finish when a step fails, so its results are reported
+    const settled = await Promise.allSettled(layerPromises);
+    if (opts.onLayerComplete) {
+      opts.onLayerComplete(layerIndex, stepResults.filter(r => layer.includes(r.id)));
+    }
+    const failed = settled.find(r => r.status === 'rejected');
+    if (failed) throw failed.reason;
   }
 
   // Resolve output templates
@@ -2184,6 +3094,19 @@ module.exports = {
   // Main execution
   executeStep,
   executeWorkflow,
+  executeSubWorkflow,
+  resolveSubWorkflow,
+
+  // Step policies
+  validateStepPolicy,
+  normalizeRetryPolicy,
+  isRetryableStepError,
+  runStepWithPolicy,
+
+  // Concurrency
+  validateLimits,
+  createRequestLimiter,
+  mapWithConcurrency,
 
   // Templates
   listBuiltinWorkflows,
@@ -2201,4 +3124,9 @@ module.exports = {
   PROCESSING_TOOLS,
   INTEGRATION_TOOLS,
   ALL_TOOLS,
+  CACHEABLE_TOOLS,
+  REQUEST_TOOLS,
+  MAX_WORKFLOW_DEPTH,
+  MAX_CONCURRENCY,
+  DEFAULT_WORKFLOW_CONCURRENCY,
 };
@@ -3,9 +3,16 @@
 /**
  * Minimal ZIP file creator for text files.
  * Creates uncompressed (STORE) ZIP archives - perfect for scaffolded code.
+ * Also reads STORE/DEFLATE archives (DOCX, PPTX, XLSX, EPUB).
  * No external dependencies.
  */
 
+const zlib = require('zlib');
+
+// Inflated bytes readZip accepts from one archive, so a small zip bomb
+// cannot exhaust memory
+const MAX_UNZIPPED_SIZE = 256 * 1024 * 1024;
+
 /**
  * Create a ZIP file from an array of file entries.
  * @param {Array<{name: string, content: string}>} files - Files to include
@@ -127,4 +134,81 @@ function crc32(buffer) {
   return (crc ^ 0xFFFFFFFF) >>> 0;
 }
 
-module.exports = { createZip };
+/**
+ * Read the entries of a ZIP archive via its central directory.
+ * Supports STORE and DEFLATE entries; ZIP64 and encrypted archives are rejected.
+ * An entry may not inflate past the size its header declares, and the
+ * archive's entries together may not exceed `maxTotalSize`.
+ * @param {Buffer} buffer - ZIP file contents
+ * @param {object} [opts]
+ * @param {number} [opts.maxTotalSize=MAX_UNZIPPED_SIZE] - Max uncompressed bytes across all entries
+ * @returns {Map<string, Buffer>} Entry name → uncompressed contents (directories omitted)
+ */
+function readZip(buffer, { maxTotalSize = MAX_UNZIPPED_SIZE } = {}) {
+  // The EOCD record sits at the end, followed by an optional comment (max 64KB)
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xFFFF); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('Not a ZIP archive (end of central directory not found)');
+
+  const total = buffer.readUInt16LE(eocd + 10);
+  let pos = buffer.readUInt32LE(eocd + 16);
+  if (pos === 0xFFFFFFFF) throw new Error('ZIP64 archives are not supported');
+
+  const entries = new Map();
+  let totalSize = 0;
+  for (let n = 0; n < total; n++) {
+    if (buffer.readUInt32LE(pos) !== 0x02014b50) throw new Error('Corrupt ZIP central directory');
+    const flags = buffer.readUInt16LE(pos + 8);
+    const method = buffer.readUInt16LE(pos + 10);
+    const compressedSize = buffer.readUInt32LE(pos + 20);
+    const uncompressedSize = buffer.readUInt32LE(pos + 24);
+    const nameLength = buffer.readUInt16LE(pos + 28);
+    const extraLength = buffer.readUInt16LE(pos + 30);
+    const commentLength = buffer.readUInt16LE(pos + 32);
+    const headerOffset = buffer.readUInt32LE(pos + 42);
+    const name = buffer.toString('utf8', pos + 46, pos + 46 + nameLength);
+    pos += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (flags & 0x1) throw new Error(`Encrypted ZIP entry not supported: ${name}`);
+    totalSize += uncompressedSize;
+    if (totalSize > maxTotalSize) {
+      throw new Error(`ZIP archive expands to more than ${maxTotalSize} bytes`);
+    }
+
+    // Local header lengths can differ from the central directory's
+    const dataStart = headerOffset + 30
+      + buffer.readUInt16LE(headerOffset + 26)
+      + buffer.readUInt16LE(headerOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    let content;
+    if (method === 0) {
+      content = Buffer.from(data);
+    } else if (method === 8) {
+      try {
+        // Never inflate past the declared size (maxOutputLength must be at least 1)
+        content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, uncompressedSize) });
+      } catch (err) {
+        if (err.code === 'ERR_BUFFER_TOO_LARGE') {
+          throw new Error(`ZIP entry inflates past its declared size: ${name}`);
+        }
+        throw err;
+      }
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method}: ${name}`);
+    }
+    if (content.length !== uncompressedSize) {
+      throw new Error(`ZIP entry size does not match its header: ${name}`);
+    }
+    entries.set(name, content);
+  }
+  return entries;
+}
+
+module.exports = { createZip, readZip, MAX_UNZIPPED_SIZE };
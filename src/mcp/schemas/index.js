@@ -81,7 +81,7 @@ const ingestSchema = {
   collection: z.string().optional().describe('Collection to store documents in'),
   source: z.string().optional().describe('Source identifier (e.g., filename, URL) for citation purposes'),
   metadata: z.record(z.string(), z.unknown()).optional().describe('Additional metadata to store with the document'),
-  chunkStrategy: z.enum(['fixed', 'sentence', 'paragraph', 'recursive', 'markdown']).default('recursive')
+  chunkStrategy: z.enum(['fixed', 'sentence', 'paragraph', 'recursive', 'markdown', 'structured']).default('recursive')
     .describe('Text chunking strategy'),
   chunkSize: z.number().int().min(100).max(8000).default(512).describe('Target chunk size in characters'),
   model: z.string().default('voyage-4-large').describe('Voyage AI embedding model'),
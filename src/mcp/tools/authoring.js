@@ -18,6 +18,7 @@ const TOOL_DEFAULTS = {
   explain: { topic: '{{ inputs.topic }}' },
   estimate: { docs: '{{ inputs.docs }}', queries: '{{ inputs.queries }}', months: 12 },
   generate: { prompt: '{{ inputs.prompt }}' },
+  verify: { answer: '', context: [], method: 'rerank' },
   template: { text: '' },
   merge: { arrays: [], dedup: true },
   filter: { array: [], condition: '' },
@@ -227,6 +228,7 @@ function inferToolsFromDescription(description) {
     loop: ['loop', 'iterate', 'for each', 'batch'],
     http: ['http', 'api', 'fetch', 'request', 'url', 'endpoint', 'webhook'],
     estimate: ['cost', 'estimate', 'price', 'budget'],
+    verify: ['verify', 'fact-check', 'hallucination', 'grounded', 'faithful'],
     models: ['model', 'models', 'list models', 'catalog'],
     collections: ['collection', 'collections', 'list collections'],
     aggregate: ['aggregate', 'pipeline', 'mongodb aggregate'],
@@ -430,6 +432,15 @@ function buildStepForTool(tool, stepId, workflowContext, prevArrayStepId) {
         step.inputs.context = `{{ ${prevArrayStepId}.output.results }}`;
       }
       break;
+    case 'verify': {
+      const generateStep = (workflowContext.steps || []).find(s => s.tool === 'generate');
+      step.inputs = {
+        answer: generateStep ? `{{ ${generateStep.id}.output.text }}` : '{{ inputs.answer }}',
+        context: prevArrayStepId ? `{{ ${prevArrayStepId}.output.results }}` : [],
+        method: 'rerank',
+      };
+      break;
+    }
     case 'merge':
       step.inputs = { arrays: prevArrayStepId ? [`{{ ${prevArrayStepId}.output.results }}`] : [], dedup: true };
       break;
@@ -518,6 +529,7 @@ function orderTools(tools) {
     'template',
     'conditional', 'loop',
     'generate',
+    'verify',
   ];
 
   const orderMap = new Map(order.map((t, i) => [t, i]));
@@ -538,6 +550,7 @@ function humanizeTool(tool) {
     collections: 'List collections', explain: 'Explain topic', aggregate: 'Aggregation pipeline',
     code_index: 'Index codebase', code_search: 'Search code', code_query: 'Query codebase',
     code_find_similar: 'Find similar code', code_status: 'Code index status',
+    verify: 'Verify answer',
   };
   return names[tool] || tool;
 }
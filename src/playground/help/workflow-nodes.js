@@ -21,6 +21,9 @@ module.exports = {
       { key: 'db', type: 'string', required: false, desc: 'MongoDB database name. Falls back to project default if omitted.' },
       { key: 'limit', type: 'number', required: false, desc: 'Maximum number of results to return (default: 5).' },
       { key: 'filter', type: 'object', required: false, desc: 'MongoDB pre-filter applied during vector search to narrow candidates (e.g., { "metadata.type": "api-doc" }).' },
+      { key: 'parents', type: 'boolean', required: false, desc: 'Return the deduplicated parent sections of matched chunks instead of the chunks (requires vai pipeline --parents).' },
+      { key: 'parentBudget', type: 'number', required: false, desc: 'Max estimated tokens of parent text across results (default: 4000).' },
+      { key: 'parentCollection', type: 'string', required: false, desc: 'Collection holding the parents (default: <collection>_parents).' },
     ],
     outputs: [
       { key: 'results', type: 'array', desc: 'Array of matched documents, each with text, source, relevanceScore, and metadata.' },
@@ -31,6 +34,8 @@ module.exports = {
       'Use the filter parameter to narrow results by metadata fields before vector search runs, improving both relevance and speed.',
       'Increase the limit if you plan to post-process or re-filter results in a downstream step.',
       'Pair with a Generate node to build a complete RAG pipeline: Query retrieves context, Generate produces the answer.',
+      'Set parents to true to hand Generate whole sections: search stays precise on small chunks while the answer sees their surrounding context.',
+      'Add "cache": true (or a TTL like "2h") to the step while you iterate on later steps: re-runs with the same inputs reuse the cached results instead of searching again.',
     ],
   },
 
@@ -331,12 +336,13 @@ module.exports = {
     description:
       'Iterates over an array, executing a sub-step for each item. Collects all results into an output array.',
     howItWorks:
-      'Resolves the items expression to an array, then sequentially executes the inline sub-step for each element. Each iteration has access to the current item via the variable name specified in "as". Results accumulate into an output array. A safety limit prevents runaway loops.',
+      'Resolves the items expression to an array, then executes the inline sub-step for each element, one at a time or up to "concurrency" at once. Each iteration has access to the current item via the variable name specified in "as". Results accumulate into an output array in item order. A safety limit prevents runaway loops.',
     inputs: [
       { key: 'items', type: 'string', required: true, desc: 'Template reference resolving to an array (e.g., "{{ search.output.results }}").' },
       { key: 'as', type: 'string', required: true, desc: 'Variable name for the current item, accessible in the sub-step (e.g., "doc").' },
       { key: 'step', type: 'object', required: true, desc: 'Inline step definition executed per item. Same schema as a regular step, minus the id.' },
       { key: 'maxIterations', type: 'number', required: false, desc: 'Safety limit to prevent runaway loops (default: 100).' },
+      { key: 'concurrency', type: 'number', required: false, desc: 'Iterations to run at once, 1-50 (default: 1).' },
     ],
     outputs: [
       { key: 'iterations', type: 'number', desc: 'Number of iterations completed.' },
@@ -344,7 +350,7 @@ module.exports = {
       { key: 'errors', type: 'array', desc: 'Errors from failed iterations (if continueOnError is true).' },
     ],
     tips: [
-      'Iterations run sequentially, not in parallel, to avoid API rate limits.',
+      'Iterations run one at a time by default. Raise concurrency to speed up slow sub-steps like generate or http; API calls still count toward the workflow\'s limits.',
       'Use for per-item processing: embed each chunk, check similarity for each result, or enrich each document via HTTP.',
       'Set maxIterations to a reasonable limit for your use case to prevent unexpected costs.',
     ],
@@ -370,6 +376,25 @@ module.exports = {
     ],
   },
 
+  workflow: {
+    description:
+      'Runs another workflow (built-in, installed package or file) as a single step and passes its output to later steps.',
+    howItWorks:
+      'Resolves the workflow reference, maps this step\'s inputs onto the sub-workflow\'s inputs, and runs it with the parent workflow\'s defaults (database, collection, model). The sub-workflow\'s output becomes this step\'s output. Cycles between workflows and nesting more than 5 deep are refused before the run starts.',
+    inputs: [
+      { key: 'workflow', type: 'string', required: true, desc: 'Built-in name (e.g., "smart-ingest"), installed package name, or file path relative to this workflow.' },
+      { key: 'inputs', type: 'object', required: false, desc: 'Values for the sub-workflow\'s inputs; supports template references (e.g., { "text": "{{ fetch.output.body }}" }).' },
+    ],
+    outputs: [
+      { key: '(output)', type: 'any', desc: 'Whatever the sub-workflow\'s "output" section produces.' },
+    ],
+    tips: [
+      'Compose existing workflows into larger pipelines: ingest with smart-ingest, then check coverage with kb-health-report.',
+      'Use forEach on the step to run the sub-workflow once per item.',
+      'The sub-workflow\'s steps do not appear on the canvas; open it separately to debug them.',
+    ],
+  },
+
   // ── Generation ──
 
   generate: {
@@ -380,9 +405,11 @@ module.exports = {
     inputs: [
       { key: 'prompt', type: 'string', required: true, desc: 'The instruction or question for the LLM.' },
       { key: 'context', type: 'string', required: false, desc: 'Additional context text (e.g., from a search or template step) injected into the LLM prompt.' },
+      { key: 'outputSchema', type: 'object', required: false, desc: 'JSON Schema the response must match. The LLM replies with JSON, which is validated (and repaired if needed) and returned as data.' },
     ],
     outputs: [
       { key: 'text', type: 'string', desc: 'The generated response text.' },
+      { key: 'data', type: 'object', desc: 'The parsed JSON response (only with outputSchema).' },
       { key: 'model', type: 'string', desc: 'The LLM model used.' },
       { key: 'provider', type: 'string', desc: 'The LLM provider (openai, anthropic, ollama).' },
     ],
@@ -390,6 +417,32 @@ module.exports = {
       'Pair with a Query or Search node to build a complete RAG pipeline: retrieve context, then generate an answer.',
       'Use a Template node to assemble context from multiple steps before passing to Generate.',
       'The LLM provider and model are configured in your project settings, not per-node.',
+      'With an outputSchema, later steps can reference fields directly, e.g. {{ generate.output.data.title }}. Validation flags references to fields the schema does not declare.',
+    ],
+  },
+
+  verify: {
+    description:
+      'Checks a generated answer against the context it was generated from and reports claims the context does not support.',
+    howItWorks:
+      'Splits the answer into claims (one per sentence that states something). With the "rerank" method, each claim is reranked against the context documents and counts as supported when its best score reaches the threshold. With "llm", the configured LLM judges all claims in one call.',
+    inputs: [
+      { key: 'answer', type: 'string', required: true, desc: 'The answer to check, e.g. the text output of a Generate step.' },
+      { key: 'context', type: 'array', required: true, desc: 'The documents the answer was generated from, e.g. the results of a Query or Search step.' },
+      { key: 'method', type: 'string', required: false, desc: '"rerank" (default) or "llm".' },
+      { key: 'threshold', type: 'number', required: false, desc: 'Min rerank score for a supported claim (default: 0.5). Ignored by "llm".' },
+      { key: 'model', type: 'string', required: false, desc: 'Rerank model (default: rerank-2.5).' },
+    ],
+    outputs: [
+      { key: 'claims', type: 'array', desc: 'Each claim with supported, score and the number of its best supporting document.' },
+      { key: 'supported', type: 'number', desc: 'Number of supported claims.' },
+      { key: 'total', type: 'number', desc: 'Number of claims checked.' },
+      { key: 'score', type: 'number', desc: 'Supported fraction (null when there were no claims).' },
+      { key: 'unsupported', type: 'array', desc: 'Text of each unsupported claim.' },
+    ],
+    tips: [
+      'Pass the same documents to Verify that you passed to Generate, otherwise correct claims can look unsupported.',
+      'Follow with a Conditional node on {{ verify.output.score }} to flag or regenerate weakly grounded answers.',
     ],
   },
 
@@ -466,6 +519,7 @@ module.exports = {
     tips: [
       'Use for Slack notifications, webhook triggers, CMS content fetching, or external API enrichment.',
       'Set continueOnError: true if the HTTP call is optional and should not block the workflow.',
+      'Add "retry": { "attempts": 3 } and "timeoutMs" to the step to retry timeouts, network errors, 429 and 5xx responses with exponential backoff.',
       'Response size is limited to 5MB. For large payloads, use streaming or pagination on the external API.',
     ],
   },
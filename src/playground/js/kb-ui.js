@@ -3,6 +3,16 @@
  * Handles wizard, panel sections, file list, and config interactions
  */
 
+// Uploads accepted by /api/rag/ingest (matched by MIME type or extension)
+const KB_UPLOAD_EXTENSIONS = ['.txt', '.md', '.pdf', '.docx', '.pptx', '.xlsx', '.epub'];
+const KB_UPLOAD_TYPES = [
+  'text/plain', 'text/markdown', 'application/x-markdown', 'application/pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/epub+zip'
+];
+
 class KBUIManager {
   constructor(kbManager) {
     this.kbManager = kbManager;
@@ -417,7 +427,7 @@ class KBUIManager {
     dropZone.addEventListener('drop', (e) => { this.handleWizardFileSelect(e.dataTransfer.files); });
     dropZone.addEventListener('click', () => {
       const input = document.createElement('input');
-      input.type = 'file'; input.multiple = true; input.accept = '.txt,.md,.pdf';
+      input.type = 'file'; input.multiple = true; input.accept = KB_UPLOAD_EXTENSIONS.join(',');
       input.onchange = (e) => this.handleWizardFileSelect(e.target.files);
       input.click();
     });
@@ -429,7 +439,7 @@ class KBUIManager {
     if (!kbName) { alert('No knowledge base selected'); return; }
 
     const validFiles = this.validateFiles(files);
-    if (validFiles.length === 0) { alert('No valid files selected (.txt, .md, or .pdf, max 10MB each)'); return; }
+    if (validFiles.length === 0) { alert('No valid files selected (.txt, .md, .pdf, .docx, .pptx, .xlsx or .epub, max 10MB each)'); return; }
 
     this.closeWizard();
     await this.ingestFiles(validFiles, kbName);
@@ -532,7 +542,8 @@ class KBUIManager {
   validateFiles(files) {
     const validFiles = [];
     for (const file of files) {
-      if (!['text/plain', 'text/markdown', 'application/x-markdown', 'application/pdf'].includes(file.type)) {
+      const ext = (file.name.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+      if (!KB_UPLOAD_TYPES.includes(file.type) && !KB_UPLOAD_EXTENSIONS.includes(ext)) {
         console.warn(`Skipping invalid file type: ${file.name}`);
         continue;
       }
@@ -551,7 +562,7 @@ class KBUIManager {
     if (!kbName) { alert('No knowledge base selected'); return; }
 
     const validFiles = this.validateFiles(files);
-    if (validFiles.length === 0) { alert('No valid files selected (.txt, .md, or .pdf, max 10MB each)'); return; }
+    if (validFiles.length === 0) { alert('No valid files selected (.txt, .md, .pdf, .docx, .pptx, .xlsx or .epub, max 10MB each)'); return; }
 
     await this.ingestFiles(validFiles, kbName);
   }
@@ -0,0 +1,132 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { Command } = require('commander');
+
+const { startBatchApiServer } = require('../fixtures/batch-api-server');
+const { registerBatch, attachVectors } = require('../../src/commands/batch');
+const { LocalVectorStore } = require('../../src/lib/vector-store');
+
+function makeProgram() {
+  const program = new Command();
+  program.exitOverride();
+  registerBatch(program);
+  return program;
+}
+
+/** Run a CLI invocation and return the parsed --json output. */
+async function runJson(args) {
+  const lines = [];
+  const origLog = console.log;
+  console.log = (...a) => lines.push(a.join(' '));
+  try {
+    await makeProgram().parseAsync(['node', 'vai', ...args, '--json']);
+  } finally {
+    console.log = origLog;
+  }
+  return JSON.parse(lines.join('\n'));
+}
+
+describe('batch command', () => {
+  it('registers submit, status, download, apply and list', () => {
+    const cmd = makeProgram().commands.find(c => c.name() === 'batch');
+    assert.ok(cmd, 'batch command should be registered');
+    assert.deepEqual(cmd.commands.map(c => c.name()).sort(), ['apply', 'download', 'list', 'status', 'submit']);
+  });
+
+  it('submit has --file, --dry-run and --completion-window', () => {
+    const submit = makeProgram().commands.find(c => c.name() === 'batch').commands.find(c => c.name() === 'submit');
+    const names = submit.options.map(o => o.long);
+    for (const opt of ['--file', '--db', '--collection', '--field', '--dry-run', '--completion-window', '--store']) {
+      assert.ok(names.includes(opt), `should have ${opt}`);
+    }
+  });
+});
+
+describe('attachVectors', () => {
+  it('attaches vectors and reports documents without one', () => {
+    const results = { vectors: new Map([['a', [1, 2]]]) };
+    const { docs, missing } = attachVectors(
+      [{ _id: 'a', text: 'x' }, { _id: 'b', text: 'y' }],
+      results,
+      { field: 'embedding', model: 'voyage-4' },
+    );
+    assert.equal(docs.length, 1);
+    assert.deepEqual(docs[0].embedding, [1, 2]);
+    assert.equal(docs[0].model, 'voyage-4');
+    assert.equal(docs[0].dimensions, 2);
+    assert.deepEqual(missing, ['b']);
+  });
+});
+
+describe('batch workflow (stand-in server)', () => {
+  let api;
+  let tmpDir;
+  const savedEnv = {};
+
+  before(async () => {
+    api = await startBatchApiServer();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vai-batch-cmd-test-'));
+    for (const key of ['VOYAGE_API_BASE', 'VOYAGE_API_KEY', 'VAI_BATCH_DIR', 'VAI_STORE_PATH']) savedEnv[key] = process.env[key];
+    process.env.VOYAGE_API_BASE = api.url;
+    process.env.VOYAGE_API_KEY = 'test-key';
+    process.env.VAI_BATCH_DIR = path.join(tmpDir, 'batches');
+    process.env.VAI_STORE_PATH = path.join(tmpDir, 'stores');
+  });
+
+  after(async () => {
+    await api.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  it('submits, waits, and applies vectors idempotently', async () => {
+    const input = path.join(tmpDir, 'docs.jsonl');
+    fs.writeFileSync(input, '{"text":"alpha"}\n{"text":"be"}\n{"text":"FAIL"}\n');
+
+    const job = await runJson(['batch', 'submit', '--file', input, '--db', 'db', '--collection', 'col', '--store', 'local', '-q']);
+    assert.match(job.batchId, /^batch-/);
+    assert.equal(job.requests, 3);
+    assert.ok(fs.existsSync(path.join(process.env.VAI_BATCH_DIR, job.batchId, 'requests.jsonl')));
+
+    const status = await runJson(['batch', 'status', job.batchId, '--wait', '--interval', '0']);
+    assert.equal(status.status, 'completed');
+    assert.deepEqual(status.requestCounts, { total: 3, completed: 2, failed: 1 });
+
+    const applied = await runJson(['batch', 'apply', job.batchId]);
+    assert.deepEqual(applied, { batchId: job.batchId, written: 2, missing: 1, store: 'local' });
+
+    const store = new LocalVectorStore({ db: 'db', collection: 'col', dir: process.env.VAI_STORE_PATH });
+    const docs = await store.find({}, { project: { text: 1, embedding: 1, 'metadata.source': 1 } });
+    assert.deepEqual(docs.map(d => [d.text, d.embedding]), [['alpha', [5, 1]], ['be', [2, 1]]]);
+    assert.equal(docs[0].metadata.source, 'docs.jsonl');
+
+    // Re-applying upserts in place
+    await runJson(['batch', 'apply', job.batchId]);
+    assert.equal(await new LocalVectorStore({ db: 'db', collection: 'col', dir: process.env.VAI_STORE_PATH }).count(), 2);
+
+    const list = await runJson(['batch', 'list']);
+    assert.equal(list[0].batchId, job.batchId);
+    assert.ok(list[0].appliedAt);
+  });
+
+  it('dry run writes the request file without submitting', async () => {
+    const input = path.join(tmpDir, 'dry.jsonl');
+    const output = path.join(tmpDir, 'requests.jsonl');
+    fs.writeFileSync(input, '{"text":"one"}\n');
+    const before = api.requests.length;
+
+    const result = await runJson(['batch', 'submit', '--file', input, '--db', 'db', '--collection', 'col', '--dry-run', '-o', output]);
+    assert.equal(result.dryRun, true);
+    assert.equal(api.requests.length, before);
+    const [line] = fs.readFileSync(output, 'utf-8').trim().split('\n').map(l => JSON.parse(l));
+    assert.deepEqual(line.body, { input: ['one'] });
+  });
+});
@@ -48,6 +48,13 @@ describe('chat command agent mode', () => {
     }
   });
 
+  it('has --tool-permissions option', () => {
+    const cmd = setup();
+    const opt = cmd.options.find(o => o.long === '--tool-permissions');
+    assert.ok(opt, 'Should have --tool-permissions option');
+    assert.ok(opt.description.includes('allow, deny, ask'));
+  });
+
   it('has --llm-base-url option', () => {
     const cmd = setup();
     const opt = cmd.options.find(o => o.long === '--llm-base-url');
@@ -123,6 +123,34 @@ describe('chat command', () => {
     assert.ok(cmd.options.find(o => o.long === '--quiet'));
   });
 
+  it('has --invalid-citations option', () => {
+    const cmd = setup();
+    assert.ok(cmd.options.find(o => o.long === '--invalid-citations'));
+  });
+
+  it('has query rewriting and expansion options', () => {
+    const cmd = setup();
+    assert.ok(cmd.options.find(o => o.long === '--no-rewrite'));
+    assert.ok(cmd.options.find(o => o.long === '--expand'));
+    assert.equal(cmd.options.find(o => o.long === '--expand-count').parseArg('5'), 5);
+  });
+
+  it('has LLM fallback and retry options', () => {
+    const cmd = setup();
+    assert.ok(cmd.options.find(o => o.long === '--llm-fallback'));
+    assert.ok(cmd.options.find(o => o.long === '--no-llm-fallback'));
+    assert.ok(cmd.options.find(o => o.long === '--llm-retries'));
+    assert.ok(cmd.options.find(o => o.long === '--llm-timeout'));
+  });
+
+  it('has --verify and --verify-threshold options', () => {
+    const cmd = setup();
+    assert.ok(cmd.options.find(o => o.long === '--verify'));
+    const threshold = cmd.options.find(o => o.long === '--verify-threshold');
+    assert.ok(threshold);
+    assert.equal(threshold.parseArg('0.7'), 0.7);
+  });
+
   it('has --list flag', () => {
     const cmd = setup();
     const opt = cmd.options.find(o => o.long === '--list');
@@ -3,7 +3,7 @@
 const { describe, it } = require('node:test');
 const assert = require('node:assert/strict');
 const { Command } = require('commander');
-const { registerChunk } = require('../../src/commands/chunk');
+const { registerChunk, formatSemanticExplain } = require('../../src/commands/chunk');
 
 describe('chunk command', () => {
   function makeProgram() {
@@ -88,4 +88,38 @@ describe('chunk command', () => {
     assert.ok(opt, 'should have --text-field option');
     assert.equal(opt.defaultValue, 'text');
   });
+
+  it('has semantic strategy options', () => {
+    const program = makeProgram();
+    const cmd = program.commands.find(c => c.name() === 'chunk');
+    for (const flag of ['--explain', '--semantic-threshold', '--model', '--local']) {
+      assert.ok(cmd.options.find(o => o.long === flag), `should have ${flag} option`);
+    }
+  });
+
+  describe('formatSemanticExplain', () => {
+    const strip = s => s.replace(/\x1b\[[0-9;]*m/g, '');
+
+    it('shows one row per gap and marks breakpoints', () => {
+      const analysis = {
+        units: ['Cats purr.', 'Cats nap.', 'Stocks fell.'],
+        similarities: [0.91, 0.12],
+        threshold: 0.12,
+        breakpoints: [{ after: 1, similarity: 0.12, reason: 'similarity' }],
+        chunks: [{ text: 'Cats purr. Cats nap.' }, { text: 'Stocks fell.' }],
+      };
+      const lines = formatSemanticExplain('notes.md', analysis).map(strip);
+      assert.match(lines[0], /notes\.md — 3 sentences → 2 chunks, threshold 0\.120 \(10th percentile\)/);
+      assert.equal(lines.length, 3);
+      assert.ok(!lines[1].includes('✂'));
+      assert.match(lines[2], /0\.120 .*✂ similarity .*Stocks fell\./);
+    });
+
+    it('handles single-sentence input', () => {
+      const lines = formatSemanticExplain('a.txt', {
+        units: ['Only one.'], similarities: [], threshold: null, breakpoints: [], chunks: [{ text: 'Only one.' }],
+      }).map(strip);
+      assert.match(lines[1], /single sentence/);
+    });
+  });
 });
@@ -0,0 +1,41 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Command } = require('commander');
+const { registerIndex, buildSearchIndexDefinition } = require('../../src/commands/index');
+
+describe('index command', () => {
+  function makeProgram() {
+    const program = new Command();
+    program.exitOverride();
+    registerIndex(program);
+    return program;
+  }
+
+  it('registers create, list and delete subcommands', () => {
+    const program = makeProgram();
+    const cmd = program.commands.find(c => c.name() === 'index');
+    assert.ok(cmd, 'index command should be registered');
+    const subs = cmd.commands.map(c => c.name());
+    assert.deepEqual(subs, ['create', 'list', 'delete']);
+  });
+
+  it('create has --type option defaulting to vector', () => {
+    const program = makeProgram();
+    const create = program.commands.find(c => c.name() === 'index').commands.find(c => c.name() === 'create');
+    const opt = create.options.find(o => o.long === '--type');
+    assert.ok(opt, 'should have --type');
+    assert.equal(opt.defaultValue, 'vector');
+  });
+});
+
+describe('buildSearchIndexDefinition', () => {
+  it('maps the text field as a lexical string field', () => {
+    const def = buildSearchIndexDefinition('search_index', 'text');
+    assert.equal(def.name, 'search_index');
+    assert.equal(def.type, 'search');
+    assert.equal(def.definition.mappings.dynamic, false);
+    assert.equal(def.definition.mappings.fields.text.type, 'string');
+  });
+});
@@ -219,6 +219,21 @@ describe('ingest', () => {
     });
   });
 
+  describe('groupBySourceDocument', () => {
+    it('groups records by metadata.source, then source, then the file', () => {
+      delete require.cache[require.resolve('../../src/commands/ingest')];
+      const { groupBySourceDocument } = require('../../src/commands/ingest');
+      const groups = groupBySourceDocument([
+        { text: 'a1', metadata: { source: 'a.md' } },
+        { text: 'b1', source: 'b.md' },
+        { text: 'x' },
+        { text: 'a2', metadata: { source: 'a.md' } },
+        { text: 'y' },
+      ], 'chunks.jsonl');
+      assert.deepEqual(groups, [[0, 3], [1], [2, 4]]);
+    });
+  });
+
   describe('command registration', () => {
     it('registers ingest command with required options', () => {
       delete require.cache[require.resolve('../../src/commands/ingest')];
@@ -244,6 +259,8 @@ describe('ingest', () => {
       assert.ok(optionNames.includes('--quiet'), 'should have --quiet option');
       assert.ok(optionNames.includes('--strict'), 'should have --strict option');
       assert.ok(optionNames.includes('--input-type'), 'should have --input-type option');
+      assert.ok(optionNames.includes('--resume'), 'should have --resume option');
+      assert.ok(optionNames.includes('--contextual'), 'should have --contextual option');
     });
 
     it('--input-type defaults to document', () => {
@@ -259,3 +276,103 @@ describe('ingest', () => {
     });
   });
 });
+
+describe('ingest command run', () => {
+  const config = require('../../src/lib/config');
+  const mongo = require('../../src/lib/mongo');
+  const api = require('../../src/lib/api');
+  const originals = {
+    configDir: config.CONFIG_DIR,
+    getMongoCollection: mongo.getMongoCollection,
+    generateEmbeddings: api.generateEmbeddings,
+  };
+  let tmpDir, output, embedCalls, writes, failWrite;
+  let originalLog, originalExit;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vai-ingest-run-'));
+    config.CONFIG_DIR = tmpDir;
+    output = [];
+    embedCalls = [];
+    writes = [];
+    failWrite = () => false;
+    mongo.getMongoCollection = async () => ({
+      client: { close: async () => {} },
+      collection: {
+        bulkWrite: async (ops) => {
+          const ids = ops.map(op => op.replaceOne.filter._id);
+          if (failWrite(writes.length)) {
+            writes.push(null);
+            throw new Error('write failed');
+          }
+          writes.push(ids);
+        },
+      },
+    });
+    api.generateEmbeddings = async (texts) => {
+      embedCalls.push(texts);
+      return { data: texts.map(() => ({ embedding: [1, 0] })), usage: { total_tokens: texts.length } };
+    };
+    originalLog = console.log;
+    originalExit = process.exit;
+    console.log = (...args) => output.push(args.join(' '));
+    process.exit = (code) => { throw new Error(`process.exit(${code})`); };
+  });
+
+  afterEach(() => {
+    config.CONFIG_DIR = originals.configDir;
+    mongo.getMongoCollection = originals.getMongoCollection;
+    api.generateEmbeddings = originals.generateEmbeddings;
+    console.log = originalLog;
+    process.exit = originalExit;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // The command destructures its dependencies on load, so load it after the stubs
+  async function ingest(...args) {
+    delete require.cache[require.resolve('../../src/commands/ingest')];
+    const { registerIngest } = require('../../src/commands/ingest');
+    const { Command } = require('commander');
+    const program = new Command();
+    program.exitOverride();
+    registerIngest(program);
+    output.length = 0;
+    await program.parseAsync(['node', 'vai', 'ingest', '--db', 'kb', '--collection', 'docs', '--field', 'embedding', '--json', ...args]);
+    return JSON.parse(output.join('\n'));
+  }
+
+  function writeJsonl(dir, texts) {
+    fs.mkdirSync(path.join(tmpDir, dir), { recursive: true });
+    const file = path.join(tmpDir, dir, 'data.jsonl');
+    fs.writeFileSync(file, texts.map(text => JSON.stringify({ text })).join('\n'));
+    return file;
+  }
+
+  it('--resume skips batches the interrupted run already stored', async () => {
+    const file = writeJsonl('a', ['one', 'two', 'three', 'four']);
+    failWrite = (n) => n === 1;
+    const first = await ingest('--file', file, '--batch-size', '2');
+    assert.equal(first.succeeded, 2);
+    assert.equal(first.failed, 2);
+    const stored = writes[0];
+
+    embedCalls.length = 0;
+    writes.length = 0;
+    failWrite = () => false;
+    const second = await ingest('--file', file, '--batch-size', '2', '--resume');
+
+    assert.equal(second.resumed, 2);
+    assert.equal(second.succeeded, 2);
+    assert.equal(writes.length, 1);
+    assert.ok(writes[0].every(id => !stored.includes(id)));
+    // The failed batch's vectors were journaled, so nothing is embedded again
+    assert.deepEqual(embedCalls, []);
+  });
+
+  it('gives same-named files in different directories different IDs', async () => {
+    await ingest('--file', writeJsonl('a', ['same text']));
+    await ingest('--file', writeJsonl('b', ['same text']));
+    assert.equal(writes.length, 2);
+    assert.notEqual(writes[0][0], writes[1][0]);
+  });
+});
@@ -0,0 +1,35 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Command } = require('commander');
+const { registerMemory, formatMemory } = require('../../src/commands/memory');
+
+describe('memory command', () => {
+  it('registers list and delete subcommands', () => {
+    const program = new Command();
+    registerMemory(program);
+    const memory = program.commands.find(c => c.name() === 'memory');
+    assert.ok(memory);
+    assert.deepEqual(memory.commands.map(c => c.name()), ['list', 'delete']);
+    const list = memory.commands[0];
+    assert.ok(list.options.some(o => o.long === '--json'));
+    assert.ok(list.options.some(o => o.long === '--db'));
+  });
+
+  it('formats a memory with its provenance and expiry', () => {
+    const line = formatMemory({
+      _id: '1234abcd-0000',
+      text: 'The user prefers Go.',
+      kind: 'preference',
+      source: 'extracted',
+      sessionId: 'feedbeef-1111',
+      createdAt: new Date('2026-01-02'),
+      expiresAt: new Date('2026-03-04'),
+    });
+    assert.match(line, /1234abcd/);
+    assert.match(line, /The user prefers Go\./);
+    assert.match(line, /from session feedbeef/);
+    assert.match(line, /expires/);
+  });
+});
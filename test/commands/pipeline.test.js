@@ -1,9 +1,13 @@
 'use strict';
 
-const { describe, it } = require('node:test');
+const { describe, it, beforeEach, afterEach } = require('node:test');
 const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { Command } = require('commander');
-const { registerPipeline } = require('../../src/commands/pipeline');
+const { registerPipeline, buildIngestPlan, contextGroups, parentUnits } = require('../../src/commands/pipeline');
+const { buildPptx } = require('../fixtures/documents');
 
 describe('pipeline command', () => {
   function makeProgram() {
@@ -89,4 +93,339 @@ describe('pipeline command', () => {
     assert.ok(cmd.description().includes('embed'), 'should mention embed');
     assert.ok(cmd.description().includes('store'), 'should mention store');
   });
+
+  it('has --store option', () => {
+    const program = makeProgram();
+    const cmd = program.commands.find(c => c.name() === 'pipeline');
+    assert.ok(cmd.options.find(o => o.long === '--store'), 'should have --store');
+  });
+
+  it('has --resume option', () => {
+    const program = makeProgram();
+    const cmd = program.commands.find(c => c.name() === 'pipeline');
+    assert.ok(cmd.options.find(o => o.long === '--resume'), 'should have --resume');
+  });
+
+  it('has --incremental option', () => {
+    const program = makeProgram();
+    const cmd = program.commands.find(c => c.name() === 'pipeline');
+    assert.ok(cmd.options.find(o => o.long === '--incremental'), 'should have --incremental');
+  });
+
+  it('has --parents options', () => {
+    const program = makeProgram();
+    const cmd = program.commands.find(c => c.name() === 'pipeline');
+    for (const flag of ['--parents', '--parent-size', '--parent-collection']) {
+      assert.ok(cmd.options.find(o => o.long === flag), `should have ${flag}`);
+    }
+  });
+
+  it('has --contextual option', () => {
+    const program = makeProgram();
+    const cmd = program.commands.find(c => c.name() === 'pipeline');
+    assert.ok(cmd.options.find(o => o.long === '--contextual'), 'should have --contextual');
+  });
+});
+
+describe('pipeline command run', () => {
+  const config = require('../../src/lib/config');
+  const api = require('../../src/lib/api');
+  const originals = {
+    configDir: config.CONFIG_DIR,
+    generateEmbeddings: api.generateEmbeddings,
+    storePath: process.env.VAI_STORE_PATH,
+  };
+  let tmpDir, output, embedCalls;
+  let originalLog, originalExit;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vai-pipeline-run-'));
+    config.CONFIG_DIR = tmpDir;
+    process.env.VAI_STORE_PATH = path.join(tmpDir, 'store');
+    output = [];
+    embedCalls = [];
+    api.generateEmbeddings = async (texts) => {
+      embedCalls.push(texts);
+      return { data: texts.map(() => ({ embedding: [1, 0] })), usage: { total_tokens: texts.length } };
+    };
+    originalLog = console.log;
+    originalExit = process.exit;
+    console.log = (...args) => output.push(args.join(' '));
+    process.exit = (code) => { throw new Error(`process.exit(${code})`); };
+  });
+
+  afterEach(() => {
+    config.CONFIG_DIR = originals.configDir;
+    api.generateEmbeddings = originals.generateEmbeddings;
+    if (originals.storePath === undefined) delete process.env.VAI_STORE_PATH;
+    else process.env.VAI_STORE_PATH = originals.storePath;
+    console.log = originalLog;
+    process.exit = originalExit;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // The command destructures its dependencies on load, so load it after the stubs
+  async function pipeline(...args) {
+    delete require.cache[require.resolve('../../src/commands/pipeline')];
+    const { registerPipeline: register } = require('../../src/commands/pipeline');
+    const program = new Command();
+    program.exitOverride();
+    register(program);
+    output.length = 0;
+    await program.parseAsync(['node', 'vai', 'pipeline', ...args,
+      '--db', 'kb', '--collection', 'docs', '--store', 'local', '--strategy', 'paragraph', '--incremental', '--json']);
+    return JSON.parse(output.join('\n'));
+  }
+
+  it('keeps the docs of two roots that share a relative path', async () => {
+    for (const root of ['a', 'b']) {
+      fs.mkdirSync(path.join(tmpDir, root));
+      fs.writeFileSync(path.join(tmpDir, root, 'README.md'), 'Same words in both roots.');
+    }
+
+    await pipeline(path.join(tmpDir, 'a'));
+    await pipeline(path.join(tmpDir, 'b'));
+    const rerun = await pipeline(path.join(tmpDir, 'a'));
+
+    const { createVectorStore } = require('../../src/lib/vector-store');
+    const docs = await createVectorStore({ db: 'kb', collection: 'docs', store: 'local' }).find({});
+    assert.equal(docs.length, 2);
+    assert.deepEqual(docs.map(d => d.metadata.source_root).sort(), [path.join(tmpDir, 'a'), path.join(tmpDir, 'b')]);
+    assert.equal(embedCalls.length, 2);
+    assert.equal(rerun.incremental.unchanged, 1);
+  });
+});
+
+describe('buildIngestPlan', () => {
+  const settings = { strategy: 'paragraph', chunkSize: 40, overlap: 0, textField: 'text', model: 'voyage-4-lite' };
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vai-pipeline-test-'));
+    fs.writeFileSync(path.join(tmpDir, 'a.txt'), 'First paragraph here.\n\nSecond paragraph here.');
+    fs.writeFileSync(path.join(tmpDir, 'b.txt'), 'Only paragraph in b.');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function filesIn(dir) {
+    return fs.readdirSync(dir).sort().map(f => path.join(dir, f));
+  }
+
+  // Simulate what a previous run stored: the planned chunks, each given an _id
+  async function previousRun() {
+    const plan = await buildIngestPlan(filesIn(tmpDir), { ...settings, basePath: tmpDir });
+    const docs = plan.chunks.map((c, i) => ({ _id: `doc${i}`, text: c.text, metadata: c.metadata }));
+    const stored = new Map();
+    for (const doc of docs) {
+      if (!stored.has(doc.metadata.source)) stored.set(doc.metadata.source, []);
+      stored.get(doc.metadata.source).push(doc);
+    }
+    return stored;
+  }
+
+  it('stamps chunks with hash, mtime and settings fingerprint', async () => {
+    const plan = await buildIngestPlan(filesIn(tmpDir), { ...settings, basePath: tmpDir });
+    assert.equal(plan.chunks.length, 3);
+    const meta = plan.chunks[0].metadata;
+    assert.match(meta.content_hash, /^[0-9a-f]{64}$/);
+    assert.ok(!isNaN(Date.parse(meta.source_mtime)));
+    assert.ok(meta.chunk_config);
+    assert.equal(plan.chunks[0].reuse, null);
+    assert.deepEqual(plan.staleIds, []);
+  });
+
+  it('carries document structure into chunk metadata', async () => {
+    const deck = path.join(tmpDir, 'deck.pptx');
+    fs.writeFileSync(deck, buildPptx([{ title: 'Pricing', body: ['Enterprise plans start at $500 per month.'] }]));
+    const plan = await buildIngestPlan([deck], { ...settings, chunkSize: 200, basePath: tmpDir });
+    assert.equal(plan.chunks.length, 1);
+    assert.equal(plan.chunks[0].metadata.slide, 1);
+    assert.equal(plan.chunks[0].metadata.slide_title, 'Pricing');
+    assert.equal(plan.chunks[0].metadata.source, 'deck.pptx');
+  });
+
+  it('stores the heading breadcrumb with the structured strategy', async () => {
+    const doc = path.join(tmpDir, 'guide.md');
+    fs.writeFileSync(doc, '# Guide\n\n## Setup\n\n| Step | Command |\n|------|---------|\n| 1 | npm install |');
+    const plan = await buildIngestPlan([doc], { ...settings, strategy: 'structured', chunkSize: 200, basePath: tmpDir });
+    assert.equal(plan.chunks.length, 1);
+    assert.equal(plan.chunks[0].metadata.heading_path, 'Guide > Setup');
+    assert.ok(plan.chunks[0].text.includes('| 1 | npm install |'));
+  });
+
+  it('chunks semantically with the given embed function', async () => {
+    const doc = path.join(tmpDir, 'topics.txt');
+    fs.writeFileSync(doc, 'The cat sat down. A cat purred loudly. Markets fell sharply today. Markets rallied later on.');
+    const embed = async (texts) => texts.map(t => [(t.match(/cat/g) || []).length, (t.match(/Markets/g) || []).length]);
+    const plan = await buildIngestPlan([doc], { ...settings, strategy: 'semantic', chunkSize: 200, basePath: tmpDir, embed });
+    assert.deepEqual(plan.chunks.map(c => c.text), [
+      'The cat sat down. A cat purred loudly.',
+      'Markets fell sharply today. Markets rallied later on.',
+    ]);
+  });
+
+  it('assigns deterministic chunk IDs', async () => {
+    const first = await buildIngestPlan(filesIn(tmpDir), { ...settings, basePath: tmpDir });
+    const second = await buildIngestPlan(filesIn(tmpDir), { ...settings, basePath: tmpDir });
+    assert.deepEqual(first.chunks.map(c => c.id), second.chunks.map(c => c.id));
+    assert.equal(new Set(first.chunks.map(c => c.id)).size, first.chunks.length);
+  });
+
+  it('skips files that have not changed', async () => {
+    const stored = await previousRun();
+    const plan = await buildIngestPlan(filesIn(tmpDir), { ...settings, basePath: tmpDir, stored, sweepVanished: true });
+    assert.equal(plan.chunks.length, 0);
+    assert.equal(plan.skippedFiles, 2);
+    assert.deepEqual(plan.counts, { added: 0, updated: 0, removed: 0, unchanged: 3 });
+  });
+
+  it('re-chunks modified files and reuses vectors for unchanged chunks', async () => {
+    const stored = await previousRun();
+    const aPath = path.join(tmpDir, 'a.txt');
+    fs.writeFileSync(aPath, 'First paragraph here.\n\nSecond paragraph edited.');
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(aPath, later, later);
+
+    const plan = await buildIngestPlan(filesIn(tmpDir), { ...settings, basePath: tmpDir, stored, sweepVanished: true });
+    assert.deepEqual(plan.counts, { added: 0, updated: 1, removed: 0, unchanged: 2 });
+    assert.equal(plan.chunks.length, 2);
+    assert.equal(plan.chunks[0].reuse._id, 'doc0');
+    assert.equal(plan.chunks[1].reuse, null);
+    assert.deepEqual(plan.staleIds.sort(), ['doc0', 'doc1']);
+  });
+
+  it('removes chunks of deleted files only when sweeping', async () => {
+    const stored = await previousRun();
+    fs.unlinkSync(path.join(tmpDir, 'b.txt'));
+
+    const swept = await buildIngestPlan(filesIn(tmpDir), { ...settings, basePath: tmpDir, stored, sweepVanished: true });
+    assert.equal(swept.counts.removed, 1);
+    assert.deepEqual(swept.staleIds, ['doc2']);
+
+    const kept = await buildIngestPlan(filesIn(tmpDir), { ...settings, basePath: tmpDir, stored });
+    assert.equal(kept.counts.removed, 0);
+    assert.deepEqual(kept.staleIds, []);
+  });
+
+  it('leaves chunks ingested from another directory alone', async () => {
+    const otherDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vai-pipeline-other-'));
+    try {
+      fs.writeFileSync(path.join(otherDir, 'notes.txt'), 'Notes from the other directory.');
+      fs.writeFileSync(path.join(otherDir, 'a.txt'), 'Same name, different directory.');
+      const stored = await previousRun();
+      const other = await buildIngestPlan(filesIn(otherDir), { ...settings, basePath: otherDir });
+      other.chunks.forEach((c, i) => {
+        if (!stored.has(c.metadata.source)) stored.set(c.metadata.source, []);
+        stored.get(c.metadata.source).push({ _id: `other${i}`, text: c.text, metadata: c.metadata });
+      });
+      assert.equal(other.chunks[0].metadata.source_root, otherDir);
+
+      // Re-ingest the first directory after deleting b.txt and editing a.txt
+      fs.unlinkSync(path.join(tmpDir, 'b.txt'));
+      const aPath = path.join(tmpDir, 'a.txt');
+      fs.writeFileSync(aPath, 'First paragraph here.\n\nSecond paragraph edited.');
+      const later = new Date(Date.now() + 5000);
+      fs.utimesSync(aPath, later, later);
+
+      const plan = await buildIngestPlan(filesIn(tmpDir), { ...settings, basePath: tmpDir, stored, sweepVanished: true });
+      assert.deepEqual(plan.staleIds.sort(), ['doc0', 'doc1', 'doc2']);
+      assert.ok(!plan.replacedSources.includes('notes.txt'));
+      assert.equal(plan.counts.removed, 1);
+    } finally {
+      fs.rmSync(otherDir, { recursive: true, force: true });
+    }
+  });
+
+  it('never sweeps stored chunks that do not record their directory', async () => {
+    const stored = new Map([['gone.txt', [{ _id: 'legacy0', text: 'x', metadata: { source: 'gone.txt' } }]]]);
+    const plan = await buildIngestPlan(filesIn(tmpDir), { ...settings, basePath: tmpDir, stored, sweepVanished: true });
+    assert.deepEqual(plan.staleIds, []);
+    assert.equal(plan.counts.removed, 0);
+  });
+
+  it('re-embeds everything when the model changes', async () => {
+    const stored = await previousRun();
+    const plan = await buildIngestPlan(filesIn(tmpDir), { ...settings, model: 'voyage-4-large', basePath: tmpDir, stored });
+    assert.equal(plan.chunks.length, 3);
+    assert.ok(plan.chunks.every(c => c.reuse === null));
+    assert.deepEqual(plan.counts, { added: 0, updated: 3, removed: 0, unchanged: 0 });
+  });
+
+  it('links every chunk to a stored parent with --parents', async () => {
+    const doc = path.join(tmpDir, 'guide.md');
+    fs.writeFileSync(doc, '# Install\n\nDownload the package.\n\nRun the installer.\n\n# Usage\n\nStart the app from the menu.');
+    const plan = await buildIngestPlan([doc], { ...settings, chunkSize: 30, basePath: tmpDir, parents: 'section' });
+    assert.equal(plan.parents.length, 2);
+    assert.equal(plan.parents[0].metadata.heading, 'Install');
+    assert.equal(plan.parents[0].metadata.source, 'guide.md');
+    const parentIds = new Set(plan.parents.map(p => p.id));
+    assert.ok(plan.chunks.length > plan.parents.length);
+    assert.ok(plan.chunks.every(c => parentIds.has(c.parentId)));
+    assert.deepEqual(plan.replacedSources, ['guide.md']);
+
+    const flat = await buildIngestPlan([doc], { ...settings, chunkSize: 30, basePath: tmpDir });
+    assert.deepEqual(flat.parents, []);
+    assert.ok(flat.chunks.every(c => c.parentId === undefined));
+    assert.notEqual(flat.chunks[0].metadata.chunk_config, plan.chunks[0].metadata.chunk_config);
+  });
+
+  it('groups chunks by file, and by record for JSON input', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'c.jsonl'), '{"text":"The first record has some text."}\n{"text":"The second record has more."}\n');
+    const plan = await buildIngestPlan(filesIn(tmpDir), { ...settings, basePath: tmpDir });
+    assert.deepEqual(plan.chunks.map(c => c.group), ['a.txt', 'a.txt', 'b.txt', 'c.jsonl#0', 'c.jsonl#1']);
+  });
+
+  it('re-embeds a whole changed file with a contextualized model', async () => {
+    const contextual = { ...settings, model: 'voyage-context-3' };
+    const first = await buildIngestPlan(filesIn(tmpDir), { ...contextual, basePath: tmpDir });
+    const stored = new Map();
+    first.chunks.forEach((c, i) => {
+      if (!stored.has(c.metadata.source)) stored.set(c.metadata.source, []);
+      stored.get(c.metadata.source).push({ _id: `doc${i}`, text: c.text, metadata: c.metadata });
+    });
+    const aPath = path.join(tmpDir, 'a.txt');
+    fs.writeFileSync(aPath, 'First paragraph here.\n\nSecond paragraph edited.');
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(aPath, later, later);
+
+    const plan = await buildIngestPlan(filesIn(tmpDir), { ...contextual, basePath: tmpDir, stored });
+    assert.equal(plan.chunks.length, 2);
+    assert.ok(plan.chunks.every(c => c.reuse === null));
+  });
+});
+
+describe('parentUnits', () => {
+  const items = [
+    { text: '# Intro\n\nWelcome to the guide.\n\n# Setup\n\nRun the installer.', metadata: { title: 'Guide' } },
+  ];
+
+  it('splits items into heading sections in section mode', () => {
+    const units = parentUnits(items, { mode: 'section', size: 2048, records: false });
+    assert.deepEqual(units.map(u => u.metadata.heading), ['Intro', 'Setup']);
+    assert.equal(units[1].metadata.title, 'Guide');
+    assert.ok(units[1].text.includes('Run the installer.'));
+  });
+
+  it('keeps one parent per file, or per record, in document mode', () => {
+    const two = [{ text: 'One.', metadata: {} }, { text: 'Two.', metadata: {} }];
+    assert.deepEqual(parentUnits(two, { mode: 'document', records: false }), [{ text: 'One.\n\nTwo.', metadata: {}, record: 0 }]);
+    assert.equal(parentUnits(two, { mode: 'document', records: true }).length, 2);
+  });
+});
+
+describe('contextGroups', () => {
+  const chunks = [
+    { group: 'a.md' }, { group: 'a.md' }, { group: 'b.md' }, { group: 'c.md' }, { group: 'c.md' },
+  ];
+
+  it('returns every chunk of each group with a pending chunk', () => {
+    assert.deepEqual(contextGroups(chunks, [1, 4]), [[0, 1], [3, 4]]);
+  });
+
+  it('returns nothing when nothing is pending', () => {
+    assert.deepEqual(contextGroups(chunks, []), []);
+  });
 });
@@ -0,0 +1,44 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPlaygroundServer } = require('../../src/commands/playground');
+
+/**
+ * Tests for the /api/chat/approve endpoint contract. Approvals are created
+ * by agent turns on /api/chat/message, which need an LLM, so only the
+ * validation paths are exercised here.
+ */
+describe('playground tool approval endpoint', () => {
+  let server;
+  let port;
+  const savedKey = process.env.VOYAGE_API_KEY;
+
+  before(async () => {
+    process.env.VOYAGE_API_KEY = 'test-key';
+    server = createPlaygroundServer();
+    await new Promise(resolve => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  after(async () => {
+    if (savedKey === undefined) delete process.env.VOYAGE_API_KEY;
+    else process.env.VOYAGE_API_KEY = savedKey;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  async function approve(body) {
+    const res = await fetch(`http://localhost:${port}/api/chat/approve`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, data: await res.json() };
+  }
+
+  it('returns 404 for an unknown approval', async () => {
+    const { status, data } = await approve({ approvalId: 'approval-999', decision: 'approve' });
+    assert.equal(status, 404);
+    assert.match(data.error, /No pending approval "approval-999"/);
+  });
+});
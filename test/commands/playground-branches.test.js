@@ -0,0 +1,62 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPlaygroundServer } = require('../../src/commands/playground');
+
+/**
+ * Tests for the chat branch endpoints. Turns come from /api/chat/message,
+ * which needs an LLM, so these start from an empty conversation.
+ */
+describe('playground chat branch endpoints', () => {
+  let server;
+  let base;
+  const savedKey = process.env.VOYAGE_API_KEY;
+
+  before(async () => {
+    process.env.VOYAGE_API_KEY = 'test-key';
+    server = createPlaygroundServer();
+    await new Promise(resolve => server.listen(0, resolve));
+    base = `http://localhost:${server.address().port}`;
+  });
+
+  after(async () => {
+    if (savedKey === undefined) delete process.env.VOYAGE_API_KEY;
+    else process.env.VOYAGE_API_KEY = savedKey;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  async function post(path, body) {
+    const res = await fetch(base + path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, data: await res.json() };
+  }
+
+  it('GET /api/chat/branches starts with main only', async () => {
+    const data = await (await fetch(`${base}/api/chat/branches`)).json();
+    assert.equal(data.current, 'main');
+    assert.deepEqual(data.branches.map(b => b.name), ['main']);
+    assert.deepEqual(data.turns, []);
+  });
+
+  it('forks and switches branches', async () => {
+    const forked = await post('/api/chat/branch', { at: 0, name: 'variant' });
+    assert.equal(forked.status, 200);
+    assert.equal(forked.data.current, 'variant');
+    assert.deepEqual(forked.data.branches.map(b => b.name), ['main', 'variant']);
+
+    const switched = await post('/api/chat/switch', { branch: 'main' });
+    assert.equal(switched.data.current, 'main');
+
+    const missing = await post('/api/chat/switch', { branch: 'nope' });
+    assert.equal(missing.status, 400);
+    assert.match(missing.data.error, /Branch not found: nope/);
+
+    const late = await post('/api/chat/branch', { at: 4 });
+    assert.equal(late.status, 400);
+    assert.match(late.data.error, /Cannot branch at turn 4/);
+  });
+});
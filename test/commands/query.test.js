@@ -87,4 +87,27 @@ describe('query command', () => {
     const cmd = program.commands.find(c => c.name() === 'query');
     assert.ok(cmd.description().includes('rerank'), 'description should mention rerank');
   });
+
+  it('has --store and --local options for offline retrieval', () => {
+    const program = makeProgram();
+    const cmd = program.commands.find(c => c.name() === 'query');
+    assert.ok(cmd.options.find(o => o.long === '--store'), 'should have --store');
+    assert.ok(cmd.options.find(o => o.long === '--local'), 'should have --local');
+  });
+
+  it('has hybrid search options', () => {
+    const program = makeProgram();
+    const cmd = program.commands.find(c => c.name() === 'query');
+    for (const flag of ['--hybrid', '--search-index', '--fusion', '--rrf-k', '--vector-weight']) {
+      assert.ok(cmd.options.find(o => o.long === flag), `should have ${flag}`);
+    }
+  });
+
+  it('has parent retrieval options', () => {
+    const program = makeProgram();
+    const cmd = program.commands.find(c => c.name() === 'query');
+    for (const flag of ['--parents', '--no-parents', '--parent-collection', '--parent-budget']) {
+      assert.ok(cmd.options.find(o => o.long === flag), `should have ${flag}`);
+    }
+  });
 });
@@ -78,5 +78,21 @@ describe('registerWorkflow', () => {
     assert.ok(optNames.includes('--quiet'), 'should have --quiet option');
     assert.ok(optNames.includes('--dry-run'), 'should have --dry-run option');
     assert.ok(optNames.includes('--verbose'), 'should have --verbose option');
+    assert.ok(optNames.includes('--no-record'), 'should have --no-record option');
+    assert.ok(optNames.includes('--no-cache'), 'should have --no-cache option');
+  });
+
+  it('registers resume and runs list/show', () => {
+    const { Command } = require('commander');
+    const program = new Command();
+    const { registerWorkflow } = require('../../src/commands/workflow');
+
+    registerWorkflow(program);
+
+    const wfCmd = program.commands.find(c => c.name() === 'workflow');
+    assert.ok(wfCmd.commands.find(c => c.name() === 'resume'), 'should have "resume" subcommand');
+    const runsCmd = wfCmd.commands.find(c => c.name() === 'runs');
+    assert.ok(runsCmd, 'should have "runs" subcommand');
+    assert.deepEqual(runsCmd.commands.map(c => c.name()).sort(), ['list', 'show']);
   });
 });
@@ -251,6 +251,21 @@ describe('Markdown Export', () => {
     assert.ok(content.includes('docs/auth.md'));
   });
 
+  it('renders chat citations under the sources', () => {
+    const normalized = normalizeChat({
+      sessionId: 'cited',
+      turns: [{
+        role: 'assistant',
+        content: 'Auth uses JWT tokens [1].',
+        context: [{ _id: 'c1', source: 'docs/auth.md', score: 0.94 }],
+      }],
+    });
+    const { content } = renderMarkdown(normalized);
+    assert.ok(content.includes('> **Citations:**'));
+    assert.ok(content.includes('> - [1] docs/auth.md (`c1`)'));
+    assert.ok(content.includes('>   - Auth uses JWT tokens.'));
+  });
+
   it('renders benchmark markdown table', () => {
     const normalized = normalizeBenchmark(BENCHMARK_DATA);
     const { content } = renderMarkdown(normalized);
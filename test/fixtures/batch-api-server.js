@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * Local stand-in for the Voyage Batch API (files + batches endpoints).
+ *
+ * Each GET of a batch advances it one step through
+ * validating → in_progress → completed. Embeddings are deterministic:
+ * [text.length, 1]. A request whose text is "FAIL" gets an error line.
+ */
+
+const http = require('http');
+
+function startBatchApiServer({ apiKey = 'test-key' } = {}) {
+  const files = new Map();
+  const batches = new Map();
+  const requests = [];
+  let seq = 0;
+
+  function send(res, status, body, type = 'application/json') {
+    res.writeHead(status, { 'Content-Type': type });
+    res.end(type === 'application/json' ? JSON.stringify(body) : body);
+  }
+
+  function complete(batch) {
+    const lines = files.get(batch.input_file_id).split('\n').filter(Boolean).map(l => JSON.parse(l));
+    let failed = 0;
+    const out = lines.map(line => {
+      const text = line.body.input[0];
+      if (text === 'FAIL') {
+        failed++;
+        return { custom_id: line.custom_id, response: null, error: { message: 'input rejected' } };
+      }
+      return {
+        custom_id: line.custom_id,
+        response: {
+          status_code: 200,
+          body: { data: [{ embedding: [text.length, 1], index: 0 }], usage: { total_tokens: 2 } },
+        },
+        error: null,
+      };
+    });
+    const outputId = `file-${++seq}`;
+    files.set(outputId, out.map(o => JSON.stringify(o)).join('\n') + '\n');
+    batch.output_file_id = outputId;
+    batch.request_counts = { total: lines.length, completed: lines.length - failed, failed };
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const c of req) chunks.push(c);
+    const raw = Buffer.concat(chunks);
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ method: req.method, path: url.pathname });
+
+    if (req.headers.authorization !== `Bearer ${apiKey}`) return send(res, 401, { detail: 'bad key' });
+
+    if (req.method === 'POST' && url.pathname === '/v1/files') {
+      const form = await new Response(raw, { headers: { 'content-type': req.headers['content-type'] } }).formData();
+      const id = `file-${++seq}`;
+      files.set(id, await form.get('file').text());
+      return send(res, 200, { id, purpose: form.get('purpose'), bytes: raw.length });
+    }
+
+    if (req.method === 'POST' && url.pathname === '/v1/batches') {
+      const body = JSON.parse(raw.toString());
+      const id = `batch-${++seq}`;
+      const batch = { id, status: 'validating', ...body, request_counts: { total: 0, completed: 0, failed: 0 } };
+      batches.set(id, batch);
+      return send(res, 200, batch);
+    }
+
+    let m = url.pathname.match(/^\/v1\/batches\/([^/]+)$/);
+    if (req.method === 'GET' && m) {
+      const batch = batches.get(decodeURIComponent(m[1]));
+      if (!batch) return send(res, 404, { detail: 'no such batch' });
+      if (batch.status === 'validating') batch.status = 'in_progress';
+      else if (batch.status === 'in_progress') {
+        batch.status = 'completed';
+        complete(batch);
+      }
+      return send(res, 200, batch);
+    }
+
+    m = url.pathname.match(/^\/v1\/files\/([^/]+)\/content$/);
+    if (req.method === 'GET' && m) {
+      const content = files.get(decodeURIComponent(m[1]));
+      if (content == null) return send(res, 404, { detail: 'no such file' });
+      return send(res, 200, content, 'application/jsonl');
+    }
+
+    send(res, 404, { detail: 'not found' });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}/v1`,
+        files,
+        batches,
+        requests,
+        close: () => new Promise(r => server.close(r)),
+      });
+    });
+  });
+}
+
+module.exports = { startBatchApiServer };
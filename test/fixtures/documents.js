@@ -0,0 +1,216 @@
+'use strict';
+
+/**
+ * Builders for minimal DOCX, PPTX, XLSX and EPUB files, used by the
+ * document reader tests. Only the parts the readers look at are written.
+ */
+
+const zlib = require('zlib');
+const { createZip } = require('../../src/lib/zip');
+
+function esc(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Like createZip, but DEFLATE-compresses every entry (as Office does).
+ * CRCs are left at zero; the reader does not check them.
+ * @param {Array<{name: string, content: string}>} files
+ * @returns {Buffer}
+ */
+function createDeflateZip(files) {
+  const parts = [];
+  const central = [];
+  let offset = 0;
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const raw = Buffer.from(file.content, 'utf8');
+    const data = zlib.deflateRawSync(raw);
+
+    const local = Buffer.alloc(30 + name.length);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    name.copy(local, 30);
+
+    const cd = Buffer.alloc(46 + name.length);
+    cd.writeUInt32LE(0x02014b50, 0);
+    cd.writeUInt16LE(20, 4);
+    cd.writeUInt16LE(20, 6);
+    cd.writeUInt16LE(8, 10);
+    cd.writeUInt32LE(data.length, 20);
+    cd.writeUInt32LE(raw.length, 24);
+    cd.writeUInt16LE(name.length, 28);
+    cd.writeUInt32LE(offset, 42);
+    name.copy(cd, 46);
+
+    parts.push(local, data);
+    central.push(cd);
+    offset += local.length + data.length;
+  }
+  const cdBuffer = Buffer.concat(central);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(files.length, 8);
+  eocd.writeUInt16LE(files.length, 10);
+  eocd.writeUInt32LE(cdBuffer.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...parts, cdBuffer, eocd]);
+}
+
+/**
+ * @param {Array<{heading?: string, level?: number, text?: string, table?: string[][]}>} blocks
+ * @returns {Buffer}
+ */
+function buildDocx(blocks) {
+  const body = blocks.map(b => {
+    if (b.table) {
+      const rows = b.table.map(row =>
+        `<w:tr>${row.map(cell => `<w:tc><w:p><w:r><w:t>${esc(cell)}</w:t></w:r></w:p></w:tc>`).join('')}</w:tr>`);
+      return `<w:tbl><w:tblPr/>${rows.join('')}</w:tbl>`;
+    }
+    const style = b.heading ? `<w:pPr><w:pStyle w:val="Heading${b.level || 1}"/></w:pPr>` : '';
+    return `<w:p>${style}<w:r><w:t xml:space="preserve">${esc(b.heading || b.text)}</w:t></w:r></w:p>`;
+  }).join('');
+
+  return createDeflateZip([
+    { name: '[Content_Types].xml', content: '<?xml version="1.0"?><Types/>' },
+    {
+      name: 'word/document.xml',
+      content: `<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body}<w:sectPr/></w:body></w:document>`,
+    },
+  ]);
+}
+
+/**
+ * Slides are listed in `order` (default: as given) to exercise
+ * presentation-order lookup.
+ * @param {Array<{title?: string, body?: string[], notes?: string}>} slides
+ * @param {number[]} [order] - Slide file numbers in presentation order
+ * @returns {Buffer}
+ */
+function buildPptx(slides, order) {
+  const files = [{ name: '[Content_Types].xml', content: '<?xml version="1.0"?><Types/>' }];
+  const ids = order || slides.map((_, i) => i + 1);
+
+  files.push({
+    name: 'ppt/presentation.xml',
+    content: `<p:presentation><p:sldIdLst>${ids.map(n => `<p:sldId id="${255 + n}" r:id="rId${n}"/>`).join('')}</p:sldIdLst></p:presentation>`,
+  });
+  files.push({
+    name: 'ppt/_rels/presentation.xml.rels',
+    content: `<Relationships>${slides.map((_, i) => `<Relationship Id="rId${i + 1}" Type="slide" Target="slides/slide${i + 1}.xml"/>`).join('')}</Relationships>`,
+  });
+
+  slides.forEach((slide, i) => {
+    const n = i + 1;
+    const shapes = [];
+    if (slide.title) {
+      shapes.push(`<p:sp><p:nvSpPr><p:nvPr><p:ph type="title"/></p:nvPr></p:nvSpPr><p:txBody><a:p><a:r><a:t>${esc(slide.title)}</a:t></a:r></a:p></p:txBody></p:sp>`);
+    }
+    if (slide.body) {
+      shapes.push(`<p:sp><p:nvSpPr><p:nvPr><p:ph idx="1"/></p:nvPr></p:nvSpPr><p:txBody>${slide.body.map(t => `<a:p><a:r><a:t>${esc(t)}</a:t></a:r></a:p>`).join('')}</p:txBody></p:sp>`);
+    }
+    files.push({ name: `ppt/slides/slide${n}.xml`, content: `<p:sld><p:cSld><p:spTree>${shapes.join('')}</p:spTree></p:cSld></p:sld>` });
+    if (slide.notes) {
+      files.push({
+        name: `ppt/slides/_rels/slide${n}.xml.rels`,
+        content: `<Relationships><Relationship Id="rId2" Type="notesSlide" Target="../notesSlides/notesSlide${n}.xml"/></Relationships>`,
+      });
+      files.push({
+        name: `ppt/notesSlides/notesSlide${n}.xml`,
+        content: `<p:notes><p:cSld><p:spTree><p:sp><p:nvSpPr><p:nvPr><p:ph type="sldNum"/></p:nvPr></p:nvSpPr><p:txBody><a:p><a:r><a:t>${n}</a:t></a:r></a:p></p:txBody></p:sp><p:sp><p:nvSpPr><p:nvPr><p:ph type="body" idx="1"/></p:nvPr></p:nvSpPr><p:txBody><a:p><a:r><a:t>${esc(slide.notes)}</a:t></a:r></a:p></p:txBody></p:sp></p:spTree></p:cSld></p:notes>`,
+      });
+    }
+  });
+
+  return createDeflateZip(files);
+}
+
+/**
+ * Strings go through the shared string table; numbers are stored inline.
+ * @param {Array<{name: string, rows: Array<Array<string|number|null>>}>} sheets
+ * @returns {Buffer}
+ */
+function buildXlsx(sheets) {
+  const shared = [];
+  const sharedIndex = value => {
+    let i = shared.indexOf(value);
+    if (i === -1) i = shared.push(value) - 1;
+    return i;
+  };
+  const col = i => String.fromCharCode(65 + i);
+
+  const files = [
+    { name: '[Content_Types].xml', content: '<?xml version="1.0"?><Types/>' },
+    {
+      name: 'xl/workbook.xml',
+      content: `<workbook><sheets>${sheets.map((s, i) => `<sheet name="${esc(s.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets></workbook>`,
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: `<Relationships>${sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')}</Relationships>`,
+    },
+  ];
+
+  sheets.forEach((sheet, i) => {
+    const rows = sheet.rows.map((row, r) => {
+      const cells = row.map((value, c) => {
+        const ref = `${col(c)}${r + 1}`;
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'number') return `<c r="${ref}"><v>${value}</v></c>`;
+        return `<c r="${ref}" t="s"><v>${sharedIndex(value)}</v></c>`;
+      }).join('');
+      return `<row r="${r + 1}">${cells}</row>`;
+    }).join('');
+    files.push({ name: `xl/worksheets/sheet${i + 1}.xml`, content: `<worksheet><sheetData>${rows}</sheetData></worksheet>` });
+  });
+
+  files.push({
+    name: 'xl/sharedStrings.xml',
+    content: `<sst count="${shared.length}">${shared.map(s => `<si><t>${esc(s)}</t></si>`).join('')}</sst>`,
+  });
+
+  return createDeflateZip(files);
+}
+
+/**
+ * @param {Array<{title: string, html: string}>} chapters - XHTML body contents
+ * @returns {Buffer}
+ */
+function buildEpub(chapters) {
+  const files = [
+    { name: 'mimetype', content: 'application/epub+zip' },
+    {
+      name: 'META-INF/container.xml',
+      content: '<container><rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles></container>',
+    },
+    {
+      name: 'OEBPS/content.opf',
+      content: `<package><metadata><dc:title>Book</dc:title></metadata><manifest>${
+        chapters.map((_, i) => `<item id="ch${i + 1}" href="text/chapter%20${i + 1}.xhtml" media-type="application/xhtml+xml"/>`).join('')
+      }<item id="css" href="style.css" media-type="text/css"/></manifest><spine>${
+        chapters.map((_, i) => `<itemref idref="ch${i + 1}"/>`).join('')
+      }</spine></package>`,
+    },
+  ];
+  chapters.forEach((ch, i) => {
+    files.push({
+      name: `OEBPS/text/chapter ${i + 1}.xhtml`,
+      content: `<html><head><title>${esc(ch.title)}</title></head><body>${ch.html}</body></html>`,
+    });
+  });
+  // EPUB stores the mimetype uncompressed; the rest may be either
+  return createZip(files);
+}
+
+module.exports = {
+  createDeflateZip,
+  buildDocx,
+  buildPptx,
+  buildXlsx,
+  buildEpub,
+};
@@ -197,4 +197,105 @@ describe('api', () => {
       assert.equal(batches.length, 0);
     });
   });
+
+  describe('contextualized embeddings', () => {
+    const contextResponse = {
+      object: 'list',
+      data: [
+        { object: 'list', index: 0, data: [{ object: 'embedding', index: 0, embedding: [0.1] }, { object: 'embedding', index: 1, embedding: [0.2] }] },
+        { object: 'list', index: 1, data: [{ object: 'embedding', index: 0, embedding: [0.3] }] },
+      ],
+      model: 'voyage-context-3',
+      usage: { total_tokens: 12 },
+    };
+
+    it('sends documents as lists of chunks to the contextualized endpoint', async () => {
+      process.env.VOYAGE_API_KEY = 'pa-test-key';
+      delete require.cache[require.resolve('../../src/lib/api')];
+      const { generateContextualizedEmbeddings } = require('../../src/lib/api');
+
+      let request;
+      mock.method(global, 'fetch', async (url, init) => {
+        request = { url, body: JSON.parse(init.body) };
+        return { ok: true, status: 200, json: async () => contextResponse, headers: new Map() };
+      });
+
+      const result = await generateContextualizedEmbeddings([['a', 'b'], ['c']], { inputType: 'document', dimensions: 512 });
+      assert.ok(request.url.endsWith('/contextualizedembeddings'));
+      assert.deepEqual(request.body, {
+        inputs: [['a', 'b'], ['c']],
+        model: 'voyage-context-3',
+        input_type: 'document',
+        output_dimension: 512,
+      });
+      assert.equal(result.data[0].data[1].embedding[0], 0.2);
+    });
+
+    it('generateEmbeddings routes contextualized models and flattens the result', async () => {
+      process.env.VOYAGE_API_KEY = 'pa-test-key';
+      delete require.cache[require.resolve('../../src/lib/api')];
+      const { generateEmbeddings } = require('../../src/lib/api');
+
+      let request;
+      mock.method(global, 'fetch', async (url, init) => {
+        request = { url, body: JSON.parse(init.body) };
+        return {
+          ok: true,
+          status: 200,
+          json: async () => ({
+            data: [
+              { index: 0, data: [{ index: 0, embedding: [1] }] },
+              { index: 1, data: [{ index: 0, embedding: [2] }] },
+            ],
+            model: 'voyage-context-3',
+            usage: { total_tokens: 4 },
+          }),
+          headers: new Map(),
+        };
+      });
+
+      const result = await generateEmbeddings(['q1', 'q2'], { model: 'voyage-context-3', inputType: 'query' });
+      assert.ok(request.url.endsWith('/contextualizedembeddings'));
+      assert.deepEqual(request.body.inputs, [['q1'], ['q2']]);
+      assert.deepEqual(result.data, [{ index: 0, embedding: [1] }, { index: 1, embedding: [2] }]);
+      assert.equal(result.usage.total_tokens, 4);
+    });
+  });
+
+  describe('createContextualBatches', () => {
+    it('keeps documents whole and packs them by token budget', () => {
+      delete require.cache[require.resolve('../../src/lib/api')];
+      const { createContextualBatches } = require('../../src/lib/api');
+
+      const chunk = 'x'.repeat(400); // ~100 tokens
+      const docs = [[chunk, chunk], [chunk], [chunk, chunk, chunk]];
+      const batches = createContextualBatches(docs, { maxTokens: 300, maxDocumentTokens: 1000 });
+      assert.deepEqual(batches, [
+        [{ doc: 0, start: 0, end: 2 }, { doc: 1, start: 0, end: 1 }],
+        [{ doc: 2, start: 0, end: 3 }],
+      ]);
+    });
+
+    it('cuts a document that exceeds the per-document cap into windows', () => {
+      delete require.cache[require.resolve('../../src/lib/api')];
+      const { createContextualBatches } = require('../../src/lib/api');
+
+      const chunk = 'x'.repeat(400);
+      const batches = createContextualBatches([[chunk, chunk, chunk, chunk, chunk]], { maxTokens: 1000, maxDocumentTokens: 200 });
+      assert.deepEqual(batches, [[
+        { doc: 0, start: 0, end: 2 },
+        { doc: 0, start: 2, end: 4 },
+        { doc: 0, start: 4, end: 5 },
+      ]]);
+    });
+
+    it('respects chunk and document counts per request', () => {
+      delete require.cache[require.resolve('../../src/lib/api')];
+      const { createContextualBatches } = require('../../src/lib/api');
+
+      assert.equal(createContextualBatches([['a'], ['b'], ['c']], { maxDocuments: 2 }).length, 2);
+      assert.equal(createContextualBatches([['a', 'b'], ['c', 'd']], { maxChunks: 3 }).length, 2);
+      assert.deepEqual(createContextualBatches([]), []);
+    });
+  });
 });
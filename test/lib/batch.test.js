@@ -0,0 +1,140 @@
+'use strict';
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { startBatchApiServer } = require('../fixtures/batch-api-server');
+const {
+  buildBatchRequests,
+  toJsonl,
+  parseJsonl,
+  uploadBatchFile,
+  createBatch,
+  getBatch,
+  downloadFile,
+  waitForBatch,
+  parseBatchResults,
+  saveJob,
+  loadJob,
+  readJobFile,
+  listJobs,
+} = require('../../src/lib/batch');
+
+let api;
+const savedEnv = {};
+
+before(async () => {
+  api = await startBatchApiServer();
+  for (const key of ['VOYAGE_API_BASE', 'VOYAGE_API_KEY']) savedEnv[key] = process.env[key];
+  process.env.VOYAGE_API_BASE = api.url;
+  process.env.VOYAGE_API_KEY = 'test-key';
+});
+
+after(async () => {
+  await api.close();
+  for (const [key, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+});
+
+describe('buildBatchRequests', () => {
+  it('emits one request per document keyed by _id', () => {
+    const lines = buildBatchRequests([{ _id: 'a', body: 'hello' }, { _id: 7, body: 'world' }], 'body');
+    assert.deepEqual(lines, [
+      { custom_id: 'a', body: { input: ['hello'] } },
+      { custom_id: '7', body: { input: ['world'] } },
+    ]);
+  });
+
+  it('round-trips through JSONL', () => {
+    const items = [{ a: 1 }, { b: 2 }];
+    assert.deepEqual(parseJsonl(toJsonl(items)), items);
+    assert.equal(toJsonl([]), '');
+  });
+});
+
+describe('parseBatchResults', () => {
+  it('collects vectors, errors and token usage', () => {
+    const text = toJsonl([
+      { custom_id: 'a', response: { status_code: 200, body: { data: [{ embedding: [1, 2] }], usage: { total_tokens: 5 } } } },
+      { custom_id: 'b', response: { status_code: 400, body: { detail: 'too long' } } },
+      { custom_id: 'c', error: { message: 'boom' } },
+    ]);
+    const { vectors, errors, tokens } = parseBatchResults(text);
+    assert.deepEqual(vectors.get('a'), [1, 2]);
+    assert.equal(tokens, 5);
+    assert.deepEqual(errors, [
+      { customId: 'b', error: 'too long' },
+      { customId: 'c', error: 'boom' },
+    ]);
+  });
+});
+
+describe('batch API client (stand-in server)', () => {
+  it('uploads, creates, polls and downloads a batch', async () => {
+    const requests = toJsonl(buildBatchRequests([{ _id: 'x', text: 'abc' }, { _id: 'y', text: 'FAIL' }], 'text'));
+    const file = await uploadBatchFile(requests);
+    assert.equal(api.files.get(file.id), requests);
+
+    const batch = await createBatch({ inputFileId: file.id, model: 'voyage-4', inputType: 'document', dimensions: 256 });
+    assert.equal(batch.status, 'validating');
+    assert.equal(batch.endpoint, '/v1/embeddings');
+    assert.equal(batch.completion_window, '12h');
+    assert.deepEqual(batch.request_params, { model: 'voyage-4', input_type: 'document', output_dimension: 256 });
+
+    const polled = [];
+    const done = await waitForBatch(batch.id, { intervalMs: 1, onPoll: b => polled.push(b.status) });
+    assert.deepEqual(polled, ['in_progress', 'completed']);
+    assert.deepEqual(done.request_counts, { total: 2, completed: 1, failed: 1 });
+
+    const results = parseBatchResults(await downloadFile(done.output_file_id));
+    assert.deepEqual(results.vectors.get('x'), [3, 1]);
+    assert.equal(results.errors[0].customId, 'y');
+  });
+
+  it('surfaces API errors', async () => {
+    await assert.rejects(getBatch('missing'), /API Error \(404\)/);
+  });
+
+  it('times out waiting', async () => {
+    const file = await uploadBatchFile(toJsonl(buildBatchRequests([{ _id: 'x', text: 'abc' }], 'text')));
+    const batch = await createBatch({ inputFileId: file.id, model: 'voyage-4' });
+    await assert.rejects(waitForBatch(batch.id, { intervalMs: 50, timeoutMs: 10 }), /Timed out/);
+  });
+});
+
+describe('local job state', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vai-batch-test-'));
+    process.env.VAI_BATCH_DIR = tmpDir;
+  });
+
+  afterEach(() => {
+    delete process.env.VAI_BATCH_DIR;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('saves and loads jobs with their files', () => {
+    saveJob({ batchId: 'batch-1', createdAt: '2026-01-01' }, { 'requests.jsonl': 'x\n' });
+    const job = loadJob('batch-1');
+    assert.equal(job.batchId, 'batch-1');
+    assert.equal(readJobFile(job, 'requests.jsonl'), 'x\n');
+    assert.equal(readJobFile(job, 'results.jsonl'), null);
+  });
+
+  it('throws for unknown jobs', () => {
+    assert.throws(() => loadJob('nope'), /No local record of batch "nope"/);
+  });
+
+  it('lists jobs newest first', () => {
+    saveJob({ batchId: 'old', createdAt: '2026-01-01T00:00:00Z' });
+    saveJob({ batchId: 'new', createdAt: '2026-02-01T00:00:00Z' });
+    assert.deepEqual(listJobs().map(j => j.batchId), ['new', 'old']);
+  });
+});
@@ -9,6 +9,7 @@ const {
   DEFAULT_DIMENSIONS,
   BENCHMARK_SCORES,
   getSharedSpaceModels,
+  isContextualizedModel,
 } = require('../../src/lib/catalog');
 
 describe('catalog', () => {
@@ -153,4 +154,10 @@ describe('catalog', () => {
     assert.ok(names.includes('voyage-4-lite'));
     assert.ok(names.includes('voyage-4-nano'));
   });
+
+  it('isContextualizedModel flags voyage-context-3 only', () => {
+    assert.equal(isContextualizedModel('voyage-context-3'), true);
+    assert.equal(isContextualizedModel('voyage-4-large'), false);
+    assert.equal(isContextualizedModel('unknown-model'), false);
+  });
 });
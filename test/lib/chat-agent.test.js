@@ -128,3 +128,95 @@ describe('agentChatTurn defaults injection logic', () => {
     assert.equal(args.query, 'test');
   });
 });
+
+describe('agentChatTurn tool permissions', () => {
+  const { agentChatTurn } = require('../../src/lib/chat');
+  const { ChatHistory } = require('../../src/lib/history');
+  const { registerCustomTools, clearCustomTools } = require('../../src/lib/tool-registry');
+
+  const executed = [];
+  const cancelOrder = {
+    name: 'cancel_order',
+    description: 'Cancel an order',
+    inputSchema: { type: 'object', properties: { orderId: { type: 'string' } } },
+    source: { type: 'http', label: 'POST https://api.example.com/cancel' },
+    sideEffects: true,
+    async execute(args) {
+      executed.push(args);
+      return { structuredContent: { cancelled: args.orderId }, content: [{ type: 'text', text: 'cancelled' }] };
+    },
+  };
+
+  /** Fake LLM: asks for one cancel_order call, then answers with text. */
+  function fakeLLM() {
+    const toolResults = [];
+    return {
+      name: 'openai',
+      toolResults,
+      async chatWithTools(messages) {
+        if (!messages.some(m => m.role === 'tool')) {
+          return { type: 'tool_calls', calls: [{ id: 'c1', name: 'cancel_order', arguments: { orderId: 'A-1' } }] };
+        }
+        return { type: 'text', content: 'Done.' };
+      },
+      formatAssistantToolCall: () => ({ role: 'assistant', content: null }),
+      formatToolResult(id, text, isError) {
+        toolResults.push({ id, text, isError });
+        return { role: 'tool', tool_call_id: id, content: text };
+      },
+    };
+  }
+
+  async function run(opts) {
+    const llm = fakeLLM();
+    const events = [];
+    for await (const event of agentChatTurn({ query: 'Cancel A-1', llm, history: new ChatHistory(), opts })) {
+      events.push(event);
+    }
+    return { llm, call: events.find(e => e.type === 'tool_call').data };
+  }
+
+  it('asks before running side-effecting tools and honours edits', async () => {
+    registerCustomTools([cancelOrder]);
+    executed.length = 0;
+    try {
+      const requests = [];
+      const { call } = await run({
+        async approveToolCall(request) {
+          requests.push(request);
+          return { decision: 'edit', args: { orderId: 'A-2' } };
+        },
+      });
+      assert.deepEqual(requests, [{ id: 'c1', name: 'cancel_order', args: { orderId: 'A-1' }, sideEffects: true }]);
+      assert.deepEqual(executed, [{ orderId: 'A-2' }]);
+      assert.equal(call.approval, 'edited');
+      assert.deepEqual(call.args, { orderId: 'A-2' });
+    } finally {
+      clearCustomTools();
+    }
+  });
+
+  it('returns rejections and denials to the model as tool errors', async () => {
+    registerCustomTools([cancelOrder]);
+    executed.length = 0;
+    try {
+      const rejected = await run({ approveToolCall: async () => ({ decision: 'reject', reason: 'wrong order' }) });
+      assert.equal(rejected.call.approval, 'rejected');
+      assert.match(rejected.llm.toolResults[0].text, /^Error: The user rejected the call to "cancel_order": wrong order/);
+      assert.equal(rejected.llm.toolResults[0].isError, true);
+
+      const denied = await run({ toolPermissions: { 'cancel_*': 'deny' }, approveToolCall: async () => true });
+      assert.equal(denied.call.approval, 'denied');
+      assert.match(denied.call.error, /not permitted by the tool policy/);
+
+      const unattended = await run({});
+      assert.equal(unattended.call.approval, 'rejected');
+
+      const allowed = await run({ toolPermissions: { cancel_order: 'allow' } });
+      assert.equal(allowed.call.approval, undefined);
+      assert.equal(executed.length, 1);
+    } finally {
+      clearCustomTools();
+    }
+  });
+});
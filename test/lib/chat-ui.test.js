@@ -156,6 +156,105 @@ describe('chat-ui', () => {
     });
   });
 
+  // ── renderCitations ────────────────────────────────────────────────
+
+  describe('renderCitations', () => {
+    it('returns empty string when nothing was cited', () => {
+      assert.equal(chatUI.renderCitations([], []), '');
+    });
+
+    it('lists cited chunks, their claims and invalid markers', () => {
+      const plain = chatUI.stripAnsi(chatUI.renderCitations(
+        [{ n: 1, id: 'c1', source: 'refunds.md', score: 0.9, claims: [{ text: 'Refunds take 5 days.' }] }],
+        [{ n: 4, claim: 'Tea is hot.' }],
+      ));
+      assert.ok(plain.includes('Citations'));
+      assert.ok(plain.includes('[1] refunds.md c1'));
+      assert.ok(plain.includes('“Refunds take 5 days.”'));
+      assert.ok(plain.includes('[4] not a retrieved source: Tea is hot.'));
+    });
+  });
+
+  // ── renderQueries ──────────────────────────────────────────────────
+
+  describe('renderQueries', () => {
+    it('shows the rewrite and expansions', () => {
+      const plain = chatUI.stripAnsi(chatUI.renderQueries({
+        original: 'and the second one?',
+        standalone: 'How much does the Pro plan cost?',
+        expansions: [{ method: 'hyde', text: 'The Pro plan\ncosts $20.' }],
+      }, { width: 100 }));
+      assert.ok(plain.includes('message     and the second one?'));
+      assert.ok(plain.includes('rewritten   How much does the Pro plan cost?'));
+      assert.ok(plain.includes('hyde        The Pro plan costs $20.'));
+    });
+
+    it('shows a single query when nothing was rewritten', () => {
+      const plain = chatUI.stripAnsi(chatUI.renderQueries({ original: 'pricing', standalone: 'pricing', expansions: [] }));
+      assert.ok(plain.includes('query       pricing'));
+      assert.ok(!plain.includes('rewritten'));
+    });
+  });
+
+  // ── renderFallbackNote ─────────────────────────────────────────────
+
+  describe('renderFallbackNote', () => {
+    it('returns empty string when the first provider answered', () => {
+      assert.equal(chatUI.renderFallbackNote({ llmProvider: 'anthropic', llmModel: 'claude' }), '');
+    });
+
+    it('names the failed providers and the one that answered', () => {
+      const plain = chatUI.stripAnsi(chatUI.renderFallbackNote({
+        llmProvider: 'ollama',
+        llmModel: 'llama3.3',
+        llmFailures: [
+          { provider: 'anthropic', model: 'claude', error: 'Anthropic API error (429): rate limited' },
+          { provider: 'anthropic', model: 'claude', error: 'Anthropic API error (429): rate limited' },
+        ],
+      }));
+      assert.ok(plain.includes('anthropic (claude) failed — answered by ollama (llama3.3)'));
+      assert.ok(plain.includes('(429): rate limited'));
+    });
+
+    it('reports retries on the same provider', () => {
+      const plain = chatUI.stripAnsi(chatUI.renderFallbackNote({
+        llmProvider: 'anthropic',
+        llmModel: 'claude',
+        llmFailures: [{ provider: 'anthropic', model: 'claude', error: 'fetch failed' }],
+      }));
+      assert.ok(plain.includes('anthropic (claude) answered after 1 retry'));
+    });
+  });
+
+  // ── renderVerification ─────────────────────────────────────────────
+
+  describe('renderVerification', () => {
+    it('returns empty string without a verification', () => {
+      assert.equal(chatUI.renderVerification(undefined), '');
+    });
+
+    it('summarizes supported claims and lists unsupported ones', () => {
+      const plain = chatUI.stripAnsi(chatUI.renderVerification({
+        method: 'rerank',
+        supported: 1,
+        total: 2,
+        score: 0.5,
+        claims: [
+          { text: 'Refunds take 5 days.', supported: true, score: 0.9, source: 1 },
+          { text: 'Shipping is always free.', supported: false, score: 0.1, source: null },
+        ],
+      }, { width: 80 }));
+      assert.ok(plain.includes('Verified: 1/2 claims supported (rerank)'));
+      assert.ok(plain.includes('⚠ Unsupported: Shipping is always free.'));
+      assert.ok(!plain.includes('Refunds take 5 days.'));
+    });
+
+    it('reports a failed check', () => {
+      const plain = chatUI.stripAnsi(chatUI.renderVerification({ method: 'llm', error: 'timeout' }));
+      assert.ok(plain.includes('Verification failed: timeout'));
+    });
+  });
+
   // ── renderSources ──────────────────────────────────────────────────
 
   describe('renderSources', () => {
@@ -262,6 +361,23 @@ describe('chat-ui', () => {
       assert.ok(result.includes('embed'));
       assert.ok(result.includes('count'));
     });
+
+    it('renders rejected and denied calls without the error text', () => {
+      const rejected = chatUI.stripAnsi(chatUI.renderToolCall(
+        { name: 'vai_ingest', timeMs: 0, error: 'The user rejected the call', approval: 'rejected' }, true
+      ));
+      assert.equal(rejected, '  [tool] vai_ingest rejected');
+      const denied = chatUI.stripAnsi(chatUI.renderToolCall({ name: 'vai_ingest', approval: 'denied' }, true));
+      assert.equal(denied, '  [tool] vai_ingest denied by tool policy');
+    });
+  });
+
+  describe('renderToolApproval', () => {
+    it('shows the tool name and its arguments', () => {
+      const result = chatUI.stripAnsi(chatUI.renderToolApproval({ name: 'vai_ingest', args: { text: 'hi' } }));
+      assert.ok(result.includes('wants to call vai_ingest'));
+      assert.ok(result.includes('    "text": "hi"'));
+    });
   });
 
   // ── createStreamRenderer ───────────────────────────────────────────
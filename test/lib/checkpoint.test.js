@@ -0,0 +1,152 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { chunkId, chunkIds, fileSourceKey, CheckpointJournal } = require('../../src/lib/checkpoint');
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vai-checkpoint-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('chunkId', () => {
+  it('is deterministic and 24 hex chars', () => {
+    assert.equal(chunkId('a.md', 'hello'), chunkId('a.md', 'hello'));
+    assert.match(chunkId('a.md', 'hello'), /^[0-9a-f]{24}$/);
+  });
+
+  it('differs by source, text and occurrence', () => {
+    const base = chunkId('a.md', 'hello');
+    assert.notEqual(chunkId('b.md', 'hello'), base);
+    assert.notEqual(chunkId('a.md', 'hello!'), base);
+    assert.notEqual(chunkId('a.md', 'hello', 1), base);
+  });
+});
+
+describe('chunkIds', () => {
+  it('gives repeated text distinct IDs', () => {
+    const ids = chunkIds('a.md', ['x', 'y', 'x']);
+    assert.equal(new Set(ids).size, 3);
+    assert.equal(ids[0], chunkId('a.md', 'x', 0));
+    assert.equal(ids[2], chunkId('a.md', 'x', 1));
+  });
+});
+
+describe('fileSourceKey', () => {
+  it('tells apart files that share a name', () => {
+    const a = path.join(os.tmpdir(), 'a', 'data.jsonl');
+    const b = path.join(os.tmpdir(), 'b', 'data.jsonl');
+    assert.notEqual(fileSourceKey(a), fileSourceKey(b));
+    assert.equal(fileSourceKey(path.relative(process.cwd(), a)), fileSourceKey(a));
+  });
+});
+
+describe('CheckpointJournal', () => {
+  const job = { file: '/data/in.jsonl', db: 'db', collection: 'col', model: 'voyage-4' };
+
+  function makeJournal(overrides = {}) {
+    return new CheckpointJournal({ command: 'ingest', job: { ...job, ...overrides }, dir: tmpDir });
+  }
+
+  it('derives the journal path from the job', () => {
+    assert.equal(makeJournal().filePath, makeJournal().filePath);
+    assert.notEqual(makeJournal().filePath, makeJournal({ model: 'voyage-4-lite' }).filePath);
+    assert.ok(path.basename(makeJournal().filePath).startsWith('ingest-'));
+  });
+
+  it('returns null when there is no journal', async () => {
+    assert.equal(await makeJournal().load(), null);
+  });
+
+  it('records embedded vectors and inserted IDs', async () => {
+    const journal = makeJournal();
+    journal.start();
+    journal.recordEmbedded(['a', 'b'], [[1, 0], [0, 1]]);
+    journal.recordInserted(['a']);
+
+    const state = await makeJournal().load();
+    assert.ok(state.startedAt);
+    assert.deepEqual(state.embedded.get('b'), [0, 1]);
+    assert.ok(!state.embedded.has('a'));
+    assert.ok(state.inserted.has('a'));
+    assert.ok(!state.inserted.has('b'));
+  });
+
+  it('drops vectors once every journaled one is stored', async () => {
+    const journal = makeJournal();
+    journal.start();
+    journal.recordEmbedded(['a', 'b'], [[1, 0], [0, 1]]);
+    journal.recordInserted(['a', 'b']);
+
+    assert.equal(fs.existsSync(journal.vectorsPath), false);
+    const state = await makeJournal().load();
+    assert.equal(state.embedded.size, 0);
+    assert.equal(state.inserted.size, 2);
+  });
+
+  it('compacts the vectors file once most of it is stored', async () => {
+    const journal = makeJournal();
+    journal.start();
+    journal.recordEmbedded(['a', 'b'], [[1, 0], [0, 1]]);
+    journal.recordEmbedded(['c', 'd'], [[1, 1], [0, 0]]);
+    journal.recordInserted(['a', 'b']);
+    assert.equal(fs.readFileSync(journal.vectorsPath, 'utf-8').trim().split('\n').length, 2);
+
+    journal.recordInserted(['c']);
+    const lines = fs.readFileSync(journal.vectorsPath, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines, [{ type: 'embedded', ids: ['d'], vectors: [[0, 0]] }]);
+
+    const resumed = makeJournal();
+    const state = await resumed.load();
+    assert.deepEqual([...state.embedded.keys()], ['d']);
+
+    resumed.start({ resume: true });
+    resumed.recordInserted(['d']);
+    assert.equal(fs.existsSync(resumed.vectorsPath), false);
+  });
+
+  it('keeps the journal on resume and discards it on a fresh start', async () => {
+    const journal = makeJournal();
+    journal.start();
+    journal.recordEmbedded(['b'], [[0, 1]]);
+    journal.recordInserted(['a']);
+
+    makeJournal().start({ resume: true });
+    const resumed = await makeJournal().load();
+    assert.ok(resumed.inserted.has('a'));
+    assert.ok(resumed.embedded.has('b'));
+
+    makeJournal().start();
+    const fresh = await makeJournal().load();
+    assert.equal(fresh.inserted.size, 0);
+    assert.equal(fresh.embedded.size, 0);
+  });
+
+  it('ignores a torn trailing line', async () => {
+    const journal = makeJournal();
+    journal.start();
+    journal.recordInserted(['a']);
+    fs.appendFileSync(journal.filePath, '{"type":"inserted","ids":["b"');
+    const state = await journal.load();
+    assert.ok(state.inserted.has('a'));
+    assert.ok(!state.inserted.has('b'));
+  });
+
+  it('complete removes the journal', () => {
+    const journal = makeJournal();
+    journal.start();
+    journal.recordEmbedded(['a'], [[1, 0]]);
+    journal.complete();
+    assert.equal(journal.exists(), false);
+    assert.equal(fs.existsSync(journal.vectorsPath), false);
+  });
+});
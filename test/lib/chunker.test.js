@@ -2,12 +2,17 @@
 
 const { describe, it } = require('node:test');
 const assert = require('node:assert/strict');
-const { chunk, splitSentences, estimateTokens, STRATEGIES, DEFAULTS } = require('../../src/lib/chunker');
+const { chunk, chunkWithMetadata, chunkSemantic, splitSentences, estimateTokens, STRATEGIES, EMBEDDING_STRATEGIES, DEFAULTS } = require('../../src/lib/chunker');
 
 describe('chunker', () => {
   describe('STRATEGIES', () => {
     it('has all expected strategies', () => {
-      assert.deepEqual(STRATEGIES, ['fixed', 'sentence', 'paragraph', 'recursive', 'markdown']);
+      assert.deepEqual(STRATEGIES, ['fixed', 'sentence', 'paragraph', 'recursive', 'markdown', 'structured']);
+    });
+
+    it('keeps embedding strategies out of the sync list', () => {
+      assert.deepEqual(EMBEDDING_STRATEGIES, ['semantic']);
+      assert.ok(!STRATEGIES.includes('semantic'));
     });
   });
 
@@ -136,6 +141,148 @@ describe('chunker', () => {
     });
   });
 
+  describe('chunk — structured strategy', () => {
+    const opts = { strategy: 'structured', size: 80, overlap: 0, minSize: 5 };
+
+    it('never splits a table or code fence that fits', () => {
+      const text = [
+        'Intro text before the blocks.',
+        '',
+        '| Plan | Price |',
+        '|------|-------|',
+        '| Free | $0 |',
+        '| Pro | $20 |',
+        '',
+        '```js',
+        'const a = 1;',
+        '',
+        'const b = 2;',
+        '```',
+      ].join('\n');
+      const chunks = chunk(text, opts);
+      const table = chunks.find(c => c.includes('| Plan |'));
+      assert.ok(table.includes('| Free | $0 |') && table.includes('| Pro | $20 |'));
+      const code = chunks.find(c => c.includes('```js'));
+      assert.ok(code.includes('const b = 2;') && code.trimEnd().endsWith('```'));
+    });
+
+    it('splits a large table by rows and repeats the header', () => {
+      const rows = Array.from({ length: 12 }, (_, i) => `| row ${i} | value ${i} |`);
+      const text = ['| Key | Value |', '| --- | ----- |', ...rows].join('\n');
+      const chunks = chunk(text, opts);
+      assert.ok(chunks.length > 1);
+      for (const c of chunks) {
+        assert.ok(c.startsWith('| Key | Value |\n| --- | ----- |\n| row'));
+      }
+      assert.equal(chunks.join('\n').match(/\| row \d+ \|/g).length, 12);
+    });
+
+    it('splits a large code block into fenced pieces', () => {
+      const body = Array.from({ length: 10 }, (_, i) => `console.log("line ${i}");`);
+      const chunks = chunk(['```js', ...body, '```'].join('\n'), opts);
+      assert.ok(chunks.length > 1);
+      for (const c of chunks) {
+        assert.ok(c.startsWith('```js\n') && c.endsWith('\n```'));
+      }
+    });
+
+    it('keeps lists and admonitions whole', () => {
+      const text = '- first item\n- second item\n  continued\n\n- third item\n\n:::warning\nMind the gap.\n:::';
+      const chunks = chunk(text, { ...opts, size: 60 });
+      assert.ok(chunks.some(c => c.includes('- first item') && c.includes('- third item')));
+      assert.ok(chunks.some(c => c.includes(':::warning\nMind the gap.\n:::')));
+    });
+
+    it('does not treat headings inside code fences as headings', () => {
+      const text = '# Real\n\n```sh\n# not a heading\necho hi\n```';
+      const result = chunkWithMetadata(text, opts);
+      assert.equal(result.length, 1);
+      assert.equal(result[0].metadata.heading_path, 'Real');
+    });
+
+    it('records the heading breadcrumb of each chunk', () => {
+      const text = '# Guide\n\nOverview of the guide.\n\n## Install\n\n### macOS\n\nUse Homebrew to install.\n\n## Usage\n\nRun the command.';
+      const result = chunkWithMetadata(text, opts);
+      assert.deepEqual(result.map(c => c.metadata), [
+        { heading: 'Guide', heading_path: 'Guide' },
+        { heading: 'macOS', heading_path: 'Guide > Install > macOS' },
+        { heading: 'Usage', heading_path: 'Guide > Usage' },
+      ]);
+      assert.ok(result[1].text.startsWith('### macOS\n\n'));
+    });
+  });
+
+  describe('chunkSemantic', () => {
+    // Two-topic embedding: counts of "cat" and "stock" in each window
+    const calls = [];
+    const embed = async (texts) => {
+      calls.push(texts);
+      return texts.map(t => [(t.match(/cat/g) || []).length, (t.match(/stock/g) || []).length, 0.1]);
+    };
+    const text = 'The cat sat on the mat. A cat likes milk. Every cat purrs.\n\n'
+      + 'The stock market fell. A stock split happened. Investors sold stock.';
+
+    it('breaks where adjacent-sentence similarity drops', async () => {
+      const result = await chunkSemantic(text, { embed, size: 500, minSize: 10, window: 0 });
+      assert.equal(result.units.length, 6);
+      assert.equal(result.similarities.length, 5);
+      assert.deepEqual(result.breakpoints.map(b => [b.after, b.reason]), [[2, 'similarity']]);
+      assert.deepEqual(result.chunks.map(c => c.text), [
+        'The cat sat on the mat. A cat likes milk. Every cat purrs.',
+        'The stock market fell. A stock split happened. Investors sold stock.',
+      ]);
+    });
+
+    it('embeds each sentence with its neighbors', async () => {
+      calls.length = 0;
+      await chunkSemantic('One cat. Two cat. Three cat.', { embed, size: 500, window: 1 });
+      assert.deepEqual(calls[0], ['One cat. Two cat.', 'One cat. Two cat. Three cat.', 'Two cat. Three cat.']);
+    });
+
+    it('honors an explicit threshold', async () => {
+      const result = await chunkSemantic(text, { embed, size: 500, minSize: 10, window: 0, threshold: -1 });
+      assert.equal(result.threshold, -1);
+      assert.equal(result.chunks.length, 1);
+    });
+
+    it('forces a break before exceeding the maximum size', async () => {
+      const result = await chunkSemantic(text, { embed, size: 50, minSize: 10, window: 0 });
+      assert.ok(result.breakpoints.some(b => b.reason === 'size'));
+      for (const c of result.chunks) assert.ok(c.text.length <= 50);
+    });
+
+    it('does not break below the minimum chunk size', async () => {
+      const result = await chunkSemantic(text, { embed, size: 500, minSize: 100, window: 0 });
+      assert.equal(result.breakpoints.length, 0);
+    });
+
+    it('does not split a curve with no drops', async () => {
+      const flat = async (texts) => texts.map(() => [1, 0]);
+      const result = await chunkSemantic(text, { embed: flat, size: 500, minSize: 10 });
+      assert.equal(result.chunks.length, 1);
+    });
+
+    it('skips embedding for a single sentence', async () => {
+      calls.length = 0;
+      const result = await chunkSemantic('Just one sentence here.', { embed, size: 500 });
+      assert.equal(calls.length, 0);
+      assert.equal(result.chunks.length, 1);
+      assert.equal(result.threshold, null);
+    });
+
+    it('requires an embed function', async () => {
+      await assert.rejects(() => chunkSemantic(text, {}), /embed function/);
+      assert.throws(() => chunk(text, { strategy: 'semantic' }), /chunkSemantic/);
+    });
+  });
+
+  describe('chunkWithMetadata', () => {
+    it('returns empty metadata for other strategies', () => {
+      const result = chunkWithMetadata('# Title\n\nSome body text here.', { strategy: 'markdown', minSize: 5 });
+      assert.deepEqual(result, [{ text: '# Title\n\nSome body text here.', metadata: {} }]);
+    });
+  });
+
   describe('splitSentences', () => {
     it('splits on sentence-ending punctuation', () => {
       const sentences = splitSentences('Hello world. How are you? I am fine!');
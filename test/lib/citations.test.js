@@ -0,0 +1,144 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sentenceSpans, validateCitations, citationMarkdown } = require('../../src/lib/citations');
+
+const docs = [
+  { _id: 'c1', source: 'refunds.md', score: 0.91, text: 'Refunds take 5 days.' },
+  { _id: 'c2', source: 'receipts.md', score: 0.64, text: 'Receipts are required.' },
+];
+
+describe('sentenceSpans', () => {
+  it('keeps trailing citation markers with their sentence', () => {
+    const text = 'First claim. [1] Second claim [2]!\nThird line';
+    const spans = sentenceSpans(text).map(s => text.slice(s.start, s.end));
+    assert.deepEqual(spans, ['First claim. [1]', 'Second claim [2]!', 'Third line']);
+  });
+
+  it('does not split on decimals', () => {
+    const text = 'Version 2.5 is out. Upgrade now.';
+    assert.equal(sentenceSpans(text).length, 2);
+  });
+});
+
+describe('validateCitations', () => {
+  it('ties each marker to its document and the sentence it supports', () => {
+    const text = 'Refunds take 5 days [1]. You need a receipt [1, 2].';
+    const { text: out, citations, invalid } = validateCitations(text, docs);
+    assert.equal(out, text);
+    assert.deepEqual(invalid, []);
+    assert.deepEqual(citations.map(c => [c.n, c.id, c.source]), [[1, 'c1', 'refunds.md'], [2, 'c2', 'receipts.md']]);
+    assert.deepEqual(citations[0].claims.map(c => c.text), ['Refunds take 5 days.', 'You need a receipt.']);
+    const claim = citations[1].claims[0];
+    assert.equal(text.slice(claim.start, claim.end), 'You need a receipt [1, 2].');
+  });
+
+  it('flags markers that point past the retrieved documents', () => {
+    const text = 'Shipping is free [3]. Refunds take 5 days [1][4].';
+    const { text: out, citations, invalid } = validateCitations(text, docs);
+    assert.equal(out, text);
+    assert.deepEqual(invalid, [
+      { n: 3, claim: 'Shipping is free.' },
+      { n: 4, claim: 'Refunds take 5 days.' },
+    ]);
+    assert.deepEqual(citations.map(c => c.n), [1]);
+  });
+
+  it('drops invalid markers in drop mode and keeps offsets valid', () => {
+    const { text, citations, invalid } = validateCitations('Shipping is free [3]. Refunds take 5 days [0, 1].', docs, { mode: 'drop' });
+    assert.equal(text, 'Shipping is free. Refunds take 5 days [1].');
+    assert.equal(invalid.length, 2);
+    const claim = citations[0].claims[0];
+    assert.equal(text.slice(claim.start, claim.end), 'Refunds take 5 days [1].');
+  });
+
+  it('ignores links and indexing', () => {
+    const { citations, invalid } = validateCitations('See [5](https://example.com) and `items[7]`.', docs);
+    assert.deepEqual(citations, []);
+    assert.deepEqual(invalid, []);
+  });
+
+  it('rejects unknown modes', () => {
+    assert.throws(() => validateCitations('x', docs, { mode: 'fix' }), /Unknown citation mode/);
+  });
+});
+
+describe('citationMarkdown', () => {
+  it('lists cited chunks with their claims and warns about invalid ones', () => {
+    const lines = citationMarkdown('Refunds take 5 days [1]. Tea is hot [9].', docs);
+    assert.deepEqual(lines, [
+      '- [1] refunds.md (`c1`)',
+      '  - Refunds take 5 days.',
+      '- [9] ⚠ not a retrieved source: Tea is hot.',
+    ]);
+  });
+
+  it('returns nothing for answers without citations', () => {
+    assert.deepEqual(citationMarkdown('No markers here.', docs), []);
+  });
+});
+
+describe('chatTurn citations', () => {
+  let tmpDir;
+  let originalStorePath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vai-citations-test-'));
+    originalStorePath = process.env.VAI_STORE_PATH;
+    process.env.VAI_STORE_PATH = tmpDir;
+  });
+
+  afterEach(() => {
+    if (originalStorePath === undefined) delete process.env.VAI_STORE_PATH;
+    else process.env.VAI_STORE_PATH = originalStorePath;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function runTurn(answer, opts = {}) {
+    const { createVectorStore } = require('../../src/lib/vector-store');
+    const { chatTurn } = require('../../src/lib/chat');
+    const { ChatHistory } = require('../../src/lib/history');
+
+    const store = createVectorStore({ db: 'kb', collection: 'docs', store: 'local' });
+    await store.insertMany([
+      { _id: 'c1', text: 'Refunds take 5 days.', embedding: [1, 0], metadata: { source: 'refunds.md' } },
+    ]);
+    let prompt;
+    const llm = {
+      name: 'fake',
+      model: 'fake-1',
+      async *chat(messages) {
+        prompt = messages[messages.length - 1].content;
+        yield answer;
+      },
+    };
+    const history = new ChatHistory();
+    let done;
+    for await (const event of chatTurn({
+      query: 'refunds?', db: 'kb', collection: 'docs', llm, history,
+      opts: { embedFn: async () => ({ data: [{ embedding: [1, 0] }] }), store: 'local', rerank: false, ...opts },
+    })) {
+      if (event.type === 'done') done = event.data;
+    }
+    return { done, history, prompt };
+  }
+
+  it('numbers the context and reports validated citations', async () => {
+    const { done, history, prompt } = await runTurn('Refunds take 5 days [1]. Fees apply [2].');
+    assert.ok(prompt.includes('[1] Source: refunds.md'));
+    assert.deepEqual(done.citations.map(c => [c.n, c.id]), [[1, 'c1']]);
+    assert.deepEqual(done.invalidCitations, [{ n: 2, claim: 'Fees apply.' }]);
+    assert.equal(done.fullResponse, 'Refunds take 5 days [1]. Fees apply [2].');
+    assert.deepEqual(history.turns[1].citations, done.citations);
+  });
+
+  it('stores the answer without invalid markers in drop mode', async () => {
+    const { done, history } = await runTurn('Refunds take 5 days [1]. Fees apply [2].', { invalidCitations: 'drop' });
+    assert.equal(done.fullResponse, 'Refunds take 5 days [1]. Fees apply.');
+    assert.equal(history.turns[1].content, done.fullResponse);
+  });
+});
@@ -66,6 +66,16 @@ describe('cost estimation', () => {
       assert.equal(est.outputTokens, 500);
     });
 
+    it('calculates gemini cost', () => {
+      const est = estimateLLMCost('gemini', 'gemini-2.5-flash', 1_000_000, 100_000);
+      assert.ok(Math.abs(est.cost - 0.55) < 1e-9);
+    });
+
+    it('returns null for openai-compatible servers', () => {
+      const est = estimateLLMCost('openai-compatible', 'qwen2.5', 1000, 500);
+      assert.equal(est.cost, null);
+    });
+
     it('returns 0 for ollama', () => {
       const est = estimateLLMCost('ollama', 'llama3.1', 1000, 500);
       assert.equal(est.cost, 0);
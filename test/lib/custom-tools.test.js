@@ -0,0 +1,217 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { loadCustomTools, workflowInputSchema, workflowHasSideEffects, fillUrl, mcpTools } = require('../../src/lib/custom-tools');
+
+// Local server standing in for HTTP tool endpoints.
+let server;
+let serverUrl;
+const requests = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+      if (req.url.startsWith('/orders/missing')) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'not found' }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ status: 'shipped' }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  serverUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+describe('workflowInputSchema', () => {
+  it('maps workflow inputs to a JSON Schema', () => {
+    const schema = workflowInputSchema({
+      inputs: {
+        question: { type: 'string', description: 'The question', required: true },
+        limit: { type: 'number', required: true, default: 5 },
+        tags: { type: 'array' },
+      },
+    });
+    assert.deepEqual(schema, {
+      type: 'object',
+      properties: {
+        question: { type: 'string', description: 'The question' },
+        limit: { type: 'number' },
+        tags: { type: 'array' },
+      },
+      required: ['question'],
+    });
+  });
+});
+
+describe('workflowHasSideEffects', () => {
+  it('flags writing steps and non-GET HTTP calls, including inside loops', () => {
+    assert.equal(workflowHasSideEffects({ steps: [{ id: 'q', tool: 'query', inputs: {} }, { id: 'h', tool: 'http', inputs: { url: 'x' } }] }), false);
+    assert.equal(workflowHasSideEffects({ steps: [{ id: 'h', tool: 'http', inputs: { url: 'x', method: 'post' } }] }), true);
+    assert.equal(workflowHasSideEffects({ steps: [{ id: 'l', tool: 'loop', inputs: { step: { tool: 'ingest', inputs: {} } } }] }), true);
+  });
+});
+
+describe('fillUrl', () => {
+  it('fills placeholders and returns the remaining arguments', () => {
+    assert.deepEqual(fillUrl('https://x.test/orders/{id}/items/{missing}', { id: 'a b', verbose: true }), {
+      url: 'https://x.test/orders/a%20b/items/{missing}',
+      rest: { verbose: true },
+    });
+  });
+});
+
+describe('loadCustomTools', () => {
+  it('runs workflow tools with their arguments as inputs', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vai-tools-test-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'greet.json'), JSON.stringify({
+        name: 'Greet',
+        description: 'Greet someone by name.',
+        inputs: { who: { type: 'string', required: true } },
+        steps: [{ id: 'greet', tool: 'template', inputs: { text: 'Hello, {{ inputs.who }}!' } }],
+        output: { greeting: '{{ greet.output.text }}' },
+      }));
+
+      const { tools, errors } = await loadCustomTools(
+        [{ type: 'workflow', name: 'greet', workflow: 'greet.json' }],
+        { baseDir: dir },
+      );
+      assert.deepEqual(errors, []);
+      assert.equal(tools[0].description, 'Greet someone by name.');
+      assert.deepEqual(tools[0].inputSchema.required, ['who']);
+      assert.deepEqual(tools[0].source, { type: 'workflow', label: 'greet.json' });
+      assert.equal(tools[0].sideEffects, false);
+
+      const result = await tools[0].execute({ who: 'Ada' });
+      assert.deepEqual(result.structuredContent, { greeting: 'Hello, Ada!' });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('calls HTTP tools with validated arguments and env-expanded headers', async () => {
+    process.env.VAI_TEST_ORDERS_KEY = 'secret';
+    try {
+      const { tools } = await loadCustomTools([{
+        type: 'http',
+        name: 'order_status',
+        description: 'Look up an order',
+        method: 'GET',
+        url: `${serverUrl}/orders/{orderId}`,
+        headers: { Authorization: 'Bearer ${VAI_TEST_ORDERS_KEY}' },
+        inputSchema: { type: 'object', properties: { orderId: { type: 'string' }, verbose: { type: 'boolean' } }, required: ['orderId'] },
+      }]);
+      const [tool] = tools;
+      assert.equal(tool.sideEffects, false);
+
+      requests.length = 0;
+      const result = await tool.execute({ orderId: 'A-1', verbose: true });
+      assert.deepEqual(result.structuredContent, { status: 'shipped' });
+      assert.equal(requests[0].url, '/orders/A-1?verbose=true');
+      assert.equal(requests[0].headers.authorization, 'Bearer secret');
+
+      await assert.rejects(tool.execute({ verbose: true }), /Invalid arguments for "order_status": orderId: /);
+      await assert.rejects(tool.execute({ orderId: 'missing' }), /HTTP 404/);
+    } finally {
+      delete process.env.VAI_TEST_ORDERS_KEY;
+    }
+  });
+
+  it('sends POST arguments as a JSON body', async () => {
+    const { tools } = await loadCustomTools([{
+      type: 'http',
+      name: 'create_ticket',
+      description: 'Open a ticket',
+      url: `${serverUrl}/tickets`,
+      inputSchema: { type: 'object', properties: { title: { type: 'string' } } },
+    }]);
+    assert.equal(tools[0].sideEffects, true);
+    requests.length = 0;
+    await tools[0].execute({ title: 'Broken login' });
+    assert.equal(requests[0].method, 'POST');
+    assert.deepEqual(requests[0].body, { title: 'Broken login' });
+  });
+
+  it('reports broken definitions instead of failing', async () => {
+    const { tools, errors } = await loadCustomTools([
+      { type: 'shell', name: 'rm' },
+      { type: 'http', name: 'bad name!', url: serverUrl, description: 'x' },
+      { type: 'http', name: 'no_desc', url: serverUrl },
+      { type: 'workflow', name: 'missing', workflow: 'does-not-exist.json' },
+      { type: 'mcp', name: 'nothing' },
+      { type: 'http', name: 'vai_query', url: serverUrl, description: 'Shadow a built-in' },
+    ]);
+    assert.equal(tools.length, 0);
+    assert.deepEqual(errors.map(e => e.name), ['rm', 'bad name!', 'no_desc', 'missing', 'nothing', 'vai_query']);
+    assert.match(errors[0].error, /"type" must be one of: workflow, http, mcp/);
+    assert.match(errors[2].error, /need a "description"/);
+    assert.match(errors[3].error, /Workflow not found/);
+    assert.match(errors[4].error, /"command" .* or "url"/);
+    assert.equal(errors[5].error, 'name is already in use');
+  });
+
+  it('gives up on an MCP server that never answers', async () => {
+    // A stdio "server" that reads nothing and never replies to initialize
+    const { tools, errors } = await loadCustomTools([
+      { type: 'mcp', name: 'silent', command: process.execPath, args: ['-e', 'setInterval(() => {}, 1000)'], timeoutMs: 300 },
+    ]);
+    assert.equal(tools.length, 0);
+    assert.deepEqual(errors, [{ name: 'silent', error: 'MCP server did not connect within 300ms' }]);
+  });
+
+  it('rejects specs that are not an array', async () => {
+    await assert.rejects(loadCustomTools({ type: 'http' }), /must be an array/);
+  });
+});
+
+describe('mcpTools', () => {
+  it('exposes MCP server tools with a prefix and relays errors', async () => {
+    const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+    const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+    const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+    const { z } = require('zod');
+
+    const mcpServer = new McpServer({ name: 'test', version: '1.0.0' });
+    mcpServer.tool('get.issue', 'Fetch an issue', { number: z.number() }, async ({ number }) => ({
+      content: [{ type: 'text', text: `Issue #${number}: Login broken` }],
+    }));
+    mcpServer.tool('list_repos', 'List repositories', {}, { readOnlyHint: true }, async () => ({
+      content: [{ type: 'text', text: 'vai' }],
+    }));
+    mcpServer.tool('delete_repo', 'Delete a repository', { name: z.string() }, async () => ({
+      content: [{ type: 'text', text: 'deleted' }],
+    }));
+    const [serverTransport, clientTransport] = InMemoryTransport.createLinkedPair();
+    await mcpServer.connect(serverTransport);
+    const client = new Client({ name: 'vai-test', version: '1.0.0' });
+    await client.connect(clientTransport);
+
+    try {
+      const tools = await mcpTools(client, { name: 'gh', tools: ['get.issue', 'list_repos'] });
+      assert.deepEqual(tools.map(t => t.name), ['gh_get_issue', 'gh_list_repos']);
+      assert.deepEqual(tools.map(t => t.sideEffects), [true, false]);
+      assert.equal(tools[0].inputSchema.$schema, undefined);
+      assert.deepEqual(tools[0].source, { type: 'mcp', label: 'gh' });
+
+      const result = await tools[0].execute({ number: 7 });
+      assert.equal(result.content[0].text, 'Issue #7: Login broken');
+      await assert.rejects(tools[0].execute({ number: 'seven' }), /Input validation error/);
+    } finally {
+      await client.close();
+    }
+  });
+});
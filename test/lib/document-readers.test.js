@@ -0,0 +1,181 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  decodeXml,
+  buildSections,
+  buildRowGroups,
+  columnName,
+  columnIndex,
+  parseDocx,
+  parsePptx,
+  parseXlsx,
+  parseEpub,
+} = require('../../src/lib/document-readers');
+const { createZip } = require('../../src/lib/zip');
+const { buildDocx, buildPptx, buildXlsx, buildEpub } = require('../fixtures/documents');
+
+describe('document-readers', () => {
+  describe('helpers', () => {
+    it('decodes XML entities and character references', () => {
+      assert.equal(decodeXml('a &amp; b &lt;c&gt; &#8217;&#x2014;'), 'a & b <c> ’—');
+      assert.equal(decodeXml('&amp;lt;'), '&lt;');
+    });
+
+    it('converts between column names and indexes', () => {
+      assert.equal(columnName(0), 'A');
+      assert.equal(columnName(25), 'Z');
+      assert.equal(columnName(26), 'AA');
+      assert.equal(columnIndex('C7'), 2);
+      assert.equal(columnIndex('AA12'), 26);
+    });
+
+    it('buildSections nests headings and drops empty ones', () => {
+      const items = buildSections([
+        { text: 'Preamble' },
+        { heading: 'Terms', level: 1 },
+        { heading: 'Payment', level: 2 },
+        { text: 'Net 30.' },
+        { heading: 'Termination', level: 1 },
+        { text: 'Either party.' },
+      ]);
+      assert.equal(items.length, 3);
+      assert.deepEqual(items[0], { text: 'Preamble', metadata: {} });
+      assert.deepEqual(items[1].metadata, { heading: 'Payment', heading_path: 'Terms > Payment' });
+      assert.equal(items[1].text, 'Payment\n\nNet 30.');
+      assert.deepEqual(items[2].metadata, { heading: 'Termination', heading_path: 'Termination' });
+    });
+
+    it('buildRowGroups keys rows by header and records row ranges', () => {
+      const rows = [['Name', 'Role'], ['Ada', 'Engineer'], ['Grace', ''], ['Linus', 'Maintainer']];
+      const items = buildRowGroups(rows, { sheet: 'Staff' }, { rowNumbers: [1, 2, 3, 5], groupSize: 40 });
+      assert.deepEqual(items.map(i => i.text), [
+        'Name: Ada | Role: Engineer\nName: Grace',
+        'Name: Linus | Role: Maintainer',
+      ]);
+      assert.deepEqual(items[0].metadata, { sheet: 'Staff', row_start: 2, row_end: 3 });
+      assert.deepEqual(items[1].metadata, { sheet: 'Staff', row_start: 5, row_end: 5 });
+    });
+
+    it('buildRowGroups keeps a lone row as plain values', () => {
+      const items = buildRowGroups([['Only', 'row']], {});
+      assert.deepEqual(items, [{ text: 'Only | row', metadata: { row_start: 1, row_end: 1 } }]);
+    });
+  });
+
+  describe('parseDocx', () => {
+    it('splits sections on headings and keeps the heading path', () => {
+      const items = parseDocx(buildDocx([
+        { heading: 'Master Agreement', level: 1 },
+        { text: 'This agreement is made between A & B.' },
+        { heading: 'Fees', level: 2 },
+        { text: 'Fees are due monthly.' },
+      ]));
+      assert.equal(items.length, 2);
+      assert.equal(items[0].text, 'Master Agreement\n\nThis agreement is made between A & B.');
+      assert.deepEqual(items[0].metadata, { heading: 'Master Agreement', heading_path: 'Master Agreement' });
+      assert.deepEqual(items[1].metadata, { heading: 'Fees', heading_path: 'Master Agreement > Fees' });
+    });
+
+    it('emits tables as row groups under their heading', () => {
+      const items = parseDocx(buildDocx([
+        { heading: 'Pricing', level: 1 },
+        { text: 'See the table.' },
+        { table: [['Tier', 'Price'], ['Basic', '$10'], ['Pro', '$30']] },
+      ]));
+      const table = items.find(i => i.metadata.table);
+      assert.equal(table.text, 'Tier: Basic | Price: $10\nTier: Pro | Price: $30');
+      assert.deepEqual(table.metadata, {
+        table: 1, heading: 'Pricing', heading_path: 'Pricing', row_start: 2, row_end: 3,
+      });
+    });
+
+    it('keeps tables in document order', () => {
+      const items = parseDocx(buildDocx([
+        { heading: 'Pricing', level: 1 },
+        { text: 'Prices before tax.' },
+        { table: [['Tier', 'Price'], ['Basic', '$10']] },
+        { text: 'Prices change yearly.' },
+        { heading: 'Support', level: 1 },
+        { text: 'Email us.' },
+      ]));
+      assert.deepEqual(items.map(i => i.text), [
+        'Pricing\n\nPrices before tax.',
+        'Tier: Basic | Price: $10',
+        'Pricing\n\nPrices change yearly.',
+        'Support\n\nEmail us.',
+      ]);
+    });
+
+    it('rejects archives without a document part', () => {
+      assert.throws(() => parseDocx(createZip([{ name: 'x.txt', content: 'x' }])), /Not a valid DOCX/);
+    });
+  });
+
+  describe('parsePptx', () => {
+    it('returns one item per slide in presentation order', () => {
+      const items = parsePptx(buildPptx([
+        { title: 'Roadmap', body: ['Q1: search', 'Q2: agents'] },
+        { title: 'Welcome', body: ['Agenda for today'], notes: 'Greet the room' },
+      ], [2, 1]));
+      assert.equal(items.length, 2);
+      assert.deepEqual(items[0].metadata, { slide: 1, slide_title: 'Welcome' });
+      assert.equal(items[0].text, 'Welcome\n\nAgenda for today\n\nNotes: Greet the room');
+      assert.deepEqual(items[1].metadata, { slide: 2, slide_title: 'Roadmap' });
+      assert.equal(items[1].text, 'Roadmap\n\nQ1: search\n\nQ2: agents');
+    });
+
+    it('omits slide_title for untitled slides and skips empty slides', () => {
+      const items = parsePptx(buildPptx([{ body: ['Just a quote on a slide'] }, {}]));
+      assert.deepEqual(items, [{ text: 'Just a quote on a slide', metadata: { slide: 1 } }]);
+    });
+  });
+
+  describe('parseXlsx', () => {
+    it('reads every sheet with header-keyed rows', () => {
+      const items = parseXlsx(buildXlsx([
+        { name: 'Contracts', rows: [['Customer', 'Value'], ['Acme', 1200], [null, null], ['Globex', 800]] },
+        { name: 'Notes', rows: [['Renewals are handled by legal.']] },
+      ]));
+      assert.deepEqual(items, [
+        {
+          text: 'Customer: Acme | Value: 1200\nCustomer: Globex | Value: 800',
+          metadata: { sheet: 'Contracts', row_start: 2, row_end: 4 },
+        },
+        {
+          text: 'Renewals are handled by legal.',
+          metadata: { sheet: 'Notes', row_start: 1, row_end: 1 },
+        },
+      ]);
+    });
+
+    it('honors groupSize', () => {
+      const rows = [['Id']];
+      for (let i = 1; i <= 10; i++) rows.push([`row-${i}`]);
+      const items = parseXlsx(buildXlsx([{ name: 'S', rows }]), { groupSize: 30 });
+      assert.ok(items.length > 1);
+      assert.equal(items[0].metadata.row_start, 2);
+      assert.equal(items[items.length - 1].metadata.row_end, 11);
+    });
+  });
+
+  describe('parseEpub', () => {
+    it('reads spine chapters split on headings', () => {
+      const items = parseEpub(buildEpub([
+        { title: 'One', html: '<h1>Chapter One</h1><p>It was a dark &amp; stormy night.</p><h2>Later</h2><p>The storm passed&#8230;</p>' },
+        { title: 'Two', html: '<p>No heading here, just prose.</p>' },
+      ]));
+      assert.equal(items.length, 3);
+      assert.deepEqual(items[0].metadata, { chapter: 1, heading: 'Chapter One', heading_path: 'Chapter One' });
+      assert.equal(items[0].text, 'Chapter One\n\nIt was a dark & stormy night.');
+      assert.deepEqual(items[1].metadata, { chapter: 1, heading: 'Later', heading_path: 'Chapter One > Later' });
+      assert.equal(items[1].text, 'Later\n\nThe storm passed…');
+      assert.deepEqual(items[2], { text: 'No heading here, just prose.', metadata: { chapter: 2 } });
+    });
+
+    it('rejects archives without a container', () => {
+      assert.throws(() => parseEpub(createZip([{ name: 'mimetype', content: 'application/epub+zip' }])), /Not a valid EPUB/);
+    });
+  });
+});
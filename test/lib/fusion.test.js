@@ -0,0 +1,190 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  FUSION_METHODS,
+  docKey,
+  fuseRankedLists,
+  resolveHybridConfig,
+  hybridSearch,
+} = require('../../src/lib/fusion');
+
+describe('docKey', () => {
+  it('uses _id when present', () => {
+    assert.equal(docKey({ _id: 42, text: 'a' }), '42');
+  });
+
+  it('falls back to text', () => {
+    assert.equal(docKey({ text: 'hello' }), 'text:hello');
+  });
+});
+
+describe('fuseRankedLists', () => {
+  const vector = [
+    { _id: 'a', text: 'A', _vsScore: 0.9 },
+    { _id: 'b', text: 'B', _vsScore: 0.8 },
+    { _id: 'c', text: 'C', _vsScore: 0.7 },
+  ];
+  const lexical = [
+    { _id: 'c', text: 'C', _textScore: 12 },
+    { _id: 'd', text: 'D', _textScore: 4 },
+  ];
+
+  it('rrf rewards documents found by both retrievers', () => {
+    const fused = fuseRankedLists([
+      { docs: vector, scoreField: '_vsScore' },
+      { docs: lexical, scoreField: '_textScore' },
+    ], { method: 'rrf', k: 60 });
+
+    assert.equal(fused.length, 4);
+    assert.equal(fused[0]._id, 'c');
+    assert.ok(Math.abs(fused[0]._fusedScore - (1 / 63 + 1 / 61)) < 1e-12);
+  });
+
+  it('merges scores from every list onto the fused doc', () => {
+    const fused = fuseRankedLists([
+      { docs: vector, scoreField: '_vsScore' },
+      { docs: lexical, scoreField: '_textScore' },
+    ]);
+    const c = fused.find(d => d._id === 'c');
+    assert.equal(c._vsScore, 0.7);
+    assert.equal(c._textScore, 12);
+  });
+
+  it('rrf respects list weights', () => {
+    const fused = fuseRankedLists([
+      { docs: vector, scoreField: '_vsScore', weight: 0 },
+      { docs: lexical, scoreField: '_textScore', weight: 1 },
+    ]);
+    assert.deepEqual(fused.slice(0, 2).map(d => d._id), ['c', 'd']);
+  });
+
+  it('weighted fusion normalizes scores per list', () => {
+    const fused = fuseRankedLists([
+      { docs: vector, scoreField: '_vsScore', weight: 0.5 },
+      { docs: lexical, scoreField: '_textScore', weight: 0.5 },
+    ], { method: 'weighted' });
+    const scores = Object.fromEntries(fused.map(d => [d._id, d._fusedScore]));
+    assert.ok(Math.abs(scores.a - 0.5) < 1e-9);
+    assert.ok(Math.abs(scores.c - 0.5) < 1e-9);
+    assert.equal(scores.d, 0);
+  });
+
+  it('throws on unknown method', () => {
+    assert.throws(() => fuseRankedLists([], { method: 'borda' }), /Unknown fusion method/);
+  });
+
+  it('exposes available methods', () => {
+    assert.deepEqual(FUSION_METHODS, ['rrf', 'weighted']);
+  });
+});
+
+describe('resolveHybridConfig', () => {
+  it('is disabled by default', () => {
+    const conf = resolveHybridConfig({}, {});
+    assert.equal(conf.enabled, false);
+    assert.equal(conf.searchIndex, 'search_index');
+    assert.equal(conf.fusion, 'rrf');
+    assert.equal(conf.k, 60);
+    assert.equal(conf.vectorWeight, 0.5);
+  });
+
+  it('reads the .vai.json hybrid block', () => {
+    const conf = resolveHybridConfig({}, { enabled: true, searchIndex: 'lex', fusion: 'weighted', vectorWeight: 0.7 });
+    assert.equal(conf.enabled, true);
+    assert.equal(conf.searchIndex, 'lex');
+    assert.equal(conf.fusion, 'weighted');
+    assert.equal(conf.vectorWeight, 0.7);
+  });
+
+  it('CLI options override project settings', () => {
+    const conf = resolveHybridConfig({ hybrid: true, rrfK: 10, vectorWeight: 0 }, { vectorWeight: 0.7 });
+    assert.equal(conf.enabled, true);
+    assert.equal(conf.k, 10);
+    assert.equal(conf.vectorWeight, 0);
+  });
+
+  it('rejects an out-of-range vector weight', () => {
+    assert.throws(() => resolveHybridConfig({ vectorWeight: 1.5 }), /between 0 and 1/);
+  });
+
+  it('rejects an unknown fusion method', () => {
+    assert.throws(() => resolveHybridConfig({ fusion: 'max' }), /Unknown fusion method/);
+  });
+});
+
+describe('hybridSearch', () => {
+  it('runs both retrievers and fuses up to limit', async () => {
+    const calls = {};
+    const store = {
+      search: async (params) => {
+        calls.search = params;
+        return [{ _id: 1, _vsScore: 0.9 }, { _id: 2, _vsScore: 0.8 }];
+      },
+      textSearch: async (params) => {
+        calls.textSearch = params;
+        return [{ _id: 3, _textScore: 5 }, { _id: 1, _textScore: 2 }];
+      },
+    };
+    const hybrid = resolveHybridConfig({ hybrid: true, searchIndex: 'lex' });
+    const result = await hybridSearch(store, {
+      vector: [1], query: 'ERR_42', textField: 'body', limit: 2, filter: { a: 1 }, hybrid,
+    });
+
+    assert.equal(result.vectorCount, 2);
+    assert.equal(result.textCount, 2);
+    assert.equal(result.docs.length, 2);
+    assert.equal(result.docs[0]._id, 1);
+    assert.equal(calls.textSearch.index, 'lex');
+    assert.equal(calls.textSearch.path, 'body');
+    assert.equal(calls.textSearch.query, 'ERR_42');
+    assert.deepEqual(calls.search.filter, { a: 1 });
+  });
+});
+
+describe('chatTurn hybrid settings', () => {
+  let tmpDir;
+  let originalStorePath;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vai-fusion-test-'));
+    originalStorePath = process.env.VAI_STORE_PATH;
+    process.env.VAI_STORE_PATH = tmpDir;
+    const { createVectorStore } = require('../../src/lib/vector-store');
+    await createVectorStore({ db: 'kb', collection: 'docs', store: 'local' }).insertMany([
+      { _id: 'a', text: 'Refunds take five days.', embedding: [1, 0] },
+    ]);
+  });
+
+  afterEach(() => {
+    if (originalStorePath === undefined) delete process.env.VAI_STORE_PATH;
+    else process.env.VAI_STORE_PATH = originalStorePath;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function runTurn(opts) {
+    const { chatTurn } = require('../../src/lib/chat');
+    const { ChatHistory } = require('../../src/lib/history');
+    const llm = { name: 'fake', model: 'fake-1', async *chat() { yield 'Answer.'; } };
+    const embedFn = async (texts) => ({ data: texts.map(() => ({ embedding: [1, 0] })) });
+    const turn = chatTurn({
+      query: 'refunds', db: 'kb', collection: 'docs', llm, history: new ChatHistory(),
+      opts: { store: 'local', rerank: false, rewrite: false, embedFn, hybrid: true, ...opts },
+    });
+    for await (const event of turn) {
+      if (event.type === 'done') return event.data;
+    }
+  }
+
+  it('passes the fusion settings through to retrieval', async () => {
+    await assert.rejects(runTurn({ fusion: 'bogus' }), /Unknown fusion method: "bogus"/);
+    await assert.rejects(runTurn({ fusion: 'weighted', vectorWeight: 2 }), /Vector weight must be between 0 and 1/);
+    const done = await runTurn({ fusion: 'weighted', vectorWeight: 1, rrfK: 10, searchIndex: 'lex' });
+    assert.equal(done.sources.length, 1);
+  });
+});
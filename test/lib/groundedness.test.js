@@ -0,0 +1,186 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { splitClaims, parseVerdicts, verifyAnswer } = require('../../src/lib/groundedness');
+
+const docs = [
+  { text: 'Refunds take 5 days.' },
+  { text: 'Receipts are required for all returns.' },
+];
+
+/** Fake LLM provider that replies with the given strings, one per call. */
+function fakeLLM(...replies) {
+  const calls = [];
+  return {
+    name: 'fake',
+    model: 'fake-1',
+    calls,
+    async *chat(messages) {
+      calls.push(messages);
+      yield replies[calls.length - 1];
+      yield { __usage: { inputTokens: 10, outputTokens: 5 } };
+    },
+  };
+}
+
+describe('splitClaims', () => {
+  it('keeps statements and strips markers and formatting', () => {
+    const text = [
+      '## Refunds',
+      'Here is what I found:',
+      '- **Refunds** take 5 business days [1].',
+      'Do you need more?',
+      'Yes.',
+      '```',
+      'const x = 1. Not a claim here.',
+      '```',
+      'You need a receipt to return items [2].',
+    ].join('\n');
+    assert.deepEqual(splitClaims(text), [
+      'Refunds take 5 business days.',
+      'You need a receipt to return items.',
+    ]);
+  });
+
+  it('caps the number of claims', () => {
+    const text = 'One two three four. Five six seven eight. Nine ten eleven twelve.';
+    assert.equal(splitClaims(text, { maxClaims: 2 }).length, 2);
+  });
+});
+
+describe('parseVerdicts', () => {
+  it('reads the array out of fenced or chatty replies', () => {
+    const reply = 'Sure:\n```json\n[{"claim": 1, "supported": true, "source": 2}]\n```';
+    assert.deepEqual(parseVerdicts(reply), [{ claim: 1, supported: true, source: 2 }]);
+  });
+
+  it('throws when there is no JSON array', () => {
+    assert.throws(() => parseVerdicts('All claims look fine.'), /JSON array/);
+  });
+});
+
+describe('verifyAnswer', () => {
+  it('scores claims with the LLM judge', async () => {
+    const llm = fakeLLM('[{"claim": 1, "supported": true, "source": 1}, {"claim": 2, "supported": false, "source": 2}]');
+    const result = await verifyAnswer({
+      answer: 'Refunds take 5 days [1]. Shipping is always free of charge.',
+      docs,
+      method: 'llm',
+      llm,
+    });
+    assert.equal(result.method, 'llm');
+    assert.equal(result.model, 'fake-1');
+    assert.equal(result.threshold, undefined);
+    assert.deepEqual(result.claims, [
+      { text: 'Refunds take 5 days.', supported: true, score: 1, source: 1 },
+      { text: 'Shipping is always free of charge.', supported: false, score: 0, source: null },
+    ]);
+    assert.equal(result.score, 0.5);
+    assert.deepEqual(result.unsupported, ['Shipping is always free of charge.']);
+    assert.deepEqual(result.tokens, { llmInput: 10, llmOutput: 5 });
+
+    const prompt = llm.calls[0][1].content;
+    assert.ok(prompt.includes('[2] Receipts are required for all returns.'));
+    assert.ok(prompt.includes('2. Shipping is always free of charge.'));
+  });
+
+  it('treats claims without a verdict as unsupported', async () => {
+    const llm = fakeLLM('[{"claim": 1, "supported": true, "source": 9}]');
+    const result = await verifyAnswer({ answer: 'Refunds take 5 days. Receipts are needed for returns.', docs, method: 'llm', llm });
+    assert.deepEqual(result.claims.map(c => [c.supported, c.source]), [[true, null], [false, null]]);
+  });
+
+  it('marks every claim unsupported when nothing was retrieved', async () => {
+    const result = await verifyAnswer({ answer: 'Refunds take 5 days.', docs: [] });
+    assert.equal(result.method, 'rerank');
+    assert.equal(result.threshold, 0.5);
+    assert.equal(result.supported, 0);
+    assert.equal(result.total, 1);
+    assert.equal(result.score, 0);
+  });
+
+  it('has nothing to check for answers without claims', async () => {
+    const result = await verifyAnswer({ answer: 'Sorry, no idea.', docs });
+    assert.equal(result.total, 0);
+    assert.equal(result.score, null);
+  });
+
+  it('rejects unknown methods and out-of-range thresholds', async () => {
+    await assert.rejects(verifyAnswer({ answer: 'x', docs, method: 'nli' }), /Unknown verification method/);
+    await assert.rejects(verifyAnswer({ answer: 'x', docs, threshold: 2 }), /between 0 and 1/);
+    await assert.rejects(verifyAnswer({ answer: 'Refunds take 5 days.', docs, method: 'llm' }), /LLM provider/);
+  });
+});
+
+describe('verify workflow tool', () => {
+  it('accepts a query step output as context', async () => {
+    const { executeStep } = require('../../src/lib/workflow');
+    const output = await executeStep(
+      { id: 'check', tool: 'verify' },
+      { answer: { text: 'Refunds take 5 days.' }, context: { results: [] } },
+      {},
+      {},
+    );
+    assert.equal(output.total, 1);
+    assert.deepEqual(output.unsupported, ['Refunds take 5 days.']);
+    assert.deepEqual(output._usage, []);
+  });
+
+  it('requires an answer', async () => {
+    const { executeStep } = require('../../src/lib/workflow');
+    await assert.rejects(executeStep({ id: 'check', tool: 'verify' }, { context: [] }, {}, {}), /"answer" input is required/);
+  });
+});
+
+describe('chatTurn verification', () => {
+  let tmpDir;
+  let originalStorePath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vai-verify-test-'));
+    originalStorePath = process.env.VAI_STORE_PATH;
+    process.env.VAI_STORE_PATH = tmpDir;
+  });
+
+  afterEach(() => {
+    if (originalStorePath === undefined) delete process.env.VAI_STORE_PATH;
+    else process.env.VAI_STORE_PATH = originalStorePath;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('reports unsupported claims in the done metadata and history', async () => {
+    const { createVectorStore } = require('../../src/lib/vector-store');
+    const { chatTurn } = require('../../src/lib/chat');
+    const { ChatHistory } = require('../../src/lib/history');
+
+    const store = createVectorStore({ db: 'kb', collection: 'docs', store: 'local' });
+    await store.insertMany([
+      { _id: 'c1', text: 'Refunds take 5 days.', embedding: [1, 0], metadata: { source: 'refunds.md' } },
+    ]);
+    const llm = fakeLLM(
+      'Refunds take 5 days [1]. Shipping is always free of charge.',
+      '[{"claim": 1, "supported": true, "source": 1}, {"claim": 2, "supported": false, "source": null}]',
+    );
+    const history = new ChatHistory();
+    const types = [];
+    let done;
+    for await (const event of chatTurn({
+      query: 'refunds?', db: 'kb', collection: 'docs', llm, history,
+      opts: { embedFn: async () => ({ data: [{ embedding: [1, 0] }] }), store: 'local', rerank: false, verify: 'llm' },
+    })) {
+      types.push(event.type);
+      if (event.type === 'done') done = event.data;
+    }
+
+    assert.ok(types.indexOf('verifying') > types.lastIndexOf('chunk'));
+    const { verification } = done.metadata;
+    assert.equal(verification.method, 'llm');
+    assert.deepEqual(verification.unsupported, ['Shipping is always free of charge.']);
+    assert.ok(llm.calls[1][1].content.includes('[1] Refunds take 5 days.'));
+    assert.deepEqual(history.turns[1].metadata.verification, verification);
+  });
+});
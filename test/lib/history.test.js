@@ -98,6 +98,19 @@ describe('history', () => {
       assert.ok(md.includes('auth.md'));
     });
 
+    it('exportMarkdown traces citations to their sources', async () => {
+      const h = new ChatHistory({ sessionId: 'test-cite' });
+      await h.addTurn({ role: 'user', content: 'How does auth work?' });
+      await h.addTurn({
+        role: 'assistant', content: 'It uses JWT [1]. Sessions last a day [3].',
+        context: [{ _id: 'c1', source: 'auth.md', score: 0.94 }],
+      });
+      const md = h.exportMarkdown();
+      assert.ok(md.includes('1. auth.md (0.94)'));
+      assert.ok(md.includes('- [1] auth.md (`c1`)\n  - It uses JWT.'));
+      assert.ok(md.includes('- [3] ⚠ not a retrieved source: Sessions last a day.'));
+    });
+
     it('getMessagesWithBudget trims old turns', async () => {
       const h = new ChatHistory({ maxTurns: 100 });
       // Add lots of turns with long content
@@ -138,6 +151,7 @@ describe('history', () => {
 
     it('load() uses store.getLatestTurns when store provided', async () => {
       const mockStore = {
+        getSession: mock.fn(async () => ({ _id: 'sess-1' })),
         getLatestTurns: mock.fn(async () => [
           { role: 'user', content: 'hello', createdAt: new Date() },
           { role: 'assistant', content: 'hi', createdAt: new Date() },
@@ -154,6 +168,7 @@ describe('history', () => {
 
     it('load() returns false when store has no turns', async () => {
       const mockStore = {
+        getSession: mock.fn(async () => null),
         getLatestTurns: mock.fn(async () => []),
         isFallbackMode: false,
       };
@@ -188,4 +203,73 @@ describe('history', () => {
       assert.equal(h.turns.length, 1);
     });
   });
+
+  describe('branches', () => {
+    async function exchange(h, q, a) {
+      await h.addTurn({ role: 'user', content: q });
+      await h.addTurn({ role: 'assistant', content: a });
+    }
+
+    it('numbers turns along the branch path', async () => {
+      const h = new ChatHistory();
+      await exchange(h, 'q1', 'a1');
+      assert.deepEqual(h.turns.map(t => [t.turnIndex, t.branch]), [[0, 'main'], [1, 'main']]);
+    });
+
+    it('forks at an earlier turn and keeps the original branch', async () => {
+      const h = new ChatHistory();
+      await exchange(h, 'q1', 'a1');
+      await exchange(h, 'q2', 'a2');
+
+      const branch = await h.fork({ at: 2 });
+      assert.equal(branch.name, 'branch-2');
+      assert.equal(branch.parent, 'main');
+      assert.equal(h.branch, 'branch-2');
+      assert.deepEqual(h.getMessages().map(m => m.content), ['q1', 'a1']);
+
+      await exchange(h, 'q2 edited', 'a2 edited');
+      assert.deepEqual(h.turns.map(t => t.turnIndex), [0, 1, 2, 3]);
+
+      await h.switchBranch('main');
+      assert.deepEqual(h.getMessages().map(m => m.content), ['q1', 'a1', 'q2', 'a2']);
+
+      const list = await h.listBranches();
+      assert.deepEqual(list.map(b => [b.name, b.forkIndex, b.turnCount, b.current]), [
+        ['main', 0, 4, true],
+        ['branch-2', 2, 4, false],
+      ]);
+    });
+
+    it('rejects bad fork points and names', async () => {
+      const h = new ChatHistory();
+      await exchange(h, 'q1', 'a1');
+      await assert.rejects(h.fork({ at: 5 }), /Cannot branch at turn 5: the current branch has 2 turns/);
+      await assert.rejects(h.fork({ name: 'main' }), /Branch already exists: main/);
+      await assert.rejects(h.fork({ name: 'no spaces' }), /Invalid branch name/);
+      await assert.rejects(h.switchBranch('nope'), /Branch not found: nope/);
+    });
+
+    it('persists branches through the session store', async () => {
+      const { SessionStore } = require('../../src/lib/session-store');
+      // In-memory store that reports itself as persistent
+      const inner = new SessionStore({ db: 'test' });
+      inner._fallbackMode = true;
+      const store = Object.create(inner, { isFallbackMode: { get: () => false } });
+      const session = await store.createSession({ model: 'm', provider: 'p', mode: 'pipeline' });
+
+      const h = new ChatHistory({ sessionId: session._id, store });
+      await exchange(h, 'q1', 'a1');
+      await h.fork({ at: 0, name: 'retry' });
+      await exchange(h, 'q1 again', 'a1 again');
+
+      const resumed = new ChatHistory({ sessionId: session._id, store });
+      await resumed.load();
+      assert.equal(resumed.branch, 'retry');
+      assert.deepEqual(resumed.getMessages().map(m => m.content), ['q1 again', 'a1 again']);
+
+      await resumed.switchBranch('main');
+      assert.deepEqual(resumed.getMessages().map(m => m.content), ['q1', 'a1']);
+      assert.equal((await store.getSession(session._id)).activeBranch, 'main');
+    });
+  });
 });
@@ -0,0 +1,104 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  hashChunk,
+  chunkConfigFingerprint,
+  groupBySource,
+  isSourceUnchanged,
+  diffSource,
+} = require('../../src/lib/incremental');
+
+describe('hashChunk', () => {
+  it('is stable for the same text and model', () => {
+    assert.equal(hashChunk('hello', { model: 'm' }), hashChunk('hello', { model: 'm' }));
+  });
+
+  it('changes with text, model or dimensions', () => {
+    const base = hashChunk('hello', { model: 'm', dimensions: 512 });
+    assert.notEqual(hashChunk('hello!', { model: 'm', dimensions: 512 }), base);
+    assert.notEqual(hashChunk('hello', { model: 'n', dimensions: 512 }), base);
+    assert.notEqual(hashChunk('hello', { model: 'm', dimensions: 256 }), base);
+  });
+});
+
+describe('chunkConfigFingerprint', () => {
+  const settings = { model: 'm', strategy: 'recursive', chunkSize: 512, overlap: 50, textField: 'text' };
+
+  it('changes when chunk settings change', () => {
+    assert.notEqual(chunkConfigFingerprint(settings), chunkConfigFingerprint({ ...settings, chunkSize: 256 }));
+  });
+
+  it('changes when parents are stored', () => {
+    const section = chunkConfigFingerprint({ ...settings, parents: 'section', parentSize: 2048 });
+    assert.notEqual(chunkConfigFingerprint(settings), section);
+    assert.notEqual(section, chunkConfigFingerprint({ ...settings, parents: 'section', parentSize: 1024 }));
+    assert.equal(
+      chunkConfigFingerprint({ ...settings, parents: 'document', parentSize: 2048 }),
+      chunkConfigFingerprint({ ...settings, parents: 'document', parentSize: 1024 }),
+    );
+  });
+
+  it('treats missing dimensions consistently', () => {
+    assert.equal(chunkConfigFingerprint(settings), chunkConfigFingerprint({ ...settings, dimensions: undefined }));
+  });
+});
+
+describe('groupBySource', () => {
+  it('groups docs and ignores those without a source', () => {
+    const groups = groupBySource([
+      { _id: 1, metadata: { source: 'a.md' } },
+      { _id: 2, metadata: { source: 'a.md' } },
+      { _id: 3, metadata: {} },
+    ]);
+    assert.deepEqual([...groups.keys()], ['a.md']);
+    assert.equal(groups.get('a.md').length, 2);
+  });
+});
+
+describe('isSourceUnchanged', () => {
+  const docs = [
+    { metadata: { source_mtime: 't1', chunk_config: 'c1' } },
+    { metadata: { source_mtime: 't1', chunk_config: 'c1' } },
+  ];
+
+  it('requires every stored chunk to match mtime and settings', () => {
+    assert.ok(isSourceUnchanged(docs, { mtime: 't1', chunkConfig: 'c1' }));
+    assert.ok(!isSourceUnchanged(docs, { mtime: 't2', chunkConfig: 'c1' }));
+    assert.ok(!isSourceUnchanged(docs, { mtime: 't1', chunkConfig: 'c2' }));
+    assert.ok(!isSourceUnchanged([...docs, { metadata: { source_mtime: 't0', chunk_config: 'c1' } }], { mtime: 't1', chunkConfig: 'c1' }));
+  });
+
+  it('is false when nothing is stored', () => {
+    assert.ok(!isSourceUnchanged([], { mtime: 't1', chunkConfig: 'c1' }));
+  });
+});
+
+describe('diffSource', () => {
+  const chunk = (hash) => ({ metadata: { content_hash: hash } });
+  const doc = (id, hash) => ({ _id: id, metadata: { content_hash: hash } });
+
+  it('classifies added, updated, removed and unchanged chunks', () => {
+    const { reused, counts } = diffSource(
+      [chunk('a'), chunk('x'), chunk('y'), chunk('z')],
+      [doc(1, 'a'), doc(2, 'b')],
+    );
+    assert.deepEqual(counts, { added: 2, updated: 1, removed: 0, unchanged: 1 });
+    assert.equal(reused[0]._id, 1);
+    assert.deepEqual(reused.slice(1), [null, null, null]);
+  });
+
+  it('counts surplus stored chunks as removed', () => {
+    const { counts } = diffSource([chunk('a')], [doc(1, 'a'), doc(2, 'b'), doc(3, 'c')]);
+    assert.deepEqual(counts, { added: 0, updated: 0, removed: 2, unchanged: 1 });
+  });
+
+  it('matches duplicate chunks one-to-one', () => {
+    const { reused, counts } = diffSource([chunk('a'), chunk('a')], [doc(1, 'a')]);
+    assert.deepEqual(counts, { added: 1, updated: 0, removed: 0, unchanged: 1 });
+    assert.equal(reused[0]._id, 1);
+    assert.equal(reused[1], null);
+  });
+});
@@ -0,0 +1,310 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FallbackProvider, isRetryableError, convertTools, resetCircuits } = require('../../src/lib/llm-fallback');
+const { parseFallbackChain, resolveFallbackConfig, createLLMProvider } = require('../../src/lib/llm');
+
+/**
+ * Fake provider. `script` lists what each call does: a string answers,
+ * an Error is thrown, 'hang' never settles.
+ */
+function fakeProvider(name, model, ...script) {
+  const calls = [];
+  const next = () => {
+    const step = script[Math.min(calls.length, script.length) - 1];
+    if (step instanceof Error) throw step;
+    if (step === 'hang') return new Promise(() => {});
+    return step;
+  };
+  return {
+    name,
+    model,
+    calls,
+    supportsTools: true,
+    async *chat(messages) {
+      calls.push(messages);
+      const text = await next();
+      yield text;
+      yield { __usage: { inputTokens: 1, outputTokens: 1 } };
+    },
+    async chatWithTools(messages, tools) {
+      calls.push({ messages, tools });
+      return { type: 'text', content: await next(), usage: {} };
+    },
+    formatAssistantToolCall: (response) => ({ role: 'assistant', from: name, response }),
+    formatToolResult: (id, content) => ({ role: 'tool', from: name, tool_call_id: id, content }),
+    async ping() { return { ok: true, model }; },
+  };
+}
+
+async function collect(llm, messages = [{ role: 'user', content: 'hi' }]) {
+  let text = '';
+  for await (const chunk of llm.chat(messages)) {
+    if (typeof chunk === 'string') text += chunk;
+  }
+  return text;
+}
+
+const rateLimited = () => new Error('Anthropic API error (429): rate limited');
+const badRequest = () => new Error('Anthropic API error (400): invalid model');
+
+beforeEach(() => resetCircuits());
+
+describe('FallbackProvider', () => {
+  it('falls back to the next provider and reports who answered', async () => {
+    const primary = fakeProvider('anthropic', 'claude', badRequest());
+    const backup = fakeProvider('bedrock', 'claude-br', 'from bedrock');
+    const llm = new FallbackProvider([{ provider: primary }, { provider: backup }], { retryDelayMs: 0 });
+
+    assert.equal(llm.name, 'anthropic');
+    assert.equal(await collect(llm), 'from bedrock');
+    assert.equal(llm.name, 'bedrock');
+    assert.equal(llm.model, 'claude-br');
+    // Not retryable: one attempt only
+    assert.equal(primary.calls.length, 1);
+    assert.deepEqual(llm.lastCall.failures, [{ provider: 'anthropic', model: 'claude', error: 'Anthropic API error (400): invalid model' }]);
+  });
+
+  it('retries transient errors on the same provider with backoff', async () => {
+    const primary = fakeProvider('anthropic', 'claude', rateLimited(), 'second try');
+    const backup = fakeProvider('ollama', 'llama', 'from ollama');
+    const llm = new FallbackProvider([{ provider: primary }, { provider: backup }], { retries: 2, retryDelayMs: 0 });
+
+    assert.equal(await collect(llm), 'second try');
+    assert.equal(primary.calls.length, 2);
+    assert.equal(backup.calls.length, 0);
+    assert.equal(llm.lastCall.failures.length, 1);
+  });
+
+  it('times out slow providers', async () => {
+    const primary = fakeProvider('anthropic', 'claude', 'hang');
+    const backup = fakeProvider('ollama', 'llama', 'from ollama');
+    const llm = new FallbackProvider([{ provider: primary, timeoutMs: 20, retries: 0 }, { provider: backup }]);
+
+    assert.equal(await collect(llm), 'from ollama');
+    assert.match(llm.lastCall.failures[0].error, /timed out after 20ms/);
+  });
+
+  it('opens the circuit after repeated failures and skips the provider', async () => {
+    const primary = fakeProvider('anthropic', 'claude', badRequest());
+    const backup = fakeProvider('ollama', 'llama', 'ok');
+    const make = () => new FallbackProvider([{ provider: primary }, { provider: backup }], { retryDelayMs: 0, failureThreshold: 2 });
+
+    await collect(make());
+    await collect(make());
+    assert.equal(primary.calls.length, 2);
+
+    // Circuit state is shared: a new chain skips the primary
+    const llm = make();
+    await collect(llm);
+    assert.equal(primary.calls.length, 2);
+    assert.deepEqual(llm.lastCall.failures, []);
+  });
+
+  it('does not restart an answer that fails mid-stream', async () => {
+    const primary = {
+      ...fakeProvider('anthropic', 'claude'),
+      async *chat() {
+        yield 'partial';
+        throw new Error('socket hang up');
+      },
+    };
+    const backup = fakeProvider('ollama', 'llama', 'from ollama');
+    const llm = new FallbackProvider([{ provider: primary }, { provider: backup }], { retryDelayMs: 0 });
+
+    await assert.rejects(collect(llm), /socket hang up/);
+    assert.equal(backup.calls.length, 0);
+  });
+
+  it('throws every failure when the whole chain fails', async () => {
+    const llm = new FallbackProvider([
+      { provider: fakeProvider('anthropic', 'claude', badRequest()) },
+      { provider: fakeProvider('ollama', 'llama', new Error('fetch failed')) },
+    ], { retries: 0 });
+    await assert.rejects(collect(llm), (err) => {
+      assert.match(err.message, /All LLM providers failed/);
+      assert.equal(err.failures.length, 2);
+      return true;
+    });
+  });
+
+  it('converts tools per provider and keeps tool turns with the provider that made them', async () => {
+    const primary = fakeProvider('anthropic', 'claude', rateLimited());
+    const backup = fakeProvider('openai', 'gpt-4o', 'done');
+    const llm = new FallbackProvider([{ provider: primary }, { provider: backup }], { retries: 0 });
+    const tools = [{ name: 'vai_query', description: 'Search', input_schema: { type: 'object' } }];
+
+    const response = await llm.chatWithTools([{ role: 'user', content: 'hi' }], tools);
+    assert.equal(response.content, 'done');
+    assert.deepEqual(primary.calls[0].tools, tools);
+    assert.deepEqual(backup.calls[0].tools, [{ type: 'function', function: { name: 'vai_query', description: 'Search', parameters: { type: 'object' } } }]);
+    assert.equal(llm.formatToolResult('c1', 'x').from, 'openai');
+  });
+
+  it('only falls back to providers that speak the conversation\'s tool format', async () => {
+    const primary = fakeProvider('openai', 'gpt-4o', rateLimited());
+    const other = fakeProvider('anthropic', 'claude', 'wrong format');
+    const llm = new FallbackProvider([{ provider: primary }, { provider: other }], { retries: 0 });
+    const messages = [
+      { role: 'user', content: 'hi' },
+      { role: 'assistant', content: null, tool_calls: [{ id: 'c1', type: 'function', function: { name: 'vai_query', arguments: '{}' } }] },
+      { role: 'tool', tool_call_id: 'c1', content: '[]' },
+    ];
+    await assert.rejects(llm.chatWithTools(messages, []), /All LLM providers failed/);
+    assert.equal(other.calls.length, 0);
+  });
+
+  it('asks only providers with a native JSON mode for structured replies', async () => {
+    const compatible = {
+      ...fakeProvider('openai-compatible', 'qwen2.5'),
+      supportsNativeJSON: false,
+      generateJSON: async () => { throw new Error('should not be called'); },
+    };
+    const openai = {
+      ...fakeProvider('openai', 'gpt-4o'),
+      supportsNativeJSON: true,
+      generateJSON: async () => ({ text: '{}', usage: {} }),
+    };
+    const llm = new FallbackProvider([{ provider: compatible }, { provider: openai }]);
+
+    assert.equal(llm.supportsNativeJSON, true);
+    assert.deepEqual(await llm.generateJSON([{ role: 'user', content: 'hi' }], { type: 'object' }), { text: '{}', usage: {} });
+    assert.equal(new FallbackProvider([{ provider: compatible }]).supportsNativeJSON, false);
+  });
+});
+
+describe('isRetryableError', () => {
+  it('retries rate limits, server errors and network failures', () => {
+    assert.equal(isRetryableError(rateLimited()), true);
+    assert.equal(isRetryableError(new Error('OpenAI API error (503): unavailable')), true);
+    assert.equal(isRetryableError(new Error('fetch failed')), true);
+    assert.equal(isRetryableError(badRequest()), false);
+    assert.equal(isRetryableError(new Error('Gemini API error (401): bad key')), false);
+  });
+});
+
+describe('convertTools', () => {
+  it('passes tools already in the target format through', () => {
+    const openai = [{ type: 'function', function: { name: 'a', parameters: {} } }];
+    assert.deepEqual(convertTools(openai, 'openai'), openai);
+    assert.deepEqual(convertTools(openai, 'gemini'), openai);
+    assert.deepEqual(convertTools(openai, 'anthropic'), [{ name: 'a', description: undefined, input_schema: {} }]);
+  });
+});
+
+describe('fallback configuration', () => {
+  let tmpDir;
+  let savedEnv;
+  const keys = ['VAI_CONFIG_PATH', 'VAI_LLM_PROVIDER', 'VAI_LLM_API_KEY', 'VAI_LLM_MODEL', 'VAI_LLM_BASE_URL',
+    'VAI_LLM_FALLBACK', 'VAI_LLM_RETRIES', 'VAI_LLM_TIMEOUT'];
+
+  beforeEach(() => {
+    savedEnv = Object.fromEntries(keys.map(k => [k, process.env[k]]));
+    for (const k of keys) delete process.env[k];
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vai-fallback-test-'));
+    process.env.VAI_CONFIG_PATH = path.join(tmpDir, 'config.json');
+  });
+
+  afterEach(() => {
+    for (const [k, v] of Object.entries(savedEnv)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('parses provider[:model] lists and JSON', () => {
+    assert.deepEqual(parseFallbackChain('bedrock, ollama:llama3.3:70b'), [
+      { provider: 'bedrock' },
+      { provider: 'ollama', model: 'llama3.3:70b' },
+    ]);
+    assert.deepEqual(parseFallbackChain('[{"provider": "openai", "model": "gpt-4o-mini", "retries": 0}]'), [
+      { provider: 'openai', model: 'gpt-4o-mini', retries: 0 },
+    ]);
+    assert.throws(() => parseFallbackChain('bedrock,mistral'), /Unknown LLM fallback provider: "mistral"/);
+  });
+
+  it('reads the chain and retry policy from env, and --no-llm-fallback disables it', () => {
+    process.env.VAI_LLM_FALLBACK = 'ollama';
+    process.env.VAI_LLM_RETRIES = '3';
+    assert.deepEqual(resolveFallbackConfig(), { chain: [{ provider: 'ollama' }], retries: 3, timeoutMs: null });
+    assert.deepEqual(resolveFallbackConfig({ llmFallback: false }).chain, []);
+    assert.throws(() => resolveFallbackConfig({ llmTimeout: 'soon' }), /non-negative integers/);
+  });
+
+  it('createLLMProvider wraps the chain, reusing credentials for the same provider', () => {
+    const llm = createLLMProvider({
+      llmProvider: 'anthropic',
+      llmApiKey: 'sk-ant-test',
+      llmFallback: 'anthropic:claude-3-5-haiku-20241022,ollama:llama3.3',
+    });
+    assert.ok(llm instanceof FallbackProvider);
+    assert.deepEqual(llm.entries.map(e => [e.provider.name, e.provider.model]), [
+      ['anthropic', 'claude-sonnet-4-5-20250929'],
+      ['anthropic', 'claude-3-5-haiku-20241022'],
+      ['ollama', 'llama3.3'],
+    ]);
+    assert.equal(llm.entries[1].provider.apiKey, 'sk-ant-test');
+    assert.equal(llm.entries[2].provider.baseUrl, 'http://localhost:11434');
+  });
+
+  it('returns the bare provider without a chain or policy', () => {
+    const llm = createLLMProvider({ llmProvider: 'ollama' });
+    assert.equal(llm instanceof FallbackProvider, false);
+  });
+
+  it('names the fallback entry that is misconfigured', () => {
+    assert.throws(
+      () => createLLMProvider({ llmProvider: 'ollama', llmFallback: 'openai' }),
+      /LLM fallback "openai": OpenAI API key required/,
+    );
+  });
+});
+
+describe('chatTurn fallback metadata', () => {
+  let tmpDir;
+  let originalStorePath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vai-fallback-chat-test-'));
+    originalStorePath = process.env.VAI_STORE_PATH;
+    process.env.VAI_STORE_PATH = tmpDir;
+  });
+
+  afterEach(() => {
+    if (originalStorePath === undefined) delete process.env.VAI_STORE_PATH;
+    else process.env.VAI_STORE_PATH = originalStorePath;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('records the provider that answered and the ones that failed', async () => {
+    const { createVectorStore } = require('../../src/lib/vector-store');
+    const { chatTurn } = require('../../src/lib/chat');
+    const { ChatHistory } = require('../../src/lib/history');
+
+    const store = createVectorStore({ db: 'kb', collection: 'docs', store: 'local' });
+    await store.insertMany([{ _id: 'c1', text: 'Refunds take 5 days.', embedding: [1, 0], metadata: { source: 'refunds.md' } }]);
+
+    const llm = new FallbackProvider([
+      { provider: fakeProvider('anthropic', 'claude', rateLimited()) },
+      { provider: fakeProvider('ollama', 'llama3.3', 'Refunds take 5 days [1].') },
+    ], { retries: 0 });
+    const history = new ChatHistory();
+    let done;
+    for await (const event of chatTurn({
+      query: 'refunds?', db: 'kb', collection: 'docs', llm, history,
+      opts: { embedFn: async () => ({ data: [{ embedding: [1, 0] }] }), store: 'local', rerank: false },
+    })) {
+      if (event.type === 'done') done = event.data;
+    }
+
+    assert.equal(done.metadata.llmProvider, 'ollama');
+    assert.equal(done.metadata.llmModel, 'llama3.3');
+    assert.deepEqual(done.metadata.llmFailures.map(f => f.provider), ['anthropic']);
+    assert.equal(history.turns[1].metadata.llmProvider, 'ollama');
+  });
+});
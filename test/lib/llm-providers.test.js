@@ -0,0 +1,248 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createLLMProvider, resolveLLMConfig, toGeminiSchema, toGeminiContents, collectChat } = require('../../src/lib/llm');
+
+// Local server standing in for Gemini and openai-compatible endpoints.
+// Records each request and replies from the `replies` queue; a queued
+// function is called with the request to pick the reply.
+let server;
+let serverUrl;
+const requests = [];
+const replies = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+      const next = replies.shift();
+      const reply = (typeof next === 'function' ? next(requests[requests.length - 1]) : next) || { status: 404, body: {} };
+      if (reply.sse) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.end(reply.sse.map(e => `data: ${JSON.stringify(e)}\n\n`).join(''));
+        return;
+      }
+      res.writeHead(reply.status || 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply.body));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  serverUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+function reset(...queued) {
+  requests.length = 0;
+  replies.length = 0;
+  replies.push(...queued);
+}
+
+describe('collectChat', () => {
+  it('joins text chunks and keeps the usage chunk', async () => {
+    async function* chunks() {
+      yield 'Hello, ';
+      yield 'world';
+      yield { __usage: { inputTokens: 3, outputTokens: 2 } };
+    }
+    assert.deepEqual(await collectChat(chunks()), { text: 'Hello, world', usage: { inputTokens: 3, outputTokens: 2 } });
+  });
+});
+
+describe('toGeminiSchema', () => {
+  it('keeps supported keys and drops optional free-form objects', () => {
+    const schema = toGeminiSchema({
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        query: { type: 'string', description: 'Search text', default: '' },
+        filter: { type: 'object', description: 'MongoDB filter' },
+        tags: { type: 'array', items: { type: 'string', examples: ['a'] } },
+      },
+      required: ['query', 'filter'],
+    });
+    assert.deepEqual(schema, {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Search text' },
+        filter: { type: 'object', description: 'MongoDB filter' },
+        tags: { type: 'array', items: { type: 'string' } },
+      },
+      required: ['query', 'filter'],
+    });
+
+    const optional = toGeminiSchema({ type: 'object', properties: { filter: { type: 'object' } } });
+    assert.deepEqual(optional, { type: 'object', properties: {} });
+  });
+});
+
+describe('toGeminiContents', () => {
+  it('moves system prompts out, maps roles and merges consecutive turns', () => {
+    const { systemInstruction, contents } = toGeminiContents([
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Hi' },
+      { role: 'user', content: 'Anyone there?' },
+      { role: 'assistant', content: 'Hello!' },
+    ]);
+    assert.deepEqual(systemInstruction, { parts: [{ text: 'Be brief.' }] });
+    assert.deepEqual(contents, [
+      { role: 'user', parts: [{ text: 'Hi' }, { text: 'Anyone there?' }] },
+      { role: 'model', parts: [{ text: 'Hello!' }] },
+    ]);
+  });
+
+  it('turns tool results into named function responses', () => {
+    const provider = createLLMProvider({ llmProvider: 'gemini', llmApiKey: 'test-key' });
+    const { contents } = toGeminiContents([
+      { role: 'user', content: 'Search for auth' },
+      provider.formatAssistantToolCall({ calls: [{ id: 'c1', name: 'vai_query', arguments: { query: 'auth' } }] }),
+      provider.formatToolResult('c1', '{"results":[]}'),
+      provider.formatToolResult('c2', 'boom', true),
+    ]);
+    assert.deepEqual(contents[1], {
+      role: 'model',
+      parts: [{ functionCall: { id: 'c1', name: 'vai_query', args: { query: 'auth' } } }],
+    });
+    assert.deepEqual(contents[2].parts, [
+      { functionResponse: { id: 'c1', name: 'vai_query', response: { content: '{"results":[]}' } } },
+      { functionResponse: { id: 'c2', name: 'c2', response: { error: 'boom' } } },
+    ]);
+  });
+});
+
+describe('GeminiProvider', () => {
+  function gemini() {
+    return createLLMProvider({ llmProvider: 'gemini', llmApiKey: 'g-key', llmBaseUrl: serverUrl, llmModel: 'gemini-2.5-flash' });
+  }
+
+  it('requires an API key', () => {
+    assert.throws(() => createLLMProvider({ llmProvider: 'gemini', llmApiKey: '' }), /Gemini API key required/);
+  });
+
+  it('streams text and reports usage', async () => {
+    reset({
+      sse: [
+        { candidates: [{ content: { parts: [{ text: 'Hello' }] } }] },
+        { candidates: [{ content: { parts: [{ text: ' world' }] } }], usageMetadata: { promptTokenCount: 7, candidatesTokenCount: 2 } },
+      ],
+    });
+    const chunks = [];
+    for await (const chunk of gemini().chat([{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hi' }])) {
+      chunks.push(chunk);
+    }
+    assert.deepEqual(chunks, ['Hello', ' world', { __usage: { inputTokens: 7, outputTokens: 2 } }]);
+
+    const req = requests[0];
+    assert.equal(req.url, '/v1beta/models/gemini-2.5-flash:streamGenerateContent?alt=sse');
+    assert.equal(req.headers['x-goog-api-key'], 'g-key');
+    assert.deepEqual(req.body.systemInstruction, { parts: [{ text: 'Be brief.' }] });
+    assert.equal(req.body.generationConfig.maxOutputTokens, 4096);
+  });
+
+  it('returns function calls with generated ids', async () => {
+    reset({
+      body: {
+        candidates: [{
+          content: { parts: [{ functionCall: { name: 'vai_query', args: { query: 'auth' } } }] },
+          finishReason: 'STOP',
+        }],
+        usageMetadata: { promptTokenCount: 20, candidatesTokenCount: 5 },
+      },
+    });
+    const tools = [{ type: 'function', function: { name: 'vai_query', description: 'Search', parameters: { type: 'object', properties: { query: { type: 'string' } } } } }];
+    const response = await gemini().chatWithTools([{ role: 'user', content: 'auth?' }], tools);
+
+    assert.equal(response.type, 'tool_calls');
+    assert.equal(response.calls[0].name, 'vai_query');
+    assert.deepEqual(response.calls[0].arguments, { query: 'auth' });
+    assert.ok(response.calls[0].id);
+    assert.equal(response._raw[0].functionCall.id, response.calls[0].id);
+    assert.deepEqual(response.usage, { inputTokens: 20, outputTokens: 5 });
+    assert.deepEqual(requests[0].body.tools[0].functionDeclarations[0], {
+      name: 'vai_query',
+      description: 'Search',
+      parameters: { type: 'object', properties: { query: { type: 'string' } } },
+    });
+  });
+
+  it('surfaces API errors', async () => {
+    reset({ status: 400, body: { error: { message: 'bad request' } } });
+    await assert.rejects(gemini().chatWithTools([{ role: 'user', content: 'x' }], []), /Gemini API error \(400\)/);
+  });
+});
+
+describe('OpenAICompatibleProvider', () => {
+  it('requires a base URL and a model', () => {
+    assert.throws(() => createLLMProvider({ llmProvider: 'openai-compatible', llmModel: 'm' }), /Base URL required/);
+    assert.throws(() => createLLMProvider({ llmProvider: 'openai-compatible', llmBaseUrl: serverUrl }), /Model required/);
+  });
+
+  it('builds deployment-style URLs and custom auth headers', () => {
+    const provider = createLLMProvider({
+      llmProvider: 'openai-compatible',
+      llmBaseUrl: 'https://res.openai.azure.com/openai/deployments/{model}?api-version=2024-10-21',
+      llmModel: 'gpt-4o-prod',
+      llmApiKey: 'azure-key',
+      llmApiKeyHeader: 'api-key',
+      llmHeaders: '{"X-Team": "search"}',
+    });
+    assert.equal(provider._url('chat/completions'), 'https://res.openai.azure.com/openai/deployments/gpt-4o-prod/chat/completions?api-version=2024-10-21');
+    assert.deepEqual(provider._headers(), { 'Content-Type': 'application/json', 'api-key': 'azure-key', 'X-Team': 'search' });
+  });
+
+  it('talks to local servers without a key', async () => {
+    reset({
+      body: {
+        choices: [{ message: { content: 'Hi there' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 3, completion_tokens: 2 },
+      },
+    });
+    const provider = createLLMProvider({ llmProvider: 'openai-compatible', llmBaseUrl: `${serverUrl}/v1`, llmModel: 'qwen2.5' });
+    const chunks = [];
+    for await (const chunk of provider.chat([{ role: 'user', content: 'Hi' }], { stream: false })) chunks.push(chunk);
+
+    assert.equal(chunks[0], 'Hi there');
+    assert.equal(requests[0].url, '/v1/chat/completions');
+    assert.equal(requests[0].headers.authorization, undefined);
+    assert.equal(requests[0].body.model, 'qwen2.5');
+  });
+
+  it('asks for structured output in the prompt, not with response_format', async () => {
+    const { generateStructured } = require('../../src/lib/structured-output');
+    reset(req => (req.body.response_format
+      ? { status: 400, body: { error: { message: 'response_format is not supported' } } }
+      : { body: { choices: [{ message: { content: '{"ok":true}' } }], usage: { prompt_tokens: 4, completion_tokens: 3 } } }));
+    const provider = createLLMProvider({ llmProvider: 'openai-compatible', llmBaseUrl: `${serverUrl}/v1`, llmModel: 'qwen2.5' });
+    const schema = { type: 'object', properties: { ok: { type: 'boolean' } }, required: ['ok'] };
+    const result = await generateStructured({ llm: provider, messages: [{ role: 'user', content: 'ok?' }], schema });
+
+    assert.equal(provider.supportsNativeJSON, false);
+    assert.deepEqual(result.data, { ok: true });
+    assert.equal(result.mode, 'prompt');
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].body.response_format, undefined);
+    assert.match(requests[0].body.messages[0].content, /JSON Schema/);
+  });
+
+  it('lists served models', async () => {
+    const { listModels } = require('../../src/lib/llm');
+    reset({ body: { data: [{ id: 'qwen2.5' }, { id: 'llama3.1' }] } });
+    const models = await listModels('openai-compatible', { baseUrl: `${serverUrl}/v1/chat/completions`, apiKey: 'k-123' });
+    assert.deepEqual(models.map(m => m.id), ['qwen2.5', 'llama3.1']);
+    assert.equal(requests[0].url, '/v1/models');
+    assert.equal(requests[0].headers.authorization, 'Bearer k-123');
+  });
+});
+
+describe('resolveLLMConfig headers', () => {
+  it('rejects headers that are not a JSON object', () => {
+    assert.throws(() => resolveLLMConfig({ llmHeaders: '["x"]' }), /JSON object/);
+    assert.throws(() => resolveLLMConfig({ llmHeaders: 'X-Team: search' }), /JSON object/);
+  });
+});
@@ -27,11 +27,15 @@ describe('llm', () => {
       VAI_LLM_API_KEY: process.env.VAI_LLM_API_KEY,
       VAI_LLM_MODEL: process.env.VAI_LLM_MODEL,
       VAI_LLM_BASE_URL: process.env.VAI_LLM_BASE_URL,
+      VAI_LLM_API_KEY_HEADER: process.env.VAI_LLM_API_KEY_HEADER,
+      VAI_LLM_HEADERS: process.env.VAI_LLM_HEADERS,
     };
     delete process.env.VAI_LLM_PROVIDER;
     delete process.env.VAI_LLM_API_KEY;
     delete process.env.VAI_LLM_MODEL;
     delete process.env.VAI_LLM_BASE_URL;
+    delete process.env.VAI_LLM_API_KEY_HEADER;
+    delete process.env.VAI_LLM_HEADERS;
   });
 
   afterEach(() => {
@@ -95,6 +99,15 @@ describe('llm', () => {
       const config = resolveLLMConfig({ llmProvider: 'anthropic' });
       assert.equal(config.model, PROVIDER_DEFAULTS.anthropic);
     });
+
+    it('reads the API key header and extra headers from env', () => {
+      process.env.VAI_LLM_API_KEY_HEADER = 'api-key';
+      process.env.VAI_LLM_HEADERS = '{"X-Team": "search"}';
+      const config = resolveLLMConfig({ llmProvider: 'openai-compatible' });
+      assert.equal(config.apiKeyHeader, 'api-key');
+      assert.deepEqual(config.headers, { 'X-Team': 'search' });
+      assert.equal(config.baseUrl, null);
+    });
   });
 
   describe('PROVIDER_DEFAULTS', () => {
@@ -103,6 +116,7 @@ describe('llm', () => {
       assert.ok(PROVIDER_DEFAULTS.openai);
       assert.ok(PROVIDER_DEFAULTS.ollama);
       assert.ok(PROVIDER_DEFAULTS.bedrock);
+      assert.ok(PROVIDER_DEFAULTS.gemini);
     });
 
     it('bedrock default is a Claude model', () => {
@@ -115,6 +129,7 @@ describe('llm', () => {
       assert.ok(PROVIDER_BASE_URLS.anthropic.startsWith('https://'));
       assert.ok(PROVIDER_BASE_URLS.openai.startsWith('https://'));
       assert.ok(PROVIDER_BASE_URLS.ollama.startsWith('http://'));
+      assert.ok(PROVIDER_BASE_URLS.gemini.startsWith('https://'));
     });
   });
 
@@ -135,6 +150,11 @@ describe('llm', () => {
       assert.ok(PROVIDER_MODELS.bedrock.every(m => m.id && m.name && m.context));
       assert.ok(PROVIDER_MODELS.bedrock.some(m => m.id.startsWith('us.anthropic.claude')));
     });
+
+    it('has curated models for gemini', () => {
+      assert.ok(PROVIDER_MODELS.gemini.some(m => m.id === PROVIDER_DEFAULTS.gemini));
+      assert.ok(PROVIDER_MODELS.gemini.every(m => m.id && m.name && m.context));
+    });
   });
 
   describe('listModels', () => {
@@ -165,6 +185,11 @@ describe('llm', () => {
       const models = await listModels('ollama', { baseUrl: 'http://localhost:1', timeoutMs: 500 });
       assert.deepEqual(models, []);
     });
+
+    it('returns empty array for openai-compatible without a server', async () => {
+      assert.deepEqual(await listModels('openai-compatible'), []);
+      assert.deepEqual(await listModels('openai-compatible', { baseUrl: 'http://localhost:1/v1', timeoutMs: 500 }), []);
+    });
   });
 
   describe('vai explain chat', () => {
@@ -0,0 +1,97 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractMemories, rememberSession, formatMemories } = require('../../src/lib/long-term-memory.js');
+const { MemoryManager } = require('../../src/lib/memory-strategy.js');
+
+// LLM whose structured replies come from a queue
+function mockLLM(...replies) {
+  const calls = [];
+  return {
+    calls,
+    supportsNativeJSON: true,
+    async generateJSON(messages) {
+      calls.push(messages);
+      return { text: JSON.stringify(replies.shift()), usage: { inputTokens: 10, outputTokens: 5 } };
+    },
+  };
+}
+
+const turns = [
+  { role: 'user', content: 'I am building Falcon, a search app in TypeScript.' },
+  { role: 'assistant', content: 'Nice! How can I help?' },
+];
+
+describe('extractMemories', () => {
+  it('sends the transcript and known facts, and returns the facts', async () => {
+    const llm = mockLLM({ memories: [{ text: 'The user is building Falcon.', kind: 'project' }] });
+    const memories = await extractMemories({ turns, llm, known: ['The user prefers TypeScript.'] });
+
+    assert.deepEqual(memories, [{ text: 'The user is building Falcon.', kind: 'project' }]);
+    const prompt = llm.calls[0][1].content;
+    assert.match(prompt, /- The user prefers TypeScript\./);
+    assert.match(prompt, /User: I am building Falcon/);
+  });
+
+  it('rejects replies that do not match the schema after repairs', async () => {
+    const bad = { memories: [{ text: 'x', kind: 'gossip' }] };
+    const llm = mockLLM(bad, bad, bad);
+    await assert.rejects(extractMemories({ turns, llm }), /did not match outputSchema/);
+  });
+});
+
+describe('rememberSession', () => {
+  it('stores extracted memories with provenance and expiry', async () => {
+    const stored = [];
+    const store = {
+      list: async () => [],
+      remember: async (m) => { stored.push(m); return { memory: { _id: String(stored.length), ...m }, created: stored.length === 1 }; },
+    };
+    const llm = mockLLM({ memories: [
+      { text: 'The user ships Falcon on Friday.', kind: 'decision', expiresInDays: 7 },
+      { text: 'The user prefers TypeScript.', kind: 'preference' },
+    ] });
+
+    const saved = await rememberSession({ turns, llm, store, sessionId: 's1' });
+    assert.equal(saved.length, 1);
+    assert.equal(stored[0].source, 'extracted');
+    assert.equal(stored[0].sessionId, 's1');
+    assert.ok(stored[0].expiresAt > new Date(Date.now() + 6 * 86400000));
+    assert.equal(stored[1].expiresAt, null);
+  });
+
+  it('skips sessions without user messages', async () => {
+    const llm = mockLLM();
+    assert.deepEqual(await rememberSession({ turns: [], llm, store: {} }), []);
+    assert.equal(llm.calls.length, 0);
+  });
+});
+
+describe('formatMemories', () => {
+  it('returns null for no memories', () => {
+    assert.equal(formatMemories([]), null);
+  });
+
+  it('lists memories in a system message', () => {
+    const msg = formatMemories([{ text: 'The user prefers Go.', kind: 'preference' }]);
+    assert.equal(msg.role, 'system');
+    assert.match(msg.content, /- The user prefers Go\./);
+  });
+});
+
+describe('MemoryManager.recallMemories', () => {
+  it('recalls from the memory store', async () => {
+    const mm = new MemoryManager();
+    assert.equal(await mm.recallMemories('hi'), null);
+
+    mm.setMemoryStore({ recall: async (q) => [{ text: `Remembered for ${q}`, kind: 'fact' }] });
+    const msg = await mm.recallMemories('hi');
+    assert.match(msg.content, /Remembered for hi/);
+  });
+
+  it('returns null when recall fails', async () => {
+    const mm = new MemoryManager({ memories: { recall: async () => { throw new Error('down'); } } });
+    assert.equal(await mm.recallMemories('hi'), null);
+  });
+});
@@ -0,0 +1,194 @@
+'use strict';
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore, normalizeMemoryText } = require('../../src/lib/memory-store.js');
+
+// ── Mock helpers ────────────────────────────────────────────────────────
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, cond]) => {
+    if (key === '$or') return cond.some(f => matches(doc, f));
+    const value = doc[key];
+    if (cond && cond.$regex) return new RegExp(cond.$regex).test(value);
+    if (cond && cond.$in) return cond.$in.includes(value);
+    if (cond && cond.$gt) return value > cond.$gt;
+    if (cond === null) return value === null || value === undefined;
+    return value === cond;
+  });
+}
+
+function cursor(docs) {
+  const c = {
+    sort: () => c,
+    limit: (n) => cursor(docs.slice(0, n)),
+    toArray: async () => docs.map(({ embedding, ...rest }) => rest),
+  };
+  return c;
+}
+
+function mockCollection(docs = []) {
+  return {
+    docs,
+    findOne: mock.fn(async (filter) => docs.find(d => matches(d, filter)) || null),
+    find: mock.fn((filter) => cursor(docs.filter(d => matches(d, filter)))),
+    insertOne: mock.fn(async (doc) => { docs.push(doc); }),
+    updateOne: mock.fn(async (filter, update) => {
+      const doc = docs.find(d => matches(d, filter));
+      if (doc) Object.assign(doc, update.$set);
+    }),
+    deleteOne: mock.fn(async (filter) => {
+      const idx = docs.findIndex(d => matches(d, filter));
+      if (idx >= 0) docs.splice(idx, 1);
+    }),
+    deleteMany: mock.fn(async (filter) => {
+      for (let i = docs.length - 1; i >= 0; i--) if (matches(docs[i], filter)) docs.splice(i, 1);
+    }),
+    aggregate: mock.fn(() => ({
+      toArray: async () => docs.map((d, i) => ({ ...d, score: 0.9 - i * 0.4 })),
+    })),
+    listSearchIndexes: mock.fn(() => ({ toArray: async () => [] })),
+    createSearchIndex: mock.fn(async () => 'vector_index'),
+    createIndex: mock.fn(async () => 'index_created'),
+  };
+}
+
+function connectedStore(col, opts = {}) {
+  const embedFn = mock.fn(async (texts) => ({ data: texts.map(() => ({ embedding: [0.1, 0.2, 0.3] })) }));
+  const store = new MemoryStore({ db: 'testdb', embedFn, ...opts });
+  store._col = col;
+  store._client = { close: async () => {} };
+  store._connected = true;
+  return { store, embedFn };
+}
+
+// ── Tests ───────────────────────────────────────────────────────────────
+
+describe('normalizeMemoryText', () => {
+  it('ignores case and whitespace', () => {
+    assert.equal(normalizeMemoryText('  The user  prefers\nTypeScript '), 'the user prefers typescript');
+  });
+});
+
+describe('MemoryStore', () => {
+  let col;
+  let store;
+  let embedFn;
+
+  beforeEach(() => {
+    col = mockCollection();
+    ({ store, embedFn } = connectedStore(col));
+  });
+
+  it('embeds and stores a new memory with provenance', async () => {
+    const expiresAt = new Date(Date.now() + 86400000);
+    const result = await store.remember({
+      text: 'The user deploys to Atlas M10.', kind: 'project', source: 'extracted', sessionId: 's1', expiresAt,
+    });
+
+    assert.equal(result.created, true);
+    assert.equal(result.memory.embedding, undefined);
+    assert.equal(embedFn.mock.calls[0].arguments[1].inputType, 'document');
+    const [doc] = col.docs;
+    assert.equal(doc.kind, 'project');
+    assert.equal(doc.source, 'extracted');
+    assert.equal(doc.sessionId, 's1');
+    assert.equal(doc.expiresAt, expiresAt);
+    assert.deepEqual(doc.embedding, [0.1, 0.2, 0.3]);
+    assert.equal(col.createSearchIndex.mock.callCount(), 1);
+  });
+
+  it('refreshes a duplicate instead of adding a copy', async () => {
+    await store.remember({ text: 'The user prefers Python.' });
+    const again = await store.remember({ text: 'the user prefers  python.' });
+
+    assert.equal(again.created, false);
+    assert.equal(col.docs.length, 1);
+    assert.equal(embedFn.mock.callCount(), 1);
+  });
+
+  it('keeps a manual memory permanent when extraction finds it again', async () => {
+    await store.remember({ text: 'The user deploys to Atlas M10.' });
+    const expiresAt = new Date(Date.now() + 30 * 86400000);
+    const again = await store.remember({ text: 'The user deploys to Atlas M10.', source: 'extracted', sessionId: 's2', expiresAt });
+
+    assert.equal(again.created, false);
+    assert.equal(col.docs[0].expiresAt, null);
+    assert.equal(col.docs[0].source, 'manual');
+  });
+
+  it('keeps the later expiry of a duplicate', async () => {
+    const soon = new Date(Date.now() + 86400000);
+    const later = new Date(Date.now() + 30 * 86400000);
+    await store.remember({ text: 'The user is on call this week.', source: 'extracted', expiresAt: later });
+    await store.remember({ text: 'The user is on call this week.', source: 'extracted', expiresAt: soon });
+    assert.equal(col.docs[0].expiresAt, later);
+
+    await store.remember({ text: 'The user is on call this week.' });
+    assert.equal(col.docs[0].expiresAt, null);
+    assert.equal(col.docs[0].source, 'manual');
+  });
+
+  it('falls back to kind "fact" for unknown kinds', async () => {
+    await store.remember({ text: 'The user likes tea.', kind: 'hobby' });
+    assert.equal(col.docs[0].kind, 'fact');
+  });
+
+  it('returns null when embedding fails', async () => {
+    ({ store } = connectedStore(col, { embedFn: async () => { throw new Error('no key'); } }));
+    assert.equal(await store.remember({ text: 'x' }), null);
+  });
+
+  it('lists memories that have not expired', async () => {
+    col.docs.push(
+      { _id: 'a1', text: 'kept', expiresAt: null },
+      { _id: 'b2', text: 'stale', expiresAt: new Date(Date.now() - 1000) },
+    );
+    const memories = await store.list();
+    assert.deepEqual(memories.map(m => m.text), ['kept']);
+  });
+
+  it('deletes by ID prefix and rejects ambiguous prefixes', async () => {
+    col.docs.push({ _id: 'abc-1', text: 'one' }, { _id: 'abd-2', text: 'two' });
+
+    await assert.rejects(store.delete('ab'), /ambiguous/);
+    const deleted = await store.delete('abd');
+    assert.equal(deleted.text, 'two');
+    assert.equal(await store.delete('zzz'), null);
+    assert.deepEqual(col.docs.map(d => d._id), ['abc-1']);
+  });
+
+  it('forgets memories containing a phrase', async () => {
+    col.docs.push(
+      { _id: '1', text: 'The user works on Project Falcon.', normalized: 'the user works on project falcon.' },
+      { _id: '2', text: 'The user prefers Go.', normalized: 'the user prefers go.' },
+    );
+    const forgotten = await store.forget('project  FALCON');
+    assert.deepEqual(forgotten.map(m => m._id), ['1']);
+    assert.deepEqual(col.docs.map(d => d._id), ['2']);
+  });
+
+  it('recalls memories above the score threshold with a query embedding', async () => {
+    col.docs.push(
+      { _id: '1', text: 'relevant', kind: 'fact', expiresAt: null },
+      { _id: '2', text: 'unrelated', kind: 'fact', expiresAt: null },
+    );
+    const results = await store.recall('what do I use?');
+
+    assert.deepEqual(results.map(r => r.text), ['relevant']);
+    assert.equal(embedFn.mock.calls[0].arguments[1].inputType, 'query');
+    const [search] = col.aggregate.mock.calls[0].arguments[0];
+    assert.equal(search.$vectorSearch.limit, 5);
+  });
+
+  it('recall returns an empty array on failure', async () => {
+    col.aggregate = () => { throw new Error('no index'); };
+    assert.deepEqual(await store.recall('anything'), []);
+  });
+
+  it('list throws when MongoDB is unavailable', async () => {
+    const offline = new MemoryStore({ db: 'testdb' });
+    offline._connect = async () => false;
+    await assert.rejects(offline.list(), /MongoDB unavailable/);
+  });
+});
@@ -0,0 +1,198 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  DEFAULT_PARENT_BUDGET,
+  defaultParentCollection,
+  resolveParentConfig,
+  expandToParents,
+} = require('../../src/lib/parents');
+const { createVectorStore } = require('../../src/lib/vector-store');
+
+function fakeStore(docs) {
+  return {
+    queries: [],
+    async find(filter) {
+      this.queries.push(filter);
+      const ids = filter._id.$in.map(String);
+      return docs.filter(d => ids.includes(String(d._id)));
+    },
+  };
+}
+
+describe('resolveParentConfig', () => {
+  it('is off by default and names the companion collection', () => {
+    const conf = resolveParentConfig({}, {}, 'docs');
+    assert.deepEqual(conf, { enabled: false, collection: 'docs_parents', budget: DEFAULT_PARENT_BUDGET });
+    assert.equal(defaultParentCollection('kb'), 'kb_parents');
+  });
+
+  it('turns on when the project stores parents, unless overridden', () => {
+    const proj = { mode: 'section', collection: 'sections', budget: 1500 };
+    assert.deepEqual(resolveParentConfig({}, proj, 'docs'), { enabled: true, collection: 'sections', budget: 1500 });
+    assert.equal(resolveParentConfig({ parents: false }, proj, 'docs').enabled, false);
+    assert.equal(resolveParentConfig({ parentBudget: 800 }, proj, 'docs').budget, 800);
+  });
+
+  it('rejects a non-positive budget', () => {
+    assert.throws(() => resolveParentConfig({ parents: true, parentBudget: -1 }, {}, 'docs'), /positive/);
+  });
+});
+
+describe('expandToParents', () => {
+  const parents = [
+    { _id: 'p1', text: 'Parent one. '.repeat(10), metadata: { source: 'a.md' } },
+    { _id: 'p2', text: 'Parent two.', metadata: { source: 'b.md' } },
+  ];
+
+  it('deduplicates children into parents in rank order', async () => {
+    const store = fakeStore(parents);
+    const { parents: out, tokens } = await expandToParents(store, [
+      { _id: 'c1', parentId: 'p2', text: 'two', score: 0.9 },
+      { _id: 'c2', parentId: 'p1', text: 'one', score: 0.8 },
+      { _id: 'c3', parentId: 'p2', text: 'two again', score: 0.7 },
+    ]);
+    assert.deepEqual(out.map(p => p.doc._id), ['p2', 'p1']);
+    assert.deepEqual(out[0].children.map(c => c._id), ['c1', 'c3']);
+    assert.equal(tokens, Math.ceil(parents[1].text.length / 4) + Math.ceil(parents[0].text.length / 4));
+    assert.equal(store.queries.length, 1);
+  });
+
+  it('keeps children without a stored parent as they are', async () => {
+    const { parents: out } = await expandToParents(fakeStore(parents), [
+      { _id: 'c1', text: 'legacy chunk' },
+      { _id: 'c2', parentId: 'gone', text: 'orphan chunk' },
+    ]);
+    assert.deepEqual(out.map(p => p.doc.text), ['legacy chunk', 'orphan chunk']);
+  });
+
+  it('stops at the limit', async () => {
+    const { parents: out } = await expandToParents(fakeStore(parents), [
+      { _id: 'c1', parentId: 'p1' },
+      { _id: 'c2', parentId: 'p2' },
+    ], { limit: 1 });
+    assert.equal(out.length, 1);
+  });
+
+  it('skips parents over budget and truncates only the first', async () => {
+    const { parents: out } = await expandToParents(fakeStore(parents), [
+      { _id: 'c1', parentId: 'p2' },
+      { _id: 'c2', parentId: 'p1' },
+    ], { budget: 10 });
+    assert.deepEqual(out.map(p => p.doc._id), ['p2']);
+
+    const { parents: first, tokens } = await expandToParents(fakeStore(parents), [{ _id: 'c2', parentId: 'p1' }], { budget: 5 });
+    assert.equal(first[0].truncated, true);
+    assert.equal(first[0].doc.text.length, 20);
+    assert.equal(tokens, 5);
+  });
+});
+
+describe('retrieve with parents', () => {
+  let tmpDir;
+  let originalStorePath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vai-parents-test-'));
+    originalStorePath = process.env.VAI_STORE_PATH;
+    process.env.VAI_STORE_PATH = tmpDir;
+  });
+
+  afterEach(() => {
+    if (originalStorePath === undefined) delete process.env.VAI_STORE_PATH;
+    else process.env.VAI_STORE_PATH = originalStorePath;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('searches chunks and hands back their parents', async () => {
+    const chunks = createVectorStore({ db: 'kb', collection: 'docs', store: 'local' });
+    await chunks.insertMany([
+      { _id: 'c1', text: 'Refunds take 5 days.', embedding: [1, 0], parentId: 'p1', metadata: { source: 'policy.md' } },
+      { _id: 'c2', text: 'Refunds need a receipt.', embedding: [0.9, 0.1], parentId: 'p1', metadata: { source: 'policy.md' } },
+      { _id: 'c3', text: 'Shipping is free.', embedding: [0, 1], parentId: 'p2', metadata: { source: 'shipping.md' } },
+    ]);
+    const parentStore = createVectorStore({ db: 'kb', collection: 'docs_parents', store: 'local' });
+    await parentStore.insertMany([
+      { _id: 'p1', text: 'Refunds\n\nRefunds take 5 days. Refunds need a receipt.', metadata: { source: 'policy.md', heading: 'Refunds' } },
+      { _id: 'p2', text: 'Shipping\n\nShipping is free.', metadata: { source: 'shipping.md' } },
+    ]);
+
+    const { retrieve } = require('../../src/lib/chat');
+    const embedFn = async () => ({ data: [{ embedding: [1, 0] }], usage: { total_tokens: 1 } });
+    const { docs, client } = await retrieve({
+      query: 'how long do refunds take',
+      db: 'kb',
+      collection: 'docs',
+      opts: { embedFn, store: 'local', rerank: false, parents: true, maxDocs: 2 },
+    });
+    await client.close();
+
+    assert.equal(docs.length, 2);
+    assert.equal(docs[0].text, 'Refunds\n\nRefunds take 5 days. Refunds need a receipt.');
+    assert.equal(docs[0].source, 'Refunds');
+    assert.equal(docs[0].chunks, 2);
+    assert.equal(docs[1].metadata.source, 'shipping.md');
+  });
+});
+
+describe('workflow query with parents', () => {
+  const api = require('../../src/lib/api');
+  const project = require('../../src/lib/project');
+  const originals = { generateEmbeddings: api.generateEmbeddings, loadProject: project.loadProject };
+  let tmpDir;
+  let originalStorePath;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vai-parents-wf-test-'));
+    originalStorePath = process.env.VAI_STORE_PATH;
+    process.env.VAI_STORE_PATH = tmpDir;
+    api.generateEmbeddings = async () => ({ data: [{ embedding: [1, 0] }], model: 'test', usage: { total_tokens: 1 } });
+    project.loadProject = () => ({ config: { parents: { mode: 'section', collection: 'sections' } }, filePath: null });
+
+    // Four close chunks share p1; only the fifth belongs to p2
+    const chunks = createVectorStore({ db: 'kb', collection: 'docs', store: 'local' });
+    await chunks.insertMany([
+      ...[0, 1, 2, 3].map(i => ({ _id: `c${i}`, text: `Refunds ${i}`, embedding: [1, i / 100], parentId: 'p1' })),
+      { _id: 'c4', text: 'Shipping', embedding: [0.5, 0.5], parentId: 'p2' },
+    ]);
+    const sections = createVectorStore({ db: 'kb', collection: 'sections', store: 'local' });
+    await sections.insertMany([
+      { _id: 'p1', text: 'Refunds section' },
+      { _id: 'p2', text: 'Shipping section' },
+    ]);
+  });
+
+  afterEach(() => {
+    api.generateEmbeddings = originals.generateEmbeddings;
+    project.loadProject = originals.loadProject;
+    if (originalStorePath === undefined) delete process.env.VAI_STORE_PATH;
+    else process.env.VAI_STORE_PATH = originalStorePath;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const run = (inputs) => {
+    const { executeWorkflow } = require('../../src/lib/workflow');
+    return executeWorkflow({
+      name: 'parents',
+      steps: [{ id: 'q', tool: 'query', inputs: { query: 'refunds', db: 'kb', collection: 'docs', store: 'local', rerank: false, ...inputs } }],
+    });
+  };
+
+  it('uses the project parents settings and oversamples chunks to fill the limit', async () => {
+    const result = await run({ limit: 2 });
+    const { output } = result.steps.find(s => s.id === 'q');
+    assert.deepEqual(output.results.map(r => r.text), ['Refunds section', 'Shipping section']);
+    assert.equal(output.results[0].matchedChunks, 4);
+  });
+
+  it('returns chunks when the step sets parents: false', async () => {
+    const result = await run({ limit: 2, parents: false });
+    const { output } = result.steps.find(s => s.id === 'q');
+    assert.deepEqual(output.results.map(r => r._id), ['c0', 'c1']);
+  });
+});
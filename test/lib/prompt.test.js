@@ -19,21 +19,21 @@ describe('prompt', () => {
       const block = formatContextBlock(docs);
       assert.ok(block.includes('--- Context Documents ---'));
       assert.ok(block.includes('--- End Context ---'));
-      assert.ok(block.includes('[Source: docs/auth.md | Relevance: 0.94]'));
+      assert.ok(block.includes('[1] Source: docs/auth.md | Relevance: 0.94'));
       assert.ok(block.includes('JWT tokens are used.'));
-      assert.ok(block.includes('[Source: docs/api.md | Relevance: 0.87]'));
+      assert.ok(block.includes('[2] Source: docs/api.md | Relevance: 0.87'));
     });
 
     it('uses metadata.source as fallback', () => {
       const docs = [{ metadata: { source: 'fallback.md' }, text: 'hello', score: 0.5 }];
       const block = formatContextBlock(docs);
-      assert.ok(block.includes('[Source: fallback.md'));
+      assert.ok(block.includes('[1] Source: fallback.md'));
     });
 
     it('uses "unknown" when no source', () => {
       const docs = [{ text: 'hello', score: 0.5 }];
       const block = formatContextBlock(docs);
-      assert.ok(block.includes('[Source: unknown'));
+      assert.ok(block.includes('[1] Source: unknown'));
     });
   });
 
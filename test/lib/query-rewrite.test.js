@@ -0,0 +1,202 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseExpandMethods, rewriteQuery } = require('../../src/lib/query-rewrite');
+
+/** Fake LLM provider that replies with the given strings, one per call. */
+function fakeLLM(...replies) {
+  const calls = [];
+  return {
+    name: 'fake',
+    model: 'fake-1',
+    calls,
+    async *chat(messages) {
+      calls.push(messages);
+      yield replies[calls.length - 1];
+      yield { __usage: { inputTokens: 10, outputTokens: 2 } };
+    },
+  };
+}
+
+const history = [
+  { role: 'user', content: 'Which plans do you offer?' },
+  { role: 'assistant', content: '1. Basic\n2. Pro\n3. Enterprise' },
+];
+
+describe('parseExpandMethods', () => {
+  it('parses lists and treats true as multi', () => {
+    assert.deepEqual(parseExpandMethods('multi, HyDE'), ['multi', 'hyde']);
+    assert.deepEqual(parseExpandMethods(['hyde', 'hyde']), ['hyde']);
+    assert.deepEqual(parseExpandMethods(true), ['multi']);
+    assert.deepEqual(parseExpandMethods(undefined), []);
+  });
+
+  it('rejects unknown methods', () => {
+    assert.throws(() => parseExpandMethods('multi,step-back'), /Unknown query expansion "step-back"/);
+  });
+});
+
+describe('rewriteQuery', () => {
+  it('leaves first messages alone without calling the LLM', async () => {
+    const llm = fakeLLM();
+    const result = await rewriteQuery({ query: 'Which plans do you offer?', history: [], llm });
+    assert.equal(result.standalone, 'Which plans do you offer?');
+    assert.deepEqual(result.expansions, []);
+    assert.equal(llm.calls.length, 0);
+  });
+
+  it('condenses follow-ups using the conversation', async () => {
+    const llm = fakeLLM('"What does the Pro plan cost?"');
+    const result = await rewriteQuery({ query: 'what about the second one?', history, llm });
+    assert.equal(result.original, 'what about the second one?');
+    assert.equal(result.standalone, 'What does the Pro plan cost?');
+    assert.deepEqual(result.tokens, { llmInput: 10, llmOutput: 2 });
+    const prompt = llm.calls[0][1].content;
+    assert.ok(prompt.includes('Assistant: 1. Basic'));
+    assert.ok(prompt.endsWith('Latest message: what about the second one?'));
+  });
+
+  it('adds distinct multi queries and a HyDE passage embedded as a document', async () => {
+    const llm = fakeLLM(
+      '1. Pro plan pricing\n2. pro plan pricing\n- Cost of the Pro tier\n\n3. Pro subscription price\n4. Extra',
+      'The Pro plan costs $20 per month.',
+    );
+    const result = await rewriteQuery({ query: 'Pro plan price', llm, condense: false, expand: ['multi', 'hyde'], count: 3 });
+    assert.deepEqual(result.expansions, [
+      { method: 'multi', text: 'Pro plan pricing', inputType: 'query' },
+      { method: 'multi', text: 'Cost of the Pro tier', inputType: 'query' },
+      { method: 'multi', text: 'Pro subscription price', inputType: 'query' },
+      { method: 'hyde', text: 'The Pro plan costs $20 per month.', inputType: 'document' },
+    ]);
+    assert.ok(llm.calls[0][0].content.includes('write 3 different search queries'));
+    assert.deepEqual(result.tokens, { llmInput: 20, llmOutput: 4 });
+  });
+});
+
+describe('chatTurn query rewriting', () => {
+  let tmpDir;
+  let originalStorePath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vai-rewrite-test-'));
+    originalStorePath = process.env.VAI_STORE_PATH;
+    process.env.VAI_STORE_PATH = tmpDir;
+  });
+
+  afterEach(() => {
+    if (originalStorePath === undefined) delete process.env.VAI_STORE_PATH;
+    else process.env.VAI_STORE_PATH = originalStorePath;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function seedStore() {
+    const { createVectorStore } = require('../../src/lib/vector-store');
+    const store = createVectorStore({ db: 'kb', collection: 'docs', store: 'local' });
+    await store.insertMany([
+      { _id: 'basic', text: 'Basic is free.', embedding: [1, 0], metadata: { source: 'basic.md' } },
+      { _id: 'pro', text: 'Pro costs $20 per month.', embedding: [0, 1], metadata: { source: 'pro.md' } },
+    ]);
+  }
+
+  // Embeds texts mentioning "pro" near the pro doc, everything else near basic
+  function fakeEmbed(calls) {
+    return async (texts, opts) => {
+      calls.push({ texts, inputType: opts.inputType });
+      return { data: texts.map(t => ({ embedding: /pro/i.test(t) ? [0, 1] : [1, 0] })) };
+    };
+  }
+
+  async function runTurn({ query, llm, history, opts }) {
+    const { chatTurn } = require('../../src/lib/chat');
+    let retrieval;
+    let done;
+    for await (const event of chatTurn({ query, db: 'kb', collection: 'docs', llm, history, opts: { store: 'local', rerank: false, maxDocs: 1, ...opts } })) {
+      if (event.type === 'retrieval') retrieval = event.data;
+      if (event.type === 'done') done = event.data;
+    }
+    return { retrieval, done };
+  }
+
+  it('searches with the standalone rewrite of a follow-up', async () => {
+    const { ChatHistory } = require('../../src/lib/history');
+    await seedStore();
+    const chatHistory = new ChatHistory();
+    await chatHistory.addTurn({ role: 'user', content: 'Which plans do you offer?' });
+    await chatHistory.addTurn({ role: 'assistant', content: 'Basic and Pro.' });
+
+    const embeds = [];
+    const llm = fakeLLM('How much does the Pro plan cost?', 'It costs $20 [1].');
+    const { retrieval, done } = await runTurn({ query: 'and the second one?', llm, history: chatHistory, opts: { embedFn: fakeEmbed(embeds) } });
+
+    assert.deepEqual(embeds, [{ texts: ['How much does the Pro plan cost?'], inputType: 'query' }]);
+    assert.equal(retrieval.docs[0]._id, 'pro');
+    assert.equal(done.queries.standalone, 'How much does the Pro plan cost?');
+    assert.equal(done.metadata.tokens.llmInput, 20);
+    // The LLM still answers the message as typed
+    assert.ok(llm.calls[1].at(-1).content.includes('and the second one?'));
+    assert.deepEqual(chatHistory.getLastQueries(), done.queries);
+  });
+
+  it('does not rewrite with --no-rewrite', async () => {
+    const { ChatHistory } = require('../../src/lib/history');
+    await seedStore();
+    const chatHistory = new ChatHistory();
+    await chatHistory.addTurn({ role: 'user', content: 'hi' });
+    await chatHistory.addTurn({ role: 'assistant', content: 'hello' });
+
+    const embeds = [];
+    const llm = fakeLLM('Answer.');
+    const { done } = await runTurn({ query: 'and the second one?', llm, history: chatHistory, opts: { embedFn: fakeEmbed(embeds), rewrite: false } });
+    assert.equal(llm.calls.length, 1);
+    assert.equal(done.queries.standalone, 'and the second one?');
+  });
+
+  it('fuses the results of expanded queries', async () => {
+    const { ChatHistory } = require('../../src/lib/history');
+    await seedStore();
+
+    const embeds = [];
+    const llm = fakeLLM('Pro tier pricing\nPro plan monthly cost', 'The Pro plan is $20.', 'Answer.');
+    const { retrieval } = await runTurn({
+      query: 'how much is it?',
+      llm,
+      history: new ChatHistory(),
+      opts: { embedFn: fakeEmbed(embeds), expand: 'multi,hyde', expandCount: 2, maxDocs: 2 },
+    });
+
+    assert.deepEqual(embeds, [
+      { texts: ['how much is it?', 'Pro tier pricing', 'Pro plan monthly cost'], inputType: 'query' },
+      { texts: ['The Pro plan is $20.'], inputType: 'document' },
+    ]);
+    // Three of the four searches rank the pro doc first
+    assert.deepEqual(retrieval.docs.map(d => d._id), ['pro', 'basic']);
+    assert.deepEqual(retrieval.queries.expansions.map(e => e.method), ['multi', 'multi', 'hyde']);
+  });
+
+  it('falls back to the message when rewriting fails', async () => {
+    const { ChatHistory } = require('../../src/lib/history');
+    await seedStore();
+    const chatHistory = new ChatHistory();
+    await chatHistory.addTurn({ role: 'user', content: 'hi' });
+    await chatHistory.addTurn({ role: 'assistant', content: 'hello' });
+
+    let calls = 0;
+    const llm = {
+      name: 'fake',
+      model: 'fake-1',
+      async *chat() {
+        calls++;
+        if (calls === 1) throw new Error('rate limited');
+        yield 'Answer.';
+      },
+    };
+    const { done } = await runTurn({ query: 'pro price?', llm, history: chatHistory, opts: { embedFn: fakeEmbed([]) } });
+    assert.equal(done.queries.standalone, 'pro price?');
+    assert.equal(done.queries.error, 'rate limited');
+    assert.equal(done.fullResponse, 'Answer.');
+  });
+});
@@ -13,6 +13,7 @@ const {
   scanDirectory,
   stripHtml,
 } = require('../../src/lib/readers');
+const { buildDocx, buildXlsx } = require('../fixtures/documents');
 
 describe('readers', () => {
   describe('SUPPORTED_EXTENSIONS', () => {
@@ -23,6 +24,10 @@ describe('readers', () => {
       assert.equal(SUPPORTED_EXTENSIONS['.json'], 'json');
       assert.equal(SUPPORTED_EXTENSIONS['.jsonl'], 'jsonl');
       assert.equal(SUPPORTED_EXTENSIONS['.pdf'], 'pdf');
+      assert.equal(SUPPORTED_EXTENSIONS['.docx'], 'docx');
+      assert.equal(SUPPORTED_EXTENSIONS['.pptx'], 'pptx');
+      assert.equal(SUPPORTED_EXTENSIONS['.xlsx'], 'xlsx');
+      assert.equal(SUPPORTED_EXTENSIONS['.epub'], 'epub');
     });
   });
 
@@ -174,6 +179,44 @@ describe('readers', () => {
     });
   });
 
+  describe('readFile — documents', () => {
+    it('reads a .docx file as sections with heading metadata', async () => {
+      const tmpFile = path.join(os.tmpdir(), `vai-test-${Date.now()}.docx`);
+      fs.writeFileSync(tmpFile, buildDocx([{ heading: 'Scope', level: 1 }, { text: 'Covers all services.' }]));
+      try {
+        const items = await readFile(tmpFile);
+        assert.deepEqual(items, [{
+          text: 'Scope\n\nCovers all services.',
+          metadata: { heading: 'Scope', heading_path: 'Scope' },
+        }]);
+      } finally {
+        fs.unlinkSync(tmpFile);
+      }
+    });
+
+    it('reads a .xlsx file as row groups with sheet metadata', async () => {
+      const tmpFile = path.join(os.tmpdir(), `vai-test-${Date.now()}.xlsx`);
+      fs.writeFileSync(tmpFile, buildXlsx([{ name: 'Q1', rows: [['Region', 'Revenue'], ['EMEA', 42]] }]));
+      try {
+        const items = await readFile(tmpFile);
+        assert.equal(items[0].text, 'Region: EMEA | Revenue: 42');
+        assert.equal(items[0].metadata.sheet, 'Q1');
+      } finally {
+        fs.unlinkSync(tmpFile);
+      }
+    });
+
+    it('names the file when a document cannot be parsed', async () => {
+      const tmpFile = path.join(os.tmpdir(), `vai-test-${Date.now()}.pptx`);
+      fs.writeFileSync(tmpFile, 'not a zip');
+      try {
+        await assert.rejects(() => readFile(tmpFile), /Failed to read vai-test-\d+\.pptx: Not a ZIP archive/);
+      } finally {
+        fs.unlinkSync(tmpFile);
+      }
+    });
+  });
+
   describe('readFile — unsupported', () => {
     it('throws for unsupported extension', async () => {
       await assert.rejects(() => readFile('file.xyz'), /Unsupported file type/);
@@ -314,7 +314,7 @@ describe('ensureIndexes', () => {
     // Turns compound index
     assert.ok(turnsCol.createIndex.mock.callCount() >= 2, 'turns should have at least 2 indexes');
     const turnsCall0 = turnsCol.createIndex.mock.calls[0].arguments[0];
-    assert.deepEqual(turnsCall0, { sessionId: 1, turnIndex: 1 });
+    assert.deepEqual(turnsCall0, { sessionId: 1, branch: 1, turnIndex: 1 });
 
     // Turns TTL index
     const turnsCall1 = turnsCol.createIndex.mock.calls[1].arguments;
@@ -451,3 +451,79 @@ describe('Fallback mode', () => {
     assert.equal(newInsert.mock.callCount(), 0, 'should not call MongoDB after fallback');
   });
 });
+
+// ── Branches ────────────────────────────────────────────────────────────
+
+describe('Branches', () => {
+  const { branchChain, branchPath, withMainBranch } = require('../../src/lib/session-store.js');
+
+  const branches = withMainBranch([
+    { name: 'b1', parent: 'main', forkIndex: 2 },
+    { name: 'b2', parent: 'b1', forkIndex: 4 },
+  ]);
+
+  it('branchChain walks back to main with the fork limits', () => {
+    assert.deepEqual(branchChain(branches, 'b2'), [
+      { branch: 'b2', below: Infinity },
+      { branch: 'b1', below: 4 },
+      { branch: 'main', below: 2 },
+    ]);
+    assert.throws(() => branchChain(branches, 'b3'), /Branch not found: b3/);
+  });
+
+  it('branchPath picks shared and own turns, treating unlabelled turns as main', () => {
+    const turns = [
+      { turnIndex: 0, content: 'm0' },
+      { turnIndex: 1, branch: 'main', content: 'm1' },
+      { turnIndex: 2, branch: 'main', content: 'm2' },
+      { turnIndex: 2, branch: 'b1', content: 'b1-2' },
+      { turnIndex: 3, branch: 'b1', content: 'b1-3' },
+      { turnIndex: 4, branch: 'b2', content: 'b2-4' },
+    ];
+    assert.deepEqual(branchPath(turns, branches, 'b2').map(t => t.content), ['m0', 'm1', 'b1-2', 'b1-3', 'b2-4']);
+    assert.deepEqual(branchPath(turns, branches, 'main').map(t => t.content), ['m0', 'm1', 'm2']);
+  });
+
+  it('createBranch validates and records branches; getTurns follows the active branch', async () => {
+    const store = new SessionStore({ db: 'testdb' });
+    store._fallbackMode = true;
+    store._connected = true;
+
+    const session = await store.createSession({ model: 'm', provider: 'p', mode: 'pipeline' });
+    for (let i = 0; i < 4; i++) {
+      await store.storeTurn({ sessionId: session._id, turnIndex: i, role: i % 2 ? 'assistant' : 'user', content: `main${i}` });
+    }
+    await store.createBranch(session._id, { name: 'edit', parent: 'main', forkIndex: 2 });
+    await store.storeTurn({ sessionId: session._id, branch: 'edit', turnIndex: 2, role: 'user', content: 'edit2' });
+
+    await assert.rejects(store.createBranch(session._id, { name: 'edit', parent: 'main', forkIndex: 0 }), /already exists/);
+    await assert.rejects(store.createBranch(session._id, { name: 'x', parent: 'nope', forkIndex: 0 }), /Branch not found: nope/);
+    await assert.rejects(store.createBranch('missing', { name: 'x', parent: 'main', forkIndex: 0 }), /Session not found/);
+
+    assert.deepEqual((await store.getBranches(session._id)).map(b => b.name), ['main', 'edit']);
+    assert.deepEqual((await store.getTurns(session._id)).map(t => t.content), ['main0', 'main1', 'main2', 'main3']);
+
+    await store.updateSession(session._id, { activeBranch: 'edit' });
+    assert.deepEqual((await store.getTurns(session._id)).map(t => t.content), ['main0', 'main1', 'edit2']);
+    assert.deepEqual((await store.getLatestTurns(session._id, 1, { branch: 'main' })).map(t => t.content), ['main3']);
+  });
+
+  it('queries MongoDB for the segments of the path', async () => {
+    const store = new SessionStore({ db: 'testdb' });
+    const sessionsCol = mockCollection();
+    const turnsCol = mockCollection();
+    store._sessionsCol = sessionsCol;
+    store._turnsCol = turnsCol;
+    store._connected = true;
+
+    await sessionsCol.insertOne({ _id: 's1', branches: [{ name: 'b1', parent: 'main', forkIndex: 2 }] });
+    await store.getTurns('s1', { branch: 'b1' });
+    assert.deepEqual(turnsCol.find.mock.calls[0].arguments[0], {
+      sessionId: 's1',
+      $or: [
+        { branch: 'b1' },
+        { branch: { $in: ['main', null] }, turnIndex: { $lt: 2 } },
+      ],
+    });
+  });
+});
@@ -0,0 +1,205 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  compileSchema,
+  validateAgainstSchema,
+  parseJSONReply,
+  schemaHasPath,
+  generateStructured,
+} = require('../../src/lib/structured-output');
+
+const schema = {
+  type: 'object',
+  properties: {
+    title: { type: 'string' },
+    score: { type: 'integer' },
+    tags: { type: 'array', items: { type: 'string' } },
+  },
+  required: ['title', 'score'],
+};
+
+/** Fake LLM without a native JSON mode; replies with the given strings. */
+function promptLLM(...replies) {
+  const calls = [];
+  return {
+    name: 'fake',
+    model: 'fake-1',
+    calls,
+    async *chat(messages) {
+      calls.push(messages);
+      yield replies[calls.length - 1];
+      yield { __usage: { inputTokens: 10, outputTokens: 5 } };
+    },
+  };
+}
+
+/** Fake LLM with a native JSON mode. */
+function nativeLLM(...replies) {
+  const calls = [];
+  return {
+    name: 'fake',
+    model: 'fake-1',
+    supportsNativeJSON: true,
+    calls,
+    async *chat() {
+      throw new Error('chat should not be called');
+    },
+    async generateJSON(messages, jsonSchema) {
+      calls.push({ messages, schema: jsonSchema });
+      return { text: replies[calls.length - 1], usage: { inputTokens: 8, outputTokens: 4 } };
+    },
+  };
+}
+
+describe('compileSchema', () => {
+  it('rejects values that are not JSON Schemas', () => {
+    assert.throws(() => compileSchema('{"type":"object"}'), /Invalid outputSchema: must be a JSON Schema object/);
+    assert.throws(() => compileSchema({ type: 'bogus' }), /Invalid outputSchema: Unsupported type/);
+  });
+});
+
+describe('validateAgainstSchema', () => {
+  it('reports errors with their paths', () => {
+    assert.deepEqual(validateAgainstSchema({ title: 'A', score: 3 }, schema), { valid: true, errors: [] });
+
+    const { valid, errors } = validateAgainstSchema({ title: 'A', score: 'high', tags: [1] }, schema);
+    assert.equal(valid, false);
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /^score: /);
+    assert.match(errors[1], /^tags\.0: /);
+  });
+});
+
+describe('parseJSONReply', () => {
+  it('parses bare, fenced and embedded JSON', () => {
+    assert.deepEqual(parseJSONReply('{"a":1}'), { a: 1 });
+    assert.deepEqual(parseJSONReply('```json\n{"a":1}\n```'), { a: 1 });
+    assert.deepEqual(parseJSONReply('Here you go: {"a":{"b":2}} Hope it helps.'), { a: { b: 2 } });
+    assert.deepEqual(parseJSONReply('Items: [1, 2]'), [1, 2]);
+  });
+
+  it('throws when there is no JSON', () => {
+    assert.throws(() => parseJSONReply('Sorry, I cannot help.'), /not valid JSON/);
+  });
+});
+
+describe('schemaHasPath', () => {
+  it('follows properties and array items', () => {
+    const nested = {
+      type: 'object',
+      properties: {
+        items: { type: 'array', items: { type: 'object', properties: { name: { type: 'string' } } } },
+        meta: { type: 'object' },
+        label: { type: 'string' },
+      },
+    };
+    assert.equal(schemaHasPath(nested, ['items', 0, 'name']), true);
+    assert.equal(schemaHasPath(nested, ['items', 'length']), true);
+    assert.equal(schemaHasPath(nested, ['meta', 'anything', 'deep']), true);
+    assert.equal(schemaHasPath(nested, ['items', 0, 'nmae']), false);
+    assert.equal(schemaHasPath(nested, ['label', 'x']), false);
+    assert.equal(schemaHasPath(nested, ['missing']), false);
+  });
+});
+
+describe('generateStructured', () => {
+  const messages = [{ role: 'user', content: 'Rate this doc' }];
+
+  it('uses the native JSON mode when the provider has one', async () => {
+    const llm = nativeLLM('{"title":"Auth","score":4}');
+    const result = await generateStructured({ llm, messages, schema });
+    assert.deepEqual(result.data, { title: 'Auth', score: 4 });
+    assert.equal(result.mode, 'native');
+    assert.equal(result.attempts, 1);
+    assert.deepEqual(llm.calls[0].schema, schema);
+    assert.deepEqual(llm.calls[0].messages, messages);
+  });
+
+  it('puts the schema in the prompt otherwise', async () => {
+    const llm = promptLLM('```json\n{"title":"Auth","score":4}\n```');
+    const result = await generateStructured({ llm, messages: [{ role: 'system', content: 'Be strict.' }, ...messages], schema });
+    assert.equal(result.mode, 'prompt');
+    assert.deepEqual(result.data, { title: 'Auth', score: 4 });
+    const system = llm.calls[0][0].content;
+    assert.ok(system.startsWith('Be strict.\n\nReply with JSON only'));
+    assert.ok(system.includes('"required": ['));
+  });
+
+  it('ignores generateJSON on providers without a native JSON mode', async () => {
+    const llm = { ...promptLLM('{"title":"Auth","score":4}'), generateJSON: nativeLLM().generateJSON };
+    const result = await generateStructured({ llm, messages, schema });
+    assert.equal(result.mode, 'prompt');
+    assert.equal(llm.calls.length, 1);
+  });
+
+  it('retries once in prompt mode when the native call fails', async () => {
+    const llm = promptLLM('{"title":"Auth","score":4}');
+    llm.supportsNativeJSON = true;
+    llm.generateJSON = async () => { throw new Error('OpenAI API error (400): response_format is not supported'); };
+
+    const result = await generateStructured({ llm, messages, schema });
+    assert.equal(result.mode, 'prompt');
+    assert.equal(result.attempts, 1);
+    assert.deepEqual(result.data, { title: 'Auth', score: 4 });
+    assert.ok(llm.calls[0][0].content.startsWith('Reply with JSON only'));
+  });
+
+  it('gives up when the provider also fails in prompt mode', async () => {
+    const llm = nativeLLM();
+    llm.generateJSON = async () => { throw new Error('timed out'); };
+    llm.chat = async function* () { throw new Error('timed out again'); };
+    await assert.rejects(generateStructured({ llm, messages, schema }), /timed out again/);
+  });
+
+  it('sends validation errors back for a corrected reply', async () => {
+    const llm = promptLLM('{"title":"Auth"}', '{"title":"Auth","score":4}');
+    const result = await generateStructured({ llm, messages, schema });
+    assert.equal(result.attempts, 2);
+    assert.deepEqual(result.data, { title: 'Auth', score: 4 });
+    assert.deepEqual(result.usage, { inputTokens: 20, outputTokens: 10 });
+
+    const repair = llm.calls[1];
+    assert.deepEqual(repair.at(-2), { role: 'assistant', content: '{"title":"Auth"}' });
+    assert.match(repair.at(-1).content, /^Your reply does not match the JSON Schema:\n- score: /);
+  });
+
+  it('gives up after the repair attempts', async () => {
+    const llm = nativeLLM('nope', '{"title":1}');
+    await assert.rejects(
+      generateStructured({ llm, messages, schema, repairAttempts: 1 }),
+      err => {
+        assert.match(err.message, /did not match outputSchema after 2 attempts/);
+        assert.ok(err.errors.some(e => e.startsWith('title: ')));
+        assert.deepEqual(err.usage, { inputTokens: 16, outputTokens: 8 });
+        return true;
+      },
+    );
+  });
+});
+
+describe('AnthropicProvider.generateJSON', () => {
+  it('forces a tool call and wraps non-object schemas', async () => {
+    const { createLLMProvider } = require('../../src/lib/llm');
+    const provider = createLLMProvider({ llmProvider: 'anthropic', llmApiKey: 'test-key' });
+    let request;
+    provider.chatWithTools = async (msgs, tools, options) => {
+      request = { tools, options };
+      return {
+        type: 'tool_calls',
+        calls: [{ id: 't1', name: 'respond', arguments: { value: ['a', 'b'] } }],
+        usage: { inputTokens: 5, outputTokens: 2 },
+      };
+    };
+
+    const result = await provider.generateJSON([{ role: 'user', content: 'List tags' }], { type: 'array', items: { type: 'string' } });
+    assert.deepEqual(result, { text: '["a","b"]', usage: { inputTokens: 5, outputTokens: 2 } });
+    assert.deepEqual(request.options.toolChoice, { type: 'tool', name: 'respond' });
+    assert.deepEqual(request.tools[0].input_schema, {
+      type: 'object',
+      properties: { value: { type: 'array', items: { type: 'string' } } },
+      required: ['value'],
+    });
+  });
+});
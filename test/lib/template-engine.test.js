@@ -10,6 +10,7 @@ const {
   resolveTemplate,
   resolveAllTemplates,
   extractDependencies,
+  extractReferences,
 } = require('../../src/lib/template-engine');
 
 // ── isTemplateString ──
@@ -511,3 +512,20 @@ describe('extractDependencies', () => {
     assert.deepEqual(deps, new Set());
   });
 });
+
+// ── extractReferences ──
+
+describe('extractReferences', () => {
+  it('returns full paths from expressions, skipping quoted literals', () => {
+    const refs = extractReferences({
+      a: "{{ gen.output.data.items[0].name || 'no.name' }}",
+      b: ['{{ gen.output.data.count > 0 && inputs.flag }}'],
+    });
+    assert.deepEqual(refs.map(r => r.expression), [
+      'gen.output.data.items[0].name',
+      'gen.output.data.count',
+      'inputs.flag',
+    ]);
+    assert.deepEqual(refs[0].segments.slice(3), [{ key: 'items', index: 0 }, { key: 'name' }]);
+  });
+});
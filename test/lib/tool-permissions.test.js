@@ -0,0 +1,73 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseToolPermissions, resolveToolPermission, tightenToolPermissions, normalizeApproval } = require('../../src/lib/tool-permissions');
+
+describe('parseToolPermissions', () => {
+  it('accepts objects and comma-separated strings', () => {
+    assert.deepEqual(parseToolPermissions({ vai_ingest: 'deny' }), { vai_ingest: 'deny' });
+    assert.deepEqual(parseToolPermissions('vai_ingest=ask, github_*=deny,*=allow'), {
+      vai_ingest: 'ask',
+      'github_*': 'deny',
+      '*': 'allow',
+    });
+    assert.deepEqual(parseToolPermissions(undefined), {});
+  });
+
+  it('rejects unknown permissions and malformed entries', () => {
+    assert.throws(() => parseToolPermissions({ vai_ingest: 'maybe' }), /Invalid permission "maybe" for tool "vai_ingest"/);
+    assert.throws(() => parseToolPermissions('vai_ingest'), /expected <tool>=<allow\|deny\|ask>/);
+    assert.throws(() => parseToolPermissions(['vai_ingest']), /must be an object/);
+  });
+});
+
+describe('resolveToolPermission', () => {
+  const policy = { vai_query: 'deny', 'github_*': 'ask', 'github_get_*': 'allow' };
+
+  it('prefers exact names, then the longest pattern', () => {
+    assert.equal(resolveToolPermission('vai_query', policy), 'deny');
+    assert.equal(resolveToolPermission('github_get_issue', policy), 'allow');
+    assert.equal(resolveToolPermission('github_close_issue', policy), 'ask');
+  });
+
+  it('falls back to "*", then to the side-effect default', () => {
+    assert.equal(resolveToolPermission('vai_ingest', {}, { sideEffects: true }), 'ask');
+    assert.equal(resolveToolPermission('vai_search', {}, { sideEffects: false }), 'allow');
+    assert.equal(resolveToolPermission('vai_ingest', { '*': 'allow' }, { sideEffects: true }), 'allow');
+  });
+});
+
+describe('tightenToolPermissions', () => {
+  const project = { vai_ingest: 'deny', 'github_*': 'ask', vai_query: 'allow' };
+
+  it('never relaxes a project deny or ask', () => {
+    const policy = tightenToolPermissions(project, { vai_ingest: 'allow', 'github_*': 'allow', github_close_issue: 'allow', '*': 'allow' });
+    assert.equal(resolveToolPermission('vai_ingest', policy, { sideEffects: true }), 'deny');
+    assert.equal(resolveToolPermission('github_create_issue', policy), 'ask');
+    assert.equal(resolveToolPermission('github_close_issue', policy), 'ask');
+  });
+
+  it('lets overrides tighten', () => {
+    const policy = tightenToolPermissions(project, { vai_query: 'deny', 'github_*': 'deny', vai_search: 'ask' });
+    assert.equal(resolveToolPermission('vai_query', policy), 'deny');
+    assert.equal(resolveToolPermission('github_get_issue', policy), 'deny');
+    assert.equal(resolveToolPermission('vai_search', policy), 'ask');
+  });
+
+  it('keeps a project "*" as the floor for tools it does not name', () => {
+    const policy = tightenToolPermissions({ '*': 'ask' }, { vai_ingest: 'allow' });
+    assert.equal(resolveToolPermission('vai_ingest', policy), 'ask');
+  });
+});
+
+describe('normalizeApproval', () => {
+  it('maps answers to a decision and the arguments to run with', () => {
+    const args = { text: 'hi' };
+    assert.deepEqual(normalizeApproval(true, args), { decision: 'approve', args, reason: null });
+    assert.deepEqual(normalizeApproval(undefined, args), { decision: 'reject', args, reason: null });
+    assert.deepEqual(normalizeApproval({ decision: 'reject', reason: 'no' }, args), { decision: 'reject', args, reason: 'no' });
+    assert.deepEqual(normalizeApproval({ decision: 'edit', args: { text: 'bye' } }, args).args, { text: 'bye' });
+    assert.throws(() => normalizeApproval({ decision: 'edit', args: 'bye' }, args), /must be a JSON object/);
+  });
+});
@@ -9,6 +9,10 @@ describe('tool-registry', () => {
     zodSchemaToJsonSchema,
     getToolDefinitions,
     executeTool,
+    registerCustomTools,
+    clearCustomTools,
+    listTools,
+    hasSideEffects,
   } = require('../../src/lib/tool-registry');
 
   describe('TOOL_DEFINITIONS', () => {
@@ -182,4 +186,67 @@ describe('tool-registry', () => {
       }
     });
   });
+
+  describe('custom tools', () => {
+    const lookup = {
+      name: 'order_status',
+      description: 'Look up an order',
+      inputSchema: { type: 'object', properties: { orderId: { type: 'string' } } },
+      source: { type: 'http', label: 'GET https://api.example.com/orders/{orderId}' },
+      sideEffects: false,
+      async execute(args) {
+        return { structuredContent: { id: args.orderId }, content: [{ type: 'text', text: 'shipped' }] };
+      },
+    };
+
+    it('merges registered tools into every format, after the built-ins', () => {
+      registerCustomTools([lookup]);
+      try {
+        const anthropic = getToolDefinitions('anthropic');
+        assert.equal(anthropic.length, 12);
+        assert.deepEqual(anthropic[11], { name: 'order_status', description: 'Look up an order', input_schema: lookup.inputSchema });
+        assert.deepEqual(getToolDefinitions('openai')[11].function.parameters, lookup.inputSchema);
+      } finally {
+        clearCustomTools();
+      }
+      assert.equal(getToolDefinitions('anthropic').length, 11);
+    });
+
+    it('lists tools with their source and dispatches execution', async () => {
+      registerCustomTools([lookup]);
+      try {
+        const listed = listTools();
+        assert.equal(listed[0].source, 'built-in');
+        assert.deepEqual(listed.at(-1), {
+          name: 'order_status',
+          description: 'Look up an order',
+          source: 'http: GET https://api.example.com/orders/{orderId}',
+          sideEffects: false,
+        });
+        const result = await executeTool('order_status', { orderId: 'A-1' });
+        assert.deepEqual(result.structuredContent, { id: 'A-1' });
+      } finally {
+        clearCustomTools();
+      }
+    });
+
+    it('reports which tools have side effects', () => {
+      registerCustomTools([lookup, { ...lookup, name: 'cancel_order', sideEffects: undefined }]);
+      try {
+        assert.equal(hasSideEffects('vai_ingest'), true);
+        assert.equal(hasSideEffects('vai_query'), false);
+        assert.equal(hasSideEffects('order_status'), false);
+        assert.equal(hasSideEffects('cancel_order'), true);
+        assert.equal(hasSideEffects('not_a_tool'), true);
+      } finally {
+        clearCustomTools();
+      }
+    });
+
+    it('rejects names that are already taken', () => {
+      assert.throws(() => registerCustomTools([{ ...lookup, name: 'vai_query' }]), /"vai_query" is already in use/);
+      assert.throws(() => registerCustomTools([lookup, lookup]), /already in use/);
+      assert.equal(listTools().length, 11);
+    });
+  });
 });
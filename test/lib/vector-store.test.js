@@ -0,0 +1,320 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const {
+  STORE_TYPES,
+  resolveStoreConfig,
+  createVectorStore,
+  matchesFilter,
+  MongoVectorStore,
+  LocalVectorStore,
+} = require('../../src/lib/vector-store');
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vai-vector-store-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  delete process.env.VAI_STORE;
+});
+
+describe('resolveStoreConfig', () => {
+  it('defaults to mongodb', () => {
+    assert.equal(resolveStoreConfig({}).type, 'mongodb');
+  });
+
+  it('accepts aliases', () => {
+    assert.equal(resolveStoreConfig({ store: 'atlas' }).type, 'mongodb');
+    assert.equal(resolveStoreConfig({ store: 'file' }).type, 'local');
+  });
+
+  it('reads VAI_STORE from the environment', () => {
+    process.env.VAI_STORE = 'local';
+    assert.equal(resolveStoreConfig({}).type, 'local');
+  });
+
+  it('CLI option wins over environment', () => {
+    process.env.VAI_STORE = 'local';
+    assert.equal(resolveStoreConfig({ store: 'mongodb' }).type, 'mongodb');
+  });
+
+  it('throws on unknown store type', () => {
+    assert.throws(() => resolveStoreConfig({ store: 'pinecone' }), /Unknown vector store/);
+  });
+
+  it('lists supported types', () => {
+    assert.deepEqual(STORE_TYPES, ['mongodb', 'local']);
+  });
+});
+
+describe('createVectorStore', () => {
+  it('creates a MongoVectorStore by default', () => {
+    const store = createVectorStore({ db: 'db', collection: 'col', store: 'mongodb' });
+    assert.ok(store instanceof MongoVectorStore);
+    assert.equal(store.label, 'db.col');
+  });
+
+  it('creates a LocalVectorStore under the given path', () => {
+    const store = createVectorStore({ db: 'db', collection: 'col', store: 'local', storePath: tmpDir });
+    assert.ok(store instanceof LocalVectorStore);
+    assert.equal(store.filePath, path.join(tmpDir, 'db', 'col.jsonl'));
+  });
+});
+
+describe('LocalVectorStore', () => {
+  function makeStore() {
+    return new LocalVectorStore({ db: 'testdb', collection: 'docs', dir: tmpDir });
+  }
+
+  it('inserts, persists and reloads documents', async () => {
+    const store = makeStore();
+    const result = await store.insertMany([
+      { text: 'a', embedding: [1, 0] },
+      { text: 'b', embedding: [0, 1] },
+    ]);
+    assert.equal(result.insertedCount, 2);
+    assert.ok(fs.existsSync(store.filePath));
+
+    const reopened = makeStore();
+    assert.equal(await reopened.count(), 2);
+  });
+
+  it('assigns an _id when missing and keeps provided ones', async () => {
+    const store = makeStore();
+    await store.insertMany([{ text: 'a', embedding: [1, 0] }, { _id: 'fixed', text: 'b', embedding: [0, 1] }]);
+    const docs = await makeStore().search({ vector: [1, 1], limit: 10 });
+    const ids = docs.map(d => d._id);
+    assert.ok(ids.includes('fixed'));
+    assert.ok(ids.every(id => typeof id === 'string' && id.length > 0));
+  });
+
+  it('ranks by cosine similarity and respects limit', async () => {
+    const store = makeStore();
+    await store.insertMany([
+      { text: 'east', embedding: [1, 0] },
+      { text: 'north', embedding: [0, 1] },
+      { text: 'northeast', embedding: [0.7, 0.7] },
+    ]);
+    const results = await store.search({ vector: [1, 0.1], limit: 2 });
+    assert.equal(results.length, 2);
+    assert.equal(results[0].text, 'east');
+    assert.equal(results[1].text, 'northeast');
+    assert.ok(results[0]._vsScore > results[1]._vsScore);
+    assert.ok(results[0]._vsScore <= 1);
+  });
+
+  it('writes the score to a custom field and applies projection', async () => {
+    const store = makeStore();
+    await store.insertMany([{ text: 'a', source: 's', embedding: [1, 0], other: 1 }]);
+    const [doc] = await store.search({ vector: [1, 0], scoreField: 'score', project: { text: 1, source: 1 } });
+    assert.equal(doc.text, 'a');
+    assert.equal(doc.source, 's');
+    assert.equal(doc.other, undefined);
+    assert.equal(doc.embedding, undefined);
+    assert.ok(doc.score > 0.99);
+  });
+
+  it('applies pre-filters', async () => {
+    const store = makeStore();
+    await store.insertMany([
+      { text: 'a', embedding: [1, 0], metadata: { category: 'api' } },
+      { text: 'b', embedding: [1, 0], metadata: { category: 'guide' } },
+    ]);
+    const results = await store.search({ vector: [1, 0], filter: { 'metadata.category': 'guide' } });
+    assert.deepEqual(results.map(r => r.text), ['b']);
+  });
+
+  it('skips vectors with mismatched dimensions', async () => {
+    const store = makeStore();
+    await store.insertMany([{ text: 'a', embedding: [1, 0, 0] }, { text: 'b', embedding: [1, 0] }]);
+    const results = await store.search({ vector: [1, 0] });
+    assert.deepEqual(results.map(r => r.text), ['b']);
+  });
+
+  it('uses a custom embedding field', async () => {
+    const store = makeStore();
+    await store.insertMany([{ text: 'a', vec: [1, 0] }]);
+    assert.equal((await store.search({ vector: [1, 0], field: 'vec' })).length, 1);
+    assert.equal((await store.search({ vector: [1, 0] })).length, 0);
+  });
+
+  it('ignores a torn trailing line', async () => {
+    const store = makeStore();
+    await store.insertMany([{ text: 'a', embedding: [1, 0] }]);
+    fs.appendFileSync(store.filePath, '{"text": "b", "embed');
+    assert.equal(await makeStore().count(), 1);
+  });
+
+  it('textSearch ranks exact terms with BM25', async () => {
+    const store = makeStore();
+    await store.insertMany([
+      { text: 'Request failed with ERR_TIMEOUT after retries', embedding: [1, 0] },
+      { text: 'Timeouts are configurable per request', embedding: [0, 1] },
+      { text: 'Unrelated document about billing', embedding: [1, 1] },
+    ]);
+    const results = await store.textSearch({ query: 'ERR_TIMEOUT', limit: 5 });
+    assert.equal(results.length, 1);
+    assert.match(results[0].text, /ERR_TIMEOUT/);
+    assert.ok(results[0]._textScore > 0);
+  });
+
+  it('textSearch applies filters and returns nothing for empty queries', async () => {
+    const store = makeStore();
+    await store.insertMany([
+      { text: 'sku AB123 widget', embedding: [1, 0], metadata: { lang: 'en' } },
+      { text: 'sku AB123 gadget', embedding: [1, 0], metadata: { lang: 'de' } },
+    ]);
+    const results = await store.textSearch({ query: 'ab123', filter: { 'metadata.lang': 'de' } });
+    assert.deepEqual(results.map(r => r.text), ['sku AB123 gadget']);
+    assert.deepEqual(await store.textSearch({ query: '   ' }), []);
+  });
+
+  it('find applies filters and nested projections', async () => {
+    const store = makeStore();
+    await store.insertMany([
+      { _id: 'a', text: 'a', embedding: [1, 0], metadata: { source: 'x.md', content_hash: 'h1' } },
+      { _id: 'b', text: 'b', embedding: [0, 1], metadata: { source: 'y.md' } },
+    ]);
+    const docs = await store.find({ 'metadata.content_hash': { $exists: true } }, { project: { 'metadata.source': 1 } });
+    assert.deepEqual(docs, [{ _id: 'a', metadata: { source: 'x.md' } }]);
+  });
+
+  it('deleteMany removes matching docs and persists', async () => {
+    const store = makeStore();
+    await store.insertMany([
+      { _id: 'a', text: 'a', embedding: [1, 0] },
+      { _id: 'b', text: 'b', embedding: [0, 1] },
+      { _id: 'c', text: 'c', embedding: [1, 1] },
+    ]);
+    const result = await store.deleteMany({ _id: { $in: ['a', 'c'] } });
+    assert.equal(result.deletedCount, 2);
+    assert.equal(await store.count(), 1);
+
+    const reopened = makeStore();
+    assert.deepEqual((await reopened.find()).map(d => d._id), ['b']);
+    assert.ok(!fs.existsSync(`${store.filePath}.tmp`));
+  });
+
+  it('upsertMany replaces by _id and appends new docs', async () => {
+    const store = makeStore();
+    await store.insertMany([{ _id: 'a', text: 'old', embedding: [1, 0] }]);
+    const result = await store.upsertMany([
+      { _id: 'a', text: 'new', embedding: [1, 0] },
+      { _id: 'b', text: 'b', embedding: [0, 1] },
+    ]);
+    assert.deepEqual(result, { insertedCount: 1, updatedCount: 1 });
+
+    const docs = await makeStore().find({}, { project: { text: 1 } });
+    assert.deepEqual(docs, [{ _id: 'a', text: 'new' }, { _id: 'b', text: 'b' }]);
+
+    await makeStore().upsertMany([{ _id: 'b', text: 'b', embedding: [0, 1] }]);
+    assert.equal(await makeStore().count(), 2);
+  });
+
+  it('ensureVectorIndex is a no-op', async () => {
+    assert.deepEqual(await makeStore().ensureVectorIndex({ dimensions: 2 }), { created: false });
+  });
+});
+
+describe('MongoVectorStore', () => {
+  it('builds a $vectorSearch pipeline', async () => {
+    let captured;
+    const store = new MongoVectorStore({ db: 'db', collection: 'col' });
+    store._collection = {
+      aggregate: (pipeline) => {
+        captured = pipeline;
+        return { toArray: async () => [{ text: 'x', _vsScore: 0.9 }] };
+      },
+    };
+    const results = await store.search({ vector: [1, 2], index: 'idx', field: 'emb', limit: 3, filter: { a: 1 } });
+    assert.equal(results.length, 1);
+    assert.deepEqual(captured[0].$vectorSearch, {
+      index: 'idx', path: 'emb', queryVector: [1, 2], numCandidates: 45, limit: 3, filter: { a: 1 },
+    });
+    assert.deepEqual(captured[1], { $addFields: { _vsScore: { $meta: 'vectorSearchScore' } } });
+  });
+
+  it('builds a $search pipeline for textSearch', async () => {
+    let captured;
+    const store = new MongoVectorStore({ db: 'db', collection: 'col' });
+    store._collection = {
+      aggregate: (pipeline) => {
+        captured = pipeline;
+        return { toArray: async () => [] };
+      },
+    };
+    await store.textSearch({ query: 'ERR_42', index: 'lex', path: 'body', limit: 5, filter: { a: 1 } });
+    assert.deepEqual(captured, [
+      { $search: { index: 'lex', text: { query: 'ERR_42', path: 'body' } } },
+      { $match: { a: 1 } },
+      { $limit: 5 },
+      { $addFields: { _textScore: { $meta: 'searchScore' } } },
+    ]);
+  });
+
+  it('upsertMany issues replaceOne upserts keyed by _id', async () => {
+    let captured;
+    const store = new MongoVectorStore({ db: 'db', collection: 'col' });
+    store._collection = {
+      bulkWrite: async (ops, options) => {
+        captured = { ops, options };
+        return { upsertedCount: 1, matchedCount: 1 };
+      },
+    };
+    const result = await store.upsertMany([{ _id: 'a', text: 'x' }, { _id: 'b', text: 'y' }]);
+    assert.deepEqual(result, { insertedCount: 1, updatedCount: 1 });
+    assert.deepEqual(captured.ops[0], { replaceOne: { filter: { _id: 'a' }, replacement: { _id: 'a', text: 'x' }, upsert: true } });
+    assert.equal(captured.options.ordered, false);
+  });
+
+  it('ensureVectorIndex only creates a missing index', async () => {
+    let createdDef = null;
+    const store = new MongoVectorStore({ db: 'db', collection: 'col' });
+    store._collection = {
+      listSearchIndexes: () => ({ toArray: async () => [{ name: 'other' }] }),
+      createSearchIndex: async (def) => { createdDef = def; },
+    };
+    const result = await store.ensureVectorIndex({ name: 'vector_index', field: 'embedding', dimensions: 512 });
+    assert.equal(result.created, true);
+    assert.equal(createdDef.definition.fields[0].numDimensions, 512);
+
+    store._collection.listSearchIndexes = () => ({ toArray: async () => [{ name: 'vector_index' }] });
+    assert.equal((await store.ensureVectorIndex({ dimensions: 512 })).created, false);
+  });
+});
+
+describe('matchesFilter', () => {
+  const doc = { a: 1, tags: ['x', 'y'], meta: { year: 2020 } };
+
+  it('matches equality and array membership', () => {
+    assert.ok(matchesFilter(doc, { a: 1 }));
+    assert.ok(matchesFilter(doc, { tags: 'x' }));
+    assert.ok(!matchesFilter(doc, { a: 2 }));
+  });
+
+  it('supports comparison operators', () => {
+    assert.ok(matchesFilter(doc, { 'meta.year': { $gte: 2020, $lt: 2021 } }));
+    assert.ok(!matchesFilter(doc, { 'meta.year': { $gt: 2020 } }));
+    assert.ok(matchesFilter(doc, { a: { $in: [1, 2] } }));
+    assert.ok(matchesFilter(doc, { a: { $nin: [3] } }));
+    assert.ok(matchesFilter(doc, { missing: { $exists: false } }));
+  });
+
+  it('supports logical operators', () => {
+    assert.ok(matchesFilter(doc, { $or: [{ a: 2 }, { a: 1 }] }));
+    assert.ok(!matchesFilter(doc, { $and: [{ a: 1 }, { 'meta.year': 1999 }] }));
+    assert.ok(matchesFilter(doc, { $nor: [{ a: 2 }] }));
+  });
+
+  it('throws on unsupported operators', () => {
+    assert.throws(() => matchesFilter(doc, { a: { $regex: 'x' } }), /Unsupported filter operator/);
+  });
+});
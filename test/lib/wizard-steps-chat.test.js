@@ -3,6 +3,7 @@
 const { describe, it, afterEach } = require('node:test');
 const assert = require('node:assert/strict');
 const {
+  CUSTOM_MODEL,
   chatSetupSteps,
   getProviderOptions,
   getModelOptions,
@@ -14,8 +15,8 @@ afterEach(() => {
 });
 
 describe('chatSetupSteps', () => {
-  it('has 7 steps', () => {
-    assert.equal(chatSetupSteps.length, 7);
+  it('has 10 steps', () => {
+    assert.equal(chatSetupSteps.length, 10);
   });
 
   it('all steps have required fields', () => {
@@ -29,7 +30,7 @@ describe('chatSetupSteps', () => {
 
   it('step ids include bedrock credential steps', () => {
     const ids = chatSetupSteps.map(s => s.id);
-    assert.deepEqual(ids, ['provider', 'apiKey', 'model', 'ollamaBaseUrl', 'awsRegion', 'awsAccessKeyId', 'awsSecretAccessKey']);
+    assert.deepEqual(ids, ['provider', 'baseUrl', 'apiKey', 'apiKeyHeader', 'model', 'customModel', 'ollamaBaseUrl', 'awsRegion', 'awsAccessKeyId', 'awsSecretAccessKey']);
   });
 
   it('provider step is required', () => {
@@ -68,6 +69,32 @@ describe('chatSetupSteps', () => {
     assert.equal(step.validate('sk-a-long-enough-key'), true);
   });
 
+  it('apiKey is optional for openai-compatible servers', () => {
+    const step = chatSetupSteps.find(s => s.id === 'apiKey');
+    assert.equal(step.skip({ provider: 'openai-compatible' }, {}), false);
+    assert.equal(step.validate('', { provider: 'openai-compatible' }), true);
+    assert.notEqual(step.validate('', { provider: 'gemini' }), true);
+  });
+
+  it('baseUrl and apiKeyHeader only show for openai-compatible', () => {
+    const baseUrl = chatSetupSteps.find(s => s.id === 'baseUrl');
+    assert.equal(baseUrl.skip({ provider: 'openai-compatible' }, {}), false);
+    assert.equal(baseUrl.skip({ provider: 'openai' }, {}), true);
+    assert.notEqual(baseUrl.validate('localhost:8000'), true);
+    assert.equal(baseUrl.validate('http://localhost:8000/v1'), true);
+
+    const header = chatSetupSteps.find(s => s.id === 'apiKeyHeader');
+    assert.equal(header.skip({ provider: 'openai-compatible', apiKey: 'secret-key' }, {}), false);
+    assert.equal(header.skip({ provider: 'openai-compatible' }, {}), true);
+    assert.equal(header.skip({ provider: 'openai', apiKey: 'sk-secret-key' }, {}), true);
+  });
+
+  it('customModel only shows when "Other" was picked', () => {
+    const step = chatSetupSteps.find(s => s.id === 'customModel');
+    assert.equal(step.skip({ model: CUSTOM_MODEL }), false);
+    assert.equal(step.skip({ model: 'gpt-4o' }), true);
+  });
+
   it('ollamaBaseUrl skips for non-ollama providers', () => {
     const step = chatSetupSteps.find(s => s.id === 'ollamaBaseUrl');
     assert.equal(step.skip({ provider: 'anthropic' }, {}), true);
@@ -123,14 +150,16 @@ describe('chatSetupSteps', () => {
 });
 
 describe('getProviderOptions', () => {
-  it('returns array with 4 providers', async () => {
+  it('returns array with 6 providers', async () => {
     const options = await getProviderOptions();
-    assert.equal(options.length, 4);
+    assert.equal(options.length, 6);
     const values = options.map(o => o.value);
     assert.ok(values.includes('anthropic'));
     assert.ok(values.includes('openai'));
     assert.ok(values.includes('ollama'));
     assert.ok(values.includes('bedrock'));
+    assert.ok(values.includes('gemini'));
+    assert.ok(values.includes('openai-compatible'));
   });
 
   it('all options have value, label, hint', async () => {
@@ -167,4 +196,14 @@ describe('getModelOptions', () => {
     assert.ok(options.every(o => o.value && o.label));
     assert.ok(options.some(o => o.value.includes('anthropic.claude')));
   });
+
+  it('returns curated models for gemini', async () => {
+    const options = await getModelOptions({ provider: 'gemini' });
+    assert.ok(options.some(o => o.value === 'gemini-2.5-flash'));
+  });
+
+  it('offers a free-text model for unreachable openai-compatible servers', async () => {
+    const options = await getModelOptions({ provider: 'openai-compatible', baseUrl: 'http://127.0.0.1:9/v1' });
+    assert.deepEqual(options.map(o => o.value), [CUSTOM_MODEL]);
+  });
 });
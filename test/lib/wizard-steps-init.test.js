@@ -18,7 +18,7 @@ describe('init wizard steps', () => {
       assert.ok(opts.some(o => o.value === 'voyage-4-large'));
     });
 
-    it('excludes legacy and unreleased models', () => {
+    it('excludes legacy, unreleased and contextualized models', () => {
       const opts = getEmbeddingModelOptions();
       const names = opts.map(o => o.value);
       assert.ok(!names.includes('voyage-3-large'));
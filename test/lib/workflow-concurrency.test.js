@@ -0,0 +1,225 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  validateWorkflow,
+  validateLimits,
+  createRequestLimiter,
+  mapWithConcurrency,
+  executeWorkflow,
+} = require('../../src/lib/workflow');
+
+const tick = (ms = 5) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Stub global.fetch, tracking how many requests are in flight at once.
+ * Requests for which `fail(url)` is true reject, like a network error.
+ */
+function stubFetch({ delayMs = 5, fail = () => false } = {}) {
+  const stats = { inFlight: 0, maxInFlight: 0, urls: [] };
+  global.fetch = async (url) => {
+    stats.urls.push(url);
+    stats.inFlight++;
+    stats.maxInFlight = Math.max(stats.maxInFlight, stats.inFlight);
+    try {
+      await tick(delayMs);
+      if (fail(url)) throw new Error(`boom ${url}`);
+      return new Response(JSON.stringify({ url }), { status: 200 });
+    } finally {
+      stats.inFlight--;
+    }
+  };
+  return stats;
+}
+
+const urls = (n) => Array.from({ length: n }, (_, i) => `https://example.com/${i}`);
+
+// ── Validation ──
+
+describe('validateWorkflow — concurrency', () => {
+  const wf = (step, extra = {}) => ({ name: 'c', steps: [{ id: 's', tool: 'http', inputs: { url: 'x' }, ...step }], ...extra });
+
+  it('accepts concurrency on forEach steps and loops, and workflow limits', () => {
+    assert.deepEqual(validateWorkflow(wf({ forEach: '{{ inputs.urls }}', concurrency: 10 }, {
+      limits: { concurrency: 4, requestsPerSecond: 2.5 },
+    })), []);
+    assert.deepEqual(validateWorkflow({
+      name: 'c',
+      steps: [{ id: 'l', tool: 'loop', inputs: { items: '{{ inputs.urls }}', as: 'u', step: { tool: 'http', inputs: { url: '{{ u }}' } }, concurrency: 5 } }],
+    }), []);
+  });
+
+  it('rejects concurrency outside forEach and out of range', () => {
+    assert.ok(validateWorkflow(wf({ concurrency: 4 })).some(e => e.includes('only applies to forEach')));
+    assert.ok(validateWorkflow(wf({ forEach: '{{ inputs.urls }}', concurrency: 0 })).some(e => e.includes('integer from 1 to 50')));
+    assert.ok(validateWorkflow(wf({ forEach: '{{ inputs.urls }}', concurrency: 2.5 })).some(e => e.includes('integer from 1 to 50')));
+    const loop = validateWorkflow({
+      name: 'c',
+      steps: [{ id: 'l', tool: 'loop', inputs: { items: '{{ inputs.urls }}', as: 'u', step: { tool: 'http', inputs: {} }, concurrency: 51 } }],
+    });
+    assert.ok(loop.some(e => e.includes('loop "concurrency" must be an integer')));
+  });
+
+  it('rejects invalid limits', () => {
+    assert.deepEqual(validateLimits({ concurrency: 4 }), []);
+    assert.equal(validateLimits([]).length, 1);
+    assert.equal(validateLimits({ concurrency: 100, requestsPerSecond: 0 }).length, 2);
+    assert.ok(validateWorkflow(wf({}, { limits: { requestsPerSecond: -1 } })).some(e => e.includes('requestsPerSecond')));
+  });
+});
+
+// ── Helpers ──
+
+describe('mapWithConcurrency', () => {
+  it('bounds calls in flight and keeps item order', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const settled = await mapWithConcurrency([30, 5, 20, 1, 10], 2, async (ms, i) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await tick(ms);
+      inFlight--;
+      return i;
+    });
+    assert.equal(maxInFlight, 2);
+    assert.deepEqual(settled.map(r => r.value), [0, 1, 2, 3, 4]);
+  });
+
+  it('collects errors by default', async () => {
+    const settled = await mapWithConcurrency([1, 2, 3], 3, async (n) => {
+      if (n === 2) throw new Error('two');
+      return n;
+    });
+    assert.deepEqual(settled.map(r => r.value ?? r.error.message), [1, 'two', 3]);
+  });
+
+  it('stops starting items after a failure with stopOnError', async () => {
+    const started = [];
+    await assert.rejects(mapWithConcurrency([1, 2, 3, 4, 5], 2, async (n) => {
+      started.push(n);
+      await tick();
+      if (n === 1) throw new Error('one');
+      return n;
+    }, { stopOnError: true }), /one/);
+    assert.deepEqual(started, [1, 2]);
+  });
+});
+
+describe('createRequestLimiter', () => {
+  it('bounds calls in flight', async () => {
+    const limiter = createRequestLimiter({ concurrency: 3 });
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const results = await Promise.all(Array.from({ length: 10 }, (_, i) => limiter.run(async () => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await tick();
+      inFlight--;
+      return i;
+    })));
+    assert.equal(maxInFlight, 3);
+    assert.deepEqual(results, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  });
+
+  it('releases the slot when a call fails', async () => {
+    const limiter = createRequestLimiter({ concurrency: 1 });
+    await assert.rejects(limiter.run(async () => { throw new Error('nope'); }), /nope/);
+    assert.equal(await limiter.run(async () => 'ok'), 'ok');
+  });
+
+  it('spaces out starts to requestsPerSecond', async () => {
+    const waits = [];
+    const limiter = createRequestLimiter({ concurrency: 10, requestsPerSecond: 4 }, async (ms) => { waits.push(ms); });
+    await Promise.all([1, 2, 3].map(() => limiter.run(async () => {})));
+    assert.equal(waits.length, 2);
+    assert.ok(waits[0] > 200 && waits[0] <= 250);
+    assert.ok(waits[1] > 450 && waits[1] <= 500);
+  });
+});
+
+// ── executeWorkflow ──
+
+describe('executeWorkflow — concurrency', () => {
+  const originalFetch = global.fetch;
+  afterEach(() => { global.fetch = originalFetch; });
+
+  it('runs forEach iterations in a bounded pool, in item order', async () => {
+    const stats = stubFetch();
+    const result = await executeWorkflow({
+      name: 'parallel-foreach',
+      steps: [{ id: 'fetch', tool: 'http', forEach: '{{ inputs.urls }}', concurrency: 4, inputs: { url: '{{ item }}' } }],
+    }, { inputs: { urls: urls(10) } });
+
+    assert.equal(stats.maxInFlight, 4);
+    const step = result.steps.find(s => s.id === 'fetch');
+    assert.equal(step.output.count, 10);
+    assert.deepEqual(step.output.results.map(r => r.body.url), urls(10));
+    assert.equal(step.output.errors, undefined);
+  });
+
+  it('runs forEach iterations one at a time by default', async () => {
+    const stats = stubFetch();
+    await executeWorkflow({
+      name: 'sequential-foreach',
+      steps: [{ id: 'fetch', tool: 'http', forEach: '{{ inputs.urls }}', inputs: { url: '{{ item }}' } }],
+    }, { inputs: { urls: urls(3) } });
+    assert.equal(stats.maxInFlight, 1);
+  });
+
+  it('collects per-iteration errors under continueOnError', async () => {
+    stubFetch({ fail: (url) => url.endsWith('/1') || url.endsWith('/3') });
+    const result = await executeWorkflow({
+      name: 'foreach-errors',
+      steps: [{
+        id: 'fetch', tool: 'http', forEach: '{{ inputs.urls }}', concurrency: 3, continueOnError: true, inputs: { url: '{{ item }}' },
+      }],
+    }, { inputs: { urls: urls(5) } });
+
+    const { output } = result.steps.find(s => s.id === 'fetch');
+    assert.deepEqual(output.results.map(r => r && r.body.url), [urls(5)[0], null, urls(5)[2], null, urls(5)[4]]);
+    assert.deepEqual(output.errors.map(e => e.index), [1, 3]);
+    assert.match(output.errors[0].error, /boom/);
+  });
+
+  it('fails the step on the first failing iteration without continueOnError', async () => {
+    const stats = stubFetch({ fail: (url) => url.endsWith('/0') });
+    await assert.rejects(executeWorkflow({
+      name: 'foreach-fail',
+      steps: [{ id: 'fetch', tool: 'http', forEach: '{{ inputs.urls }}', concurrency: 2, inputs: { url: '{{ item }}' } }],
+    }, { inputs: { urls: urls(6) } }), /Step "fetch" failed/);
+    assert.ok(stats.urls.length < 6);
+  });
+
+  it('runs loop iterations in parallel with inputs.concurrency', async () => {
+    const stats = stubFetch();
+    const result = await executeWorkflow({
+      name: 'parallel-loop',
+      steps: [{
+        id: 'each',
+        tool: 'loop',
+        inputs: { items: '{{ inputs.urls }}', as: 'u', concurrency: 3, step: { tool: 'http', inputs: { url: '{{ u }}' } } },
+      }],
+    }, { inputs: { urls: urls(7) } });
+
+    assert.equal(stats.maxInFlight, 3);
+    const { output } = result.steps.find(s => s.id === 'each');
+    assert.equal(output.iterations, 7);
+    assert.deepEqual(output.results.map(r => r.body.url), urls(7));
+  });
+
+  it('shares limits.concurrency across parallel steps', async () => {
+    const stats = stubFetch();
+    await executeWorkflow({
+      name: 'limited',
+      limits: { concurrency: 3 },
+      steps: [
+        { id: 'a', tool: 'http', forEach: '{{ inputs.urls }}', concurrency: 5, inputs: { url: '{{ item }}' } },
+        { id: 'b', tool: 'http', forEach: '{{ inputs.urls }}', concurrency: 5, inputs: { url: '{{ item }}' } },
+      ],
+    }, { inputs: { urls: urls(6) } });
+
+    assert.equal(stats.urls.length, 12);
+    assert.equal(stats.maxInFlight, 3);
+  });
+});
@@ -0,0 +1,190 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const {
+  parseCacheTtl,
+  outputCacheKey,
+  readCachedOutput,
+  writeCachedOutput,
+  clearOutputCache,
+} = require('../../src/lib/workflow-output-cache');
+const { executeWorkflow, validateWorkflow } = require('../../src/lib/workflow');
+
+// Use a temp directory for all tests to avoid touching the real cache
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vai-output-cache-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// ── parseCacheTtl ──
+
+describe('parseCacheTtl', () => {
+  it('returns null when caching is off', () => {
+    assert.equal(parseCacheTtl(undefined), null);
+    assert.equal(parseCacheTtl(false), null);
+  });
+
+  it('caches for 24 hours with true', () => {
+    assert.equal(parseCacheTtl(true), 24 * 60 * 60 * 1000);
+  });
+
+  it('reads numbers as seconds and strings with units', () => {
+    assert.equal(parseCacheTtl(90), 90000);
+    assert.equal(parseCacheTtl('30s'), 30000);
+    assert.equal(parseCacheTtl('10m'), 600000);
+    assert.equal(parseCacheTtl('2h'), 7200000);
+    assert.equal(parseCacheTtl('7d'), 7 * 86400000);
+  });
+
+  it('rejects invalid settings', () => {
+    assert.throws(() => parseCacheTtl('soon'), /"cache" must be/);
+    assert.throws(() => parseCacheTtl(0), /"cache" must be/);
+    assert.throws(() => parseCacheTtl('0h'), /"cache" must be/);
+  });
+});
+
+// ── outputCacheKey ──
+
+describe('outputCacheKey', () => {
+  it('ignores object key order', () => {
+    assert.equal(
+      outputCacheKey('query', { query: 'q', limit: 5 }, { db: 'a', collection: 'b' }),
+      outputCacheKey('query', { limit: 5, query: 'q' }, { collection: 'b', db: 'a' }),
+    );
+  });
+
+  it('changes with the tool, inputs and defaults', () => {
+    const key = outputCacheKey('query', { query: 'q' }, { db: 'a' });
+    assert.notEqual(key, outputCacheKey('search', { query: 'q' }, { db: 'a' }));
+    assert.notEqual(key, outputCacheKey('query', { query: 'other' }, { db: 'a' }));
+    assert.notEqual(key, outputCacheKey('query', { query: 'q' }, { db: 'b' }));
+  });
+});
+
+// ── read / write / clear ──
+
+describe('readCachedOutput / writeCachedOutput', () => {
+  it('returns a stored output within its TTL', () => {
+    writeCachedOutput('k1', 'embed', { dimensions: 3 }, tmpDir);
+    const hit = readCachedOutput('k1', 60000, tmpDir);
+    assert.deepEqual(hit.output, { dimensions: 3 });
+  });
+
+  it('misses on unknown and expired entries', () => {
+    assert.equal(readCachedOutput('missing', 60000, tmpDir), null);
+    fs.writeFileSync(path.join(tmpDir, 'old.json'), JSON.stringify({
+      cachedAt: new Date(Date.now() - 120000).toISOString(),
+      output: {},
+    }));
+    assert.equal(readCachedOutput('old', 60000, tmpDir), null);
+  });
+
+  it('clears every entry', () => {
+    writeCachedOutput('a', 'query', {}, tmpDir);
+    writeCachedOutput('b', 'query', {}, tmpDir);
+    assert.equal(clearOutputCache(tmpDir), 2);
+    assert.equal(clearOutputCache(tmpDir), 0);
+  });
+});
+
+// ── Workflow integration ──
+
+describe('executeWorkflow — output cache', () => {
+  const definition = {
+    name: 'cached-search',
+    steps: [
+      { id: 'search', tool: 'query', inputs: { query: '{{ inputs.q }}' }, cache: true },
+      { id: 'answer', tool: 'template', inputs: { text: '{{ search.output.resultCount }} results' } },
+    ],
+  };
+
+  function mockQuery() {
+    const calls = [];
+    const query = async (inputs) => {
+      calls.push(inputs);
+      return { results: [], resultCount: 2, _usage: [{ op: 'embed', tokens: 4 }] };
+    };
+    return { calls, query };
+  }
+
+  it('reuses the output on a second run with the same inputs', async () => {
+    const { calls, query } = mockQuery();
+    const run = (q) => {
+      const completed = {};
+      return executeWorkflow(definition, {
+        inputs: { q },
+        cacheDir: tmpDir,
+        _mockExecutors: { query },
+        onStepComplete: (id, output, ms, info) => { completed[id] = { output, ...info }; },
+      }).then(result => ({ result, completed }));
+    };
+
+    await run('auth');
+    const second = await run('auth');
+
+    assert.equal(calls.length, 1);
+    assert.equal(second.completed.search.cached, true);
+    assert.equal(second.completed.search.output._usage, undefined);
+    const step = second.result.steps.find(s => s.id === 'search');
+    assert.equal(step.cached, true);
+    assert.equal(second.result.steps.find(s => s.id === 'answer').output.text, '2 results');
+
+    await run('billing');
+    assert.equal(calls.length, 2);
+  });
+
+  it('skips the cache with cache: false', async () => {
+    const { calls, query } = mockQuery();
+    for (let i = 0; i < 2; i++) {
+      await executeWorkflow(definition, {
+        inputs: { q: 'auth' },
+        cache: false,
+        cacheDir: tmpDir,
+        _mockExecutors: { query },
+      });
+    }
+    assert.equal(calls.length, 2);
+    assert.deepEqual(fs.readdirSync(tmpDir), []);
+  });
+
+  it('does not cache steps without "cache"', async () => {
+    const { calls, query } = mockQuery();
+    const uncached = { ...definition, steps: [{ ...definition.steps[0], cache: undefined }, definition.steps[1]] };
+    for (let i = 0; i < 2; i++) {
+      await executeWorkflow(uncached, { inputs: { q: 'auth' }, cacheDir: tmpDir, _mockExecutors: { query } });
+    }
+    assert.equal(calls.length, 2);
+  });
+});
+
+describe('validateWorkflow — cache', () => {
+  it('rejects cache on non-deterministic tools and bad TTLs', () => {
+    const errors = validateWorkflow({
+      name: 'bad-cache',
+      steps: [
+        { id: 'answer', tool: 'generate', inputs: { prompt: 'hi' }, cache: true },
+        { id: 'search', tool: 'query', inputs: { query: 'q' }, cache: 'tomorrow' },
+      ],
+    });
+    assert.ok(errors.some(e => e.includes('Step "answer"') && e.includes('"cache" is only supported for')));
+    assert.ok(errors.some(e => e.includes('Step "search"') && e.includes('"cache" must be')));
+  });
+
+  it('accepts cache: false on any tool', () => {
+    const errors = validateWorkflow({
+      name: 'no-cache',
+      steps: [{ id: 'answer', tool: 'generate', inputs: { prompt: 'hi' }, cache: false }],
+    });
+    assert.deepEqual(errors, []);
+  });
+});
@@ -0,0 +1,322 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  validateWorkflow,
+  validateStepPolicy,
+  normalizeRetryPolicy,
+  isRetryableStepError,
+  runStepWithPolicy,
+  createRequestLimiter,
+  executeWorkflow,
+} = require('../../src/lib/workflow');
+
+const noSleep = async () => {};
+
+function httpError(status) {
+  return new Error(`API Error (${status}): failed`);
+}
+
+// ── Validation ──
+
+describe('validateStepPolicy', () => {
+  it('accepts a full retry policy and timeout', () => {
+    const problems = validateStepPolicy({
+      timeoutMs: 5000,
+      retry: { attempts: 3, backoff: { type: 'fixed', delayMs: 200, maxDelayMs: 1000 }, retryOn: ['timeout', 429, '5xx'] },
+    });
+    assert.deepEqual(problems, []);
+  });
+
+  it('accepts a backoff type string', () => {
+    assert.deepEqual(validateStepPolicy({ retry: { attempts: 2, backoff: 'exponential' } }), []);
+  });
+
+  it('rejects bad attempts, backoff, retryOn and timeoutMs', () => {
+    const codes = (step) => validateStepPolicy(step).map(p => p.code);
+    assert.deepEqual(codes({ timeoutMs: 0 }), ['INVALID_TIMEOUT']);
+    assert.deepEqual(codes({ retry: 3 }), ['INVALID_RETRY']);
+    assert.deepEqual(codes({ retry: { attempts: 0 } }), ['INVALID_RETRY']);
+    assert.deepEqual(codes({ retry: { attempts: 11 } }), ['INVALID_RETRY']);
+    assert.deepEqual(codes({ retry: { attempts: 2, backoff: 'linear' } }), ['INVALID_RETRY']);
+    assert.deepEqual(codes({ retry: { attempts: 2, backoff: { delayMs: -1 } } }), ['INVALID_RETRY']);
+    assert.deepEqual(codes({ retry: { attempts: 2, retryOn: [] } }), ['INVALID_RETRY']);
+    assert.deepEqual(codes({ retry: { attempts: 2, retryOn: ['flaky', 200] } }), ['INVALID_RETRY', 'INVALID_RETRY']);
+  });
+});
+
+describe('validateWorkflow — retry and timeoutMs', () => {
+  it('reports invalid policies on steps and loop sub-steps', () => {
+    const errors = validateWorkflow({
+      name: 'bad-policy',
+      steps: [
+        { id: 'fetch', tool: 'http', inputs: { url: 'https://example.com' }, timeoutMs: -5 },
+        {
+          id: 'each',
+          tool: 'loop',
+          inputs: {
+            items: [1, 2],
+            as: 'n',
+            step: { tool: 'template', inputs: { text: '{{ n }}' }, retry: { attempts: 'three' } },
+          },
+        },
+      ],
+    });
+    assert.ok(errors.some(e => e.includes('Step "fetch"') && e.includes('timeoutMs')));
+    assert.ok(errors.some(e => e.includes('Step "each": loop sub-step') && e.includes('retry.attempts')));
+  });
+
+  it('accepts valid policies', () => {
+    const errors = validateWorkflow({
+      name: 'good-policy',
+      steps: [
+        { id: 'fetch', tool: 'http', inputs: { url: 'https://example.com' }, retry: { attempts: 3 }, timeoutMs: 10000 },
+      ],
+    });
+    assert.deepEqual(errors, []);
+  });
+});
+
+// ── Retry policy ──
+
+describe('normalizeRetryPolicy', () => {
+  it('defaults to a single attempt', () => {
+    assert.equal(normalizeRetryPolicy(undefined).attempts, 1);
+  });
+
+  it('fills in backoff and retryOn defaults', () => {
+    const policy = normalizeRetryPolicy({ attempts: 4, backoff: 'fixed' });
+    assert.equal(policy.attempts, 4);
+    assert.deepEqual(policy.backoff, { type: 'fixed', delayMs: 1000, maxDelayMs: 30000 });
+    assert.deepEqual(policy.retryOn, ['timeout', 'network', 'rateLimit', '5xx']);
+  });
+});
+
+describe('isRetryableStepError', () => {
+  const defaults = normalizeRetryPolicy({ attempts: 2 }).retryOn;
+
+  it('retries timeouts, network errors, rate limits and 5xx by default', () => {
+    const timeout = new Error('Step "x" timed out after 10ms');
+    timeout.code = 'STEP_TIMEOUT';
+    assert.equal(isRetryableStepError(timeout, defaults), true);
+    assert.equal(isRetryableStepError(new Error('fetch failed'), defaults), true);
+    assert.equal(isRetryableStepError(httpError(429), defaults), true);
+    assert.equal(isRetryableStepError(httpError(503), defaults), true);
+  });
+
+  it('does not retry client errors by default', () => {
+    assert.equal(isRetryableStepError(httpError(400), defaults), false);
+    assert.equal(isRetryableStepError(new Error('http: "url" input is required'), defaults), false);
+  });
+
+  it('matches explicit status codes and "any"', () => {
+    const err = new Error('not found');
+    err.statusCode = 404;
+    assert.equal(isRetryableStepError(err, [404]), true);
+    assert.equal(isRetryableStepError(err, ['5xx']), false);
+    assert.equal(isRetryableStepError(new Error('anything'), ['any']), true);
+  });
+});
+
+describe('runStepWithPolicy', () => {
+  it('retries until an attempt succeeds and reports each failure', async () => {
+    let calls = 0;
+    const reported = [];
+    const step = { id: 'embed', tool: 'embed', retry: { attempts: 3, backoff: { delayMs: 100 } } };
+    const result = await runStepWithPolicy(step, async () => {
+      calls++;
+      if (calls < 3) throw httpError(503);
+      return { ok: true };
+    }, { sleep: noSleep, onAttemptError: (err, info) => reported.push(info) });
+
+    assert.deepEqual(result, { output: { ok: true }, attempts: 3 });
+    assert.deepEqual(reported.map(r => [r.attempt, r.attempts, r.delayMs]), [[1, 3, 100], [2, 3, 200]]);
+  });
+
+  it('fails immediately on errors that do not match retryOn', async () => {
+    let calls = 0;
+    const step = { id: 'embed', tool: 'embed', retry: { attempts: 5 } };
+    await assert.rejects(
+      runStepWithPolicy(step, async () => { calls++; throw httpError(401); }, { sleep: noSleep }),
+      (err) => err.attempts === 1,
+    );
+    assert.equal(calls, 1);
+  });
+
+  it('caps exponential backoff at maxDelayMs', async () => {
+    const delays = [];
+    const step = { id: 's', tool: 'embed', retry: { attempts: 4, backoff: { delayMs: 100, maxDelayMs: 250 } } };
+    await assert.rejects(runStepWithPolicy(step, async () => { throw httpError(500); }, {
+      sleep: async (ms) => { delays.push(ms); },
+    }));
+    assert.deepEqual(delays, [100, 200, 250]);
+  });
+
+  it('times out slow attempts', async () => {
+    const step = { id: 'slow', tool: 'embed', timeoutMs: 20 };
+    await assert.rejects(
+      runStepWithPolicy(step, () => new Promise(r => setTimeout(r, 500))),
+      (err) => err.code === 'STEP_TIMEOUT' && /Step "slow" timed out after 20ms/.test(err.message),
+    );
+  });
+
+  it('aborts a timed-out attempt through its signal', async () => {
+    let signal;
+    const step = { id: 'slow', tool: 'http', timeoutMs: 20 };
+    await assert.rejects(runStepWithPolicy(step, (s) => {
+      signal = s;
+      return new Promise((_, reject) => s.addEventListener('abort', () => reject(s.reason)));
+    }), { code: 'STEP_TIMEOUT' });
+    assert.equal(signal.aborted, true);
+  });
+
+  it('does not retry a timed-out step that keeps writing', async () => {
+    let calls = 0;
+    const step = { id: 'load', tool: 'ingest', timeoutMs: 20, retry: { attempts: 3 } };
+    await assert.rejects(
+      runStepWithPolicy(step, () => { calls++; return new Promise(r => setTimeout(r, 100)); }, { sleep: noSleep }),
+      (err) => err.attempts === 1 && /not retried: "ingest"/.test(err.message),
+    );
+    assert.equal(calls, 1);
+  });
+
+  it('holds the limiter slot until a timed-out attempt finishes', async () => {
+    const limiter = createRequestLimiter({ concurrency: 1 });
+    const events = [];
+    const step = { id: 'slow', tool: 'embed', timeoutMs: 20 };
+    await assert.rejects(runStepWithPolicy(step, () => new Promise(r => setTimeout(() => {
+      events.push('slow done');
+      r({});
+    }, 80)), { limiter }), { code: 'STEP_TIMEOUT' });
+    await limiter.run(async () => { events.push('next'); });
+    assert.deepEqual(events, ['slow done', 'next']);
+  });
+
+  it('retries an http response with a retryable status and returns the last one', async () => {
+    let calls = 0;
+    const step = { id: 'api', tool: 'http', retry: { attempts: 2 } };
+    const result = await runStepWithPolicy(step, async () => {
+      calls++;
+      return { status: 503, statusText: 'Service Unavailable' };
+    }, { sleep: noSleep });
+    assert.equal(calls, 2);
+    assert.equal(result.output.status, 503);
+    assert.equal(result.attempts, 2);
+  });
+});
+
+// ── executeWorkflow ──
+
+describe('executeWorkflow — retry and timeout', () => {
+  const originalFetch = global.fetch;
+  afterEach(() => { global.fetch = originalFetch; });
+
+  it('reports retried attempts through onStepError and onStepComplete', async () => {
+    let calls = 0;
+    const errors = [];
+    const completed = [];
+    const result = await executeWorkflow({
+      name: 'retry-mock',
+      steps: [
+        { id: 'search', tool: 'query', inputs: { query: 'q' }, retry: { attempts: 3, backoff: { delayMs: 0 } } },
+      ],
+    }, {
+      _mockExecutors: {
+        query: async () => {
+          calls++;
+          if (calls === 1) throw httpError(429);
+          return { results: [] };
+        },
+      },
+      onStepError: (id, err, info) => errors.push({ id, ...info }),
+      onStepComplete: (id, output, ms, info) => completed.push({ id, ...info }),
+    });
+
+    assert.deepEqual(errors.map(e => [e.id, e.attempt, e.willRetry]), [['search', 1, true]]);
+    assert.deepEqual(completed.map(c => [c.id, c.attempts, c.retries]), [['search', 2, 1]]);
+    const step = result.steps.find(s => s.id === 'search');
+    assert.equal(step.retries, 1);
+  });
+
+  it('reports the final failure once and names the attempt count', async () => {
+    const errors = [];
+    await assert.rejects(
+      executeWorkflow({
+        name: 'retry-fail',
+        steps: [
+          { id: 'search', tool: 'query', inputs: { query: 'q' }, retry: { attempts: 2, backoff: { delayMs: 0 } } },
+        ],
+      }, {
+        _mockExecutors: { query: async () => { throw httpError(502); } },
+        onStepError: (id, err, info) => errors.push(info),
+      }),
+      /Step "search" failed after 2 attempts/,
+    );
+    assert.deepEqual(errors.map(e => e.willRetry), [true, false]);
+    assert.equal(errors[1].attempt, 2);
+  });
+
+  it('records a timed-out step with continueOnError', async () => {
+    const result = await executeWorkflow({
+      name: 'timeout',
+      steps: [
+        { id: 'slow', tool: 'query', inputs: { query: 'q' }, timeoutMs: 20, continueOnError: true },
+      ],
+    }, {
+      _mockExecutors: { query: () => new Promise(r => setTimeout(() => r({}), 500)) },
+    });
+    const step = result.steps.find(s => s.id === 'slow');
+    assert.match(step.error, /timed out after 20ms/);
+  });
+
+  it('cancels the request of a timed-out http step', async () => {
+    let aborted = false;
+    global.fetch = (url, { signal }) => new Promise((_, reject) => {
+      signal.addEventListener('abort', () => {
+        aborted = true;
+        reject(signal.reason);
+      });
+    });
+    const result = await executeWorkflow({
+      name: 'http-timeout',
+      steps: [
+        { id: 'post', tool: 'http', inputs: { url: 'https://example.com', method: 'POST', body: { a: 1 } }, timeoutMs: 20, continueOnError: true },
+      ],
+    });
+    assert.equal(aborted, true);
+    assert.match(result.steps.find(s => s.id === 'post').error, /timed out after 20ms/);
+  });
+
+  it('retries each forEach iteration on its own', async () => {
+    const calls = {};
+    global.fetch = async (url) => {
+      calls[url] = (calls[url] || 0) + 1;
+      const status = url.endsWith('/b') && calls[url] === 1 ? 503 : 200;
+      return new Response(JSON.stringify({ url }), { status });
+    };
+
+    const retried = [];
+    const result = await executeWorkflow({
+      name: 'foreach-retry',
+      steps: [
+        {
+          id: 'fetch',
+          tool: 'http',
+          forEach: '{{ inputs.urls }}',
+          inputs: { url: '{{ item }}' },
+          retry: { attempts: 2, backoff: { delayMs: 0 } },
+        },
+      ],
+    }, {
+      inputs: { urls: ['https://example.com/a', 'https://example.com/b'] },
+      onStepError: (id, err, info) => retried.push(info.iteration),
+    });
+
+    assert.deepEqual(calls, { 'https://example.com/a': 1, 'https://example.com/b': 2 });
+    assert.deepEqual(retried, [1]);
+    const step = result.steps.find(s => s.id === 'fetch');
+    assert.deepEqual(step.output.results.map(r => r.status), [200, 200]);
+    assert.equal(step.attempts, 3);
+  });
+});
@@ -0,0 +1,182 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { WorkflowRunStore, planResume, stepFingerprint } = require('../../src/lib/workflow-runs');
+const { executeWorkflow } = require('../../src/lib/workflow');
+
+// Use a temp directory for all tests to avoid touching real run records
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vai-workflow-runs-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const definition = {
+  name: 'ingest-demo',
+  steps: [
+    { id: 'fetch', tool: 'template', inputs: { text: 'doc' } },
+    { id: 'chunk', tool: 'template', inputs: { text: '{{ fetch.output.text }} chunks' } },
+    { id: 'other', tool: 'template', inputs: { text: 'independent' } },
+    { id: 'store', tool: 'template', inputs: { text: '{{ chunk.output.text }} stored' } },
+  ],
+};
+
+/** Run record in which `failedStep` failed and the steps before it completed. */
+function recordedRun(failedStep) {
+  const steps = {};
+  for (const step of definition.steps) {
+    if (step.id === failedStep) {
+      steps[step.id] = { tool: step.tool, status: 'failed', error: 'boom', fingerprint: stepFingerprint(step) };
+      break;
+    }
+    steps[step.id] = { tool: step.tool, status: 'completed', output: { text: step.id }, fingerprint: stepFingerprint(step) };
+  }
+  return { id: 'run-1', status: 'failed', definition, steps };
+}
+
+// ── WorkflowRunStore ──
+
+describe('WorkflowRunStore', () => {
+  it('records layers and the final status', () => {
+    const store = new WorkflowRunStore({ dir: tmpDir });
+    const run = store.create({ definition, source: '/tmp/wf.json', inputs: { q: 'x' } });
+    assert.equal(run.status, 'running');
+
+    store.recordLayer(run, [
+      { id: 'fetch', tool: 'template', output: { text: 'doc' }, durationMs: 3 },
+      { id: 'other', tool: 'template', error: 'nope', durationMs: 1 },
+    ]);
+    store.finish(run, { error: new Error('Step "other" failed: nope') });
+
+    const saved = store.load(run.id);
+    assert.equal(saved.status, 'failed');
+    assert.equal(saved.error, 'Step "other" failed: nope');
+    assert.deepEqual(saved.inputs, { q: 'x' });
+    assert.equal(saved.steps.fetch.status, 'completed');
+    assert.deepEqual(saved.steps.fetch.output, { text: 'doc' });
+    assert.equal(saved.steps.fetch.fingerprint, stepFingerprint(definition.steps[0]));
+    assert.equal(saved.steps.other.status, 'failed');
+  });
+
+  it('does not overwrite the records of reused steps', () => {
+    const store = new WorkflowRunStore({ dir: tmpDir });
+    const run = store.create({ definition, source: 'demo' });
+    store.recordLayer(run, [{ id: 'fetch', tool: 'template', output: { text: 'first' }, durationMs: 5 }]);
+    store.recordLayer(run, [{ id: 'fetch', tool: 'template', output: { text: 'first' }, durationMs: 0, reused: true }]);
+    assert.equal(store.load(run.id).steps.fetch.durationMs, 5);
+  });
+
+  it('loads by unique ID prefix and rejects ambiguous prefixes', () => {
+    const store = new WorkflowRunStore({ dir: tmpDir });
+    store.save({ id: 'abc-1', workflow: 'a', startedAt: '2026-01-01T00:00:00Z', steps: {} });
+    store.save({ id: 'abd-2', workflow: 'b', startedAt: '2026-01-02T00:00:00Z', steps: {} });
+
+    assert.equal(store.load('abd').workflow, 'b');
+    assert.throws(() => store.load('ab'), /ambiguous/);
+    assert.equal(store.load('zzz'), null);
+  });
+
+  it('lists runs newest first with step counts', () => {
+    const store = new WorkflowRunStore({ dir: tmpDir });
+    store.save({ id: 'old', workflow: 'a', status: 'completed', startedAt: '2026-01-01T00:00:00Z', steps: { s: { status: 'completed' } } });
+    store.save({ id: 'new', workflow: 'b', status: 'failed', startedAt: '2026-01-02T00:00:00Z', steps: { s: { status: 'failed' } } });
+
+    const runs = store.list();
+    assert.deepEqual(runs.map(r => r.id), ['new', 'old']);
+    assert.equal(runs[0].failed, 1);
+    assert.equal(runs[1].steps, 1);
+    assert.deepEqual(store.list({ limit: 1 }).map(r => r.id), ['new']);
+  });
+
+  it('prunes all but the newest records', () => {
+    const store = new WorkflowRunStore({ dir: tmpDir });
+    for (let i = 0; i < 3; i++) {
+      store.save({ id: `run-${i}`, steps: {} });
+      const t = new Date(Date.now() - (3 - i) * 1000);
+      fs.utimesSync(path.join(tmpDir, `run-${i}.json`), t, t);
+    }
+    store.prune(2);
+    assert.deepEqual(fs.readdirSync(tmpDir).sort(), ['run-1.json', 'run-2.json']);
+  });
+});
+
+// ── planResume ──
+
+describe('planResume', () => {
+  it('re-executes the failed step and its downstream steps', () => {
+    const { reuse, rerun } = planResume(recordedRun('store'), definition);
+    assert.deepEqual(rerun, ['store']);
+    assert.deepEqual(Object.keys(reuse).sort(), ['chunk', 'fetch', 'other']);
+    assert.deepEqual(reuse.chunk, { output: { text: 'chunk' } });
+  });
+
+  it('re-executes steps that never ran and everything that depends on them', () => {
+    const { rerun } = planResume(recordedRun('chunk'), definition);
+    assert.deepEqual(rerun, ['chunk', 'other', 'store']);
+  });
+
+  it('re-executes steps whose definition changed', () => {
+    const changed = {
+      ...definition,
+      steps: definition.steps.map(s => (s.id === 'fetch' ? { ...s, inputs: { text: 'new doc' } } : s)),
+    };
+    const run = recordedRun(null);
+    const { reuse, rerun } = planResume(run, changed);
+    assert.deepEqual(rerun, ['fetch', 'chunk', 'store']);
+    assert.deepEqual(Object.keys(reuse), ['other']);
+  });
+
+  it('keeps skipped steps skipped', () => {
+    const run = recordedRun(null);
+    run.steps.other = { status: 'skipped', reason: 'condition not met', fingerprint: stepFingerprint(definition.steps[2]) };
+    const { reuse } = planResume(run, definition);
+    assert.deepEqual(reuse.other, { output: null, skipped: true, reason: 'condition not met' });
+  });
+});
+
+// ── executeWorkflow with reuse ──
+
+describe('executeWorkflow — reuse and onLayerComplete', () => {
+  it('does not execute reused steps and resolves their outputs downstream', async () => {
+    const reusedIds = [];
+    const result = await executeWorkflow(definition, {
+      reuse: { fetch: { output: { text: 'cached' } } },
+      onStepReuse: (id) => reusedIds.push(id),
+    });
+
+    assert.deepEqual(reusedIds, ['fetch']);
+    const chunk = result.steps.find(s => s.id === 'chunk');
+    assert.equal(chunk.output.text, 'cached chunks');
+    assert.equal(result.steps.find(s => s.id === 'fetch').reused, true);
+  });
+
+  it('reports every layer, including the failed one, before throwing', async () => {
+    const layers = [];
+    const failing = {
+      name: 'fails',
+      steps: [
+        { id: 'ok', tool: 'template', inputs: { text: 'fine' } },
+        { id: 'bad', tool: 'http', inputs: { url: '' } },
+        { id: 'after', tool: 'template', inputs: { text: '{{ bad.output.status }}' } },
+      ],
+    };
+
+    await assert.rejects(
+      executeWorkflow(failing, { onLayerComplete: (i, results) => layers.push(results) }),
+      /Step "bad" failed/,
+    );
+    assert.equal(layers.length, 1);
+    const byId = Object.fromEntries(layers[0].map(r => [r.id, r]));
+    assert.equal(byId.ok.output.text, 'fine');
+    assert.match(byId.bad.error, /"url" input is required/);
+  });
+});
@@ -0,0 +1,188 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  validateWorkflow,
+  executeWorkflow,
+  resolveSubWorkflow,
+  MAX_WORKFLOW_DEPTH,
+} = require('../../src/lib/workflow');
+
+let tmpDir;
+
+function writeWorkflow(name, definition) {
+  const file = path.join(tmpDir, name);
+  fs.writeFileSync(file, JSON.stringify(definition, null, 2));
+  return file;
+}
+
+function callStep(id, workflow, inputs) {
+  return { id, tool: 'workflow', inputs: { workflow, ...(inputs && { inputs }) } };
+}
+
+describe('sub-workflows', () => {
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vai-subwf-'));
+
+    writeWorkflow('greet.json', {
+      name: 'greet',
+      inputs: { who: { type: 'string', required: true } },
+      steps: [{ id: 'hello', tool: 'template', inputs: { text: 'Hello, {{ inputs.who }}!' } }],
+      output: { greeting: '{{ hello.output.text }}' },
+    });
+
+    writeWorkflow('lookup.json', {
+      name: 'lookup',
+      defaults: { db: 'child_db', collection: 'child_col' },
+      inputs: { q: { type: 'string', required: true } },
+      steps: [{ id: 'search', tool: 'query', inputs: { query: '{{ inputs.q }}' } }],
+      output: { count: '{{ search.output.resultCount }}' },
+    });
+
+    writeWorkflow('a.json', { name: 'a', steps: [callStep('b', './b.json')] });
+    writeWorkflow('b.json', { name: 'b', steps: [callStep('a', './a.json')] });
+
+    writeWorkflow('self-by-input.json', {
+      name: 'self-by-input',
+      inputs: { next: { type: 'string' } },
+      steps: [callStep('again', '{{ inputs.next }}', { next: '{{ inputs.next }}' })],
+    });
+
+    // chain-0.json → chain-1.json → … → chain-N.json
+    for (let i = 0; i <= MAX_WORKFLOW_DEPTH; i++) {
+      const steps = i < MAX_WORKFLOW_DEPTH
+        ? [callStep('next', `./chain-${i + 1}.json`)]
+        : [{ id: 'leaf', tool: 'template', inputs: { text: 'leaf' } }];
+      writeWorkflow(`chain-${i}.json`, { name: `chain-${i}`, steps });
+    }
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('validateWorkflow', () => {
+    it('requires a workflow reference', () => {
+      const errors = validateWorkflow({ name: 'p', steps: [{ id: 'sub', tool: 'workflow', inputs: {} }] });
+      assert.ok(errors.some(e => e.includes('"workflow" input')));
+    });
+
+    it('requires inputs to be an object', () => {
+      const errors = validateWorkflow({ name: 'p', steps: [callStep('sub', 'greet.json', ['x'])] });
+      assert.ok(errors.some(e => e.includes('"inputs" must be an object')));
+    });
+
+    it('accepts a workflow step', () => {
+      assert.deepEqual(validateWorkflow({ name: 'p', steps: [callStep('sub', 'greet.json', { who: 'x' })] }), []);
+    });
+  });
+
+  describe('resolveSubWorkflow', () => {
+    it('resolves file paths relative to the calling workflow', () => {
+      const child = resolveSubWorkflow('./greet.json', tmpDir);
+      assert.equal(child.definition.name, 'greet');
+      assert.equal(child.identity, path.join(tmpDir, 'greet.json'));
+      assert.equal(child.baseDir, tmpDir);
+    });
+
+    it('throws for an unknown workflow', () => {
+      assert.throws(() => resolveSubWorkflow('no-such-workflow-xyz', tmpDir), /not found|Unknown|No workflow/i);
+    });
+  });
+
+  describe('executeWorkflow', () => {
+    it('runs the sub-workflow with mapped inputs and exposes its output', async () => {
+      const parent = writeWorkflow('parent.json', {
+        name: 'parent',
+        steps: [
+          callStep('greet', './greet.json', { who: '{{ inputs.name }}' }),
+          { id: 'shout', tool: 'template', inputs: { text: '{{ greet.output.greeting }}' } },
+        ],
+        output: { text: '{{ shout.output.text }}' },
+      });
+      const definition = JSON.parse(fs.readFileSync(parent, 'utf8'));
+
+      const result = await executeWorkflow(definition, { source: parent, inputs: { name: 'Ada' } });
+      assert.equal(result.output.text, 'Hello, Ada!');
+      assert.deepEqual(result.steps[0].output, { greeting: 'Hello, Ada!' });
+    });
+
+    it('runs the sub-workflow with the parent defaults and passes up usage', async () => {
+      const seen = [];
+      const completed = {};
+      const result = await executeWorkflow({
+        name: 'parent',
+        defaults: { db: 'parent_db', collection: 'parent_col' },
+        steps: [callStep('look', 'lookup.json', { q: 'vectors' })],
+        output: { count: '{{ look.output.count }}' },
+      }, {
+        _baseDir: tmpDir,
+        onStepComplete: (stepId, output) => { completed[stepId] = output; },
+        _mockExecutors: {
+          query: async (inputs, step, context) => {
+            seen.push({ query: inputs.query, defaults: context.defaults });
+            return { resultCount: 3, _usage: [{ type: 'embed', tokens: 12 }] };
+          },
+        },
+      });
+
+      assert.equal(result.output.count, 3);
+      assert.equal(seen[0].query, 'vectors');
+      assert.equal(seen[0].defaults.db, 'parent_db');
+      assert.equal(seen[0].defaults.collection, 'parent_col');
+      assert.deepEqual(completed.look._usage, [{ type: 'embed', tokens: 12 }]);
+      assert.equal(result.steps[0].output._usage, undefined);
+    });
+
+    it('refuses a cycle between files before running anything', async () => {
+      const file = path.join(tmpDir, 'a.json');
+      const definition = JSON.parse(fs.readFileSync(file, 'utf8'));
+      let started = 0;
+      await assert.rejects(
+        executeWorkflow(definition, { source: file, onStepStart: () => { started++; } }),
+        /Step "a": workflow: cycle detected: .*a\.json → .*b\.json → .*a\.json/,
+      );
+      assert.equal(started, 0);
+    });
+
+    it('detects a cycle through a templated reference at runtime', async () => {
+      const file = path.join(tmpDir, 'self-by-input.json');
+      const definition = JSON.parse(fs.readFileSync(file, 'utf8'));
+      await assert.rejects(
+        executeWorkflow(definition, { source: file, inputs: { next: './self-by-input.json' } }),
+        /cycle detected/,
+      );
+    });
+
+    it(`refuses to nest more than ${MAX_WORKFLOW_DEPTH} deep`, async () => {
+      const file = path.join(tmpDir, 'chain-0.json');
+      const definition = JSON.parse(fs.readFileSync(file, 'utf8'));
+      await assert.rejects(executeWorkflow(definition, { source: file }), /nest more than 5 deep/);
+    });
+
+    it('allows nesting up to the limit', async () => {
+      const file = path.join(tmpDir, 'chain-1.json');
+      const definition = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const result = await executeWorkflow(definition, { source: file });
+      assert.equal(result.steps.length, 1);
+    });
+
+    it('names the sub-workflow when it fails', async () => {
+      await assert.rejects(
+        executeWorkflow({ name: 'parent', steps: [callStep('greet', './greet.json')] }, { _baseDir: tmpDir }),
+        /workflow "greet": Missing required input: "who"/,
+      );
+    });
+
+    it('reports a missing sub-workflow before running', async () => {
+      await assert.rejects(
+        executeWorkflow({ name: 'parent', steps: [callStep('gone', './missing.json')] }, { _baseDir: tmpDir }),
+        /Step "gone":/,
+      );
+    });
+  });
+});
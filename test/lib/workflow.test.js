@@ -116,6 +116,59 @@ describe('validateWorkflow', () => {
     });
     assert.ok(errors.some(e => e.includes('"condition" must be a string')));
   });
+
+  describe('generate outputSchema', () => {
+    const outputSchema = {
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        tags: { type: 'array', items: { type: 'object', properties: { name: { type: 'string' } } } },
+        extra: { type: 'object' },
+      },
+    };
+
+    function workflow(text, output) {
+      return {
+        name: 'test',
+        steps: [
+          { id: 'gen', tool: 'generate', inputs: { prompt: 'Describe it', outputSchema } },
+          { id: 'fmt', tool: 'template', inputs: { text } },
+        ],
+        ...(output && { output }),
+      };
+    }
+
+    it('accepts references to declared and free-form fields', () => {
+      const errors = validateWorkflow(workflow(
+        '{{ gen.output.data.title }} {{ gen.output.data.tags[0].name }} {{ gen.output.data.extra.any }} {{ gen.output.text }}'
+      ));
+      assert.deepEqual(errors, []);
+    });
+
+    it('rejects references to fields the schema does not declare', () => {
+      const errors = validateWorkflow(workflow('{{ gen.output.data.titel }}', { name: '{{ gen.output.data.tags[0].nme }}' }));
+      assert.deepEqual(errors, [
+        'Step "fmt": "gen.output.data.titel" is not declared in the outputSchema of step "gen"',
+        'Workflow output: "gen.output.data.tags[0].nme" is not declared in the outputSchema of step "gen"',
+      ]);
+    });
+
+    it('warns in draft mode and reports invalid schemas', () => {
+      const result = validateWorkflow({
+        name: 'test',
+        steps: [
+          { id: 'gen', tool: 'generate', inputs: { prompt: 'p', outputSchema } },
+          { id: 'bad', tool: 'generate', inputs: { prompt: 'p', outputSchema: { type: 'bogus' } } },
+          { id: 'fmt', tool: 'template', inputs: { text: '{{ gen.output.data.missing }} {{ bad.output.text }}' } },
+        ],
+      }, { mode: 'draft' });
+      const byCode = Object.fromEntries(result.issues.map(i => [i.code, i]));
+      assert.equal(byCode.UNKNOWN_SCHEMA_FIELD.severity, 'warning');
+      assert.equal(byCode.UNKNOWN_SCHEMA_FIELD.referencedStep, 'gen');
+      assert.equal(byCode.INVALID_OUTPUT_SCHEMA.stepId, 'bad');
+      assert.match(byCode.INVALID_OUTPUT_SCHEMA.message, /Invalid outputSchema/);
+    });
+  });
 });
 
 // ── detectCycles ──
@@ -446,8 +499,8 @@ describe('built-in template validation', () => {
 // ── Constants ──
 
 describe('tool constants', () => {
-  it('VAI_TOOLS contains all 15 vai tools', () => {
-    assert.equal(VAI_TOOLS.size, 15);
+  it('VAI_TOOLS contains all 16 vai tools', () => {
+    assert.equal(VAI_TOOLS.size, 16);
     assert.ok(VAI_TOOLS.has('query'));
     assert.ok(VAI_TOOLS.has('search'));
     assert.ok(VAI_TOOLS.has('rerank'));
@@ -463,14 +516,16 @@ describe('tool constants', () => {
     assert.ok(VAI_TOOLS.has('code_query'));
     assert.ok(VAI_TOOLS.has('code_find_similar'));
     assert.ok(VAI_TOOLS.has('code_status'));
+    assert.ok(VAI_TOOLS.has('verify'));
   });
 
   it('CONTROL_FLOW_TOOLS contains 4 tools', () => {
-    assert.equal(CONTROL_FLOW_TOOLS.size, 7);
+    assert.equal(CONTROL_FLOW_TOOLS.size, 8);
     assert.ok(CONTROL_FLOW_TOOLS.has('merge'));
     assert.ok(CONTROL_FLOW_TOOLS.has('filter'));
     assert.ok(CONTROL_FLOW_TOOLS.has('transform'));
     assert.ok(CONTROL_FLOW_TOOLS.has('generate'));
+    assert.ok(CONTROL_FLOW_TOOLS.has('workflow'));
   });
 
   it('ALL_TOOLS is union of all tool categories', () => {
@@ -2,7 +2,8 @@
 
 const { describe, it } = require('node:test');
 const assert = require('node:assert/strict');
-const { createZip } = require('../../src/lib/zip');
+const { createZip, readZip } = require('../../src/lib/zip');
+const { createDeflateZip } = require('../fixtures/documents');
 
 describe('zip', () => {
   it('creates a valid ZIP buffer', () => {
@@ -54,4 +55,58 @@ describe('zip', () => {
     const zipStr = zip.toString('utf8');
     assert.ok(zipStr.includes(content));
   });
+
+  describe('readZip', () => {
+    it('round-trips entries written by createZip', () => {
+      const entries = readZip(createZip([
+        { name: 'a.txt', content: 'Alpha' },
+        { name: 'dir/b.txt', content: 'éàü 日本語' },
+      ]));
+      assert.deepEqual([...entries.keys()], ['a.txt', 'dir/b.txt']);
+      assert.equal(entries.get('dir/b.txt').toString('utf8'), 'éàü 日本語');
+    });
+
+    it('inflates DEFLATE entries', () => {
+      const content = 'repeat '.repeat(200);
+      const entries = readZip(createDeflateZip([{ name: 'word/document.xml', content }]));
+      assert.equal(entries.get('word/document.xml').toString('utf8'), content);
+    });
+
+    it('finds the central directory behind an archive comment', () => {
+      const zip = createZip([{ name: 'a.txt', content: 'A' }]);
+      const comment = Buffer.from('archive comment');
+      zip.writeUInt16LE(comment.length, zip.length - 2);
+      assert.equal(readZip(Buffer.concat([zip, comment])).get('a.txt').toString(), 'A');
+    });
+
+    // Overwrite the uncompressed size the central directory declares for the first entry
+    function declareSize(zip, size) {
+      const cd = zip.readUInt32LE(zip.length - 22 + 16);
+      zip.writeUInt32LE(size, cd + 24);
+      return zip;
+    }
+
+    it('refuses to inflate an entry past its declared size', () => {
+      const bomb = declareSize(createDeflateZip([{ name: 'bomb.xml', content: '0'.repeat(1_000_000) }]), 1000);
+      assert.throws(() => readZip(bomb), /inflates past its declared size: bomb\.xml/);
+    });
+
+    it('rejects an entry smaller than its declared size', () => {
+      const zip = declareSize(createDeflateZip([{ name: 'short.xml', content: 'tiny' }]), 10);
+      assert.throws(() => readZip(zip), /does not match its header: short\.xml/);
+    });
+
+    it('rejects archives that expand past the total limit', () => {
+      const zip = createDeflateZip([
+        { name: 'a.xml', content: 'a'.repeat(600) },
+        { name: 'b.xml', content: 'b'.repeat(600) },
+      ]);
+      assert.throws(() => readZip(zip, { maxTotalSize: 1000 }), /expands to more than 1000 bytes/);
+      assert.equal(readZip(zip, { maxTotalSize: 1200 }).size, 2);
+    });
+
+    it('rejects data that is not a ZIP archive', () => {
+      assert.throws(() => readZip(Buffer.from('definitely not a zip file')), /Not a ZIP archive/);
+    });
+  });
 });